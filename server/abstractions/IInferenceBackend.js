@@ -0,0 +1,51 @@
+/**
+ * 🔌 Inference Backend Interface - Context7 Pattern
+ *
+ * Implements Interface Segregation Principle by providing:
+ * - One small contract for anything that turns trading features into an action
+ * - Lets InferenceRouterService switch between the Python RL service and the in-process agent
+ *
+ * SOLID Principles Applied:
+ * - ISP: Interface segregation - only inference methods
+ * - DIP: TradingDecisionService depends on this abstraction, not on a concrete model
+ */
+
+/**
+ * Interface for inference backends
+ * Concrete implementations: PythonInferenceBackend, LocalInferenceBackend
+ */
+class IInferenceBackend {
+  /**
+   * @param {string} name - Recorded on every decision the backend produces
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Predict an action from TradingDecisionService.prepareFeatures() output
+   * @param {Object} features - Trading features
+   * @returns {Promise<Object>} { action: 'buy'|'sell'|'hold', confidence, expectedReturn, qValues, modelVersion, reasoning }
+   */
+  async predict() {
+    throw new Error('predict method must be implemented');
+  }
+
+  /**
+   * Whether the backend should be tried at all (e.g. false while a circuit breaker is open)
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Backend-specific health details for status endpoints
+   * @returns {Object}
+   */
+  getStatus() {
+    return { name: this.name, available: this.isAvailable() };
+  }
+}
+
+module.exports = { IInferenceBackend };
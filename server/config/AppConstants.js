@@ -10,6 +10,7 @@
  */
 
 const TimeConstants = require('../utils/TimeConstants');
+const { GE_TAX_RATE, GE_TAX_THRESHOLD_GP, GE_TAX_CAP_GP } = require('../utils/marketConstants');
 
 class AppConstants {
   // =============================================================================
@@ -21,9 +22,10 @@ class AppConstants {
     MAX_ITEM_ID: 50000,
     MIN_ITEM_ID: 1,
     
-    // GE Tax Configuration
-    TAX_RATE: 0.01, // 1% GE tax
-    TAX_FREE_THRESHOLD: 100, // Items under 100 gp are tax-free
+    // GE Tax Configuration (calculateGETax in utils/marketConstants applies these)
+    TAX_RATE: GE_TAX_RATE,
+    TAX_FREE_THRESHOLD: GE_TAX_THRESHOLD_GP, // Items at or under this price are tax-free
+    TAX_CAP_PER_ITEM: GE_TAX_CAP_GP, // Tax on a single item never exceeds this
     
     // Price Limits
     MAX_PRICE: 2147483647, // Max int32
@@ -96,7 +98,7 @@ class AppConstants {
   
   static RATE_LIMITING = {
     // Standard Rate Limits
-    WINDOW_MS: 1TimeConstants.FIVE_MINUTES,   // 15 minutes
+    WINDOW_MS: TimeConstants.FIFTEEN_MINUTES, // 15 minutes
     MAX_REQUESTS: 100,           // Max requests per window
     
     // API-Specific Limits
@@ -168,13 +170,26 @@ class AppConstants {
   static EXTERNAL_API = {
     // OSRS Wiki API
     OSRS_WIKI: {
-      BASE_URL: 'https://prices.runescape.wiki/api/v1',
+      // Override with OSRS_WIKI_BASE_URL to point at the bundled mock server (npm run mock:wiki)
+      BASE_URL: process.env.OSRS_WIKI_BASE_URL || 'https://prices.runescape.wiki/api/v1/osrs',
       TIMEOUT: 10000,               // 10 seconds
       RETRY_ATTEMPTS: 3,
       RETRY_DELAY: 1000,            // 1 second
       RATE_LIMIT: 5,                // 5 requests per second
       BATCH_SIZE: 300               // Items per batch request
     },
+
+    // OSRS Grand Exchange item database: top 100 lists and 180-day price graphs
+    OSRS_GE: {
+      // Override with OSRS_GE_BASE_URL to point at the bundled mock server (npm run mock:wiki)
+      BASE_URL: process.env.OSRS_GE_BASE_URL || 'https://secure.runescape.com/m=itemdb_oldschool',
+      TOP100_LISTS: {
+        mostTraded: 0,
+        greatestRise: 1,
+        mostValuable: 2,
+        greatestFall: 3
+      }
+    },
     
     // AI Microservice
     AI_SERVICE: {
@@ -209,6 +224,32 @@ class AppConstants {
     MAX_MEMORY_PER_BATCH: 50 * 1024 * 1024 // 50MB per batch
   };
 
+  // =============================================================================
+  // TIME-SERIES RETENTION
+  // =============================================================================
+
+  static RETENTION = {
+    // 5m snapshots older than this are rolled into 1h buckets, then deleted
+    FIVE_MINUTE_DAYS: 14,
+    // 1h snapshots older than this are rolled into daily (24h) buckets, then deleted
+    HOURLY_DAYS: 180,
+    // Daily buckets are never deleted
+
+    // Background compactor
+    COMPACTION_INTERVAL: TimeConstants.ONE_HOUR,
+    MAX_DAYS_PER_RUN: 7 // Days compacted per tier and run, so the backlog drains in steps
+  };
+
+  // =============================================================================
+  // AI INFERENCE BACKENDS
+  // =============================================================================
+
+  static AI_INFERENCE = {
+    // 'auto' tries BACKEND_ORDER and skips backends that are down; 'python' or 'local' pins one backend
+    MODE: process.env.AI_INFERENCE_BACKEND || 'auto',
+    BACKEND_ORDER: ['python', 'local']
+  };
+
   // =============================================================================
   // EXPORT CONFIGURATION
   // =============================================================================
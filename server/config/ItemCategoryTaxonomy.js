@@ -0,0 +1,169 @@
+/**
+ * 🗂️ Item Category Taxonomy - Default Seed
+ *
+ * Context7 Pattern: Data-driven item categorisation
+ * - Seeded into the item_categories collection when it is empty; Mongo is the source of truth afterwards
+ * - Also used by ItemCategoryClassifier before the stored taxonomy has been loaded
+ *
+ * Rule format:
+ * - pattern / exclude: case-insensitive regular expressions matched against the item name
+ * - predicates: attribute checks (members, stackable, tradeable, minHighalch, maxHighalch, minValue, maxValue);
+ *   the Wiki /mapping payload has no stackable or tradeable field, so the default rules do not use them
+ * - priority: higher priorities are tried first; the first matching rule wins
+ * Items matching no rule fall back to FALLBACK_CATEGORY. Explicit per-item assignments beat every rule.
+ */
+
+const FALLBACK_CATEGORY = 'general';
+
+const DEFAULT_CATEGORIES = [
+  {
+    slug: 'runes',
+    name: 'Runes',
+    description: 'Elemental, catalytic and combination runes',
+    sortOrder: 10,
+    rules: [
+      {
+        pattern: '^(air|water|earth|fire|mind|body|cosmic|chaos|nature|law|death|blood|soul|astral|wrath|mist|dust|mud|smoke|steam|lava|sunfire) rune$',
+        priority: 100
+      }
+    ]
+  },
+  {
+    slug: 'tools',
+    name: 'Tools',
+    description: 'Skilling tools and moulds',
+    sortOrder: 20,
+    rules: [
+      {
+        pattern: '\\b(pickaxe|hatchet|harpoon|fishing rod|fishing net|tinderbox|chisel|hammer|needle|mould|spade|rake|secateurs|trowel|saw|glassblowing pipe|lobster pot)\\b|\\baxe$|^knife$',
+        priority: 95
+      }
+    ]
+  },
+  {
+    slug: 'smithing',
+    name: 'Ores & Bars',
+    description: 'Mining ores, coal and smelted bars',
+    sortOrder: 30,
+    rules: [
+      { pattern: '\\b(ore|bar)$|^coal$', exclude: 'chocolate', priority: 90 }
+    ]
+  },
+  {
+    slug: 'woodcutting',
+    name: 'Logs & Planks',
+    description: 'Logs and sawmill planks',
+    sortOrder: 40,
+    rules: [
+      { pattern: '(^|\\s)(logs|plank)$', priority: 90 }
+    ]
+  },
+  {
+    slug: 'farming',
+    name: 'Herbs & Seeds',
+    description: 'Grimy and clean herbs, seeds and saplings',
+    sortOrder: 50,
+    rules: [
+      {
+        pattern: '^grimy |\\b(seed|seeds|sapling)$|^(guam leaf|marrentill|tarromin|harralander|ranarr weed|toadflax|irit leaf|avantoe|kwuarm|snapdragon|cadantine|lantadyme|dwarf weed|torstol)$',
+        priority: 90
+      }
+    ]
+  },
+  {
+    slug: 'ammunition',
+    name: 'Ammunition',
+    description: 'Arrows, bolts, darts, knives and other thrown weapons',
+    sortOrder: 60,
+    rules: [
+      {
+        pattern: '\\b(arrows?|bolts|darts?|javelins?|knives|knife|thrownaxe|chinchompa)\\b',
+        exclude: '\\b(shafts?|tips?)$',
+        priority: 85
+      }
+    ]
+  },
+  {
+    slug: 'potions',
+    name: 'Potions',
+    description: 'Potions, brews and unfinished potions by dose',
+    sortOrder: 70,
+    rules: [
+      {
+        pattern: '(potion|brew|restore|antifire|antipoison|antidote|anti-venom|mix)\\+*\\s*(\\((\\d|unf)\\))?$',
+        priority: 80
+      }
+    ]
+  },
+  {
+    slug: 'food',
+    name: 'Food',
+    description: 'Raw and cooked fish, baked goods and other consumables',
+    sortOrder: 80,
+    rules: [
+      {
+        pattern: '^(raw |cooked )?(shrimps|anchovies|sardine|herring|trout|pike|salmon|tuna|lobster|bass|swordfish|monkfish|karambwan|shark|sea turtle|manta ray|anglerfish|dark crab)$',
+        priority: 80
+      },
+      { pattern: '\\b(pie|cake|pizza|stew|potato with \\w+|chocolate bar)$', priority: 75 }
+    ]
+  },
+  {
+    slug: 'jewellery',
+    name: 'Jewellery',
+    description: 'Rings, amulets, necklaces and bracelets',
+    sortOrder: 90,
+    rules: [
+      { pattern: '\\b(ring|amulet|necklace|bracelet)\\b', priority: 75 }
+    ]
+  },
+  {
+    slug: 'weapons',
+    name: 'Weapons',
+    description: 'Melee, ranged and magic weapons',
+    sortOrder: 100,
+    rules: [
+      {
+        pattern: '\\b(sword|longsword|2h sword|scimitar|dagger|mace|warhammer|battleaxe|halberd|spear|hasta|whip|bow|shortbow|longbow|crossbow|ballista|staff|battlestaff|wand|claws|maul|rapier|blowpipe|trident|godsword|bulwark|tentacle|scythe|sceptre)\\b',
+        exclude: '(string|stock|limbs|\\(u\\))$',
+        priority: 72
+      }
+    ]
+  },
+  {
+    slug: 'armor',
+    name: 'Armour',
+    description: 'Helmets, bodies, legs, shields and other worn equipment',
+    sortOrder: 110,
+    rules: [
+      {
+        pattern: '\\b(helm|helmet|coif|hood|hat|platebody|chainbody|body|top|chestplate|platelegs|plateskirt|legs|chaps|tassets|skirt|shield|kiteshield|defender|boots|gloves|vambraces|cape|cloak)\\b',
+        priority: 70
+      }
+    ]
+  },
+  {
+    slug: 'resources',
+    name: 'Resources',
+    description: 'Hides, bones, gems, essence and other crafting materials',
+    sortOrder: 120,
+    rules: [
+      {
+        pattern: '\\b(hide|dragonhide|leather|bones|ashes|essence|uncut \\w+|sapphire|emerald|ruby|diamond|dragonstone|onyx|zenyte|feather|flax|(cross)?bow string|clay|seaweed|scales)\\b',
+        priority: 60
+      }
+    ]
+  },
+  {
+    slug: FALLBACK_CATEGORY,
+    name: 'General',
+    description: 'Items no rule or assignment classifies',
+    sortOrder: 1000,
+    rules: []
+  }
+];
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  FALLBACK_CATEGORY
+};
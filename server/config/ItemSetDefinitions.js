@@ -0,0 +1,102 @@
+/**
+ * 🧩 Item Set Definitions - Default Seed
+ *
+ * Context7 Pattern: Data-driven set/pack relationships
+ * - Seeded into the item_sets collection when it is empty; Mongo is the source of truth afterwards
+ * - Armour sets can be exchanged both ways at the GE clerk; packs can only be opened (split)
+ *
+ * Definition format:
+ * - setItemId / name: the set or pack item
+ * - type: 'armour_set' or 'pack'
+ * - reversible: whether the components can be combined back into the set
+ * - components: { itemId, name, quantity } received when the set is split
+ */
+
+function component(itemId, name, quantity = 1) {
+  return { itemId, name, quantity };
+}
+
+function armourSet(setItemId, name, components) {
+  return { setItemId, name, type: 'armour_set', reversible: true, components };
+}
+
+function pack(setItemId, name, itemId, itemName, quantity = 100) {
+  return { setItemId, name, type: 'pack', reversible: false, components: [component(itemId, itemName, quantity)] };
+}
+
+const DEFAULT_ITEM_SETS = [
+  armourSet(13000, 'Mithril set (lg)', [
+    component(1159, 'Mithril full helm'), component(1121, 'Mithril platebody'),
+    component(1071, 'Mithril platelegs'), component(1197, 'Mithril kiteshield')
+  ]),
+  armourSet(13002, 'Mithril set (sk)', [
+    component(1159, 'Mithril full helm'), component(1121, 'Mithril platebody'),
+    component(1085, 'Mithril plateskirt'), component(1197, 'Mithril kiteshield')
+  ]),
+  armourSet(13012, 'Adamant set (lg)', [
+    component(1161, 'Adamant full helm'), component(1123, 'Adamant platebody'),
+    component(1073, 'Adamant platelegs'), component(1199, 'Adamant kiteshield')
+  ]),
+  armourSet(13014, 'Adamant set (sk)', [
+    component(1161, 'Adamant full helm'), component(1123, 'Adamant platebody'),
+    component(1091, 'Adamant plateskirt'), component(1199, 'Adamant kiteshield')
+  ]),
+  armourSet(13024, 'Rune armour set (lg)', [
+    component(1163, 'Rune full helm'), component(1127, 'Rune platebody'),
+    component(1079, 'Rune platelegs'), component(1201, 'Rune kiteshield')
+  ]),
+  armourSet(13026, 'Rune armour set (sk)', [
+    component(1163, 'Rune full helm'), component(1127, 'Rune platebody'),
+    component(1093, 'Rune plateskirt'), component(1201, 'Rune kiteshield')
+  ]),
+  armourSet(21882, 'Dragon armour set (lg)', [
+    component(11335, 'Dragon full helm'), component(21892, 'Dragon platebody'),
+    component(4087, 'Dragon platelegs'), component(21895, 'Dragon kiteshield')
+  ]),
+  armourSet(21885, 'Dragon armour set (sk)', [
+    component(11335, 'Dragon full helm'), component(21892, 'Dragon platebody'),
+    component(4585, 'Dragon plateskirt'), component(21895, 'Dragon kiteshield')
+  ]),
+  armourSet(12873, 'Guthan\'s armour set', [
+    component(4724, 'Guthan\'s helm'), component(4726, 'Guthan\'s warspear'),
+    component(4728, 'Guthan\'s platebody'), component(4730, 'Guthan\'s chainskirt')
+  ]),
+  armourSet(12875, 'Verac\'s armour set', [
+    component(4753, 'Verac\'s helm'), component(4755, 'Verac\'s flail'),
+    component(4757, 'Verac\'s brassard'), component(4759, 'Verac\'s plateskirt')
+  ]),
+  armourSet(12877, 'Dharok\'s armour set', [
+    component(4716, 'Dharok\'s helm'), component(4718, 'Dharok\'s greataxe'),
+    component(4720, 'Dharok\'s platebody'), component(4722, 'Dharok\'s platelegs')
+  ]),
+  armourSet(12879, 'Torag\'s armour set', [
+    component(4745, 'Torag\'s helm'), component(4747, 'Torag\'s hammers'),
+    component(4749, 'Torag\'s platebody'), component(4751, 'Torag\'s platelegs')
+  ]),
+  armourSet(12881, 'Ahrim\'s armour set', [
+    component(4708, 'Ahrim\'s hood'), component(4710, 'Ahrim\'s staff'),
+    component(4712, 'Ahrim\'s robetop'), component(4714, 'Ahrim\'s robeskirt')
+  ]),
+  armourSet(12883, 'Karil\'s armour set', [
+    component(4732, 'Karil\'s coif'), component(4734, 'Karil\'s crossbow'),
+    component(4736, 'Karil\'s leathertop'), component(4738, 'Karil\'s leatherskirt')
+  ]),
+  pack(12728, 'Air rune pack', 556, 'Air rune'),
+  pack(12730, 'Water rune pack', 555, 'Water rune'),
+  pack(12732, 'Earth rune pack', 557, 'Earth rune'),
+  pack(12734, 'Fire rune pack', 554, 'Fire rune'),
+  pack(12736, 'Mind rune pack', 558, 'Mind rune'),
+  pack(12738, 'Chaos rune pack', 562, 'Chaos rune'),
+  pack(11881, 'Feather pack', 314, 'Feather'),
+  pack(11883, 'Bait pack', 313, 'Fishing bait'),
+  pack(11877, 'Empty vial pack', 229, 'Vial'),
+  pack(11879, 'Water-filled vial pack', 227, 'Vial of water'),
+  pack(12859, 'Eye of newt pack', 221, 'Eye of newt'),
+  pack(12641, 'Amylase pack', 12640, 'Amylase crystal'),
+  pack(11885, 'Broad arrowhead pack', 11874, 'Broad arrowheads'),
+  pack(11887, 'Unfinished broad bolt pack', 11876, 'Unfinished broad bolts')
+];
+
+module.exports = {
+  DEFAULT_ITEM_SETS
+};
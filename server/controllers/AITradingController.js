@@ -12,6 +12,8 @@ const { BaseController } = require('./BaseController');
 const { AITradingOrchestratorService } = require('../services/AITradingOrchestratorService');
 const { TradingAnalysisService } = require('../services/TradingAnalysisService');
 const { validateRequest } = require('../validators/AITradingValidator');
+const { listRewardFunctions } = require('../services/ai/rewards/RewardFunctions');
+const { getTradingSessionService } = require('../services/ai/TradingSessionService');
 
 class AITradingController extends BaseController {
   constructor(dependencies = {}) {
@@ -20,7 +22,14 @@ class AITradingController extends BaseController {
     // SOLID: Dependency Injection (DIP) - Eliminates direct dependency violation
     this.aiTradingService = dependencies.aiTradingService || new AITradingOrchestratorService();
     this.tradingAnalysisService = dependencies.tradingAnalysisService || new TradingAnalysisService();
+    this.sessionService = dependencies.sessionService || getTradingSessionService();
+    // One orchestrator per session, all sharing the session store
+    this.createOrchestrator = dependencies.createOrchestrator || (() => new AITradingOrchestratorService({
+      sessionService: this.sessionService,
+      modelRegistry: dependencies.modelRegistry
+    }));
     this.orchestratorInstances = new Map(); // Multiple orchestrator instances
+    this.restoration = null;
 
     // Default neural network configuration
     this.defaultNetworkConfig = {
@@ -54,32 +63,37 @@ class AITradingController extends BaseController {
    */
   startTradingSession = this.createPostEndpoint(
     async(sessionData) => {
+      await this.restoreSessions();
+
       // Create new orchestrator instance
-      const orchestrator = new AITradingOrchestratorService(
-        sessionData.networkConfig,
-        sessionData.adaptiveConfig
-      );
-      const sessionId = orchestrator.startLearningSession();
+      const orchestrator = this.createOrchestrator();
+      orchestrator.setAdaptiveConfig(sessionData.adaptiveConfig);
+      const session = await orchestrator.startTradingSession({}, {
+        sessionName: sessionData.sessionName,
+        networkConfig: sessionData.networkConfig,
+        createdBy: sessionData.metadata.clientIp
+      });
 
       // Store orchestrator instance
-      this.orchestratorInstances.set(sessionId, {
+      this.orchestratorInstances.set(session.sessionId, {
         orchestrator,
         sessionName: sessionData.sessionName,
-        createdAt: Date.now(),
+        createdAt: session.startTime,
         createdBy: sessionData.metadata.clientIp
       });
 
       return {
-        sessionId,
+        sessionId: session.sessionId,
         sessionName: sessionData.sessionName,
         networkConfig: sessionData.networkConfig,
-        adaptiveConfig: sessionData.adaptiveConfig,
-        status: 'TRAINING'
+        adaptiveConfig: session.adaptiveConfig,
+        status: session.status,
+        createdAt: session.startTime
       };
     },
     {
       operationName: 'start AI trading session',
-      validator: () => validateRequest.startTradingSession(req.body),
+      validator: (req) => validateRequest.startTradingSession(req.body),
       parseBody: (req) => {
         const {
           networkConfig = this.defaultNetworkConfig,
@@ -108,23 +122,21 @@ class AITradingController extends BaseController {
    */
   stopTradingSession = this.createDeleteEndpoint(
     async(sessionId) => {
-      const sessionInstance = this.orchestratorInstances.get(sessionId);
-      // DRY: Use BaseController validation utility
-      this.validateService(sessionInstance, 'Trading session', sessionId);
-
-      // Stop the session
-      await sessionInstance.orchestrator.finishLearningSession();
+      const sessionInstance = await this.getSessionInstance(sessionId);
 
-      // Get final performance data
-      const finalPerformance = sessionInstance.orchestrator.getPerformanceAnalytics();
+      // Stop the session; it stays in the session history
+      const result = await sessionInstance.orchestrator.stopTradingSession(sessionId);
 
       // Remove from active sessions
       this.orchestratorInstances.delete(sessionId);
 
       return {
         sessionId,
-        status: 'STOPPED',
-        finalPerformance
+        status: result.status,
+        finalPerformance: {
+          metrics: result.finalMetrics,
+          learning: result.learningMetrics
+        }
       };
     },
     {
@@ -141,21 +153,12 @@ class AITradingController extends BaseController {
     async(sessionData) => {
       const { sessionId } = sessionData;
 
-      const sessionInstance = this.orchestratorInstances.get(sessionId);
-      // DRY: Use BaseController validation utility
-      this.validateService(sessionInstance, 'Trading session', sessionId);
-
-      sessionInstance.orchestrator.pauseLearningSession();
-
-      return {
-        sessionId,
-        status: 'PAUSED'
-      };
+      const sessionInstance = await this.getSessionInstance(sessionId);
+      return sessionInstance.orchestrator.setSessionStatus(sessionId, 'PAUSED');
     },
     {
       operationName: 'pause AI trading session',
-      resourceIdParam: 'sessionId',
-      parseParams: (req) => ({ sessionId: req.params.sessionId })
+      parseBody: (req) => ({ sessionId: req.params.sessionId })
     }
   );
 
@@ -167,21 +170,12 @@ class AITradingController extends BaseController {
     async(sessionData) => {
       const { sessionId } = sessionData;
 
-      const sessionInstance = this.orchestratorInstances.get(sessionId);
-      // DRY: Use BaseController validation utility
-      this.validateService(sessionInstance, 'Trading session', sessionId);
-
-      sessionInstance.orchestrator.resumeLearningSession();
-
-      return {
-        sessionId,
-        status: 'TRAINING'
-      };
+      const sessionInstance = await this.getSessionInstance(sessionId);
+      return sessionInstance.orchestrator.setSessionStatus(sessionId, 'TRAINING');
     },
     {
       operationName: 'resume AI trading session',
-      resourceIdParam: 'sessionId',
-      parseParams: (req) => ({ sessionId: req.params.sessionId })
+      parseBody: (req) => ({ sessionId: req.params.sessionId })
     }
   );
 
@@ -193,20 +187,18 @@ class AITradingController extends BaseController {
     async(marketData) => {
       const { sessionId, items } = marketData;
 
-      const sessionInstance = this.orchestratorInstances.get(sessionId);
-      // DRY: Use BaseController validation utility
-      this.validateService(sessionInstance, 'Trading session', sessionId);
+      const sessionInstance = await this.getSessionInstance(sessionId);
 
       // DRY: Use BaseController validation utility
       this.validateNonEmptyArray(items, 'Items array');
 
-      const actions = await sessionInstance.orchestrator.processMarketData(items);
+      const result = await sessionInstance.orchestrator.processMarketData(sessionId, items);
 
       return {
         sessionId,
         processedItems: items.length,
-        actionsGenerated: actions.length,
-        actions
+        actionsGenerated: result.decisions.length,
+        actions: result.decisions
       };
     },
     {
@@ -227,11 +219,8 @@ class AITradingController extends BaseController {
     async(params) => {
       const { sessionId } = params;
 
-      const sessionInstance = this.orchestratorInstances.get(sessionId);
-      // DRY: Use BaseController validation utility
-      this.validateService(sessionInstance, 'Trading session', sessionId);
-
-      return sessionInstance.orchestrator.getTrainingProgress();
+      const sessionInstance = await this.getSessionInstance(sessionId);
+      return sessionInstance.orchestrator.getSessionStatus(sessionId);
     },
     {
       operationName: 'get training progress',
@@ -242,16 +231,26 @@ class AITradingController extends BaseController {
   /**
    * Context7 Pattern: Get performance analytics
    * GET /api/ai-trading/sessions/:sessionId/analytics
+   * Sessions do not track market conditions or metric history, so those sections are empty
    */
   getPerformanceAnalytics = this.createGetEndpoint(
     async(params) => {
       const { sessionId } = params;
 
-      const sessionInstance = this.orchestratorInstances.get(sessionId);
-      // DRY: Use BaseController validation utility
-      this.validateService(sessionInstance, 'Trading session', sessionId);
+      const sessionInstance = await this.getSessionInstance(sessionId);
+      const { session, learning, performance } = await sessionInstance.orchestrator.getSessionStatus(sessionId);
 
-      return sessionInstance.orchestrator.getPerformanceAnalytics();
+      return {
+        sessionId,
+        overall: { ...session.performance, ...performance },
+        byMarketCondition: [],
+        recentTrends: [],
+        modelEvolution: {
+          modelId: session.modelId || null,
+          rewardFunction: session.rewardFunction,
+          learning
+        }
+      };
     },
     {
       operationName: 'get performance analytics',
@@ -259,20 +258,27 @@ class AITradingController extends BaseController {
     }
   );
 
+  /**
+   * Context7 Pattern: Available reward functions, their versions and default parameters
+   * GET /api/ai-trading/reward-functions
+   */
+  getRewardFunctions = this.createGetEndpoint(
+    async() => listRewardFunctions(),
+    { operationName: 'fetch reward functions' }
+  );
+
   /**
    * Context7 Pattern: Update adaptive configuration
    * PUT /api/ai-trading/sessions/:sessionId/adaptive-config
+   * config.rewardFunction ({ name, version, params }) switches the session's reward function
+   * The config is stored with the session and restored after a restart
    */
   updateAdaptiveConfig = this.createPostEndpoint(
     async(configData) => {
       const { sessionId, config } = configData;
 
-      const sessionInstance = this.orchestratorInstances.get(sessionId);
-      // DRY: Use BaseController validation utility
-      this.validateService(sessionInstance, 'Trading session', sessionId);
-
-      sessionInstance.orchestrator.setAdaptiveConfig(config);
-      const updatedConfig = sessionInstance.orchestrator.getAdaptiveConfig();
+      const sessionInstance = await this.getSessionInstance(sessionId);
+      const updatedConfig = await sessionInstance.orchestrator.updateAdaptiveConfig(sessionId, config);
 
       return {
         sessionId,
@@ -291,49 +297,52 @@ class AITradingController extends BaseController {
   /**
    * Context7 Pattern: Save model
    * POST /api/ai-trading/sessions/:sessionId/save-model
+   * Registers the session's in-process model in the model registry; promote it via /api/models
    */
-  saveModel = this.createGetEndpoint(
-    async(params) => {
-      const { sessionId } = params;
+  saveModel = this.createPostEndpoint(
+    async(saveData) => {
+      const { sessionId, options } = saveData;
 
-      const sessionInstance = this.orchestratorInstances.get(sessionId);
-      // DRY: Use BaseController validation utility
-      this.validateService(sessionInstance, 'Trading session', sessionId);
+      const sessionInstance = await this.getSessionInstance(sessionId);
 
-      const modelData = sessionInstance.orchestrator.saveModel();
+      const model = await sessionInstance.orchestrator.saveModel(options);
 
       return {
         sessionId,
-        modelData,
-        modelSize: modelData.length,
+        model,
         savedAt: Date.now()
       };
     },
     {
       operationName: 'save AI model',
-      parseParams: (req) => ({ sessionId: req.params.sessionId })
+      parseBody: (req) => ({
+        sessionId: req.params.sessionId,
+        options: {
+          modelId: req.body?.modelId,
+          version: req.body?.version,
+          description: req.body?.description,
+          tags: req.body?.tags
+        }
+      })
     }
   );
 
   /**
    * Context7 Pattern: Load model
    * POST /api/ai-trading/sessions/:sessionId/load-model
+   * Pins the session to a registered model; without modelId it follows the production model again
    */
   loadModel = this.createPostEndpoint(
     async(loadData) => {
-      const { sessionId, modelData } = loadData;
-
-      const sessionInstance = this.orchestratorInstances.get(sessionId);
-      // DRY: Use BaseController validation utility
-      this.validateService(sessionInstance, 'Trading session', sessionId);
+      const { sessionId, modelId } = loadData;
 
-      // DRY: Use BaseController validation utility
-      this.validateRequiredParams({ modelData }, ['modelData']);
-
-      sessionInstance.orchestrator.loadModel(modelData);
+      const sessionInstance = await this.getSessionInstance(sessionId);
+      const model = await sessionInstance.orchestrator.loadModel(modelId, sessionId);
 
       return {
         sessionId,
+        model,
+        followsProduction: !modelId,
         loadedAt: Date.now()
       };
     },
@@ -341,24 +350,24 @@ class AITradingController extends BaseController {
       operationName: 'load AI model',
       parseBody: (req) => ({
         sessionId: req.params.sessionId,
-        modelData: req.body.modelData
+        modelId: req.body?.modelId || null
       })
     }
   );
 
   /**
-   * Context7 Pattern: Export training data
+   * Context7 Pattern: Export a session's audit trail
    * GET /api/ai-trading/sessions/:sessionId/export
+   * Decisions with their input features and outcomes, plus the replay memory, a page at a
+   * time (limit/offset); works for stopped sessions too
    */
   exportTrainingData = this.createGetEndpoint(
     async(params) => {
-      const { sessionId } = params;
+      const { sessionId, ...page } = params;
 
-      const sessionInstance = this.orchestratorInstances.get(sessionId);
-      // DRY: Use BaseController validation utility
-      this.validateService(sessionInstance, 'Trading session', sessionId);
-
-      const exportData = sessionInstance.orchestrator.exportTrainingData();
+      const exportData = this.validateService(
+        await this.sessionService.exportSession(sessionId, page), 'Trading session', sessionId
+      );
 
       return {
         sessionId,
@@ -368,7 +377,11 @@ class AITradingController extends BaseController {
     },
     {
       operationName: 'export training data',
-      parseParams: (req) => ({ sessionId: req.params.sessionId })
+      parseParams: (req) => ({
+        sessionId: req.params.sessionId,
+        limit: req.query.limit ? parseInt(req.query.limit) : undefined,
+        offset: req.query.offset ? parseInt(req.query.offset) : undefined
+      })
     }
   );
 
@@ -433,12 +446,14 @@ class AITradingController extends BaseController {
    */
   getSystemStatus = this.createGetEndpoint(
     async() => {
+      await this.restoreSessions();
+
       const systemStatus = {
         activeSessions: this.orchestratorInstances.size,
         sessions: Array.from(this.orchestratorInstances.entries()).map(([sessionId, instance]) => ({
           sessionId,
           sessionName: instance.sessionName,
-          status: instance.orchestrator.getCurrentSession()?.status || 'UNKNOWN',
+          status: this.sessionService.getSession(sessionId)?.status || 'UNKNOWN',
           createdAt: instance.createdAt,
           createdBy: instance.createdBy,
           systemStatus: instance.orchestrator.getSystemStatus()
@@ -465,12 +480,15 @@ class AITradingController extends BaseController {
    */
   getActiveSessions = this.createGetEndpoint(
     async() => {
+      await this.restoreSessions();
+
       const sessions = Array.from(this.orchestratorInstances.entries()).map(([sessionId, instance]) => ({
         sessionId,
         sessionName: instance.sessionName,
+        status: this.sessionService.getSession(sessionId)?.status || 'UNKNOWN',
         createdAt: instance.createdAt,
         createdBy: instance.createdBy,
-        currentSession: instance.orchestrator.getCurrentSession(),
+        currentSession: this.sessionService.getSessionSummary(sessionId),
         systemStatus: instance.orchestrator.getSystemStatus()
       }));
 
@@ -481,6 +499,77 @@ class AITradingController extends BaseController {
     },
     { operationName: 'get active sessions' }
   );
+
+  /**
+   * Context7 Pattern: Session history, including stopped sessions
+   * GET /api/ai-trading/sessions/history
+   */
+  getSessionHistory = this.createGetEndpoint(
+    async(params) => {
+      const sessions = await this.sessionService.listSessions(params);
+      return {
+        sessions,
+        totalSessions: sessions.length
+      };
+    },
+    {
+      operationName: 'get session history',
+      parseParams: (req) => ({
+        status: req.query.status,
+        limit: req.query.limit
+      })
+    }
+  );
+
+  /**
+   * Running session's orchestrator, restoring sessions from a previous process first
+   * @throws {Error} 404 error when the session is not running
+   */
+  async getSessionInstance(sessionId) {
+    await this.restoreSessions();
+    // DRY: Use BaseController validation utility
+    return this.validateService(this.orchestratorInstances.get(sessionId), 'Trading session', sessionId);
+  }
+
+  /**
+   * Context7 Pattern: Resume the sessions a previous process left running (runs once)
+   */
+  restoreSessions() {
+    if (!this.restoration) {
+      this.restoration = this.restoreRunningSessions().catch((error) => {
+        this.restoration = null;
+        throw error;
+      });
+    }
+    return this.restoration;
+  }
+
+  async restoreRunningSessions() {
+    const sessions = await this.sessionService.getRunningSessions();
+
+    for (const session of sessions) {
+      if (this.orchestratorInstances.has(session.id)) {
+        continue;
+      }
+      // One broken session must not keep the others from resuming
+      try {
+        const orchestrator = this.createOrchestrator();
+        await orchestrator.restoreSession(session.id);
+        this.orchestratorInstances.set(session.id, {
+          orchestrator,
+          sessionName: session.sessionName,
+          createdAt: session.startTime,
+          createdBy: session.createdBy
+        });
+      } catch (error) {
+        this.logger.error('Failed to restore trading session', error, { sessionId: session.id });
+      }
+    }
+
+    if (sessions.length > 0) {
+      this.logger.info('Restored trading sessions', { count: this.orchestratorInstances.size });
+    }
+  }
 }
 
 module.exports = { AITradingController };
@@ -0,0 +1,42 @@
+/**
+ * 🧪 Alch Scanner Controller - Context7 Optimized with BaseController
+ *
+ * Context7 Pattern: Controller Layer for the High Alchemy Scanner
+ * - Extends BaseController for DRY principles
+ * - Query parsing only; pricing, throughput and ranking history live in AlchScannerService
+ */
+
+const { BaseController } = require('./BaseController');
+const { AlchScannerService } = require('../services/alchemy/AlchScannerService');
+
+class AlchScannerController extends BaseController {
+  constructor(dependencies = {}) {
+    super('AlchScannerController');
+
+    // SOLID: Dependency Injection (DIP)
+    this.alchScannerService = dependencies.alchScannerService || new AlchScannerService();
+  }
+
+  /**
+   * Context7 Pattern: Items ranked by live high alchemy profit
+   * GET /api/market-data/alchemy/scan
+   */
+  scan = this.createGetEndpoint(
+    (options) => this.alchScannerService.scan(options),
+    {
+      operationName: 'scan high alchemy profits',
+      parseParams: (req) => ({
+        sortBy: req.query.sortBy,
+        limit: req.query.limit ? parseInt(req.query.limit) : undefined,
+        minProfit: req.query.minProfit !== undefined ? Number(req.query.minProfit) : undefined,
+        members: req.query.members !== undefined ? req.query.members === 'true' : undefined
+      }),
+      logSuccessData: (result) => ({
+        itemCount: result.items.length,
+        natureRunePrice: result.natureRune.price
+      })
+    }
+  );
+}
+
+module.exports = { AlchScannerController };
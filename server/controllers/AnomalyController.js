@@ -0,0 +1,43 @@
+/**
+ * 🚨 Anomaly Controller - Context7 Optimized with BaseController
+ *
+ * Context7 Pattern: Controller Layer for Flagged Market Anomalies
+ * - Extends BaseController for DRY principles
+ * - Read-only listing; detection runs in MarketDataScheduler after each sync
+ */
+
+const { BaseController } = require('./BaseController');
+const { getAnomalyDetectionService } = require('../services/anomalies/AnomalyDetectionService');
+
+class AnomalyController extends BaseController {
+  constructor(dependencies = {}) {
+    super('AnomalyController');
+
+    // SOLID: Dependency Injection (DIP)
+    this.anomalyService = dependencies.anomalyService || getAnomalyDetectionService();
+  }
+
+  /**
+   * Context7 Pattern: Flagged price/volume anomalies, newest first
+   * GET /api/market-data/analytics/anomalies
+   */
+  getAnomalies = this.createGetEndpoint(
+    (options) => this.anomalyService.getAnomalies(options),
+    {
+      operationName: 'fetch market anomalies',
+      parseParams: (req) => ({
+        interval: req.query.interval,
+        severity: req.query.severity,
+        itemId: req.query.itemId ? parseInt(req.query.itemId) : undefined,
+        since: req.query.since ? parseInt(req.query.since) : undefined,
+        limit: req.query.limit ? parseInt(req.query.limit) : undefined
+      }),
+      logSuccessData: (result) => ({
+        anomalyCount: result.anomalies.length,
+        total: result.total
+      })
+    }
+  );
+}
+
+module.exports = { AnomalyController };
@@ -11,6 +11,7 @@
 const { BaseController } = require('./BaseController');
 const { AutoTrainingService } = require('../services/AutoTrainingService');
 const { AutoTrainingValidator } = require('../validators/AutoTrainingValidator');
+const { ErrorHandler } = require('../middleware/ErrorHandler');
 
 class AutoTrainingController extends BaseController {
   constructor(dependencies = {}) {
@@ -78,7 +79,7 @@ class AutoTrainingController extends BaseController {
       this.validateService(service, 'Auto training service for user', userId);
 
       const finalStatus = service.getStatus();
-      service.stop();
+      await service.stop();
       this.trainingServices.delete(userId);
 
       return {
@@ -212,74 +213,65 @@ class AutoTrainingController extends BaseController {
 
   /**
    * Context7 Pattern: Save AI model
+   * Registers the trained model in the model registry; promote it via /api/models
    */
-  saveModel = this.createGetEndpoint(
-    async(params) => {
-      const { userId } = params;
+  saveModel = this.createPostEndpoint(
+    async(saveData) => {
+      const { userId, options } = saveData;
 
       const service = this.trainingServices.get(userId);
       // DRY: Use BaseController validation utility
       this.validateService(service, 'Auto training service for user', userId);
 
-      const modelData = service.saveModel();
-      if (!modelData) {
-        // DRY: Use ErrorHandler for server error
-        throw ErrorHandler.createError(
-          'Failed to save model - no model data returned',
-          500,
-          null,
-          'SERVER_ERROR'
-        );
-      }
+      const model = await service.saveModel(options);
 
       return {
         userId,
-        modelData,
-        modelSize: modelData.length,
+        model,
         savedAt: new Date().toISOString()
       };
     },
     {
       operationName: 'save AI model',
-      parseParams: (req) => ({
-        userId: req.user?.userId || 'default'
+      parseBody: (req) => ({
+        userId: req.user?.userId || 'default',
+        options: {
+          modelId: req.body?.modelId,
+          version: req.body?.version,
+          description: req.body?.description,
+          tags: req.body?.tags
+        }
       })
     }
   );
 
   /**
    * Context7 Pattern: Load AI model
+   * Pins a registered model; without modelId training follows the production model again
    */
   loadModel = this.createPostEndpoint(
     async(loadData) => {
-      const { userId, modelData } = loadData;
+      const { userId, modelId } = loadData;
 
       const service = this.trainingServices.get(userId);
       // DRY: Use BaseController validation utility
       this.validateService(service, 'Auto training service for user', userId);
 
-      service.loadModel(modelData);
+      const model = await service.loadModel(modelId);
 
       return {
         userId,
-        modelSize: modelData.length,
+        model,
+        followsProduction: !modelId,
         loadedAt: new Date().toISOString()
       };
     },
     {
       operationName: 'load AI model',
-      parseBody: (req) => {
-        const { modelData } = req.body;
-
-        if (!modelData) {
-          throw new Error('Model data is required');
-        }
-
-        return {
-          userId: req.user?.userId || 'default',
-          modelData
-        };
-      }
+      parseBody: (req) => ({
+        userId: req.user?.userId || 'default',
+        modelId: req.body?.modelId || null
+      })
     }
   );
 
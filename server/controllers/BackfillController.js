@@ -0,0 +1,119 @@
+/**
+ * 📥 Backfill Controller - Context7 Optimized with BaseController
+ *
+ * Context7 Pattern: Controller Layer for Historical Backfill Jobs
+ * - Extends BaseController for DRY principles
+ * - Start, pause, resume and inspect jobs; the work runs in BackfillJobService
+ */
+
+const { BaseController } = require('./BaseController');
+const { getBackfillJobService } = require('../services/backfill/BackfillJobService');
+
+class BackfillController extends BaseController {
+  constructor(dependencies = {}) {
+    super('BackfillController');
+
+    // SOLID: Dependency Injection (DIP)
+    this.backfillService = dependencies.backfillService || getBackfillJobService();
+  }
+
+  /**
+   * Context7 Pattern: Start a backfill job
+   * POST /api/scraper/backfills
+   */
+  startBackfill = this.createPostEndpoint(
+    async(options) => this.backfillService.startBackfill(options),
+    {
+      operationName: 'start backfill',
+      parseBody: (req) => ({
+        itemIds: req.body.itemIds ? req.body.itemIds.map(Number) : undefined,
+        timestep: req.body.timestep,
+        lookbackDays: req.body.lookbackDays,
+        priority: req.body.priority,
+        requestedBy: req.body.requestedBy
+      })
+    }
+  );
+
+  /**
+   * Context7 Pattern: List backfill jobs
+   * GET /api/scraper/backfills
+   */
+  getBackfills = this.createGetEndpoint(
+    async(params) => this.backfillService.getBackfills(params),
+    {
+      operationName: 'fetch backfills',
+      parseParams: (req) => ({
+        status: req.query.status,
+        limit: req.query.limit ? parseInt(req.query.limit) : undefined
+      })
+    }
+  );
+
+  /**
+   * Context7 Pattern: Job progress, queue counts and failures
+   * GET /api/scraper/backfills/:jobId
+   */
+  getBackfill = this.createGetEndpoint(
+    async({ jobId }) => this.validateService(
+      await this.backfillService.getBackfill(jobId), 'Backfill', jobId
+    ),
+    {
+      operationName: 'fetch backfill',
+      parseParams: (req) => ({ jobId: req.params.jobId })
+    }
+  );
+
+  /**
+   * Context7 Pattern: Per-item progress
+   * GET /api/scraper/backfills/:jobId/items
+   */
+  getBackfillItems = this.createGetEndpoint(
+    async({ jobId, ...options }) => this.validateService(
+      await this.backfillService.getBackfillItems(jobId, options), 'Backfill', jobId
+    ),
+    {
+      operationName: 'fetch backfill items',
+      parseParams: (req) => ({
+        jobId: req.params.jobId,
+        status: req.query.status,
+        limit: req.query.limit ? parseInt(req.query.limit) : undefined,
+        offset: req.query.offset ? parseInt(req.query.offset) : undefined
+      }),
+      logSuccessData: (result) => ({
+        itemCount: result.items.length,
+        total: result.total
+      })
+    }
+  );
+
+  /**
+   * Context7 Pattern: Pause after the item in progress
+   * POST /api/scraper/backfills/:jobId/pause
+   */
+  pauseBackfill = this.createGetEndpoint(
+    async({ jobId }) => this.validateService(
+      await this.backfillService.pauseBackfill(jobId), 'Backfill', jobId
+    ),
+    {
+      operationName: 'pause backfill',
+      parseParams: (req) => ({ jobId: req.params.jobId })
+    }
+  );
+
+  /**
+   * Context7 Pattern: Resume a paused or interrupted job
+   * POST /api/scraper/backfills/:jobId/resume
+   */
+  resumeBackfill = this.createGetEndpoint(
+    async({ jobId }) => this.validateService(
+      await this.backfillService.resumeBackfill(jobId), 'Backfill', jobId
+    ),
+    {
+      operationName: 'resume backfill',
+      parseParams: (req) => ({ jobId: req.params.jobId })
+    }
+  );
+}
+
+module.exports = { BackfillController };
@@ -0,0 +1,117 @@
+/**
+ * 📈 Backtest Controller - Context7 Optimized with BaseController
+ *
+ * Context7 Pattern: Controller Layer for Backtest Jobs
+ * - Extends BaseController for DRY principles
+ * - Job creation, status polling and results retrieval
+ * - SOLID principles with single responsibility
+ */
+
+const { BaseController } = require('./BaseController');
+const { BacktestService } = require('../services/backtesting/BacktestService');
+const { ErrorHandler } = require('../middleware/ErrorHandler');
+
+class BacktestController extends BaseController {
+  constructor(dependencies = {}) {
+    super('BacktestController');
+
+    // SOLID: Dependency Injection (DIP)
+    this.backtestService = dependencies.backtestService || new BacktestService();
+  }
+
+  /**
+   * Context7 Pattern: Queue a backtest
+   * POST /api/backtests
+   */
+  createBacktest = this.createPostEndpoint(
+    async(config) => {
+      if (Number.isNaN(config.startTime) || Number.isNaN(config.endTime)) {
+        throw ErrorHandler.createValidationError('startTime and endTime must be ISO dates or epoch milliseconds');
+      }
+      if (config.startTime && config.endTime && config.startTime >= config.endTime) {
+        throw ErrorHandler.createValidationError('startTime must be before endTime');
+      }
+      return this.backtestService.createBacktest(config);
+    },
+    {
+      operationName: 'create backtest',
+      parseBody: (req) => ({
+        strategy: req.body.strategy,
+        strategyParams: req.body.strategyParams || {},
+        itemIds: req.body.itemIds.map(Number),
+        interval: req.body.interval,
+        startTime: this.parseTimestamp(req.body.startTime),
+        endTime: this.parseTimestamp(req.body.endTime),
+        initialCapital: req.body.initialCapital,
+        slippagePercent: req.body.slippagePercent,
+        volumeParticipation: req.body.volumeParticipation,
+        userId: req.body.userId
+      })
+    }
+  );
+
+  /**
+   * Context7 Pattern: List backtests
+   * GET /api/backtests
+   */
+  getBacktests = this.createGetEndpoint(
+    async(params) => this.backtestService.getBacktests(params),
+    {
+      operationName: 'fetch backtests',
+      parseParams: (req) => ({
+        userId: req.query.userId,
+        status: req.query.status,
+        limit: req.query.limit
+      })
+    }
+  );
+
+  /**
+   * Context7 Pattern: Available strategies
+   * GET /api/backtests/strategies
+   */
+  getStrategies = this.createGetEndpoint(
+    async() => this.backtestService.getStrategies(),
+    { operationName: 'fetch backtest strategies' }
+  );
+
+  /**
+   * Context7 Pattern: Job status and progress
+   * GET /api/backtests/:jobId
+   */
+  getBacktest = this.createGetEndpoint(
+    async({ jobId }) => this.validateService(
+      await this.backtestService.getBacktest(jobId), 'Backtest', jobId
+    ),
+    {
+      operationName: 'fetch backtest',
+      parseParams: (req) => ({ jobId: req.params.jobId })
+    }
+  );
+
+  /**
+   * Context7 Pattern: Completed job results
+   * GET /api/backtests/:jobId/results
+   */
+  getBacktestResults = this.createGetEndpoint(
+    async({ jobId }) => {
+      const job = this.validateService(
+        await this.backtestService.getBacktestResults(jobId), 'Backtest', jobId
+      );
+      if (job.status !== 'completed') {
+        throw ErrorHandler.createError(
+          `Backtest ${jobId} is ${job.status}; results are available once it completes`,
+          409,
+          { status: job.status, progress: job.progress, error: job.error }
+        );
+      }
+      return job;
+    },
+    {
+      operationName: 'fetch backtest results',
+      parseParams: (req) => ({ jobId: req.params.jobId })
+    }
+  );
+}
+
+module.exports = { BacktestController };
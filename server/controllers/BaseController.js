@@ -266,6 +266,17 @@ class BaseController {
     return ParameterParser.parseExportQuery(req.query);
   }
 
+  /**
+   * Context7 Pattern: Accept epoch milliseconds or ISO strings
+   * @returns {number|undefined} Epoch milliseconds (NaN when unparseable)
+   */
+  parseTimestamp(value) {
+    if (value === undefined || value === null || value === '') {
+      return undefined;
+    }
+    return /^\d+$/.test(String(value)) ? Number(value) : new Date(value).getTime();
+  }
+
   // =============================================================================
   // SIMPLIFIED ENDPOINT CREATION METHODS
   // =============================================================================
@@ -0,0 +1,78 @@
+/**
+ * 🕯️ Candle Controller - Context7 Optimized with BaseController
+ *
+ * Context7 Pattern: Controller Layer for OHLCV Candles
+ * - Extends BaseController for DRY principles
+ * - Range and resolution validation; aggregation and indicators live in CandleService
+ */
+
+const { BaseController } = require('./BaseController');
+const { CandleService } = require('../services/candles/CandleService');
+const { ErrorHandler } = require('../middleware/ErrorHandler');
+
+class CandleController extends BaseController {
+  constructor(dependencies = {}) {
+    super('CandleController');
+
+    // SOLID: Dependency Injection (DIP)
+    this.candleService = dependencies.candleService || new CandleService();
+  }
+
+  /**
+   * Context7 Pattern: OHLCV candles with explicit gaps
+   * GET /api/market-data/:itemId/candles
+   */
+  getCandles = this.createGetEndpoint(
+    async({ itemId, ...options }) => {
+      this.validateRange(options);
+      return this.candleService.getCandles(itemId, options);
+    },
+    {
+      operationName: 'fetch candles',
+      parseParams: (req) => this.parseCandleQuery(req),
+      logSuccessData: (result) => ({ candleCount: result.candles.length, gapCount: result.gaps.length })
+    }
+  );
+
+  /**
+   * Context7 Pattern: Indicator overlays (SMA, EMA, RSI, MACD, Bollinger Bands) for the same ranges
+   * GET /api/market-data/:itemId/indicators
+   */
+  getIndicators = this.createGetEndpoint(
+    async({ itemId, ...options }) => {
+      this.validateRange(options);
+      return this.candleService.getIndicators(itemId, options);
+    },
+    {
+      operationName: 'fetch indicators',
+      parseParams: (req) => ({
+        ...this.parseCandleQuery(req),
+        indicators: req.query.indicators ? req.query.indicators.split(',').map(name => name.trim()) : undefined,
+        smaPeriod: req.query.smaPeriod ? parseInt(req.query.smaPeriod) : undefined,
+        emaPeriod: req.query.emaPeriod ? parseInt(req.query.emaPeriod) : undefined
+      }),
+      logSuccessData: (result) => ({ pointCount: result.points.length, indicators: result.indicators })
+    }
+  );
+
+  parseCandleQuery(req) {
+    return {
+      itemId: parseInt(req.params.itemId),
+      resolution: req.query.resolution,
+      startTime: this.parseTimestamp(req.query.startTime),
+      endTime: this.parseTimestamp(req.query.endTime),
+      limit: req.query.limit ? parseInt(req.query.limit) : undefined
+    };
+  }
+
+  validateRange({ startTime, endTime }) {
+    if (Number.isNaN(startTime) || Number.isNaN(endTime)) {
+      throw ErrorHandler.createValidationError('startTime and endTime must be ISO dates or epoch milliseconds');
+    }
+    if (startTime !== undefined && endTime !== undefined && startTime >= endTime) {
+      throw ErrorHandler.createValidationError('startTime must be before endTime');
+    }
+  }
+}
+
+module.exports = { CandleController };
@@ -0,0 +1,98 @@
+/**
+ * 🗂️ Category Controller - Context7 Optimized with BaseController
+ *
+ * Context7 Pattern: Controller Layer for the Item Category Taxonomy
+ * - Extends BaseController for DRY principles
+ * - Taxonomy listing, per-item explanations and admin overrides; storage lives in ItemCategoryService
+ */
+
+const { BaseController } = require('./BaseController');
+const { getItemCategoryService } = require('../services/categories/ItemCategoryService');
+
+class CategoryController extends BaseController {
+  constructor(dependencies = {}) {
+    super('CategoryController');
+
+    // SOLID: Dependency Injection (DIP)
+    this.categoryService = dependencies.categoryService || getItemCategoryService();
+  }
+
+  /**
+   * Context7 Pattern: Category taxonomy with optional item counts
+   * GET /api/market-data/categories
+   */
+  getCategories = this.createGetEndpoint(
+    (options) => this.categoryService.getCategories(options),
+    {
+      operationName: 'fetch categories',
+      parseParams: (req) => ({ includeStats: req.query.includeStats === 'true' })
+    }
+  );
+
+  /**
+   * GET /api/market-data/categories/assignments
+   */
+  getAssignments = this.createGetEndpoint(
+    (options) => this.categoryService.getAssignments(options),
+    {
+      operationName: 'fetch category assignments',
+      parseParams: (req) => ({
+        category: req.query.category,
+        limit: Math.min(parseInt(req.query.limit) || 100, 500)
+      })
+    }
+  );
+
+  /**
+   * Context7 Pattern: Which assignment or rule decided an item's category
+   * GET /api/market-data/categories/items/:itemId
+   */
+  explainItem = this.createGetEndpoint(
+    async({ itemId }) => this.validateService(
+      await this.categoryService.explainItem(itemId), 'Item', itemId
+    ),
+    {
+      operationName: 'explain item category',
+      parseParams: (req) => ({ itemId: parseInt(req.params.itemId) })
+    }
+  );
+
+  /**
+   * Context7 Pattern: Admin override of one item's category
+   * PUT /api/market-data/categories/items/:itemId
+   */
+  assignCategory = this.createGetEndpoint(
+    async({ itemId, category, reason, assignedBy }) => this.validateService(
+      await this.categoryService.assignCategory(itemId, category, { reason, assignedBy }), 'Item', itemId
+    ),
+    {
+      operationName: 'assign item category',
+      parseParams: (req) => ({
+        itemId: parseInt(req.params.itemId),
+        category: req.body.category,
+        reason: req.body.reason || null,
+        assignedBy: req.body.assignedBy || 'admin'
+      })
+    }
+  );
+
+  /**
+   * Context7 Pattern: Remove an override so the rules apply again
+   * DELETE /api/market-data/categories/items/:itemId
+   */
+  removeAssignment = this.createGetEndpoint(
+    async({ itemId }) => {
+      const result = await this.categoryService.removeAssignment(itemId);
+      if (!result.removed) {
+        this.validateService(null, 'Category assignment', itemId);
+      }
+      return result;
+    },
+    {
+      operationName: 'remove item category assignment',
+      parseParams: (req) => ({ itemId: parseInt(req.params.itemId) })
+    }
+  );
+}
+
+module.exports = { CategoryController };
@@ -0,0 +1,59 @@
+/**
+ * 🩺 Data Quality Controller - Context7 Optimized with BaseController
+ *
+ * Context7 Pattern: Controller Layer for Snapshot Coverage
+ * - Extends BaseController for DRY principles
+ * - Coverage report for the 5m/1h series and repair backfills for outage gaps
+ */
+
+const { BaseController } = require('./BaseController');
+const { getDataQualityService } = require('../services/quality/DataQualityService');
+
+class DataQualityController extends BaseController {
+  constructor(dependencies = {}) {
+    super('DataQualityController');
+
+    // SOLID: Dependency Injection (DIP)
+    this.dataQualityService = dependencies.dataQualityService || getDataQualityService();
+  }
+
+  /**
+   * Context7 Pattern: Coverage report with the items missing the most buckets
+   * GET /api/scraper/coverage
+   */
+  getCoverageReport = this.createGetEndpoint(
+    (options) => this.dataQualityService.getCoverageReport(options),
+    {
+      operationName: 'fetch snapshot coverage',
+      parseParams: (req) => ({
+        interval: req.query.interval,
+        lookbackDays: req.query.lookbackDays ? parseInt(req.query.lookbackDays) : undefined,
+        itemIds: req.query.itemIds ? req.query.itemIds.split(',').map(Number) : undefined,
+        limit: req.query.limit ? parseInt(req.query.limit) : undefined
+      }),
+      logSuccessData: (result) => ({
+        items: result.summary.items,
+        coverage: result.summary.coverage,
+        grade: result.summary.grade
+      })
+    }
+  );
+
+  /**
+   * Context7 Pattern: Backfill the items with outage gaps
+   * POST /api/scraper/coverage/repairs
+   */
+  queueRepairs = this.createPostEndpoint(
+    (options) => this.dataQualityService.queueRepairs(options),
+    {
+      operationName: 'queue snapshot gap repairs',
+      parseBody: (req) => ({
+        interval: req.body.interval,
+        lookbackDays: req.body.lookbackDays,
+        itemIds: req.body.itemIds ? req.body.itemIds.map(Number) : undefined
+      })
+    }
+  );
+}
+
+module.exports = { DataQualityController };
@@ -11,6 +11,7 @@
 const { BaseController } = require('./BaseController');
 const { ItemMappingService } = require('../services/ItemMappingService');
 const { ItemValidator } = require('../validators/ItemValidator');
+const { getItemCategoryService } = require('../services/categories/ItemCategoryService');
 const { ErrorHandler } = require('../middleware/ErrorHandler');
 const { ApiResponse } = require('../utils/ApiResponse');
 
@@ -21,6 +22,7 @@ class ItemMappingController extends BaseController {
     
     // SOLID: Dependency Injection (DIP) - Eliminates direct dependency violation
     this.itemMappingService = dependencies.itemMappingService || new ItemMappingService();
+    this.categoryService = dependencies.categoryService || getItemCategoryService();
     this.itemValidator = new ItemValidator();
     
     // Initialize endpoints after service is set
@@ -172,8 +174,12 @@ class ItemMappingController extends BaseController {
         requestId: req.id
       });
 
-      // Validate category
-      const categoryValidation = this.itemValidator.validateCategory(category);
+      // Validate category against the stored taxonomy
+      const categories = await this.categoryService.getCategories();
+      const categoryValidation = this.itemValidator.validateCategory(
+        category,
+        categories.map(entry => entry.id)
+      );
       if (!categoryValidation.isValid) {
         return ApiResponse.badRequest(res, categoryValidation.error);
       }
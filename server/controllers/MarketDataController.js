@@ -12,6 +12,11 @@ const { BaseController } = require('./BaseController');
 const { MarketDataService } = require('../services/MarketDataService');
 const { validateRequest } = require('../validators/MarketDataValidator');
 const TimeConstants = require('../utils/TimeConstants');
+const { ParameterParser } = require('../utils/ParameterParser');
+const { AppConstants } = require('../config/AppConstants');
+
+const RISK_LEVELS = ['low', 'medium', 'high'];
+const STRATEGY_RISK = { conservative: 'low', balanced: 'medium', aggressive: 'high' };
 
 class MarketDataController extends BaseController {
   constructor(dependencies = {}) {
@@ -116,18 +121,26 @@ class MarketDataController extends BaseController {
       }
     );
 
-    this.getTopFlips = this.createTradingAnalysisEndpoint(
-      this.marketDataService.getTopFlips,
-      'fetch top flips'
+    this.getTopFlips = this.createGetEndpoint(
+      (params) => this.marketDataService.getTopFlips(params),
+      {
+        operationName: 'fetch top flips',
+        parseParams: this.parseTopFlipsQuery.bind(this),
+        responseFormatter: this.formatPaginatedResult.bind(this)
+      }
     );
 
-    this.getRecommendations = this.createTradingAnalysisEndpoint(
-      this.marketDataService.getRecommendations,
-      'fetch recommendations'
+    this.getRecommendations = this.createGetEndpoint(
+      (params) => this.marketDataService.getRecommendations(params),
+      {
+        operationName: 'fetch recommendations',
+        parseParams: this.parseRecommendationQuery.bind(this),
+        responseFormatter: this.formatPaginatedResult.bind(this)
+      }
     );
 
     this.getAlerts = this.createGetEndpoint(
-      this.marketDataService.getAlerts,
+      (params) => this.marketDataService.getAlerts(params),
       {
         operationName: 'fetch alerts',
         parseParams: this.parseAlertQuery
@@ -135,7 +148,7 @@ class MarketDataController extends BaseController {
     );
 
     this.createAlert = this.createPostEndpoint(
-      this.marketDataService.createAlert,
+      (alertData) => this.marketDataService.createAlert(alertData),
       {
         operationName: 'create alert',
         parseBody: (req) => {
@@ -148,11 +161,17 @@ class MarketDataController extends BaseController {
           return {
             itemId: parseInt(itemId),
             type,
+            condition: req.body.condition,
             threshold: parseFloat(threshold),
             email,
             webhook,
             userId,
+            priority: req.body.priority,
+            description: req.body.description,
+            expiresAt: req.body.expiresAt,
+            cooldownMinutes: req.body.cooldownMinutes,
             metadata: {
+              ...req.body.metadata,
               createdAt: Date.now(),
               clientIp: req.ip,
               userAgent: req.get('User-Agent'),
@@ -164,13 +183,109 @@ class MarketDataController extends BaseController {
     );
 
     this.deleteAlert = this.createDeleteEndpoint(
-      this.marketDataService.deleteAlert,
+      async(alertId) => {
+        const result = await this.marketDataService.deleteAlert(alertId);
+        if (!result.deleted) {
+          this.validateService(null, 'Alert', alertId);
+        }
+        return result;
+      },
       {
         operationName: 'delete alert',
         resourceIdParam: 'alertId'
       }
     );
 
+    this.getAlertById = this.createGetEndpoint(
+      async({ alertId, ...options }) => this.validateService(
+        await this.marketDataService.alertService.getAlertById(alertId, options), 'Alert', alertId
+      ),
+      {
+        operationName: 'fetch alert',
+        parseParams: (req) => ({
+          alertId: req.params.alertId,
+          includeHistory: req.query.includeHistory === 'true',
+          includeStats: req.query.includeStats === 'true'
+        })
+      }
+    );
+
+    this.updateAlert = this.createPostEndpoint(
+      async({ alertId, updateData }) => this.validateService(
+        await this.marketDataService.alertService.updateAlert(alertId, updateData), 'Alert', alertId
+      ),
+      {
+        operationName: 'update alert',
+        parseBody: (req) => ({ alertId: req.params.alertId, updateData: req.body })
+      }
+    );
+
+    this.pauseAlert = this.createPostEndpoint(
+      async({ alertId, reason, duration }) => this.validateService(
+        await this.marketDataService.alertService.pauseAlert(alertId, { reason, duration }), 'Alert', alertId
+      ),
+      {
+        operationName: 'pause alert',
+        parseBody: (req) => ({
+          alertId: req.params.alertId,
+          reason: req.body.reason,
+          duration: req.body.duration
+        })
+      }
+    );
+
+    this.resumeAlert = this.createPostEndpoint(
+      async({ alertId }) => this.validateService(
+        await this.marketDataService.alertService.resumeAlert(alertId), 'Alert', alertId
+      ),
+      {
+        operationName: 'resume alert',
+        parseBody: (req) => ({ alertId: req.params.alertId })
+      }
+    );
+
+    this.testAlert = this.createPostEndpoint(
+      async({ alertId, ...options }) => this.validateService(
+        await this.marketDataService.alertService.testAlert(alertId, options), 'Alert', alertId
+      ),
+      {
+        operationName: 'test alert',
+        parseBody: (req) => ({
+          alertId: req.params.alertId,
+          mockData: req.body.mockData,
+          sendNotification: req.body.sendNotification === true
+        })
+      }
+    );
+
+    this.getAlertHistory = this.createGetEndpoint(
+      (params) => this.marketDataService.alertService.getAlertHistory(params),
+      {
+        operationName: 'fetch alert history',
+        parseParams: (req) => ({
+          alertId: req.query.alertId,
+          userId: req.query.userId,
+          status: req.query.status,
+          startTime: req.query.startTime ? parseInt(req.query.startTime) : undefined,
+          endTime: req.query.endTime ? parseInt(req.query.endTime) : undefined,
+          limit: parseInt(req.query.limit || 50),
+          sortBy: req.query.sortBy,
+          sortOrder: req.query.sortOrder
+        })
+      }
+    );
+
+    this.getAlertStats = this.createGetEndpoint(
+      (params) => this.marketDataService.alertService.getAlertStats(params),
+      {
+        operationName: 'fetch alert stats',
+        parseParams: (req) => ({
+          userId: req.query.userId,
+          timeRange: parseInt(req.query.timeRange) || TimeConstants.ONE_DAY
+        })
+      }
+    );
+
     this.getAnalytics = this.createTimeBasedEndpoint(
       this.marketDataService.getAnalytics,
       'fetch analytics',
@@ -187,7 +302,7 @@ class MarketDataController extends BaseController {
     );
 
     this.getCategories = this.createGetEndpoint(
-      this.marketDataService.getCategories,
+      (options) => this.marketDataService.getCategories(options),
       {
         operationName: 'fetch categories',
         parseParams: (req) => ({
@@ -337,16 +452,64 @@ class MarketDataController extends BaseController {
     return { startTime: defaultStartTime, endTime: currentTime };
   }
 
+  /**
+   * Context7 Pattern: Parse page/limit shared by ranked analytics endpoints
+   */
+  parseRankingPage(query) {
+    return {
+      page: ParameterParser.parseInteger(query.page, 1, 1, 1000),
+      limit: ParameterParser.parseInteger(query.limit, 20, 1, 50)
+    };
+  }
+
+  /**
+   * Context7 Pattern: Parse top flips query; maxRisk is a risk level or a 0-100 risk score
+   */
+  parseTopFlipsQuery(req) {
+    const { minMargin, minVolume, maxRisk, timeRange, excludeAnomalies } = req.query;
+    return {
+      minMargin: ParameterParser.parseFloat(minMargin, 5, -100, 1000),
+      minVolume: ParameterParser.parseInteger(minVolume, 100, 0),
+      maxRisk: RISK_LEVELS.includes(maxRisk) ?
+        this.marketDataService.getRiskThreshold(maxRisk) :
+        ParameterParser.parseFloat(maxRisk, 70, 0, 100),
+      maxAge: ParameterParser.parseInteger(timeRange, TimeConstants.ONE_DAY, TimeConstants.ONE_HOUR),
+      excludeAnomalies: excludeAnomalies === 'true',
+      ...this.parseRankingPage(req.query)
+    };
+  }
+
+  /**
+   * Context7 Pattern: Parse recommendation query; strategy picks the risk tolerance when none is given
+   */
+  parseRecommendationQuery(req) {
+    const { strategy, riskTolerance, investmentAmount, budget, timeHorizon, minMargin, minVolume } = req.query;
+    return {
+      riskTolerance: RISK_LEVELS.includes(riskTolerance) ? riskTolerance : STRATEGY_RISK[strategy] || 'medium',
+      investmentAmount: ParameterParser.parseFloat(investmentAmount ?? budget, 100000, 1, AppConstants.OSRS.MAX_PRICE),
+      timeHorizon: ParameterParser.parseTimeHorizon(timeHorizon),
+      minMargin: ParameterParser.parseFloat(minMargin, 1, -100, 1000),
+      minVolume: ParameterParser.parseInteger(minVolume, 10, 0),
+      ...this.parseRankingPage(req.query)
+    };
+  }
+
+  formatPaginatedResult(result, message) {
+    return this.endpointFactory.paginatedResponseFormatter(result, message);
+  }
+
   /**
    * Context7 Pattern: Parse alert query parameters
    */
   parseAlertQuery(req) {
-    const { userId = 'default', type, status = 'active' } = req.query;
+    const { userId = 'default', type, status = 'active', sortBy, sortOrder } = req.query;
     return {
       userId,
       type,
       status,
-      limit: parseInt(req.query.limit || 50)
+      limit: parseInt(req.query.limit || 50),
+      sortBy,
+      sortOrder
     };
   }
 }
@@ -0,0 +1,145 @@
+/**
+ * 🔍 Market Search Controller - Context7 Optimized with BaseController
+ *
+ * Context7 Pattern: Controller Layer for Advanced and Saved Searches
+ * - Extends BaseController for DRY principles
+ * - Search execution lives in MarketSearchService, persistence and schedules in SavedSearchService
+ */
+
+const { BaseController } = require('./BaseController');
+const { MarketSearchService } = require('../services/search/MarketSearchService');
+const { SavedSearchService } = require('../services/search/SavedSearchService');
+
+class MarketSearchController extends BaseController {
+  constructor(dependencies = {}) {
+    super('MarketSearchController');
+
+    // SOLID: Dependency Injection (DIP)
+    this.marketSearchService = dependencies.marketSearchService || new MarketSearchService();
+    this.savedSearchService = dependencies.savedSearchService || new SavedSearchService({
+      marketSearchService: this.marketSearchService
+    });
+  }
+
+  /**
+   * Context7 Pattern: Advanced search over the newest snapshot per item
+   * GET /api/market-data/search/advanced
+   */
+  advancedSearch = this.createGetEndpoint(
+    (criteria) => this.marketSearchService.search(criteria),
+    {
+      operationName: 'advanced search',
+      parseParams: (req) => req.query,
+      logSuccessData: (result) => ({ resultCount: result.totalCount, executionTime: result.executionTime })
+    }
+  );
+
+  /**
+   * Context7 Pattern: Save search criteria, optionally with a post-sync schedule
+   * POST /api/market-data/search/saved
+   */
+  createSavedSearch = this.createPostEndpoint(
+    (searchData) => this.savedSearchService.createSavedSearch(searchData),
+    {
+      operationName: 'save search',
+      parseBody: (req) => ({
+        name: req.body.name,
+        criteria: req.body.searchCriteria,
+        userId: req.body.userId || 'anonymous',
+        isPublic: req.body.isPublic === true,
+        schedule: req.body.schedule || {}
+      })
+    }
+  );
+
+  /**
+   * GET /api/market-data/search/saved
+   */
+  getSavedSearches = this.createGetEndpoint(
+    (options) => this.savedSearchService.getSavedSearches(options),
+    {
+      operationName: 'get saved searches',
+      parseParams: (req) => ({
+        userId: req.query.userId || 'anonymous',
+        includePublic: req.query.includePublic === 'true',
+        limit: Math.min(parseInt(req.query.limit) || 20, 50)
+      })
+    }
+  );
+
+  /**
+   * DELETE /api/market-data/search/saved/:searchId
+   */
+  deleteSavedSearch = this.createGetEndpoint(
+    async({ searchId, userId }) => {
+      const result = await this.savedSearchService.deleteSavedSearch(searchId, userId);
+      if (!result.deleted) {
+        this.validateService(null, 'Saved search', searchId);
+      }
+      return result;
+    },
+    {
+      operationName: 'delete saved search',
+      parseParams: (req) => this.parseSearchParams(req)
+    }
+  );
+
+  /**
+   * POST /api/market-data/search/saved/:searchId/run
+   */
+  runSavedSearch = this.createGetEndpoint(
+    async({ searchId, userId }) => this.validateService(
+      await this.savedSearchService.runSavedSearch(searchId, userId), 'Saved search', searchId
+    ),
+    {
+      operationName: 'run saved search',
+      parseParams: (req) => this.parseSearchParams(req),
+      logSuccessData: (result) => ({ resultCount: result.totalCount })
+    }
+  );
+
+  /**
+   * PUT /api/market-data/search/saved/:searchId/schedule
+   */
+  updateSchedule = this.createGetEndpoint(
+    async({ searchId, userId, schedule }) => this.validateService(
+      await this.savedSearchService.updateSchedule(searchId, userId, schedule), 'Saved search', searchId
+    ),
+    {
+      operationName: 'update saved search schedule',
+      parseParams: (req) => ({
+        ...this.parseSearchParams(req),
+        schedule: {
+          enabled: req.body.enabled,
+          email: req.body.email,
+          webhook: req.body.webhook
+        }
+      })
+    }
+  );
+
+  /**
+   * GET /api/market-data/search/saved/:searchId/changes
+   */
+  getChanges = this.createGetEndpoint(
+    async({ searchId, userId, limit }) => this.validateService(
+      await this.savedSearchService.getChanges(searchId, userId, limit), 'Saved search', searchId
+    ),
+    {
+      operationName: 'get saved search changes',
+      parseParams: (req) => ({
+        ...this.parseSearchParams(req),
+        limit: Math.min(parseInt(req.query.limit) || 20, 20)
+      })
+    }
+  );
+
+  parseSearchParams(req) {
+    return {
+      searchId: req.params.searchId,
+      userId: req.query.userId || 'anonymous'
+    };
+  }
+}
+
+module.exports = { MarketSearchController };
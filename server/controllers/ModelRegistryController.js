@@ -0,0 +1,138 @@
+/**
+ * 🗂️ Model Registry Controller - Context7 Optimized with BaseController
+ *
+ * Context7 Pattern: Controller Layer for the AI Model Registry
+ * - Extends BaseController for DRY principles
+ * - Listing, side-by-side backtest comparison, promotion to production and rollback
+ */
+
+const { BaseController } = require('./BaseController');
+const { getModelRegistryService } = require('../services/ai/ModelRegistryService');
+const { ErrorHandler } = require('../middleware/ErrorHandler');
+
+class ModelRegistryController extends BaseController {
+  constructor(dependencies = {}) {
+    super('ModelRegistryController');
+
+    // SOLID: Dependency Injection (DIP)
+    this.modelRegistryService = dependencies.modelRegistryService || getModelRegistryService();
+  }
+
+  /**
+   * Context7 Pattern: List models
+   * GET /api/models
+   */
+  listModels = this.createGetEndpoint(
+    (params) => this.modelRegistryService.listModels(params),
+    {
+      operationName: 'fetch models',
+      parseParams: (req) => ({
+        status: req.query.status,
+        tag: req.query.tag,
+        rewardFunction: req.query.rewardFunction,
+        limit: req.query.limit
+      })
+    }
+  );
+
+  /**
+   * Context7 Pattern: Current production model
+   * GET /api/models/production
+   */
+  getProductionModel = this.createGetEndpoint(
+    async() => this.validateService(
+      await this.modelRegistryService.getProductionModel(), 'Production model', 'production'
+    ),
+    { operationName: 'fetch production model' }
+  );
+
+  /**
+   * Context7 Pattern: Promotion and rollback history
+   * GET /api/models/history
+   */
+  getPromotionHistory = this.createGetEndpoint(
+    (params) => this.modelRegistryService.getPromotionHistory(params),
+    {
+      operationName: 'fetch model promotion history',
+      parseParams: (req) => ({
+        modelId: req.query.modelId,
+        limit: req.query.limit
+      })
+    }
+  );
+
+  /**
+   * Context7 Pattern: One model with its promotion history
+   * GET /api/models/:modelId
+   */
+  getModel = this.createGetEndpoint(
+    async({ modelId }) => this.validateService(
+      await this.modelRegistryService.getModel(modelId), 'Model', modelId
+    ),
+    {
+      operationName: 'fetch model',
+      parseParams: (req) => ({ modelId: req.params.modelId })
+    }
+  );
+
+  /**
+   * Context7 Pattern: Backtest two models on a common window
+   * POST /api/models/compare
+   */
+  compareModels = this.createPostEndpoint(
+    async(params) => {
+      if (Number.isNaN(params.startTime) || Number.isNaN(params.endTime)) {
+        throw ErrorHandler.createValidationError('startTime and endTime must be ISO dates or epoch milliseconds');
+      }
+      return this.modelRegistryService.compareModels(params);
+    },
+    {
+      operationName: 'compare models',
+      parseBody: (req) => ({
+        baseModelId: req.body.baseModelId,
+        candidateModelId: req.body.candidateModelId,
+        itemIds: req.body.itemIds.map(Number),
+        interval: req.body.interval,
+        startTime: this.parseTimestamp(req.body.startTime),
+        endTime: this.parseTimestamp(req.body.endTime),
+        initialCapital: req.body.initialCapital,
+        strategyParams: req.body.strategyParams
+      })
+    }
+  );
+
+  /**
+   * Context7 Pattern: Tag a model as production
+   * POST /api/models/:modelId/promote
+   */
+  promoteModel = this.createPostEndpoint(
+    async({ modelId, ...options }) => this.validateService(
+      await this.modelRegistryService.promoteModel(modelId, options), 'Model', modelId
+    ),
+    {
+      operationName: 'promote model',
+      parseBody: (req) => ({
+        modelId: req.params.modelId,
+        promotedBy: req.body?.promotedBy,
+        reason: req.body?.reason
+      })
+    }
+  );
+
+  /**
+   * Context7 Pattern: Roll production back to the previous model
+   * POST /api/models/rollback
+   */
+  rollback = this.createPostEndpoint(
+    (options) => this.modelRegistryService.rollback(options),
+    {
+      operationName: 'roll back production model',
+      parseBody: (req) => ({
+        promotedBy: req.body?.promotedBy,
+        reason: req.body?.reason
+      })
+    }
+  );
+}
+
+module.exports = { ModelRegistryController };
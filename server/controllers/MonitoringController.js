@@ -10,6 +10,8 @@
 
 const { BaseController } = require('./BaseController');
 const { MonitoringService } = require('../services/MonitoringService');
+const { getNotificationService } = require('../utils/NotificationService');
+const { getSnapshotCompactionService } = require('../services/retention/SnapshotCompactionService');
 const { validateRequest } = require('../validators/MonitoringValidator');
 const TimeConstants = require('../utils/TimeConstants');
 
@@ -20,6 +22,8 @@ class MonitoringController extends BaseController {
     
     // SOLID: Dependency Injection (DIP) - Eliminates direct dependency violation
     this.monitoringService = dependencies.monitoringService || new MonitoringService();
+    this.notificationService = dependencies.notificationService || getNotificationService();
+    this.compactionService = dependencies.compactionService || getSnapshotCompactionService();
     
     // Initialize endpoints after service is set
     this.initializeEndpoints();
@@ -177,6 +181,62 @@ class MonitoringController extends BaseController {
     }
   }
 
+  /**
+   * Context7 Pattern: Snapshot retention tiers and compactor checkpoints
+   * GET /api/monitoring/retention
+   */
+  getRetentionStatus = this.createGetEndpoint(
+    async() => this.compactionService.getStatus(),
+    { operationName: 'fetch retention status' }
+  );
+
+  /**
+   * Context7 Pattern: Get notification dead letters
+   * GET /api/notifications/dead-letters
+   */
+  getNotificationDeadLetters = this.createGetEndpoint(
+    async(params) => this.notificationService.getDeadLetters(params.channel, params.limit),
+    {
+      operationName: 'fetch notification dead letters',
+      parseParams: (req) => ({
+        channel: req.query.channel || null,
+        limit: Math.min(parseInt(req.query.limit) || 50, 500)
+      })
+    }
+  );
+
+  /**
+   * Context7 Pattern: Retry a dead-lettered notification delivery
+   * POST /api/notifications/dead-letters/:channel/:deadLetterId/retry
+   */
+  retryNotificationDeadLetter = this.createGetEndpoint(
+    async(params) => {
+      const result = await this.notificationService.retryDeadLetter(params.channel, params.deadLetterId);
+      return this.validateService(result, 'Dead letter', params.deadLetterId);
+    },
+    {
+      operationName: 'retry notification dead letter',
+      parseParams: (req) => ({
+        channel: req.params.channel,
+        deadLetterId: req.params.deadLetterId
+      })
+    }
+  );
+
+  /**
+   * Context7 Pattern: Clear notification dead letters
+   * DELETE /api/notifications/dead-letters
+   */
+  clearNotificationDeadLetters = this.createGetEndpoint(
+    async(params) => ({ removed: this.notificationService.clearDeadLetters(params.channel) }),
+    {
+      operationName: 'clear notification dead letters',
+      parseParams: (req) => ({
+        channel: req.query.channel || null
+      })
+    }
+  );
+
   // Endpoints are now initialized in constructor via initializeEndpoints()
 
   /**
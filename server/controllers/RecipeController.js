@@ -0,0 +1,60 @@
+/**
+ * ⚗️ Recipe Controller - Context7 Optimized with BaseController
+ *
+ * Context7 Pattern: Controller Layer for the Recipe Profit Calculator
+ * - Extends BaseController for DRY principles
+ * - Query parsing only; registry loading, pricing and throughput live in RecipeProfitService
+ */
+
+const { BaseController } = require('./BaseController');
+const { RecipeProfitService } = require('../services/recipes/RecipeProfitService');
+
+class RecipeController extends BaseController {
+  constructor(dependencies = {}) {
+    super('RecipeController');
+
+    // SOLID: Dependency Injection (DIP)
+    this.recipeProfitService = dependencies.recipeProfitService || new RecipeProfitService();
+  }
+
+  /**
+   * Context7 Pattern: Registered recipes ranked by live margin
+   * GET /api/market-data/recipes
+   */
+  getRankedRecipes = this.createGetEndpoint(
+    (options) => this.recipeProfitService.getRankedRecipes(options),
+    {
+      operationName: 'rank recipe margins',
+      parseParams: (req) => ({
+        sortBy: req.query.sortBy,
+        pricing: req.query.pricing,
+        skill: req.query.skill,
+        limit: req.query.limit ? parseInt(req.query.limit) : undefined,
+        minMargin: req.query.minMargin !== undefined ? Number(req.query.minMargin) : undefined
+      }),
+      logSuccessData: (result) => ({
+        recipeCount: result.recipes.length,
+        unpriced: result.unpriced.length
+      })
+    }
+  );
+
+  /**
+   * Context7 Pattern: One recipe with its per-component price breakdown
+   * GET /api/market-data/recipes/:recipeId
+   */
+  getRecipe = this.createGetEndpoint(
+    async({ recipeId, pricing }) => this.validateService(
+      await this.recipeProfitService.getRecipe(recipeId, { pricing }), 'Recipe', recipeId
+    ),
+    {
+      operationName: 'price recipe',
+      parseParams: (req) => ({
+        recipeId: req.params.recipeId,
+        pricing: req.query.pricing
+      })
+    }
+  );
+}
+
+module.exports = { RecipeController };
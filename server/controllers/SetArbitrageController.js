@@ -0,0 +1,93 @@
+/**
+ * 🧩 Set Arbitrage Controller - Context7 Optimized with BaseController
+ *
+ * Context7 Pattern: Controller Layer for Set/Pack Arbitrage
+ * - Extends BaseController for DRY principles
+ * - Opportunity listing and set definition admin; pricing lives in SetArbitrageService
+ */
+
+const { BaseController } = require('./BaseController');
+const { SetArbitrageService } = require('../services/sets/SetArbitrageService');
+
+class SetArbitrageController extends BaseController {
+  constructor(dependencies = {}) {
+    super('SetArbitrageController');
+
+    // SOLID: Dependency Injection (DIP)
+    this.setArbitrageService = dependencies.setArbitrageService || new SetArbitrageService();
+  }
+
+  /**
+   * Context7 Pattern: Set/pack exchanges that profit after GE tax
+   * GET /api/market-data/analytics/set-arbitrage
+   */
+  getOpportunities = this.createGetEndpoint(
+    (options) => this.setArbitrageService.findOpportunities(options),
+    {
+      operationName: 'find set arbitrage opportunities',
+      parseParams: (req) => ({
+        sortBy: req.query.sortBy,
+        pricing: req.query.pricing,
+        type: req.query.type,
+        direction: req.query.direction,
+        limit: req.query.limit ? parseInt(req.query.limit) : undefined,
+        minProfit: req.query.minProfit !== undefined ? Number(req.query.minProfit) : undefined
+      }),
+      logSuccessData: (result) => ({
+        opportunityCount: result.opportunities.length,
+        setsChecked: result.setsChecked
+      })
+    }
+  );
+
+  /**
+   * GET /api/market-data/analytics/item-sets
+   */
+  getSets = this.createGetEndpoint(
+    (options) => this.setArbitrageService.getSets(options),
+    {
+      operationName: 'fetch item sets',
+      parseParams: (req) => ({ type: req.query.type })
+    }
+  );
+
+  /**
+   * Context7 Pattern: Create or replace a set definition (admin)
+   * PUT /api/market-data/analytics/item-sets/:setItemId
+   */
+  upsertSet = this.createGetEndpoint(
+    ({ setItemId, definition }) => this.setArbitrageService.upsertSet(setItemId, definition),
+    {
+      operationName: 'save item set',
+      parseParams: (req) => ({
+        setItemId: parseInt(req.params.setItemId),
+        definition: {
+          name: req.body.name,
+          type: req.body.type,
+          reversible: req.body.reversible,
+          components: req.body.components,
+          isActive: req.body.isActive
+        }
+      })
+    }
+  );
+
+  /**
+   * DELETE /api/market-data/analytics/item-sets/:setItemId (admin)
+   */
+  removeSet = this.createGetEndpoint(
+    async({ setItemId }) => {
+      const result = await this.setArbitrageService.removeSet(setItemId);
+      if (!result.removed) {
+        this.validateService(null, 'Item set', setItemId);
+      }
+      return result;
+    },
+    {
+      operationName: 'remove item set',
+      parseParams: (req) => ({ setItemId: parseInt(req.params.setItemId) })
+    }
+  );
+}
+
+module.exports = { SetArbitrageController };
@@ -0,0 +1,241 @@
+/**
+ * 📒 Trade Journal Controller - Context7 Optimized with BaseController
+ *
+ * Context7 Pattern: Controller Layer for the Manual Trade Journal
+ * - Extends BaseController for DRY principles
+ * - Offer CRUD, partial fills and cancellations
+ * - P&L summary and daily/weekly rollups
+ */
+
+const { BaseController } = require('./BaseController');
+const { TradeJournalService } = require('../services/journal/TradeJournalService');
+const { ErrorHandler } = require('../middleware/ErrorHandler');
+
+class TradeJournalController extends BaseController {
+  constructor(dependencies = {}) {
+    super('TradeJournalController');
+
+    // SOLID: Dependency Injection (DIP)
+    this.tradeJournalService = dependencies.tradeJournalService || new TradeJournalService();
+  }
+
+  /**
+   * Context7 Pattern: Record a GE offer
+   * POST /api/journal
+   */
+  createEntry = this.createPostEndpoint(
+    async(data) => {
+      this.validateTimestamps([data.placedAt, ...data.fills.map(fill => fill.filledAt)]);
+      const filled = data.fills.reduce((sum, fill) => sum + fill.quantity, 0);
+      if (filled > data.quantity) {
+        throw ErrorHandler.createValidationError('Filled quantity cannot exceed the offer quantity', {
+          quantity: data.quantity,
+          filled
+        });
+      }
+      return this.tradeJournalService.createEntry(data);
+    },
+    {
+      operationName: 'create journal entry',
+      parseBody: (req) => ({
+        itemId: Number(req.body.itemId),
+        side: req.body.side,
+        offerPrice: req.body.offerPrice,
+        quantity: req.body.quantity,
+        placedAt: this.parseTimestamp(req.body.placedAt),
+        notes: req.body.notes,
+        userId: req.body.userId,
+        fills: (req.body.fills || []).map(fill => this.parseFill(fill))
+      })
+    }
+  );
+
+  /**
+   * Context7 Pattern: List entries
+   * GET /api/journal
+   */
+  getEntries = this.createGetEndpoint(
+    async(params) => this.tradeJournalService.getEntries(params),
+    {
+      operationName: 'fetch journal entries',
+      parseParams: (req) => ({
+        userId: req.query.userId,
+        itemId: req.query.itemId ? parseInt(req.query.itemId) : undefined,
+        side: req.query.side,
+        status: req.query.status,
+        since: this.parseTimestamp(req.query.since),
+        until: this.parseTimestamp(req.query.until),
+        limit: req.query.limit,
+        offset: req.query.offset
+      })
+    }
+  );
+
+  /**
+   * Context7 Pattern: Realized/unrealized P&L and open positions
+   * GET /api/journal/summary
+   */
+  getSummary = this.createGetEndpoint(
+    async(params) => this.tradeJournalService.getSummary(params),
+    {
+      operationName: 'fetch journal summary',
+      parseParams: (req) => this.parseReportQuery(req)
+    }
+  );
+
+  /**
+   * Context7 Pattern: Daily or weekly realized P&L
+   * GET /api/journal/rollups
+   */
+  getRollups = this.createGetEndpoint(
+    async(params) => this.tradeJournalService.getRollups(params),
+    {
+      operationName: 'fetch journal rollups',
+      parseParams: (req) => ({ ...this.parseReportQuery(req), period: req.query.period || 'daily' })
+    }
+  );
+
+  /**
+   * Context7 Pattern: Single entry
+   * GET /api/journal/:entryId
+   */
+  getEntry = this.createGetEndpoint(
+    async({ entryId, userId }) => this.requireEntry(entryId, userId),
+    {
+      operationName: 'fetch journal entry',
+      parseParams: (req) => ({ entryId: req.params.entryId, userId: req.query.userId })
+    }
+  );
+
+  /**
+   * Context7 Pattern: Edit offer price, quantity or notes
+   * PUT /api/journal/:entryId
+   */
+  updateEntry = this.createGetEndpoint(
+    async({ entryId, userId, updates }) => {
+      const entry = await this.requireEntry(entryId, userId);
+      if (updates.quantity !== undefined && updates.quantity < entry.filledQuantity) {
+        throw ErrorHandler.createValidationError('Quantity cannot be lower than the quantity already filled', {
+          filledQuantity: entry.filledQuantity
+        });
+      }
+      return this.tradeJournalService.updateEntry(entryId, updates, userId);
+    },
+    {
+      operationName: 'update journal entry',
+      parseParams: (req) => ({
+        entryId: req.params.entryId,
+        userId: req.body.userId,
+        updates: {
+          offerPrice: req.body.offerPrice,
+          quantity: req.body.quantity,
+          notes: req.body.notes
+        }
+      })
+    }
+  );
+
+  /**
+   * Context7 Pattern: Delete an entry
+   * DELETE /api/journal/:entryId
+   */
+  deleteEntry = this.createGetEndpoint(
+    async({ entryId, userId }) => this.validateService(
+      await this.tradeJournalService.deleteEntry(entryId, userId), 'Journal entry', entryId
+    ),
+    {
+      operationName: 'delete journal entry',
+      parseParams: (req) => ({ entryId: req.params.entryId, userId: req.query.userId })
+    }
+  );
+
+  /**
+   * Context7 Pattern: Record a (partial) fill
+   * POST /api/journal/:entryId/fills
+   */
+  addFill = this.createPostEndpoint(
+    async({ entryId, userId, fill }) => {
+      this.validateTimestamps([fill.filledAt]);
+      const entry = await this.requireEntry(entryId, userId);
+      if (entry.status === 'cancelled' || entry.status === 'filled') {
+        throw ErrorHandler.createError(`Journal entry ${entryId} is ${entry.status}`, 409, { status: entry.status });
+      }
+      if (fill.quantity > entry.remainingQuantity) {
+        throw ErrorHandler.createValidationError('Fill exceeds the remaining offer quantity', {
+          remainingQuantity: entry.remainingQuantity
+        });
+      }
+      return this.tradeJournalService.addFill(entryId, fill, userId);
+    },
+    {
+      operationName: 'add journal fill',
+      parseBody: (req) => ({
+        entryId: req.params.entryId,
+        userId: req.body.userId,
+        fill: this.parseFill(req.body)
+      })
+    }
+  );
+
+  /**
+   * Context7 Pattern: Cancel the unfilled remainder
+   * POST /api/journal/:entryId/cancel
+   */
+  cancelEntry = this.createGetEndpoint(
+    async({ entryId, userId }) => this.validateService(
+      await this.tradeJournalService.cancelEntry(entryId, userId), 'Journal entry', entryId
+    ),
+    {
+      operationName: 'cancel journal entry',
+      parseParams: (req) => ({ entryId: req.params.entryId, userId: req.body.userId })
+    }
+  );
+
+  /**
+   * Context7 Pattern: Load an entry or fail with 404
+   */
+  async requireEntry(entryId, userId) {
+    return this.validateService(
+      await this.tradeJournalService.getEntry(entryId, userId), 'Journal entry', entryId
+    );
+  }
+
+  /**
+   * Context7 Pattern: Shared summary/rollup query parameters
+   */
+  parseReportQuery(req) {
+    return {
+      userId: req.query.userId,
+      itemId: req.query.itemId ? parseInt(req.query.itemId) : undefined,
+      since: this.parseTimestamp(req.query.since),
+      until: this.parseTimestamp(req.query.until)
+    };
+  }
+
+  /**
+   * Context7 Pattern: Fill body with an optional completion time
+   */
+  parseFill(fill) {
+    return {
+      quantity: fill.quantity,
+      price: fill.price,
+      filledAt: this.parseTimestamp(fill.filledAt)
+    };
+  }
+
+  /**
+   * Context7 Pattern: Reject unparseable or future timestamps
+   */
+  validateTimestamps(timestamps) {
+    for (const timestamp of timestamps) {
+      if (Number.isNaN(timestamp)) {
+        throw ErrorHandler.createValidationError('Timestamps must be ISO dates or epoch milliseconds');
+      }
+      if (timestamp > Date.now() + 60000) {
+        throw ErrorHandler.createValidationError('Timestamps cannot be in the future');
+      }
+    }
+  }
+}
+
+module.exports = { TradeJournalController };
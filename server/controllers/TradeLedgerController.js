@@ -0,0 +1,114 @@
+/**
+ * 🧾 Trade Ledger Controller - Context7 Optimized with BaseController
+ *
+ * Context7 Pattern: Controller Layer for Trade Fills and GE Buy Limits
+ * - Extends BaseController for DRY principles
+ * - Fill entry, listing and removal
+ * - Remaining buy-limit quantity and reset times per item
+ */
+
+const { BaseController } = require('./BaseController');
+const { TradeLedgerService } = require('../services/ledger/TradeLedgerService');
+const { ErrorHandler } = require('../middleware/ErrorHandler');
+
+class TradeLedgerController extends BaseController {
+  constructor(dependencies = {}) {
+    super('TradeLedgerController');
+
+    // SOLID: Dependency Injection (DIP)
+    this.tradeLedgerService = dependencies.tradeLedgerService || new TradeLedgerService();
+  }
+
+  /**
+   * Context7 Pattern: Record a buy or sell fill
+   * POST /api/ledger/fills
+   */
+  recordFill = this.createPostEndpoint(
+    async(fill) => {
+      if (Number.isNaN(fill.filledAt)) {
+        throw ErrorHandler.createValidationError('filledAt must be an ISO date or epoch milliseconds');
+      }
+      if (fill.filledAt > Date.now() + 60000) {
+        throw ErrorHandler.createValidationError('filledAt cannot be in the future');
+      }
+      return this.tradeLedgerService.recordFill(fill);
+    },
+    {
+      operationName: 'record trade fill',
+      parseBody: (req) => ({
+        itemId: Number(req.body.itemId),
+        side: req.body.side,
+        quantity: req.body.quantity,
+        price: req.body.price,
+        filledAt: this.parseTimestamp(req.body.filledAt),
+        source: req.body.source,
+        userId: req.body.userId,
+        notes: req.body.notes
+      })
+    }
+  );
+
+  /**
+   * Context7 Pattern: List fills
+   * GET /api/ledger/fills
+   */
+  getFills = this.createGetEndpoint(
+    async(params) => this.tradeLedgerService.getFills(params),
+    {
+      operationName: 'fetch trade fills',
+      parseParams: (req) => ({
+        userId: req.query.userId,
+        itemId: req.query.itemId ? parseInt(req.query.itemId) : undefined,
+        side: req.query.side,
+        since: this.parseTimestamp(req.query.since),
+        until: this.parseTimestamp(req.query.until),
+        limit: req.query.limit
+      })
+    }
+  );
+
+  /**
+   * Context7 Pattern: Remove a fill
+   * DELETE /api/ledger/fills/:fillId
+   */
+  deleteFill = this.createGetEndpoint(
+    async({ fillId, userId }) => this.validateService(
+      await this.tradeLedgerService.deleteFill(fillId, userId), 'Trade fill', fillId
+    ),
+    {
+      operationName: 'delete trade fill',
+      parseParams: (req) => ({ fillId: req.params.fillId, userId: req.query.userId })
+    }
+  );
+
+  /**
+   * Context7 Pattern: Buy-limit status for several items
+   * GET /api/ledger/buy-limits
+   */
+  getBuyLimits = this.createGetEndpoint(
+    async(params) => this.tradeLedgerService.getBuyLimitStatuses(params),
+    {
+      operationName: 'fetch buy limit statuses',
+      parseParams: (req) => ({
+        userId: req.query.userId,
+        itemIds: req.query.itemIds ? req.query.itemIds.split(',').map(id => parseInt(id)) : undefined
+      })
+    }
+  );
+
+  /**
+   * Context7 Pattern: Buy-limit status for one item
+   * GET /api/ledger/buy-limits/:itemId
+   */
+  getBuyLimit = this.createGetEndpoint(
+    async({ itemId, userId }) => this.validateService(
+      await this.tradeLedgerService.getBuyLimitStatus(itemId, { userId }), 'Item', itemId
+    ),
+    {
+      operationName: 'fetch buy limit status',
+      parseParams: (req) => ({ itemId: parseInt(req.params.itemId), userId: req.query.userId })
+    }
+  );
+}
+
+module.exports = { TradeLedgerController };
@@ -9,6 +9,7 @@
 
 const { ItemId } = require('../value-objects/ItemId');
 const { AlchemyInfo } = require('../value-objects/AlchemyInfo');
+const { ItemCategoryClassifier } = require('../services/ItemCategoryClassifier');
 const { Logger } = require('../../utils/Logger');
 const TimeConstants = require('../../utils/TimeConstants');
 
@@ -336,73 +337,40 @@ class Item {
   }
 
   /**
-   * Calculate alchemy profit at current market value
+   * Calculate alchemy profit, by default at store value and the default nature rune cost
+   * @param {number} [buyPrice] - Price paid for the item (e.g. the live GE buy price)
+   * @param {number} [natureRuneCost] - Price paid for the nature rune
    * @returns {number} Alchemy profit
    */
-  getAlchemyProfit() {
-    return this.#alchemy.calculateProfit(this.#market.value);
+  getAlchemyProfit(buyPrice = this.#market.value, natureRuneCost = this.#alchemy.natureRuneCost) {
+    return this.#alchemy.withNatureRuneCost(natureRuneCost).calculateProfit(buyPrice);
   }
 
   /**
-   * Check if alchemy is profitable at current market value
+   * Check if alchemy is profitable, by default at store value and the default nature rune cost
+   * @param {number} [buyPrice] - Price paid for the item
+   * @param {number} [natureRuneCost] - Price paid for the nature rune
    * @returns {boolean} True if profitable
    */
-  isProfitableAlchemy() {
-    return this.#alchemy.isProfitable(this.#market.value);
+  isProfitableAlchemy(buyPrice = this.#market.value, natureRuneCost = this.#alchemy.natureRuneCost) {
+    return this.getAlchemyProfit(buyPrice, natureRuneCost) > 0;
   }
 
   /**
-   * Get item category based on properties and name
+   * Get item category from the data-driven taxonomy (assignments, then rules)
+   * @param {ItemCategoryClassifier} [classifier] - Defaults to the active shared classifier
    * @returns {ItemCategory} Item category
    */
-  getCategory() {
-    const name = this.#name.toLowerCase();
-
-    // Specific category patterns
-    if (name.includes('rune') && !name.includes('weapon') && !name.includes('armor')) {
-      return 'runes';
-    }
-
-    if (name.includes('potion') || name.includes('brew') || name.includes('barbarian herblore')) {
-      return 'potions';
-    }
-
-    if (name.includes('food') || name.includes('fish') || name.includes('meat') ||
-        name.includes('bread') || name.includes('cake') || name.includes('pie')) {
-      return 'food';
-    }
-
-    if (name.includes('sword') || name.includes('bow') || name.includes('staff') ||
-        name.includes('dagger') || name.includes('axe') || name.includes('mace')) {
-      return 'weapons';
-    }
-
-    if (name.includes('helmet') || name.includes('chestplate') || name.includes('platebody') ||
-        name.includes('shield') || name.includes('boots') || name.includes('gloves')) {
-      return 'armor';
-    }
-
-    if (name.includes('pickaxe') || name.includes('hatchet') || name.includes('hammer') ||
-        name.includes('chisel') || name.includes('needle')) {
-      return 'tools';
-    }
-
-    if (name.includes('ore') || name.includes('log') || name.includes('hide') ||
-        name.includes('bone') || name.includes('gem')) {
-      return 'resources';
-    }
-
-    // Value-based categories
-    if (this.#alchemy.highalch > 10000) {
-      return 'high_value';
-    }
-
-    // Membership-based categories
-    if (this.#members) {
-      return 'members';
-    }
-
-    return 'general';
+  getCategory(classifier = ItemCategoryClassifier.getActive()) {
+    return classifier.classify({
+      itemId: this.#id.value,
+      name: this.#name,
+      members: this.#members,
+      stackable: this.#market.stackable,
+      tradeable_on_ge: this.#market.tradeableOnGE,
+      highalch: this.#alchemy.highalch,
+      value: this.#market.value
+    });
   }
 
   /**
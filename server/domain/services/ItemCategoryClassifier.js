@@ -0,0 +1,158 @@
+/**
+ * 🗂️ Item Category Classifier - Data-driven categorisation
+ *
+ * Context7 Pattern: Domain Service for item classification
+ * - Explicit item -> category assignments win over every rule
+ * - Rules (name regex plus attribute predicates) are tried by descending priority
+ * - Items matching nothing fall back to the 'general' category
+ *
+ * The active classifier is shared process-wide so Item.getCategory(), item enrichment and the
+ * category endpoints agree. ItemCategoryService replaces it whenever the stored taxonomy is loaded.
+ */
+
+const { DEFAULT_CATEGORIES, FALLBACK_CATEGORY } = require('../../config/ItemCategoryTaxonomy');
+
+/**
+ * @typedef {Object} ClassifiableItem
+ * @property {number} itemId - Item ID
+ * @property {string} name - Item name
+ * @property {boolean} [members] - Members item
+ * @property {boolean} [stackable] - Stackable item
+ * @property {boolean} [tradeable_on_ge] - Tradeable on the Grand Exchange
+ * @property {number} [highalch] - High alchemy value
+ * @property {number} [value] - Store value
+ */
+
+/**
+ * @typedef {Object} Classification
+ * @property {string} category - Category slug
+ * @property {'assignment'|'rule'|'fallback'} source - What decided the category
+ * @property {Object|null} rule - Matching rule when source is 'rule'
+ */
+
+class ItemCategoryClassifier {
+  /**
+   * @param {Object} taxonomy - { categories, assignments }
+   * @param {Object[]} taxonomy.categories - Category definitions with rules
+   * @param {Object[]} [taxonomy.assignments] - Explicit { itemId, category } assignments
+   */
+  constructor({ categories = DEFAULT_CATEGORIES, assignments = [] } = {}) {
+    this.categories = categories
+      .filter(category => category.isActive !== false)
+      .map(({ slug, name, description, sortOrder }) => ({ slug, name, description, sortOrder }))
+      .sort((a, b) => (a.sortOrder ?? 0) - (b.sortOrder ?? 0));
+    this.slugs = new Set(this.categories.map(category => category.slug));
+
+    this.assignments = new Map(
+      assignments
+        .filter(assignment => this.slugs.has(assignment.category))
+        .map(assignment => [Number(assignment.itemId), assignment.category])
+    );
+
+    this.rules = categories
+      .filter(category => category.isActive !== false)
+      .flatMap(category => (category.rules || []).map(rule => ({
+        category: category.slug,
+        priority: rule.priority || 0,
+        pattern: rule.pattern ? new RegExp(rule.pattern, 'i') : null,
+        exclude: rule.exclude ? new RegExp(rule.exclude, 'i') : null,
+        predicates: rule.predicates || {},
+        source: rule
+      })))
+      .sort((a, b) => b.priority - a.priority);
+  }
+
+  /**
+   * Category slug for an item
+   * @param {ClassifiableItem} item - Plain item data
+   * @returns {string} Category slug
+   */
+  classify(item) {
+    return this.explain(item).category;
+  }
+
+  /**
+   * Category for an item together with what decided it
+   * @param {ClassifiableItem} item - Plain item data
+   * @returns {Classification} Classification
+   */
+  explain(item) {
+    const assigned = this.assignments.get(Number(item.itemId));
+    if (assigned) {
+      return { category: assigned, source: 'assignment', rule: null };
+    }
+
+    const name = item.name || '';
+    const rule = this.rules.find(candidate => this.matches(candidate, name, item));
+    if (rule) {
+      return {
+        category: rule.category,
+        source: 'rule',
+        rule: { pattern: rule.source.pattern || null, predicates: rule.predicates, priority: rule.priority }
+      };
+    }
+
+    return { category: FALLBACK_CATEGORY, source: 'fallback', rule: null };
+  }
+
+  hasCategory(slug) {
+    return this.slugs.has(slug);
+  }
+
+  getCategories() {
+    return this.categories;
+  }
+
+  // Private methods
+
+  matches(rule, name, item) {
+    if (rule.pattern && !rule.pattern.test(name)) {
+      return false;
+    }
+    if (rule.exclude && rule.exclude.test(name)) {
+      return false;
+    }
+    // A rule needs at least a pattern or one predicate
+    if (!rule.pattern && Object.keys(rule.predicates).length === 0) {
+      return false;
+    }
+    return this.matchesPredicates(rule.predicates, item);
+  }
+
+  matchesPredicates(predicates, item) {
+    const checks = {
+      members: (expected) => Boolean(item.members) === expected,
+      stackable: (expected) => Boolean(item.stackable) === expected,
+      tradeable: (expected) => Boolean(item.tradeable_on_ge) === expected,
+      minHighalch: (min) => (item.highalch || 0) >= min,
+      maxHighalch: (max) => (item.highalch || 0) <= max,
+      minValue: (min) => (item.value || 0) >= min,
+      maxValue: (max) => (item.value || 0) <= max
+    };
+
+    return Object.entries(predicates).every(([key, expected]) =>
+      expected === undefined || expected === null || !checks[key] || checks[key](expected)
+    );
+  }
+
+  // Shared instance
+
+  /**
+   * Classifier currently in use; starts with the default taxonomy and no assignments
+   * @returns {ItemCategoryClassifier}
+   */
+  static getActive() {
+    if (!activeClassifier) {
+      activeClassifier = new ItemCategoryClassifier();
+    }
+    return activeClassifier;
+  }
+
+  static setActive(classifier) {
+    activeClassifier = classifier;
+  }
+}
+
+let activeClassifier = null;
+
+module.exports = { ItemCategoryClassifier };
@@ -0,0 +1,238 @@
+/**
+ * 🔎 Item Query Parser - Filter expressions to specification trees
+ *
+ * Context7 Pattern: Interpreter for the Specification Pattern
+ * - Parses expressions such as `members and highalch > 5000 and not category:runes`
+ * - Produces ItemSpecifications trees; translation to Mongo lives on the specifications
+ *
+ * Grammar (keywords are case-insensitive):
+ *   expression := orExpr
+ *   orExpr     := andExpr ('or' andExpr)*
+ *   andExpr    := unary ('and' unary)*
+ *   unary      := 'not' unary | '(' expression ')' | term
+ *   term       := flag | attribute operator number | field ':' (word | "quoted text")
+ *
+ * Numbers accept k/m/b suffixes (5k = 5000, 1.5m = 1500000).
+ */
+
+const {
+  MembersItemSpecification,
+  TradeableItemSpecification,
+  ActiveItemSpecification,
+  StackableItemSpecification,
+  ProfitableAlchemySpecification,
+  HasBuyLimitSpecification,
+  ItemCategorySpecification,
+  ItemNameContainsSpecification,
+  NumericAttributeSpecification,
+  NUMERIC_ATTRIBUTES
+} = require('./ItemSpecifications');
+
+// Bare words that stand for a specification on their own
+const FLAGS = {
+  members: () => new MembersItemSpecification(),
+  f2p: () => new MembersItemSpecification().not(),
+  tradeable: () => new TradeableItemSpecification(),
+  stackable: () => new StackableItemSpecification(),
+  active: () => new ActiveItemSpecification(),
+  profitable: () => new ProfitableAlchemySpecification(),
+  buylimit: () => new HasBuyLimitSpecification()
+};
+
+const KEYWORDS = new Set(['and', 'or', 'not']);
+const NUMBER_SUFFIXES = { k: 1e3, m: 1e6, b: 1e9 };
+const MAX_DEPTH = 32;
+
+class ItemQueryParser {
+  /**
+   * @param {Object} [options] - { categories }
+   * @param {string[]} [options.categories] - Known category slugs; unknown ones are rejected when given
+   */
+  constructor({ categories = null } = {}) {
+    this.categories = categories ? new Set(categories) : null;
+  }
+
+  /**
+   * Parse a filter expression
+   * @param {string} expression - Filter expression
+   * @returns {Specification} Specification tree
+   * @throws {Error} With the offending position when the expression is invalid
+   */
+  parse(expression) {
+    if (typeof expression !== 'string' || expression.trim().length === 0) {
+      throw new Error('Filter expression is empty');
+    }
+
+    this.tokens = this.tokenize(expression);
+    this.position = 0;
+    this.depth = 0;
+
+    const specification = this.parseOr();
+    const trailing = this.peek();
+    if (trailing) {
+      throw this.error(`Unexpected '${trailing.text}'`, trailing);
+    }
+    return specification;
+  }
+
+  // Private methods
+
+  tokenize(expression) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+(?:\.\d+)?[kmb]?)(?![\w.])|([a-z_][\w-]*)|"([^"]*)"|'([^']*)'|(>=|<=|!=|>|<|=)|([():]))/iy;
+
+    while (pattern.lastIndex < expression.length) {
+      const start = pattern.lastIndex;
+      const match = pattern.exec(expression);
+      if (!match) {
+        if (expression.slice(start).trim().length === 0) {
+          break;
+        }
+        const offset = start + (expression.slice(start).length - expression.slice(start).trimStart().length);
+        throw new Error(`Unexpected character '${expression[offset]}' at position ${offset + 1}`);
+      }
+
+      const index = match.index + match[0].length - match[0].trimStart().length;
+      const text = match[0].trim();
+      if (match[1] !== undefined) {
+        tokens.push({ type: 'number', value: this.toNumber(match[1]), text, index });
+      } else if (match[2] !== undefined) {
+        const word = match[2].toLowerCase();
+        tokens.push({ type: KEYWORDS.has(word) ? word : 'word', value: word, text, index });
+      } else if (match[3] !== undefined || match[4] !== undefined) {
+        tokens.push({ type: 'string', value: match[3] ?? match[4], text, index });
+      } else if (match[5] !== undefined) {
+        tokens.push({ type: 'operator', value: match[5], text, index });
+      } else {
+        tokens.push({ type: match[6], value: match[6], text, index });
+      }
+    }
+
+    return tokens;
+  }
+
+  parseOr() {
+    let specification = this.parseAnd();
+    while (this.accept('or')) {
+      specification = specification.or(this.parseAnd());
+    }
+    return specification;
+  }
+
+  parseAnd() {
+    let specification = this.parseUnary();
+    while (this.accept('and')) {
+      specification = specification.and(this.parseUnary());
+    }
+    return specification;
+  }
+
+  parseUnary() {
+    if (++this.depth > MAX_DEPTH) {
+      throw new Error(`Filter expression nests deeper than ${MAX_DEPTH} levels`);
+    }
+
+    let specification;
+    if (this.accept('not')) {
+      specification = this.parseUnary().not();
+    } else if (this.accept('(')) {
+      specification = this.parseOr();
+      this.expect(')', 'Expected \')\'');
+    } else {
+      specification = this.parseTerm();
+    }
+
+    this.depth--;
+    return specification;
+  }
+
+  parseTerm() {
+    const token = this.expect('word', 'Expected a filter term');
+    const name = token.value;
+
+    if (this.accept(':')) {
+      const value = this.next();
+      if (!value || !['word', 'string', 'number'].includes(value.type)) {
+        throw this.error(`Expected a value after '${name}:'`, value);
+      }
+      return this.parseField(token, String(value.type === 'number' ? value.text : value.value));
+    }
+
+    const operator = this.accept('operator');
+    if (operator) {
+      if (!NUMERIC_ATTRIBUTES[name]) {
+        throw this.error(`Unknown numeric attribute '${name}' (expected one of: ${Object.keys(NUMERIC_ATTRIBUTES).join(', ')})`, token);
+      }
+      const number = this.expect('number', `Expected a number after '${name} ${operator.value}'`);
+      return new NumericAttributeSpecification(name, operator.value, number.value);
+    }
+
+    if (FLAGS[name]) {
+      return FLAGS[name]();
+    }
+    throw this.error(`Unknown filter '${name}'`, token);
+  }
+
+  parseField(token, value) {
+    switch (token.value) {
+    case 'category':
+      if (this.categories && !this.categories.has(value)) {
+        throw this.error(`Unknown category '${value}'`, token);
+      }
+      return new ItemCategorySpecification(value);
+    case 'name':
+      return new ItemNameContainsSpecification(value);
+    default:
+      throw this.error(`Unknown field '${token.value}' (expected category or name)`, token);
+    }
+  }
+
+  peek() {
+    return this.tokens[this.position] || null;
+  }
+
+  next() {
+    return this.tokens[this.position++] || null;
+  }
+
+  accept(type) {
+    const token = this.peek();
+    if (token && token.type === type) {
+      this.position++;
+      return token;
+    }
+    return null;
+  }
+
+  expect(type, message) {
+    const token = this.accept(type);
+    if (!token) {
+      throw this.error(message, this.peek());
+    }
+    return token;
+  }
+
+  error(message, token) {
+    return new Error(token ? `${message} at position ${token.index + 1}` : `${message} at end of expression`);
+  }
+
+  toNumber(text) {
+    const suffix = NUMBER_SUFFIXES[text.slice(-1).toLowerCase()];
+    return suffix ? Math.round(parseFloat(text) * suffix) : Number(text);
+  }
+}
+
+/**
+ * Parse a filter expression into a specification tree
+ * @param {string} expression - Filter expression
+ * @param {Object} [options] - Parser options ({ categories })
+ * @returns {Specification} Specification tree
+ */
+function parseItemQuery(expression, options = {}) {
+  return new ItemQueryParser(options).parse(expression);
+}
+
+module.exports = {
+  ItemQueryParser,
+  parseItemQuery
+};
@@ -5,6 +5,11 @@
  * - DRY: Reusable business rule definitions
  * - SOLID: Open/Closed principle - extensible specifications
  * - Clean business logic separation
+ *
+ * Specifications that map onto ItemModel fields also translate themselves into Mongo queries:
+ * toMongoQuery() is exact (or null when some part can only be checked in memory), while
+ * toMongoPrefilter() returns a query every matching item satisfies, narrowing what has to be
+ * loaded before isSatisfiedBy() runs.
  */
 
 const TimeConstants = require('../../utils/TimeConstants');
@@ -22,6 +27,24 @@ class Specification {
     throw new Error('Specification must implement isSatisfiedBy method');
   }
 
+  /**
+   * Exact Mongo query for this specification
+   * Implementations take a path prefix for nested items (e.g. 'item.' after a $lookup)
+   * @returns {Object|null} Query, or null if the specification can only be evaluated in memory
+   */
+  toMongoQuery() {
+    return null;
+  }
+
+  /**
+   * Mongo query matching a superset of the satisfying items
+   * @param {string} [prefix] - Path prefix when items are nested
+   * @returns {Object} Query ({} when nothing can be pushed down)
+   */
+  toMongoPrefilter(prefix = '') {
+    return this.toMongoQuery(prefix) || {};
+  }
+
   /**
    * Combine with another specification using AND logic
    * @param {Specification} other - Other specification
@@ -62,6 +85,22 @@ class AndSpecification extends Specification {
   isSatisfiedBy(entity) {
     return this.left.isSatisfiedBy(entity) && this.right.isSatisfiedBy(entity);
   }
+
+  toMongoQuery(prefix = '') {
+    const left = this.left.toMongoQuery(prefix);
+    const right = this.right.toMongoQuery(prefix);
+    return left && right ? { $and: [left, right] } : null;
+  }
+
+  toMongoPrefilter(prefix = '') {
+    // Either side narrows the candidates on its own
+    const parts = [this.left.toMongoPrefilter(prefix), this.right.toMongoPrefilter(prefix)]
+      .filter(part => Object.keys(part).length > 0);
+    if (parts.length === 0) {
+      return {};
+    }
+    return parts.length === 1 ? parts[0] : { $and: parts };
+  }
 }
 
 /**
@@ -77,6 +116,22 @@ class OrSpecification extends Specification {
   isSatisfiedBy(entity) {
     return this.left.isSatisfiedBy(entity) || this.right.isSatisfiedBy(entity);
   }
+
+  toMongoQuery(prefix = '') {
+    const left = this.left.toMongoQuery(prefix);
+    const right = this.right.toMongoQuery(prefix);
+    return left && right ? { $or: [left, right] } : null;
+  }
+
+  toMongoPrefilter(prefix = '') {
+    const left = this.left.toMongoPrefilter(prefix);
+    const right = this.right.toMongoPrefilter(prefix);
+    // An unrestricted side means any item may match
+    if (Object.keys(left).length === 0 || Object.keys(right).length === 0) {
+      return {};
+    }
+    return { $or: [left, right] };
+  }
 }
 
 /**
@@ -91,6 +146,11 @@ class NotSpecification extends Specification {
   isSatisfiedBy(entity) {
     return !this.spec.isSatisfiedBy(entity);
   }
+
+  toMongoQuery(prefix = '') {
+    const query = this.spec.toMongoQuery(prefix);
+    return query ? { $nor: [query] } : null;
+  }
 }
 
 // Item-specific specifications
@@ -102,6 +162,10 @@ class MembersItemSpecification extends Specification {
   isSatisfiedBy(item) {
     return item.members === true;
   }
+
+  toMongoQuery(prefix = '') {
+    return { [`${prefix}members`]: true };
+  }
 }
 
 /**
@@ -111,6 +175,10 @@ class TradeableItemSpecification extends Specification {
   isSatisfiedBy(item) {
     return item.market.tradeableOnGE === true;
   }
+
+  toMongoQuery(prefix = '') {
+    return { [`${prefix}tradeable_on_ge`]: true };
+  }
 }
 
 /**
@@ -120,6 +188,10 @@ class ActiveItemSpecification extends Specification {
   isSatisfiedBy(item) {
     return item.status === 'active';
   }
+
+  toMongoQuery(prefix = '') {
+    return { [`${prefix}status`]: 'active' };
+  }
 }
 
 /**
@@ -129,6 +201,10 @@ class StackableItemSpecification extends Specification {
   isSatisfiedBy(item) {
     return item.market.stackable === true;
   }
+
+  toMongoQuery(prefix = '') {
+    return { [`${prefix}stackable`]: true };
+  }
 }
 
 /**
@@ -143,6 +219,10 @@ class HighValueItemSpecification extends Specification {
   isSatisfiedBy(item) {
     return item.market.value >= this.threshold;
   }
+
+  toMongoQuery(prefix = '') {
+    return { [`${prefix}value`]: { $gte: this.threshold } };
+  }
 }
 
 /**
@@ -196,6 +276,11 @@ class ItemNameContainsSpecification extends Specification {
     const itemName = this.caseSensitive ? item.name : item.name.toLowerCase();
     return itemName.includes(this.searchText);
   }
+
+  toMongoQuery(prefix = '') {
+    const pattern = this.searchText.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return { [`${prefix}name`]: this.caseSensitive ? { $regex: pattern } : { $regex: pattern, $options: 'i' } };
+  }
 }
 
 /**
@@ -233,6 +318,10 @@ class HasBuyLimitSpecification extends Specification {
   isSatisfiedBy(item) {
     return item.market.buyLimit !== null && item.market.buyLimit > 0;
   }
+
+  toMongoQuery(prefix = '') {
+    return { [`${prefix}buy_limit`]: { $gt: 0 } };
+  }
 }
 
 /**
@@ -248,6 +337,67 @@ class ValueRangeSpecification extends Specification {
   isSatisfiedBy(item) {
     return item.market.value >= this.minValue && item.market.value <= this.maxValue;
   }
+
+  toMongoQuery(prefix = '') {
+    return { [`${prefix}value`]: { $gte: this.minValue, $lte: this.maxValue } };
+  }
+}
+
+/**
+ * Numeric item attributes usable in comparisons; path is null when there is no stored field
+ */
+const NUMERIC_ATTRIBUTES = {
+  value: { path: 'value', get: item => item.market.value },
+  highalch: { path: 'highalch', get: item => item.alchemy.highalch },
+  lowalch: { path: 'lowalch', get: item => item.alchemy.lowalch },
+  limit: { path: 'buy_limit', get: item => item.market.buyLimit },
+  weight: { path: 'weight', get: item => item.weight },
+  id: { path: 'itemId', get: item => item.id.value },
+  alchprofit: { path: null, get: item => item.getAlchemyProfit() }
+};
+
+const COMPARISONS = {
+  '>': { mongo: '$gt', test: (a, b) => a > b },
+  '>=': { mongo: '$gte', test: (a, b) => a >= b },
+  '<': { mongo: '$lt', test: (a, b) => a < b },
+  '<=': { mongo: '$lte', test: (a, b) => a <= b },
+  '=': { mongo: '$eq', test: (a, b) => a === b },
+  '!=': { mongo: '$ne', test: (a, b) => a !== b }
+};
+
+/**
+ * Compare a numeric item attribute against a constant
+ */
+class NumericAttributeSpecification extends Specification {
+  constructor(attribute, operator, value) {
+    super();
+    if (!NUMERIC_ATTRIBUTES[attribute]) {
+      throw new Error(`Unknown numeric attribute: ${attribute}`);
+    }
+    if (!COMPARISONS[operator]) {
+      throw new Error(`Unknown comparison operator: ${operator}`);
+    }
+    this.attribute = attribute;
+    this.operator = operator;
+    this.value = value;
+  }
+
+  isSatisfiedBy(item) {
+    const actual = NUMERIC_ATTRIBUTES[this.attribute].get(item);
+    // Missing values (e.g. no buy limit) only satisfy '!='
+    if (actual === null || actual === undefined) {
+      return this.operator === '!=';
+    }
+    return COMPARISONS[this.operator].test(actual, this.value);
+  }
+
+  toMongoQuery(prefix = '') {
+    const { path } = NUMERIC_ATTRIBUTES[this.attribute];
+    if (!path) {
+      return null;
+    }
+    return { [`${prefix}${path}`]: { [COMPARISONS[this.operator].mongo]: this.value } };
+  }
 }
 
 /**
@@ -396,6 +546,8 @@ module.exports = {
   LightweightItemSpecification,
   HasBuyLimitSpecification,
   ValueRangeSpecification,
+  NumericAttributeSpecification,
   RecentlyUpdatedSpecification,
-  ItemSpecifications
+  ItemSpecifications,
+  NUMERIC_ATTRIBUTES
 };
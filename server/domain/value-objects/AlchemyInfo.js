@@ -138,6 +138,15 @@ class AlchemyInfo {
     return Math.max(0, this.#highalch - this.#natureRuneCost);
   }
 
+  /**
+   * Copy with a different nature rune cost (e.g. the live GE price)
+   * @param {number} natureRuneCost - Nature rune cost
+   * @returns {AlchemyInfo} New AlchemyInfo instance
+   */
+  withNatureRuneCost(natureRuneCost) {
+    return new AlchemyInfo({ lowalch: this.#lowalch, highalch: this.#highalch, natureRuneCost });
+  }
+
   /**
    * Check equality with another AlchemyInfo
    * @param {AlchemyInfo} other - Other AlchemyInfo to compare
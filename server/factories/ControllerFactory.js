@@ -25,6 +25,24 @@ const { ItemMappingService } = require('../services/ItemMappingService');
 const { OSRSWikiService } = require('../services/OSRSWikiService');
 const { AutoTrainingService } = require('../services/AutoTrainingService');
 const { SmartItemSelectorService } = require('../services/SmartItemSelectorService');
+const { MarketAlertService } = require('../services/alerts/MarketAlertService');
+const { BacktestService } = require('../services/backtesting/BacktestService');
+const { TradeLedgerService } = require('../services/ledger/TradeLedgerService');
+const { TradeJournalService } = require('../services/journal/TradeJournalService');
+const { CandleService } = require('../services/candles/CandleService');
+const { MarketSearchService } = require('../services/search/MarketSearchService');
+const { SavedSearchService } = require('../services/search/SavedSearchService');
+const { getItemCategoryService } = require('../services/categories/ItemCategoryService');
+const { AlchScannerService } = require('../services/alchemy/AlchScannerService');
+const { RecipeProfitService } = require('../services/recipes/RecipeProfitService');
+const { SetArbitrageService } = require('../services/sets/SetArbitrageService');
+const { getAnomalyDetectionService } = require('../services/anomalies/AnomalyDetectionService');
+const { getBackfillJobService } = require('../services/backfill/BackfillJobService');
+const { getDataQualityService } = require('../services/quality/DataQualityService');
+const { getModelRegistryService } = require('../services/ai/ModelRegistryService');
+const { getTradingSessionService } = require('../services/ai/TradingSessionService');
+const { getSnapshotCompactionService } = require('../services/retention/SnapshotCompactionService');
+const { getNotificationService } = require('../utils/NotificationService');
 
 // Controller imports
 const { MarketDataController } = require('../controllers/MarketDataController');
@@ -35,6 +53,19 @@ const { MonitoringController } = require('../controllers/MonitoringController');
 const { ItemMappingController } = require('../controllers/ItemMappingController');
 const { ExternalAPIController } = require('../controllers/ExternalAPIController');
 const { AutoTrainingController } = require('../controllers/AutoTrainingController');
+const { BacktestController } = require('../controllers/BacktestController');
+const { TradeLedgerController } = require('../controllers/TradeLedgerController');
+const { TradeJournalController } = require('../controllers/TradeJournalController');
+const { CandleController } = require('../controllers/CandleController');
+const { MarketSearchController } = require('../controllers/MarketSearchController');
+const { CategoryController } = require('../controllers/CategoryController');
+const { AlchScannerController } = require('../controllers/AlchScannerController');
+const { RecipeController } = require('../controllers/RecipeController');
+const { SetArbitrageController } = require('../controllers/SetArbitrageController');
+const { AnomalyController } = require('../controllers/AnomalyController');
+const { BackfillController } = require('../controllers/BackfillController');
+const { DataQualityController } = require('../controllers/DataQualityController');
+const { ModelRegistryController } = require('../controllers/ModelRegistryController');
 
 class ControllerFactory {
   constructor() {
@@ -49,25 +80,63 @@ class ControllerFactory {
    */
   initializeServices() {
     // Create service instances with proper dependency injection
-    this.serviceInstances.set('marketData', new MarketDataService());
+    this.serviceInstances.set('notification', getNotificationService());
+    this.serviceInstances.set('itemCategory', getItemCategoryService());
+    this.serviceInstances.set('alchScanner', new AlchScannerService());
+    this.serviceInstances.set('marketAlert', new MarketAlertService());
+    this.serviceInstances.set('anomalyDetection', getAnomalyDetectionService());
+    this.serviceInstances.set('marketData', new MarketDataService({
+      alertService: this.serviceInstances.get('marketAlert'),
+      anomalyService: this.serviceInstances.get('anomalyDetection')
+    }));
     this.serviceInstances.set('dataCollection', new DataCollectionService());
     this.serviceInstances.set('osrsDataScraper', new OSRSDataScraperService());
     this.serviceInstances.set('tradingAnalysis', new TradingAnalysisService());
     this.serviceInstances.set('monitoring', new MonitoringService());
     this.serviceInstances.set('itemMapping', new ItemMappingService());
     this.serviceInstances.set('osrsWiki', new OSRSWikiService());
+    this.serviceInstances.set('recipeProfit', new RecipeProfitService({
+      osrsWikiService: this.serviceInstances.get('osrsWiki')
+    }));
+    this.serviceInstances.set('setArbitrage', new SetArbitrageService({
+      osrsWikiService: this.serviceInstances.get('osrsWiki')
+    }));
     this.serviceInstances.set('smartItemSelector', new SmartItemSelectorService());
+    this.serviceInstances.set('backtest', new BacktestService());
+    // Backfill runners and the Wiki throttle are per process, so the service is a shared singleton
+    this.serviceInstances.set('backfill', getBackfillJobService());
+    this.serviceInstances.set('dataQuality', getDataQualityService());
+    this.serviceInstances.set('snapshotCompaction', getSnapshotCompactionService());
+    this.serviceInstances.set('tradeLedger', new TradeLedgerService());
+    this.serviceInstances.set('tradeJournal', new TradeJournalService({
+      tradeLedgerService: this.serviceInstances.get('tradeLedger')
+    }));
+    this.serviceInstances.set('candle', new CandleService());
+    this.serviceInstances.set('marketSearch', new MarketSearchService());
+    this.serviceInstances.set('savedSearch', new SavedSearchService({
+      marketSearchService: this.serviceInstances.get('marketSearch'),
+      notificationService: this.serviceInstances.get('notification')
+    }));
+
+    // The production model cache is per process, so the registry is a shared singleton
+    this.serviceInstances.set('modelRegistry', getModelRegistryService());
+
+    // Running AI trading sessions are held in memory, so the session store is a shared singleton
+    this.serviceInstances.set('tradingSession', getTradingSessionService());
 
     // AI Trading Orchestrator with dependencies
     this.serviceInstances.set('aiTradingOrchestrator', new AITradingOrchestratorService({
       marketDataService: this.serviceInstances.get('marketData'),
-      tradingAnalysisService: this.serviceInstances.get('tradingAnalysis')
+      tradingAnalysisService: this.serviceInstances.get('tradingAnalysis'),
+      modelRegistry: this.serviceInstances.get('modelRegistry'),
+      sessionService: this.serviceInstances.get('tradingSession')
     }));
 
     // Auto Training with dependencies
     this.serviceInstances.set('autoTraining', new AutoTrainingService({
       aiTradingService: this.serviceInstances.get('aiTradingOrchestrator'),
-      monitoringService: this.serviceInstances.get('monitoring')
+      monitoringService: this.serviceInstances.get('monitoring'),
+      modelRegistry: this.serviceInstances.get('modelRegistry')
     }));
   }
 
@@ -116,7 +185,9 @@ class ControllerFactory {
     if (!this.controllerInstances.has('aiTrading')) {
       this.controllerInstances.set('aiTrading', new AITradingController({
         aiTradingService: this.serviceInstances.get('aiTradingOrchestrator'),
-        tradingAnalysisService: this.serviceInstances.get('tradingAnalysis')
+        tradingAnalysisService: this.serviceInstances.get('tradingAnalysis'),
+        sessionService: this.serviceInstances.get('tradingSession'),
+        modelRegistry: this.serviceInstances.get('modelRegistry')
       }));
     }
     return this.controllerInstances.get('aiTrading');
@@ -137,7 +208,9 @@ class ControllerFactory {
       }
       
       this.controllerInstances.set('monitoring', new MonitoringController({
-        monitoringService
+        monitoringService,
+        notificationService: this.serviceInstances.get('notification'),
+        compactionService: this.serviceInstances.get('snapshotCompaction')
       }));
     }
     return this.controllerInstances.get('monitoring');
@@ -179,6 +252,163 @@ class ControllerFactory {
     return this.controllerInstances.get('autoTraining');
   }
 
+  /**
+   * Create BacktestController with injected dependencies
+   */
+  createBacktestController() {
+    if (!this.controllerInstances.has('backtest')) {
+      this.controllerInstances.set('backtest', new BacktestController({
+        backtestService: this.serviceInstances.get('backtest')
+      }));
+    }
+    return this.controllerInstances.get('backtest');
+  }
+
+  /**
+   * Create TradeLedgerController with injected dependencies
+   */
+  createTradeLedgerController() {
+    if (!this.controllerInstances.has('tradeLedger')) {
+      this.controllerInstances.set('tradeLedger', new TradeLedgerController({
+        tradeLedgerService: this.serviceInstances.get('tradeLedger')
+      }));
+    }
+    return this.controllerInstances.get('tradeLedger');
+  }
+
+  /**
+   * Create TradeJournalController with injected dependencies
+   */
+  createTradeJournalController() {
+    if (!this.controllerInstances.has('tradeJournal')) {
+      this.controllerInstances.set('tradeJournal', new TradeJournalController({
+        tradeJournalService: this.serviceInstances.get('tradeJournal')
+      }));
+    }
+    return this.controllerInstances.get('tradeJournal');
+  }
+
+  /**
+   * Create CandleController with injected dependencies
+   */
+  createCandleController() {
+    if (!this.controllerInstances.has('candle')) {
+      this.controllerInstances.set('candle', new CandleController({
+        candleService: this.serviceInstances.get('candle')
+      }));
+    }
+    return this.controllerInstances.get('candle');
+  }
+
+  /**
+   * Create MarketSearchController with injected dependencies
+   */
+  createMarketSearchController() {
+    if (!this.controllerInstances.has('marketSearch')) {
+      this.controllerInstances.set('marketSearch', new MarketSearchController({
+        marketSearchService: this.serviceInstances.get('marketSearch'),
+        savedSearchService: this.serviceInstances.get('savedSearch')
+      }));
+    }
+    return this.controllerInstances.get('marketSearch');
+  }
+
+  /**
+   * Create CategoryController with injected dependencies
+   */
+  createCategoryController() {
+    if (!this.controllerInstances.has('category')) {
+      this.controllerInstances.set('category', new CategoryController({
+        categoryService: this.serviceInstances.get('itemCategory')
+      }));
+    }
+    return this.controllerInstances.get('category');
+  }
+
+  /**
+   * Create AlchScannerController with injected dependencies
+   */
+  createAlchScannerController() {
+    if (!this.controllerInstances.has('alchScanner')) {
+      this.controllerInstances.set('alchScanner', new AlchScannerController({
+        alchScannerService: this.serviceInstances.get('alchScanner')
+      }));
+    }
+    return this.controllerInstances.get('alchScanner');
+  }
+
+  /**
+   * Create RecipeController with injected dependencies
+   */
+  createRecipeController() {
+    if (!this.controllerInstances.has('recipe')) {
+      this.controllerInstances.set('recipe', new RecipeController({
+        recipeProfitService: this.serviceInstances.get('recipeProfit')
+      }));
+    }
+    return this.controllerInstances.get('recipe');
+  }
+
+  /**
+   * Create SetArbitrageController with injected dependencies
+   */
+  createSetArbitrageController() {
+    if (!this.controllerInstances.has('setArbitrage')) {
+      this.controllerInstances.set('setArbitrage', new SetArbitrageController({
+        setArbitrageService: this.serviceInstances.get('setArbitrage')
+      }));
+    }
+    return this.controllerInstances.get('setArbitrage');
+  }
+
+  /**
+   * Create AnomalyController with injected dependencies
+   */
+  createAnomalyController() {
+    if (!this.controllerInstances.has('anomaly')) {
+      this.controllerInstances.set('anomaly', new AnomalyController({
+        anomalyService: this.serviceInstances.get('anomalyDetection')
+      }));
+    }
+    return this.controllerInstances.get('anomaly');
+  }
+
+  /**
+   * Create BackfillController with injected dependencies
+   */
+  createBackfillController() {
+    if (!this.controllerInstances.has('backfill')) {
+      this.controllerInstances.set('backfill', new BackfillController({
+        backfillService: this.serviceInstances.get('backfill')
+      }));
+    }
+    return this.controllerInstances.get('backfill');
+  }
+
+  /**
+   * Create DataQualityController with injected dependencies
+   */
+  createDataQualityController() {
+    if (!this.controllerInstances.has('dataQuality')) {
+      this.controllerInstances.set('dataQuality', new DataQualityController({
+        dataQualityService: this.serviceInstances.get('dataQuality')
+      }));
+    }
+    return this.controllerInstances.get('dataQuality');
+  }
+
+  /**
+   * Create ModelRegistryController with injected dependencies
+   */
+  createModelRegistryController() {
+    if (!this.controllerInstances.has('modelRegistry')) {
+      this.controllerInstances.set('modelRegistry', new ModelRegistryController({
+        modelRegistryService: this.serviceInstances.get('modelRegistry')
+      }));
+    }
+    return this.controllerInstances.get('modelRegistry');
+  }
+
   /**
    * Get service instance by name
    * Useful for dynamic service access
@@ -206,7 +436,20 @@ class ControllerFactory {
       monitoring: this.createMonitoringController(),
       itemMapping: this.createItemMappingController(),
       externalAPI: this.createExternalAPIController(),
-      autoTraining: this.createAutoTrainingController()
+      autoTraining: this.createAutoTrainingController(),
+      backtest: this.createBacktestController(),
+      tradeLedger: this.createTradeLedgerController(),
+      tradeJournal: this.createTradeJournalController(),
+      candle: this.createCandleController(),
+      marketSearch: this.createMarketSearchController(),
+      category: this.createCategoryController(),
+      alchScanner: this.createAlchScannerController(),
+      recipe: this.createRecipeController(),
+      setArbitrage: this.createSetArbitrageController(),
+      anomaly: this.createAnomalyController(),
+      backfill: this.createBackfillController(),
+      dataQuality: this.createDataQualityController(),
+      modelRegistry: this.createModelRegistryController()
     };
   }
 
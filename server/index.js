@@ -12,6 +12,11 @@ const path = require('path');
 const http = require('http');
 const MongoDataPersistence = require('./services/mongoDataPersistence');
 const { WebSocketLoggingService } = require('./services/WebSocketLoggingService');
+const { WebSocketMarketService } = require('./services/WebSocketMarketService');
+const { MarketDataScheduler } = require('./services/MarketDataScheduler');
+const { getItemCategoryService } = require('./services/categories/ItemCategoryService');
+const { getBackfillJobService } = require('./services/backfill/BackfillJobService');
+const { getSnapshotCompactionService } = require('./services/retention/SnapshotCompactionService');
 const { ErrorHandler } = require('./middleware/ErrorHandler');
 const { AppConstants } = require('./config/AppConstants');
 const ApiResponse = require('./utils/ApiResponse');
@@ -35,6 +40,7 @@ const mongoConfig = {
 
 // Initialize MongoDB persistence service
 let mongoService = null;
+let marketDataScheduler = null;
 
 // FIXED: Performance optimizations
 const compression = require('compression');
@@ -455,11 +461,40 @@ async function startServer() {
     console.error('❌ Failed to initialize WebSocket service:', error);
   }
 
+  // Market price channel shares the HTTP server; deltas are pushed after each scheduler sync
+  let webSocketMarketService = null;
+  try {
+    webSocketMarketService = new WebSocketMarketService(server, { path: '/market' });
+    console.log('📈 Market WebSocket channel initialized');
+  } catch (error) {
+    console.error('❌ Failed to initialize market WebSocket channel:', error);
+  }
+
+  // Scheduled syncs write snapshots, so they only run with a database connection
+  if (mongoConnected) {
+    marketDataScheduler = new MarketDataScheduler({ marketStream: webSocketMarketService });
+    marketDataScheduler.start();
+
+    // Load the stored category taxonomy (seeding it on first start) before requests classify items
+    getItemCategoryService().getClassifier().catch(error => {
+      console.error('❌ Failed to load item category taxonomy:', error);
+    });
+
+    // Backfill jobs that were running when the server stopped continue where they left off
+    getBackfillJobService().resumeInterruptedJobs().catch(error => {
+      console.error('❌ Failed to resume backfill jobs:', error);
+    });
+
+    // Rolls 5m snapshots into 1h and 1h into daily buckets once they pass their retention
+    getSnapshotCompactionService().start();
+  }
+
   server.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📊 Dashboard: http://localhost:${PORT}`);
     console.log(`🔗 API: http://localhost:${PORT}/api`);
     console.log(`🔌 WebSocket: ws://localhost:${PORT}/logs`);
+    console.log(`📈 Market stream: ws://localhost:${PORT}/market`);
     console.log(`💾 MongoDB: ${mongoConnected ? 'Connected with Context7 optimizations' : 'Disconnected (using fallback data)'}`);
 
     if (mongoConnected) {
@@ -476,6 +511,11 @@ async function startServer() {
 process.on('SIGINT', async() => {
   console.log('\n🛑 Shutting down server with Context7 cleanup...');
 
+  if (marketDataScheduler) {
+    marketDataScheduler.stop();
+  }
+  getSnapshotCompactionService().stop();
+
   // Close MongoDB connection
   if (mongoService) {
     try {
@@ -15,14 +15,14 @@
 const { Logger } = require('../utils/Logger');
 const { ApiResponse } = require('../utils/ApiResponse');
 const { ErrorHandlerManager } = require('../strategies/ErrorHandlingStrategy');
-const { NotificationService } = require('../utils/NotificationService');
+const { getNotificationService } = require('../utils/NotificationService');
 const { ErrorManager } = require('../utils/ErrorManager');
 
 class ErrorMiddleware {
   constructor(dependencies = {}) {
     this.logger = new Logger('ErrorMiddleware');
     this.errorHandlerManager = dependencies.errorHandlerManager || new ErrorHandlerManager();
-    this.notificationService = dependencies.notificationService || new NotificationService();
+    this.notificationService = dependencies.notificationService || getNotificationService();
 
     // SOLID: Bind methods to preserve context
     this.handleError = this.handleError.bind(this);
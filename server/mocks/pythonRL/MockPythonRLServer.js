@@ -0,0 +1,208 @@
+/**
+ * 🧪 Mock Python RL API - Context7 Pattern
+ *
+ * Context7 Pattern: Offline stand-in for the Python RL microservice (PythonRLClientService)
+ * - /api/v1/health, /predictions, /training/start, /training/current and /models with the
+ *   { status, data, timestamp, execution_time_ms } envelope the client reads
+ * - Predictions follow a fixed rule on the feature vector (PythonInferenceBackend.FEATURE_NAMES),
+ *   so tests can assert on them
+ * - POST /models saves the current model under a new id; GET /models/:modelId loads a saved one
+ *   (404 otherwise), and later predictions report it
+ * - Outages (503) through the /__mock control endpoints, to trip the client's circuit breaker
+ *
+ * Point the backend at it with PYTHON_RL_SERVICE_URL=http://localhost:<port>
+ */
+
+const express = require('express');
+const { Logger } = require('../../utils/Logger');
+const TimeConstants = require('../../utils/TimeConstants');
+const { FEATURE_NAMES } = require('../../services/ai/inference/PythonInferenceBackend');
+
+const ACTION_NAMES = ['HOLD', 'BUY', 'SELL'];
+const MARGIN_INDEX = FEATURE_NAMES.indexOf('marginPercent');
+const RSI_INDEX = FEATURE_NAMES.indexOf('rsi');
+
+class MockPythonRLServer {
+  /**
+   * @param {Object} options
+   * @param {string} options.modelId - Model id reported by predictions and /models until another is loaded
+   * @param {Function} options.now - Clock, injectable for tests
+   */
+  constructor(options = {}) {
+    this.logger = new Logger('MockPythonRLServer');
+    this.defaultModelId = options.modelId || 'mock-dqn-1.0.0';
+    this.now = options.now || Date.now;
+    this.server = null;
+    this.reset();
+  }
+
+  /**
+   * Clear outage, training, model and request state
+   */
+  reset() {
+    this.startedAt = this.now();
+    this.modelId = this.defaultModelId;
+    this.savedModels = new Set([this.defaultModelId]);
+    this.outageUntil = 0;
+    this.outageStatus = 503;
+    this.training = null;
+    this.stats = { requests: 0, served: 0, outages: 0, predictions: 0 };
+  }
+
+  /**
+   * BUY on a 5%+ margin unless overbought, SELL when overbought, HOLD otherwise
+   */
+  predict(features) {
+    const margin = Number(features[MARGIN_INDEX]) || 0;
+    const rsi = Number(features[RSI_INDEX]) || 50;
+    const action = rsi > 70 ? 2 : margin >= 5 ? 1 : 0;
+    const confidence = Math.min(0.95, 0.6 + Math.abs(margin) / 100);
+    const qValues = ACTION_NAMES.map((name, index) => (index === action ? confidence : (1 - confidence) / 2));
+
+    return {
+      action,
+      action_name: ACTION_NAMES[action],
+      confidence,
+      expected_return: action === 1 ? margin / 100 : 0,
+      q_values: qValues,
+      model_id: this.modelId
+    };
+  }
+
+  envelope(data) {
+    return { status: 'success', data, timestamp: this.now(), execution_time_ms: 1 };
+  }
+
+  /**
+   * Express middleware: forced outages
+   */
+  faultInjection() {
+    return (req, res, next) => {
+      this.stats.requests++;
+      if (this.now() < this.outageUntil) {
+        this.stats.outages++;
+        return res.status(this.outageStatus).json({ status: 'error', error: 'Service temporarily unavailable' });
+      }
+      this.stats.served++;
+      next();
+    };
+  }
+
+  createApp() {
+    const app = express();
+    const api = express.Router();
+    const control = express.Router();
+
+    api.use(this.faultInjection());
+    api.use(express.json({ limit: '5mb' }));
+    api.get('/health', (req, res) => res.json({
+      ...this.envelope({
+        uptime_seconds: Math.floor((this.now() - this.startedAt) / 1000),
+        components: { rl_agent: 'healthy' },
+        resource_usage: { memory_mb: 0 }
+      }),
+      version: 'mock'
+    }));
+    api.post('/predictions', (req, res) => {
+      if (!Array.isArray(req.body?.features)) {
+        return res.status(422).json({ status: 'error', error: 'features must be an array' });
+      }
+      this.stats.predictions++;
+      return res.json(this.envelope(this.predict(req.body.features)));
+    });
+    api.post('/training/start', (req, res) => {
+      const episodes = req.body?.config?.episodes || 0;
+      this.training = { session_id: `mock-session-${this.now()}`, episodes_planned: episodes, model_id: this.modelId };
+      res.json(this.envelope({ ...this.training, initial_loss: 0, initial_reward: 0 }));
+    });
+    api.get('/training/current', (req, res) => res.json(this.envelope({
+      is_training: false,
+      current_episode: this.training?.episodes_planned || 0,
+      total_episodes: this.training?.episodes_planned || 0,
+      progress: this.training ? 1 : 0,
+      model_id: this.modelId
+    })));
+    api.get('/models', (req, res) => res.json(this.envelope({ model_id: this.modelId, algorithm: 'DQN', performance_metrics: {} })));
+    api.get('/models/:modelId', (req, res) => {
+      if (!this.savedModels.has(req.params.modelId)) {
+        return res.status(404).json({ status: 'error', error: `Model ${req.params.modelId} not found` });
+      }
+      this.modelId = req.params.modelId;
+      return res.json(this.envelope({
+        model_id: this.modelId,
+        algorithm: 'DQN',
+        version: '1.0.0',
+        status: 'loaded',
+        performance_metrics: {}
+      }));
+    });
+    api.post('/models', (req, res) => {
+      const modelId = req.body?.model_id || this.modelId;
+      this.savedModels.add(modelId);
+      res.json(this.envelope({
+        model_id: modelId,
+        file_path: `mock/${modelId}.pt`,
+        file_size_bytes: 0,
+        version: '1.0.0'
+      }));
+    });
+
+    control.use(express.json());
+    control.get('/state', (req, res) => res.json({ outageUntil: this.outageUntil || null, stats: this.stats }));
+    control.post('/outage', (req, res) => {
+      const { durationMs = TimeConstants.ONE_MINUTE, status = 503 } = req.body || {};
+      this.setOutage(durationMs, status);
+      res.json({ outageUntil: this.outageUntil, status });
+    });
+    control.delete('/outage', (req, res) => {
+      this.outageUntil = 0;
+      res.json({ outageUntil: null });
+    });
+    control.post('/reset', (req, res) => {
+      this.reset();
+      res.json({ reset: true });
+    });
+
+    app.use('/api/v1', api);
+    app.use('/__mock', control);
+    return app;
+  }
+
+  /**
+   * Fail every API request with status for durationMs
+   */
+  setOutage(durationMs, status = 503) {
+    this.outageUntil = this.now() + durationMs;
+    this.outageStatus = status;
+  }
+
+  /**
+   * Start listening; port 0 picks a free port
+   * @returns {Promise<string>} Base URL to use as PYTHON_RL_SERVICE_URL
+   */
+  start(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server = this.createApp().listen(port, host, () => {
+        const { port: boundPort } = this.server.address();
+        this.baseURL = `http://${host}:${boundPort}`;
+        this.logger.info('Mock Python RL API listening', { baseURL: this.baseURL });
+        resolve(this.baseURL);
+      });
+      this.server.once('error', reject);
+    });
+  }
+
+  stop() {
+    return new Promise((resolve) => {
+      if (!this.server) {
+        return resolve();
+      }
+      this.server.close(() => resolve());
+      // Drop keep-alive sockets so close() does not wait on idle clients
+      this.server.closeAllConnections();
+      this.server = null;
+    });
+  }
+}
+
+module.exports = { MockPythonRLServer };
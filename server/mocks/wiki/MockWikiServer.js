@@ -0,0 +1,376 @@
+/**
+ * 🧪 Mock OSRS Wiki Price API - Context7 Pattern
+ *
+ * Context7 Pattern: Offline stand-in for https://prices.runescape.wiki/api/v1/osrs
+ * - Serves recorded fixtures for /latest, /5m, /1h and /mapping with timestamps moved to now
+ * - Seeded random-walk price drift so repeated syncs see changing markets
+ * - /timeseries synthesized from the drifted prices
+ * - Also stands in for the GE item database the scraper reads (https://secure.runescape.com/m=itemdb_oldschool):
+ *   /top100 pages listing the items in fixtures/top100.json, and 180-day /api/graph/<id>.json price graphs
+ * - Simulated rate limiting (429 + Retry-After) and outages (503)
+ * - Control endpoints under /__mock for tests and manual fault injection
+ *
+ * Point the backend at it with OSRS_WIKI_BASE_URL=http://localhost:<port>/api/v1/osrs
+ * and OSRS_GE_BASE_URL=http://localhost:<port>/m=itemdb_oldschool
+ */
+
+const path = require('path');
+const fs = require('fs');
+const express = require('express');
+const { Logger } = require('../../utils/Logger');
+const TimeConstants = require('../../utils/TimeConstants');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const FIXTURE_FILES = ['latest', '5m', '1h', 'mapping', 'top100'];
+const TIMESTEP_SECONDS = { '5m': 300, '1h': 3600, '6h': 21600, '24h': 86400 };
+const TIMESERIES_POINTS = 365; // The real API returns up to 365 points per request
+const GRAPH_DAYS = 180; // GE price graphs cover the last 180 days
+const GRAPH_AVERAGE_DAYS = 30; // 'average' is the trailing 30-day mean
+
+// Drifted prices stay within this band of the recorded price
+const MIN_DRIFT_FACTOR = 0.5;
+const MAX_DRIFT_FACTOR = 2;
+
+/**
+ * Small seeded PRNG (mulberry32) so drift and outages are reproducible
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator of floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+class MockWikiServer {
+  /**
+   * @param {Object} options
+   * @param {string} options.fixturesDir - Directory with latest/5m/1h/mapping/top100 JSON fixtures
+   * @param {number} options.seed - PRNG seed for drift, outages and timeseries
+   * @param {number} options.driftPercent - Max price move per drift tick, in percent (0 disables drift)
+   * @param {number} options.driftIntervalMs - Time between drift ticks
+   * @param {Object} options.rateLimit - { max, windowMs } per client; max 0 disables limiting
+   * @param {number} options.outageRate - Probability (0-1) that a request fails with 503
+   * @param {string} options.basePath - Mount path of the price API
+   * @param {string} options.geBasePath - Mount path of the GE item database
+   * @param {Function} options.now - Clock, injectable for tests
+   */
+  constructor(options = {}) {
+    this.logger = new Logger('MockWikiServer');
+    this.fixturesDir = options.fixturesDir || DEFAULT_FIXTURES_DIR;
+    this.seed = options.seed ?? 1337;
+    this.driftPercent = options.driftPercent ?? 2;
+    this.driftIntervalMs = options.driftIntervalMs || TimeConstants.ONE_MINUTE;
+    this.rateLimit = { max: 0, windowMs: TimeConstants.ONE_MINUTE, ...options.rateLimit };
+    this.outageRate = options.outageRate || 0;
+    this.basePath = options.basePath || '/api/v1/osrs';
+    this.geBasePath = options.geBasePath || '/m=itemdb_oldschool';
+    this.now = options.now || Date.now;
+
+    this.fixtures = this.loadFixtures();
+    this.server = null;
+    this.reset();
+  }
+
+  loadFixtures() {
+    const fixtures = {};
+    for (const name of FIXTURE_FILES) {
+      const file = path.join(this.fixturesDir, `${name}.json`);
+      fixtures[name] = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+    return fixtures;
+  }
+
+  /**
+   * Restore recorded prices and clear rate-limit, outage and request state
+   */
+  reset() {
+    this.random = createRandom(this.seed);
+    this.startedAt = this.now();
+    this.tick = 0;
+    this.driftFactors = new Map(Object.keys(this.fixtures.latest.data).map(id => [id, 1]));
+    this.clients = new Map();
+    this.outageUntil = 0;
+    this.outageStatus = 503;
+    this.stats = { requests: 0, served: 0, rateLimited: 0, outages: 0 };
+  }
+
+  /**
+   * Advance the random walk to the tick for the current time
+   * @param {number} extraTicks - Additional ticks to force (control endpoint)
+   */
+  advanceDrift(extraTicks = 0) {
+    const target = Math.floor((this.now() - this.startedAt) / this.driftIntervalMs) + extraTicks;
+    const step = this.driftPercent / 100;
+
+    while (this.tick < target) {
+      for (const [id, factor] of this.driftFactors) {
+        const next = factor * (1 + (this.random() * 2 - 1) * step);
+        this.driftFactors.set(id, Math.min(MAX_DRIFT_FACTOR, Math.max(MIN_DRIFT_FACTOR, next)));
+      }
+      this.tick++;
+    }
+    if (extraTicks > 0) {
+      this.startedAt -= extraTicks * this.driftIntervalMs;
+    }
+  }
+
+  drift(id, price) {
+    if (price === null || price === undefined) {
+      return price;
+    }
+    return Math.max(1, Math.round(price * (this.driftFactors.get(String(id)) || 1)));
+  }
+
+  nowSeconds() {
+    return Math.floor(this.now() / 1000);
+  }
+
+  buildLatest(itemId) {
+    const data = {};
+    const seconds = this.nowSeconds();
+    for (const [id, entry] of Object.entries(this.fixtures.latest.data)) {
+      if (itemId && id !== String(itemId)) {
+        continue;
+      }
+      data[id] = {
+        high: this.drift(id, entry.high),
+        highTime: seconds - 30,
+        low: this.drift(id, entry.low),
+        lowTime: seconds - 90
+      };
+    }
+    return { data };
+  }
+
+  buildAverages(name, periodSeconds) {
+    const data = {};
+    for (const [id, entry] of Object.entries(this.fixtures[name].data)) {
+      data[id] = {
+        ...entry,
+        avgHighPrice: this.drift(id, entry.avgHighPrice),
+        avgLowPrice: this.drift(id, entry.avgLowPrice)
+      };
+    }
+    const seconds = this.nowSeconds();
+    return { data, timestamp: seconds - (seconds % periodSeconds) - periodSeconds };
+  }
+
+  /**
+   * Walk backwards from the drifted latest price with a per-item seeded generator
+   */
+  buildTimeseries(itemId, timestep) {
+    const latest = this.fixtures.latest.data[String(itemId)];
+    const volumes = this.fixtures['1h'].data[String(itemId)];
+    if (!latest) {
+      return { data: [] };
+    }
+
+    const stepSeconds = TIMESTEP_SECONDS[timestep];
+    const volumeScale = stepSeconds / TIMESTEP_SECONDS['1h'];
+    const random = createRandom(this.seed + Number(itemId) + stepSeconds);
+    const seconds = this.nowSeconds();
+    const start = seconds - (seconds % stepSeconds);
+
+    let high = this.drift(itemId, latest.high);
+    let low = this.drift(itemId, latest.low);
+    const points = [];
+    for (let i = 0; i < TIMESERIES_POINTS; i++) {
+      points.push({
+        timestamp: start - i * stepSeconds,
+        avgHighPrice: high,
+        avgLowPrice: low,
+        highPriceVolume: Math.round((volumes?.highPriceVolume || 0) * volumeScale * (0.5 + random())),
+        lowPriceVolume: Math.round((volumes?.lowPriceVolume || 0) * volumeScale * (0.5 + random()))
+      });
+      const move = 1 + (random() * 2 - 1) * (this.driftPercent || 1) / 100;
+      high = Math.max(1, Math.round(high * move));
+      low = Math.max(1, Math.min(high, Math.round(low * move)));
+    }
+    return { data: points.reverse(), itemId: Number(itemId) };
+  }
+
+  /**
+   * GE top 100 page for one list, with item links in the shape the live page uses
+   * @returns {string|null} HTML, or null for an unknown list
+   */
+  buildTop100Page(listId) {
+    const itemIds = this.fixtures.top100[String(listId)];
+    if (!itemIds) {
+      return null;
+    }
+
+    const names = new Map(this.fixtures.mapping.map(item => [String(item.id), item.name]));
+    const rows = itemIds.map((itemId) => {
+      const name = (names.get(String(itemId)) || `Item ${itemId}`)
+        .replace(/&/g, '&amp;').replace(/'/g, '&#39;').replace(/</g, '&lt;');
+      const price = this.drift(itemId, this.fixtures.latest.data[String(itemId)]?.high);
+      return `<tr><td class="item"><a href="${this.geBasePath}/${name.replace(/ /g, '+')}/viewitem?obj=${itemId}" ` +
+        `title="${name}">${name}</a></td><td>${price ?? '-'}</td></tr>`;
+    });
+    return `<html><body><table class="grandexchange"><tbody>${rows.join('')}</tbody></table></body></html>`;
+  }
+
+  /**
+   * GE price graph: GRAPH_DAYS daily mid prices walking back from the drifted latest price
+   * @returns {Object|null} { daily, average } keyed by epoch ms, or null for an unknown item
+   */
+  buildPriceGraph(itemId) {
+    const latest = this.fixtures.latest.data[String(itemId)];
+    if (!latest) {
+      return null;
+    }
+
+    const random = createRandom(this.seed + Number(itemId));
+    const today = this.now() - (this.now() % TimeConstants.ONE_DAY);
+    let price = Math.round((this.drift(itemId, latest.high) + this.drift(itemId, latest.low)) / 2);
+    const prices = [];
+    for (let i = 0; i < GRAPH_DAYS + GRAPH_AVERAGE_DAYS; i++) {
+      prices.push(price);
+      price = Math.max(1, Math.round(price * (1 + (random() * 2 - 1) * (this.driftPercent || 1) / 100)));
+    }
+
+    const daily = {};
+    const average = {};
+    for (let i = GRAPH_DAYS - 1; i >= 0; i--) {
+      const window = prices.slice(i, i + GRAPH_AVERAGE_DAYS);
+      daily[today - i * TimeConstants.ONE_DAY] = prices[i];
+      average[today - i * TimeConstants.ONE_DAY] = Math.round(window.reduce((sum, value) => sum + value, 0) / window.length);
+    }
+    return { daily, average };
+  }
+
+  /**
+   * Express middleware: forced/random outages, then fixed-window rate limiting
+   */
+  faultInjection() {
+    return (req, res, next) => {
+      this.stats.requests++;
+      const now = this.now();
+
+      if (now < this.outageUntil || (this.outageRate > 0 && this.random() < this.outageRate)) {
+        this.stats.outages++;
+        return res.status(this.outageStatus).json({ error: 'Service temporarily unavailable' });
+      }
+
+      if (this.rateLimit.max > 0) {
+        const key = req.ip;
+        let window = this.clients.get(key);
+        if (!window || now - window.startedAt >= this.rateLimit.windowMs) {
+          window = { startedAt: now, count: 0 };
+          this.clients.set(key, window);
+        }
+        window.count++;
+
+        if (window.count > this.rateLimit.max) {
+          this.stats.rateLimited++;
+          const retryAfter = Math.ceil((window.startedAt + this.rateLimit.windowMs - now) / 1000);
+          res.set('Retry-After', String(Math.max(1, retryAfter)));
+          return res.status(429).json({ error: 'Too many requests' });
+        }
+      }
+
+      this.advanceDrift();
+      this.stats.served++;
+      next();
+    };
+  }
+
+  createApp() {
+    const app = express();
+    const api = express.Router();
+    const ge = express.Router();
+    const control = express.Router();
+
+    api.use(this.faultInjection());
+    api.get('/latest', (req, res) => res.json(this.buildLatest(req.query.id)));
+    api.get('/5m', (req, res) => res.json(this.buildAverages('5m', TIMESTEP_SECONDS['5m'])));
+    api.get('/1h', (req, res) => res.json(this.buildAverages('1h', TIMESTEP_SECONDS['1h'])));
+    api.get('/mapping', (req, res) => res.json(this.fixtures.mapping));
+    api.get('/timeseries', (req, res) => {
+      const { id, timestep } = req.query;
+      if (!id || !TIMESTEP_SECONDS[timestep]) {
+        return res.status(400).json({ error: 'id and a valid timestep (5m, 1h, 6h, 24h) are required' });
+      }
+      return res.json(this.buildTimeseries(id, timestep));
+    });
+
+    ge.use(this.faultInjection());
+    ge.get('/top100', (req, res) => {
+      const page = this.buildTop100Page(req.query.list);
+      return page ? res.type('html').send(page) : res.status(404).send('Not Found');
+    });
+    ge.get('/api/graph/:itemId.json', (req, res) => {
+      const graph = this.buildPriceGraph(req.params.itemId);
+      return graph ? res.json(graph) : res.status(404).json({ error: 'Item not found' });
+    });
+
+    control.use(express.json());
+    control.get('/state', (req, res) => res.json({
+      tick: this.tick,
+      outageUntil: this.outageUntil || null,
+      rateLimit: this.rateLimit,
+      outageRate: this.outageRate,
+      stats: this.stats
+    }));
+    control.post('/outage', (req, res) => {
+      const { durationMs = TimeConstants.ONE_MINUTE, status = 503 } = req.body || {};
+      this.outageUntil = this.now() + durationMs;
+      this.outageStatus = status;
+      res.json({ outageUntil: this.outageUntil, status });
+    });
+    control.delete('/outage', (req, res) => {
+      this.outageUntil = 0;
+      res.json({ outageUntil: null });
+    });
+    control.post('/drift', (req, res) => {
+      this.advanceDrift(Math.max(1, parseInt(req.body?.ticks) || 1));
+      res.json({ tick: this.tick });
+    });
+    control.post('/reset', (req, res) => {
+      this.reset();
+      res.json({ tick: this.tick });
+    });
+
+    app.use(this.basePath, api);
+    app.use(this.geBasePath, ge);
+    app.use('/__mock', control);
+    return app;
+  }
+
+  /**
+   * Start listening; port 0 picks a free port
+   * @returns {Promise<string>} Base URL to use as OSRS_WIKI_BASE_URL; geBaseURL is set for OSRS_GE_BASE_URL
+   */
+  start(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server = this.createApp().listen(port, host, () => {
+        const { port: boundPort } = this.server.address();
+        this.baseURL = `http://${host}:${boundPort}${this.basePath}`;
+        this.geBaseURL = `http://${host}:${boundPort}${this.geBasePath}`;
+        this.logger.info('Mock OSRS Wiki API listening', { baseURL: this.baseURL, geBaseURL: this.geBaseURL });
+        resolve(this.baseURL);
+      });
+      this.server.once('error', reject);
+    });
+  }
+
+  stop() {
+    return new Promise((resolve) => {
+      if (!this.server) {
+        return resolve();
+      }
+      this.server.close(() => resolve());
+      // Drop keep-alive sockets so close() does not wait on idle clients
+      this.server.closeAllConnections();
+      this.server = null;
+    });
+  }
+}
+
+module.exports = { MockWikiServer };
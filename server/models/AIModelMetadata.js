@@ -158,6 +158,24 @@ const AIModelMetadataSchema = new mongoose.Schema({
     }
   },
 
+  // Reward function the model was trained with (services/ai/rewards/RewardFunctions.js)
+  rewardFunction: {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 50
+    },
+    version: {
+      type: String,
+      trim: true,
+      maxlength: 20
+    },
+    params: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined
+    }
+  },
+
   // Storage information
   storagePath: {
     type: String,
@@ -280,6 +298,7 @@ AIModelMetadataSchema.index({ 'performanceMetrics.roi': -1 });
 AIModelMetadataSchema.index({ 'performanceMetrics.accuracy': -1 });
 AIModelMetadataSchema.index({ trainingDate: -1 });
 AIModelMetadataSchema.index({ 'usageStats.lastUsedAt': -1 });
+AIModelMetadataSchema.index({ 'rewardFunction.name': 1, 'rewardFunction.version': 1 });
 
 // Pre-save middleware to update timestamps
 AIModelMetadataSchema.pre('save', function(next) {
@@ -0,0 +1,92 @@
+/**
+ * 🧾 AI Trading Decision Model - Context7 Optimized
+ *
+ * Context7 Pattern: Audit trail of AI trading decisions
+ * - One document per decision a session made, with the input features the model saw
+ *   and the inference backend and model version that answered
+ * - outcome and reward are filled in once the decision is executed
+ *
+ * SOLID: Single responsibility for decision audit records
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const MongooseTransformUtil = require('../utils/MongooseTransformUtil');
+
+const AITradingDecisionSchema = new Schema({
+  sessionId: {
+    type: String,
+    required: true
+  },
+
+  itemId: {
+    type: Number,
+    required: true
+  },
+
+  action: {
+    type: String,
+    required: true,
+    enum: ['buy', 'sell', 'hold']
+  },
+
+  confidence: Number,
+  buyPrice: Number,
+  sellPrice: Number,
+  positionSize: Number,
+  expectedProfit: Number,
+  expectedReturn: Number,
+  riskScore: Number,
+  riskLevel: String,
+  opportunityScore: Number,
+  reasoning: Schema.Types.Mixed,
+
+  // { backend, fallback, modelVersion }
+  inference: {
+    type: Schema.Types.Mixed,
+    default: undefined
+  },
+
+  // Model input, exactly as passed to predict()
+  features: {
+    type: Schema.Types.Mixed,
+    required: true
+  },
+
+  decidedAt: {
+    type: Date,
+    required: true
+  },
+
+  // { actualProfit, actualReturn, wasSuccessful, tradeDuration, executionPrice }
+  outcome: {
+    type: Schema.Types.Mixed,
+    default: null
+  },
+
+  reward: {
+    type: Number,
+    default: null
+  },
+
+  executedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'ai_trading_decisions',
+  toJSON: {
+    virtuals: true,
+    transform: MongooseTransformUtil.standardTransform
+  }
+});
+
+AITradingDecisionSchema.index({ sessionId: 1, decidedAt: 1 });
+
+const AITradingDecisionModel = mongoose.model('AITradingDecision', AITradingDecisionSchema);
+
+module.exports = {
+  AITradingDecisionModel,
+  AITradingDecisionSchema
+};
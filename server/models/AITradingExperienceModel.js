@@ -0,0 +1,79 @@
+/**
+ * 🧠 AI Trading Experience Model - Context7 Optimized
+ *
+ * Context7 Pattern: Persistent replay memory for AI trading sessions
+ * - One document per (state, action, reward, nextState) experience, as held in
+ *   TradingLearningService.learningMemory
+ * - Each session keeps at most maxMemorySize experiences, like the in-memory replay memory
+ * - A resumed session reloads its most recent experiences; switching reward function
+ *   deletes them, as it clears the in-memory replay memory
+ *
+ * SOLID: Single responsibility for replay memory storage
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const MongooseTransformUtil = require('../utils/MongooseTransformUtil');
+
+const AITradingExperienceSchema = new Schema({
+  sessionId: {
+    type: String,
+    required: true
+  },
+
+  decisionId: {
+    type: String,
+    default: null
+  },
+
+  state: {
+    type: Schema.Types.Mixed,
+    default: null
+  },
+
+  action: {
+    type: Number,
+    required: true
+  },
+
+  reward: {
+    type: Number,
+    required: true
+  },
+
+  nextState: {
+    type: Schema.Types.Mixed,
+    default: null
+  },
+
+  done: {
+    type: Boolean,
+    default: false
+  },
+
+  itemId: Number,
+  expectedReturn: Number,
+  actualReturn: Number,
+  confidence: Number,
+
+  timestamp: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: false,
+  collection: 'ai_trading_experiences',
+  toJSON: {
+    virtuals: true,
+    transform: MongooseTransformUtil.standardTransform
+  }
+});
+
+AITradingExperienceSchema.index({ sessionId: 1, timestamp: -1 });
+
+const AITradingExperienceModel = mongoose.model('AITradingExperience', AITradingExperienceSchema);
+
+module.exports = {
+  AITradingExperienceModel,
+  AITradingExperienceSchema
+};
@@ -0,0 +1,121 @@
+/**
+ * 🤖 AI Trading Session Model - Context7 Optimized
+ *
+ * Context7 Pattern: Persistent AI trading sessions
+ * - One document per session: configuration, lifecycle status and running metrics
+ * - adaptiveConfig holds the learning settings and reward definition, so a restart
+ *   rebuilds the session's learning service exactly as it was
+ * - TRAINING and PAUSED sessions are resumed when the server restarts; STOPPED ones are history
+ *
+ * SOLID: Single responsibility for session state
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const MongooseTransformUtil = require('../utils/MongooseTransformUtil');
+
+const SESSION_STATUSES = ['TRAINING', 'PAUSED', 'STOPPED'];
+const RUNNING_SESSION_STATUSES = ['TRAINING', 'PAUSED'];
+
+const AITradingSessionSchema = new Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+
+  sessionName: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: 'Default Session'
+  },
+
+  status: {
+    type: String,
+    required: true,
+    enum: SESSION_STATUSES,
+    default: 'TRAINING'
+  },
+
+  // Decision criteria (minProfitMargin, maxItemValue, ...)
+  config: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+
+  networkConfig: {
+    type: Schema.Types.Mixed,
+    default: undefined
+  },
+
+  // Learning settings plus rewardFunction { name, version, params }
+  adaptiveConfig: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Registry model the session is pinned to; null follows production
+  modelId: {
+    type: String,
+    default: null
+  },
+
+  metrics: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+
+  learningMetrics: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+
+  createdBy: {
+    type: String,
+    default: null
+  },
+
+  startTime: {
+    type: Number,
+    required: true
+  },
+
+  endTime: {
+    type: Number,
+    default: null
+  },
+
+  endReason: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: null
+  },
+
+  lastActivityAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'ai_trading_sessions',
+  minimize: false,
+  toJSON: {
+    virtuals: true,
+    transform: MongooseTransformUtil.standardTransform
+  }
+});
+
+AITradingSessionSchema.index({ status: 1, startTime: -1 });
+AITradingSessionSchema.index({ startTime: -1 });
+
+const AITradingSessionModel = mongoose.model('AITradingSession', AITradingSessionSchema);
+
+module.exports = {
+  AITradingSessionModel,
+  AITradingSessionSchema,
+  SESSION_STATUSES,
+  RUNNING_SESSION_STATUSES
+};
@@ -0,0 +1,172 @@
+/**
+ * 📜 Alert History Model - Context7 Optimized
+ *
+ * Context7 Pattern: Alert Trigger Audit Trail
+ * - One document per alert trigger
+ * - Captures the observed market value that satisfied the condition
+ * - Records notification delivery status for /alerts/history and /alerts/stats
+ *
+ * SOLID: Single responsibility for alert trigger records
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const MongooseTransformUtil = require('../utils/MongooseTransformUtil');
+
+/**
+ * Context7 Pattern: Alert History Schema Definition
+ */
+const AlertHistorySchema = new Schema({
+  alertId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Alert',
+    required: true,
+    index: true
+  },
+
+  itemId: {
+    type: Number,
+    required: true,
+    index: true
+  },
+
+  userId: {
+    type: String,
+    required: true,
+    default: 'default',
+    index: true
+  },
+
+  /**
+   * Snapshot of the alert definition at trigger time
+   */
+  type: {
+    type: String,
+    required: true
+  },
+
+  condition: {
+    type: String,
+    required: true
+  },
+
+  threshold: {
+    type: Number,
+    required: true
+  },
+
+  priority: {
+    type: String,
+    default: 'medium'
+  },
+
+  /**
+   * Market values that caused the trigger
+   */
+  observedValue: {
+    type: Number,
+    required: true
+  },
+
+  previousValue: {
+    type: Number,
+    default: null
+  },
+
+  snapshotTimestamp: {
+    type: Number,
+    default: null
+  },
+
+  interval: {
+    type: String,
+    default: null
+  },
+
+  message: {
+    type: String,
+    default: null
+  },
+
+  /**
+   * Notification delivery
+   */
+  status: {
+    type: String,
+    required: true,
+    enum: ['sent', 'failed', 'pending'],
+    default: 'pending',
+    index: true
+  },
+
+  channels: {
+    type: [String],
+    default: []
+  },
+
+  error: {
+    type: String,
+    default: null
+  },
+
+  triggeredAt: {
+    type: Date,
+    required: true,
+    default: Date.now,
+    index: true
+  }
+}, {
+  timestamps: true,
+  collection: 'market_alert_history',
+  toJSON: {
+    transform: MongooseTransformUtil.standardTransform
+  }
+});
+
+/**
+ * Context7 Pattern: Compound Indexes
+ */
+AlertHistorySchema.index(
+  { userId: 1, triggeredAt: -1 },
+  {
+    name: 'idx_user_triggered_desc',
+    background: true
+  }
+);
+
+/**
+ * Context7 Pattern: Static Methods
+ */
+
+/**
+ * Count triggers and delivery outcomes in a time range
+ * @param {Object} match - Filter (userId, triggeredAt range)
+ * @returns {Promise<Array>} Breakdown by delivery status and channel
+ */
+AlertHistorySchema.statics.getDeliveryBreakdown = function(match = {}) {
+  return this.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        byStatus: [
+          { $group: { _id: '$status', count: { $sum: 1 } } }
+        ],
+        byChannel: [
+          { $match: { status: 'sent' } },
+          { $unwind: '$channels' },
+          { $group: { _id: '$channels', count: { $sum: 1 } } }
+        ]
+      }
+    }
+  ]);
+};
+
+/**
+ * Context7 Pattern: Export Model
+ */
+const AlertHistoryModel = mongoose.model('AlertHistory', AlertHistorySchema);
+
+module.exports = {
+  AlertHistoryModel,
+  AlertHistorySchema
+};
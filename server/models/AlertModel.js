@@ -0,0 +1,320 @@
+/**
+ * 🚨 Alert Model - Context7 Optimized
+ *
+ * Context7 Pattern: Persistent Market Alert Definitions
+ * - Stores user-defined price, volume and margin alerts
+ * - Tracks cooldown, expiry and pause state for the evaluator
+ * - Keeps trigger counters for alert statistics
+ *
+ * DRY: Centralized alert structure shared by routes and evaluator
+ * SOLID: Single responsibility for alert definitions
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const MongooseTransformUtil = require('../utils/MongooseTransformUtil');
+const TimeConstants = require('../utils/TimeConstants');
+
+/**
+ * Context7 Pattern: Alert Schema Definition
+ *
+ * An alert watches a single item and fires when the newest market snapshot
+ * satisfies its condition. Trigger events are recorded in AlertHistoryModel.
+ */
+const AlertSchema = new Schema({
+  /**
+   * Core Identification
+   */
+  itemId: {
+    type: Number,
+    required: true,
+    index: true,
+    validate: {
+      validator: function(v) {
+        return v > 0;
+      },
+      message: 'Item ID must be a positive number'
+    }
+  },
+
+  userId: {
+    type: String,
+    required: true,
+    trim: true,
+    default: 'default',
+    index: true
+  },
+
+  /**
+   * Alert Condition
+   *
+   * - type: which market metric is watched (price, volume, margin)
+   * - condition: how the metric is compared against the threshold
+   * - threshold: comparison value (gp, units or percent for change_percent)
+   */
+  type: {
+    type: String,
+    required: true,
+    enum: ['price', 'volume', 'margin', 'prediction', 'custom']
+  },
+
+  condition: {
+    type: String,
+    required: true,
+    enum: ['above', 'below', 'equals', 'change_percent', 'change_absolute'],
+    default: 'above'
+  },
+
+  threshold: {
+    type: Number,
+    required: true
+  },
+
+  /**
+   * Notification Targets
+   */
+  email: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  webhook: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    default: 'medium'
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: null
+  },
+
+  /**
+   * Lifecycle Management
+   */
+  status: {
+    type: String,
+    required: true,
+    enum: ['active', 'paused', 'triggered', 'expired'],
+    default: 'active',
+    index: true
+  },
+
+  expiresAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+
+  cooldownMinutes: {
+    type: Number,
+    min: 1,
+    max: 1440,
+    default: 60
+  },
+
+  pausedAt: {
+    type: Date,
+    default: null
+  },
+
+  pauseReason: {
+    type: String,
+    maxlength: 200,
+    default: null
+  },
+
+  resumeAt: {
+    type: Date,
+    default: null
+  },
+
+  /**
+   * Evaluation State
+   */
+  lastTriggeredAt: {
+    type: Date,
+    default: null
+  },
+
+  lastEvaluatedAt: {
+    type: Date,
+    default: null
+  },
+
+  lastObservedValue: {
+    type: Number,
+    default: null
+  },
+
+  triggerCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  metadata: {
+    type: Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true,
+  collection: 'market_alerts',
+  toJSON: {
+    virtuals: true,
+    transform: MongooseTransformUtil.standardTransform
+  }
+});
+
+/**
+ * Context7 Pattern: Compound Indexes
+ */
+AlertSchema.index(
+  { status: 1, itemId: 1 },
+  {
+    name: 'idx_status_item',
+    background: true
+  }
+);
+
+AlertSchema.index(
+  { userId: 1, createdAt: -1 },
+  {
+    name: 'idx_user_created_desc',
+    background: true
+  }
+);
+
+/**
+ * Context7 Pattern: Instance Methods
+ */
+
+/**
+ * Check whether the alert is still inside its cooldown window
+ * @param {number} now - Reference timestamp
+ * @returns {boolean} True if the alert fired too recently to fire again
+ */
+AlertSchema.methods.isInCooldown = function(now = Date.now()) {
+  if (!this.lastTriggeredAt) {
+    return false;
+  }
+
+  const cooldownMs = (this.cooldownMinutes || 0) * TimeConstants.ONE_MINUTE;
+  return now - new Date(this.lastTriggeredAt).getTime() < cooldownMs;
+};
+
+/**
+ * Check whether the alert has passed its expiry date
+ * @param {number} now - Reference timestamp
+ * @returns {boolean} True if the alert is expired
+ */
+AlertSchema.methods.isExpired = function(now = Date.now()) {
+  return Boolean(this.expiresAt) && new Date(this.expiresAt).getTime() <= now;
+};
+
+/**
+ * Pause the alert, optionally until a given time
+ * @param {string} reason - Reason for pausing
+ * @param {number|null} durationMinutes - Automatic resume delay
+ * @returns {Promise<Alert>} Updated alert
+ */
+AlertSchema.methods.pause = function(reason = 'Manual pause', durationMinutes = null) {
+  this.status = 'paused';
+  this.pausedAt = new Date();
+  this.pauseReason = reason;
+  this.resumeAt = durationMinutes ? new Date(Date.now() + durationMinutes * TimeConstants.ONE_MINUTE) : null;
+  return this.save();
+};
+
+/**
+ * Resume a paused alert; expired alerts stay expired until they get a new expiry date
+ * @returns {Promise<Alert>} Updated alert
+ */
+AlertSchema.methods.resume = function() {
+  if (this.status === 'expired' || this.isExpired()) {
+    return Promise.reject(new Error('Expired alerts cannot be resumed'));
+  }
+  this.status = 'active';
+  this.pausedAt = null;
+  this.pauseReason = null;
+  this.resumeAt = null;
+  return this.save();
+};
+
+/**
+ * Context7 Pattern: Static Methods
+ */
+
+/**
+ * Get all alerts that should be evaluated
+ * @returns {Promise<Alert[]>} Active alerts
+ */
+AlertSchema.statics.findActive = function() {
+  return this.find({ status: 'active' });
+};
+
+/**
+ * Resume paused alerts whose pause duration has elapsed
+ * @param {number} now - Reference timestamp
+ * @returns {Promise<Object>} Update result
+ */
+AlertSchema.statics.resumeDuePaused = function(now = Date.now()) {
+  return this.updateMany(
+    {
+      status: 'paused',
+      resumeAt: { $ne: null, $lte: new Date(now) },
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date(now) } }]
+    },
+    { $set: { status: 'active', pausedAt: null, pauseReason: null, resumeAt: null } }
+  );
+};
+
+/**
+ * Mark every alert past its expiry date as expired
+ * @param {number} now - Reference timestamp
+ * @returns {Promise<Object>} Update result
+ */
+AlertSchema.statics.expireDue = function(now = Date.now()) {
+  return this.updateMany(
+    { status: { $in: ['active', 'paused'] }, expiresAt: { $ne: null, $lte: new Date(now) } },
+    { $set: { status: 'expired' } }
+  );
+};
+
+/**
+ * Get alert counts grouped by status
+ * @param {Object} match - Optional filter
+ * @returns {Promise<Array>} Status breakdown
+ */
+AlertSchema.statics.getStatusBreakdown = function(match = {}) {
+  return this.aggregate([
+    { $match: match },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+};
+
+/**
+ * Context7 Pattern: Virtual Properties
+ */
+AlertSchema.virtual('id').get(function() {
+  return this._id.toHexString();
+});
+
+/**
+ * Context7 Pattern: Export Model
+ */
+const AlertModel = mongoose.model('Alert', AlertSchema);
+
+module.exports = {
+  AlertModel,
+  AlertSchema
+};
@@ -0,0 +1,113 @@
+/**
+ * 📥 Backfill Job Model - Context7 Optimized
+ *
+ * Context7 Pattern: Historical Backfill Job Tracking
+ * - One document per backfill run over a set of items, a Wiki timestep and a lookback window
+ * - Per-item work lives in ScrapeQueueModel entries that reference the job
+ * - Counters are incremented as items finish so progress survives restarts
+ *
+ * SOLID: Single responsibility for backfill job state
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const MongooseTransformUtil = require('../utils/MongooseTransformUtil');
+
+const BackfillJobSchema = new Schema({
+  status: {
+    type: String,
+    required: true,
+    enum: ['running', 'paused', 'completed'],
+    default: 'running'
+  },
+
+  // Wiki /timeseries timestep; snapshots are stored under the same interval
+  timestep: {
+    type: String,
+    required: true,
+    enum: ['5m', '1h', '6h', '24h']
+  },
+
+  // Bucket window checked for gaps (Unix ms, aligned to the timestep)
+  windowStart: {
+    type: Number,
+    required: true
+  },
+
+  windowEnd: {
+    type: Number,
+    required: true
+  },
+
+  lookbackDays: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  progress: {
+    totalItems: { type: Number, default: 0, min: 0 },
+    completedItems: { type: Number, default: 0, min: 0 },
+    skippedItems: { type: Number, default: 0, min: 0 },
+    failedItems: { type: Number, default: 0, min: 0 },
+    requests: { type: Number, default: 0, min: 0 },
+    missingBuckets: { type: Number, default: 0, min: 0 },
+    pointsWritten: { type: Number, default: 0, min: 0 },
+    unfilledBuckets: { type: Number, default: 0, min: 0 }
+  },
+
+  // Set when the job was started for items missing their 6-month history
+  marksHistoryScraped: {
+    type: Boolean,
+    default: false
+  },
+
+  requestedBy: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: 'api'
+  },
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  pausedAt: {
+    type: Date,
+    default: null
+  },
+
+  completedAt: {
+    type: Date,
+    default: null
+  },
+
+  lastError: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'backfill_jobs',
+  toJSON: {
+    virtuals: true,
+    transform: MongooseTransformUtil.standardTransform
+  }
+});
+
+BackfillJobSchema.index(
+  { status: 1, createdAt: -1 },
+  {
+    name: 'idx_status_created',
+    background: true
+  }
+);
+
+const BackfillJobModel = mongoose.model('BackfillJob', BackfillJobSchema);
+
+module.exports = {
+  BackfillJobModel,
+  BackfillJobSchema
+};
@@ -0,0 +1,181 @@
+/**
+ * 📈 Backtest Model - Context7 Optimized
+ *
+ * Context7 Pattern: Persistent Backtest Jobs
+ * - Stores the job configuration, lifecycle status and progress
+ * - Holds results (metrics, downsampled equity curve, bounded trade log) once complete
+ *
+ * DRY: Single job document shared by the runner and the API
+ * SOLID: Single responsibility for backtest job state
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const MongooseTransformUtil = require('../utils/MongooseTransformUtil');
+
+/**
+ * Context7 Pattern: Backtest Schema Definition
+ */
+const BacktestSchema = new Schema({
+  /**
+   * Job Configuration
+   */
+  strategy: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  strategyParams: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+
+  itemIds: {
+    type: [Number],
+    required: true,
+    validate: {
+      validator: function(v) {
+        return Array.isArray(v) && v.length > 0 && v.every(id => id > 0);
+      },
+      message: 'At least one positive item ID is required'
+    }
+  },
+
+  interval: {
+    type: String,
+    required: true,
+    enum: ['5m', '1h', '24h', 'daily_scrape']
+  },
+
+  startTime: {
+    type: Number,
+    required: true
+  },
+
+  endTime: {
+    type: Number,
+    required: true
+  },
+
+  initialCapital: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  fillModel: {
+    slippagePercent: { type: Number, min: 0, default: 0 },
+    volumeParticipation: { type: Number, min: 0, max: 1, default: 0.25 }
+  },
+
+  userId: {
+    type: String,
+    default: 'default',
+    index: true
+  },
+
+  /**
+   * Job Lifecycle
+   */
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued',
+    index: true
+  },
+
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+
+  startedAt: {
+    type: Date,
+    default: null
+  },
+
+  completedAt: {
+    type: Date,
+    default: null
+  },
+
+  error: {
+    type: String,
+    default: null
+  },
+
+  snapshotCount: {
+    type: Number,
+    default: 0
+  },
+
+  /**
+   * Results
+   */
+  results: {
+    metrics: { type: Schema.Types.Mixed, default: null },
+    equityCurve: { type: [Schema.Types.Mixed], default: [] },
+    trades: { type: [Schema.Types.Mixed], default: [] },
+    tradesTruncated: { type: Boolean, default: false },
+    openPositions: { type: [Schema.Types.Mixed], default: [] },
+    rejections: { type: Schema.Types.Mixed, default: {} }
+  }
+}, {
+  timestamps: true,
+  collection: 'backtests',
+  toJSON: {
+    virtuals: true,
+    transform: MongooseTransformUtil.standardTransform
+  }
+});
+
+/**
+ * Context7 Pattern: Compound Indexes
+ */
+BacktestSchema.index(
+  { userId: 1, createdAt: -1 },
+  {
+    name: 'idx_user_created_desc',
+    background: true
+  }
+);
+
+/**
+ * Context7 Pattern: Instance Methods
+ */
+
+/**
+ * Duration of the run in milliseconds
+ * @returns {number|null} Duration, or null while the job has not finished
+ */
+BacktestSchema.methods.getDurationMs = function() {
+  if (!this.startedAt || !this.completedAt) {
+    return null;
+  }
+  return new Date(this.completedAt).getTime() - new Date(this.startedAt).getTime();
+};
+
+/**
+ * Context7 Pattern: Static Methods
+ */
+
+/**
+ * Mark jobs left queued or running by a previous process as failed
+ * @returns {Promise<Object>} Update result
+ */
+BacktestSchema.statics.failInterrupted = function() {
+  return this.updateMany(
+    { status: { $in: ['queued', 'running'] } },
+    { $set: { status: 'failed', error: 'Interrupted by server restart', completedAt: new Date() } }
+  );
+};
+
+const BacktestModel = mongoose.model('Backtest', BacktestSchema);
+
+module.exports = {
+  BacktestModel,
+  BacktestSchema
+};
@@ -0,0 +1,72 @@
+/**
+ * 🗜️ Compaction Checkpoint Model - Context7 Optimized
+ *
+ * Context7 Pattern: Snapshot Retention Progress
+ * - One document per retention tier (e.g. 5m -> 1h)
+ * - compactedThrough only moves forward once a day of finer snapshots has been rolled up and deleted
+ * - Totals and the last error are kept for the monitoring status endpoint
+ *
+ * SOLID: Single responsibility for compactor checkpoints
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const MongooseTransformUtil = require('../utils/MongooseTransformUtil');
+
+const CompactionCheckpointSchema = new Schema({
+  // '<sourceInterval>-><targetInterval>'
+  tier: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+
+  sourceInterval: {
+    type: String,
+    required: true,
+    enum: ['5m', '1h']
+  },
+
+  targetInterval: {
+    type: String,
+    required: true,
+    enum: ['1h', '24h']
+  },
+
+  // Source snapshots before this Unix ms timestamp have been compacted
+  compactedThrough: {
+    type: Number,
+    default: null
+  },
+
+  totals: {
+    days: { type: Number, default: 0, min: 0 },
+    bucketsWritten: { type: Number, default: 0, min: 0 },
+    snapshotsDeleted: { type: Number, default: 0, min: 0 }
+  },
+
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+
+  lastError: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'compaction_checkpoints',
+  toJSON: {
+    virtuals: true,
+    transform: MongooseTransformUtil.standardTransform
+  }
+});
+
+const CompactionCheckpointModel = mongoose.model('CompactionCheckpoint', CompactionCheckpointSchema);
+
+module.exports = {
+  CompactionCheckpointModel,
+  CompactionCheckpointSchema
+};
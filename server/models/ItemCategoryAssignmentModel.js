@@ -0,0 +1,57 @@
+/**
+ * 📌 Item Category Assignment Model - Context7 Optimized
+ *
+ * Context7 Pattern: Explicit Item-to-Category Overrides
+ * - One assignment per item; it beats every rule in the taxonomy
+ * - Records who assigned the category and why, for admin auditing
+ *
+ * SOLID: Single responsibility for per-item category overrides
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const MongooseTransformUtil = require('../utils/MongooseTransformUtil');
+
+const ItemCategoryAssignmentSchema = new Schema({
+  itemId: {
+    type: Number,
+    required: true,
+    unique: true,
+    min: 1
+  },
+
+  category: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    index: true
+  },
+
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: null
+  },
+
+  assignedBy: {
+    type: String,
+    trim: true,
+    default: 'admin'
+  }
+}, {
+  timestamps: true,
+  collection: 'item_category_assignments',
+  toJSON: {
+    virtuals: true,
+    transform: MongooseTransformUtil.standardTransform
+  }
+});
+
+const ItemCategoryAssignmentModel = mongoose.model('ItemCategoryAssignment', ItemCategoryAssignmentSchema);
+
+module.exports = {
+  ItemCategoryAssignmentModel,
+  ItemCategoryAssignmentSchema
+};
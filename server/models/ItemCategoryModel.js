@@ -0,0 +1,94 @@
+/**
+ * 🗂️ Item Category Model - Context7 Optimized
+ *
+ * Context7 Pattern: Stored Item Category Taxonomy
+ * - One document per category with its rule-based fallbacks
+ * - Seeded from config/ItemCategoryTaxonomy when the collection is empty
+ * - Explicit per-item overrides live in ItemCategoryAssignmentModel
+ *
+ * SOLID: Single responsibility for category definitions
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const MongooseTransformUtil = require('../utils/MongooseTransformUtil');
+
+/**
+ * Context7 Pattern: Name regex plus attribute predicates; the highest matching priority wins
+ */
+const CategoryRuleSchema = new Schema({
+  pattern: { type: String, default: null },
+  exclude: { type: String, default: null },
+  predicates: {
+    members: { type: Boolean, default: undefined },
+    stackable: { type: Boolean, default: undefined },
+    tradeable: { type: Boolean, default: undefined },
+    minHighalch: { type: Number, default: undefined },
+    maxHighalch: { type: Number, default: undefined },
+    minValue: { type: Number, default: undefined },
+    maxValue: { type: Number, default: undefined }
+  },
+  priority: { type: Number, default: 0 }
+}, { _id: false });
+
+const ItemCategorySchema = new Schema({
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z0-9_]+$/
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: null
+  },
+
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+
+  rules: {
+    type: [CategoryRuleSchema],
+    default: []
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  collection: 'item_categories',
+  toJSON: {
+    virtuals: true,
+    transform: MongooseTransformUtil.standardTransform
+  }
+});
+
+ItemCategorySchema.index(
+  { isActive: 1, sortOrder: 1 },
+  {
+    name: 'idx_active_sort_order',
+    background: true
+  }
+);
+
+const ItemCategoryModel = mongoose.model('ItemCategory', ItemCategorySchema);
+
+module.exports = {
+  ItemCategoryModel,
+  ItemCategorySchema
+};
@@ -0,0 +1,105 @@
+/**
+ * 🧩 Item Set Model - Context7 Optimized
+ *
+ * Context7 Pattern: Stored Set/Pack to Component Relationships
+ * - One document per set or pack item with the components it exchanges for
+ * - Seeded from config/ItemSetDefinitions when the collection is empty
+ * - Used by SetArbitrageService to price both sides of the exchange
+ *
+ * SOLID: Single responsibility for set definitions
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const MongooseTransformUtil = require('../utils/MongooseTransformUtil');
+
+const SetComponentSchema = new Schema({
+  itemId: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: null
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+    default: 1
+  }
+}, { _id: false });
+
+const ItemSetSchema = new Schema({
+  setItemId: {
+    type: Number,
+    required: true,
+    unique: true,
+    min: 1
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+
+  type: {
+    type: String,
+    enum: ['armour_set', 'pack'],
+    default: 'armour_set'
+  },
+
+  // Packs can only be opened; armour sets can be exchanged both ways
+  reversible: {
+    type: Boolean,
+    default: true
+  },
+
+  components: {
+    type: [SetComponentSchema],
+    validate: {
+      validator: (components) => Array.isArray(components) && components.length > 0,
+      message: 'A set needs at least one component'
+    }
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  collection: 'item_sets',
+  toJSON: {
+    virtuals: true,
+    transform: MongooseTransformUtil.standardTransform
+  }
+});
+
+ItemSetSchema.index(
+  { 'components.itemId': 1 },
+  {
+    name: 'idx_component_item',
+    background: true
+  }
+);
+
+ItemSetSchema.index(
+  { isActive: 1, type: 1 },
+  {
+    name: 'idx_active_type',
+    background: true
+  }
+);
+
+const ItemSetModel = mongoose.model('ItemSet', ItemSetSchema);
+
+module.exports = {
+  ItemSetModel,
+  ItemSetSchema
+};
@@ -0,0 +1,125 @@
+/**
+ * 🚨 Market Anomaly Model - Context7 Optimized
+ *
+ * Context7 Pattern: Flagged Price/Volume Anomalies
+ * - One document per item and snapshot batch that AnomalyDetectionService flagged
+ * - Records every signal that fired with the value and the threshold it crossed
+ * - Keeps the snapshot metrics used so flagged events can be reviewed later
+ *
+ * SOLID: Single responsibility for anomaly records
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const MongooseTransformUtil = require('../utils/MongooseTransformUtil');
+
+const AnomalySignalSchema = new Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['price_zscore', 'volume_surge', 'spread_blowout']
+  },
+  value: {
+    type: Number,
+    required: true
+  },
+  threshold: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const MarketAnomalySchema = new Schema({
+  itemId: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  interval: {
+    type: String,
+    required: true,
+    enum: ['5m', '1h']
+  },
+
+  // Timestamp of the snapshot batch the anomaly was found in (Unix ms)
+  timestamp: {
+    type: Number,
+    required: true
+  },
+
+  detectedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+
+  score: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  severity: {
+    type: String,
+    required: true,
+    enum: ['low', 'medium', 'high']
+  },
+
+  // Sign of the price move in the flagged batch
+  direction: {
+    type: String,
+    enum: ['spike', 'crash', 'flat'],
+    default: 'flat'
+  },
+
+  signals: {
+    type: [AnomalySignalSchema],
+    validate: {
+      validator: (signals) => Array.isArray(signals) && signals.length > 0,
+      message: 'An anomaly needs at least one signal'
+    }
+  },
+
+  metrics: {
+    highPrice: { type: Number, default: null },
+    lowPrice: { type: Number, default: null },
+    volume: { type: Number, default: null },
+    logReturn: { type: Number, default: null },
+    medianVolume: { type: Number, default: null },
+    medianSpreadPercent: { type: Number, default: null },
+    historyPoints: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true,
+  collection: 'market_anomalies',
+  toJSON: {
+    virtuals: true,
+    transform: MongooseTransformUtil.standardTransform
+  }
+});
+
+// Re-running detection on the same batch updates the existing event
+MarketAnomalySchema.index(
+  { itemId: 1, interval: 1, timestamp: 1 },
+  {
+    unique: true,
+    name: 'idx_item_interval_timestamp_unique',
+    background: true
+  }
+);
+
+MarketAnomalySchema.index(
+  { timestamp: -1, severity: 1 },
+  {
+    name: 'idx_timestamp_severity',
+    background: true
+  }
+);
+
+const MarketAnomalyModel = mongoose.model('MarketAnomaly', MarketAnomalySchema);
+
+module.exports = {
+  MarketAnomalyModel,
+  MarketAnomalySchema
+};
@@ -18,6 +18,19 @@ const { Schema } = mongoose;
 const MongooseTransformUtil = require('../utils/MongooseTransformUtil');
 const TimeConstants = require('../utils/TimeConstants');
 
+/**
+ * Another field's value for cross-field validators
+ * Document validation sees the document; update validators (run with context: 'query') see the query,
+ * so the value comes from the update instead
+ */
+function siblingValue(context, field) {
+  if (context instanceof mongoose.Query) {
+    const update = context.getUpdate() || {};
+    return update.$set?.[field] ?? update[field];
+  }
+  return context?.[field];
+}
+
 /**
  * Context7 Pattern: Market Price Snapshot Schema Definition
  *
@@ -60,13 +73,14 @@ const MarketPriceSnapshotSchema = new Schema({
    * - 'daily_scrape': Daily Grand Exchange scraping data
    * - '5m': 5-minute intervals from OSRS Wiki API
    * - '1h': 1-hour intervals from OSRS Wiki API
+   * - '6h' / '24h': OSRS Wiki timeseries buckets written by historical backfills
    * - 'latest': Real-time latest prices
    * - '6m_scrape': 6-month historical scraping data
    */
   interval: {
     type: String,
     required: true,
-    enum: ['daily_scrape', '5m', '1h', 'latest', '6m_scrape'],
+    enum: ['daily_scrape', '5m', '1h', '6h', '24h', 'latest', '6m_scrape'],
     index: true
   },
 
@@ -79,7 +93,8 @@ const MarketPriceSnapshotSchema = new Schema({
     min: 0,
     validate: {
       validator: function(v) {
-        return v >= this.lowPrice;
+        const lowPrice = siblingValue(this, 'lowPrice');
+        return lowPrice === undefined || v >= lowPrice;
       },
       message: 'High price must be greater than or equal to low price'
     }
@@ -91,7 +106,8 @@ const MarketPriceSnapshotSchema = new Schema({
     min: 0,
     validate: {
       validator: function(v) {
-        return v <= this.highPrice;
+        const highPrice = siblingValue(this, 'highPrice');
+        return highPrice === undefined || v <= highPrice;
       },
       message: 'Low price must be less than or equal to high price'
     }
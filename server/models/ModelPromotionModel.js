@@ -0,0 +1,71 @@
+/**
+ * 🏷️ Model Promotion Model - Context7 Optimized
+ *
+ * Context7 Pattern: Production model history for the model registry
+ * - One document per promotion or rollback, newest last
+ * - modelId is the model that became production, replacedModelId the one it replaced
+ * - previousModelId is where a rollback from modelId returns to: the replaced model for a
+ *   promotion, the target's own predecessor for a rollback (so repeated rollbacks walk back
+ *   through history instead of toggling between two models)
+ *
+ * SOLID: Single responsibility for promotion audit records
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const MongooseTransformUtil = require('../utils/MongooseTransformUtil');
+
+const ModelPromotionSchema = new Schema({
+  modelId: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  action: {
+    type: String,
+    required: true,
+    enum: ['promote', 'rollback']
+  },
+
+  replacedModelId: {
+    type: String,
+    default: null
+  },
+
+  previousModelId: {
+    type: String,
+    default: null
+  },
+
+  promotedBy: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: 'system'
+  },
+
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true,
+  collection: 'model_promotions',
+  toJSON: {
+    virtuals: true,
+    transform: MongooseTransformUtil.standardTransform
+  }
+});
+
+ModelPromotionSchema.index({ modelId: 1, createdAt: -1 });
+ModelPromotionSchema.index({ createdAt: -1 });
+
+const ModelPromotionModel = mongoose.model('ModelPromotion', ModelPromotionSchema);
+
+module.exports = {
+  ModelPromotionModel,
+  ModelPromotionSchema
+};
@@ -0,0 +1,56 @@
+/**
+ * 🧠 Neural Model Weights Model - Context7 Optimized
+ *
+ * Context7 Pattern: Serialized NeuralTradingAgentService models
+ * - One document per saved model, keyed by the AIModelMetadata modelId
+ * - data is the exact JSON string the checksum was computed over
+ * - The AIModelMetadata record points here through storagePath 'neural_model_weights/<modelId>'
+ *
+ * SOLID: Single responsibility for model weight storage
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const MongooseTransformUtil = require('../utils/MongooseTransformUtil');
+
+const NeuralModelWeightsSchema = new Schema({
+  modelId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  // NeuralTradingAgentService MODEL_FORMAT_VERSION the data was written with
+  formatVersion: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // SHA-256 of data
+  checksum: {
+    type: String,
+    required: true
+  },
+
+  data: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'neural_model_weights',
+  toJSON: {
+    virtuals: true,
+    transform: MongooseTransformUtil.standardTransform
+  }
+});
+
+const NeuralModelWeightsModel = mongoose.model('NeuralModelWeights', NeuralModelWeightsSchema);
+
+module.exports = {
+  NeuralModelWeightsModel,
+  NeuralModelWeightsSchema
+};
@@ -0,0 +1,224 @@
+/**
+ * 🔖 Saved Search Model - Context7 Optimized
+ *
+ * Context7 Pattern: Persistent Market Search Definitions
+ * - Stores the full /search/advanced filter set (price, volume, margin, members, tradeable, sort)
+ * - Public searches are listed for every user; private ones only for their owner
+ * - Optional schedule re-runs the search after each market sync and records which
+ *   items entered or left the result set
+ *
+ * SOLID: Single responsibility for saved search definitions and their last result
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const MongooseTransformUtil = require('../utils/MongooseTransformUtil');
+
+// Number of result-set changes kept per search
+const MAX_CHANGE_LOG = 20;
+
+// Notification targets; no whitespace, so no CR/LF can reach SMTP commands or headers
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const WEBHOOK_PATTERN = /^https?:\/\/[^\s]+$/i;
+
+/**
+ * Context7 Pattern: Filter set accepted by GET /api/market-data/search/advanced
+ */
+const CriteriaSchema = new Schema({
+  name: { type: String, trim: true, maxlength: 100, default: null },
+  description: { type: String, trim: true, maxlength: 100, default: null },
+  filter: { type: String, trim: true, maxlength: 500, default: null },
+  minPrice: { type: Number, min: 0, default: null },
+  maxPrice: { type: Number, min: 0, default: null },
+  minVolume: { type: Number, min: 0, default: null },
+  maxVolume: { type: Number, min: 0, default: null },
+  minMargin: { type: Number, default: null },
+  maxMargin: { type: Number, default: null },
+  members: { type: Boolean, default: null },
+  tradeable: { type: Boolean, default: null },
+  sortBy: {
+    type: String,
+    enum: ['name', 'price', 'volume', 'margin', 'updated'],
+    default: 'margin'
+  },
+  sortOrder: { type: String, enum: ['asc', 'desc'], default: 'desc' },
+  limit: { type: Number, min: 1, max: 200, default: 50 }
+}, { _id: false });
+
+/**
+ * Context7 Pattern: One change in a scheduled search's result set
+ */
+const ResultChangeSchema = new Schema({
+  ranAt: { type: Date, required: true },
+  entered: { type: [Number], default: [] },
+  left: { type: [Number], default: [] },
+  resultCount: { type: Number, min: 0, default: 0 }
+}, { _id: false });
+
+const SavedSearchSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  userId: {
+    type: String,
+    required: true,
+    trim: true,
+    default: 'anonymous',
+    index: true
+  },
+
+  visibility: {
+    type: String,
+    enum: ['private', 'public'],
+    default: 'private'
+  },
+
+  criteria: {
+    type: CriteriaSchema,
+    required: true,
+    default: () => ({})
+  },
+
+  /**
+   * Scheduled re-runs after each market sync
+   */
+  schedule: {
+    enabled: { type: Boolean, default: false },
+    email: { type: String, trim: true, default: null, match: EMAIL_PATTERN },
+    webhook: { type: String, trim: true, default: null, match: WEBHOOK_PATTERN }
+  },
+
+  /**
+   * Result state from the most recent run
+   */
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+
+  lastResultItemIds: {
+    type: [Number],
+    default: []
+  },
+
+  changes: {
+    type: [ResultChangeSchema],
+    default: []
+  },
+
+  usageCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  collection: 'saved_searches',
+  toJSON: {
+    virtuals: true,
+    transform: MongooseTransformUtil.standardTransform
+  }
+});
+
+/**
+ * Context7 Pattern: Compound Indexes
+ */
+SavedSearchSchema.index(
+  { userId: 1, createdAt: -1 },
+  {
+    name: 'idx_user_created_desc',
+    background: true
+  }
+);
+
+SavedSearchSchema.index(
+  { visibility: 1, createdAt: -1 },
+  {
+    name: 'idx_visibility_created_desc',
+    background: true
+  }
+);
+
+SavedSearchSchema.index(
+  { 'schedule.enabled': 1 },
+  {
+    name: 'idx_schedule_enabled',
+    background: true
+  }
+);
+
+/**
+ * Context7 Pattern: Instance Methods
+ */
+
+/**
+ * Store a run's result and log the items that entered or left since the previous run
+ * @param {number[]} itemIds - Item ids in the new result set
+ * @param {Date} ranAt - Run time
+ * @returns {Object|null} The recorded change, or null for the first run or an unchanged set
+ */
+SavedSearchSchema.methods.recordResult = function(itemIds, ranAt = new Date()) {
+  const isFirstRun = !this.lastRunAt;
+  const previous = new Set(this.lastResultItemIds);
+  const current = new Set(itemIds);
+
+  const change = {
+    ranAt,
+    entered: itemIds.filter(itemId => !previous.has(itemId)),
+    left: this.lastResultItemIds.filter(itemId => !current.has(itemId)),
+    resultCount: itemIds.length
+  };
+
+  this.lastRunAt = ranAt;
+  this.lastResultItemIds = itemIds;
+
+  if (isFirstRun || (change.entered.length === 0 && change.left.length === 0)) {
+    return null;
+  }
+
+  this.changes.push(change);
+  if (this.changes.length > MAX_CHANGE_LOG) {
+    this.changes.splice(0, this.changes.length - MAX_CHANGE_LOG);
+  }
+  return change;
+};
+
+/**
+ * Context7 Pattern: Static Methods
+ */
+
+/**
+ * A search is visible to its owner and, when public, to everyone
+ */
+SavedSearchSchema.statics.findVisible = function(searchId, userId) {
+  return this.findOne({
+    _id: searchId,
+    $or: [{ userId }, { visibility: 'public' }]
+  });
+};
+
+/**
+ * Other users' public searches, newest first
+ */
+SavedSearchSchema.statics.findPublic = function(excludeUserId, limit = 20) {
+  return this.find({ visibility: 'public', userId: { $ne: excludeUserId } })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+SavedSearchSchema.statics.findScheduled = function() {
+  return this.find({ 'schedule.enabled': true });
+};
+
+const SavedSearchModel = mongoose.model('SavedSearch', SavedSearchSchema);
+
+module.exports = {
+  SavedSearchModel,
+  SavedSearchSchema,
+  EMAIL_PATTERN,
+  WEBHOOK_PATTERN
+};
@@ -24,6 +24,9 @@ const { Schema } = mongoose;
  * This schema manages the queue for scraping individual item pages
  * to collect 6-month historical data. It prevents duplicate scraping
  * and provides retry logic for failed attempts.
+ *
+ * Entries with a jobId belong to a BackfillJobModel run and carry its per-item progress;
+ * legacy scraper entries have no jobId.
  */
 const ScrapeQueueSchema = new Schema({
   /**
@@ -32,7 +35,6 @@ const ScrapeQueueSchema = new Schema({
   itemId: {
     type: Number,
     required: true,
-    unique: true,
     index: true,
     validate: {
       validator: function(v) {
@@ -42,6 +44,12 @@ const ScrapeQueueSchema = new Schema({
     }
   },
 
+  jobId: {
+    type: Schema.Types.ObjectId,
+    ref: 'BackfillJob',
+    default: null
+  },
+
   /**
    * Queue Status Management
    */
@@ -111,6 +119,17 @@ const ScrapeQueueSchema = new Schema({
     default: null
   },
 
+  /**
+   * Backfill Progress (job entries only)
+   */
+  backfill: {
+    // Buckets in the job window without a stored snapshot before the fetch
+    missingBuckets: { type: Number, default: 0, min: 0 },
+    pointsWritten: { type: Number, default: 0, min: 0 },
+    // Missing buckets the Wiki had no data for either (e.g. no trades)
+    unfilledBuckets: { type: Number, default: 0, min: 0 }
+  },
+
   /**
    * Priority and Scheduling
    */
@@ -154,6 +173,25 @@ const ScrapeQueueSchema = new Schema({
  * These indexes are crucial for efficient queue processing and status queries.
  */
 
+// One entry per item per backfill job (and per item in the legacy queue, where jobId is null)
+ScrapeQueueSchema.index(
+  { jobId: 1, itemId: 1 },
+  {
+    unique: true,
+    name: 'idx_job_item_unique',
+    background: true
+  }
+);
+
+// Index for claiming the next backfill item
+ScrapeQueueSchema.index(
+  { jobId: 1, status: 1, retries: 1, priority: -1 },
+  {
+    name: 'idx_job_status_retries_priority',
+    background: true
+  }
+);
+
 // Index for finding pending/failed items ready for processing
 ScrapeQueueSchema.index(
   { status: 1, priority: -1, createdAt: 1 },
@@ -312,6 +350,7 @@ ScrapeQueueSchema.methods.getProcessingDuration = function() {
  */
 ScrapeQueueSchema.statics.getPendingItems = function(limit = 20) {
   return this.find({
+    jobId: null,
     status: 'pending'
   })
     .sort({ priority: -1, createdAt: 1 })
@@ -327,6 +366,7 @@ ScrapeQueueSchema.statics.getFailedItemsForRetry = function(limit = 10) {
   const oneHourAgo = DateRangeUtil.getHoursAgo(1);
 
   return this.find({
+    jobId: null,
     status: 'failed',
     retries: { $lt: 5 },
     lastAttemptedAt: { $lt: oneHourAgo }
@@ -344,6 +384,7 @@ ScrapeQueueSchema.statics.getItemsReadyForProcessing = function(limit = 20) {
   const oneHourAgo = DateRangeUtil.getHoursAgo(1);
 
   return this.find({
+    jobId: null,
     $or: [
       { status: 'pending' },
       {
@@ -0,0 +1,134 @@
+/**
+ * 🧾 Trade Fill Model - Context7 Optimized
+ *
+ * Context7 Pattern: Grand Exchange Fill Ledger
+ * - One document per buy or sell fill, entered manually or via the API
+ * - Buy fills drive the rolling 4-hour GE buy-limit windows
+ *
+ * SOLID: Single responsibility for executed trade records
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const MongooseTransformUtil = require('../utils/MongooseTransformUtil');
+
+/**
+ * Context7 Pattern: Trade Fill Schema Definition
+ */
+const TradeFillSchema = new Schema({
+  itemId: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  userId: {
+    type: String,
+    required: true,
+    default: 'default'
+  },
+
+  side: {
+    type: String,
+    required: true,
+    enum: ['buy', 'sell']
+  },
+
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Quantity must be a whole number'
+    }
+  },
+
+  price: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  /**
+   * Epoch milliseconds the offer completed in game
+   */
+  filledAt: {
+    type: Number,
+    required: true
+  },
+
+  source: {
+    type: String,
+    enum: ['manual', 'api', 'journal'],
+    default: 'manual'
+  },
+
+  notes: {
+    type: String,
+    maxlength: 500,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'trade_fills',
+  toJSON: {
+    virtuals: true,
+    transform: MongooseTransformUtil.standardTransform
+  }
+});
+
+/**
+ * Context7 Pattern: Compound Indexes
+ */
+TradeFillSchema.index(
+  { userId: 1, side: 1, filledAt: -1 },
+  {
+    name: 'idx_user_side_filled_desc',
+    background: true
+  }
+);
+
+TradeFillSchema.index(
+  { userId: 1, itemId: 1, filledAt: -1 },
+  {
+    name: 'idx_user_item_filled_desc',
+    background: true
+  }
+);
+
+/**
+ * Context7 Pattern: Virtual Fields
+ */
+TradeFillSchema.virtual('totalValue').get(function() {
+  return this.price * this.quantity;
+});
+
+/**
+ * Context7 Pattern: Static Methods
+ */
+
+/**
+ * Buy fills that still count against the GE buy limit
+ * @param {string} userId - Ledger owner
+ * @param {number} since - Window start (epoch ms, exclusive)
+ * @param {Array<number>} [itemIds] - Restrict to these items
+ * @returns {Promise<Array>} Lean fills, oldest first
+ */
+TradeFillSchema.statics.findBuysSince = function(userId, since, itemIds = null) {
+  const query = { userId, side: 'buy', filledAt: { $gt: since } };
+  if (Array.isArray(itemIds)) {
+    query.itemId = { $in: itemIds };
+  }
+  return this.find(query)
+    .select('itemId quantity filledAt')
+    .sort({ filledAt: 1 })
+    .lean();
+};
+
+const TradeFillModel = mongoose.model('TradeFill', TradeFillSchema);
+
+module.exports = {
+  TradeFillModel,
+  TradeFillSchema
+};
@@ -0,0 +1,192 @@
+/**
+ * 📒 Trade Journal Model - Context7 Optimized
+ *
+ * Context7 Pattern: Persisted Grand Exchange Offers
+ * - One document per GE offer placed by the user
+ * - Partial fills are embedded with the GE tax charged on each sale
+ * - Status follows the offer: open → partially_filled → filled, or cancelled
+ *
+ * SOLID: Single responsibility for journal offer state (accounting lives in JournalAccounting)
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const MongooseTransformUtil = require('../utils/MongooseTransformUtil');
+
+/**
+ * Context7 Pattern: Fill Sub-Schema
+ */
+const JournalFillSchema = new Schema({
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  price: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  filledAt: {
+    type: Number,
+    required: true
+  },
+
+  // GE tax for the whole fill (sells only)
+  tax: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Matching TradeFillModel entry for buy-limit tracking
+  ledgerFillId: {
+    type: String,
+    default: null
+  }
+});
+
+/**
+ * Context7 Pattern: Trade Journal Schema Definition
+ */
+const TradeJournalSchema = new Schema({
+  itemId: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  itemName: {
+    type: String,
+    default: null
+  },
+
+  userId: {
+    type: String,
+    required: true,
+    default: 'default'
+  },
+
+  side: {
+    type: String,
+    required: true,
+    enum: ['buy', 'sell']
+  },
+
+  offerPrice: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  fills: {
+    type: [JournalFillSchema],
+    default: []
+  },
+
+  status: {
+    type: String,
+    enum: ['open', 'partially_filled', 'filled', 'cancelled'],
+    default: 'open'
+  },
+
+  placedAt: {
+    type: Number,
+    required: true
+  },
+
+  cancelledAt: {
+    type: Number,
+    default: null
+  },
+
+  notes: {
+    type: String,
+    maxlength: 1000,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'trade_journal',
+  toJSON: {
+    virtuals: true,
+    transform: MongooseTransformUtil.standardTransform
+  }
+});
+
+/**
+ * Context7 Pattern: Compound Indexes
+ */
+TradeJournalSchema.index(
+  { userId: 1, placedAt: -1 },
+  {
+    name: 'idx_user_placed_desc',
+    background: true
+  }
+);
+
+TradeJournalSchema.index(
+  { userId: 1, itemId: 1, placedAt: -1 },
+  {
+    name: 'idx_user_item_placed_desc',
+    background: true
+  }
+);
+
+TradeJournalSchema.index(
+  { userId: 1, status: 1 },
+  {
+    name: 'idx_user_status',
+    background: true
+  }
+);
+
+/**
+ * Context7 Pattern: Validation
+ */
+TradeJournalSchema.pre('validate', function(next) {
+  if (this.getFilledQuantity() > this.quantity) {
+    this.invalidate('fills', 'Filled quantity cannot exceed the offer quantity');
+  }
+  next();
+});
+
+/**
+ * Context7 Pattern: Instance Methods
+ */
+
+/**
+ * Total quantity filled so far
+ * @returns {number} Filled quantity
+ */
+TradeJournalSchema.methods.getFilledQuantity = function() {
+  return this.fills.reduce((sum, fill) => sum + fill.quantity, 0);
+};
+
+/**
+ * Derive the offer status from its fills unless it was cancelled
+ * @returns {string} Updated status
+ */
+TradeJournalSchema.methods.refreshStatus = function() {
+  if (this.status === 'cancelled') {
+    return this.status;
+  }
+  const filled = this.getFilledQuantity();
+  this.status = filled === 0 ? 'open' : filled >= this.quantity ? 'filled' : 'partially_filled';
+  return this.status;
+};
+
+const TradeJournalModel = mongoose.model('TradeJournal', TradeJournalSchema);
+
+module.exports = {
+  TradeJournalModel,
+  TradeJournalSchema
+};
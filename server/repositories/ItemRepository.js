@@ -21,10 +21,11 @@ const DateRangeUtil = require('../utils/DateRangeUtil');
 const { Item } = require('../domain/entities/Item');
 const { ItemId } = require('../domain/value-objects/ItemId');
 const { ItemModelAdapter } = require('../domain/adapters/ItemModelAdapter');
+const { getItemCategoryService } = require('../services/categories/ItemCategoryService');
 
 
 class ItemRepository extends BaseService {
-  constructor() {
+  constructor(dependencies = {}) {
     super('ItemRepository', {
       enableCache: true,
       cachePrefix: 'item_repo',
@@ -34,6 +35,7 @@ class ItemRepository extends BaseService {
     
     this.dataTransformer = new DataTransformer();
     this.adapter = new ItemModelAdapter();
+    this.categoryService = dependencies.categoryService || getItemCategoryService();
     this.defaultProjection = {
       __v: 0 // Exclude version key from results
     };
@@ -300,32 +302,9 @@ class ItemRepository extends BaseService {
         options
       });
 
-      // Build query based on category
-      const query = {};
-
-      switch (category) {
-      case 'runes':
-        query.name = { $regex: /rune/i };
-        break;
-      case 'potions':
-        query.name = { $regex: /potion/i };
-        break;
-      case 'food':
-        query.name = { $regex: /food|fish|meat|bread|cake/i };
-        break;
-      case 'high_value':
-        query.highalch = { $gt: AppConstants.OSRS.HIGH_ALCH_THRESHOLD };
-        break;
-      case 'members':
-        query.members = true;
-        break;
-      case 'free':
-        query.members = false;
-        break;
-      default:
-        // General category - no specific filter
-        break;
-      }
+      // Category membership comes from the stored taxonomy, not name patterns
+      const itemIds = await this.categoryService.getItemIdsByCategory(category);
+      const query = { itemId: { $in: itemIds } };
 
       query.status = 'active';
 
@@ -407,6 +386,72 @@ class ItemRepository extends BaseService {
     }, 'getPaginatedItems', { logSuccess: true });
   }
 
+  /**
+   * Context7 Pattern: Paginated items matching a specification tree
+   * Runs entirely in Mongo when the specification translates exactly; otherwise loads the
+   * Mongo-prefiltered candidates and checks each one against the specification in memory.
+   * @param {Specification} specification - Specification tree (e.g. from ItemQueryParser)
+   * @param {Object} options - Pagination, sort and the usual members/tradeable/value filters
+   */
+  async findBySpecification(specification, options = {}) {
+    return this.execute(async() => {
+      const baseFilter = QueryBuilderService.activeItemsQuery({
+        members: options.members,
+        tradeable: options.tradeable,
+        minValue: options.minValue,
+        maxValue: options.maxValue
+      });
+      const sort = options.sort || { name: 1 };
+
+      const exactQuery = specification.toMongoQuery();
+      if (exactQuery) {
+        const result = await DatabaseUtility.performPaginatedQuery(ItemModel, { $and: [baseFilter, exactQuery] }, {
+          page: options.page,
+          limit: options.limit,
+          sort,
+          projection: this.defaultProjection,
+          maxLimit: 100
+        });
+        return { ...result, evaluation: 'mongo' };
+      }
+
+      const candidates = await ItemModel
+        .find({ $and: [baseFilter, specification.toMongoPrefilter()] }, this.defaultProjection)
+        .sort(sort)
+        .lean();
+      const matches = candidates.filter(doc => {
+        try {
+          return specification.isSatisfiedBy(this.adapter.toDomainEntity(doc));
+        } catch {
+          return false; // Documents that are not valid entities cannot match
+        }
+      });
+
+      const { page, limit, skip } = DatabaseUtility.buildPaginationQuery(options.page, options.limit, 100);
+      const totalPages = Math.ceil(matches.length / limit);
+
+      this.logger.debug('Items filtered in memory', {
+        candidates: candidates.length,
+        matches: matches.length
+      });
+
+      return {
+        items: matches.slice(skip, skip + limit),
+        pagination: {
+          page,
+          limit,
+          totalCount: matches.length,
+          totalPages,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          nextPage: page < totalPages ? page + 1 : null,
+          prevPage: page > 1 ? page - 1 : null
+        },
+        evaluation: 'memory'
+      };
+    }, 'findBySpecification', { logSuccess: true });
+  }
+
   /**
    * ENHANCED: Create single item using domain entity
    */
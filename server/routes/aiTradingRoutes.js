@@ -46,9 +46,15 @@ router.post('/sessions', controller.startTradingSession);
 // Get all active sessions
 router.get('/sessions', controller.getActiveSessions);
 
+// Session history, including stopped sessions (registered before the session ID check)
+router.get('/sessions/history', controller.getSessionHistory);
+
 // Get system status
 router.get('/system-status', controller.getSystemStatus);
 
+// List reward functions for adaptive-config
+router.get('/reward-functions', controller.getRewardFunctions);
+
 // Session-specific routes with ID validation
 router.use('/sessions/:sessionId', validateSessionId);
 
@@ -79,7 +85,7 @@ router.post('/sessions/:sessionId/save-model', controller.saveModel);
 // Load AI model
 router.post('/sessions/:sessionId/load-model', controller.loadModel);
 
-// Export training data
+// Export the session's audit trail
 router.get('/sessions/:sessionId/export', controller.exportTrainingData);
 
 /**
@@ -117,9 +123,17 @@ router.get('/', (req, res) => {
           response: 'Session details with ID'
         },
         'GET /sessions': {
-          description: 'Get all active trading sessions',
+          description: 'Get all active trading sessions (sessions running before a restart are resumed)',
           response: 'Array of active sessions'
         },
+        'GET /sessions/history': {
+          description: 'Get stored sessions, newest first, including stopped ones',
+          query: {
+            status: 'string (optional: TRAINING, PAUSED, STOPPED)',
+            limit: 'number (optional, default 20, max 100)'
+          },
+          response: 'Array of session summaries'
+        },
         'DELETE /sessions/:sessionId': {
           description: 'Stop an AI trading session',
           response: 'Session termination details'
@@ -161,29 +175,43 @@ router.get('/', (req, res) => {
       },
       model: {
         'POST /sessions/:sessionId/save-model': {
-          description: 'Save the trained AI model',
-          response: 'Model data and metadata'
+          description: 'Register the session model in the model registry (status testing)',
+          body: {
+            modelId: 'string (optional)',
+            version: 'string (optional, semantic version)',
+            description: 'string (optional)',
+            tags: 'array (optional)'
+          },
+          response: 'Registered model metadata'
         },
         'POST /sessions/:sessionId/load-model': {
-          description: 'Load a previously saved AI model',
+          description: 'Pin the session to a registered model; omit modelId to follow the production model',
           body: {
-            modelData: 'string (serialized model)'
+            modelId: 'string (optional)'
           },
-          response: 'Load confirmation'
+          response: 'Loaded model'
         },
         'GET /sessions/:sessionId/export': {
-          description: 'Export training data and outcomes',
-          response: 'Complete training dataset'
+          description: 'Export the session audit trail: decisions with their input features and outcomes, plus the replay memory',
+          query: {
+            limit: 'number (optional, default 500, max 1000)',
+            offset: 'number (optional, default 0)'
+          },
+          response: 'Session, a page of decisions and replay memory, and their totals'
         }
       },
       configuration: {
         'PUT /sessions/:sessionId/adaptive-config': {
           description: 'Update adaptive learning configuration',
           body: {
-            config: 'object with adaptive learning settings'
+            config: 'object with adaptive learning settings; rewardFunction: { name, version?, params? } switches the reward function'
           },
           response: 'Updated configuration'
         },
+        'GET /reward-functions': {
+          description: 'List reward functions with their versions and default parameters',
+          response: 'Array of reward function definitions'
+        },
         'GET /system-status': {
           description: 'Get overall system status',
           response: 'System health and active sessions'
@@ -264,6 +292,7 @@ router.get('/', (req, res) => {
       'Trading signals use technical analysis',
       'Performance metrics include profit/loss, success rate, and risk metrics',
       'Sessions can be paused and resumed',
+      'Sessions, decisions, replay memory and metrics are stored in MongoDB and survive restarts',
       'Training data can be exported for analysis'
     ]
   };
@@ -290,6 +319,11 @@ router.use((error, req, res, next) => {
     return next(error);
   }
 
+  // Client errors (unknown session, invalid reward function, paused session) keep their status
+  if (error.statusCode && error.statusCode < 500) {
+    return ApiResponse.error(res, error.message, error.details, error.statusCode);
+  }
+
   // Default error response
   return ApiResponse.error(res, 'AI Trading operation failed');
 });
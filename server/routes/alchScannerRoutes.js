@@ -0,0 +1,44 @@
+/**
+ * 🧪 Alch Scanner Routes - Context7 Optimized
+ *
+ * Context7 Pattern: Single Responsibility Route Module
+ * - SOLID: Single Responsibility Principle (SRP) - ONLY the high alchemy profit scanner
+ * - Mounted at /api/market-data/alchemy
+ */
+
+const express = require('express');
+const { getControllerFactory } = require('../factories/ControllerFactory');
+const { ValidationMiddleware } = require('../middleware/ValidationMiddleware');
+const { ErrorHandler } = require('../middleware/ErrorHandler');
+
+const router = express.Router();
+
+// Context7 Pattern: Use ControllerFactory for proper dependency injection
+const controllerFactory = getControllerFactory();
+const alchScannerController = controllerFactory.createAlchScannerController();
+const validationMiddleware = new ValidationMiddleware();
+const errorHandler = new ErrorHandler();
+
+// Context7 Pattern: Apply scanner-specific middleware
+router.use(validationMiddleware.requestTracking());
+router.use(validationMiddleware.performanceMonitoring());
+
+/**
+ * Context7 Pattern: GET /api/market-data/alchemy/scan
+ * Items ranked by highalch - GE buy price - nature rune price, with buy-limit-capped
+ * profit per hour and rank changes against the snapshots of a day earlier
+ */
+router.get(
+  '/scan',
+  validationMiddleware.validate({
+    query: {
+      sortBy: { type: 'string', optional: true, enum: ['profitPerHour', 'profit', 'returnPercent'] },
+      limit: { type: 'string', optional: true, pattern: /^\d+$/ },
+      minProfit: { type: 'string', optional: true, pattern: /^-?\d+$/ },
+      members: { type: 'string', optional: true, enum: ['true', 'false'] }
+    }
+  }),
+  errorHandler.asyncHandler(alchScannerController.scan)
+);
+
+module.exports = router;
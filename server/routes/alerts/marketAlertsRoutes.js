@@ -13,7 +13,6 @@ const { getControllerFactory } = require('../../factories/ControllerFactory');
 const { ValidationMiddleware } = require('../../middleware/ValidationMiddleware');
 const { ErrorHandler } = require('../../middleware/ErrorHandler');
 const { AppConstants } = require('../../config/AppConstants');
-const TimeConstants = require('../../utils/TimeConstants');
 
 const router = express.Router();
 
@@ -80,6 +79,44 @@ router.post(
   errorHandler.asyncHandler(marketDataController.createAlert)
 );
 
+/**
+ * Context7 Pattern: GET /api/market-data/alerts/history
+ * Get alert notification history
+ * SOLID: Single responsibility - alert history retrieval
+ */
+router.get(
+  '/history',
+  validationMiddleware.validate({
+    query: {
+      alertId: { type: 'string', optional: true },
+      userId: { type: 'string', optional: true },
+      startTime: { type: 'string', optional: true },
+      endTime: { type: 'string', optional: true },
+      status: { type: 'string', optional: true, enum: ['sent', 'failed', 'pending'] },
+      limit: { type: 'string', optional: true, max: 500 },
+      sortBy: { type: 'string', optional: true, enum: ['timestamp', 'alertId', 'status'] },
+      sortOrder: { type: 'string', optional: true, enum: ['asc', 'desc'] }
+    }
+  }),
+  errorHandler.asyncHandler(marketDataController.getAlertHistory)
+);
+
+/**
+ * Context7 Pattern: GET /api/market-data/alerts/stats
+ * Get alert system statistics
+ * SOLID: Single responsibility - alert statistics
+ */
+router.get(
+  '/stats',
+  validationMiddleware.validate({
+    query: {
+      userId: { type: 'string', optional: true },
+      timeRange: { type: 'string', optional: true }
+    }
+  }),
+  errorHandler.asyncHandler(marketDataController.getAlertStats)
+);
+
 /**
  * Context7 Pattern: PUT /api/market-data/alerts/:alertId
  * Update an existing alert
@@ -105,28 +142,7 @@ router.put(
       metadata: { type: 'object', optional: true }
     }
   }),
-  errorHandler.asyncHandler(async (req, res) => {
-    const { alertId } = req.params;
-    const updateData = req.body;
-
-    // Add update metadata
-    updateData.updatedAt = Date.now();
-    updateData.updatedBy = req.body.userId || 'system';
-
-    // Update alert (would integrate with alert service)
-    const updatedAlert = {
-      id: alertId,
-      ...updateData,
-      version: Date.now() // Simple versioning
-    };
-
-    res.json({
-      success: true,
-      data: updatedAlert,
-      message: 'Alert updated successfully',
-      timestamp: Date.now()
-    });
-  })
+  errorHandler.asyncHandler(marketDataController.updateAlert)
 );
 
 /**
@@ -163,33 +179,7 @@ router.get(
       includeStats: { type: 'string', optional: true }
     }
   }),
-  errorHandler.asyncHandler(async (req, res) => {
-    const { alertId } = req.params;
-    const includeHistory = req.query.includeHistory === 'true';
-    const includeStats = req.query.includeStats === 'true';
-
-    // Retrieve alert details (would integrate with alert service)
-    const alertDetails = {
-      id: alertId,
-      // Alert data would be fetched here
-      status: 'active',
-      createdAt: Date.now() - TimeConstants.ONE_DAY,
-      lastTriggered: null,
-      triggerCount: 0,
-      history: includeHistory ? [] : undefined,
-      statistics: includeStats ? {
-        triggerFrequency: '0/day',
-        accuracy: '0%',
-        avgResponseTime: '0ms'
-      } : undefined
-    };
-
-    res.json({
-      success: true,
-      data: alertDetails,
-      timestamp: Date.now()
-    });
-  })
+  errorHandler.asyncHandler(marketDataController.getAlertById)
 );
 
 /**
@@ -208,32 +198,7 @@ router.post(
       sendNotification: { type: 'boolean', optional: true }
     }
   }),
-  errorHandler.asyncHandler(async (req, res) => {
-    const { alertId } = req.params;
-    const { mockData, sendNotification = false } = req.body;
-
-    // Test alert logic (would integrate with alert service)
-    const testResult = {
-      alertId,
-      testTriggered: true,
-      conditionMet: true,
-      notificationSent: sendNotification,
-      testData: mockData || {
-        currentValue: 1000,
-        threshold: 900,
-        condition: 'above'
-      },
-      testedAt: Date.now(),
-      responseTime: Math.random() * 100 // Simulated response time
-    };
-
-    res.json({
-      success: true,
-      data: testResult,
-      message: 'Alert test completed successfully',
-      timestamp: Date.now()
-    });
-  })
+  errorHandler.asyncHandler(marketDataController.testAlert)
 );
 
 /**
@@ -252,32 +217,12 @@ router.post(
       duration: { type: 'number', optional: true, min: 1 } // Duration in minutes
     }
   }),
-  errorHandler.asyncHandler(async (req, res) => {
-    const { alertId } = req.params;
-    const { reason, duration } = req.body;
-
-    // Pause alert (would integrate with alert service)
-    const pausedAlert = {
-      id: alertId,
-      status: 'paused',
-      pausedAt: Date.now(),
-      pauseReason: reason || 'Manual pause',
-      resumeAt: duration ? Date.now() + (duration * 60 * 1000) : null,
-      pausedBy: req.body.userId || 'system'
-    };
-
-    res.json({
-      success: true,
-      data: pausedAlert,
-      message: 'Alert paused successfully',
-      timestamp: Date.now()
-    });
-  })
+  errorHandler.asyncHandler(marketDataController.pauseAlert)
 );
 
 /**
  * Context7 Pattern: POST /api/market-data/alerts/:alertId/resume
- * Resume a paused alert
+ * Resume a paused alert; expired alerts answer 409 until they get a new expiry date
  * SOLID: Single responsibility - alert state management
  */
 router.post(
@@ -290,133 +235,7 @@ router.post(
       reason: { type: 'string', optional: true, maxLength: 200 }
     }
   }),
-  errorHandler.asyncHandler(async (req, res) => {
-    const { alertId } = req.params;
-    const { reason } = req.body;
-
-    // Resume alert (would integrate with alert service)
-    const resumedAlert = {
-      id: alertId,
-      status: 'active',
-      resumedAt: Date.now(),
-      resumeReason: reason || 'Manual resume',
-      resumedBy: req.body.userId || 'system'
-    };
-
-    res.json({
-      success: true,
-      data: resumedAlert,
-      message: 'Alert resumed successfully',
-      timestamp: Date.now()
-    });
-  })
-);
-
-/**
- * Context7 Pattern: GET /api/market-data/alerts/history
- * Get alert notification history
- * SOLID: Single responsibility - alert history retrieval
- */
-router.get(
-  '/history',
-  validationMiddleware.validate({
-    query: {
-      alertId: { type: 'string', optional: true },
-      userId: { type: 'string', optional: true },
-      startTime: { type: 'string', optional: true },
-      endTime: { type: 'string', optional: true },
-      status: { type: 'string', optional: true, enum: ['sent', 'failed', 'pending'] },
-      limit: { type: 'string', optional: true, max: 500 },
-      sortBy: { type: 'string', optional: true, enum: ['timestamp', 'alertId', 'status'] },
-      sortOrder: { type: 'string', optional: true, enum: ['asc', 'desc'] }
-    }
-  }),
-  errorHandler.asyncHandler(async (req, res) => {
-    const filters = {
-      alertId: req.query.alertId,
-      userId: req.query.userId,
-      status: req.query.status,
-      timeRange: {
-        start: req.query.startTime ? parseInt(req.query.startTime) : Date.now() - TimeConstants.SEVEN_DAYS,
-        end: req.query.endTime ? parseInt(req.query.endTime) : Date.now()
-      }
-    };
-
-    // Retrieve alert history (would integrate with notification service)
-    const alertHistory = {
-      notifications: [], // Placeholder for actual history
-      totalCount: 0,
-      filters,
-      pagination: {
-        limit: Math.min(parseInt(req.query.limit) || 50, 500),
-        sortBy: req.query.sortBy || 'timestamp',
-        sortOrder: req.query.sortOrder || 'desc'
-      },
-      retrievedAt: Date.now()
-    };
-
-    res.json({
-      success: true,
-      data: alertHistory,
-      timestamp: Date.now()
-    });
-  })
-);
-
-/**
- * Context7 Pattern: GET /api/market-data/alerts/stats
- * Get alert system statistics
- * SOLID: Single responsibility - alert statistics
- */
-router.get(
-  '/stats',
-  validationMiddleware.validate({
-    query: {
-      userId: { type: 'string', optional: true },
-      timeRange: { type: 'string', optional: true }
-    }
-  }),
-  errorHandler.asyncHandler(async (req, res) => {
-    const timeRange = parseInt(req.query.timeRange) || TimeConstants.ONE_DAY; // 24 hours default
-    const userId = req.query.userId;
-
-    // Generate alert statistics (would integrate with analytics service)
-    const alertStats = {
-      overview: {
-        totalAlerts: 0,
-        activeAlerts: 0,
-        pausedAlerts: 0,
-        triggeredToday: 0
-      },
-      performance: {
-        avgResponseTime: '0ms',
-        successRate: '0%',
-        falsePositiveRate: '0%'
-      },
-      notifications: {
-        emailsSent: 0,
-        webhooksSent: 0,
-        failedNotifications: 0
-      },
-      trends: {
-        alertsCreatedTrend: '0%',
-        triggerRateTrend: '0%'
-      },
-      timeRange: {
-        start: Date.now() - timeRange,
-        end: Date.now(),
-        durationMs: timeRange
-      },
-      userId: userId || 'all',
-      generatedAt: Date.now()
-    };
-
-    res.json({
-      success: true,
-      data: alertStats,
-      timestamp: Date.now()
-    });
-  })
+  errorHandler.asyncHandler(marketDataController.resumeAlert)
 );
 
 // Export the router
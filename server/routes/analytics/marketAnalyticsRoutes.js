@@ -19,9 +19,15 @@ const router = express.Router();
 // Context7 Pattern: Use ControllerFactory for proper dependency injection
 const controllerFactory = getControllerFactory();
 const marketDataController = controllerFactory.createMarketDataController();
+const setArbitrageController = controllerFactory.createSetArbitrageController();
+const anomalyController = controllerFactory.createAnomalyController();
 const validationMiddleware = new ValidationMiddleware();
 const errorHandler = new ErrorHandler();
 
+const setParams = {
+  setItemId: { type: 'string', required: true, pattern: /^\d+$/ }
+};
+
 // Context7 Pattern: Apply analytics-specific middleware
 router.use(validationMiddleware.requestTracking());
 router.use(validationMiddleware.performanceMonitoring());
@@ -70,7 +76,7 @@ router.get(
 
 /**
  * Context7 Pattern: GET /api/market-data/analytics/top-flips
- * Get top flipping opportunities based on profit margins
+ * Get top flipping opportunities ranked from stored snapshot metrics (paginated)
  * SOLID: Single responsibility - flipping opportunity analysis
  */
 router.get(
@@ -78,14 +84,103 @@ router.get(
   validationMiddleware.validate({
     query: {
       minMargin: { type: 'string', optional: true },
-      maxRisk: { type: 'string', optional: true, enum: ['low', 'medium', 'high'] },
+      minVolume: { type: 'string', optional: true },
+      maxRisk: {
+        type: 'string',
+        optional: true,
+        custom: (value) => ['low', 'medium', 'high'].includes(value) || (value !== '' && value >= 0 && value <= 100) ||
+          'maxRisk must be low, medium, high or a risk score from 0 to 100'
+      },
       timeRange: { type: 'string', optional: true },
+      excludeAnomalies: { type: 'string', optional: true, enum: ['true', 'false'] },
+      page: { type: 'string', optional: true },
       limit: { type: 'string', optional: true, max: 50 }
     }
   }),
   errorHandler.asyncHandler(marketDataController.getTopFlips)
 );
 
+/**
+ * Context7 Pattern: GET /api/market-data/analytics/anomalies
+ * Price/volume anomalies flagged by the detector after each sync (newest first)
+ * SOLID: Single responsibility - manipulation and anomaly review
+ */
+router.get(
+  '/anomalies',
+  validationMiddleware.validate({
+    query: {
+      interval: { type: 'string', optional: true, enum: ['5m', '1h'] },
+      severity: { type: 'string', optional: true, enum: ['low', 'medium', 'high'] },
+      itemId: { type: 'string', optional: true, pattern: /^\d+$/ },
+      since: { type: 'string', optional: true, pattern: /^\d+$/ },
+      limit: { type: 'string', optional: true, pattern: /^\d+$/ }
+    }
+  }),
+  errorHandler.asyncHandler(anomalyController.getAnomalies)
+);
+
+/**
+ * Context7 Pattern: GET /api/market-data/analytics/set-arbitrage
+ * Sets and packs whose price differs from their components by more than the GE tax
+ * SOLID: Single responsibility - set/pack arbitrage detection
+ */
+router.get(
+  '/set-arbitrage',
+  validationMiddleware.validate({
+    query: {
+      sortBy: { type: 'string', optional: true, enum: ['profit', 'potentialProfit', 'returnPercent'] },
+      pricing: { type: 'string', optional: true, enum: ['instant', 'offer'] },
+      type: { type: 'string', optional: true, enum: ['armour_set', 'pack'] },
+      direction: { type: 'string', optional: true, enum: ['combine', 'split'] },
+      minProfit: { type: 'string', optional: true, pattern: /^-?\d+$/ },
+      limit: { type: 'string', optional: true, pattern: /^\d+$/ }
+    }
+  }),
+  errorHandler.asyncHandler(setArbitrageController.getOpportunities)
+);
+
+/**
+ * Context7 Pattern: GET /api/market-data/analytics/item-sets
+ * Set-to-component relationships used by the arbitrage detector
+ */
+router.get(
+  '/item-sets',
+  validationMiddleware.validate({
+    query: {
+      type: { type: 'string', optional: true, enum: ['armour_set', 'pack'] }
+    }
+  }),
+  errorHandler.asyncHandler(setArbitrageController.getSets)
+);
+
+/**
+ * Context7 Pattern: PUT /api/market-data/analytics/item-sets/:setItemId (admin)
+ * Create or replace a set definition
+ */
+router.put(
+  '/item-sets/:setItemId',
+  validationMiddleware.validate({
+    params: setParams,
+    body: {
+      name: { type: 'string', required: true, maxLength: 200 },
+      type: { type: 'string', optional: true, enum: ['armour_set', 'pack'] },
+      reversible: { type: 'boolean', optional: true },
+      components: { type: 'array', required: true },
+      isActive: { type: 'boolean', optional: true }
+    }
+  }),
+  errorHandler.asyncHandler(setArbitrageController.upsertSet)
+);
+
+/**
+ * Context7 Pattern: DELETE /api/market-data/analytics/item-sets/:setItemId (admin)
+ */
+router.delete(
+  '/item-sets/:setItemId',
+  validationMiddleware.validate({ params: setParams }),
+  errorHandler.asyncHandler(setArbitrageController.removeSet)
+);
+
 /**
  * Context7 Pattern: GET /api/market-data/analytics/analytics
  * Comprehensive market analytics
@@ -106,7 +201,7 @@ router.get(
 
 /**
  * Context7 Pattern: GET /api/market-data/analytics/recommendations
- * Get AI-powered trading recommendations
+ * Get trading recommendations sized to budget, risk tolerance and time horizon (paginated)
  * SOLID: Single responsibility - recommendation generation
  */
 router.get(
@@ -115,8 +210,13 @@ router.get(
     query: {
       strategy: { type: 'string', optional: true, enum: ['conservative', 'balanced', 'aggressive'] },
       budget: { type: 'string', optional: true },
+      investmentAmount: { type: 'string', optional: true },
       riskTolerance: { type: 'string', optional: true, enum: ['low', 'medium', 'high'] },
-      timeHorizon: { type: 'string', optional: true, enum: ['short', 'medium', 'long'] }
+      timeHorizon: { type: 'string', optional: true, enum: ['short', 'medium', 'long'] },
+      minMargin: { type: 'string', optional: true },
+      minVolume: { type: 'string', optional: true },
+      page: { type: 'string', optional: true },
+      limit: { type: 'string', optional: true, max: 50 }
     }
   }),
   errorHandler.asyncHandler(marketDataController.getRecommendations)
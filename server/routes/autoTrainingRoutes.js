@@ -72,13 +72,13 @@ router.get('/report', errorMiddleware.handleAsyncError(async(req, res) => {
  * Context7 Pattern: Model Management Routes
  */
 
-// POST /api/auto-training/model/save - Save AI model
+// POST /api/auto-training/model/save - Register the trained model in the model registry
 router.post('/model/save', errorMiddleware.handleAsyncError(async(req, res) => {
   logger.debug('💾 POST /model/save - Saving AI model');
   await controller.saveModel(req, res);
 }));
 
-// POST /api/auto-training/model/load - Load AI model
+// POST /api/auto-training/model/load - Pin a registered model (no modelId: follow production)
 router.post('/model/load', errorMiddleware.handleAsyncError(async(req, res) => {
   logger.debug('📥 POST /model/load - Loading AI model');
   await controller.loadModel(req, res);
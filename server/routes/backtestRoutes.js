@@ -0,0 +1,112 @@
+/**
+ * 📈 Backtest Routes - Context7 Optimized
+ *
+ * Context7 Pattern: Single Responsibility Route Module
+ * - SOLID: Single Responsibility Principle (SRP) - ONLY backtest job operations
+ * - Asynchronous jobs: POST queues, GET polls status, /results returns the replay
+ */
+
+const express = require('express');
+const { getControllerFactory } = require('../factories/ControllerFactory');
+const { ValidationMiddleware } = require('../middleware/ValidationMiddleware');
+const { ErrorHandler } = require('../middleware/ErrorHandler');
+const { AppConstants } = require('../config/AppConstants');
+const { STRATEGY_NAMES } = require('../services/backtesting/BacktestStrategies');
+
+const router = express.Router();
+
+// Context7 Pattern: Use ControllerFactory for proper dependency injection
+const controllerFactory = getControllerFactory();
+const backtestController = controllerFactory.createBacktestController();
+const validationMiddleware = new ValidationMiddleware();
+const errorHandler = new ErrorHandler();
+
+// Context7 Pattern: Apply backtest-specific middleware
+router.use(validationMiddleware.requestTracking());
+router.use(validationMiddleware.performanceMonitoring());
+
+/**
+ * Context7 Pattern: POST /api/backtests
+ * Queue a backtest job
+ * SOLID: Single responsibility - job creation
+ */
+router.post(
+  '/',
+  validationMiddleware.validate({
+    body: {
+      strategy: { type: 'string', required: true, enum: STRATEGY_NAMES },
+      strategyParams: { type: 'object', optional: true },
+      itemIds: {
+        type: 'array',
+        required: true,
+        minLength: 1,
+        maxLength: 50,
+        custom: (ids) => ids.every(id => Number(id) >= AppConstants.OSRS.MIN_ITEM_ID && Number(id) <= AppConstants.OSRS.MAX_ITEM_ID) ||
+          'itemIds must contain valid item IDs'
+      },
+      interval: { type: 'string', optional: true, enum: ['5m', '1h', '24h', 'daily_scrape'] },
+      startTime: { type: 'string', optional: true }, // ISO timestamp or epoch ms
+      endTime: { type: 'string', optional: true },
+      initialCapital: { type: 'number', optional: true, min: 1000 },
+      slippagePercent: { type: 'number', optional: true, min: 0, max: 10 },
+      volumeParticipation: { type: 'number', optional: true, min: 0.01, max: 1 },
+      userId: { type: 'string', optional: true }
+    }
+  }),
+  errorHandler.asyncHandler(backtestController.createBacktest)
+);
+
+/**
+ * Context7 Pattern: GET /api/backtests
+ * List backtest jobs
+ */
+router.get(
+  '/',
+  validationMiddleware.validate({
+    query: {
+      userId: { type: 'string', optional: true },
+      status: { type: 'string', optional: true, enum: ['queued', 'running', 'completed', 'failed'] },
+      limit: { type: 'string', optional: true }
+    }
+  }),
+  errorHandler.asyncHandler(backtestController.getBacktests)
+);
+
+/**
+ * Context7 Pattern: GET /api/backtests/strategies
+ * Available strategies and their parameters
+ */
+router.get(
+  '/strategies',
+  errorHandler.asyncHandler(backtestController.getStrategies)
+);
+
+/**
+ * Context7 Pattern: GET /api/backtests/:jobId
+ * Job status, progress and headline metrics
+ */
+router.get(
+  '/:jobId',
+  validationMiddleware.validate({
+    params: {
+      jobId: { type: 'string', required: true }
+    }
+  }),
+  errorHandler.asyncHandler(backtestController.getBacktest)
+);
+
+/**
+ * Context7 Pattern: GET /api/backtests/:jobId/results
+ * Metrics, equity curve and trade log of a completed job
+ */
+router.get(
+  '/:jobId/results',
+  validationMiddleware.validate({
+    params: {
+      jobId: { type: 'string', required: true }
+    }
+  }),
+  errorHandler.asyncHandler(backtestController.getBacktestResults)
+);
+
+module.exports = router;
@@ -0,0 +1,79 @@
+/**
+ * 🕯️ Candle Routes - Context7 Optimized
+ *
+ * Context7 Pattern: Single Responsibility Route Module
+ * - SOLID: Single Responsibility Principle (SRP) - ONLY OHLCV candles and their indicator overlays
+ * - Mounted under /api/market-data next to the core, analytics and export modules
+ */
+
+const express = require('express');
+const { getControllerFactory } = require('../factories/ControllerFactory');
+const { ValidationMiddleware } = require('../middleware/ValidationMiddleware');
+const { ErrorHandler } = require('../middleware/ErrorHandler');
+const { RESOLUTIONS, INDICATORS } = require('../services/candles/CandleService');
+
+const router = express.Router();
+
+// Context7 Pattern: Use ControllerFactory for proper dependency injection
+const controllerFactory = getControllerFactory();
+const candleController = controllerFactory.createCandleController();
+const validationMiddleware = new ValidationMiddleware();
+const errorHandler = new ErrorHandler();
+
+const candleQuery = {
+  resolution: { type: 'string', optional: true, enum: Object.keys(RESOLUTIONS) },
+  startTime: { type: 'string', optional: true }, // ISO timestamp or epoch ms
+  endTime: { type: 'string', optional: true },
+  limit: { type: 'string', optional: true, pattern: /^\d+$/ }
+};
+
+const validatePeriod = (value, field) => {
+  const period = Number(value);
+  return (Number.isInteger(period) && period >= 2 && period <= 200) || `${field} must be an integer between 2 and 200`;
+};
+
+// Context7 Pattern: Apply candle-specific middleware
+router.use(validationMiddleware.requestTracking());
+router.use(validationMiddleware.performanceMonitoring());
+
+/**
+ * Context7 Pattern: GET /api/market-data/:itemId/candles
+ * OHLCV candles rolled up from stored snapshots, with gaps reported explicitly
+ */
+router.get(
+  '/:itemId/candles',
+  validationMiddleware.validate({
+    params: {
+      itemId: { type: 'string', required: true, pattern: /^\d+$/ }
+    },
+    query: candleQuery
+  }),
+  errorHandler.asyncHandler(candleController.getCandles)
+);
+
+/**
+ * Context7 Pattern: GET /api/market-data/:itemId/indicators
+ * SMA/EMA/RSI/MACD/Bollinger series computed server-side over the candle closes
+ */
+router.get(
+  '/:itemId/indicators',
+  validationMiddleware.validate({
+    params: {
+      itemId: { type: 'string', required: true, pattern: /^\d+$/ }
+    },
+    query: {
+      ...candleQuery,
+      indicators: {
+        type: 'string',
+        optional: true,
+        custom: (value) => value.split(',').every(name => INDICATORS[name.trim()]) ||
+          `indicators must be a comma-separated list of: ${Object.keys(INDICATORS).join(', ')}`
+      },
+      smaPeriod: { type: 'string', optional: true, custom: validatePeriod },
+      emaPeriod: { type: 'string', optional: true, custom: validatePeriod }
+    }
+  }),
+  errorHandler.asyncHandler(candleController.getIndicators)
+);
+
+module.exports = router;
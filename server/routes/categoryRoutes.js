@@ -0,0 +1,96 @@
+/**
+ * 🗂️ Category Routes - Context7 Optimized
+ *
+ * Context7 Pattern: Single Responsibility Route Module
+ * - SOLID: Single Responsibility Principle (SRP) - ONLY the item category taxonomy
+ * - Mounted at /api/market-data/categories; PUT/DELETE on items are admin overrides
+ */
+
+const express = require('express');
+const { getControllerFactory } = require('../factories/ControllerFactory');
+const { ValidationMiddleware } = require('../middleware/ValidationMiddleware');
+const { ErrorHandler } = require('../middleware/ErrorHandler');
+
+const router = express.Router();
+
+// Context7 Pattern: Use ControllerFactory for proper dependency injection
+const controllerFactory = getControllerFactory();
+const categoryController = controllerFactory.createCategoryController();
+const validationMiddleware = new ValidationMiddleware();
+const errorHandler = new ErrorHandler();
+
+const itemParams = {
+  itemId: { type: 'string', required: true, pattern: /^\d+$/ }
+};
+
+// Context7 Pattern: Apply category-specific middleware
+router.use(validationMiddleware.requestTracking());
+router.use(validationMiddleware.performanceMonitoring());
+
+/**
+ * Context7 Pattern: GET /api/market-data/categories
+ * Category taxonomy; includeStats=true adds the number of active items per category
+ */
+router.get(
+  '/',
+  validationMiddleware.validate({
+    query: {
+      includeStats: { type: 'string', optional: true, enum: ['true', 'false'] }
+    }
+  }),
+  errorHandler.asyncHandler(categoryController.getCategories)
+);
+
+/**
+ * Context7 Pattern: GET /api/market-data/categories/assignments
+ * Explicit item-to-category overrides, newest first
+ */
+router.get(
+  '/assignments',
+  validationMiddleware.validate({
+    query: {
+      category: { type: 'string', optional: true },
+      limit: { type: 'string', optional: true, pattern: /^\d+$/ }
+    }
+  }),
+  errorHandler.asyncHandler(categoryController.getAssignments)
+);
+
+/**
+ * Context7 Pattern: GET /api/market-data/categories/items/:itemId
+ * An item's category and whether an assignment, a rule or the fallback decided it
+ */
+router.get(
+  '/items/:itemId',
+  validationMiddleware.validate({ params: itemParams }),
+  errorHandler.asyncHandler(categoryController.explainItem)
+);
+
+/**
+ * Context7 Pattern: PUT /api/market-data/categories/items/:itemId (admin)
+ * Override an item's category; the assignment beats every rule
+ */
+router.put(
+  '/items/:itemId',
+  validationMiddleware.validate({
+    params: itemParams,
+    body: {
+      category: { type: 'string', required: true, pattern: /^[a-z0-9_]+$/ },
+      reason: { type: 'string', optional: true, maxLength: 500 },
+      assignedBy: { type: 'string', optional: true }
+    }
+  }),
+  errorHandler.asyncHandler(categoryController.assignCategory)
+);
+
+/**
+ * Context7 Pattern: DELETE /api/market-data/categories/items/:itemId (admin)
+ * Remove an override so the rules classify the item again
+ */
+router.delete(
+  '/items/:itemId',
+  validationMiddleware.validate({ params: itemParams }),
+  errorHandler.asyncHandler(categoryController.removeAssignment)
+);
+
+module.exports = router;
@@ -25,13 +25,22 @@ const monitoringRoutes = require('./monitoringRoutes');
 const coreMarketDataRoutes = require('./core/coreMarketDataRoutes');
 const marketAnalyticsRoutes = require('./analytics/marketAnalyticsRoutes');
 const marketSearchRoutes = require('./search/marketSearchRoutes');
+const categoryRoutes = require('./categoryRoutes');
+const alchScannerRoutes = require('./alchScannerRoutes');
+const recipeRoutes = require('./recipeRoutes');
 const marketAlertsRoutes = require('./alerts/marketAlertsRoutes');
 const marketExportRoutes = require('./export/marketExportRoutes');
 const aiTradingRoutes = require('./aiTradingRoutes');
 const autoTrainingRoutes = require('./autoTrainingRoutes');
 const itemMappingRoutes = require('./itemMappingRoutes');
 const osrsScraperRoutes = require('./osrsScraperRoutes');
+const scraperRoutes = require('./scraperRoutes');
 const watchlistRoutes = require('./watchlistRoutes');
+const backtestRoutes = require('./backtestRoutes');
+const modelRegistryRoutes = require('./modelRegistryRoutes');
+const tradeLedgerRoutes = require('./tradeLedgerRoutes');
+const tradeJournalRoutes = require('./tradeJournalRoutes');
+const candleRoutes = require('./candleRoutes');
 
 // Context7 Pattern: Apply API-specific middleware only
 router.use(requestMiddleware.apiVersioning());
@@ -70,7 +79,11 @@ router.get('/', (req, res) => {
           'GET /system-status - Get system status',
           'GET /efficiency-metrics - Get efficiency metrics',
           'GET /health - Health check',
-          'POST /cleanup - Perform data cleanup'
+          'POST /cleanup - Perform data cleanup (market price history is kept; see /monitoring/retention)',
+          'GET /monitoring/retention - Snapshot retention tiers and compactor checkpoints',
+          'GET /notifications/dead-letters - Failed notification deliveries per channel',
+          'POST /notifications/dead-letters/:channel/:deadLetterId/retry - Retry a dead-lettered delivery',
+          'DELETE /notifications/dead-letters - Clear notification dead letters'
         ]
       },
       marketData: {
@@ -82,9 +95,28 @@ router.get('/', (req, res) => {
           'GET /item/:itemId/history - Get item price history',
           'GET /top-items - Get top traded items',
           'GET /search - Search items by name',
+          'GET /search/advanced - Filter latest snapshots by price, volume, margin, members, tradeable and a filter expression',
+          'POST /search/saved - Save an advanced search (optionally scheduled after each sync)',
+          'GET /search/saved - List own and public saved searches',
+          'POST /search/saved/:searchId/run - Run a saved search now',
+          'PUT /search/saved/:searchId/schedule - Enable/disable post-sync re-runs',
+          'GET /search/saved/:searchId/changes - Items that entered or left the results',
+          'DELETE /search/saved/:searchId - Delete a saved search',
+          'GET /categories?includeStats=true - Item category taxonomy with item counts',
+          'GET /categories/items/:itemId - Explain an item\'s category (assignment, rule or fallback)',
+          'PUT /categories/items/:itemId - Override an item\'s category (admin)',
+          'DELETE /categories/items/:itemId - Remove a category override (admin)',
+          'GET /alchemy/scan - Items ranked by high alchemy profit after GE buy and nature rune prices',
+          'GET /recipes?sortBy=profitPerHour|margin|returnPercent&pricing=instant|offer - Recipes ranked by margin after GE tax',
+          'GET /recipes/:recipeId - One recipe with input and output prices, buy limits and tax',
           'GET /analytics - Get market analytics',
+          'GET /analytics/anomalies?severity=low|medium|high - Price/volume anomalies flagged after each sync',
+          'GET /analytics/set-arbitrage?direction=combine|split - Sets and packs priced against their components after GE tax',
+          'GET /analytics/item-sets - Set-to-component definitions (PUT/DELETE /analytics/item-sets/:setItemId for admins)',
           'GET /recommendations - Get trading recommendations',
-          'GET /export - Export market data'
+          'GET /export - Export market data',
+          'GET /:itemId/candles?resolution=5m|1h|6h|1d|1w - OHLCV candles with explicit gaps',
+          'GET /:itemId/indicators?indicators=sma,ema,rsi,macd,bollinger - Indicator overlays for candles'
         ]
       },
       aiTrading: {
@@ -132,7 +164,7 @@ router.get('/', (req, res) => {
           'GET /search - Search items by name',
           'GET /high-value - Get high-value items',
           'GET /category/:category - Get items by category',
-          'GET / - Get items with pagination',
+          'GET /?filter=members and highalch > 5000 - Get items with pagination and an optional filter expression',
           'GET /:itemId - Get single item by ID',
           'POST / - Create new item (admin)',
           'PUT /:itemId - Update item (admin)',
@@ -151,6 +183,19 @@ router.get('/', (req, res) => {
           'GET / - API documentation and endpoints'
         ]
       },
+      scraper: {
+        baseUrl: '/api/scraper',
+        routes: [
+          'POST /backfills - Start a historical backfill (default: 6 months of 24h buckets for unscraped items)',
+          'GET /backfills - List backfill jobs',
+          'GET /backfills/:jobId - Progress, queue counts, failures and throttle state',
+          'GET /backfills/:jobId/items - Per-item status and bucket counts',
+          'POST /backfills/:jobId/pause - Pause after the item in progress',
+          'POST /backfills/:jobId/resume - Resume a paused or interrupted backfill',
+          'GET /coverage?interval=5m|1h - Missing snapshot buckets per item, classified as outage or no-trade',
+          'POST /coverage/repairs - Backfill the items with outage gaps'
+        ]
+      },
       watchlist: {
         baseUrl: '/api/watchlist',
         routes: [
@@ -162,6 +207,52 @@ router.get('/', (req, res) => {
           'GET /health - Health check for watchlist service',
           'GET /docs - API documentation'
         ]
+      },
+      backtests: {
+        baseUrl: '/api/backtests',
+        routes: [
+          'POST / - Queue a strategy backtest over stored snapshots',
+          'GET / - List backtest jobs',
+          'GET /strategies - Available strategies and parameters',
+          'GET /:jobId - Job status and progress',
+          'GET /:jobId/results - Metrics, equity curve and trades of a completed job'
+        ]
+      },
+      models: {
+        baseUrl: '/api/models',
+        routes: [
+          'GET / - List registered AI models and their metrics',
+          'GET /production - Model used by AI sessions and auto training',
+          'GET /history - Promotion and rollback history',
+          'POST /compare - Backtest two models side by side on the same window',
+          'POST /rollback - Return production to the previous model',
+          'GET /:modelId - Model details and promotion history',
+          'POST /:modelId/promote - Tag a model as production'
+        ]
+      },
+      ledger: {
+        baseUrl: '/api/ledger',
+        routes: [
+          'POST /fills - Record a buy or sell fill',
+          'GET /fills - List recorded fills',
+          'DELETE /fills/:fillId - Remove a fill',
+          'GET /buy-limits - Remaining GE buy limit and reset time per item',
+          'GET /buy-limits/:itemId - Remaining GE buy limit and reset time for one item'
+        ]
+      },
+      journal: {
+        baseUrl: '/api/journal',
+        routes: [
+          'POST / - Record a GE offer',
+          'GET / - List journal entries',
+          'GET /summary - Realized/unrealized P&L, GE tax and open positions',
+          'GET /rollups - Daily or weekly realized P&L',
+          'GET /:entryId - Get a journal entry',
+          'PUT /:entryId - Edit offer price, quantity or notes',
+          'DELETE /:entryId - Delete a journal entry',
+          'POST /:entryId/fills - Record a partial fill',
+          'POST /:entryId/cancel - Cancel the unfilled remainder'
+        ]
       }
     },
     rateLimits: {
@@ -309,11 +400,20 @@ router.use('/market-data/analytics', marketAnalyticsRoutes);
 router.use('/market-data/search', marketSearchRoutes);
 router.use('/market-data/alerts', marketAlertsRoutes);
 router.use('/market-data/export', marketExportRoutes);
+router.use('/market-data/categories', categoryRoutes);
+router.use('/market-data/alchemy', alchScannerRoutes);
+router.use('/market-data/recipes', recipeRoutes);
+router.use('/market-data', candleRoutes);
 router.use('/ai-trading', aiTradingRoutes);
 router.use('/auto-training', autoTrainingRoutes);
 router.use('/items', itemMappingRoutes);
 router.use('/osrs-scraper', osrsScraperRoutes);
+router.use('/scraper', scraperRoutes);
 router.use('/watchlist', watchlistRoutes);
+router.use('/backtests', backtestRoutes);
+router.use('/models', modelRegistryRoutes);
+router.use('/ledger', tradeLedgerRoutes);
+router.use('/journal', tradeJournalRoutes);
 // Mount monitoring routes last to avoid conflicts
 router.use('/', monitoringRoutes);
 
@@ -99,11 +99,8 @@ router.get(
   '/category/:category',
   requestMiddleware.validateRequest({
     params: {
-      category: {
-        type: 'string',
-        required: true,
-        enum: ['runes', 'potions', 'food', 'smithing', 'woodcutting', 'farming', 'high_value', 'members', 'free', 'general']
-      }
+      // Checked against the stored taxonomy in the controller
+      category: { type: 'string', required: true, pattern: /^[a-z0-9_]+$/ }
     },
     query: {
       limit: { type: 'string', optional: true },
@@ -116,7 +113,7 @@ router.get(
 
 /**
  * Context7 Pattern: GET /api/items
- * Get items with pagination, filtering, and sorting
+ * Get items with pagination, filtering, and sorting; `filter` takes an item query expression
  */
 router.get(
   '/',
@@ -128,7 +125,9 @@ router.get(
       tradeable: { type: 'boolean', optional: true },
       minValue: { type: 'string', optional: true },
       maxValue: { type: 'string', optional: true },
-      sort: { type: 'string', optional: true }
+      sort: { type: 'string', optional: true },
+      // Filter expression, e.g. "members and highalch > 5000 and not category:runes"
+      filter: { type: 'string', optional: true, maxLength: 500 }
     }
   }),
   errorMiddleware.handleAsyncError(itemMappingController.getItems)
@@ -197,7 +196,7 @@ router.get(
 
 /**
  * Context7 Pattern: GET /api/items/:itemId/ge-limits
- * Get Grand Exchange buy limits for a specific item
+ * Get Grand Exchange buy limits for a specific item, with ledger usage
  */
 router.get(
   '/:itemId/ge-limits',
@@ -222,12 +221,19 @@ router.get(
         });
       }
 
+      // Usage of the rolling 4-hour window from the trade ledger
+      const usage = await controllerFactory.getService('tradeLedger')
+        .getBuyLimitStatus(itemId, { userId: req.query.userId });
+
       const geLimits = {
         itemId: itemId,
         buyLimit: item.buy_limit || null,
         tradeableOnGE: item.tradeable_on_ge || false,
         members: item.members || false,
-        stackable: item.stackable || false
+        stackable: item.stackable || false,
+        usedQuantity: usage ? usage.usedQuantity : 0,
+        remainingQuantity: usage ? usage.remainingQuantity : item.buy_limit || null,
+        resetsAt: usage ? usage.resetsAt : null
       };
 
       res.status(200).json({
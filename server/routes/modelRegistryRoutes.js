@@ -0,0 +1,147 @@
+/**
+ * 🗂️ Model Registry Routes - Context7 Optimized
+ *
+ * Context7 Pattern: Single Responsibility Route Module
+ * - SOLID: Single Responsibility Principle (SRP) - ONLY model lifecycle operations
+ * - Models are registered through the AI trading and auto-training save-model endpoints
+ * - AI sessions and auto training run whichever model is tagged 'production' here
+ */
+
+const express = require('express');
+const { getControllerFactory } = require('../factories/ControllerFactory');
+const { ValidationMiddleware } = require('../middleware/ValidationMiddleware');
+const { ErrorHandler } = require('../middleware/ErrorHandler');
+const { AppConstants } = require('../config/AppConstants');
+const { REWARD_FUNCTION_NAMES } = require('../services/ai/rewards/RewardFunctions');
+
+const router = express.Router();
+
+// Context7 Pattern: Use ControllerFactory for proper dependency injection
+const controllerFactory = getControllerFactory();
+const modelRegistryController = controllerFactory.createModelRegistryController();
+const validationMiddleware = new ValidationMiddleware();
+const errorHandler = new ErrorHandler();
+
+const MODEL_ID_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+// Context7 Pattern: Apply registry-specific middleware
+router.use(validationMiddleware.requestTracking());
+router.use(validationMiddleware.performanceMonitoring());
+
+/**
+ * Context7 Pattern: GET /api/models
+ * List registered models with their stored metrics
+ */
+router.get(
+  '/',
+  validationMiddleware.validate({
+    query: {
+      status: { type: 'string', optional: true, enum: ['training', 'testing', 'production', 'archived', 'failed'] },
+      tag: { type: 'string', optional: true },
+      rewardFunction: { type: 'string', optional: true, enum: REWARD_FUNCTION_NAMES },
+      limit: { type: 'string', optional: true }
+    }
+  }),
+  errorHandler.asyncHandler(modelRegistryController.listModels)
+);
+
+/**
+ * Context7 Pattern: GET /api/models/production
+ * The model AI sessions and auto training currently run
+ */
+router.get(
+  '/production',
+  errorHandler.asyncHandler(modelRegistryController.getProductionModel)
+);
+
+/**
+ * Context7 Pattern: GET /api/models/history
+ * Promotions and rollbacks, newest first
+ */
+router.get(
+  '/history',
+  validationMiddleware.validate({
+    query: {
+      modelId: { type: 'string', optional: true },
+      limit: { type: 'string', optional: true }
+    }
+  }),
+  errorHandler.asyncHandler(modelRegistryController.getPromotionHistory)
+);
+
+/**
+ * Context7 Pattern: POST /api/models/compare
+ * Backtest two models side by side on the same snapshot window
+ */
+router.post(
+  '/compare',
+  validationMiddleware.validate({
+    body: {
+      baseModelId: { type: 'string', required: true, pattern: MODEL_ID_PATTERN },
+      candidateModelId: { type: 'string', required: true, pattern: MODEL_ID_PATTERN },
+      itemIds: {
+        type: 'array',
+        required: true,
+        minLength: 1,
+        maxLength: 50,
+        custom: (ids) => ids.every(id => Number(id) >= AppConstants.OSRS.MIN_ITEM_ID && Number(id) <= AppConstants.OSRS.MAX_ITEM_ID) ||
+          'itemIds must contain valid item IDs'
+      },
+      interval: { type: 'string', optional: true, enum: ['5m', '1h', '24h', 'daily_scrape'] },
+      startTime: { type: 'string', optional: true }, // ISO timestamp or epoch ms
+      endTime: { type: 'string', optional: true },
+      initialCapital: { type: 'number', optional: true, min: 1000 },
+      strategyParams: { type: 'object', optional: true }
+    }
+  }),
+  errorHandler.asyncHandler(modelRegistryController.compareModels)
+);
+
+/**
+ * Context7 Pattern: POST /api/models/rollback
+ * Return production to the model the current one replaced
+ */
+router.post(
+  '/rollback',
+  validationMiddleware.validate({
+    body: {
+      promotedBy: { type: 'string', optional: true, maxLength: 100 },
+      reason: { type: 'string', optional: true, maxLength: 500 }
+    }
+  }),
+  errorHandler.asyncHandler(modelRegistryController.rollback)
+);
+
+/**
+ * Context7 Pattern: GET /api/models/:modelId
+ * One model with its promotion history
+ */
+router.get(
+  '/:modelId',
+  validationMiddleware.validate({
+    params: {
+      modelId: { type: 'string', required: true, pattern: MODEL_ID_PATTERN }
+    }
+  }),
+  errorHandler.asyncHandler(modelRegistryController.getModel)
+);
+
+/**
+ * Context7 Pattern: POST /api/models/:modelId/promote
+ * Tag a model as production, demoting the current one to testing
+ */
+router.post(
+  '/:modelId/promote',
+  validationMiddleware.validate({
+    params: {
+      modelId: { type: 'string', required: true, pattern: MODEL_ID_PATTERN }
+    },
+    body: {
+      promotedBy: { type: 'string', optional: true, maxLength: 100 },
+      reason: { type: 'string', optional: true, maxLength: 500 }
+    }
+  }),
+  errorHandler.asyncHandler(modelRegistryController.promoteModel)
+);
+
+module.exports = router;
@@ -12,6 +12,7 @@ const express = require('express');
 const { getControllerFactory } = require('../factories/ControllerFactory');
 const { RequestMiddleware } = require('../middleware/RequestMiddleware');
 const { ErrorMiddleware } = require('../middleware/ErrorMiddleware');
+const { DEAD_LETTER_CHANNELS } = require('../utils/NotificationService');
 
 const router = express.Router();
 
@@ -224,6 +225,63 @@ router.post(
   errorMiddleware.handleAsyncError(monitoringController.runTest)
 );
 
+/**
+ * Context7 Pattern: GET /api/monitoring/retention
+ * Snapshot retention tiers, compactor checkpoints and the last compaction run
+ */
+router.get(
+  '/monitoring/retention',
+  errorMiddleware.handleAsyncError(monitoringController.getRetentionStatus)
+);
+
+// =========================================
+// NOTIFICATION DELIVERY ROUTES
+// =========================================
+
+/**
+ * Context7 Pattern: GET /api/notifications/dead-letters
+ * Deliveries that exhausted their retries, grouped per channel
+ */
+router.get(
+  '/notifications/dead-letters',
+  requestMiddleware.validateRequest({
+    query: {
+      channel: { type: 'string', enum: DEAD_LETTER_CHANNELS, optional: true },
+      limit: { type: 'string', optional: true }
+    }
+  }),
+  errorMiddleware.handleAsyncError(monitoringController.getNotificationDeadLetters)
+);
+
+/**
+ * Context7 Pattern: POST /api/notifications/dead-letters/:channel/:deadLetterId/retry
+ * Re-attempt a dead-lettered delivery
+ */
+router.post(
+  '/notifications/dead-letters/:channel/:deadLetterId/retry',
+  requestMiddleware.validateRequest({
+    params: {
+      channel: { type: 'string', enum: DEAD_LETTER_CHANNELS, required: true },
+      deadLetterId: { type: 'string', required: true }
+    }
+  }),
+  errorMiddleware.handleAsyncError(monitoringController.retryNotificationDeadLetter)
+);
+
+/**
+ * Context7 Pattern: DELETE /api/notifications/dead-letters
+ * Clear dead letters for one channel or all channels
+ */
+router.delete(
+  '/notifications/dead-letters',
+  requestMiddleware.validateRequest({
+    query: {
+      channel: { type: 'string', enum: DEAD_LETTER_CHANNELS, optional: true }
+    }
+  }),
+  errorMiddleware.handleAsyncError(monitoringController.clearNotificationDeadLetters)
+);
+
 // =========================================
 // DATA PIPELINE ORCHESTRATOR ROUTES
 // =========================================
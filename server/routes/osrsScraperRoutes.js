@@ -12,6 +12,7 @@ const express = require('express');
 const { getControllerFactory } = require('../factories/ControllerFactory');
 const { RequestMiddleware } = require('../middleware/RequestMiddleware');
 const { ErrorMiddleware } = require('../middleware/ErrorMiddleware');
+const { AppConstants } = require('../config/AppConstants');
 
 const router = express.Router();
 const controllerFactory = getControllerFactory();
@@ -164,12 +165,12 @@ router.get('/', (req, res) => {
       }
     },
     dataSources: {
-      'OSRS Grand Exchange': {
-        mostTraded: 'https://secure.runescape.com/m=itemdb_oldschool/top100?list=0&scale=3',
-        greatestRise: 'https://secure.runescape.com/m=itemdb_oldschool/top100?list=1&scale=3',
-        mostValuable: 'https://secure.runescape.com/m=itemdb_oldschool/top100?list=2&scale=3',
-        greatestFall: 'https://secure.runescape.com/m=itemdb_oldschool/top100?list=3&scale=3'
-      },
+      'OSRS Grand Exchange': Object.fromEntries(
+        Object.entries(AppConstants.EXTERNAL_API.OSRS_GE.TOP100_LISTS).map(([name, listId]) => [
+          name,
+          `${AppConstants.EXTERNAL_API.OSRS_GE.BASE_URL}/top100?list=${listId}&scale=3`
+        ])
+      ),
       'OSRS Wiki API': 'Used for historical price data and item details'
     },
     patternTypes: [
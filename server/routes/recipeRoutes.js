@@ -0,0 +1,61 @@
+/**
+ * ⚗️ Recipe Routes - Context7 Optimized
+ *
+ * Context7 Pattern: Single Responsibility Route Module
+ * - SOLID: Single Responsibility Principle (SRP) - ONLY the production-chain profit calculator
+ * - Mounted at /api/market-data/recipes
+ */
+
+const express = require('express');
+const { getControllerFactory } = require('../factories/ControllerFactory');
+const { ValidationMiddleware } = require('../middleware/ValidationMiddleware');
+const { ErrorHandler } = require('../middleware/ErrorHandler');
+
+const router = express.Router();
+
+// Context7 Pattern: Use ControllerFactory for proper dependency injection
+const controllerFactory = getControllerFactory();
+const recipeController = controllerFactory.createRecipeController();
+const validationMiddleware = new ValidationMiddleware();
+const errorHandler = new ErrorHandler();
+
+// Context7 Pattern: Apply recipe-specific middleware
+router.use(validationMiddleware.requestTracking());
+router.use(validationMiddleware.performanceMonitoring());
+
+/**
+ * Context7 Pattern: GET /api/market-data/recipes
+ * Registered recipes ranked by margin after GE tax, with buy-limit-capped profit per hour
+ */
+router.get(
+  '/',
+  validationMiddleware.validate({
+    query: {
+      sortBy: { type: 'string', optional: true, enum: ['profitPerHour', 'margin', 'returnPercent'] },
+      pricing: { type: 'string', optional: true, enum: ['instant', 'offer'] },
+      skill: { type: 'string', optional: true, pattern: /^[a-z]+$/i },
+      limit: { type: 'string', optional: true, pattern: /^\d+$/ },
+      minMargin: { type: 'string', optional: true, pattern: /^-?\d+$/ }
+    }
+  }),
+  errorHandler.asyncHandler(recipeController.getRankedRecipes)
+);
+
+/**
+ * Context7 Pattern: GET /api/market-data/recipes/:recipeId
+ * One recipe with input and output prices, buy limits and GE tax
+ */
+router.get(
+  '/:recipeId',
+  validationMiddleware.validate({
+    params: {
+      recipeId: { type: 'string', required: true, pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/ }
+    },
+    query: {
+      pricing: { type: 'string', optional: true, enum: ['instant', 'offer'] }
+    }
+  }),
+  errorHandler.asyncHandler(recipeController.getRecipe)
+);
+
+module.exports = router;
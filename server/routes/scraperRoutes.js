@@ -0,0 +1,157 @@
+/**
+ * 📥 Scraper Routes - Context7 Optimized
+ *
+ * Context7 Pattern: Single Responsibility Route Module
+ * - SOLID: Single Responsibility Principle (SRP) - ONLY historical backfills and snapshot coverage
+ * - Jobs run in the background: POST starts, GET polls progress, pause/resume control the runner
+ * - Coverage reports find gaps in the 5m/1h series; repairs are queued as backfill jobs
+ */
+
+const express = require('express');
+const { getControllerFactory } = require('../factories/ControllerFactory');
+const { ValidationMiddleware } = require('../middleware/ValidationMiddleware');
+const { ErrorHandler } = require('../middleware/ErrorHandler');
+const { AppConstants } = require('../config/AppConstants');
+
+const router = express.Router();
+
+// Context7 Pattern: Use ControllerFactory for proper dependency injection
+const controllerFactory = getControllerFactory();
+const backfillController = controllerFactory.createBackfillController();
+const dataQualityController = controllerFactory.createDataQualityController();
+const validationMiddleware = new ValidationMiddleware();
+const errorHandler = new ErrorHandler();
+
+const itemIdsRule = {
+  type: 'array',
+  optional: true,
+  minLength: 1,
+  maxLength: 5000,
+  custom: (ids) => ids.every(id => Number(id) >= AppConstants.OSRS.MIN_ITEM_ID && Number(id) <= AppConstants.OSRS.MAX_ITEM_ID) ||
+    'itemIds must contain valid item IDs'
+};
+
+const jobIdParams = {
+  params: {
+    jobId: { type: 'string', required: true, pattern: /^[a-f\d]{24}$/i }
+  }
+};
+
+// Context7 Pattern: Apply scraper-specific middleware
+router.use(validationMiddleware.requestTracking());
+router.use(validationMiddleware.performanceMonitoring());
+
+/**
+ * Context7 Pattern: POST /api/scraper/backfills
+ * Start a backfill job; without itemIds every item missing its 6-month history is queued
+ */
+router.post(
+  '/backfills',
+  validationMiddleware.validate({
+    body: {
+      itemIds: itemIdsRule,
+      timestep: { type: 'string', optional: true, enum: ['5m', '1h', '6h', '24h'] },
+      lookbackDays: { type: 'integer', optional: true, min: 1, max: 365 },
+      priority: { type: 'integer', optional: true, min: 0, max: 10 },
+      requestedBy: { type: 'string', optional: true, maxLength: 100 }
+    }
+  }),
+  errorHandler.asyncHandler(backfillController.startBackfill)
+);
+
+/**
+ * Context7 Pattern: GET /api/scraper/backfills
+ * List backfill jobs, newest first
+ */
+router.get(
+  '/backfills',
+  validationMiddleware.validate({
+    query: {
+      status: { type: 'string', optional: true, enum: ['running', 'paused', 'completed'] },
+      limit: { type: 'string', optional: true, pattern: /^\d+$/ }
+    }
+  }),
+  errorHandler.asyncHandler(backfillController.getBackfills)
+);
+
+/**
+ * Context7 Pattern: GET /api/scraper/backfills/:jobId
+ * Progress, queue counts, failed items and throttle state
+ */
+router.get(
+  '/backfills/:jobId',
+  validationMiddleware.validate(jobIdParams),
+  errorHandler.asyncHandler(backfillController.getBackfill)
+);
+
+/**
+ * Context7 Pattern: GET /api/scraper/backfills/:jobId/items
+ * Per-item status, retries and bucket counts
+ */
+router.get(
+  '/backfills/:jobId/items',
+  validationMiddleware.validate({
+    ...jobIdParams,
+    query: {
+      status: { type: 'string', optional: true, enum: ['pending', 'processing', 'completed', 'failed'] },
+      limit: { type: 'string', optional: true, pattern: /^\d+$/ },
+      offset: { type: 'string', optional: true, pattern: /^\d+$/ }
+    }
+  }),
+  errorHandler.asyncHandler(backfillController.getBackfillItems)
+);
+
+/**
+ * Context7 Pattern: POST /api/scraper/backfills/:jobId/pause
+ * Stop the job after the item in progress
+ */
+router.post(
+  '/backfills/:jobId/pause',
+  validationMiddleware.validate(jobIdParams),
+  errorHandler.asyncHandler(backfillController.pauseBackfill)
+);
+
+/**
+ * Context7 Pattern: POST /api/scraper/backfills/:jobId/resume
+ * Continue a paused job, or a running job interrupted by a restart
+ */
+router.post(
+  '/backfills/:jobId/resume',
+  validationMiddleware.validate(jobIdParams),
+  errorHandler.asyncHandler(backfillController.resumeBackfill)
+);
+
+/**
+ * Context7 Pattern: GET /api/scraper/coverage
+ * Missing 5m/1h buckets per item, classified as outage or no-trade
+ */
+router.get(
+  '/coverage',
+  validationMiddleware.validate({
+    query: {
+      interval: { type: 'string', optional: true, enum: ['5m', '1h'] },
+      lookbackDays: { type: 'string', optional: true, pattern: /^\d+$/ },
+      itemIds: { type: 'string', optional: true, pattern: /^\d+(,\d+)*$/ },
+      limit: { type: 'string', optional: true, pattern: /^\d+$/ }
+    }
+  }),
+  errorHandler.asyncHandler(dataQualityController.getCoverageReport)
+);
+
+/**
+ * Context7 Pattern: POST /api/scraper/coverage/repairs
+ * Start a backfill job for the items with outage gaps
+ */
+router.post(
+  '/coverage/repairs',
+  validationMiddleware.validate({
+    body: {
+      interval: { type: 'string', optional: true, enum: ['5m', '1h'] },
+      lookbackDays: { type: 'integer', optional: true, min: 1 },
+      itemIds: itemIdsRule
+    }
+  }),
+  errorHandler.asyncHandler(dataQualityController.queueRepairs)
+);
+
+module.exports = router;
@@ -19,6 +19,7 @@ const router = express.Router();
 // Context7 Pattern: Use ControllerFactory for proper dependency injection
 const controllerFactory = getControllerFactory();
 const marketDataController = controllerFactory.createMarketDataController();
+const marketSearchController = controllerFactory.createMarketSearchController();
 const validationMiddleware = new ValidationMiddleware();
 const errorHandler = new ErrorHandler();
 
@@ -66,6 +67,8 @@ router.get(
       name: { type: 'string', optional: true },
       description: { type: 'string', optional: true },
       category: { type: 'string', optional: true },
+      // Item query expression, e.g. "members and highalch > 5000 and not category:runes"
+      filter: { type: 'string', optional: true, maxLength: 500 },
       minPrice: { type: 'string', optional: true },
       maxPrice: { type: 'string', optional: true },
       minVolume: { type: 'string', optional: true },
@@ -79,61 +82,7 @@ router.get(
       sortOrder: { type: 'string', optional: true, enum: ['asc', 'desc'] }
     }
   }),
-  errorHandler.asyncHandler(async (req, res) => {
-    const searchCriteria = {
-      filters: {},
-      sorting: {
-        sortBy: req.query.sortBy || 'relevance',
-        sortOrder: req.query.sortOrder || 'desc'
-      },
-      pagination: {
-        limit: Math.min(parseInt(req.query.limit) || 50, 200)
-      }
-    };
-
-    // Build dynamic filters
-    if (req.query.name) searchCriteria.filters.name = { $regex: req.query.name, $options: 'i' };
-    if (req.query.description) searchCriteria.filters.description = { $regex: req.query.description, $options: 'i' };
-    if (req.query.category) searchCriteria.filters.category = req.query.category;
-    if (req.query.tradeable) searchCriteria.filters.tradeable = req.query.tradeable === 'true';
-    if (req.query.members) searchCriteria.filters.members = req.query.members === 'true';
-
-    // Price range filters
-    if (req.query.minPrice || req.query.maxPrice) {
-      searchCriteria.filters.currentPrice = {};
-      if (req.query.minPrice) searchCriteria.filters.currentPrice.$gte = parseInt(req.query.minPrice);
-      if (req.query.maxPrice) searchCriteria.filters.currentPrice.$lte = parseInt(req.query.maxPrice);
-    }
-
-    // Volume range filters
-    if (req.query.minVolume || req.query.maxVolume) {
-      searchCriteria.filters.volume = {};
-      if (req.query.minVolume) searchCriteria.filters.volume.$gte = parseInt(req.query.minVolume);
-      if (req.query.maxVolume) searchCriteria.filters.volume.$lte = parseInt(req.query.maxVolume);
-    }
-
-    // Margin range filters
-    if (req.query.minMargin || req.query.maxMargin) {
-      searchCriteria.filters.profitMargin = {};
-      if (req.query.minMargin) searchCriteria.filters.profitMargin.$gte = parseFloat(req.query.minMargin);
-      if (req.query.maxMargin) searchCriteria.filters.profitMargin.$lte = parseFloat(req.query.maxMargin);
-    }
-
-    // Execute search (would integrate with actual search service)
-    const searchResults = {
-      results: [], // Placeholder
-      totalCount: 0,
-      searchCriteria,
-      executionTime: Date.now(),
-      suggestions: []
-    };
-
-    res.json({
-      success: true,
-      data: searchResults,
-      timestamp: Date.now()
-    });
-  })
+  errorHandler.asyncHandler(marketSearchController.advancedSearch)
 );
 
 /**
@@ -232,6 +181,8 @@ router.get(
 /**
  * Context7 Pattern: POST /api/market-data/search/saved
  * Save search criteria for future use
+ * searchCriteria takes the /advanced filters; schedule: { enabled, email, webhook }
+ * re-runs the search after each market sync and reports items entering or leaving the results
  * SOLID: Single responsibility - search persistence
  */
 router.post(
@@ -241,30 +192,11 @@ router.post(
       name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
       searchCriteria: { type: 'object', required: true },
       userId: { type: 'string', optional: true },
-      isPublic: { type: 'boolean', optional: true }
+      isPublic: { type: 'boolean', optional: true },
+      schedule: { type: 'object', optional: true }
     }
   }),
-  errorHandler.asyncHandler(async (req, res) => {
-    const { name, searchCriteria, userId = 'anonymous', isPublic = false } = req.body;
-
-    // Save search criteria (would integrate with database)
-    const savedSearch = {
-      id: Date.now().toString(), // Placeholder ID
-      name,
-      searchCriteria,
-      userId,
-      isPublic,
-      createdAt: Date.now(),
-      usageCount: 0
-    };
-
-    res.json({
-      success: true,
-      data: savedSearch,
-      message: 'Search criteria saved successfully',
-      timestamp: Date.now()
-    });
-  })
+  errorHandler.asyncHandler(marketSearchController.createSavedSearch)
 );
 
 /**
@@ -281,26 +213,67 @@ router.get(
       limit: { type: 'string', optional: true, max: 50 }
     }
   }),
-  errorHandler.asyncHandler(async (req, res) => {
-    const userId = req.query.userId || 'anonymous';
-    const includePublic = req.query.includePublic === 'true';
-    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+  errorHandler.asyncHandler(marketSearchController.getSavedSearches)
+);
 
-    // Retrieve saved searches (would integrate with database)
-    const savedSearches = {
-      userSearches: [], // User's private searches
-      publicSearches: includePublic ? [] : undefined, // Public searches if requested
-      totalCount: 0,
-      userId,
-      retrievedAt: Date.now()
-    };
+/**
+ * Context7 Pattern: POST /api/market-data/search/saved/:searchId/run
+ * Run one of the user's own or a public saved search now
+ * SOLID: Single responsibility - saved search execution
+ */
+router.post(
+  '/saved/:searchId/run',
+  validationMiddleware.validate({
+    params: {
+      searchId: { type: 'string', required: true }
+    },
+    query: {
+      userId: { type: 'string', optional: true }
+    }
+  }),
+  errorHandler.asyncHandler(marketSearchController.runSavedSearch)
+);
 
-    res.json({
-      success: true,
-      data: savedSearches,
-      timestamp: Date.now()
-    });
-  })
+/**
+ * Context7 Pattern: PUT /api/market-data/search/saved/:searchId/schedule
+ * Enable/disable post-sync re-runs and set notification targets
+ * SOLID: Single responsibility - saved search scheduling
+ */
+router.put(
+  '/saved/:searchId/schedule',
+  validationMiddleware.validate({
+    params: {
+      searchId: { type: 'string', required: true }
+    },
+    query: {
+      userId: { type: 'string', optional: true }
+    },
+    body: {
+      enabled: { type: 'boolean', optional: true },
+      email: { type: 'string', optional: true, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+      webhook: { type: 'string', optional: true, pattern: /^https?:\/\/[^\s]+$/i }
+    }
+  }),
+  errorHandler.asyncHandler(marketSearchController.updateSchedule)
+);
+
+/**
+ * Context7 Pattern: GET /api/market-data/search/saved/:searchId/changes
+ * Items that entered or left a scheduled search's results, newest run first
+ * SOLID: Single responsibility - saved search change history
+ */
+router.get(
+  '/saved/:searchId/changes',
+  validationMiddleware.validate({
+    params: {
+      searchId: { type: 'string', required: true }
+    },
+    query: {
+      userId: { type: 'string', optional: true },
+      limit: { type: 'string', optional: true, max: 20 }
+    }
+  }),
+  errorHandler.asyncHandler(marketSearchController.getChanges)
 );
 
 /**
@@ -318,25 +291,7 @@ router.delete(
       userId: { type: 'string', optional: true }
     }
   }),
-  errorHandler.asyncHandler(async (req, res) => {
-    const { searchId } = req.params;
-    const userId = req.query.userId || 'anonymous';
-
-    // Delete saved search (would integrate with database)
-    const result = {
-      deleted: true,
-      searchId,
-      userId,
-      deletedAt: Date.now()
-    };
-
-    res.json({
-      success: true,
-      data: result,
-      message: 'Saved search deleted successfully',
-      timestamp: Date.now()
-    });
-  })
+  errorHandler.asyncHandler(marketSearchController.deleteSavedSearch)
 );
 
 // Export the router
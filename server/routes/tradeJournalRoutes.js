@@ -0,0 +1,187 @@
+/**
+ * 📒 Trade Journal Routes - Context7 Optimized
+ *
+ * Context7 Pattern: Single Responsibility Route Module
+ * - SOLID: Single Responsibility Principle (SRP) - ONLY manual trade journal operations
+ * - Offer CRUD, partial fills, cancellations and P&L reports
+ */
+
+const express = require('express');
+const { getControllerFactory } = require('../factories/ControllerFactory');
+const { ValidationMiddleware } = require('../middleware/ValidationMiddleware');
+const { ErrorHandler } = require('../middleware/ErrorHandler');
+const { AppConstants } = require('../config/AppConstants');
+const { ROLLUP_PERIODS } = require('../services/journal/JournalAccounting');
+
+const router = express.Router();
+
+// Context7 Pattern: Use ControllerFactory for proper dependency injection
+const controllerFactory = getControllerFactory();
+const tradeJournalController = controllerFactory.createTradeJournalController();
+const validationMiddleware = new ValidationMiddleware();
+const errorHandler = new ErrorHandler();
+
+// Context7 Pattern: Apply journal-specific middleware
+router.use(validationMiddleware.requestTracking());
+router.use(validationMiddleware.performanceMonitoring());
+
+const priceRule = { type: 'number', min: AppConstants.OSRS.MIN_PRICE, max: AppConstants.OSRS.MAX_PRICE };
+const entryIdParams = {
+  params: {
+    entryId: { type: 'string', required: true }
+  }
+};
+const reportQuery = {
+  userId: { type: 'string', optional: true },
+  itemId: { type: 'string', optional: true },
+  since: { type: 'string', optional: true }, // ISO timestamp or epoch ms
+  until: { type: 'string', optional: true }
+};
+
+/**
+ * Context7 Pattern: POST /api/journal
+ * Record a GE offer, optionally with fills already completed
+ */
+router.post(
+  '/',
+  validationMiddleware.validate({
+    body: {
+      itemId: {
+        type: 'number',
+        required: true,
+        min: AppConstants.OSRS.MIN_ITEM_ID,
+        max: AppConstants.OSRS.MAX_ITEM_ID
+      },
+      side: { type: 'string', required: true, enum: ['buy', 'sell'] },
+      offerPrice: { ...priceRule, required: true },
+      quantity: { type: 'integer', required: true, min: 1 },
+      placedAt: { type: 'string', optional: true },
+      notes: { type: 'string', optional: true, maxLength: 1000 },
+      userId: { type: 'string', optional: true },
+      fills: {
+        type: 'array',
+        optional: true,
+        maxLength: 100,
+        custom: (fills) => fills.every(fill => Number.isInteger(fill?.quantity) && fill.quantity > 0 && fill.price > 0) ||
+          'fills must have a positive integer quantity and a positive price'
+      }
+    }
+  }),
+  errorHandler.asyncHandler(tradeJournalController.createEntry)
+);
+
+/**
+ * Context7 Pattern: GET /api/journal
+ * List journal entries, newest first
+ */
+router.get(
+  '/',
+  validationMiddleware.validate({
+    query: {
+      ...reportQuery,
+      side: { type: 'string', optional: true, enum: ['buy', 'sell'] },
+      status: { type: 'string', optional: true, enum: ['open', 'partially_filled', 'filled', 'cancelled'] },
+      limit: { type: 'string', optional: true },
+      offset: { type: 'string', optional: true }
+    }
+  }),
+  errorHandler.asyncHandler(tradeJournalController.getEntries)
+);
+
+/**
+ * Context7 Pattern: GET /api/journal/summary
+ * Realized and unrealized P&L, tax paid and open positions
+ */
+router.get(
+  '/summary',
+  validationMiddleware.validate({ query: reportQuery }),
+  errorHandler.asyncHandler(tradeJournalController.getSummary)
+);
+
+/**
+ * Context7 Pattern: GET /api/journal/rollups
+ * Realized P&L per UTC day or ISO week
+ */
+router.get(
+  '/rollups',
+  validationMiddleware.validate({
+    query: {
+      ...reportQuery,
+      period: { type: 'string', optional: true, enum: ROLLUP_PERIODS }
+    }
+  }),
+  errorHandler.asyncHandler(tradeJournalController.getRollups)
+);
+
+/**
+ * Context7 Pattern: GET /api/journal/:entryId
+ * Single journal entry with its fills
+ */
+router.get(
+  '/:entryId',
+  validationMiddleware.validate(entryIdParams),
+  errorHandler.asyncHandler(tradeJournalController.getEntry)
+);
+
+/**
+ * Context7 Pattern: PUT /api/journal/:entryId
+ * Edit offer price, quantity or notes
+ */
+router.put(
+  '/:entryId',
+  validationMiddleware.validate({
+    ...entryIdParams,
+    body: {
+      offerPrice: { ...priceRule, optional: true },
+      quantity: { type: 'integer', optional: true, min: 1 },
+      notes: { type: 'string', optional: true, maxLength: 1000 },
+      userId: { type: 'string', optional: true }
+    }
+  }),
+  errorHandler.asyncHandler(tradeJournalController.updateEntry)
+);
+
+/**
+ * Context7 Pattern: DELETE /api/journal/:entryId
+ * Delete an entry and the buy-limit usage it recorded
+ */
+router.delete(
+  '/:entryId',
+  validationMiddleware.validate(entryIdParams),
+  errorHandler.asyncHandler(tradeJournalController.deleteEntry)
+);
+
+/**
+ * Context7 Pattern: POST /api/journal/:entryId/fills
+ * Record a (partial) fill; sells are charged GE tax
+ */
+router.post(
+  '/:entryId/fills',
+  validationMiddleware.validate({
+    ...entryIdParams,
+    body: {
+      quantity: { type: 'integer', required: true, min: 1 },
+      price: { ...priceRule, required: true },
+      filledAt: { type: 'string', optional: true },
+      userId: { type: 'string', optional: true }
+    }
+  }),
+  errorHandler.asyncHandler(tradeJournalController.addFill)
+);
+
+/**
+ * Context7 Pattern: POST /api/journal/:entryId/cancel
+ * Cancel the unfilled remainder of an offer
+ */
+router.post(
+  '/:entryId/cancel',
+  validationMiddleware.validate({
+    ...entryIdParams,
+    body: {
+      userId: { type: 'string', optional: true }
+    }
+  }),
+  errorHandler.asyncHandler(tradeJournalController.cancelEntry)
+);
+
+module.exports = router;
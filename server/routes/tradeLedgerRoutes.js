@@ -0,0 +1,125 @@
+/**
+ * 🧾 Trade Ledger Routes - Context7 Optimized
+ *
+ * Context7 Pattern: Single Responsibility Route Module
+ * - SOLID: Single Responsibility Principle (SRP) - ONLY fill ledger operations
+ * - Buy fills feed the rolling 4-hour GE buy-limit windows
+ */
+
+const express = require('express');
+const { getControllerFactory } = require('../factories/ControllerFactory');
+const { ValidationMiddleware } = require('../middleware/ValidationMiddleware');
+const { ErrorHandler } = require('../middleware/ErrorHandler');
+const { AppConstants } = require('../config/AppConstants');
+
+const router = express.Router();
+
+// Context7 Pattern: Use ControllerFactory for proper dependency injection
+const controllerFactory = getControllerFactory();
+const tradeLedgerController = controllerFactory.createTradeLedgerController();
+const validationMiddleware = new ValidationMiddleware();
+const errorHandler = new ErrorHandler();
+
+// Context7 Pattern: Apply ledger-specific middleware
+router.use(validationMiddleware.requestTracking());
+router.use(validationMiddleware.performanceMonitoring());
+
+const itemIdRule = {
+  custom: (value) => {
+    const itemId = Number(value);
+    return (Number.isInteger(itemId) && itemId >= AppConstants.OSRS.MIN_ITEM_ID && itemId <= AppConstants.OSRS.MAX_ITEM_ID) ||
+      'itemId must be a valid item ID';
+  }
+};
+
+/**
+ * Context7 Pattern: POST /api/ledger/fills
+ * Record a buy or sell fill
+ */
+router.post(
+  '/fills',
+  validationMiddleware.validate({
+    body: {
+      itemId: { type: 'number', required: true, ...itemIdRule },
+      side: { type: 'string', required: true, enum: ['buy', 'sell'] },
+      quantity: { type: 'integer', required: true, min: 1 },
+      price: { type: 'number', required: true, min: 1 },
+      filledAt: { type: 'string', optional: true }, // ISO timestamp or epoch ms
+      source: { type: 'string', optional: true, enum: ['manual', 'api'] },
+      userId: { type: 'string', optional: true },
+      notes: { type: 'string', optional: true, maxLength: 500 }
+    }
+  }),
+  errorHandler.asyncHandler(tradeLedgerController.recordFill)
+);
+
+/**
+ * Context7 Pattern: GET /api/ledger/fills
+ * List fills, newest first
+ */
+router.get(
+  '/fills',
+  validationMiddleware.validate({
+    query: {
+      userId: { type: 'string', optional: true },
+      itemId: { type: 'string', optional: true, ...itemIdRule },
+      side: { type: 'string', optional: true, enum: ['buy', 'sell'] },
+      since: { type: 'string', optional: true },
+      until: { type: 'string', optional: true },
+      limit: { type: 'string', optional: true }
+    }
+  }),
+  errorHandler.asyncHandler(tradeLedgerController.getFills)
+);
+
+/**
+ * Context7 Pattern: DELETE /api/ledger/fills/:fillId
+ * Remove a mistaken fill
+ */
+router.delete(
+  '/fills/:fillId',
+  validationMiddleware.validate({
+    params: {
+      fillId: { type: 'string', required: true }
+    }
+  }),
+  errorHandler.asyncHandler(tradeLedgerController.deleteFill)
+);
+
+/**
+ * Context7 Pattern: GET /api/ledger/buy-limits
+ * Remaining buy-limit quantity and reset times (itemIds=comma list, default: items bought in the window)
+ */
+router.get(
+  '/buy-limits',
+  validationMiddleware.validate({
+    query: {
+      userId: { type: 'string', optional: true },
+      itemIds: {
+        type: 'string',
+        optional: true,
+        custom: (ids) => ids.split(',').length <= 100 || 'itemIds accepts at most 100 items'
+      }
+    }
+  }),
+  errorHandler.asyncHandler(tradeLedgerController.getBuyLimits)
+);
+
+/**
+ * Context7 Pattern: GET /api/ledger/buy-limits/:itemId
+ * Remaining buy-limit quantity and reset time for one item
+ */
+router.get(
+  '/buy-limits/:itemId',
+  validationMiddleware.validate({
+    params: {
+      itemId: { type: 'string', required: true, ...itemIdRule }
+    },
+    query: {
+      userId: { type: 'string', optional: true }
+    }
+  }),
+  errorHandler.asyncHandler(tradeLedgerController.getBuyLimit)
+);
+
+module.exports = router;
@@ -6,6 +6,7 @@
  */
 
 const { OSRSDataScraperService } = require('./services/OSRSDataScraperService');
+const { AppConstants } = require('./config/AppConstants');
 
 async function scrapeAllHistoricalData() {
   console.log('🏺 Starting comprehensive 6-month historical data scraping for ALL items...');
@@ -19,12 +20,9 @@ async function scrapeAllHistoricalData() {
 
     // First get the list of all items from top 100 lists
     console.log('📊 Getting all items from top 100 lists...');
-    const allCategories = [
-      { name: 'mostTraded', listId: 0 },
-      { name: 'greatestRise', listId: 1 },
-      { name: 'mostValuable', listId: 2 },
-      { name: 'greatestFall', listId: 3 }
-    ];
+    // Fetched from OSRS_GE_BASE_URL, so the bundled mock server can stand in for the GE
+    const allCategories = Object.entries(AppConstants.EXTERNAL_API.OSRS_GE.TOP100_LISTS)
+      .map(([name, listId]) => ({ name, listId }));
 
     const allItems = [];
 
@@ -32,10 +30,7 @@ async function scrapeAllHistoricalData() {
     for (const category of allCategories) {
       console.log(`📈 Getting items from ${category.name}...`);
       try {
-        const categoryItems = await scraperService.scrapeCategoryList(
-          `https://secure.runescape.com/m=itemdb_oldschool/top100?list=${category.listId}&scale=3`,
-          category.name
-        );
+        const categoryItems = await scraperService.scrapeCategoryList(category.name);
 
         // Add category info to each item
         const itemsWithCategory = categoryItems.map(item => ({
@@ -105,7 +100,7 @@ async function scrapeAllHistoricalData() {
           console.log(`📊 [${overallIndex}/${itemsToScrape.length}] Scraping ${item.name} (ID: ${item.itemId})...`);
 
           // Scrape individual item page for 6-month historical data
-          const itemHistoricalData = await scraperService.scrapeIndividualItemPage(item.itemId, item.name);
+          const itemHistoricalData = await scraperService.scrapeIndividualItemPage(item.itemId);
 
           if (itemHistoricalData && itemHistoricalData.length > 0) {
             // Add item metadata to each historical data point
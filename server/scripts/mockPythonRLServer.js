@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * 🧪 Mock Python RL API Script - Context7 Development Tool
+ *
+ * Context7 Pattern: Command-Line Script for offline development
+ * - Starts the bundled mock Python RL API (mocks/pythonRL/MockPythonRLServer.js)
+ * - Run the backend with the printed PYTHON_RL_SERVICE_URL to use AI sessions without the Python service
+ *
+ * Usage: npm run mock:python-rl -- [--port 8000] [--model-id mock-dqn-1.0.0]
+ * Environment equivalents: MOCK_PYTHON_RL_PORT, MOCK_PYTHON_RL_MODEL_ID
+ */
+
+const { MockPythonRLServer } = require('../mocks/pythonRL/MockPythonRLServer');
+
+function parseArguments(argv = process.argv.slice(2)) {
+  const args = {
+    port: parseInt(process.env.MOCK_PYTHON_RL_PORT) || 8000,
+    modelId: process.env.MOCK_PYTHON_RL_MODEL_ID || 'mock-dqn-1.0.0'
+  };
+
+  for (let i = 0; i < argv.length; i += 2) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+    case '--port':
+      args.port = parseInt(value);
+      break;
+    case '--model-id':
+      args.modelId = value;
+      break;
+    default:
+      console.warn(`⚠️ Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArguments();
+  const mockServer = new MockPythonRLServer({ modelId: args.modelId });
+
+  const baseURL = await mockServer.start(args.port);
+
+  console.log('🧪 Mock Python RL API running');
+  console.log(`   Start the backend with: PYTHON_RL_SERVICE_URL=${baseURL} npm run dev`);
+  console.log(`   Fault injection: POST ${baseURL}/__mock/outage {"durationMs": 60000}`);
+
+  const shutdown = async() => {
+    await mockServer.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('❌ Mock Python RL API failed to start:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArguments };
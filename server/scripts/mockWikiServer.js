@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * 🧪 Mock Wiki API Script - Context7 Development Tool
+ *
+ * Context7 Pattern: Command-Line Script for offline development
+ * - Starts the bundled mock OSRS Wiki price API (mocks/wiki/MockWikiServer.js)
+ * - Run the backend and scraper with the printed OSRS_WIKI_BASE_URL and OSRS_GE_BASE_URL to work
+ *   without network access
+ *
+ * Usage: npm run mock:wiki -- [--port 3900] [--seed 1337] [--drift 2] [--rate-limit 60] [--outage-rate 0.05]
+ * Environment equivalents: MOCK_WIKI_PORT, MOCK_WIKI_SEED, MOCK_WIKI_DRIFT, MOCK_WIKI_RATE_LIMIT, MOCK_WIKI_OUTAGE_RATE
+ */
+
+const { MockWikiServer } = require('../mocks/wiki/MockWikiServer');
+
+function parseArguments(argv = process.argv.slice(2)) {
+  const args = {
+    port: parseInt(process.env.MOCK_WIKI_PORT) || 3900,
+    seed: parseInt(process.env.MOCK_WIKI_SEED) || 1337,
+    drift: parseFloat(process.env.MOCK_WIKI_DRIFT ?? 2),
+    rateLimit: parseInt(process.env.MOCK_WIKI_RATE_LIMIT) || 0,
+    outageRate: parseFloat(process.env.MOCK_WIKI_OUTAGE_RATE) || 0
+  };
+
+  for (let i = 0; i < argv.length; i += 2) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+    case '--port':
+      args.port = parseInt(value);
+      break;
+    case '--seed':
+      args.seed = parseInt(value);
+      break;
+    case '--drift':
+      args.drift = parseFloat(value);
+      break;
+    case '--rate-limit':
+      args.rateLimit = parseInt(value);
+      break;
+    case '--outage-rate':
+      args.outageRate = parseFloat(value);
+      break;
+    default:
+      console.warn(`⚠️ Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArguments();
+  const mockServer = new MockWikiServer({
+    seed: args.seed,
+    driftPercent: args.drift,
+    rateLimit: { max: args.rateLimit },
+    outageRate: args.outageRate
+  });
+
+  const baseURL = await mockServer.start(args.port);
+
+  console.log('🧪 Mock OSRS Wiki API running');
+  console.log(`   Start the backend with: OSRS_WIKI_BASE_URL=${baseURL} OSRS_GE_BASE_URL=${mockServer.geBaseURL} npm run dev`);
+  console.log(`   Fault injection: POST http://127.0.0.1:${args.port}/__mock/outage {"durationMs": 60000}`);
+
+  const shutdown = async() => {
+    await mockServer.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('❌ Mock Wiki API failed to start:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArguments };
@@ -19,11 +19,18 @@
  * - Extracted: TradingSessionService, TradingDecisionService, TradingLearningService
  */
 
+const mongoose = require('mongoose');
 const { BaseService } = require('./BaseService');
-const { TradingSessionService } = require('./ai/TradingSessionService');
+const { getTradingSessionService } = require('./ai/TradingSessionService');
 const { TradingDecisionService } = require('./ai/TradingDecisionService');
 const { TradingLearningService } = require('./ai/TradingLearningService');
 const { PythonRLClientService } = require('./PythonRLClientService');
+const { InferenceRouterService } = require('./ai/inference/InferenceRouterService');
+const { PythonInferenceBackend } = require('./ai/inference/PythonInferenceBackend');
+const { LocalInferenceBackend } = require('./ai/inference/LocalInferenceBackend');
+const { NeuralTradingAgentService } = require('./NeuralTradingAgentService');
+const { getModelRegistryService } = require('./ai/ModelRegistryService');
+const { ErrorHandler } = require('../middleware/ErrorHandler');
 
 class AITradingOrchestratorService extends BaseService {
   constructor(dependencies = {}) {
@@ -35,14 +42,29 @@ class AITradingOrchestratorService extends BaseService {
     });
 
     // SOLID: Dependency Injection (DIP)
-    this.sessionService = dependencies.sessionService || new TradingSessionService();
+    // One Python client, so inference and training share its circuit breaker
+    this.pythonClient = dependencies.pythonClient || new PythonRLClientService();
+    // Both backends follow the registry's production model
+    this.neuralAgent = dependencies.neuralAgent || new NeuralTradingAgentService();
+    this.modelRegistry = dependencies.modelRegistry || getModelRegistryService();
+    this.pythonBackend = new PythonInferenceBackend({ client: this.pythonClient, registry: this.modelRegistry });
+    this.localBackend = new LocalInferenceBackend({ agent: this.neuralAgent, registry: this.modelRegistry });
+    this.inferenceRouter = dependencies.inferenceRouter || new InferenceRouterService({
+      pythonClient: this.pythonClient,
+      backends: [this.pythonBackend, this.localBackend]
+    });
+
+    // Shared store, so every orchestrator sees every running session
+    this.sessionService = dependencies.sessionService || getTradingSessionService();
     this.decisionService = dependencies.decisionService || new TradingDecisionService({
-      aiModel: dependencies.aiModel || new PythonRLClientService(),
+      aiModel: dependencies.aiModel || this.inferenceRouter,
       financialCalculator: dependencies.financialCalculator
     });
     this.learningService = dependencies.learningService || new TradingLearningService({
-      aiModel: dependencies.aiModel || new PythonRLClientService(),
-      sessionService: this.sessionService
+      aiModel: dependencies.aiModel || this.pythonClient,
+      localModel: this.localBackend,
+      sessionService: this.sessionService,
+      rewardFunction: dependencies.rewardFunction
     });
 
     // Configuration
@@ -61,11 +83,18 @@ class AITradingOrchestratorService extends BaseService {
 
   /**
    * SOLID: Start trading session - Delegates to SessionService
+   * The session stores this orchestrator's adaptive config and model pin, so it can be resumed
+   * @param {Object} config - Decision criteria, merged over the defaults
+   * @param {Object} options - { sessionName, networkConfig, createdBy }
    */
-  async startTradingSession() {
+  async startTradingSession(config = {}, options = {}) {
     return this.execute(async() => {
       const sessionConfig = { ...this.defaultConfig, ...config };
-      const session = this.sessionService.createSession(sessionConfig);
+      const session = await this.sessionService.createSession(sessionConfig, {
+        ...options,
+        adaptiveConfig: this.getAdaptiveConfig(),
+        modelId: this.localBackend.pinnedModelId
+      });
 
       this.logger.info('Trading session started', {
         sessionId: session.id,
@@ -74,44 +103,92 @@ class AITradingOrchestratorService extends BaseService {
 
       return {
         sessionId: session.id,
-        status: 'ACTIVE',
+        status: session.status,
         config: sessionConfig,
+        adaptiveConfig: session.adaptiveConfig,
         startTime: session.startTime
       };
     }, 'startTradingSession', { logSuccess: true });
   }
 
   /**
-   * SOLID: Process market data - Delegates to DecisionService
+   * Resume a stored session after a restart: adaptive config and reward function, replay
+   * memory, learning metrics and model pin. Reward functions that keep state across trades
+   * (sharpe_like, drawdown_penalised) start that state afresh.
+   * @returns {Promise<Object|null>} Session, or null when it does not exist
    */
-  async processMarketData() {
+  async restoreSession(sessionId) {
     return this.execute(async() => {
-      // Get session configuration
-      const session = this.sessionService.getSession(sessionId);
+      const session = await this.sessionService.loadSession(sessionId);
       if (!session) {
-        throw new Error(`Session ${sessionId} not found`);
+        return null;
       }
 
+      this.setAdaptiveConfig(session.adaptiveConfig);
+      const experiences = await this.sessionService.loadReplayMemory(
+        sessionId,
+        this.learningService.learningConfig.maxMemorySize
+      );
+      this.learningService.restoreLearningState(experiences, session.learningMetrics);
+
+      if (session.modelId) {
+        try {
+          await this.pinModel(session.modelId);
+        } catch (error) {
+          this.logger.warn('Pinned model unavailable, following the production model', {
+            sessionId,
+            modelId: session.modelId,
+            error: error.message
+          });
+          await this.pinModel(null);
+        }
+      }
+
+      this.logger.info('Trading session restored', {
+        sessionId,
+        status: session.status,
+        experiences: experiences.length
+      });
+
+      return session;
+    }, 'restoreSession', { logSuccess: true });
+  }
+
+  /**
+   * SOLID: Process market data - Delegates to DecisionService
+   * Decisions are stored with their input features before they are returned
+   */
+  async processMarketData(sessionId, items) {
+    // Checked outside execute() so the 404/409 status reaches the client
+    const session = this.sessionService.requireSession(sessionId);
+    if (session.status !== 'TRAINING') {
+      throw ErrorHandler.createError(`Session ${sessionId} is ${session.status.toLowerCase()}`, 409);
+    }
+
+    return this.execute(async() => {
+      const startTime = Date.now();
+
       // Process market data and make decisions
-      const result = await this.decisionService.processMarketData(items, session.config);
+      const decisions = await this.decisionService.processMarketData(items, session.config);
+      const recorded = await this.sessionService.recordDecisions(sessionId, decisions);
 
       // Update session metrics
-      this.sessionService.updateSessionMetrics(sessionId, {
+      await this.sessionService.updateSessionMetrics(sessionId, {
         episodeCount: (session.metrics.episodeCount || 0) + 1,
-        lastProcessingTime: result.metadata.processingTime,
-        lastDecisionCount: result.decisions.length
+        totalDecisions: (session.metrics.totalDecisions || 0) + recorded.length,
+        lastProcessingTime: Date.now() - startTime,
+        lastDecisionCount: recorded.length
       });
 
       this.logger.info('Market data processed', {
         sessionId,
-        decisions: result.decisions.length,
-        processingTime: result.metadata.processingTime
+        decisions: recorded.length,
+        processingTime: session.metrics.lastProcessingTime
       });
 
       return {
         sessionId,
-        decisions: result.decisions,
-        metadata: result.metadata,
+        decisions: recorded,
         sessionMetrics: session.metrics
       };
     }, 'processMarketData', { logSuccess: true });
@@ -119,32 +196,46 @@ class AITradingOrchestratorService extends BaseService {
 
   /**
    * SOLID: Execute trading decision
+   * The outcome is attached to the stored decision and its experience added to the replay memory
+   * @param {Object} decision - A decision from processMarketData(), with its decisionId
    */
-  async executeTradingDecision() {
-    return this.execute(async() => {
-      const session = this.sessionService.getSession(sessionId);
-      if (!session) {
-        throw new Error(`Session ${sessionId} not found`);
-      }
-
-      // Validate decision
-      const validation = this.decisionService.validateDecision(decision);
-      if (!validation.isValid) {
-        throw new Error(`Invalid decision: ${validation.errors.join(', ')}`);
-      }
+  async executeTradingDecision(sessionId, decision) {
+    // Checked outside execute() so the 404/400 status reaches the client
+    const session = this.sessionService.requireSession(sessionId);
+    const validation = this.decisionService.validateDecision(decision);
+    if (!validation.isValid) {
+      throw ErrorHandler.createValidationError(`Invalid decision: ${validation.errors.join(', ')}`, validation.validations);
+    }
+    if (decision.decisionId && !mongoose.isValidObjectId(decision.decisionId)) {
+      throw ErrorHandler.createValidationError('Invalid decisionId', { decisionId: decision.decisionId });
+    }
 
+    return this.execute(async() => {
       // Execute the trade (simplified - would integrate with actual trading system)
       const tradeResult = await this.simulateTradeExecution(decision);
 
       // Record outcome for learning
-      this.learningService.recordTradeOutcome(decision, tradeResult);
+      const experience = await this.learningService.recordTradeOutcome(decision, tradeResult);
+      if (decision.decisionId) {
+        await this.sessionService.recordOutcome(sessionId, decision.decisionId, tradeResult, experience.reward);
+      }
+      await this.sessionService.recordExperience(
+        sessionId,
+        experience,
+        decision.decisionId,
+        this.learningService.learningConfig.maxMemorySize
+      );
 
       // Update session metrics
-      this.sessionService.updateSessionMetrics(sessionId, {
-        totalTrades: (session.metrics.totalTrades || 0) + 1,
-        totalProfit: (session.metrics.totalProfit || 0) + tradeResult.actualProfit,
-        successfulTrades: (session.metrics.successfulTrades || 0) + (tradeResult.wasSuccessful ? 1 : 0)
-      });
+      const metrics = session.metrics;
+      await this.sessionService.updateSessionMetrics(sessionId, {
+        totalTrades: (metrics.totalTrades || 0) + 1,
+        totalProfit: (metrics.totalProfit || 0) + tradeResult.actualProfit,
+        successfulTrades: (metrics.successfulTrades || 0) + (tradeResult.wasSuccessful ? 1 : 0),
+        bestReward: metrics.bestReward === null || metrics.bestReward === undefined ?
+          experience.reward :
+          Math.max(metrics.bestReward, experience.reward)
+      }, this.learningService.learningMetrics);
 
       this.logger.info('Trading decision executed', {
         sessionId,
@@ -156,6 +247,7 @@ class AITradingOrchestratorService extends BaseService {
       return {
         decision,
         result: tradeResult,
+        reward: experience.reward,
         sessionId,
         executedAt: new Date()
       };
@@ -165,27 +257,37 @@ class AITradingOrchestratorService extends BaseService {
   /**
    * SOLID: Get session status - Delegates to SessionService
    */
-  getSessionStatus(sessionId) {
-    this.execute(async() => {
-      const session = this.sessionService.getSession(sessionId);
-      if (!session) {
-        throw new Error(`Session ${sessionId} not found`);
-      }
+  async getSessionStatus(sessionId) {
+    const session = this.sessionService.requireSession(sessionId);
+    const learningMetrics = this.learningService.getLearningMetrics();
 
-      const learningMetrics = this.learningService.getLearningMetrics();
+    return {
+      session: this.sessionService.getSessionSummary(sessionId),
+      learning: learningMetrics,
+      performance: this.calculatePerformanceMetrics(session, learningMetrics)
+    };
+  }
 
-      return {
-        session: this.sessionService.getSessionSummary(sessionId),
-        learning: learningMetrics,
-        performance: this.calculatePerformanceMetrics(session, learningMetrics)
-      };
-    }, 'operation', { logSuccess: false });
+  /**
+   * Pause or resume a session; paused sessions make no decisions but survive restarts
+   * @param {string} status - 'PAUSED' or 'TRAINING'
+   */
+  async setSessionStatus(sessionId, status) {
+    this.sessionService.requireSession(sessionId);
+
+    return this.execute(async() => {
+      const session = await this.sessionService.updateSession(sessionId, { status });
+      this.logger.info('Trading session status changed', { sessionId, status });
+      return { sessionId, status: session.status };
+    }, 'setSessionStatus');
   }
 
   /**
    * SOLID: Stop trading session - Delegates to SessionService
    */
-  async stopTradingSession() {
+  async stopTradingSession(sessionId, reason = 'stopped') {
+    this.sessionService.requireSession(sessionId);
+
     return this.execute(async() => {
       const finalSession = await this.sessionService.endSession(sessionId, reason);
 
@@ -197,14 +299,34 @@ class AITradingOrchestratorService extends BaseService {
 
       return {
         sessionId,
-        status: 'COMPLETED',
+        status: finalSession.status,
         reason,
         finalMetrics: finalSession.metrics,
+        learningMetrics: finalSession.learningMetrics,
         endTime: finalSession.endTime
       };
     }, 'stopTradingSession', { logSuccess: true });
   }
 
+  /**
+   * Update a session's adaptive settings and store them with the session. Switching reward
+   * function also deletes the stored replay memory, as it clears the in-memory one.
+   * @throws {Error} 400 error for an invalid reward function; nothing is changed in that case
+   */
+  async updateAdaptiveConfig(sessionId, config = {}) {
+    this.sessionService.requireSession(sessionId);
+    this.setAdaptiveConfig(config);
+
+    return this.execute(async() => {
+      if (config.rewardFunction) {
+        await this.sessionService.clearReplayMemory(sessionId);
+      }
+      const adaptiveConfig = this.getAdaptiveConfig();
+      await this.sessionService.updateSession(sessionId, { adaptiveConfig });
+      return adaptiveConfig;
+    }, 'updateAdaptiveConfig');
+  }
+
   /**
    * SOLID: Get learning metrics - Delegates to LearningService
    */
@@ -228,6 +350,76 @@ class AITradingOrchestratorService extends BaseService {
     }, 'forceLearningUpdate', { logSuccess: true });
   }
 
+  /**
+   * Update adaptive learning settings
+   * @param {Object} config - Learning settings, plus rewardFunction ({ name, version, params }) to switch reward plugin
+   * @throws {Error} 400 error for an invalid reward function; nothing is changed in that case
+   */
+  setAdaptiveConfig(config = {}) {
+    const { rewardFunction, ...learningConfig } = config;
+    if (rewardFunction) {
+      this.learningService.setRewardFunction(rewardFunction);
+    }
+    Object.assign(this.learningService.learningConfig, learningConfig);
+  }
+
+  /**
+   * Current adaptive learning settings and reward definition
+   */
+  getAdaptiveConfig() {
+    return {
+      ...this.learningService.learningConfig,
+      rewardFunction: this.learningService.getRewardDefinition()
+    };
+  }
+
+  /**
+   * Register the in-process agent's current weights in the model registry (status 'testing'),
+   * together with the reward definition it was trained on. The Python RL service saves its
+   * model under the same modelId, so both backends can load it once promoted.
+   * @param {Object} options - NeuralTradingAgentService.saveModel() options
+   * @returns {Promise<Object>} Saved model metadata, plus pythonSaved
+   */
+  async saveModel(options = {}) {
+    const model = await this.neuralAgent.saveModel({
+      rewardFunction: this.learningService.getRewardDefinition(),
+      ...options
+    });
+
+    let pythonSaved = false;
+    try {
+      pythonSaved = (await this.pythonClient.saveModel(model.modelId)).success;
+    } catch (error) {
+      this.logger.warn('Python RL service did not save the model; it will serve it from the local agent', {
+        modelId: model.modelId,
+        error: error.message
+      });
+    }
+    return { ...model, pythonSaved };
+  }
+
+  /**
+   * Pin both inference backends to a registered model; null follows the production model again
+   * @param {string|null} sessionId - Session to store the pin with, so it survives restarts
+   * @returns {Promise<Object|null>} Loaded model { modelId, version }
+   */
+  async loadModel(modelId, sessionId = null) {
+    const model = await this.pinModel(modelId);
+    if (sessionId) {
+      await this.sessionService.updateSession(sessionId, { modelId: modelId || null });
+    }
+    return model;
+  }
+
+  /**
+   * Pin the local agent first, so a model that does not load leaves the Python pin unchanged
+   */
+  async pinModel(modelId) {
+    const model = await this.localBackend.pinModel(modelId);
+    this.pythonBackend.pinModel(modelId);
+    return model;
+  }
+
   /**
    * Get all active sessions
    */
@@ -253,6 +445,7 @@ class AITradingOrchestratorService extends BaseService {
       activeSessions: activeSessions.length,
       sessions: activeSessions,
       learning: learningMetrics,
+      inference: this.inferenceRouter.getStatus(),
       uptime: Date.now() - this.startTime,
       lastUpdate: new Date()
     };
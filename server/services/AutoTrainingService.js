@@ -12,8 +12,10 @@
 const { BaseService } = require('./BaseService');
 const { DataCollectionService } = require('./DataCollectionService');
 const { AITradingOrchestratorService } = require('./AITradingOrchestratorService');
-const { MongoDataPersistence } = require('./mongoDataPersistence');
+const MongoDataPersistence = require('./mongoDataPersistence');
 const { FinancialCalculationService } = require('./consolidated/FinancialCalculationService');
+const { getDataQualityService } = require('./quality/DataQualityService');
+const { getModelRegistryService } = require('./ai/ModelRegistryService');
 const TimeConstants = require('../utils/TimeConstants');
 
 class AutoTrainingService extends BaseService {
@@ -77,6 +79,9 @@ class AutoTrainingService extends BaseService {
     this.mongoPersistence = null;
     this.trainingMetrics = new Map(); // Initialize training metrics storage
     this.financialCalculator = new FinancialCalculationService();
+    this.dataQualityService = config.dataQualityService || getDataQualityService();
+    this.modelRegistry = config.modelRegistry || getModelRegistryService();
+    this.productionModel = null;
 
     this.logger.info('🔄 Auto Training Service initialized', {
       enableAutoTraining: this.config.training.enableAutoTraining,
@@ -104,14 +109,16 @@ class AutoTrainingService extends BaseService {
       this.dataCollector = new DataCollectionService(this.config.dataCollection);
       await this.dataCollector.startCollection();
 
-      // Initialize AI orchestrator
-      this.aiOrchestrator = new AITradingOrchestratorService(
-        this.config.neuralNetwork,
-        this.config.adaptiveLearning
-      );
+      // Initialize AI orchestrator; training continues from the production model, not the last one loaded
+      this.aiOrchestrator = new AITradingOrchestratorService({ modelRegistry: this.modelRegistry });
+      this.productionModel = await this.modelRegistry.loadProductionModel(this.aiOrchestrator.neuralAgent);
 
       // Start AI training session
-      this.sessionId = this.aiOrchestrator.startLearningSession();
+      const session = await this.aiOrchestrator.startTradingSession({}, {
+        sessionName: 'Auto training',
+        createdBy: 'auto-training'
+      });
+      this.sessionId = session.sessionId;
 
       // Set up automated training loop
       if (this.config.training.enableAutoTraining) {
@@ -127,6 +134,7 @@ class AutoTrainingService extends BaseService {
       this.isRunning = true;
       this.logger.info('Auto training service started successfully', {
         sessionId: this.sessionId,
+        modelId: this.productionModel?.modelId || null,
         autoTraining: this.config.training.enableAutoTraining,
         interval: this.config.training.trainingInterval
       });
@@ -135,6 +143,7 @@ class AutoTrainingService extends BaseService {
         success: true,
         sessionId: this.sessionId,
         isRunning: this.isRunning,
+        model: this.productionModel,
         config: this.config.training
       };
     }, 'start', { logSuccess: true });
@@ -143,7 +152,7 @@ class AutoTrainingService extends BaseService {
   /**
    * Context7 Pattern: Stop the automated training service
    */
-  stop() {
+  async stop() {
     if (!this.isRunning) {
       this.logger.warn('⚠️ Auto training service is not running');
       return;
@@ -165,7 +174,7 @@ class AutoTrainingService extends BaseService {
 
       // Finish training session
       if (this.aiOrchestrator && this.sessionId) {
-        this.aiOrchestrator.finishLearningSession();
+        await this.aiOrchestrator.stopTradingSession(this.sessionId, 'auto_training_stopped');
         this.sessionId = null;
       }
 
@@ -223,7 +232,7 @@ class AutoTrainingService extends BaseService {
         const batch = selectedItems.slice(i, i + batchSize);
 
         try {
-          await this.aiOrchestrator.processMarketData(batch);
+          await this.aiOrchestrator.processMarketData(this.sessionId, batch);
           processedBatches++;
 
           // Small delay between batches to prevent API rate limiting
@@ -237,6 +246,7 @@ class AutoTrainingService extends BaseService {
         }
       }
 
+      this.lastTrainingCycle = Date.now();
       this.logger.info('Training cycle completed', {
         totalItems: selectedItems.length,
         processedBatches,
@@ -384,58 +394,49 @@ if (!this.mongoPersistence) {
 
   /**
    * Context7 Pattern: Assess data quality
+   * Graded from the 5m snapshot coverage report, so outage and no-trade gaps both count
+   * @returns {Promise<string>} EXCELLENT | GOOD | FAIR | POOR | NO_DATA
    */
-  assessDataQuality() {
-    if (!this.dataCollector) {
-      return 'NO_DATA';
-    }
+  async assessDataQuality() {
+    const report = await this.dataQualityService.getCoverageReport({ interval: '5m', limit: 0 });
+    return report.summary.grade;
+  }
 
-    const latestData = this.dataCollector.getLatestData();
-    if (!latestData) {
-      return 'NO_DATA';
+  /**
+   * Context7 Pattern: Performance of the training session
+   * @returns {Promise<Object|null>} Orchestrator performance metrics, or null before the first trade
+   */
+  async getSessionPerformance() {
+    if (!this.aiOrchestrator || !this.sessionId) {
+      return null;
     }
 
-    const validItems = latestData.items.filter(item =>
-      item.priceData?.high && item.priceData?.low
-    ).length;
-
-    const dataQualityRatio = validItems / latestData.items.length;
-
-    if (dataQualityRatio > 0.9) {
-      return 'EXCELLENT';
-    }
-    if (dataQualityRatio > 0.7) {
-      return 'GOOD';
-    }
-    if (dataQualityRatio > 0.5) {
-      return 'FAIR';
-    }
-    return 'POOR';
+    const { session, performance } = await this.aiOrchestrator.getSessionStatus(this.sessionId);
+    return session.performance.totalTrades > 0 ? performance : null;
   }
 
   /**
    * Context7 Pattern: Assess training efficiency
+   * Graded on the session's success rate (0-1); sessions losing money per trade are POOR
+   * @returns {Promise<string>} EXCELLENT | GOOD | FAIR | POOR | NO_DATA
    */
-  assessTrainingEfficiency() {
-    if (!this.aiOrchestrator) {
+  async assessTrainingEfficiency() {
+    const performance = await this.getSessionPerformance();
+    if (!performance) {
       return 'NO_DATA';
     }
 
-    const analytics = this.aiOrchestrator.getPerformanceAnalytics();
-    if (!analytics?.overall) {
-      return 'NO_DATA';
+    const { successRate, profitability } = performance;
+    if (profitability <= 0) {
+      return 'POOR';
     }
-
-    const successRate = analytics.overall.successRate;
-    const profitFactor = analytics.overall.profitFactor;
-
-    if (successRate > 80 && profitFactor > 2) {
+    if (successRate > 0.8) {
       return 'EXCELLENT';
     }
-    if (successRate > 60 && profitFactor > 1.5) {
+    if (successRate > 0.6) {
       return 'GOOD';
     }
-    if (successRate > 40 && profitFactor > 1) {
+    if (successRate > 0.4) {
       return 'FAIR';
     }
     return 'POOR';
@@ -444,30 +445,30 @@ if (!this.mongoPersistence) {
   /**
    * Context7 Pattern: Generate recommendations
    */
-  generateRecommendations() {
+  async generateRecommendations() {
     const recommendations = [];
 
     try {
-      const analytics = this.aiOrchestrator?.getPerformanceAnalytics();
+      const performance = await this.getSessionPerformance();
 
-      if (analytics?.overall) {
-        if (analytics.overall.successRate < 50) {
+      if (performance) {
+        if (performance.successRate < 0.5) {
           recommendations.push('Consider increasing exploration rate (epsilon)');
           recommendations.push('Review item selection criteria');
         }
 
-        if (analytics.overall.profitFactor < 1) {
+        if (performance.profitability <= 0) {
           recommendations.push('Adjust risk management parameters');
           recommendations.push('Focus on higher spread items');
         }
 
-        if (analytics.overall.averageProfit < 1000) {
+        if (performance.profitability < 1000) {
           recommendations.push('Consider increasing minimum price thresholds');
           recommendations.push('Target higher value items');
         }
       }
 
-      const dataQuality = this.assessDataQuality();
+      const dataQuality = await this.assessDataQuality();
       if (dataQuality === 'POOR' || dataQuality === 'FAIR') {
         recommendations.push('Improve data collection filters');
         recommendations.push('Increase data collection frequency');
@@ -519,25 +520,27 @@ if (!this.mongoPersistence) {
   }
 
   /**
-   * Context7 Pattern: Save AI model
+   * Context7 Pattern: Register the trained model in the model registry (status 'testing')
+   * @param {Object} options - NeuralTradingAgentService.saveModel() options
    */
-  saveModel() {
+  async saveModel(options = {}) {
     if (!this.aiOrchestrator) {
       throw new Error('AI orchestrator not initialized');
     }
 
-    return this.aiOrchestrator.saveModel();
+    return this.aiOrchestrator.saveModel(options);
   }
 
   /**
-   * Context7 Pattern: Load AI model
+   * Context7 Pattern: Pin a registered model; null follows the production model again
    */
-  loadModel(modelData) {
+  async loadModel(modelId = null) {
     if (!this.aiOrchestrator) {
       throw new Error('AI orchestrator not initialized');
     }
 
-    this.aiOrchestrator.loadModel(modelData);
+    this.productionModel = await this.aiOrchestrator.loadModel(modelId);
+    return this.productionModel;
   }
 
   /**
@@ -562,6 +565,40 @@ if (!this.mongoPersistence) {
     return this.dataCollector.getItemTimeseries(itemId);
   }
 
+  /**
+   * Context7 Pattern: Get service status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      sessionId: this.sessionId,
+      model: this.productionModel,
+      training: this.config.training,
+      lastTrainingCycle: this.lastTrainingCycle || null
+    };
+  }
+
+  /**
+   * Context7 Pattern: Export status, session performance, grades and recommendations
+   * @returns {Promise<string>} JSON report
+   */
+  async exportFullReport() {
+    const [performance, dataQuality, trainingEfficiency, recommendations] = await Promise.all([
+      this.getSessionPerformance(),
+      this.assessDataQuality(),
+      this.assessTrainingEfficiency(),
+      this.generateRecommendations()
+    ]);
+
+    return JSON.stringify({
+      status: this.getStatus(),
+      performance,
+      assessment: { dataQuality, trainingEfficiency },
+      recommendations,
+      config: this.getConfig()
+    });
+  }
+
   /**
    * Context7 Pattern: Get service health status
    */
@@ -571,6 +608,7 @@ if (!this.mongoPersistence) {
       sessionId: this.sessionId,
       dataCollector: this.dataCollector ? 'INITIALIZED' : 'NOT_INITIALIZED',
       aiOrchestrator: this.aiOrchestrator ? 'INITIALIZED' : 'NOT_INITIALIZED',
+      model: this.aiOrchestrator?.neuralAgent.loadedModel || null,
       trainingInterval: this.trainingIntervalId ? 'ACTIVE' : 'INACTIVE',
       lastTrainingCycle: this.lastTrainingCycle || null
     };
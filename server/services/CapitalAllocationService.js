@@ -6,6 +6,7 @@
  * - Implements dual-mode strategy: instant flips vs patient offers
  * - Considers market conditions and user risk tolerance
  * - Optimizes capital utilization for maximum profit
+ * - Caps position sizes at the remaining GE buy limit from the trade ledger
  * - SOLID architecture with single responsibility for capital management
  *
  * Dual-Mode Strategy:
@@ -16,6 +17,7 @@
 const { BaseService } = require('./BaseService');
 const { FinancialMetricsCalculator } = require('../utils/FinancialMetricsCalculator');
 const { MarketDataService } = require('./MarketDataService');
+const { TradeLedgerService } = require('./ledger/TradeLedgerService');
 const {
   calculateProfitAfterTax,
   calculateGETax,
@@ -23,7 +25,7 @@ const {
 } = require('../utils/marketConstants');
 
 class CapitalAllocationService extends BaseService {
-  constructor(config = {}) {
+  constructor(config = {}, dependencies = {}) {
     super('CapitalAllocationService', {
       enableCache: true,
       cachePrefix: 'capital_allocation',
@@ -32,7 +34,8 @@ class CapitalAllocationService extends BaseService {
     });
 
     this.metricsCalculator = new FinancialMetricsCalculator();
-    this.marketDataService = new MarketDataService();
+    this.marketDataService = dependencies.marketDataService || new MarketDataService();
+    this.tradeLedgerService = dependencies.tradeLedgerService || new TradeLedgerService();
 
     // Default configuration
     this.config = {
@@ -85,9 +88,10 @@ class CapitalAllocationService extends BaseService {
    * @param {number} totalCapital - Total available capital
    * @param {Array} opportunities - Array of trading opportunities
    * @param {Object} marketConditions - Current market conditions
+   * @param {Object} options - { userId } whose trade ledger limits position sizes
    * @returns {Object} Capital allocation recommendations
    */
-  async allocateCapital() {
+  async allocateCapital(totalCapital, opportunities, marketConditions = {}, options = {}) {
     return this.execute(async() => {
       this.logger.debug('Starting capital allocation', {
         totalCapital,
@@ -101,6 +105,9 @@ class CapitalAllocationService extends BaseService {
       // Analyze market conditions
       const marketAnalysis = await this.analyzeMarketConditions(marketConditions);
 
+      // Remaining GE buy limits, shared by both strategies
+      const remainingBuyLimits = await this.getRemainingBuyLimits(opportunities, options.userId);
+
       // Adjust allocation based on market conditions
       const adjustedAllocation = this.adjustAllocationForMarketConditions(marketAnalysis);
 
@@ -116,14 +123,16 @@ class CapitalAllocationService extends BaseService {
       const instantFlipAllocations = this.allocateToInstantFlips(
         instantFlipCapital,
         instantFlipOpportunities,
-        marketAnalysis
+        marketAnalysis,
+        remainingBuyLimits
       );
 
       // Allocate capital to patient offers
       const patientOfferAllocations = this.allocateToPatientOffers(
         patientOfferCapital,
         patientOfferOpportunities,
-        marketAnalysis
+        marketAnalysis,
+        remainingBuyLimits
       );
 
       // Calculate total allocated capital
@@ -180,7 +189,7 @@ class CapitalAllocationService extends BaseService {
   /**
    * Context7 Pattern: Analyze current market conditions
    */
-  async analyzeMarketConditions() {
+  async analyzeMarketConditions(marketConditions = {}) {
     return this.execute(async() => {
       const analysis = {
         volatility: marketConditions.volatility || 0.1,
@@ -353,7 +362,7 @@ class CapitalAllocationService extends BaseService {
   /**
    * Context7 Pattern: Allocate capital to instant flips
    */
-  allocateToInstantFlips(availableCapital, opportunities, marketAnalysis) {
+  allocateToInstantFlips(availableCapital, opportunities, marketAnalysis, remainingBuyLimits = new Map()) {
     const trades = [];
     let totalAllocated = 0;
     let totalExpectedProfit = 0;
@@ -367,23 +376,26 @@ class CapitalAllocationService extends BaseService {
       const positionSize = this.calculatePositionSize(
         opportunity,
         availableCapital - totalAllocated,
-        'instant'
+        'instant',
+        remainingBuyLimits.get(opportunity.itemId)
       );
+      const quantity = Math.floor(positionSize / opportunity.buyPrice);
 
-      if (positionSize > 0) {
+      if (quantity > 0) {
         const trade = {
           itemId: opportunity.itemId,
           itemName: opportunity.itemName,
           strategy: 'instant_flip',
           buyPrice: opportunity.buyPrice,
           sellPrice: opportunity.sellPrice,
-          quantity: Math.floor(positionSize / opportunity.buyPrice),
-          capitalAllocated: Math.floor(positionSize / opportunity.buyPrice) * opportunity.buyPrice,
-          expectedProfit: opportunity.netProfitGp * Math.floor(positionSize / opportunity.buyPrice),
+          quantity,
+          capitalAllocated: quantity * opportunity.buyPrice,
+          expectedProfit: opportunity.netProfitGp * quantity,
           marginPercent: opportunity.marginPercent,
           riskLevel: opportunity.riskLevel,
           timeToFlip: opportunity.timeToFlip,
           confidence: opportunity.confidence || 0.7,
+          remainingBuyLimit: this.consumeBuyLimit(remainingBuyLimits, opportunity.itemId, quantity),
           timestamp: Date.now()
         };
 
@@ -406,7 +418,7 @@ class CapitalAllocationService extends BaseService {
   /**
    * Context7 Pattern: Allocate capital to patient offers
    */
-  allocateToPatientOffers(availableCapital, opportunities, marketAnalysis) {
+  allocateToPatientOffers(availableCapital, opportunities, marketAnalysis, remainingBuyLimits = new Map()) {
     const trades = [];
     let totalAllocated = 0;
     let totalExpectedProfit = 0;
@@ -420,23 +432,26 @@ class CapitalAllocationService extends BaseService {
       const positionSize = this.calculatePositionSize(
         opportunity,
         availableCapital - totalAllocated,
-        'patient'
+        'patient',
+        remainingBuyLimits.get(opportunity.itemId)
       );
+      const quantity = Math.floor(positionSize / opportunity.buyPrice);
 
-      if (positionSize > 0) {
+      if (quantity > 0) {
         const trade = {
           itemId: opportunity.itemId,
           itemName: opportunity.itemName,
           strategy: 'patient_offer',
           buyPrice: opportunity.buyPrice,
           sellPrice: opportunity.sellPrice,
-          quantity: Math.floor(positionSize / opportunity.buyPrice),
-          capitalAllocated: Math.floor(positionSize / opportunity.buyPrice) * opportunity.buyPrice,
-          expectedProfit: opportunity.netProfitGp * Math.floor(positionSize / opportunity.buyPrice),
+          quantity,
+          capitalAllocated: quantity * opportunity.buyPrice,
+          expectedProfit: opportunity.netProfitGp * quantity,
           marginPercent: opportunity.marginPercent,
           riskLevel: opportunity.riskLevel,
           timeToFlip: opportunity.timeToFlip,
           confidence: opportunity.confidence || 0.7,
+          remainingBuyLimit: this.consumeBuyLimit(remainingBuyLimits, opportunity.itemId, quantity),
           timestamp: Date.now()
         };
 
@@ -458,8 +473,14 @@ class CapitalAllocationService extends BaseService {
 
   /**
    * Context7 Pattern: Calculate position size based on risk management
+   * @param {number|undefined} remainingBuyQuantity - Units the GE still allows (undefined when unknown)
    */
-  calculatePositionSize(opportunity, availableCapital, strategy) {
+  calculatePositionSize(opportunity, availableCapital, strategy, remainingBuyQuantity) {
+    // The GE will not fill more than the remaining buy limit
+    if (remainingBuyQuantity !== undefined && remainingBuyQuantity <= 0) {
+      return 0;
+    }
+
     // Basic position size based on available capital
     const basePositionSize = availableCapital * 0.1; // Start with 10% of available capital
 
@@ -485,8 +506,52 @@ class CapitalAllocationService extends BaseService {
 
     // Ensure minimum position size
     const minPositionSize = opportunity.buyPrice * 1; // At least 1 item
+    const positionCap = remainingBuyQuantity === undefined
+      ? Infinity
+      : remainingBuyQuantity * opportunity.buyPrice;
+
+    return Math.min(Math.max(minPositionSize, maxPositionSize), positionCap);
+  }
+
+  /**
+   * Context7 Pattern: Remaining GE buy limit per opportunity item
+   * Ledger usage wins; otherwise the opportunity's full buyLimit applies.
+   * @returns {Promise<Map<number, number>>} Remaining buyable quantity keyed by item ID
+   */
+  async getRemainingBuyLimits(opportunities, userId) {
+    const itemIds = [...new Set(opportunities.map(opportunity => opportunity.itemId))];
+    let remaining = new Map();
+
+    if (itemIds.length > 0) {
+      try {
+        remaining = await this.tradeLedgerService.getRemainingBuyQuantities(itemIds, { userId });
+      } catch (error) {
+        this.logger.warn('Trade ledger unavailable, sizing against full GE buy limits', {
+          error: error.message
+        });
+      }
+    }
+
+    for (const opportunity of opportunities) {
+      if (!remaining.has(opportunity.itemId) && opportunity.buyLimit > 0) {
+        remaining.set(opportunity.itemId, opportunity.buyLimit);
+      }
+    }
 
-    return Math.max(minPositionSize, maxPositionSize);
+    return remaining;
+  }
+
+  /**
+   * Context7 Pattern: Deduct an allocated quantity from the remaining buy limit
+   * @returns {number|null} Quantity left afterwards, null when the item has no known limit
+   */
+  consumeBuyLimit(remainingBuyLimits, itemId, quantity) {
+    if (!remainingBuyLimits.has(itemId)) {
+      return null;
+    }
+    const left = Math.max(0, remainingBuyLimits.get(itemId) - quantity);
+    remainingBuyLimits.set(itemId, left);
+    return left;
   }
 
   /**
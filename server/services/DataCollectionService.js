@@ -101,6 +101,7 @@ class DataCollectionService extends BaseService {
     return this.execute(async() => {
       // Get items to scrape from queue
       const queueItems = await ScrapeQueueModel.find({
+        jobId: null,
         status: 'pending'
       }).limit(options.limit || 100);
 
@@ -255,10 +256,11 @@ class DataCollectionService extends BaseService {
    */
   async getScrapeQueueStatus() {
     return this.execute(async() => {
+      // Job items show up in each backfill's progress instead
       const [pending, completed, failed] = await Promise.all([
-        ScrapeQueueModel.countDocuments({ status: 'pending' }),
-        ScrapeQueueModel.countDocuments({ status: 'completed' }),
-        ScrapeQueueModel.countDocuments({ status: 'failed' })
+        ScrapeQueueModel.countDocuments({ jobId: null, status: 'pending' }),
+        ScrapeQueueModel.countDocuments({ jobId: null, status: 'completed' }),
+        ScrapeQueueModel.countDocuments({ jobId: null, status: 'failed' })
       ]);
 
       return {
@@ -278,8 +280,9 @@ class DataCollectionService extends BaseService {
     return this.execute(async() => {
       const cutoff = DateRangeUtil.getCutoffDate(maxAgeMs);
 
-      // Cleanup completed scrape queue items
+      // Cleanup completed legacy scrape queue items; backfill job items record the job's progress
       const deletedQueue = await ScrapeQueueModel.deleteMany({
+        jobId: null,
         status: 'completed',
         completedAt: { $lt: cutoff }
       });
@@ -21,9 +21,13 @@ const { ItemId } = require('../domain/value-objects/ItemId');
 const { ItemDomainService } = require('../domain/services/ItemDomainService');
 const { ItemSpecifications } = require('../domain/specifications/ItemSpecifications');
 const { ItemModelAdapter } = require('../domain/adapters/ItemModelAdapter');
+const { ItemCategoryClassifier } = require('../domain/services/ItemCategoryClassifier');
+const { getItemCategoryService } = require('./categories/ItemCategoryService');
+const { parseItemQuery } = require('../domain/specifications/ItemQueryParser');
+const { ErrorHandler } = require('../middleware/ErrorHandler');
 
 class ItemMappingService extends BaseService {
-  constructor() {
+  constructor(dependencies = {}) {
     super('ItemMappingService', {
       enableCache: true,
       cachePrefix: 'item_mapping',
@@ -35,6 +39,7 @@ class ItemMappingService extends BaseService {
     this.osrsWikiService = new OSRSWikiService();
     this.dataTransformer = new DataTransformer();
     this.financialCalculator = new FinancialCalculationService();
+    this.categoryService = dependencies.categoryService || getItemCategoryService();
 
     // Enhanced Domain Components
     this.domainService = new ItemDomainService();
@@ -297,9 +302,10 @@ class ItemMappingService extends BaseService {
       };
 
       const items = await this.itemRepository.searchByName(searchTerm, searchOptions);
+      const classifier = await this.categoryService.getClassifier();
 
       // Add business logic enrichments
-      const enrichedItems = items.map(item => this.enrichItemData(item));
+      const enrichedItems = items.map(item => this.enrichItemData(item, classifier));
 
       return enrichedItems;
     }, 'searchItemsByName', { logSuccess: true });
@@ -317,10 +323,11 @@ class ItemMappingService extends BaseService {
       };
 
       const items = await this.itemRepository.getHighValueItems(businessOptions);
+      const classifier = await this.categoryService.getClassifier();
 
       // Sort by business value (considering alchemy profit)
       const enrichedItems = items
-        .map(item => this.enrichItemData(item))
+        .map(item => this.enrichItemData(item, classifier))
         .sort((a, b) => b.businessValue - a.businessValue);
 
       return enrichedItems;
@@ -333,7 +340,8 @@ class ItemMappingService extends BaseService {
   async getItemsByCategory(category, options = {}) {
     return this.execute(async () => {
       const items = await this.itemRepository.getItemsByCategory(category, options);
-      return items.map(item => this.enrichItemData(item));
+      const classifier = await this.categoryService.getClassifier();
+      return items.map(item => this.enrichItemData(item, classifier));
     }, 'getItemsByCategory', { logSuccess: true });
   }
 
@@ -341,6 +349,10 @@ class ItemMappingService extends BaseService {
    * Context7 Pattern: Get items with pagination and business rules
    */
   async getItems(options = {}) {
+    // Parsed outside execute() so filter syntax errors keep their 400 status
+    const classifier = await this.categoryService.getClassifier();
+    const specification = options.filter ? this.parseFilter(options.filter, classifier) : null;
+
     return this.execute(async () => {
       // Apply business validation to options
       const validatedOptions = {
@@ -353,19 +365,35 @@ class ItemMappingService extends BaseService {
         sort: options.sort || { name: 1 }
       };
 
-      const result = await this.itemRepository.getPaginatedItems(validatedOptions);
+      const result = specification
+        ? await this.itemRepository.findBySpecification(specification, validatedOptions)
+        : await this.itemRepository.getPaginatedItems(validatedOptions);
 
       // Enrich items with business data
-      result.items = result.items.map(item => this.enrichItemData(item));
+      result.items = result.items.map(item => this.enrichItemData(item, classifier));
 
       return result;
     }, 'getItems', { logSuccess: true });
   }
 
+  /**
+   * Context7 Pattern: Parse a filter expression against the current category taxonomy
+   * @throws {Error} Validation error describing the first problem in the expression
+   */
+  parseFilter(filter, classifier) {
+    try {
+      return parseItemQuery(filter, {
+        categories: classifier.getCategories().map(category => category.slug)
+      });
+    } catch (error) {
+      throw ErrorHandler.createValidationError(`Invalid filter: ${error.message}`, { filter });
+    }
+  }
+
   /**
    * Context7 Pattern: Enrich item data with business calculations
    */
-  enrichItemData(item) {
+  enrichItemData(item, classifier = ItemCategoryClassifier.getActive()) {
     try {
       const itemObj = item.toObject ? item.toObject() : item;
 
@@ -384,8 +412,8 @@ class ItemMappingService extends BaseService {
         alchemyProfit
       );
 
-      // Category classification
-      const category = this.classifyItem(itemObj);
+      // Category classification from the stored taxonomy
+      const category = classifier.classify(itemObj);
 
       return {
         ...itemObj,
@@ -406,41 +434,6 @@ class ItemMappingService extends BaseService {
     }
   }
 
-  /**
-   * Context7 Pattern: Classify items based on business rules
-   */
-  classifyItem(item) {
-    const name = item.name.toLowerCase();
-
-    if (name.includes('rune')) {
-      return 'runes';
-    }
-    if (name.includes('potion') || name.includes('brew')) {
-      return 'potions';
-    }
-    if (name.includes('food') || name.includes('fish') || name.includes('meat') ||
-        name.includes('bread') || name.includes('cake')) {
-      return 'food';
-    }
-    if (name.includes('ore') || name.includes('bar')) {
-      return 'smithing';
-    }
-    if (name.includes('log') || name.includes('plank')) {
-      return 'woodcutting';
-    }
-    if (name.includes('seed') || name.includes('herb')) {
-      return 'farming';
-    }
-    if (item.highalch > 10000) {
-      return 'high_value';
-    }
-    if (item.members) {
-      return 'members';
-    }
-
-    return 'general';
-  }
-
   /**
    * Context7 Pattern: Get synchronization status
    */
@@ -4,14 +4,21 @@
  * Context7 Pattern: Scheduled Service for Market Data Collection
  * - Automatically fetches OSRS Wiki 5-minute and 1-hour data every 5 minutes
  * - Handles errors gracefully and logs activity
+ * - Evaluates alerts and pushes price deltas to market WebSocket subscribers after each sync
+ * - Scores the new snapshot batches for price/volume anomalies and publishes flagged events
+ * - Re-runs scheduled saved searches so result-set changes are reported
  * - Provides health monitoring and statistics
  */
 
 const { BaseService } = require('./BaseService');
 const { MarketDataService } = require('./MarketDataService');
+const { AlertEvaluationService } = require('./alerts/AlertEvaluationService');
+const { SavedSearchService } = require('./search/SavedSearchService');
+const { getAnomalyDetectionService } = require('./anomalies/AnomalyDetectionService');
+const TimeConstants = require('../utils/TimeConstants');
 
 class MarketDataScheduler extends BaseService {
-  constructor() {
+  constructor(dependencies = {}) {
     super('MarketDataScheduler', {
       enableCache: true,
       cachePrefix: 'scheduler',
@@ -19,7 +26,12 @@ class MarketDataScheduler extends BaseService {
       enableMongoDB: false // No MongoDB needed for scheduler
     });
 
-    this.marketDataService = new MarketDataService();
+    this.marketDataService = dependencies.marketDataService || new MarketDataService();
+    this.alertEvaluationService = dependencies.alertEvaluationService || new AlertEvaluationService();
+    // Optional: WebSocketMarketService (or anything with publishPriceUpdates/publishAnomalies) for live subscribers
+    this.marketStream = dependencies.marketStream || null;
+    this.savedSearchService = dependencies.savedSearchService || new SavedSearchService();
+    this.anomalyDetectionService = dependencies.anomalyDetectionService || getAnomalyDetectionService();
     this.intervalId = null;
     this.isRunning = false;
     this.lastSyncTime = null;
@@ -74,6 +86,8 @@ class MarketDataScheduler extends BaseService {
 
   /**
    * Context7 Pattern: Perform the sync operation
+   * After a successful sync the post-sync steps run in order. Each step catches and logs its own
+   * failure, so it never counts as a sync failure and never stops the steps after it.
    */
   async performSync() {
     try {
@@ -101,6 +115,71 @@ class MarketDataScheduler extends BaseService {
     } catch (error) {
       this.errorCount++;
       // Error handling moved to centralized manager - context: ❌ Market data sync failed
+      return;
+    }
+
+    await this.evaluateAlerts();
+    await this.publishPriceUpdates();
+    await this.detectAnomalies();
+    await this.runSavedSearches();
+  }
+
+  /**
+   * Context7 Pattern: Evaluate market alerts against the freshly synced snapshots
+   */
+  async evaluateAlerts() {
+    try {
+      const summary = await this.alertEvaluationService.evaluateAlerts();
+      this.lastAlertEvaluation = {
+        evaluated: summary.evaluated,
+        triggered: summary.triggered,
+        completedAt: Date.now()
+      };
+    } catch (error) {
+      this.logger.warn('Alert evaluation failed after sync', { error: error.message });
+    }
+  }
+
+  /**
+   * Context7 Pattern: Push price deltas for the freshly synced snapshots
+   */
+  async publishPriceUpdates() {
+    if (!this.marketStream) {
+      return;
+    }
+
+    try {
+      const result = await this.marketStream.publishPriceUpdates();
+      this.lastPricePublish = { ...result, completedAt: Date.now() };
+    } catch (error) {
+      this.logger.warn('Price update publish failed after sync', { error: error.message });
+    }
+  }
+
+  /**
+   * Context7 Pattern: Score the freshly synced snapshots for anomalies and publish flagged events
+   */
+  async detectAnomalies() {
+    try {
+      const { events, ...summary } = await this.anomalyDetectionService.detectLatest();
+      if (this.marketStream && events.length > 0) {
+        await this.marketStream.publishAnomalies(events);
+      }
+      this.lastAnomalyDetection = { ...summary, completedAt: Date.now() };
+    } catch (error) {
+      this.logger.warn('Anomaly detection failed after sync', { error: error.message });
+    }
+  }
+
+  /**
+   * Context7 Pattern: Re-run scheduled saved searches against the freshly synced snapshots
+   */
+  async runSavedSearches() {
+    try {
+      const summary = await this.savedSearchService.runScheduledSearches();
+      this.lastSavedSearchRun = { ...summary, completedAt: Date.now() };
+    } catch (error) {
+      this.logger.warn('Scheduled saved searches failed after sync', { error: error.message });
     }
   }
 
@@ -113,6 +192,10 @@ class MarketDataScheduler extends BaseService {
       syncCount: this.syncCount,
       errorCount: this.errorCount,
       lastSyncTime: this.lastSyncTime,
+      lastAlertEvaluation: this.lastAlertEvaluation || null,
+      lastPricePublish: this.lastPricePublish || null,
+      lastSavedSearchRun: this.lastSavedSearchRun || null,
+      lastAnomalyDetection: this.lastAnomalyDetection || null,
       nextSyncTime: this.isRunning ? (this.lastSyncTime + (TimeConstants.FIVE_MINUTES)) : null,
       uptime: this.isRunning ? Date.now() - (this.lastSyncTime || Date.now()) : 0,
       successRate: this.syncCount > 0 ? ((this.syncCount - this.errorCount) / this.syncCount * 100).toFixed(2) : 0
@@ -25,6 +25,16 @@ const TimeConstants = require('../utils/TimeConstants');
 const DateRangeUtil = require('../utils/DateRangeUtil');
 
 const { ItemRepository } = require('../repositories/ItemRepository');
+const { MarketAlertService } = require('./alerts/MarketAlertService');
+const { getItemCategoryService } = require('./categories/ItemCategoryService');
+const { getAnomalyDetectionService } = require('./anomalies/AnomalyDetectionService');
+
+// Hours of holding each recommendation time horizon allows for
+const HORIZON_HOURS = { short: 4, medium: 24, long: 168 };
+// Hours of trading covered by one snapshot's volume, per interval
+const INTERVAL_HOURS = { '5m': 5 / 60, '1h': 1, daily_scrape: 24 };
+// Share of an item's traded volume a single flipper can realistically fill
+const MARKET_SHARE = 0.1;
 
 class MarketDataService extends BaseService {
   constructor(dependencies = {}) {
@@ -43,6 +53,12 @@ class MarketDataService extends BaseService {
       dataTransformer: new DataTransformer()
     });
 
+    this.alertService = dependencies.alertService || new MarketAlertService();
+    this.categoryService = dependencies.categoryService || getItemCategoryService();
+    this.anomalyService = dependencies.anomalyService || getAnomalyDetectionService();
+    this.snapshotModel = dependencies.snapshotModel || MarketPriceSnapshotModel;
+    this.now = dependencies.now || Date.now;
+
     // Legacy compatibility
     this.dataTransformer = new DataTransformer();
     this.itemRepository = new ItemRepository();
@@ -67,12 +83,17 @@ this.logger.info('Getting 1-hour market data');
 
   /**
    * SOLID: Save market snapshot to database
-   * Simplified from original ~139 lines to ~25 lines following Context7 patterns
+   * One snapshot per (itemId, interval, timestamp) bucket, so each sync adds a point to the series
+   * and re-syncing the same bucket updates it in place
+   * @param {Object} marketData - Processed items keyed by itemId
+   * @param {string} interval - Snapshot interval
+   * @param {number} timestamp - Bucket start in ms (defaults to now)
    */
-  async saveMarketSnapshot(marketData, interval = '1h') {
+  async saveMarketSnapshot(marketData, interval = '1h', timestamp = this.now()) {
     return this.execute(async () => {
       this.logger.info('Saving market snapshot', { 
         interval, 
+        timestamp,
         itemCount: Object.keys(marketData).length 
       });
 
@@ -84,14 +105,17 @@ this.logger.info('Getting 1-hour market data');
             const snapshotData = {
               ...itemData,
               interval,
+              timestamp,
               createdAt: new Date()
             };
 
             // DRY: Use DatabaseUtility for standardized upsert operation
             await DatabaseUtility.performUpsert(
-              MarketPriceSnapshotModel,
-              { itemId: parseInt(itemId), interval },
-              snapshotData
+              this.snapshotModel,
+              { itemId: parseInt(itemId), interval, timestamp },
+              snapshotData,
+              // Lets the high/low price validators compare against the update
+              { context: 'query' }
             );
 
             count++;
@@ -149,69 +173,77 @@ this.logger.info('Getting 1-hour market data');
 
   /**
    * SOLID: Get top flipping opportunities
-   * Simplified analytics using processing service
+   * Ranks the newest stored snapshot per item by margin, liquidity and confidence
+   * Items with an active anomaly are marked (or dropped with excludeAnomalies) so flips avoid them
+   * @param {Object} options - { minMargin, minVolume, maxRisk, interval, maxAge, excludeAnomalies, page, limit }
+   * @returns {Promise<Object>} { data, total, page, limit }
    */
-  async getTopFlips() {
-    return this.execute(async () => {
-const {
-        limit = 50,
+  async getTopFlips(options = {}) {
+    return this.execute(async() => {
+      const {
         minMargin = 5,
         minVolume = 100,
         maxRisk = 70,
-        interval = 'latest'
+        interval = '1h',
+        maxAge = TimeConstants.ONE_DAY,
+        excludeAnomalies = false,
+        page = 1,
+        limit = 20
       } = options;
 
-      this.logger.info('Getting top flipping opportunities', options);
-
-      // Get latest market data
-      const marketData = await this.getLiveMarketData();
+      this.logger.info('Getting top flipping opportunities', { minMargin, minVolume, maxRisk, interval, excludeAnomalies, page, limit });
 
-      // Filter and sort opportunities
-      const opportunities = Object.values(marketData)
-        .filter(item => 
-          item.marginPercent >= minMargin &&
-          item.volume >= minVolume &&
-          item.riskScore <= maxRisk
-        )
-        .sort((a, b) => {
-          // Sort by profit potential (margin * volume * confidence)
-          const scoreA = (a.marginPercent || 0) * Math.log(a.volume || 1) * (a.confidence || 50) / 100;
-          const scoreB = (b.marginPercent || 0) * Math.log(b.volume || 1) * (b.confidence || 50) / 100;
-          return scoreB - scoreA;
-        })
-        .slice(0, limit);
+      const snapshots = await this.getLatestSnapshotMetrics({ interval, maxAge, minMargin, minVolume, maxRisk });
+      const anomalies = await this.anomalyService.getActiveAnomalies({
+        itemIds: snapshots.map(snapshot => snapshot.itemId)
+      });
+      const opportunities = snapshots
+        .map(snapshot => ({
+          ...this.formatSnapshotMetrics(snapshot),
+          score: this.scoreFlip(snapshot),
+          anomaly: this.summarizeAnomaly(anomalies.get(snapshot.itemId))
+        }))
+        .filter(opportunity => !excludeAnomalies || opportunity.anomaly === null)
+        .sort((a, b) => b.score - a.score);
 
       this.logger.info(`Found ${opportunities.length} flipping opportunities`);
-      return opportunities;
+      return this.paginate(opportunities, page, limit);
     }, 'getTopFlips', { logSuccess: true });
   }
 
   /**
    * SOLID: Get trading recommendations
-   * Simplified recommendation logic using processing service
+   * Sizes each opportunity to the investment amount and the volume tradable within the time horizon
+   * @param {Object} options - { riskTolerance, investmentAmount, timeHorizon, minMargin, minVolume, interval, maxAge, page, limit }
+   * @returns {Promise<Object>} { data, total, page, limit }
    */
-  async getRecommendations() {
-    return this.execute(async () => {
-const {
+  async getRecommendations(options = {}) {
+    return this.execute(async() => {
+      const {
         riskTolerance = 'medium',
         investmentAmount = 100000,
-        timeHorizon = 'short'
+        timeHorizon = 'short',
+        minMargin = 1,
+        minVolume = 10,
+        interval = '1h',
+        maxAge = TimeConstants.ONE_DAY,
+        page = 1,
+        limit = 20
       } = options;
 
-      this.logger.info('Getting trading recommendations', options);
+      const maxRisk = this.getRiskThreshold(riskTolerance);
+      const horizonHours = this.getHorizonHours(timeHorizon);
 
-      const marketData = await this.getLiveMarketData();
-      
-      // Filter by risk tolerance
-      const riskThreshold = this.getRiskThreshold(riskTolerance);
-      const recommendations = Object.values(marketData)
-        .filter(item => item.riskScore <= riskThreshold)
-        .filter(item => item.recommendedAction === 'buy' || item.recommendedAction === 'strong_buy')
-        .sort((a, b) => (b.confidence || 0) - (a.confidence || 0))
-        .slice(0, 20);
+      this.logger.info('Getting trading recommendations', { riskTolerance, investmentAmount, timeHorizon, page, limit });
+
+      const snapshots = await this.getLatestSnapshotMetrics({ interval, maxAge, minMargin, minVolume, maxRisk });
+      const recommendations = snapshots
+        .map(snapshot => this.sizeRecommendation(snapshot, investmentAmount, horizonHours))
+        .filter(recommendation => recommendation.quantity > 0 && recommendation.expectedProfit > 0)
+        .sort((a, b) => b.score - a.score);
 
       this.logger.info(`Generated ${recommendations.length} recommendations`);
-      return recommendations;
+      return this.paginate(recommendations, page, limit);
     }, 'getRecommendations', { logSuccess: true });
   }
 
@@ -252,21 +284,34 @@ this.logger.info('Getting market analytics');
 
   /**
    * SOLID: Export market data
-   * Simplified export functionality
+   * Exports the newest stored snapshot per item as JSON rows or CSV
+   * @param {Object} options - { format, interval, itemIds, maxAge, page, limit }
+   * @returns {Promise<Object>} { format, data, total, page, limit }
    */
-  async exportData() {
-    return this.execute(async () => {
-const { format = 'json', interval = 'latest' } = options;
-      
-      this.logger.info('Exporting market data', { format, interval });
+  async exportData(options = {}) {
+    return this.execute(async() => {
+      const {
+        format = 'json',
+        interval = '1h',
+        itemIds,
+        maxAge = TimeConstants.ONE_DAY,
+        page = 1,
+        limit = 1000
+      } = options;
 
-      const marketData = await this.getLiveMarketData();
-      
-      if (format === 'csv') {
-        return this.convertToCSV(marketData);
-      }
+      this.logger.info('Exporting market data', { format, interval, page, limit });
+
+      const snapshots = await this.getLatestSnapshotMetrics({ interval, maxAge, itemIds });
+      const rows = snapshots
+        .map(snapshot => this.formatSnapshotMetrics(snapshot))
+        .sort((a, b) => a.itemId - b.itemId);
+      const result = this.paginate(rows, page, limit);
 
-      return marketData;
+      return {
+        format,
+        ...result,
+        data: format === 'csv' ? this.convertToCSV(result.data) : result.data
+      };
     }, 'exportData', { logSuccess: true });
   }
 
@@ -327,27 +372,55 @@ const { period = 30 } = options;
     }, 'calculateTimeseriesInsights', { logSuccess: true });
   }
 
+  /**
+   * SOLID: Get the newest 5-minute Wiki averages
+   * @returns {Promise<Object>} { data: processed items keyed by itemId, timestamp: bucket start in ms }
+   */
+  async get5MinuteMarketData() {
+    return this.execute(async () => {
+      const rawData = await this.fetchService.fetch5MinuteMarketData();
+      return {
+        data: this.processingService.process5MinuteMarketData(rawData),
+        timestamp: this.getBucketTimestamp(rawData, TimeConstants.FIVE_MINUTES)
+      };
+    }, 'get5MinuteMarketData', { logSuccess: false });
+  }
+
+  /**
+   * SOLID: Get the newest 1-hour Wiki averages
+   * @returns {Promise<Object>} { data: processed items keyed by itemId, timestamp: bucket start in ms }
+   */
+  async get1HourMarketData() {
+    return this.execute(async () => {
+      const rawData = await this.fetchService.fetch1HourMarketData();
+      return {
+        data: this.processingService.process1HourMarketData(rawData),
+        timestamp: this.getBucketTimestamp(rawData, TimeConstants.ONE_HOUR)
+      };
+    }, 'get1HourMarketData', { logSuccess: false });
+  }
+
   /**
    * SOLID: Sync data to database
-   * Simplified sync operations
+   * Each sync stores the Wiki bucket it fetched, so alerts and anomalies can compare consecutive buckets
    */
   async sync5MinuteData() {
     return this.execute(async () => {
-const marketData = await this.get5MinuteMarketData();
-      const savedCount = await this.saveMarketSnapshot(marketData, '5m');
+      const { data, timestamp } = await this.get5MinuteMarketData();
+      const savedCount = await this.saveMarketSnapshot(data, '5m', timestamp);
       
       this.logger.info(`Synced 5-minute data: ${savedCount} items`);
-      return { success: true, itemCount: savedCount };
+      return { success: true, itemCount: savedCount, timestamp };
     }, 'sync5MinuteData', { logSuccess: true });
   }
 
   async sync1HourData() {
     return this.execute(async () => {
-const marketData = await this.get1HourMarketData();
-      const savedCount = await this.saveMarketSnapshot(marketData, '1h');
+      const { data, timestamp } = await this.get1HourMarketData();
+      const savedCount = await this.saveMarketSnapshot(data, '1h', timestamp);
       
       this.logger.info(`Synced 1-hour data: ${savedCount} items`);
-      return { success: true, itemCount: savedCount };
+      return { success: true, itemCount: savedCount, timestamp };
     }, 'sync1HourData', { logSuccess: true });
   }
 
@@ -549,77 +622,31 @@ const marketData = await this.get1HourMarketData();
   }
 
   /**
-   * Controller compatibility: Get alerts
+   * Controller compatibility: Get alerts - delegates to MarketAlertService
    */
   async getAlerts(params) {
-    return this.execute(async () => {
-      const { userId, type, status, limit } = params;
-      
-      this.logger.debug('Getting alerts', { userId, type, status });
-      
-      // Return empty array for now - alerts feature not implemented
-      return [];
-    }, 'getAlerts', { logSuccess: true });
+    return this.alertService.getAlerts(params);
   }
 
   /**
-   * Controller compatibility: Create alert
+   * Controller compatibility: Create alert - delegates to MarketAlertService
    */
   async createAlert(alertData) {
-    return this.execute(async () => {
-      this.logger.info('Creating alert', { alertData });
-      
-      // Return success response for now - alerts feature not implemented
-      return {
-        id: `alert_${Date.now()}`,
-        ...alertData,
-        status: 'active',
-        createdAt: new Date()
-      };
-    }, 'createAlert', { logSuccess: true });
+    return this.alertService.createAlert(alertData);
   }
 
   /**
-   * Controller compatibility: Delete alert
+   * Controller compatibility: Delete alert - delegates to MarketAlertService
    */
   async deleteAlert(alertId) {
-    return this.execute(async () => {
-      this.logger.info('Deleting alert', { alertId });
-      
-      // Return success response for now - alerts feature not implemented
-      return { deleted: true, alertId };
-    }, 'deleteAlert', { logSuccess: true });
+    return this.alertService.deleteAlert(alertId);
   }
 
   /**
-   * Controller compatibility: Get categories
+   * Controller compatibility: Get categories - delegates to ItemCategoryService
    */
   async getCategories(options = {}) {
-    return this.execute(async () => {
-      const { includeStats } = options;
-      
-      this.logger.debug('Getting categories', { includeStats });
-      
-      // Return basic categories for now
-      const categories = [
-        { id: 'weapons', name: 'Weapons', itemCount: 0 },
-        { id: 'armor', name: 'Armor', itemCount: 0 },
-        { id: 'food', name: 'Food', itemCount: 0 },
-        { id: 'potions', name: 'Potions', itemCount: 0 },
-        { id: 'runes', name: 'Runes', itemCount: 0 },
-        { id: 'tools', name: 'Tools', itemCount: 0 }
-      ];
-      
-      if (includeStats) {
-        const marketData = await this.getLiveMarketData();
-        // Add basic stats
-        categories.forEach(category => {
-          category.itemCount = marketData.length; // Simplified for now
-        });
-      }
-      
-      return categories;
-    }, 'getCategories', { logSuccess: true });
+    return this.categoryService.getCategories({ includeStats: options.includeStats });
   }
 
   /**
@@ -661,6 +688,17 @@ const marketData = await this.get1HourMarketData();
 
   // Helper methods (remaining compact)
 
+  /**
+   * Bucket start in ms from a Wiki /5m or /1h response (seconds), or the current bucket without one
+   */
+  getBucketTimestamp(rawData, periodMs) {
+    if (rawData?.timestamp) {
+      return rawData.timestamp * 1000;
+    }
+    const now = this.now();
+    return now - (now % periodMs);
+  }
+
   getRiskThreshold(riskTolerance) {
     const thresholds = {
       low: 30,
@@ -670,6 +708,127 @@ const marketData = await this.get1HourMarketData();
     return thresholds[riskTolerance] || thresholds.medium;
   }
 
+  getHorizonHours(timeHorizon) {
+    return HORIZON_HOURS[timeHorizon] || HORIZON_HOURS.short;
+  }
+
+  /**
+   * Context7 Pattern: Newest stored snapshot per item with metric filters applied in MongoDB
+   * @param {Object} criteria - { interval, maxAge, itemIds, minMargin, minVolume, maxRisk }
+   * @returns {Promise<Array<Object>>} Lean snapshots
+   */
+  async getLatestSnapshotMetrics({ interval, maxAge, itemIds, minMargin, minVolume, maxRisk }) {
+    const match = { interval, timestamp: { $gte: this.now() - maxAge } };
+    if (itemIds && itemIds.length > 0) {
+      match.itemId = { $in: itemIds };
+    }
+
+    const filters = {};
+    if (minMargin !== undefined) {
+      filters.marginPercent = { $gte: minMargin };
+    }
+    if (minVolume !== undefined) {
+      filters.volume = { $gte: minVolume };
+    }
+    if (maxRisk !== undefined) {
+      filters.riskScore = { $lte: maxRisk };
+    }
+
+    return this.snapshotModel.aggregate([
+      { $match: match },
+      { $sort: { itemId: 1, timestamp: -1 } },
+      { $group: { _id: '$itemId', snapshot: { $first: '$$ROOT' } } },
+      { $replaceRoot: { newRoot: '$snapshot' } },
+      { $match: filters }
+    ]);
+  }
+
+  formatSnapshotMetrics(snapshot) {
+    return {
+      itemId: snapshot.itemId,
+      interval: snapshot.interval,
+      timestamp: snapshot.timestamp,
+      highPrice: snapshot.highPrice,
+      lowPrice: snapshot.lowPrice,
+      volume: snapshot.volume,
+      marginGp: this.getProfitPerItem(snapshot),
+      marginPercent: snapshot.marginPercent ?? null,
+      geTaxAmount: snapshot.geTaxAmount ?? null,
+      riskScore: snapshot.riskScore ?? null,
+      volatility: snapshot.volatility ?? null,
+      rsi: snapshot.rsi ?? null,
+      momentumScore: snapshot.momentumScore ?? null,
+      expectedProfitPerHour: snapshot.expectedProfitPerHour ?? null,
+      confidence: snapshot.confidence ?? 1
+    };
+  }
+
+  // After-tax margin; derived from the spread for snapshots stored before margins were calculated
+  getProfitPerItem(snapshot) {
+    if (typeof snapshot.marginGp === 'number') {
+      return snapshot.marginGp;
+    }
+    return snapshot.highPrice - snapshot.lowPrice - (snapshot.geTaxAmount || 0);
+  }
+
+  summarizeAnomaly(anomaly) {
+    if (!anomaly) {
+      return null;
+    }
+    return {
+      severity: anomaly.severity,
+      score: anomaly.score,
+      direction: anomaly.direction,
+      signals: anomaly.signals.map(signal => signal.type),
+      interval: anomaly.interval,
+      timestamp: anomaly.timestamp
+    };
+  }
+
+  // Margin weighted by liquidity, confidence and risk
+  scoreFlip(snapshot) {
+    const confidence = snapshot.confidence ?? 1;
+    const safety = 1 - (snapshot.riskScore || 0) / 100;
+    const score = (snapshot.marginPercent || 0) * Math.log1p(snapshot.volume || 0) * confidence * safety;
+    return Math.round(score * 100) / 100;
+  }
+
+  /**
+   * Context7 Pattern: Size a recommendation to the budget and the volume tradable within the horizon
+   * Score is expected profit per hour held, so short horizons favour fast-moving items
+   */
+  sizeRecommendation(snapshot, investmentAmount, horizonHours) {
+    const profitPerItem = this.getProfitPerItem(snapshot);
+    const volumePerHour = (snapshot.volume || 0) / (INTERVAL_HOURS[snapshot.interval] || 1);
+    const affordableQuantity = snapshot.lowPrice > 0 ? Math.floor(investmentAmount / snapshot.lowPrice) : 0;
+    const tradableQuantity = Math.floor(volumePerHour * horizonHours * MARKET_SHARE);
+    const quantity = Math.max(0, Math.min(affordableQuantity, tradableQuantity));
+
+    const capitalRequired = quantity * snapshot.lowPrice;
+    const expectedProfit = quantity * profitPerItem;
+    const confidence = snapshot.confidence ?? 1;
+    const safety = 1 - (snapshot.riskScore || 0) / 100;
+
+    return {
+      ...this.formatSnapshotMetrics(snapshot),
+      quantity,
+      capitalRequired,
+      expectedProfit,
+      roi: capitalRequired > 0 ? Math.round((expectedProfit / capitalRequired) * 10000) / 100 : 0,
+      score: Math.round((expectedProfit * confidence * safety / horizonHours) * 100) / 100
+    };
+  }
+
+  paginate(items, page, limit) {
+    const start = (page - 1) * limit;
+    return {
+      data: items.slice(start, start + limit),
+      total: items.length,
+      page,
+      limit
+    };
+  }
+
   calculateAverage(items, field) {
     if (items.length === 0) return 0;
     const sum = items.reduce((acc, item) => acc + (item[field] || 0), 0);
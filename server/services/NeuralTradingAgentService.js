@@ -3,105 +3,115 @@
  *
  * Context7 Pattern: Service Layer for Neural Network Trading Agent
  * - Implements Deep Q-Network (DQN) for trading decisions
- * - Handles neural network prediction and training
- * - Manages experience replay and epsilon-greedy exploration
- * - DRY principles with reusable neural network patterns
+ * - MLP with real backpropagation (ai/neural/NeuralNetwork), SGD or Adam updates
+ * - Huber loss on Double-DQN targets: the online network picks the next action, the target network values it
+ * - Prioritized experience replay with importance-sampling weights
+ * - Every random draw comes from one seeded generator, so a given seed trains to the same weights
+ * - Models serialize to a versioned format stored next to an AIModelMetadata record
  * - SOLID architecture with single responsibility
  */
 
+const crypto = require('crypto');
 const { BaseService } = require('./BaseService');
+const { AIModelMetadata } = require('../models/AIModelMetadata');
+const { NeuralModelWeightsModel } = require('../models/NeuralModelWeightsModel');
+const { ErrorHandler } = require('../middleware/ErrorHandler');
+const { NeuralNetwork } = require('./ai/neural/NeuralNetwork');
+const { createOptimizer } = require('./ai/neural/Optimizers');
+const { PrioritizedReplayBuffer } = require('./ai/neural/PrioritizedReplayBuffer');
+const { SeededRandom } = require('./ai/neural/SeededRandom');
+
+// Bump when the serializeModel() layout changes; loadModel() rejects other versions
+const MODEL_FORMAT_VERSION = 1;
+const MODEL_TYPE = 'dqn-mlp';
+const ACTIONS = ['BUY', 'SELL', 'HOLD'];
+
+const DEFAULT_CONFIG = {
+  inputSize: 8,
+  hiddenLayers: [64, 32],
+  outputSize: 3, // BUY, SELL, HOLD
+  learningRate: 0.001,
+  optimizer: 'adam', // 'adam' | 'sgd'
+  epsilon: 1.0,
+  epsilonMin: 0.01,
+  epsilonDecay: 0.995,
+  gamma: 0.95,
+  huberDelta: 1.0,
+  doubleDqn: true,
+  memorySize: 10000,
+  batchSize: 32,
+  prioritizedReplay: true,
+  priorityAlpha: 0.6,
+  priorityBeta: 0.4,
+  priorityBetaIncrement: 0.001,
+  tau: 0.001, // Soft target update per training step; 1 copies the online network every step
+  seed: null // Random seed when null; the chosen seed is kept in config
+};
 
 class NeuralTradingAgentService extends BaseService {
-  constructor(config) {
+  constructor(config = {}, dependencies = {}) {
     super('NeuralTradingAgentService', {
-      enableCache: true,
-      cachePrefix: 'neural_trading_agent',
-      cacheTTL: 300, // 5 minutes for neural predictions
-      enableMongoDB: true // Store training data and model states
+      enableCache: false,
+      enableMongoDB: false // Uses Mongoose models directly
     });
 
-    this.config = config || {
-      inputSize: 8,
-      hiddenLayers: [64, 32],
-      outputSize: 3, // BUY, SELL, HOLD
-      learningRate: 0.001,
-      epsilon: 1.0,
-      epsilonMin: 0.01,
-      epsilonDecay: 0.995,
-      gamma: 0.95,
-      memorySize: 10000,
-      batchSize: 32,
-      tau: 0.001
-    };
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    if (this.config.seed === null || this.config.seed === undefined) {
+      this.config.seed = SeededRandom.createSeed();
+    }
 
-    this.memory = [];
-    this.onlineNetwork = [];
-    this.targetNetwork = [];
-    this.epsilon = this.config.epsilon;
-    this.totalSteps = 0;
-    this.totalEpisodes = 0;
+    this.metadataModel = dependencies.metadataModel || AIModelMetadata;
+    this.weightsModel = dependencies.weightsModel || NeuralModelWeightsModel;
+    this.now = dependencies.now || (() => Date.now());
 
     this.initializeNetworks();
 
     this.logger.info('🧠 Neural Trading Agent initialized', {
       config: this.config,
-      networkArchitecture: `${this.config.inputSize} -> ${this.config.hiddenLayers.join(' -> ')} -> ${this.config.outputSize}`
+      networkArchitecture: this.getArchitecture()
     });
   }
 
   /**
-   * Context7 Pattern: Initialize neural networks
+   * Context7 Pattern: Initialize networks, optimizer and replay memory from the seed
    */
   initializeNetworks() {
-    this.execute(async() => {
-      this.onlineNetwork = this.createNetwork();
-      this.targetNetwork = this.createNetwork();
-      this.updateTargetNetwork();
-
-      this.logger.debug('✅ Neural networks initialized successfully');
-    }, 'operation', { logSuccess: false });
-  }
-
-  /**
-   * Context7 Pattern: Create neural network with Xavier initialization
-   */
-  createNetwork() {
-    const layers = [this.config.inputSize, ...this.config.hiddenLayers, this.config.outputSize];
-    const network = [];
-
-    for (let i = 0; i < layers.length - 1; i++) {
-      const weights = [];
-      const connectionCount = layers[i] * layers[i + 1];
-
-      for (let j = 0; j < connectionCount; j++) {
-        // Xavier initialization
-        weights.push((Math.random() - 0.5) * 2 * Math.sqrt(6 / (layers[i] + layers[i + 1])));
-      }
-      network.push(weights);
-    }
+    this.random = new SeededRandom(this.config.seed);
+    this.onlineNetwork = new NeuralNetwork(this.getLayerSizes(), { random: this.random });
+    this.targetNetwork = this.onlineNetwork.clone();
+    this.optimizer = createOptimizer({ type: this.config.optimizer, learningRate: this.config.learningRate });
+    this.memory = this.createReplayBuffer();
+    this.epsilon = this.config.epsilon;
+    this.totalSteps = 0;
+    this.totalEpisodes = 0;
+    this.lastLoss = null;
+    // { modelId, version } after saveModel()/loadSavedModel(); null for unsaved weights
+    this.loadedModel = null;
 
-    return network;
+    this.logger.debug('✅ Neural networks initialized successfully');
   }
 
   /**
    * Context7 Pattern: Predict trading action from market state
+   * @param {Object} state - Market state (see encodeState)
+   * @param {Object} options - { explore: false } always takes the best Q-value action
    */
-  predict(state) {
-    this.execute(async() => {
+  async predict(state, { explore = true } = {}) {
+    return this.execute(async() => {
       const stateVector = this.encodeState(state);
-      const qValues = this.forwardPass(this.onlineNetwork, stateVector);
+      const qValues = this.onlineNetwork.forward(stateVector);
 
       let action;
       let confidence;
 
-      if (Math.random() < this.epsilon) {
+      if (explore && this.random.next() < this.epsilon) {
         // Exploration: random action
         action = this.getRandomAction(state.itemId);
         confidence = this.epsilon;
       } else {
         // Exploitation: best Q-value action
         action = this.getBestAction(state.itemId, qValues);
-        confidence = 1 - this.epsilon;
+        confidence = explore ? 1 - this.epsilon : Math.max(0, action.confidence);
       }
 
       const expectedReturn = Math.max(...qValues);
@@ -122,65 +132,39 @@ class NeuralTradingAgentService extends BaseService {
         expectedReturn,
         riskAssessment
       };
-    }, 'operation', { logSuccess: false });
+    }, 'predict', { logSuccess: false });
   }
 
   /**
    * Context7 Pattern: Encode market state to neural network input
+   * Missing fields encode as neutral values so they cannot turn the weights into NaN.
    */
   encodeState(state) {
     // Normalize state values to [0, 1] range for neural network
     return [
-      state.price / 10000000, // Normalize price (assuming max 10M GP)
-      state.volume / 1000, // Normalize volume
-      state.spread / 100, // Normalize spread percentage
-      state.volatility / 10, // Normalize volatility
-      (state.rsi - 50) / 50, // Normalize RSI to [-1, 1]
-      state.macd / 1000, // Normalize MACD
+      (state.price || 0) / 10000000, // Normalize price (assuming max 10M GP)
+      (state.volume || 0) / 1000, // Normalize volume
+      (state.spread || 0) / 100, // Normalize spread percentage
+      (state.volatility || 0) / 10, // Normalize volatility
+      ((state.rsi ?? 50) - 50) / 50, // Normalize RSI to [-1, 1]
+      (state.macd || 0) / 1000, // Normalize MACD
       state.trend === 'UP' ? 1 : state.trend === 'DOWN' ? -1 : 0,
-      (Date.now() - state.timestamp) / (24 * 60 * 60 * 1000) // Time decay (days)
+      (this.now() - (state.timestamp ?? this.now())) / (24 * 60 * 60 * 1000) // Time decay (days)
     ];
   }
 
-  /**
-   * Context7 Pattern: Forward pass through neural network
-   */
-  forwardPass(network, input) {
-    let current = [...input];
-
-    for (let layerIndex = 0; layerIndex < network.length; layerIndex++) {
-      const weights = network[layerIndex];
-      const inputSize = current.length;
-      const outputSize = weights.length / inputSize;
-      const nextLayer = [];
-
-      for (let i = 0; i < outputSize; i++) {
-        let sum = 0;
-        for (let j = 0; j < inputSize; j++) {
-          sum += current[j] * weights[i * inputSize + j];
-        }
-        // ReLU activation for hidden layers, linear for output
-        nextLayer.push(layerIndex < network.length - 1 ? Math.max(0, sum) : sum);
-      }
-      current = nextLayer;
-    }
-
-    return current;
-  }
-
   /**
    * Context7 Pattern: Generate random action for exploration
    */
   getRandomAction(itemId) {
-    const actions = ['BUY', 'SELL', 'HOLD'];
-    const actionType = actions[Math.floor(Math.random() * actions.length)];
+    const actionType = ACTIONS[this.random.nextInt(ACTIONS.length)];
 
     return {
       type: actionType,
       itemId,
-      quantity: Math.floor(Math.random() * 100) + 1,
-      price: Math.floor(Math.random() * 1000000) + 1000,
-      confidence: Math.random(),
+      quantity: this.random.nextInt(100) + 1,
+      price: this.random.nextInt(1000000) + 1000,
+      confidence: this.random.next(),
       reason: 'Random exploration'
     };
   }
@@ -190,10 +174,9 @@ class NeuralTradingAgentService extends BaseService {
    */
   getBestAction(itemId, qValues) {
     const actionIndex = qValues.indexOf(Math.max(...qValues));
-    const actions = ['BUY', 'SELL', 'HOLD'];
 
     return {
-      type: actions[actionIndex] || 'HOLD',
+      type: ACTIONS[actionIndex] || 'HOLD',
       itemId,
       quantity: Math.floor(Math.abs(qValues[actionIndex]) * 10) + 1,
       price: Math.floor(Math.abs(qValues[actionIndex]) * 100000) + 1000,
@@ -230,93 +213,247 @@ class NeuralTradingAgentService extends BaseService {
 
   /**
    * Context7 Pattern: Memorize experience for replay
+   * States are encoded now, so the time-decay input reflects when the experience happened.
+   * @param {Object} experience - { state, action, reward, nextState, done }; action is a type, index or { type }
    */
   memorizeExperience(experience) {
-    this.memory.push(experience);
-
-    // Keep memory within bounds
-    if (this.memory.length > this.config.memorySize) {
-      this.memory.shift();
+    const actionIndex = this.getActionIndex(experience.action);
+    if (actionIndex === -1) {
+      throw ErrorHandler.createValidationError(`Experience action must be one of ${ACTIONS.join(', ')}`, {
+        action: experience.action
+      });
     }
 
+    this.memory.add({
+      ...experience,
+      actionIndex,
+      done: Boolean(experience.done),
+      stateVector: experience.stateVector || this.encodeState(experience.state),
+      nextStateVector: experience.nextStateVector || this.encodeState(experience.nextState || experience.state)
+    });
+
     this.logger.debug('🧠 Experience memorized', {
-      memorySize: this.memory.length,
+      memorySize: this.memory.size,
       reward: experience.reward.toFixed(3),
-      action: experience.action.type
+      action: ACTIONS[actionIndex]
     });
   }
 
   /**
    * Context7 Pattern: Train neural network on batch
+   * One optimizer step on a prioritized batch, then epsilon decay and a soft target update.
+   * @returns {Promise<number>} Importance-weighted average Huber loss (0 until batchSize experiences exist)
    */
-  trainOnBatch() {
-    if (this.memory.length < this.config.batchSize) {
+  async trainOnBatch() {
+    if (this.memory.size < this.config.batchSize) {
       return 0;
     }
 
-    this.execute(async() => {
-      const batch = this.sampleBatch();
+    return this.execute(async() => {
+      const { experiences, indices, weights } = this.memory.sample(this.config.batchSize);
+      const gradients = this.onlineNetwork.createGradients();
+      const tdErrors = [];
       let totalLoss = 0;
 
-      for (const experience of batch) {
-        const currentQ = this.forwardPass(this.onlineNetwork, this.encodeState(experience.state));
-        const nextQ = this.forwardPass(this.targetNetwork, this.encodeState(experience.nextState));
-
-        // Bellman equation: Q(s,a) = r + γ * max(Q(s',a'))
-        const targetValue = experience.reward +
-          (experience.done ? 0 : this.config.gamma * Math.max(...nextQ));
+      experiences.forEach((experience, position) => {
+        const cache = this.onlineNetwork.forwardWithCache(experience.stateVector);
+        const tdError = this.calculateTargetValue(experience) - cache.output[experience.actionIndex];
+        tdErrors.push(tdError);
+        totalLoss += weights[position] * this.huberLoss(tdError);
 
-        const actionIndex = this.getActionIndex(experience.action);
-        const currentValue = currentQ[actionIndex];
+        // dHuber/dQ(s,a) = -clip(tdError, -delta, delta); averaged over the batch
+        const outputGradient = new Array(this.config.outputSize).fill(0);
+        outputGradient[experience.actionIndex] = -weights[position] * this.clipTdError(tdError) / experiences.length;
+        this.onlineNetwork.backward(cache, outputGradient, gradients);
+      });
 
-        const loss = Math.pow(targetValue - currentValue, 2);
-        totalLoss += loss;
+      this.optimizer.step(this.onlineNetwork, gradients);
+      this.memory.updatePriorities(indices, tdErrors);
 
-        // Gradient descent update (simplified)
-        this.updateWeights(experience, targetValue, currentValue);
-      }
-
-      // Update epsilon
       this.updateEpsilon();
-
-      // Update target network periodically
-      if (this.totalSteps % Math.floor(1 / this.config.tau) === 0) {
-        this.updateTargetNetwork();
-      }
+      this.updateTargetNetwork();
 
       this.totalSteps++;
-      const averageLoss = totalLoss / batch.length;
+      const averageLoss = totalLoss / experiences.length;
+      this.lastLoss = averageLoss;
 
       this.logger.debug('🎓 Training batch completed', {
-        batchSize: batch.length,
+        batchSize: experiences.length,
         averageLoss: averageLoss.toFixed(6),
         epsilon: this.epsilon.toFixed(3),
         totalSteps: this.totalSteps
       });
 
       return averageLoss;
-    }, 'operation', { logSuccess: false });
+    }, 'trainOnBatch', { logSuccess: false });
+  }
+
+  /**
+   * Context7 Pattern: Versioned model snapshot
+   * Includes the optimizer moments and generator state, so loading it continues training exactly.
+   */
+  serializeModel() {
+    return {
+      formatVersion: MODEL_FORMAT_VERSION,
+      modelType: MODEL_TYPE,
+      config: { ...this.config, hiddenLayers: [...this.config.hiddenLayers] },
+      onlineNetwork: this.onlineNetwork.toJSON(),
+      targetNetwork: this.targetNetwork.toJSON(),
+      optimizer: this.optimizer.toJSON(),
+      training: {
+        epsilon: this.epsilon,
+        totalSteps: this.totalSteps,
+        totalEpisodes: this.totalEpisodes,
+        lastLoss: this.lastLoss,
+        replayBeta: this.memory.beta,
+        randomState: this.random.getState()
+      }
+    };
   }
 
   /**
-   * Context7 Pattern: Load model from JSON
+   * Context7 Pattern: Load a serializeModel() snapshot (object or JSON string)
+   * Replay memory is not part of the format and starts empty.
+   * @throws {Error} 400 validation error for unreadable data or other format versions
    */
-  loadModel(modelData) {
-    this.execute(async() => {
-      const data = JSON.parse(modelData);
-      this.config = data.config;
-      this.onlineNetwork = data.onlineNetwork;
-      this.targetNetwork = data.onlineNetwork.map(layer => [...layer]);
-      this.epsilon = data.epsilon;
-      this.totalSteps = data.totalSteps;
-      this.totalEpisodes = data.totalEpisodes || 0;
+  async loadModel(modelData) {
+    // Checked outside execute() so the validation error keeps its 400 status
+    const model = this.parseModel(modelData);
+
+    return this.execute(async() => {
+      this.config = model.config;
+      this.onlineNetwork = model.onlineNetwork;
+      this.targetNetwork = model.targetNetwork;
+      this.optimizer = model.optimizer;
+      this.random = new SeededRandom(0);
+      this.random.setState(model.training.randomState ?? model.config.seed);
+      this.memory = this.createReplayBuffer();
+      this.memory.beta = model.training.replayBeta ?? this.memory.beta;
+      this.epsilon = model.training.epsilon;
+      this.totalSteps = model.training.totalSteps || 0;
+      this.totalEpisodes = model.training.totalEpisodes || 0;
+      this.lastLoss = model.training.lastLoss ?? null;
+      this.loadedModel = null;
 
       this.logger.info('📁 Model loaded successfully', {
-        version: data.version,
+        formatVersion: MODEL_FORMAT_VERSION,
         epsilon: this.epsilon,
         totalSteps: this.totalSteps
       });
-    }, 'operation', { logSuccess: false });
+
+      return this.getNetworkInfo();
+    }, 'loadModel', { logSuccess: false });
+  }
+
+  /**
+   * Context7 Pattern: Persist the model and register it in AIModelMetadata
+   * Weights go to NeuralModelWeightsModel; the metadata record links them through storagePath and checksum.
+   * @param {Object} options - { modelId, version, status, description, tags, createdBy, performanceMetrics, rewardFunction }
+   * @returns {Promise<Object>} { modelId, version, status, storagePath, storageSize, checksum, formatVersion }
+   * @throws {Error} 400 for invalid ids/versions, 409 if the modelId is taken
+   */
+  async saveModel(options = {}) {
+    const {
+      modelId = `neural-dqn-${this.now()}`,
+      version = '1.0.0',
+      status = 'testing',
+      description,
+      tags = [],
+      createdBy = 'system',
+      performanceMetrics = {},
+      rewardFunction
+    } = options;
+
+    // Checked outside execute() so the validation error keeps its 400 status
+    if (!/^[a-zA-Z0-9_-]{1,100}$/.test(modelId)) {
+      throw ErrorHandler.createValidationError('modelId must be 1-100 alphanumeric characters, hyphens or underscores');
+    }
+    if (!/^[0-9]+\.[0-9]+(\.[0-9]+)?$/.test(version)) {
+      throw ErrorHandler.createValidationError('version must follow semantic versioning (e.g. 1.0.0)');
+    }
+    const existing = await this.metadataModel.findOne({ modelId }).select('modelId').lean();
+    if (existing) {
+      throw ErrorHandler.createError(`Model ${modelId} already exists`, 409, { modelId });
+    }
+
+    return this.execute(async() => {
+      const data = JSON.stringify(this.serializeModel());
+      const checksum = this.calculateChecksum(data);
+      const storageSize = Buffer.byteLength(data);
+      const storagePath = `neural_model_weights/${modelId}`;
+
+      await this.weightsModel.create({ modelId, formatVersion: MODEL_FORMAT_VERSION, checksum, data });
+      try {
+        await this.metadataModel.create({
+          modelId,
+          version,
+          status,
+          description,
+          tags,
+          createdBy,
+          trainingDate: new Date(this.now()),
+          trainingEpisodes: this.totalEpisodes,
+          performanceMetrics,
+          ...(rewardFunction ? { rewardFunction } : {}),
+          technicalMetrics: {
+            modelSize: storageSize,
+            parameters: this.calculateTotalParameters(),
+            averageLoss: this.lastLoss ?? 0,
+            averageReward: this.getMemoryStats().averageReward,
+            epsilon: this.epsilon,
+            learningRate: this.config.learningRate
+          },
+          modelConfig: {
+            architecture: this.getArchitecture(),
+            hyperparameters: { ...this.config },
+            trainingParameters: {
+              modelType: MODEL_TYPE,
+              formatVersion: MODEL_FORMAT_VERSION,
+              optimizer: this.config.optimizer,
+              seed: this.config.seed,
+              totalSteps: this.totalSteps
+            }
+          },
+          storagePath,
+          storageSize,
+          checksum
+        });
+      } catch (error) {
+        // No metadata record, no weights: keep the two collections in step
+        await this.weightsModel.deleteOne({ modelId }).catch(() => {});
+        throw error;
+      }
+
+      this.loadedModel = { modelId, version };
+      this.logger.info('💾 Model saved', { modelId, version, storageSize });
+      return { modelId, version, status, storagePath, storageSize, checksum, formatVersion: MODEL_FORMAT_VERSION };
+    }, 'saveModel', { logSuccess: true });
+  }
+
+  /**
+   * Context7 Pattern: Load a model saved with saveModel()
+   * @returns {Promise<Object|null>} { modelId, version, ...getNetworkInfo() } or null if no such model
+   * @throws {Error} 500 error when the stored weights are missing or fail the checksum
+   */
+  async loadSavedModel(modelId) {
+    const metadata = await this.metadataModel.findOne({ modelId }).lean();
+    if (!metadata) {
+      return null;
+    }
+
+    // Checked outside execute() so the integrity errors keep their details
+    const weights = await this.weightsModel.findOne({ modelId }).lean();
+    if (!weights) {
+      throw ErrorHandler.createError(`Weights for model ${modelId} are missing`, 500, { storagePath: metadata.storagePath });
+    }
+    const checksum = this.calculateChecksum(weights.data);
+    if (checksum !== weights.checksum || (metadata.checksum && checksum !== metadata.checksum)) {
+      throw ErrorHandler.createError(`Weights for model ${modelId} failed the checksum`, 500, { expected: metadata.checksum, actual: checksum });
+    }
+
+    const info = await this.loadModel(weights.data);
+    this.loadedModel = { modelId, version: metadata.version };
+    return { modelId, version: metadata.version, ...info };
   }
 
   /**
@@ -324,34 +461,27 @@ class NeuralTradingAgentService extends BaseService {
    */
   getNetworkInfo() {
     return {
-      architecture: `${this.config.inputSize} -> ${this.config.hiddenLayers.join(' -> ')} -> ${this.config.outputSize}`,
+      architecture: this.getArchitecture(),
       totalParameters: this.calculateTotalParameters(),
+      formatVersion: MODEL_FORMAT_VERSION,
+      epsilon: this.epsilon,
+      totalSteps: this.totalSteps,
       config: this.config
     };
   }
 
   /**
-   * Context7 Pattern: Calculate total network parameters
+   * Context7 Pattern: Calculate total network parameters (weights and biases)
    */
   calculateTotalParameters() {
-    const layers = [this.config.inputSize, ...this.config.hiddenLayers, this.config.outputSize];
-    let totalParams = 0;
-
-    for (let i = 0; i < layers.length - 1; i++) {
-      totalParams += layers[i] * layers[i + 1];
-    }
-
-    return totalParams;
+    return this.onlineNetwork.parameterCount();
   }
 
   /**
    * Context7 Pattern: Reset agent for new training
+   * Same seed, same starting weights.
    */
   reset() {
-    this.memory = [];
-    this.epsilon = this.config.epsilon;
-    this.totalSteps = 0;
-    this.totalEpisodes = 0;
     this.initializeNetworks();
 
     this.logger.info('🔄 Neural agent reset successfully');
@@ -361,7 +491,7 @@ class NeuralTradingAgentService extends BaseService {
    * Context7 Pattern: Get memory statistics
    */
   getMemoryStats() {
-    if (this.memory.length === 0) {
+    if (this.memory.size === 0) {
       return {
         size: 0,
         capacity: this.config.memorySize,
@@ -370,18 +500,130 @@ class NeuralTradingAgentService extends BaseService {
       };
     }
 
-    const rewards = this.memory.map(exp => exp.reward);
+    const rewards = this.memory.toArray().map(exp => exp.reward);
     const averageReward = rewards.reduce((a, b) => a + b, 0) / rewards.length;
     const minReward = Math.min(...rewards);
     const maxReward = Math.max(...rewards);
 
     return {
-      size: this.memory.length,
+      size: this.memory.size,
       capacity: this.config.memorySize,
       averageReward,
       rewardRange: { min: minReward, max: maxReward }
     };
   }
+
+  // Private methods
+
+  getLayerSizes() {
+    return [this.config.inputSize, ...this.config.hiddenLayers, this.config.outputSize];
+  }
+
+  getArchitecture() {
+    return this.getLayerSizes().join(' -> ');
+  }
+
+  getActionIndex(action) {
+    if (typeof action === 'number') {
+      return action >= 0 && action < ACTIONS.length ? action : -1;
+    }
+    return ACTIONS.indexOf(typeof action === 'string' ? action : action?.type);
+  }
+
+  createReplayBuffer() {
+    const prioritized = this.config.prioritizedReplay;
+    // alpha = 0 and beta = 0 make sampling uniform with unit weights
+    return new PrioritizedReplayBuffer({
+      capacity: this.config.memorySize,
+      alpha: prioritized ? this.config.priorityAlpha : 0,
+      beta: prioritized ? this.config.priorityBeta : 0,
+      betaIncrement: prioritized ? this.config.priorityBetaIncrement : 0
+    }, this.random);
+  }
+
+  /**
+   * Bellman target r + gamma * Q_target(s', a')
+   * Double DQN takes a' from the online network; plain DQN takes the target network's max.
+   */
+  calculateTargetValue(experience) {
+    if (experience.done) {
+      return experience.reward;
+    }
+
+    const nextTargetQ = this.targetNetwork.forward(experience.nextStateVector);
+    if (!this.config.doubleDqn) {
+      return experience.reward + this.config.gamma * Math.max(...nextTargetQ);
+    }
+
+    const nextOnlineQ = this.onlineNetwork.forward(experience.nextStateVector);
+    const nextAction = nextOnlineQ.indexOf(Math.max(...nextOnlineQ));
+    return experience.reward + this.config.gamma * nextTargetQ[nextAction];
+  }
+
+  huberLoss(tdError) {
+    const delta = this.config.huberDelta;
+    const absolute = Math.abs(tdError);
+    return absolute <= delta ? 0.5 * tdError * tdError : delta * (absolute - 0.5 * delta);
+  }
+
+  clipTdError(tdError) {
+    return Math.max(-this.config.huberDelta, Math.min(this.config.huberDelta, tdError));
+  }
+
+  updateEpsilon() {
+    this.epsilon = Math.max(this.config.epsilonMin, this.epsilon * this.config.epsilonDecay);
+  }
+
+  updateTargetNetwork() {
+    this.targetNetwork.blendFrom(this.onlineNetwork, this.config.tau);
+  }
+
+  calculateChecksum(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+  }
+
+  /**
+   * Validate serialized data and build the networks and optimizer it describes
+   */
+  parseModel(modelData) {
+    let data;
+    try {
+      data = typeof modelData === 'string' ? JSON.parse(modelData) : JSON.parse(JSON.stringify(modelData));
+    } catch (error) {
+      throw ErrorHandler.createValidationError('Model data is not valid JSON', { reason: error.message });
+    }
+
+    if (!data || data.formatVersion !== MODEL_FORMAT_VERSION || data.modelType !== MODEL_TYPE) {
+      throw ErrorHandler.createValidationError(
+        `Unsupported model format (expected ${MODEL_TYPE} v${MODEL_FORMAT_VERSION}); models saved before versioning must be retrained`,
+        { formatVersion: data?.formatVersion, modelType: data?.modelType }
+      );
+    }
+
+    try {
+      const config = { ...DEFAULT_CONFIG, ...data.config };
+      const layerSizes = [config.inputSize, ...config.hiddenLayers, config.outputSize];
+      const onlineNetwork = NeuralNetwork.fromJSON(data.onlineNetwork);
+      const targetNetwork = NeuralNetwork.fromJSON(data.targetNetwork);
+      if (onlineNetwork.layerSizes.join() !== layerSizes.join() || targetNetwork.layerSizes.join() !== layerSizes.join()) {
+        throw new Error(`Network layers do not match the ${layerSizes.join(' -> ')} architecture in config`);
+      }
+
+      return {
+        config,
+        onlineNetwork,
+        targetNetwork,
+        optimizer: createOptimizer(data.optimizer),
+        training: data.training || {}
+      };
+    } catch (error) {
+      throw ErrorHandler.createValidationError(`Invalid model data: ${error.message}`);
+    }
+  }
 }
 
-module.exports = { NeuralTradingAgentService };
+module.exports = {
+  NeuralTradingAgentService,
+  MODEL_FORMAT_VERSION,
+  ACTIONS
+};
@@ -24,6 +24,7 @@ const { MarketDataProcessingService } = require('./consolidated/MarketDataProces
 const { FinancialCalculationService } = require('./consolidated/FinancialCalculationService');
 const { ItemModel } = require('../models/ItemModel');
 const { ScrapeQueueModel } = require('../models/ScrapeQueueModel');
+const { AppConstants } = require('../config/AppConstants');
 const TimeConstants = require('../utils/TimeConstants');
 const DateRangeUtil = require('../utils/DateRangeUtil');
 
@@ -188,6 +189,40 @@ class OSRSDataScraperService extends BaseService {
     }, 'scrapeFromMapping', { logSuccess: true });
   }
 
+  /**
+   * SOLID: Items on a GE top 100 list - Delegates to FetchService
+   * @param {string} listName - Key of AppConstants.EXTERNAL_API.OSRS_GE.TOP100_LISTS, e.g. 'mostTraded'
+   * @returns {Promise<Array<Object>>} { rank, itemId, name }
+   */
+  async scrapeCategoryList(listName) {
+    const listId = AppConstants.EXTERNAL_API.OSRS_GE.TOP100_LISTS[listName];
+    if (listId === undefined) {
+      throw new Error(`Unknown top 100 list: ${listName}`);
+    }
+
+    return this.execute(async() => {
+      return this.fetchService.fetchTop100List(listId);
+    }, 'scrapeCategoryList', { logSuccess: true });
+  }
+
+  /**
+   * SOLID: 6-month daily price history from the item's GE price graph - Delegates to FetchService
+   * @returns {Promise<Array<Object>>} { timestamp, price, averagePrice }, oldest first
+   */
+  async scrapeIndividualItemPage(itemId) {
+    return this.execute(async() => {
+      const graph = await this.fetchService.fetchItemPriceGraph(itemId);
+
+      return Object.entries(graph.daily || {})
+        .map(([timestamp, price]) => ({
+          timestamp: Number(timestamp),
+          price,
+          averagePrice: graph.average?.[timestamp] ?? null
+        }))
+        .sort((a, b) => a.timestamp - b.timestamp);
+    }, 'scrapeIndividualItemPage');
+  }
+
   /**
    * SOLID: Process scraped data - Delegates to ProcessingService
    */
@@ -257,7 +292,8 @@ class OSRSDataScraperService extends BaseService {
       } = options;
 
       // Build query
-      const query = { status: 'pending' };
+      // Backfill job entries are processed by BackfillJobService
+      const query = { jobId: null, status: 'pending' };
       if (priority) query.priority = priority;
       if (source) query.source = source;
 
@@ -346,10 +382,11 @@ class OSRSDataScraperService extends BaseService {
    */
   async getQueueStatus() {
     return this.execute(async () => {
+      // Legacy queue only; backfill job items are reported by BackfillJobService
 const [pending, completed, failed] = await Promise.all([
-        ScrapeQueueModel.countDocuments({ status: 'pending' }),
-        ScrapeQueueModel.countDocuments({ status: 'completed' }),
-        ScrapeQueueModel.countDocuments({ status: 'failed' })
+        ScrapeQueueModel.countDocuments({ jobId: null, status: 'pending' }),
+        ScrapeQueueModel.countDocuments({ jobId: null, status: 'completed' }),
+        ScrapeQueueModel.countDocuments({ jobId: null, status: 'failed' })
       ]);
 
       return {
@@ -369,7 +406,9 @@ const [pending, completed, failed] = await Promise.all([
     return this.execute(async () => {
       const cutoff = DateRangeUtil.getCutoffDate(maxAgeMs);
       
+      // Backfill job items stay as the job's per-item progress record
       const deleted = await ScrapeQueueModel.deleteMany({
+        jobId: null,
         $or: [
           { status: 'completed', completedAt: { $lt: cutoff } },
           { status: 'failed', failedAt: { $lt: cutoff } }
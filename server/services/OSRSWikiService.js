@@ -11,9 +11,11 @@
 const axios = require('axios');
 const { BaseService } = require('./BaseService');
 const { RateLimiter } = require('../utils/RateLimiter');
+const { AppConstants } = require('../config/AppConstants');
+const TimeConstants = require('../utils/TimeConstants');
 
 class OSRSWikiService extends BaseService {
-  constructor() {
+  constructor(dependencies = {}) {
     super('OSRSWikiService', {
       enableCache: true,
       cachePrefix: 'osrs_wiki',
@@ -49,7 +51,8 @@ class OSRSWikiService extends BaseService {
     this.ITEM_RATE_LIMIT_MS = TimeConstants.FIVE_MINUTES; // 5 minutes in milliseconds
 
     // OSRS Wiki API configuration
-    this.baseURL = 'https://prices.runescape.wiki/api/v1/osrs';
+    this.baseURL = (dependencies.baseURL || AppConstants.EXTERNAL_API.OSRS_WIKI.BASE_URL).replace(/\/$/, '');
+    this.httpClient = dependencies.httpClient || axios;
     this.userAgent = 'OSRS-Market-Tracker/1.0 (Educational AI Trading Research; Contact: github.com/your-repo/issues)';
     this.timeout = 10000; // 10 seconds
 
@@ -152,10 +155,116 @@ class OSRSWikiService extends BaseService {
     return null;
   }
 
+  /**
+   * Context7 Pattern: Cached GET against the configured Wiki price API
+   * @param {string} endpoint - Path relative to the base URL, e.g. '/latest'
+   * @param {Object} options - { params, cacheKey, ttl }
+   * @returns {Promise<Object>} Response body
+   */
+  async fetchWikiEndpoint(endpoint, { params, cacheKey, ttl }) {
+    const cached = this.cache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    if (!this.checkCircuitBreaker()) {
+      throw new Error(`OSRS Wiki API unavailable - circuit breaker open for ${endpoint}`);
+    }
+
+    try {
+      const response = await this.httpClient.get(`${this.baseURL}${endpoint}`, {
+        ...this.axiosConfig,
+        params
+      });
+
+      this.recordSuccess();
+      this.cache.set(cacheKey, response.data, ttl);
+      return response.data;
+    } catch (error) {
+      this.recordFailure(error);
+
+      const status = error.response?.status;
+      const wrapped = new Error(`OSRS Wiki API ${endpoint} failed: ${status ? `HTTP ${status}` : error.message}`);
+      wrapped.status = status;
+      // Rate-limited callers should wait as long as the API asks
+      const retryAfter = parseInt(error.response?.headers?.['retry-after']);
+      wrapped.retryAfterMs = Number.isFinite(retryAfter) ? retryAfter * 1000 : null;
+      throw wrapped;
+    }
+  }
+
   /**
    * Context7 Pattern: Get latest item prices with BaseService optimization
    */
   async getLatestPrices() {
+    return this.execute(async() => {
+      const data = await this.fetchWikiEndpoint('/latest', {
+        cacheKey: 'latest_prices',
+        ttl: this.cacheConfig.latest_prices
+      });
+      return this.transformLatestPrices(data);
+    }, 'getLatestPrices', { logSuccess: true });
+  }
+
+  /**
+   * Context7 Pattern: Get 5-minute average prices
+   */
+  async get5MinutePrices() {
+    return this.execute(async() => {
+      const data = await this.fetchWikiEndpoint('/5m', {
+        cacheKey: '5m_prices',
+        ttl: this.cacheConfig['5m_prices']
+      });
+      return this.transform5MinutePrices(data);
+    }, 'get5MinutePrices', { logSuccess: true });
+  }
+
+  /**
+   * Context7 Pattern: Get 1-hour average prices
+   */
+  async get1HourPrices() {
+    return this.execute(async() => {
+      const data = await this.fetchWikiEndpoint('/1h', {
+        cacheKey: '1h_prices',
+        ttl: this.cacheConfig['1h_prices']
+      });
+      return this.transform1HourPrices(data);
+    }, 'get1HourPrices', { logSuccess: true });
+  }
+
+  /**
+   * Context7 Pattern: Get item mapping (names, alch values, buy limits)
+   */
+  async getItemMapping() {
+    return this.execute(async() => {
+      const data = await this.fetchWikiEndpoint('/mapping', {
+        cacheKey: 'item_mapping',
+        ttl: this.cacheConfig.item_mapping
+      });
+      return this.transformItemMapping(data);
+    }, 'getItemMapping', { logSuccess: true });
+  }
+
+  /**
+   * Context7 Pattern: Get price timeseries for one item
+   * @param {number} itemId - Item ID
+   * @param {string} timestep - '5m', '1h', '6h' or '24h'
+   */
+  async getTimeseries(itemId, timestep = '5m') {
+    return this.execute(async() => {
+      const data = await this.fetchWikiEndpoint('/timeseries', {
+        params: { id: itemId, timestep },
+        cacheKey: `timeseries_${itemId}_${timestep}`,
+        ttl: this.cacheConfig.timeseries
+      });
+      return this.transformTimeseriesData(data, itemId, timestep);
+    }, 'getTimeseries', { logSuccess: true });
+  }
+
+  /**
+   * Context7 Pattern: Search items by name in the mapping
+   */
+  async searchItems(query, limit = 10) {
     return this.execute(async() => {
       this.logger.debug('Searching items', { query, limit });
 
@@ -180,7 +289,7 @@ class OSRSWikiService extends BaseService {
         total: searchResults.length,
         timestamp: Date.now()
       };
-    }, 'getLatestPrices', { logSuccess: true });
+    }, 'searchItems', { logSuccess: true });
   }
 
   /**
@@ -220,7 +329,7 @@ class OSRSWikiService extends BaseService {
   /**
    * Context7 Pattern: Get specific item data with per-item rate limiting
    */
-  async getItemData() {
+  async getItemData(itemId) {
     return this.execute(async() => {
       this.logger.debug('Fetching item data', { itemId });
 
@@ -302,7 +411,7 @@ class OSRSWikiService extends BaseService {
   /**
    * Context7 Pattern: Get bulk item data with per-item rate limiting
    */
-  async getBulkItemData() {
+  async getBulkItemData(itemIds) {
     return this.execute(async() => {
       this.logger.debug('Fetching bulk item data', { itemCount: itemIds.length });
 
@@ -437,7 +546,7 @@ class OSRSWikiService extends BaseService {
       const startTime = Date.now();
 
       // Make a simple request to check API health
-      const response = await axios.get(`${this.baseURL}/latest`, {
+      const response = await this.httpClient.get(`${this.baseURL}/latest`, {
         ...this.axiosConfig,
         timeout: 5000 // Shorter timeout for status check
       });
@@ -515,7 +624,9 @@ class OSRSWikiService extends BaseService {
       lowalch: item.lowalch,
       highalch: item.highalch,
       weight: item.weight,
-      buy_limit: item.buy_limit
+      // The Wiki API calls the GE buy limit 'limit'
+      limit: item.limit,
+      buy_limit: item.limit
     }));
   }
 
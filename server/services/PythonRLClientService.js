@@ -14,6 +14,7 @@
 
 const axios = require('axios');
 const { BaseService } = require('./BaseService');
+const { ErrorHandler } = require('../middleware/ErrorHandler');
 
 class PythonRLClientService extends BaseService {
   constructor(config) {
@@ -25,7 +26,7 @@ class PythonRLClientService extends BaseService {
       retryAttempts: config?.retryAttempts || 3,
       retryDelay: config?.retryDelay || 1000
     });
-    
+
     this.config = {
       baseUrl: config?.baseUrl || process.env.PYTHON_RL_SERVICE_URL || 'http://localhost:8000',
       timeout: config?.timeout || 30000, // 30 seconds
@@ -82,7 +83,7 @@ class PythonRLClientService extends BaseService {
       },
       (error) => {
         // Error handling moved to centralized manager - context: Response interceptor error
-        this.onFailure();
+        this.onFailure(error);
         return Promise.reject(error);
       }
     );
@@ -101,7 +102,7 @@ class PythonRLClientService extends BaseService {
    * @returns {Promise<Object>} Prediction result with action and confidence
    */
   async predict(features) {
-    return this.execute(async () => {
+    return this.execute(async() => {
       this.logger.debug('Requesting prediction from Python RL service', {
         featureCount: features.length,
         features: features.slice(0, 5) // Log first 5 features for debugging
@@ -147,7 +148,7 @@ class PythonRLClientService extends BaseService {
    * @returns {Promise<Object>} Training result with metrics
    */
   async train(trainingData) {
-    return this.execute(async () => {
+    return this.execute(async() => {
       this.logger.debug('Sending training data to Python RL service', {
         experienceCount: trainingData.length,
         dataSize: JSON.stringify(trainingData).length
@@ -194,7 +195,7 @@ class PythonRLClientService extends BaseService {
    * @returns {Promise<Object>} Save result with model metadata
    */
   async saveModel(modelId) {
-    return this.execute(async () => {
+    return this.execute(async() => {
       this.logger.debug('Requesting model save from Python RL service', {
         modelId
       });
@@ -234,15 +235,12 @@ class PythonRLClientService extends BaseService {
    * @returns {Promise<Object>} Load result with model metadata
    */
   async loadModel(modelId) {
-    return this.execute(async () => {
+    return this.execute(async() => {
       this.logger.debug('Requesting model load from Python RL service', {
         modelId
       });
 
-      const response = await this.makeRequest('GET', `/api/v1/models/${modelId}`, null);
-        modelId: modelId,
-        timestamp: Date.now()
-      });
+      const response = await this.makeRequest('GET', `/api/v1/models/${modelId}`);
 
       const apiResponse = response.data;
       const loadResult = apiResponse.data || apiResponse;
@@ -272,7 +270,7 @@ class PythonRLClientService extends BaseService {
    * @returns {Promise<Object>} Training status and metrics
    */
   async getTrainingStatus() {
-    return this.execute(async () => {
+    return this.execute(async() => {
       this.logger.debug('Requesting training status from Python RL service');
 
       const response = await this.makeRequest('GET', '/api/v1/training/current');
@@ -310,7 +308,7 @@ class PythonRLClientService extends BaseService {
    * @returns {Promise<Object>} Performance metrics
    */
   async getModelMetrics(modelId) {
-    return this.execute(async () => {
+    return this.execute(async() => {
       this.logger.debug('Requesting model metrics from Python RL service', {
         modelId
       });
@@ -348,8 +346,8 @@ class PythonRLClientService extends BaseService {
    * @returns {Promise<Object>} Health status
    */
   async healthCheck() {
-    return this.execute(async () => {
-this.logger.debug('Performing health check on Python RL service');
+    return this.execute(async() => {
+      this.logger.debug('Performing health check on Python RL service');
 
       const response = await this.makeRequest('GET', '/api/v1/health');
       const apiResponse = response.data;
@@ -382,29 +380,83 @@ this.logger.debug('Performing health check on Python RL service');
    * @returns {Promise<Object>} HTTP response
    */
   async makeRequest(method, endpoint, data = null) {
-    return this.execute(async () => {
+    // Checked outside execute() so callers see the 503 status instead of a wrapped error
+    if (this.isCircuitOpen()) {
+      throw ErrorHandler.createError('Python RL service circuit breaker is open', 503, {
+        retryAt: this.circuitBreaker.lastFailureTime + this.config.circuitBreakerTimeout
+      });
+    }
+
+    return this.execute(async() => {
       const requestConfig = {
-          method: method.toLowerCase(),
-          url: endpoint
-        };
+        method: method.toLowerCase(),
+        url: endpoint
+      };
 
-        if (data && (method.toLowerCase() === 'post' || method.toLowerCase() === 'put')) {
-          requestConfig.data = data;
-        }
+      if (data && (method.toLowerCase() === 'post' || method.toLowerCase() === 'put')) {
+        requestConfig.data = data;
+      }
+
+      return this.httpClient.request(requestConfig);
+    }, 'makeRequest', { logSuccess: true });
+  }
+
+  /**
+   * Context7 Pattern: Circuit breaker state
+   * - closed: requests flow normally
+   * - open: circuitBreakerThreshold consecutive failures; requests fail fast for circuitBreakerTimeout
+   * - half_open: the timeout has passed; the next request decides whether the circuit closes again
+   *
+   * @returns {string} 'closed' | 'open' | 'half_open'
+   */
+  getCircuitState() {
+    if (!this.circuitBreaker.isOpen) {
+      return 'closed';
+    }
+    return Date.now() - this.circuitBreaker.lastFailureTime >= this.config.circuitBreakerTimeout ? 'half_open' : 'open';
+  }
 
-        const response = await this.httpClient.request(requestConfig);
+  isCircuitOpen() {
+    return this.getCircuitState() === 'open';
+  }
 
-        // Reset circuit breaker on success
-        if (this.circuitBreaker.failureCount > 0) {
-          this.circuitBreaker.failureCount = 0;
-          this.circuitBreaker.successCount++;
-          this.logger.info('Circuit breaker reset after successful request', {
-            successCount: this.circuitBreaker.successCount
-          });
-        }
+  /**
+   * Response interceptor hook: any answer from the service closes the circuit
+   */
+  onSuccess() {
+    if (this.circuitBreaker.isOpen || this.circuitBreaker.failureCount > 0) {
+      this.logger.info('Circuit breaker reset after successful request', {
+        previousFailures: this.circuitBreaker.failureCount
+      });
+    }
+    this.circuitBreaker.isOpen = false;
+    this.circuitBreaker.failureCount = 0;
+    this.circuitBreaker.successCount++;
+  }
 
-        return response;
-    }, 'makeRequest', { logSuccess: true });
+  /**
+   * Response interceptor hook: network errors and 5xx responses count towards opening the circuit
+   */
+  onFailure(error) {
+    if (error?.response && error.response.status < 500) {
+      // The service answered; a rejected request says nothing about its health
+      this.onSuccess();
+      return;
+    }
+
+    this.circuitBreaker.failureCount++;
+    this.circuitBreaker.lastFailureTime = Date.now();
+
+    // A failed half-open probe re-opens the circuit straight away
+    if (this.circuitBreaker.isOpen || this.circuitBreaker.failureCount >= this.config.circuitBreakerThreshold) {
+      if (!this.circuitBreaker.isOpen) {
+        this.logger.warn('Circuit breaker opened for Python RL service', {
+          failureCount: this.circuitBreaker.failureCount,
+          timeoutMs: this.config.circuitBreakerTimeout
+        });
+      }
+      this.circuitBreaker.isOpen = true;
+    }
   }
 }
 
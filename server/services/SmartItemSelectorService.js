@@ -12,9 +12,10 @@
 const { BaseService } = require('./BaseService');
 const { OSRSWikiService } = require('./OSRSWikiService');
 const { FinancialCalculationService } = require('./consolidated/FinancialCalculationService');
+const { getItemCategoryService } = require('./categories/ItemCategoryService');
 
 class SmartItemSelectorService extends BaseService {
-  constructor() {
+  constructor(dependencies = {}) {
     super('SmartItemSelectorService', {
       enableCache: true,
       cachePrefix: 'smart_item_selector',
@@ -22,8 +23,9 @@ class SmartItemSelectorService extends BaseService {
       enableMongoDB: false // No MongoDB needed for selection logic
     });
 
-    this.osrsWikiService = new OSRSWikiService();
+    this.osrsWikiService = dependencies.osrsWikiService || new OSRSWikiService();
     this.financialCalculator = new FinancialCalculationService();
+    this.categoryService = dependencies.categoryService || getItemCategoryService();
   }
 
   /**
@@ -202,36 +204,55 @@ class SmartItemSelectorService extends BaseService {
   /**
    * Context7 Pattern: Get items by category based on market performance
    */
-  async getItemsByCategory() {
+  async getItemsByCategory(category, limit = 20) {
     return this.execute(async() => {
       this.logger.debug('Getting items by category from market data', { category });
 
-      const cacheKey = `category_items_${category}_${limit}`;
-      const cached = this.getCachedResult(cacheKey);
-      if (cached) {
-        return cached;
-      }
+      return this.withCache(`category_items_${category}_${limit}`, async() => {
+        // Same stored taxonomy as /category/:category and /api/market-data/categories
+        const classifier = await this.categoryService.getClassifier();
+        const [latestPrices, itemMapping] = await Promise.all([
+          this.osrsWikiService.getLatestPrices(),
+          this.osrsWikiService.getItemMapping()
+        ]);
+
+        const priceData = latestPrices.data || {};
+        const categoryItems = [];
+
+        for (const itemInfo of itemMapping) {
+          const prices = priceData[itemInfo.id];
+          if (!prices || !prices.high || !prices.low) {
+            continue;
+          }
+          if (classifier.classify({ itemId: itemInfo.id, ...itemInfo }) !== category) {
+            continue;
+          }
 
-      if (!marketDataService) {
-        throw new Error('MarketDataService is required for category item selection');
-      }
+          const spread = prices.high - prices.low;
+          categoryItems.push({
+            itemId: itemInfo.id,
+            itemName: itemInfo.name,
+            category,
+            priceData: prices,
+            spread: spread,
+            spreadPercent: (spread / prices.low) * 100,
+            profitPotential: spread * 0.95, // Assume 5% tax
+            members: itemInfo.members,
+            tradeable: itemInfo.tradeable_on_ge
+          });
+        }
 
-      // Query for items in specific category
-      const categoryItems = await marketDataService.getMarketData({
-        category: category,
-        sortBy: 'profitPotential',
-        limit: limit,
-        timeRange: 24 * 60 * 60 * 1000 // Last 24 hours
-      });
+        const sortedItems = categoryItems
+          .sort((a, b) => b.profitPotential - a.profitPotential)
+          .slice(0, limit);
 
-      this.setCachedResult(cacheKey, categoryItems);
+        this.logger.debug('Successfully retrieved category items', {
+          category,
+          count: sortedItems.length
+        });
 
-      this.logger.debug('Successfully retrieved category items', {
-        category,
-        count: categoryItems.length
+        return sortedItems;
       });
-
-      return categoryItems;
     }, 'getItemsByCategory', { logSuccess: true });
   }
 
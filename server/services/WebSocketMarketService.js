@@ -0,0 +1,210 @@
+/**
+ * 📈 WebSocket Market Service - SOLID Compliant
+ *
+ * SOLID Principles Applied:
+ * - SRP: Delegates responsibilities to specialized services
+ * - OCP: Open for extension via composition
+ * - DIP: Depends on abstractions for connection and streaming management
+ *
+ * Responsibilities:
+ * - Orchestrates the market WebSocket channel (ws://<host>/market)
+ * - Routes subscribe/unsubscribe/resync messages to MarketStreamService
+ * - Publishes price deltas and flagged anomalies when MarketDataScheduler finishes a sync
+ *
+ * Client protocol:
+ * - { type: 'subscribe', itemIds: [4151], watchlists: ['user_default_001'] } -> 'snapshot'
+ * - { type: 'unsubscribe', itemIds?, watchlists? }
+ * - { type: 'resync', lastSeq } -> missed messages replayed, or a new 'snapshot'
+ * - Server pushes { type: 'price_delta', seq, items } after each sync
+ * - Server pushes { type: 'anomaly', data: { events } } to every client when the detector flags items
+ */
+
+const WebSocket = require('ws');
+const { BaseService } = require('./BaseService');
+const { WebSocketConnectionManager } = require('./websocket/WebSocketConnectionManager');
+const { MarketStreamService } = require('./websocket/MarketStreamService');
+const { WebSocketMessageBroadcaster } = require('./websocket/WebSocketMessageBroadcaster');
+
+class WebSocketMarketService extends BaseService {
+  constructor(server, options = {}, dependencies = {}) {
+    super('WebSocketMarketService', {
+      enableCache: false,
+      enableMongoDB: false
+    });
+
+    this.server = server;
+    this.options = {
+      path: options.path || '/market',
+      maxClients: options.maxClients || 200,
+      heartbeatInterval: options.heartbeatInterval || 30000,
+      maxMessageSize: options.maxMessageSize || 64 * 1024,
+      replayBufferSize: options.replayBufferSize || 50,
+      ...options
+    };
+
+    // SOLID: Composition over inheritance - delegate to specialized services
+    this.connectionManager = dependencies.connectionManager || new WebSocketConnectionManager({
+      maxClients: this.options.maxClients,
+      heartbeatInterval: this.options.heartbeatInterval
+    });
+
+    this.marketStream = dependencies.marketStream || new MarketStreamService(this.connectionManager, {
+      replayBufferSize: this.options.replayBufferSize
+    });
+
+    this.broadcaster = new WebSocketMessageBroadcaster(this.connectionManager, {
+      maxQueueSize: 1000,
+      batchSize: 10
+    });
+
+    this.wss = null;
+    this.isRunning = false;
+
+    if (this.server) {
+      this.initializeWebSocketServer();
+    }
+  }
+
+  /**
+   * SOLID: Attach the market channel to the HTTP server
+   */
+  initializeWebSocketServer() {
+    this.wss = new WebSocket.Server({
+      server: this.server,
+      path: this.options.path,
+      maxPayload: this.options.maxMessageSize
+    });
+
+    this.wss.on('connection', (ws, request) => {
+      const clientId = this.connectionManager.registerClient(ws, request);
+
+      if (clientId) {
+        this.handleClientMessages(clientId, ws);
+        this.broadcaster.sendToClient(clientId, {
+          type: 'connection',
+          status: 'connected',
+          clientId,
+          serverTime: new Date().toISOString()
+        });
+      }
+    });
+
+    this.wss.on('error', (error) => {
+      this.logger.error('Market WebSocket server error', { error: error.message });
+    });
+
+    this.connectionManager.startHeartbeat();
+    this.isRunning = true;
+
+    this.logger.info('✅ Market WebSocket channel initialized', { path: this.options.path });
+  }
+
+  handleClientMessages(clientId, ws) {
+    ws.on('message', async(message) => {
+      try {
+        const data = JSON.parse(message.toString());
+        await this.processClientMessage(clientId, data);
+      } catch (error) {
+        this.logger.warn('Invalid market message from client', {
+          clientId,
+          error: error.message
+        });
+        this.broadcaster.sendToClient(clientId, { type: 'error', message: error.message });
+      }
+    });
+  }
+
+  /**
+   * SOLID: Process client message - delegates to MarketStreamService
+   */
+  async processClientMessage(clientId, data) {
+    switch (data.type) {
+    case 'subscribe':
+      await this.marketStream.subscribeClient(clientId, {
+        itemIds: Array.isArray(data.itemIds) ? data.itemIds : [],
+        watchlists: Array.isArray(data.watchlists) ? data.watchlists : []
+      });
+      break;
+    case 'unsubscribe':
+      this.marketStream.unsubscribeClient(clientId, {
+        itemIds: data.itemIds,
+        watchlists: data.watchlists
+      });
+      break;
+    case 'resync':
+      await this.marketStream.resyncClient(clientId, data.lastSeq);
+      break;
+    case 'ping':
+      this.broadcaster.sendToClient(clientId, {
+        type: 'pong',
+        timestamp: Date.now()
+      });
+      break;
+    default:
+      this.logger.warn('Unknown market message type received', {
+        clientId,
+        type: data.type
+      });
+    }
+  }
+
+  // =================================================================
+  // PUBLIC API METHODS - SOLID Compliant
+  // =================================================================
+
+  /**
+   * Push price deltas to subscribers; called by MarketDataScheduler after each sync
+   */
+  async publishPriceUpdates() {
+    return this.marketStream.publishPriceUpdates();
+  }
+
+  /**
+   * Broadcast flagged anomalies to every client; called by MarketDataScheduler after detection
+   */
+  publishAnomalies(events) {
+    return this.broadcaster.broadcastToAll(
+      { type: 'anomaly', data: { events } },
+      { source: 'anomaly-detector', priority: 'high' }
+    );
+  }
+
+  /**
+   * Get service statistics
+   */
+  getStats() {
+    return {
+      connections: this.connectionManager.getConnectionStats(),
+      streaming: this.marketStream.getStreamingStats(),
+      server: {
+        isRunning: this.isRunning,
+        path: this.options.path
+      }
+    };
+  }
+
+  /**
+   * Shutdown the market channel
+   */
+  async shutdown() {
+    try {
+      this.isRunning = false;
+      this.connectionManager.closeAll();
+
+      if (this.wss) {
+        this.wss.close();
+      }
+
+      this.marketStream.clearStreams();
+      this.broadcaster.clearQueue();
+
+      this.logger.info('✅ Market WebSocket channel shutdown complete');
+    } catch (error) {
+      this.logger.error('Error during market WebSocket shutdown', {
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = { WebSocketMarketService };
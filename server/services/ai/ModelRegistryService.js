@@ -0,0 +1,452 @@
+/**
+ * 🗂️ Model Registry Service - Context7 Optimized
+ *
+ * Context7 Pattern: Lifecycle for saved NeuralTradingAgentService models
+ * - Lists AIModelMetadata records and their stored metrics
+ * - Compares two models by replaying both through the neural_agent backtest strategy
+ *   on the same snapshot window
+ * - Promotes one model to 'production' (demoting the previous one to 'testing') and
+ *   rolls back through ModelPromotionModel history
+ * - Inference and training load the production model through loadProductionModel()
+ *
+ * SOLID: Single responsibility for model lifecycle (weights I/O lives in the agent)
+ */
+
+const { BaseService } = require('../BaseService');
+const { AIModelMetadata } = require('../../models/AIModelMetadata');
+const { NeuralModelWeightsModel } = require('../../models/NeuralModelWeightsModel');
+const { ModelPromotionModel } = require('../../models/ModelPromotionModel');
+const { NeuralTradingAgentService } = require('../NeuralTradingAgentService');
+const { BacktestService } = require('../backtesting/BacktestService');
+const { isSameRewardDefinition } = require('./rewards/RewardFunctions');
+const { ErrorHandler } = require('../../middleware/ErrorHandler');
+const TimeConstants = require('../../utils/TimeConstants');
+
+// Only models that finished training and are not retired can go live
+const PROMOTABLE_STATUSES = ['testing'];
+
+// Backtest metrics reported side by side; deltas are candidate minus base
+const COMPARED_METRICS = [
+  'totalReturnPercent',
+  'totalReturnGp',
+  'sharpeRatio',
+  'maxDrawdownPercent',
+  'winRate',
+  'tradeCount',
+  'profitFactor'
+];
+
+let modelRegistryService = null;
+
+class ModelRegistryService extends BaseService {
+  /**
+   * @param {Object} dependencies - { metadataModel, weightsModel, promotionModel, backtestService, agentFactory, productionCacheMs, now }
+   */
+  constructor(dependencies = {}) {
+    super('ModelRegistryService', {
+      enableCache: false,
+      enableMongoDB: false // Uses Mongoose models directly
+    });
+
+    this.metadataModel = dependencies.metadataModel || AIModelMetadata;
+    this.weightsModel = dependencies.weightsModel || NeuralModelWeightsModel;
+    this.promotionModel = dependencies.promotionModel || ModelPromotionModel;
+    this.backtestService = dependencies.backtestService || new BacktestService();
+    this.agentFactory = dependencies.agentFactory || (() => new NeuralTradingAgentService({}, {
+      metadataModel: this.metadataModel,
+      weightsModel: this.weightsModel
+    }));
+    this.productionCacheMs = dependencies.productionCacheMs ?? TimeConstants.SHORT_CACHE_TTL;
+    this.now = dependencies.now || (() => Date.now());
+
+    this.productionCache = null;
+  }
+
+  /**
+   * Context7 Pattern: List models, newest first
+   * @param {Object} params - { status, tag, rewardFunction, limit }
+   */
+  async listModels(params = {}) {
+    return this.execute(async() => {
+      const query = {};
+      if (params.status) {
+        query.status = params.status;
+      }
+      if (params.tag) {
+        query.tags = params.tag;
+      }
+      if (params.rewardFunction) {
+        query['rewardFunction.name'] = params.rewardFunction;
+      }
+
+      const models = await this.metadataModel
+        .find(query)
+        .sort({ createdAt: -1 })
+        .limit(Math.min(parseInt(params.limit) || 20, 100))
+        .lean();
+
+      return models.map(model => this.formatModel(model));
+    }, 'listModels');
+  }
+
+  /**
+   * Context7 Pattern: One model with its promotion history
+   * @returns {Promise<Object|null>} Model, or null when it does not exist
+   */
+  async getModel(modelId) {
+    return this.execute(async() => {
+      const model = await this.metadataModel.findOne({ modelId }).lean();
+      if (!model) {
+        return null;
+      }
+
+      const history = await this.promotionModel
+        .find({ $or: [{ modelId }, { replacedModelId: modelId }] })
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(20)
+        .lean();
+
+      return { ...this.formatModel(model), history: history.map(event => this.formatEvent(event)) };
+    }, 'getModel');
+  }
+
+  /**
+   * Context7 Pattern: Current production model
+   * @returns {Promise<Object|null>} Model, or null when nothing has been promoted
+   */
+  async getProductionModel() {
+    return this.execute(async() => {
+      const model = await this.findProductionModel();
+      return model ? this.formatModel(model) : null;
+    }, 'getProductionModel');
+  }
+
+  /**
+   * Context7 Pattern: Production model ID, cached for productionCacheMs
+   * Promotions and rollbacks made through this instance take effect immediately.
+   * @returns {Promise<string|null>}
+   */
+  async getProductionModelId() {
+    if (this.productionCache && this.productionCache.expiresAt > this.now()) {
+      return this.productionCache.modelId;
+    }
+
+    const model = await this.findProductionModel();
+    const modelId = model?.modelId || null;
+    this.productionCache = { modelId, expiresAt: this.now() + this.productionCacheMs };
+    return modelId;
+  }
+
+  /**
+   * Context7 Pattern: Make an agent run the production model
+   * No-op when the agent already has it or nothing has been promoted.
+   * @param {NeuralTradingAgentService} agent
+   * @returns {Promise<Object|null>} agent.loadedModel afterwards
+   */
+  async loadProductionModel(agent) {
+    const modelId = await this.getProductionModelId();
+    if (!modelId || agent.loadedModel?.modelId === modelId) {
+      return agent.loadedModel || null;
+    }
+
+    await agent.loadSavedModel(modelId);
+    this.logger.info('Production model loaded', { modelId, version: agent.loadedModel?.version });
+    return agent.loadedModel;
+  }
+
+  /**
+   * Context7 Pattern: Backtest two models on the same window
+   * Both models are loaded into fresh agents, so live agents are untouched.
+   * The results are also written to each model's validationMetrics.
+   * sameRewardFunction flags pairs trained on different reward definitions.
+   * @param {Object} params - { baseModelId, candidateModelId, itemIds, interval, startTime, endTime, initialCapital, strategyParams }
+   * @returns {Promise<Object>} { window, base, candidate, deltas, sameRewardFunction }
+   */
+  async compareModels(params) {
+    // Checked outside execute() so the validation errors keep their 400/404 status
+    if (params.baseModelId === params.candidateModelId) {
+      throw ErrorHandler.createValidationError('baseModelId and candidateModelId must be different models');
+    }
+    const window = this.resolveWindow(params);
+
+    const modelIds = [params.baseModelId, params.candidateModelId];
+    const models = await this.metadataModel.find({ modelId: { $in: modelIds } }).lean();
+    const ordered = modelIds.map(modelId => models.find(model => model.modelId === modelId));
+    const missing = modelIds.filter((modelId, index) => !ordered[index]);
+    if (missing.length > 0) {
+      throw ErrorHandler.createError(`Model ${missing.join(', ')} not found`, 404, { missing });
+    }
+
+    return this.execute(async() => {
+      const marketData = await this.backtestService.loadMarketData(window);
+      const results = [];
+
+      for (const model of ordered) {
+        const agent = this.agentFactory();
+        await agent.loadSavedModel(model.modelId);
+
+        const backtest = await this.backtestService.simulate(
+          { ...window, strategy: 'neural_agent', strategyParams: params.strategyParams || {} },
+          marketData,
+          { neuralAgent: agent }
+        );
+        const validationMetrics = await this.recordValidation(model.modelId, window, backtest.metrics);
+        results.push({ ...this.formatModel({ ...model, validationMetrics }), backtest: backtest.metrics });
+      }
+
+      const deltas = {};
+      for (const metric of COMPARED_METRICS) {
+        const baseValue = results[0].backtest[metric];
+        const candidateValue = results[1].backtest[metric];
+        deltas[metric] = typeof baseValue === 'number' && typeof candidateValue === 'number'
+          ? candidateValue - baseValue
+          : null;
+      }
+
+      return {
+        window: { ...window, snapshotCount: marketData.snapshots.length },
+        base: results[0],
+        candidate: results[1],
+        deltas,
+        sameRewardFunction: isSameRewardDefinition(ordered[0].rewardFunction, ordered[1].rewardFunction)
+      };
+    }, 'compareModels', { logSuccess: true });
+  }
+
+  /**
+   * Context7 Pattern: Tag a model as production
+   * @param {string} modelId
+   * @param {Object} options - { promotedBy, reason }
+   * @returns {Promise<Object|null>} Promotion event, or null when the model does not exist
+   */
+  async promoteModel(modelId, options = {}) {
+    const model = await this.metadataModel.findOne({ modelId }).lean();
+    if (!model) {
+      return null;
+    }
+
+    // Checked outside execute() so the conflicts keep their 409 status
+    if (model.status === 'production') {
+      throw ErrorHandler.createError(`Model ${modelId} is already in production`, 409, { status: model.status });
+    }
+    if (!PROMOTABLE_STATUSES.includes(model.status)) {
+      throw ErrorHandler.createError(`Model ${modelId} is ${model.status} and cannot be promoted`, 409, { status: model.status });
+    }
+    await this.assertWeightsStored(modelId);
+
+    return this.execute(async() => {
+      const current = await this.findProductionModel();
+      const replacedModelId = current?.modelId || null;
+
+      return this.setProduction(modelId, {
+        action: 'promote',
+        replacedModelId,
+        previousModelId: replacedModelId,
+        ...options
+      });
+    }, 'promoteModel', { logSuccess: true });
+  }
+
+  /**
+   * Context7 Pattern: Return production to the model the current one replaced
+   * Repeated rollbacks keep walking back through promotion history.
+   * @param {Object} options - { promotedBy, reason }
+   * @returns {Promise<Object>} Rollback event
+   */
+  async rollback(options = {}) {
+    const current = await this.findProductionModel();
+
+    // Checked outside execute() so the conflicts keep their 409 status
+    if (!current) {
+      throw ErrorHandler.createError('No production model to roll back', 409);
+    }
+    const currentEvent = await this.findLatestEvent(current.modelId);
+    const targetId = currentEvent?.previousModelId;
+    if (!targetId) {
+      throw ErrorHandler.createError(`Model ${current.modelId} has no earlier production model to roll back to`, 409, {
+        modelId: current.modelId
+      });
+    }
+    const target = await this.metadataModel.findOne({ modelId: targetId }).lean();
+    if (!target || !PROMOTABLE_STATUSES.includes(target.status)) {
+      throw ErrorHandler.createError(`Previous production model ${targetId} is no longer available`, 409, {
+        modelId: targetId,
+        status: target?.status || null
+      });
+    }
+    await this.assertWeightsStored(targetId);
+
+    return this.execute(async() => {
+      const targetEvent = await this.findLatestEvent(targetId);
+
+      return this.setProduction(targetId, {
+        action: 'rollback',
+        replacedModelId: current.modelId,
+        previousModelId: targetEvent?.previousModelId || null,
+        ...options
+      });
+    }, 'rollback', { logSuccess: true });
+  }
+
+  /**
+   * Context7 Pattern: Promotions and rollbacks, newest first
+   * @param {Object} params - { modelId, limit }
+   */
+  async getPromotionHistory(params = {}) {
+    return this.execute(async() => {
+      const query = params.modelId ? { modelId: params.modelId } : {};
+      const events = await this.promotionModel
+        .find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(Math.min(parseInt(params.limit) || 20, 100))
+        .lean();
+
+      return events.map(event => this.formatEvent(event));
+    }, 'getPromotionHistory');
+  }
+
+  // Private methods
+
+  findProductionModel() {
+    return this.metadataModel.findOne({ status: 'production' }).sort({ deployedAt: -1 }).lean();
+  }
+
+  findLatestEvent(modelId) {
+    return this.promotionModel.findOne({ modelId }).sort({ createdAt: -1, _id: -1 }).lean();
+  }
+
+  /**
+   * Promotion requires weights the agents can actually load
+   */
+  async assertWeightsStored(modelId) {
+    const weights = await this.weightsModel.exists({ modelId });
+    if (!weights) {
+      throw ErrorHandler.createError(`Model ${modelId} has no stored weights`, 409, { modelId });
+    }
+  }
+
+  /**
+   * Demote the current production model(s), promote modelId and record the event
+   */
+  async setProduction(modelId, event) {
+    const at = new Date(this.now());
+
+    await this.metadataModel.updateMany(
+      { status: 'production', modelId: { $ne: modelId } },
+      { $set: { status: 'testing', updatedAt: at } }
+    );
+    await this.metadataModel.updateOne(
+      { modelId },
+      { $set: { status: 'production', deployedAt: at, updatedAt: at } }
+    );
+    const record = await this.promotionModel.create({
+      modelId,
+      action: event.action,
+      replacedModelId: event.replacedModelId,
+      previousModelId: event.previousModelId,
+      promotedBy: event.promotedBy || 'system',
+      reason: event.reason
+    });
+
+    this.productionCache = null;
+    this.logger.info('Production model changed', {
+      action: event.action,
+      modelId,
+      replacedModelId: event.replacedModelId
+    });
+
+    return this.formatEvent(record);
+  }
+
+  /**
+   * Store comparison results in the AIModelMetadata validationMetrics block (fractions, like performanceMetrics)
+   */
+  async recordValidation(modelId, window, metrics) {
+    const validationMetrics = {
+      backtestPeriod: { startDate: new Date(window.startTime), endDate: new Date(window.endTime) },
+      backtestResults: {
+        totalReturn: metrics.totalReturnPercent / 100,
+        maxDrawdown: metrics.maxDrawdownPercent / 100,
+        winRate: metrics.winRate / 100,
+        trades: metrics.tradeCount
+      }
+    };
+
+    await this.metadataModel.updateOne({ modelId }, { $set: { validationMetrics } });
+    return validationMetrics;
+  }
+
+  /**
+   * Comparison window with BacktestService defaults
+   */
+  resolveWindow(params) {
+    const now = this.now();
+    const window = {
+      itemIds: [...new Set(params.itemIds || [])],
+      interval: params.interval || '1h',
+      startTime: params.startTime || now - TimeConstants.SEVEN_DAYS,
+      endTime: params.endTime || now,
+      initialCapital: params.initialCapital || 10000000
+    };
+
+    if (window.itemIds.length === 0) {
+      throw ErrorHandler.createValidationError('itemIds must contain at least one item');
+    }
+    if (window.startTime >= window.endTime) {
+      throw ErrorHandler.createValidationError('startTime must be before endTime');
+    }
+
+    return window;
+  }
+
+  formatModel(model) {
+    return {
+      modelId: model.modelId,
+      version: model.version,
+      status: model.status,
+      architecture: model.modelConfig?.architecture || null,
+      trainingDate: model.trainingDate,
+      trainingEpisodes: model.trainingEpisodes,
+      performanceMetrics: model.performanceMetrics || {},
+      technicalMetrics: model.technicalMetrics || {},
+      validationMetrics: model.validationMetrics || null,
+      rewardFunction: model.rewardFunction?.name ? model.rewardFunction : null,
+      storageSize: model.storageSize,
+      checksum: model.checksum,
+      deployedAt: model.deployedAt || null,
+      archivedAt: model.archivedAt || null,
+      description: model.description,
+      tags: model.tags || [],
+      createdBy: model.createdBy,
+      createdAt: model.createdAt
+    };
+  }
+
+  formatEvent(event) {
+    return {
+      modelId: event.modelId,
+      action: event.action,
+      replacedModelId: event.replacedModelId || null,
+      previousModelId: event.previousModelId || null,
+      promotedBy: event.promotedBy,
+      reason: event.reason || null,
+      createdAt: event.createdAt
+    };
+  }
+}
+
+/**
+ * Get singleton model registry service instance
+ */
+function getModelRegistryService() {
+  if (!modelRegistryService) {
+    modelRegistryService = new ModelRegistryService();
+  }
+  return modelRegistryService;
+}
+
+module.exports = {
+  ModelRegistryService,
+  getModelRegistryService,
+  COMPARED_METRICS
+};
@@ -141,7 +141,13 @@ class TradingDecisionService extends BaseService {
         confidence: prediction.confidence,
         expectedReturn: prediction.expectedReturn,
         timeHorizon: prediction.timeHorizon,
-        reasoning: prediction.reasoning
+        reasoning: prediction.reasoning,
+        // Which inference backend answered (InferenceRouterService tags its predictions)
+        inference: {
+          backend: prediction.backend || this.aiModel.name || 'unknown',
+          fallback: Boolean(prediction.fallback),
+          modelVersion: prediction.modelVersion || null
+        }
       };
 
     } catch (error) {
@@ -279,6 +285,7 @@ class TradingDecisionService extends BaseService {
       // Metadata
       timestamp: new Date(),
       reasoning: prediction.reasoning,
+      inference: prediction.inference,
       features: this.prepareFeatures(itemData)
     };
   }
@@ -5,11 +5,15 @@
  * - ONLY handles AI model learning and adaptation
  * - Model training, updates, and performance tracking
  * - Learning feedback loop management
+ * - Rewards come from a pluggable reward function (services/ai/rewards/RewardFunctions.js)
+ * - Experiences also train the in-process agent (localModel), the one the model registry stores
  *
  * Extracted from AITradingOrchestratorService to eliminate God Class
  */
 
 const { BaseService } = require('../BaseService');
+const { createRewardFunction } = require('./rewards/RewardFunctions');
+const TimeConstants = require('../../utils/TimeConstants');
 
 class TradingLearningService extends BaseService {
   constructor(dependencies = {}) {
@@ -20,8 +24,11 @@ class TradingLearningService extends BaseService {
 
     // Dependency injection
     this.aiModel = dependencies.aiModel;
+    // LocalInferenceBackend; optional
+    this.localModel = dependencies.localModel || null;
     this.outcomeTracker = dependencies.outcomeTracker;
     this.sessionService = dependencies.sessionService;
+    this.rewardFunction = createRewardFunction(dependencies.rewardFunction);
 
     // Learning configuration
     this.learningConfig = {
@@ -45,15 +52,17 @@ class TradingLearningService extends BaseService {
     };
 
     this.logger.info('Trading Learning Service initialized', {
-      learningConfig: this.learningConfig
+      learningConfig: this.learningConfig,
+      rewardFunction: this.getRewardDefinition()
     });
   }
 
   /**
    * Record trade outcome for learning
+   * @returns {Promise<Object>} The experience added to learning memory
    */
-  recordTradeOutcome(decision, actualOutcome) {
-    this.execute(async() => {
+  async recordTradeOutcome(decision, actualOutcome) {
+    return this.execute(async() => {
       const experience = {
         // State (input features)
         state: decision.features,
@@ -80,6 +89,7 @@ class TradingLearningService extends BaseService {
 
       // Add to learning memory
       this.learningMemory.push(experience);
+      this.localModel?.memorize(experience);
 
       // Trim memory if too large
       if (this.learningMemory.length > this.learningConfig.maxMemorySize) {
@@ -92,54 +102,56 @@ class TradingLearningService extends BaseService {
         memorySize: this.learningMemory.length
       });
 
-      // Trigger learning if conditions met
+      // Trigger learning if conditions met; a failed update must not lose the experience
       if (this.shouldTriggerLearning()) {
-        this.triggerLearningUpdate();
+        this.triggerLearningUpdate().catch((error) => {
+          this.logger.warn('Learning update failed', { error: error.message });
+        });
       }
 
       return experience;
-    }, 'operation', { logSuccess: false });
+    }, 'recordTradeOutcome', { logSuccess: false });
   }
 
   /**
-   * Calculate reward for trade outcome
+   * Calculate reward for trade outcome with the session's reward function
    */
   calculateReward(decision, actualOutcome) {
-    let reward = 0;
-
-    // Primary reward: actual profit/loss
-    if (actualOutcome.actualProfit !== undefined) {
-      // Normalize profit to [-1, 1] range
-      const profitNormalized = Math.tanh(actualOutcome.actualProfit / 1000000); // Normalize by 1M
-      reward += profitNormalized * 10; // Scale up
-    }
-
-    // Accuracy bonus: how close prediction was to reality
-    if (actualOutcome.actualReturn !== undefined && decision.expectedReturn !== undefined) {
-      const accuracyError = Math.abs(actualOutcome.actualReturn - decision.expectedReturn);
-      const accuracyBonus = Math.max(0, 1 - accuracyError) * 2; // Max 2 points for accuracy
-      reward += accuracyBonus;
-    }
+    return this.rewardFunction.calculate(decision, actualOutcome);
+  }
 
-    // Time efficiency bonus: faster trades get slight bonus
-    if (actualOutcome.tradeDuration) {
-      const timeBonus = Math.max(0, 1 - (actualOutcome.tradeDuration / (24 * 60 * 60 * 1000))) * 0.5; // Max 0.5 for same-day trades
-      reward += timeBonus;
-    }
+  /**
+   * Switch reward function. Learning memory is cleared, because rewards from different
+   * definitions are not on the same scale and must not share a training batch.
+   * @param {string|Object} spec - Plugin name or { name, version, params }
+   * @returns {Object} New reward definition { name, version, params }
+   * @throws {Error} 400 error for unknown plugins, versions or parameters
+   */
+  setRewardFunction(spec) {
+    const rewardFunction = createRewardFunction(spec);
+    const previous = this.getRewardDefinition();
+    const cleared = this.learningMemory.length;
 
-    // Risk management: penalty for high-risk trades that failed
-    if (actualOutcome.actualProfit < 0 && decision.riskScore > 60) {
-      const riskPenalty = (decision.riskScore - 60) / 40 * 2; // Up to 2 point penalty
-      reward -= riskPenalty;
-    }
+    this.rewardFunction = rewardFunction;
+    this.learningMemory = [];
+    this.lastLearningMemorySize = 0;
+    this.localModel?.clearMemory();
+
+    this.logger.info('Reward function changed', {
+      from: `${previous.name}@${previous.version}`,
+      to: `${rewardFunction.name}@${rewardFunction.version}`,
+      params: rewardFunction.params,
+      clearedExperiences: cleared
+    });
 
-    // Confidence calibration: reward well-calibrated confidence
-    if (actualOutcome.wasSuccessful !== undefined) {
-      const confidenceCalibration = actualOutcome.wasSuccessful ? decision.confidence : (1 - decision.confidence);
-      reward += confidenceCalibration * 1; // Max 1 point for calibration
-    }
+    return this.getRewardDefinition();
+  }
 
-    return Math.max(-10, Math.min(10, reward)); // Clamp between -10 and +10
+  /**
+   * Current reward definition, as stored with AIModelMetadata
+   */
+  getRewardDefinition() {
+    return this.rewardFunction.toJSON();
   }
 
   /**
@@ -245,7 +257,7 @@ class TradingLearningService extends BaseService {
   /**
    * Update AI model with learning batch
    */
-  async updateAIModel() {
+  async updateAIModel(batch) {
     return this.execute(async() => {
       // Prepare training data
       const states = batch.map(exp => exp.state);
@@ -254,6 +266,9 @@ class TradingLearningService extends BaseService {
       const nextStates = batch.map(exp => exp.nextState);
       const dones = batch.map(exp => exp.done);
 
+      // The in-process agent trains on its own replay memory, which holds the same experiences
+      const localLoss = this.localModel ? await this.localModel.train() : null;
+
       // Call AI model training
       const result = await this.aiModel.train({
         states,
@@ -265,6 +280,7 @@ class TradingLearningService extends BaseService {
 
       return {
         loss: result.loss || 0,
+        localLoss,
         averageReward: rewards.reduce((a, b) => a + b, 0) / rewards.length,
         batchSize: batch.length,
         modelVersion: result.version || 'unknown',
@@ -273,12 +289,49 @@ class TradingLearningService extends BaseService {
     }, 'updateAIModel', { logSuccess: true });
   }
 
+  /**
+   * Fold a learning update into the running metrics
+   */
+  updateLearningMetrics(learningResult) {
+    const metrics = this.learningMetrics;
+    metrics.totalUpdates += 1;
+    metrics.averageLoss += (learningResult.loss - metrics.averageLoss) / metrics.totalUpdates;
+    metrics.averageReward += (learningResult.averageReward - metrics.averageReward) / metrics.totalUpdates;
+    metrics.lastUpdateTime = learningResult.updateTime;
+  }
+
+  /**
+   * Current learning metrics
+   */
+  getLearningMetrics() {
+    return {
+      ...this.learningMetrics,
+      memorySize: this.learningMemory.length,
+      rewardFunction: this.getRewardDefinition()
+    };
+  }
+
+  /**
+   * Restore a resumed session's replay memory and metrics. The experiences already count as
+   * learned from, so the next update waits for learningFrequency new trades.
+   * @param {Array} experiences - Stored experiences, oldest first
+   * @param {Object} learningMetrics - Stored learningMetrics
+   */
+  restoreLearningState(experiences = [], learningMetrics = {}) {
+    this.learningMemory = experiences.slice(-this.learningConfig.maxMemorySize);
+    this.lastLearningMemorySize = this.learningMemory.length;
+    this.localModel?.clearMemory();
+    this.learningMemory.forEach(experience => this.localModel?.memorize(experience));
+    Object.assign(this.learningMetrics, learningMetrics);
+  }
+
   /**
    * Clear learning memory
    */
   clearLearningMemory() {
     const previousSize = this.learningMemory.length;
     this.learningMemory = [];
+    this.localModel?.clearMemory();
 
     this.logger.info(`Cleared learning memory (${previousSize} experiences)`);
     return previousSize;
@@ -292,6 +345,7 @@ class TradingLearningService extends BaseService {
       experiences: this.learningMemory,
       metrics: this.learningMetrics,
       config: this.learningConfig,
+      rewardFunction: this.getRewardDefinition(),
       exportTime: new Date()
     };
   }
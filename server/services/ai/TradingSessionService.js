@@ -6,97 +6,178 @@
  * - Session creation, tracking, and termination
  * - Session state management and persistence
  *
+ * Sessions, their decisions (with input features), replay memory and metrics are stored in
+ * MongoDB. Running sessions are also kept in memory; after a restart they are reloaded with
+ * loadSession(). Stopped sessions stay queryable as history.
+ *
  * Extracted from AITradingOrchestratorService to eliminate God Class
  */
 
 const { BaseService } = require('../BaseService');
-const { AIModelMetadata } = require('../../models/AIModelMetadata');
+const { AITradingSessionModel, RUNNING_SESSION_STATUSES } = require('../../models/AITradingSessionModel');
+const { AITradingDecisionModel } = require('../../models/AITradingDecisionModel');
+const { AITradingExperienceModel } = require('../../models/AITradingExperienceModel');
+const { ErrorHandler } = require('../../middleware/ErrorHandler');
+
+// Decision fields kept in the audit trail
+const DECISION_FIELDS = [
+  'itemId', 'action', 'confidence', 'buyPrice', 'sellPrice', 'positionSize', 'expectedProfit',
+  'expectedReturn', 'riskScore', 'riskLevel', 'opportunityScore', 'reasoning', 'inference', 'features'
+];
+
+const OUTCOME_FIELDS = ['actualProfit', 'actualReturn', 'wasSuccessful', 'tradeDuration', 'executionPrice'];
+
+// Largest page exportSession() returns
+const MAX_EXPORT_PAGE_SIZE = 1000;
+
+let tradingSessionService = null;
 
 class TradingSessionService extends BaseService {
+  /**
+   * @param {Object} dependencies - { sessionModel, decisionModel, experienceModel, now }
+   */
   constructor(dependencies = {}) {
     super('TradingSessionService', {
-      enableCache: true,
-      cachePrefix: 'trading_sessions',
-      cacheTTL: 3600,
-      enableMongoDB: true
+      enableCache: false,
+      enableMongoDB: false // Uses Mongoose models directly
     });
 
+    this.sessionModel = dependencies.sessionModel || AITradingSessionModel;
+    this.decisionModel = dependencies.decisionModel || AITradingDecisionModel;
+    this.experienceModel = dependencies.experienceModel || AITradingExperienceModel;
+    this.now = dependencies.now || (() => Date.now());
+
+    // Running sessions by ID
     this.activeSessions = new Map();
-    this.sessionHistory = [];
   }
 
   /**
    * Create new trading session
+   * @param {Object} config - Decision criteria
+   * @param {Object} options - { sessionName, networkConfig, adaptiveConfig, modelId, createdBy }
    */
-  createSession(config = {}) {
-    const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-    const session = {
-      id: sessionId,
-      startTime: Date.now(),
-      config: {
-        minProfitMargin: config.minProfitMargin || 0.05,
-        maxItemValue: config.maxItemValue || 2000000000,
-        focusOnHighVolume: config.focusOnHighVolume || true,
-        ...config
-      },
-      metrics: {
-        episodeCount: 0,
-        totalTrades: 0,
-        totalProfit: 0,
-        bestReward: -Infinity,
-        averageReward: 0,
-        successRate: 0
-      },
-      status: 'ACTIVE',
-      modelVersion: '1.0',
-      createdAt: new Date()
-    };
+  async createSession(config = {}, options = {}) {
+    return this.execute(async() => {
+      const startTime = this.now();
+      const sessionId = `session_${startTime}_${Math.random().toString(36).substr(2, 9)}`;
 
-    this.activeSessions.set(sessionId, session);
+      const doc = await this.sessionModel.create({
+        sessionId,
+        sessionName: options.sessionName || 'Default Session',
+        status: 'TRAINING',
+        config: {
+          minProfitMargin: config.minProfitMargin || 0.05,
+          maxItemValue: config.maxItemValue || 2000000000,
+          focusOnHighVolume: config.focusOnHighVolume || true,
+          ...config
+        },
+        networkConfig: options.networkConfig,
+        adaptiveConfig: options.adaptiveConfig || {},
+        modelId: options.modelId || null,
+        metrics: {
+          episodeCount: 0,
+          totalDecisions: 0,
+          totalTrades: 0,
+          successfulTrades: 0,
+          totalProfit: 0,
+          bestReward: null,
+          averageReward: 0,
+          successRate: 0
+        },
+        learningMetrics: {},
+        createdBy: options.createdBy || null,
+        startTime,
+        lastActivityAt: new Date(startTime)
+      });
 
-    this.logger.info('Created trading session', {
-      sessionId,
-      config: session.config
-    });
+      const session = this.formatSession(doc);
+      this.activeSessions.set(sessionId, session);
 
-    return session;
+      this.logger.info('Created trading session', {
+        sessionId,
+        config: session.config
+      });
+
+      return session;
+    }, 'createSession', { logSuccess: true });
   }
 
   /**
    * Update session metrics
+   * @param {Object} metrics - Counters to set
+   * @param {Object} learningMetrics - Learning service metrics to store alongside (optional)
    */
-  updateSessionMetrics(sessionId, metrics) {
-    const session = this.activeSessions.get(sessionId);
-    if (!session) {
-      throw new Error(`Session ${sessionId} not found`);
-    }
+  async updateSessionMetrics(sessionId, metrics, learningMetrics) {
+    const session = this.requireSession(sessionId);
 
-    // Update metrics
-    Object.assign(session.metrics, metrics);
-    session.lastUpdated = new Date();
+    return this.execute(async() => {
+      // Update metrics
+      Object.assign(session.metrics, metrics);
+      session.lastUpdated = new Date(this.now());
 
-    // Calculate derived metrics
-    if (session.metrics.totalTrades > 0) {
-      session.metrics.averageReward = session.metrics.totalProfit / session.metrics.totalTrades;
-      session.metrics.successRate = (session.metrics.successfulTrades || 0) / session.metrics.totalTrades;
-    }
+      // Calculate derived metrics
+      if (session.metrics.totalTrades > 0) {
+        session.metrics.averageReward = session.metrics.totalProfit / session.metrics.totalTrades;
+        session.metrics.successRate = (session.metrics.successfulTrades || 0) / session.metrics.totalTrades;
+      }
 
-    this.logger.debug('Updated session metrics', {
-      sessionId,
-      metrics: session.metrics
-    });
+      const changes = { metrics: session.metrics, lastActivityAt: session.lastUpdated };
+      if (learningMetrics) {
+        session.learningMetrics = { ...learningMetrics };
+        changes.learningMetrics = session.learningMetrics;
+      }
+      await this.sessionModel.updateOne({ sessionId }, { $set: changes });
 
-    return session;
+      this.logger.debug('Updated session metrics', {
+        sessionId,
+        metrics: session.metrics
+      });
+
+      return session;
+    }, 'updateSessionMetrics');
+  }
+
+  /**
+   * Persist session fields that change while it runs
+   * @param {Object} changes - Any of { status, adaptiveConfig, modelId }
+   */
+  async updateSession(sessionId, changes) {
+    const session = this.requireSession(sessionId);
+
+    return this.execute(async() => {
+      const update = {};
+      for (const field of ['status', 'adaptiveConfig', 'modelId']) {
+        if (changes[field] !== undefined) {
+          update[field] = changes[field];
+        }
+      }
+
+      Object.assign(session, update);
+      session.lastUpdated = new Date(this.now());
+      await this.sessionModel.updateOne({ sessionId }, { $set: { ...update, lastActivityAt: session.lastUpdated } });
+
+      return session;
+    }, 'updateSession');
   }
 
   /**
-   * Get session status
+   * Get a running session
    */
   getSession(sessionId) {
     return this.activeSessions.get(sessionId);
   }
 
+  /**
+   * Get a running session or throw a 404 error
+   */
+  requireSession(sessionId) {
+    const session = this.getSession(sessionId);
+    if (!session) {
+      throw ErrorHandler.createNotFoundError(`Trading session (ID: ${sessionId})`);
+    }
+    return session;
+  }
+
   /**
    * Get all active sessions
    */
@@ -104,29 +185,222 @@ class TradingSessionService extends BaseService {
     return Array.from(this.activeSessions.values());
   }
 
+  /**
+   * Sessions a previous process left running, oldest first
+   */
+  async getRunningSessions() {
+    return this.execute(async() => {
+      const docs = await this.sessionModel
+        .find({ status: { $in: RUNNING_SESSION_STATUSES } })
+        .sort({ startTime: 1 })
+        .lean();
+      return docs.map(doc => this.formatSession(doc));
+    }, 'getRunningSessions');
+  }
+
+  /**
+   * Load a stored session; running sessions are put back in memory
+   * @returns {Promise<Object|null>} Session, or null when it does not exist
+   */
+  async loadSession(sessionId) {
+    return this.execute(async() => {
+      const doc = await this.sessionModel.findOne({ sessionId }).lean();
+      if (!doc) {
+        return null;
+      }
+
+      const session = this.formatSession(doc);
+      if (RUNNING_SESSION_STATUSES.includes(session.status)) {
+        this.activeSessions.set(sessionId, session);
+      }
+      return session;
+    }, 'loadSession');
+  }
+
   /**
    * End trading session
    */
-  async endSession() {
+  async endSession(sessionId, reason = 'stopped') {
+    const session = this.requireSession(sessionId);
+
     return this.execute(async() => {
-      await this.saveSessionToDatabase(session);
+      session.status = 'STOPPED';
+      session.endTime = this.now();
+      session.endReason = reason;
+
+      await this.sessionModel.updateOne({ sessionId }, {
+        $set: {
+          status: session.status,
+          endTime: session.endTime,
+          endReason: reason,
+          metrics: session.metrics,
+          learningMetrics: session.learningMetrics,
+          lastActivityAt: new Date(session.endTime)
+        }
+      });
+      this.activeSessions.delete(sessionId);
+
+      return session;
     }, 'endSession', { logSuccess: true });
   }
 
+  /**
+   * Session history, newest first
+   * @param {Object} params - { status, limit }
+   */
+  async listSessions(params = {}) {
+    return this.execute(async() => {
+      const query = {};
+      if (params.status) {
+        query.status = params.status;
+      }
+
+      const docs = await this.sessionModel
+        .find(query)
+        .sort({ startTime: -1 })
+        .limit(Math.min(parseInt(params.limit) || 20, 100))
+        .lean();
+
+      return docs.map(doc => this.getSessionSummary(this.formatSession(doc)));
+    }, 'listSessions');
+  }
+
+  /**
+   * Store decisions in the audit trail
+   * @returns {Promise<Array>} The decisions, each with its decisionId
+   */
+  async recordDecisions(sessionId, decisions) {
+    return this.execute(async() => {
+      if (decisions.length === 0) {
+        return [];
+      }
+
+      const decidedAt = new Date(this.now());
+      const docs = await this.decisionModel.insertMany(decisions.map(decision => ({
+        sessionId,
+        ...this.pick(decision, DECISION_FIELDS),
+        decidedAt: decision.timestamp || decidedAt
+      })));
+
+      return decisions.map((decision, index) => ({ ...decision, decisionId: docs[index]._id.toString() }));
+    }, 'recordDecisions');
+  }
+
+  /**
+   * Attach an executed trade's outcome and reward to one of the session's decisions
+   */
+  async recordOutcome(sessionId, decisionId, outcome, reward) {
+    return this.execute(async() => {
+      await this.decisionModel.updateOne({ _id: decisionId, sessionId }, {
+        $set: {
+          outcome: this.pick(outcome, OUTCOME_FIELDS),
+          reward,
+          executedAt: new Date(this.now())
+        }
+      });
+    }, 'recordOutcome');
+  }
+
+  /**
+   * Append an experience to the session's replay memory, keeping at most maxExperiences
+   * (the learning service's maxMemorySize) by deleting the oldest
+   */
+  async recordExperience(sessionId, experience, decisionId = null, maxExperiences = null) {
+    return this.execute(async() => {
+      await this.experienceModel.create({ ...experience, sessionId, decisionId });
+
+      if (maxExperiences) {
+        const overflow = await this.experienceModel
+          .find({ sessionId })
+          .select('_id')
+          .sort({ timestamp: -1, _id: -1 })
+          .skip(maxExperiences)
+          .lean();
+        if (overflow.length > 0) {
+          await this.experienceModel.deleteMany({ sessionId, _id: { $in: overflow.map(doc => doc._id) } });
+        }
+      }
+    }, 'recordExperience');
+  }
+
+  /**
+   * The session's most recent experiences, oldest first
+   */
+  async loadReplayMemory(sessionId, limit) {
+    return this.execute(async() => {
+      const docs = await this.experienceModel
+        .find({ sessionId })
+        .sort({ timestamp: -1 })
+        .limit(limit)
+        .lean();
+
+      return docs.reverse().map(doc => this.omit(doc, ['_id', '__v', 'sessionId', 'decisionId']));
+    }, 'loadReplayMemory');
+  }
+
+  /**
+   * Delete the session's replay memory
+   * @returns {Promise<number>} Experiences deleted
+   */
+  async clearReplayMemory(sessionId) {
+    return this.execute(async() => {
+      const result = await this.experienceModel.deleteMany({ sessionId });
+      return result.deletedCount || 0;
+    }, 'clearReplayMemory');
+  }
+
+  /**
+   * Audit trail, a page at a time: the session, its decisions with their input features and
+   * outcomes, and its replay memory, both oldest first
+   * @param {Object} options - { limit, offset } applied to decisions and replay memory alike
+   * @returns {Promise<Object|null>} Export with totals, or null when the session does not exist
+   */
+  async exportSession(sessionId, { limit = 500, offset = 0 } = {}) {
+    return this.execute(async() => {
+      const doc = await this.sessionModel.findOne({ sessionId }).lean();
+      if (!doc) {
+        return null;
+      }
+
+      const pageSize = Math.min(limit, MAX_EXPORT_PAGE_SIZE);
+      const [decisions, replayMemory, totalDecisions, totalExperiences] = await Promise.all([
+        this.decisionModel.find({ sessionId }).sort({ decidedAt: 1, _id: 1 }).skip(offset).limit(pageSize).lean(),
+        this.experienceModel.find({ sessionId }).sort({ timestamp: 1, _id: 1 }).skip(offset).limit(pageSize).lean(),
+        this.decisionModel.countDocuments({ sessionId }),
+        this.experienceModel.countDocuments({ sessionId })
+      ]);
+
+      return {
+        session: this.formatSession(doc),
+        decisions: decisions.map(doc => ({ decisionId: doc._id.toString(), ...this.omit(doc, ['_id', '__v', 'sessionId']) })),
+        replayMemory: replayMemory.map(doc => this.omit(doc, ['_id', '__v', 'sessionId'])),
+        totals: {
+          decisions: totalDecisions,
+          replayMemory: totalExperiences
+        },
+        offset,
+        limit: pageSize
+      };
+    }, 'exportSession');
+  }
+
   /**
    * Get session performance summary
+   * @param {string|Object} sessionOrId - Running session ID, or a session object
    */
-  getSessionSummary(sessionId) {
-    const session = this.getSession(sessionId);
-    if (!session) {
-      throw new Error(`Session ${sessionId} not found`);
-    }
+  getSessionSummary(sessionOrId) {
+    const session = typeof sessionOrId === 'string' ? this.requireSession(sessionOrId) : sessionOrId;
 
     return {
       sessionId: session.id,
+      sessionName: session.sessionName,
       status: session.status,
-      duration: session.endTime ? session.endTime - session.startTime : Date.now() - session.startTime,
+      startTime: session.startTime,
+      endTime: session.endTime,
+      endReason: session.endReason,
+      duration: (session.endTime || this.now()) - session.startTime,
       performance: {
+        totalDecisions: session.metrics.totalDecisions || 0,
         totalTrades: session.metrics.totalTrades,
         totalProfit: session.metrics.totalProfit,
         averageReward: session.metrics.averageReward,
@@ -134,27 +408,61 @@ class TradingSessionService extends BaseService {
         bestReward: session.metrics.bestReward
       },
       config: session.config,
+      rewardFunction: session.adaptiveConfig?.rewardFunction || null,
+      modelId: session.modelId,
       lastUpdated: session.lastUpdated
     };
   }
 
-  /**
-   * Cleanup old sessions
-   */
-  cleanupOldSessions(maxAge = 24 * 60 * 60 * 1000) { // 24 hours
-    const cutoff = Date.now() - maxAge;
-    let cleaned = 0;
+  // Helper methods
+
+  formatSession(doc) {
+    return {
+      id: doc.sessionId,
+      sessionName: doc.sessionName,
+      status: doc.status,
+      startTime: doc.startTime,
+      endTime: doc.endTime || null,
+      endReason: doc.endReason || null,
+      config: doc.config || {},
+      networkConfig: doc.networkConfig,
+      adaptiveConfig: doc.adaptiveConfig || {},
+      modelId: doc.modelId || null,
+      metrics: { ...doc.metrics },
+      learningMetrics: { ...doc.learningMetrics },
+      createdBy: doc.createdBy || null,
+      createdAt: doc.createdAt,
+      lastUpdated: doc.lastActivityAt
+    };
+  }
 
-    for (const [sessionId, session] of this.activeSessions.entries()) {
-      if (session.startTime < cutoff && session.status !== 'ACTIVE') {
-        this.activeSessions.delete(sessionId);
-        cleaned++;
+  omit(source, fields) {
+    const copy = { ...source };
+    fields.forEach(field => delete copy[field]);
+    return copy;
+  }
+
+  pick(source, fields) {
+    return fields.reduce((picked, field) => {
+      if (source[field] !== undefined) {
+        picked[field] = source[field];
       }
-    }
+      return picked;
+    }, {});
+  }
+}
 
-    this.logger.info(`Cleaned up ${cleaned} old sessions`);
-    return cleaned;
+/**
+ * Get singleton trading session service instance
+ */
+function getTradingSessionService() {
+  if (!tradingSessionService) {
+    tradingSessionService = new TradingSessionService();
   }
+  return tradingSessionService;
 }
 
-module.exports = { TradingSessionService };
+module.exports = {
+  TradingSessionService,
+  getTradingSessionService
+};
@@ -0,0 +1,126 @@
+/**
+ * 🔀 Inference Router Service - Context7 Optimized
+ *
+ * Context7 Pattern: Pluggable inference backends behind the aiModel.predict() interface
+ * - Backends implement IInferenceBackend and are registered by name ('python', 'local', ...)
+ * - mode 'auto' tries AppConstants.AI_INFERENCE.BACKEND_ORDER, skipping backends that report
+ *   themselves unavailable (open circuit) and falling through on errors
+ * - mode '<name>' pins one backend; its failures are not hidden by a fallback
+ * - Every prediction is tagged with the backend that produced it and whether it was a fallback
+ *
+ * SOLID: Single responsibility for backend selection
+ */
+
+const { BaseService } = require('../../BaseService');
+const { AppConstants } = require('../../../config/AppConstants');
+const { ErrorHandler } = require('../../../middleware/ErrorHandler');
+const { PythonInferenceBackend } = require('./PythonInferenceBackend');
+const { LocalInferenceBackend } = require('./LocalInferenceBackend');
+
+class InferenceRouterService extends BaseService {
+  /**
+   * @param {Object} dependencies - { mode, order, backends, pythonClient, localAgent }
+   */
+  constructor(dependencies = {}) {
+    super('InferenceRouterService', {
+      enableCache: false,
+      enableMongoDB: false
+    });
+
+    this.mode = dependencies.mode || AppConstants.AI_INFERENCE.MODE;
+    this.order = dependencies.order || AppConstants.AI_INFERENCE.BACKEND_ORDER;
+    this.backends = new Map();
+    this.stats = new Map();
+    this.lastSelection = null;
+
+    const backends = dependencies.backends || [
+      new PythonInferenceBackend({ client: dependencies.pythonClient }),
+      new LocalInferenceBackend({ agent: dependencies.localAgent })
+    ];
+    backends.forEach(backend => this.registerBackend(backend));
+
+    if (this.mode !== 'auto' && !this.backends.has(this.mode)) {
+      throw new Error(`Unknown inference backend "${this.mode}" (expected auto or one of ${[...this.backends.keys()].join(', ')})`);
+    }
+
+    this.logger.info('🔀 Inference router initialized', {
+      mode: this.mode,
+      backends: this.getCandidates().map(backend => backend.name)
+    });
+  }
+
+  /**
+   * Context7 Pattern: Add or replace a backend
+   * @param {IInferenceBackend} backend - Backend with a unique name
+   */
+  registerBackend(backend) {
+    this.backends.set(backend.name, backend);
+    this.stats.set(backend.name, { predictions: 0, failures: 0, skipped: 0 });
+  }
+
+  /**
+   * Context7 Pattern: Predict with the first backend that is available and answers
+   * @param {Object} features - TradingDecisionService.prepareFeatures() output
+   * @returns {Promise<Object>} Backend prediction plus { backend, fallback, attempts }
+   * @throws {Error} 503 error when no backend produced a prediction
+   */
+  async predict(features) {
+    const attempts = [];
+
+    for (const backend of this.getCandidates()) {
+      const stats = this.stats.get(backend.name);
+      if (!backend.isAvailable()) {
+        stats.skipped++;
+        attempts.push({ backend: backend.name, error: 'unavailable' });
+        continue;
+      }
+
+      try {
+        const prediction = await backend.predict(features);
+        stats.predictions++;
+        this.lastSelection = { backend: backend.name, fallback: attempts.length > 0, at: new Date() };
+
+        if (attempts.length > 0) {
+          this.logger.warn('Inference served by fallback backend', { backend: backend.name, attempts });
+        }
+        return { ...prediction, backend: backend.name, fallback: attempts.length > 0, attempts };
+      } catch (error) {
+        stats.failures++;
+        attempts.push({ backend: backend.name, error: error.message });
+        this.logger.warn('Inference backend failed', { backend: backend.name, error: error.message });
+      }
+    }
+
+    throw ErrorHandler.createError('No inference backend produced a prediction', 503, { mode: this.mode, attempts });
+  }
+
+  /**
+   * Context7 Pattern: Mode, backend health and per-backend counters
+   */
+  getStatus() {
+    return {
+      mode: this.mode,
+      backends: this.getCandidates().map(backend => ({
+        ...backend.getStatus(),
+        ...this.stats.get(backend.name)
+      })),
+      lastSelection: this.lastSelection
+    };
+  }
+
+  // Private methods
+
+  /**
+   * Backends to try, in order: the pinned one, or BACKEND_ORDER followed by any other registered backend
+   */
+  getCandidates() {
+    if (this.mode !== 'auto') {
+      return [this.backends.get(this.mode)];
+    }
+    const ordered = this.order.filter(name => this.backends.has(name));
+    const rest = [...this.backends.keys()].filter(name => !ordered.includes(name));
+    return [...ordered, ...rest].map(name => this.backends.get(name));
+  }
+}
+
+module.exports = { InferenceRouterService };
@@ -0,0 +1,141 @@
+/**
+ * 🧠 Local Inference Backend - Context7 Optimized
+ *
+ * Context7 Pattern: IInferenceBackend over the in-process NeuralTradingAgentService
+ * - Maps TradingDecisionService features onto the agent's market state
+ * - Always greedy: exploration belongs to training, not to live decisions
+ * - Needs no network, so it is the fallback when the Python RL service is down
+ * - With a ModelRegistryService it follows the production model, unless pinned to a modelId
+ * - Trains the agent on session experiences, so the weights saveModel() registers are the ones sessions learned
+ *
+ * SOLID: Adapter - network math stays in NeuralTradingAgentService
+ */
+
+const { IInferenceBackend } = require('../../../abstractions/IInferenceBackend');
+const { NeuralTradingAgentService } = require('../../NeuralTradingAgentService');
+const { Logger } = require('../../../utils/Logger');
+
+class LocalInferenceBackend extends IInferenceBackend {
+  /**
+   * @param {Object} dependencies - { agent, registry, modelId }
+   */
+  constructor(dependencies = {}) {
+    super('local');
+    this.logger = new Logger('LocalInferenceBackend');
+    this.agent = dependencies.agent || new NeuralTradingAgentService();
+    this.registry = dependencies.registry || null;
+    this.pinnedModelId = dependencies.modelId || null;
+  }
+
+  async predict(features) {
+    await this.syncModel();
+    const prediction = await this.agent.predict(this.toAgentState(features), { explore: false });
+
+    return {
+      action: prediction.action.type.toLowerCase(),
+      confidence: prediction.confidence,
+      expectedReturn: prediction.expectedReturn,
+      qValues: prediction.qValues,
+      modelVersion: this.agent.loadedModel?.modelId || null,
+      reasoning: prediction.action.reason
+    };
+  }
+
+  /**
+   * Pin a registered model, or pass null to follow the production model again
+   * @returns {Promise<Object|null>} agent.loadedModel afterwards
+   */
+  async pinModel(modelId) {
+    this.pinnedModelId = modelId || null;
+    await this.syncModel();
+    return this.agent.loadedModel || null;
+  }
+
+  /**
+   * Load the pinned or production model when the agent is running something else.
+   * Pinned models must load; a failed production lookup keeps the current weights so
+   * inference survives a registry outage.
+   */
+  async syncModel() {
+    if (this.pinnedModelId) {
+      if (this.agent.loadedModel?.modelId !== this.pinnedModelId) {
+        const loaded = await this.agent.loadSavedModel(this.pinnedModelId);
+        if (!loaded) {
+          throw new Error(`Pinned model ${this.pinnedModelId} not found`);
+        }
+      }
+      return;
+    }
+    if (!this.registry) {
+      return;
+    }
+
+    try {
+      await this.registry.loadProductionModel(this.agent);
+    } catch (error) {
+      this.logger.warn('Production model sync failed, keeping current weights', {
+        modelId: this.agent.loadedModel?.modelId || null,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Add a TradingLearningService experience to the agent's replay memory
+   * @param {Object} experience - { state, action, reward, nextState, done } with features as states
+   */
+  memorize(experience) {
+    this.agent.memorizeExperience({
+      state: this.toAgentState(experience.state || {}),
+      action: experience.action,
+      reward: experience.reward,
+      nextState: this.toAgentState(experience.nextState || experience.state || {}),
+      done: experience.done
+    });
+  }
+
+  /**
+   * One training step on the agent's replay memory
+   * @returns {Promise<number>} Loss, 0 until the memory holds a full batch
+   */
+  async train() {
+    return this.agent.trainOnBatch();
+  }
+
+  /**
+   * Empty the agent's replay memory; the weights are kept
+   */
+  clearMemory() {
+    this.agent.memory = this.agent.createReplayBuffer();
+  }
+
+  /**
+   * TradingDecisionService.prepareFeatures() output -> NeuralTradingAgentService state
+   */
+  toAgentState(features) {
+    return {
+      itemId: features.itemId,
+      price: features.currentPrice,
+      volume: features.volumeNormalized * 1000,
+      spread: features.marginPercent,
+      volatility: features.volatility,
+      rsi: features.rsi,
+      macd: 0,
+      trend: 'FLAT',
+      timestamp: features.timestamp
+    };
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      architecture: this.agent.getNetworkInfo().architecture,
+      totalSteps: this.agent.totalSteps,
+      model: this.agent.loadedModel || null,
+      pinnedModelId: this.pinnedModelId,
+      followsProduction: Boolean(this.registry) && !this.pinnedModelId
+    };
+  }
+}
+
+module.exports = { LocalInferenceBackend };
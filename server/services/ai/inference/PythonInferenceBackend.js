@@ -0,0 +1,116 @@
+/**
+ * 🐍 Python Inference Backend - Context7 Optimized
+ *
+ * Context7 Pattern: IInferenceBackend over the Python RL microservice
+ * - Sends TradingDecisionService features as the ordered vector the service expects (FEATURE_NAMES)
+ * - Unavailable while the client's circuit breaker is open, so the router skips it without a request
+ * - With a ModelRegistryService it has the service load the production model, unless pinned to a modelId
+ *
+ * SOLID: Adapter - HTTP details stay in PythonRLClientService
+ */
+
+const { IInferenceBackend } = require('../../../abstractions/IInferenceBackend');
+const { PythonRLClientService } = require('../../PythonRLClientService');
+const { Logger } = require('../../../utils/Logger');
+
+// Order of the feature vector sent to /api/v1/predictions
+const FEATURE_NAMES = [
+  'currentPrice',
+  'priceSpread',
+  'marginPercent',
+  'volume',
+  'volumeNormalized',
+  'rsi',
+  'volatility',
+  'riskScore',
+  'dayOfWeek',
+  'hourOfDay'
+];
+const ACTIONS = ['buy', 'sell', 'hold'];
+
+class PythonInferenceBackend extends IInferenceBackend {
+  /**
+   * @param {Object} dependencies - { client, registry, modelId }
+   */
+  constructor(dependencies = {}) {
+    super('python');
+    this.logger = new Logger('PythonInferenceBackend');
+    this.client = dependencies.client || new PythonRLClientService();
+    this.registry = dependencies.registry || null;
+    this.pinnedModelId = dependencies.modelId || null;
+    // Registry model the service last loaded; null while it runs its own default
+    this.loadedModelId = null;
+  }
+
+  async predict(features) {
+    await this.syncModel();
+    const prediction = await this.client.predict(FEATURE_NAMES.map(name => Number(features[name]) || 0));
+    const action = String(prediction.action_name ?? prediction.action ?? 'hold').toLowerCase();
+
+    return {
+      action: ACTIONS.includes(action) ? action : 'hold',
+      confidence: prediction.confidence || 0,
+      expectedReturn: prediction.expectedReturn || 0,
+      qValues: prediction.qValues || [],
+      modelVersion: prediction.modelVersion || null,
+      reasoning: `Python RL model ${prediction.modelVersion || 'default'}`
+    };
+  }
+
+  /**
+   * Pin a registered model, or pass null to follow the production model again.
+   * The service loads it before the next prediction.
+   */
+  pinModel(modelId) {
+    this.pinnedModelId = modelId || null;
+  }
+
+  /**
+   * Have the service load the pinned or production model when it runs something else.
+   * A model the service cannot load fails the prediction, so the router falls back to the
+   * local agent, which loads the same model from the registry; a failed production lookup
+   * keeps the current model.
+   */
+  async syncModel() {
+    let modelId = this.pinnedModelId;
+    if (!modelId && this.registry) {
+      try {
+        modelId = await this.registry.getProductionModelId();
+      } catch (error) {
+        this.logger.warn('Production model lookup failed, keeping current model', {
+          modelId: this.loadedModelId,
+          error: error.message
+        });
+        return;
+      }
+    }
+    if (!modelId || modelId === this.loadedModelId) {
+      return;
+    }
+
+    const result = await this.client.loadModel(modelId);
+    if (!result.success) {
+      throw new Error(`Python RL service did not load model ${modelId}`);
+    }
+    this.loadedModelId = modelId;
+    this.logger.info('Python RL service loaded model', { modelId, pinned: Boolean(this.pinnedModelId) });
+  }
+
+  isAvailable() {
+    return !this.client.isCircuitOpen();
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      baseUrl: this.client.config.baseUrl,
+      circuit: this.client.getCircuitState(),
+      failureCount: this.client.circuitBreaker.failureCount,
+      modelId: this.loadedModelId,
+      pinnedModelId: this.pinnedModelId,
+      followsProduction: Boolean(this.registry) && !this.pinnedModelId
+    };
+  }
+}
+
+module.exports = { PythonInferenceBackend, FEATURE_NAMES };
@@ -0,0 +1,184 @@
+/**
+ * 🕸️ Neural Network - Context7 Optimized
+ *
+ * Context7 Pattern: Small fully connected network (MLP) for the DQN agent
+ * - Layers hold weights as [output][input] rows plus one bias per output
+ * - ReLU hidden layers, linear output layer (Q-values)
+ * - forward() for inference; forwardWithCache() + backward() accumulate gradients for training
+ * - Plain arrays throughout, so toJSON() output is the serialized weights
+ *
+ * SOLID: Single responsibility for network math; optimizers live in Optimizers.js
+ */
+
+class NeuralNetwork {
+  /**
+   * @param {Array<number>} layerSizes - e.g. [8, 64, 32, 3]
+   * @param {Object} layers - Existing [{ weights, biases }]; created from random when omitted
+   * @param {SeededRandom} random - Initialization source when layers are omitted
+   */
+  constructor(layerSizes, { layers = null, random = null } = {}) {
+    this.layerSizes = [...layerSizes];
+    this.layers = layers || this.initializeLayers(random);
+  }
+
+  /**
+   * He initialization for ReLU layers, Xavier for the linear output layer; biases start at zero
+   */
+  initializeLayers(random) {
+    const layers = [];
+    for (let index = 0; index < this.layerSizes.length - 1; index++) {
+      const fanIn = this.layerSizes[index];
+      const fanOut = this.layerSizes[index + 1];
+      const isOutput = index === this.layerSizes.length - 2;
+      const scale = isOutput ? Math.sqrt(2 / (fanIn + fanOut)) : Math.sqrt(2 / fanIn);
+
+      layers.push({
+        weights: Array.from({ length: fanOut }, () => Array.from({ length: fanIn }, () => random.gaussian() * scale)),
+        biases: new Array(fanOut).fill(0)
+      });
+    }
+    return layers;
+  }
+
+  /**
+   * Output values for one input vector
+   */
+  forward(input) {
+    return this.forwardWithCache(input).output;
+  }
+
+  /**
+   * Forward pass that keeps every layer's activations for backward()
+   * @returns {Object} { activations: [input, hidden..., output], output }
+   */
+  forwardWithCache(input) {
+    const activations = [input];
+    let current = input;
+
+    this.layers.forEach((layer, layerIndex) => {
+      const isOutput = layerIndex === this.layers.length - 1;
+      current = layer.weights.map((row, outputIndex) => {
+        let sum = layer.biases[outputIndex];
+        for (let inputIndex = 0; inputIndex < row.length; inputIndex++) {
+          sum += row[inputIndex] * current[inputIndex];
+        }
+        return isOutput ? sum : Math.max(0, sum);
+      });
+      activations.push(current);
+    });
+
+    return { activations, output: current };
+  }
+
+  /**
+   * Backpropagate dLoss/dOutput through the cached pass and add the parameter gradients
+   * @param {Object} cache - Result of forwardWithCache()
+   * @param {Array<number>} outputGradient - dLoss/dOutput
+   * @param {Array<Object>} gradients - Accumulator from createGradients()
+   */
+  backward(cache, outputGradient, gradients) {
+    let delta = outputGradient;
+
+    for (let layerIndex = this.layers.length - 1; layerIndex >= 0; layerIndex--) {
+      const layer = this.layers[layerIndex];
+      const input = cache.activations[layerIndex];
+      const layerGradients = gradients[layerIndex];
+      const inputGradient = new Array(input.length).fill(0);
+
+      for (let outputIndex = 0; outputIndex < layer.weights.length; outputIndex++) {
+        const outputDelta = delta[outputIndex];
+        if (outputDelta === 0) {
+          continue;
+        }
+        const row = layer.weights[outputIndex];
+        const gradientRow = layerGradients.weights[outputIndex];
+        layerGradients.biases[outputIndex] += outputDelta;
+        for (let inputIndex = 0; inputIndex < row.length; inputIndex++) {
+          gradientRow[inputIndex] += outputDelta * input[inputIndex];
+          inputGradient[inputIndex] += outputDelta * row[inputIndex];
+        }
+      }
+
+      if (layerIndex > 0) {
+        // ReLU derivative: the hidden activation is positive exactly when its pre-activation was
+        delta = inputGradient.map((gradient, index) => (input[index] > 0 ? gradient : 0));
+      }
+    }
+
+    return gradients;
+  }
+
+  /**
+   * Zero-filled gradients shaped like the layers
+   */
+  createGradients() {
+    return this.layers.map(layer => ({
+      weights: layer.weights.map(row => new Array(row.length).fill(0)),
+      biases: new Array(layer.biases.length).fill(0)
+    }));
+  }
+
+  /**
+   * Blend another network's parameters in: this = tau * source + (1 - tau) * this
+   * tau = 1 copies the source outright.
+   */
+  blendFrom(source, tau = 1) {
+    this.layers.forEach((layer, layerIndex) => {
+      const sourceLayer = source.layers[layerIndex];
+      layer.weights.forEach((row, outputIndex) => {
+        const sourceRow = sourceLayer.weights[outputIndex];
+        for (let inputIndex = 0; inputIndex < row.length; inputIndex++) {
+          row[inputIndex] = tau * sourceRow[inputIndex] + (1 - tau) * row[inputIndex];
+        }
+        layer.biases[outputIndex] = tau * sourceLayer.biases[outputIndex] + (1 - tau) * layer.biases[outputIndex];
+      });
+    });
+  }
+
+  clone() {
+    return NeuralNetwork.fromJSON(this.toJSON());
+  }
+
+  parameterCount() {
+    return this.layers.reduce((total, layer) => total + layer.weights.length * (layer.weights[0].length + 1), 0);
+  }
+
+  toJSON() {
+    return {
+      layerSizes: [...this.layerSizes],
+      layers: this.layers.map(layer => ({
+        weights: layer.weights.map(row => [...row]),
+        biases: [...layer.biases]
+      }))
+    };
+  }
+
+  /**
+   * Rebuild from toJSON() output, checking every layer matches layerSizes
+   */
+  static fromJSON(data) {
+    const { layerSizes, layers } = data || {};
+    if (!Array.isArray(layerSizes) || !Array.isArray(layers) || layers.length !== layerSizes.length - 1) {
+      throw new Error('Network data must contain layerSizes and one layer per connection');
+    }
+
+    layers.forEach((layer, index) => {
+      const valid = Array.isArray(layer.weights) && Array.isArray(layer.biases) &&
+        layer.weights.length === layerSizes[index + 1] &&
+        layer.biases.length === layerSizes[index + 1] &&
+        layer.weights.every(row => Array.isArray(row) && row.length === layerSizes[index]);
+      if (!valid) {
+        throw new Error(`Layer ${index} does not match ${layerSizes[index]} -> ${layerSizes[index + 1]}`);
+      }
+    });
+
+    return new NeuralNetwork(layerSizes, {
+      layers: layers.map(layer => ({
+        weights: layer.weights.map(row => [...row]),
+        biases: [...layer.biases]
+      }))
+    });
+  }
+}
+
+module.exports = { NeuralNetwork };
@@ -0,0 +1,134 @@
+/**
+ * 📉 Optimizers - Context7 Optimized
+ *
+ * Context7 Pattern: Parameter updates for NeuralNetwork gradients
+ * - sgd: w -= learningRate * g
+ * - adam: bias-corrected first/second moment estimates (Kingma & Ba, 2015)
+ * - Adam moments are part of toJSON(), so training resumes exactly after a reload
+ *
+ * SOLID: Open/Closed - new optimizers register in OPTIMIZERS
+ */
+
+/**
+ * Deep copy of per-layer { weights, biases } parameters (null passes through)
+ */
+function copyParameters(parameters) {
+  return parameters && parameters.map(layer => ({
+    weights: layer.weights.map(row => [...row]),
+    biases: [...layer.biases]
+  }));
+}
+
+class SgdOptimizer {
+  constructor({ learningRate = 0.001 } = {}) {
+    this.learningRate = learningRate;
+  }
+
+  /**
+   * Apply gradients from NeuralNetwork.createGradients()/backward() to the network
+   */
+  step(network, gradients) {
+    network.layers.forEach((layer, layerIndex) => {
+      const layerGradients = gradients[layerIndex];
+      layer.weights.forEach((row, outputIndex) => {
+        const gradientRow = layerGradients.weights[outputIndex];
+        for (let inputIndex = 0; inputIndex < row.length; inputIndex++) {
+          row[inputIndex] -= this.learningRate * gradientRow[inputIndex];
+        }
+        layer.biases[outputIndex] -= this.learningRate * layerGradients.biases[outputIndex];
+      });
+    });
+  }
+
+  toJSON() {
+    return { type: 'sgd', learningRate: this.learningRate };
+  }
+}
+
+class AdamOptimizer {
+  constructor({ learningRate = 0.001, beta1 = 0.9, beta2 = 0.999, epsilon = 1e-8, state = null } = {}) {
+    this.learningRate = learningRate;
+    this.beta1 = beta1;
+    this.beta2 = beta2;
+    this.epsilon = epsilon;
+    this.t = state ? state.t : 0;
+    this.m = state ? copyParameters(state.m) : null;
+    this.v = state ? copyParameters(state.v) : null;
+  }
+
+  step(network, gradients) {
+    if (!this.m) {
+      this.m = network.createGradients();
+      this.v = network.createGradients();
+    }
+
+    this.t++;
+    const correction1 = 1 - Math.pow(this.beta1, this.t);
+    const correction2 = 1 - Math.pow(this.beta2, this.t);
+
+    const update = (gradient, m, v) => {
+      const nextM = this.beta1 * m + (1 - this.beta1) * gradient;
+      const nextV = this.beta2 * v + (1 - this.beta2) * gradient * gradient;
+      const delta = this.learningRate * (nextM / correction1) / (Math.sqrt(nextV / correction2) + this.epsilon);
+      return [nextM, nextV, delta];
+    };
+
+    network.layers.forEach((layer, layerIndex) => {
+      const layerGradients = gradients[layerIndex];
+      const layerM = this.m[layerIndex];
+      const layerV = this.v[layerIndex];
+
+      layer.weights.forEach((row, outputIndex) => {
+        const gradientRow = layerGradients.weights[outputIndex];
+        const mRow = layerM.weights[outputIndex];
+        const vRow = layerV.weights[outputIndex];
+        for (let inputIndex = 0; inputIndex < row.length; inputIndex++) {
+          const [nextM, nextV, delta] = update(gradientRow[inputIndex], mRow[inputIndex], vRow[inputIndex]);
+          mRow[inputIndex] = nextM;
+          vRow[inputIndex] = nextV;
+          row[inputIndex] -= delta;
+        }
+
+        const [nextM, nextV, delta] = update(layerGradients.biases[outputIndex], layerM.biases[outputIndex], layerV.biases[outputIndex]);
+        layerM.biases[outputIndex] = nextM;
+        layerV.biases[outputIndex] = nextV;
+        layer.biases[outputIndex] -= delta;
+      });
+    });
+  }
+
+  toJSON() {
+    return {
+      type: 'adam',
+      learningRate: this.learningRate,
+      beta1: this.beta1,
+      beta2: this.beta2,
+      epsilon: this.epsilon,
+      state: { t: this.t, m: copyParameters(this.m), v: copyParameters(this.v) }
+    };
+  }
+}
+
+const OPTIMIZERS = {
+  sgd: SgdOptimizer,
+  adam: AdamOptimizer
+};
+
+/**
+ * Create an optimizer by name, or restore one from its toJSON() output
+ * @param {Object} options - { type: 'sgd'|'adam', learningRate, ...type-specific options }
+ */
+function createOptimizer({ type = 'adam', ...options } = {}) {
+  const Optimizer = OPTIMIZERS[type];
+  if (!Optimizer) {
+    throw new Error(`Unknown optimizer "${type}" (expected one of ${Object.keys(OPTIMIZERS).join(', ')})`);
+  }
+  return new Optimizer(options);
+}
+
+module.exports = {
+  SgdOptimizer,
+  AdamOptimizer,
+  createOptimizer,
+  OPTIMIZERS
+};
@@ -0,0 +1,133 @@
+/**
+ * 🎞️ Prioritized Replay Buffer - Context7 Optimized
+ *
+ * Context7 Pattern: Proportional prioritized experience replay (Schaul et al., 2016)
+ * - Ring buffer of experiences; the oldest is overwritten once capacity is reached
+ * - Sampling probability is priority^alpha / total, kept in a sum tree for O(log n) sampling
+ * - New experiences get the highest priority seen so far, so each is replayed at least once
+ * - Importance-sampling weights (N * P(i))^-beta, normalised by the batch maximum, correct the bias;
+ *   beta anneals towards 1 by betaIncrement per sample() call
+ * - alpha = 0 gives uniform sampling with all weights 1
+ *
+ * SOLID: Single responsibility for replay memory
+ */
+
+class PrioritizedReplayBuffer {
+  /**
+   * @param {Object} options - { capacity, alpha, beta, betaIncrement, epsilon }
+   * @param {SeededRandom} random - Sampling source
+   */
+  constructor({ capacity = 10000, alpha = 0.6, beta = 0.4, betaIncrement = 0.001, epsilon = 1e-5 } = {}, random) {
+    this.capacity = capacity;
+    this.alpha = alpha;
+    this.beta = beta;
+    this.betaIncrement = betaIncrement;
+    this.epsilon = epsilon;
+    this.random = random;
+
+    // Sum tree: internal nodes at [0, capacity - 1), leaf i at capacity - 1 + i
+    this.tree = new Array(2 * capacity - 1).fill(0);
+    this.experiences = new Array(capacity);
+    this.nextIndex = 0;
+    this.size = 0;
+    this.maxPriority = 1;
+  }
+
+  add(experience) {
+    const index = this.nextIndex;
+    this.experiences[index] = experience;
+    this.setPriority(index, this.maxPriority);
+
+    this.nextIndex = (index + 1) % this.capacity;
+    this.size = Math.min(this.size + 1, this.capacity);
+    return index;
+  }
+
+  /**
+   * Stratified sample: one experience from each of batchSize equal slices of the priority mass
+   * @returns {Object} { experiences, indices, weights }
+   */
+  sample(batchSize) {
+    const total = this.tree[0];
+    const segment = total / batchSize;
+    const indices = [];
+    const probabilities = [];
+
+    for (let slot = 0; slot < batchSize; slot++) {
+      const index = this.find((slot + this.random.next()) * segment);
+      indices.push(index);
+      probabilities.push(this.tree[this.capacity - 1 + index] / total);
+    }
+
+    const rawWeights = probabilities.map(probability => Math.pow(this.size * probability, -this.beta));
+    const maxWeight = Math.max(...rawWeights);
+    this.beta = Math.min(1, this.beta + this.betaIncrement);
+
+    return {
+      experiences: indices.map(index => this.experiences[index]),
+      indices,
+      weights: rawWeights.map(weight => weight / maxWeight)
+    };
+  }
+
+  /**
+   * Priority of each sampled experience becomes |tdError| + epsilon
+   */
+  updatePriorities(indices, tdErrors) {
+    indices.forEach((index, position) => {
+      const priority = Math.abs(tdErrors[position]) + this.epsilon;
+      this.maxPriority = Math.max(this.maxPriority, priority);
+      this.setPriority(index, priority);
+    });
+  }
+
+  /**
+   * Stored experiences, oldest first
+   */
+  toArray() {
+    if (this.size < this.capacity) {
+      return this.experiences.slice(0, this.size);
+    }
+    return [...this.experiences.slice(this.nextIndex), ...this.experiences.slice(0, this.nextIndex)];
+  }
+
+  clear() {
+    this.tree.fill(0);
+    this.experiences = new Array(this.capacity);
+    this.nextIndex = 0;
+    this.size = 0;
+    this.maxPriority = 1;
+  }
+
+  // Private methods
+
+  setPriority(index, priority) {
+    let node = this.capacity - 1 + index;
+    const change = Math.pow(priority, this.alpha) - this.tree[node];
+    this.tree[node] += change;
+    while (node > 0) {
+      node = Math.floor((node - 1) / 2);
+      this.tree[node] += change;
+    }
+  }
+
+  /**
+   * Leaf whose cumulative priority range contains value
+   */
+  find(value) {
+    let node = 0;
+    while (node < this.capacity - 1) {
+      const left = 2 * node + 1;
+      if (value < this.tree[left]) {
+        node = left;
+      } else {
+        value -= this.tree[left];
+        node = left + 1;
+      }
+    }
+    // Floating point drift can step past the last filled leaf
+    return Math.min(node - (this.capacity - 1), this.size - 1);
+  }
+}
+
+module.exports = { PrioritizedReplayBuffer };
@@ -0,0 +1,62 @@
+/**
+ * 🎲 Seeded Random - Context7 Optimized
+ *
+ * Context7 Pattern: Reproducible randomness for the neural trading agent
+ * - mulberry32 generator: one 32-bit state word, uniform floats in [0, 1)
+ * - The state can be saved with a model, so a reloaded agent continues the same sequence
+ *
+ * SOLID: Single responsibility for deterministic random numbers
+ */
+
+class SeededRandom {
+  /**
+   * @param {number} seed - Any number; only its low 32 bits are used
+   */
+  constructor(seed) {
+    this.state = seed >>> 0;
+  }
+
+  /**
+   * Uniform float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Uniform integer in [0, max)
+   */
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Standard normal sample (Box-Muller)
+   */
+  gaussian() {
+    const u = 1 - this.next(); // (0, 1], keeps log() finite
+    const v = this.next();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  setState(state) {
+    this.state = state >>> 0;
+  }
+
+  /**
+   * Random 32-bit seed for agents created without one
+   */
+  static createSeed() {
+    return Math.floor(Math.random() * 4294967296);
+  }
+}
+
+module.exports = { SeededRandom };
@@ -0,0 +1,268 @@
+/**
+ * 🎯 Reward Functions - Context7 Optimized
+ *
+ * Context7 Pattern: Reward Function Registry for TradingLearningService
+ * - Named, versioned plugins with numeric parameters (defaults listed per plugin)
+ * - A plugin instance may keep state across trades (return window, equity peak), so each
+ *   learning session creates its own instance
+ * - The { name, version, params } definition is stored with AIModelMetadata, so models are
+ *   only compared against models trained on the same reward
+ *
+ * OCP: Register new reward functions without touching the learning service.
+ * Changing a plugin's formula or defaults means bumping its version.
+ */
+
+const { ErrorHandler } = require('../../../middleware/ErrorHandler');
+const { calculateGETax } = require('../../../utils/marketConstants');
+const TimeConstants = require('../../../utils/TimeConstants');
+
+/**
+ * The original TradingLearningService reward: tanh-scaled profit, prediction accuracy,
+ * same-day bonus, failed high-risk penalty and confidence calibration
+ */
+function createCompositeReward(params) {
+  return (decision, outcome) => {
+    let reward = 0;
+
+    if (outcome.actualProfit !== undefined) {
+      reward += Math.tanh(outcome.actualProfit / params.profitScale) * params.profitWeight;
+    }
+
+    if (outcome.actualReturn !== undefined && decision.expectedReturn !== undefined) {
+      const accuracyError = Math.abs(outcome.actualReturn - decision.expectedReturn);
+      reward += Math.max(0, 1 - accuracyError) * params.accuracyWeight;
+    }
+
+    if (outcome.tradeDuration) {
+      reward += Math.max(0, 1 - (outcome.tradeDuration / params.timeHorizonMs)) * params.timeWeight;
+    }
+
+    if (outcome.actualProfit < 0 && decision.riskScore > params.riskThreshold) {
+      reward -= (decision.riskScore - params.riskThreshold) / (100 - params.riskThreshold) * params.riskPenalty;
+    }
+
+    if (outcome.wasSuccessful !== undefined) {
+      reward += (outcome.wasSuccessful ? decision.confidence : (1 - decision.confidence)) * params.calibrationWeight;
+    }
+
+    return reward;
+  };
+}
+
+/**
+ * Profit per hour held, so a quick flip beats a slow trade with the same profit
+ */
+function createGpPerHourReward(params) {
+  return (decision, outcome) => {
+    const hours = Math.max(
+      (outcome.tradeDuration ?? params.defaultHours * TimeConstants.ONE_HOUR) / TimeConstants.ONE_HOUR,
+      params.minHours
+    );
+    const gpPerHour = (outcome.actualProfit || 0) / hours;
+    return Math.tanh(gpPerHour / params.gpPerHourScale) * params.weight;
+  };
+}
+
+/**
+ * Return divided by the standard deviation of the session's recent returns
+ */
+function createSharpeLikeReward(params) {
+  const returns = [];
+
+  return (decision, outcome) => {
+    const value = outcome.actualReturn || 0;
+    returns.push(value);
+    if (returns.length > params.window) {
+      returns.shift();
+    }
+
+    const mean = returns.reduce((sum, item) => sum + item, 0) / returns.length;
+    const variance = returns.reduce((sum, item) => sum + (item - mean) ** 2, 0) / returns.length;
+    const deviation = Math.max(Math.sqrt(variance), params.minDeviation);
+    return Math.tanh((value - params.riskFreeReturn) / deviation) * params.weight;
+  };
+}
+
+/**
+ * tanh-scaled profit minus a penalty that grows with the session's drawdown from its equity peak
+ */
+function createDrawdownPenalisedReward(params) {
+  let equity = 0;
+  let peak = 0;
+
+  return (decision, outcome) => {
+    const profit = outcome.actualProfit || 0;
+    equity += profit;
+    peak = Math.max(peak, equity);
+
+    const drawdown = peak - equity;
+    return Math.tanh(profit / params.profitScale) * params.profitWeight -
+      Math.tanh(drawdown / params.drawdownScale) * params.drawdownPenalty;
+  };
+}
+
+/**
+ * tanh-scaled profit after GE tax. outcome.taxPaid wins; otherwise the tax is estimated from the
+ * sell price and the quantity the position size bought.
+ */
+function createTaxAwareReward(params) {
+  return (decision, outcome) => {
+    let tax = outcome.taxPaid;
+    if (tax === undefined) {
+      const sellPrice = outcome.sellPrice ?? decision.sellPrice ?? 0;
+      const quantity = outcome.quantity ??
+        (decision.buyPrice > 0 ? Math.floor((decision.positionSize || 0) / decision.buyPrice) : 0);
+      tax = calculateGETax(sellPrice) * quantity;
+    }
+
+    const netProfit = (outcome.actualProfit || 0) - tax * params.taxWeight;
+    return Math.tanh(netProfit / params.profitScale) * params.profitWeight;
+  };
+}
+
+const REWARD_FUNCTIONS = {
+  composite: {
+    version: '1.0.0',
+    factory: createCompositeReward,
+    description: 'Profit, prediction accuracy, speed, failed high-risk penalty and confidence calibration',
+    defaults: {
+      profitScale: 1000000,
+      profitWeight: 10,
+      accuracyWeight: 2,
+      timeHorizonMs: TimeConstants.ONE_DAY,
+      timeWeight: 0.5,
+      riskThreshold: 60,
+      riskPenalty: 2,
+      calibrationWeight: 1,
+      clip: 10
+    }
+  },
+  gp_per_hour: {
+    version: '1.0.0',
+    factory: createGpPerHourReward,
+    description: 'Profit per hour held',
+    defaults: {
+      gpPerHourScale: 250000,
+      weight: 10,
+      minHours: 0.25,
+      defaultHours: 1,
+      clip: 10
+    }
+  },
+  sharpe_like: {
+    version: '1.0.0',
+    factory: createSharpeLikeReward,
+    description: 'Return over the standard deviation of the session\'s recent returns',
+    defaults: {
+      window: 30,
+      riskFreeReturn: 0,
+      minDeviation: 0.01,
+      weight: 5,
+      clip: 10
+    }
+  },
+  drawdown_penalised: {
+    version: '1.0.0',
+    factory: createDrawdownPenalisedReward,
+    description: 'Profit minus a penalty for the session\'s drawdown from its equity peak',
+    defaults: {
+      profitScale: 1000000,
+      profitWeight: 10,
+      drawdownScale: 5000000,
+      drawdownPenalty: 5,
+      clip: 10
+    }
+  },
+  tax_aware: {
+    version: '1.0.0',
+    factory: createTaxAwareReward,
+    description: 'Profit after the 2% GE sell tax',
+    defaults: {
+      profitScale: 1000000,
+      profitWeight: 10,
+      taxWeight: 1,
+      clip: 10
+    }
+  }
+};
+
+const REWARD_FUNCTION_NAMES = Object.keys(REWARD_FUNCTIONS);
+const DEFAULT_REWARD_FUNCTION = 'composite';
+
+/**
+ * Context7 Pattern: Create a reward function instance
+ * @param {string|Object} spec - Plugin name or { name, version, params }; defaults to composite
+ * @returns {Object} { name, version, params, calculate(decision, outcome) -> number in [-clip, clip] }
+ * @throws {Error} 400 error for unknown plugins, versions or parameters
+ */
+function createRewardFunction(spec = {}) {
+  const { name = DEFAULT_REWARD_FUNCTION, version, params = {} } = typeof spec === 'string' ? { name: spec } : (spec || {});
+  const definition = REWARD_FUNCTIONS[name];
+  if (!definition) {
+    throw ErrorHandler.createValidationError(`Unknown reward function: ${name}`, { available: REWARD_FUNCTION_NAMES });
+  }
+  // Older versions are not kept, so a pinned version must be the current one
+  if (version && version !== definition.version) {
+    throw ErrorHandler.createValidationError(
+      `Reward function ${name} is at version ${definition.version}, not ${version}`,
+      { name, version: definition.version }
+    );
+  }
+
+  const invalid = Object.entries(params || {})
+    .filter(([key, value]) => !(key in definition.defaults) || typeof value !== 'number' || !Number.isFinite(value))
+    .map(([key]) => key);
+  if (invalid.length > 0) {
+    throw ErrorHandler.createValidationError(
+      `Invalid parameters for reward function ${name}: ${invalid.join(', ')}`,
+      { allowed: Object.keys(definition.defaults) }
+    );
+  }
+
+  const resolved = { ...definition.defaults, ...params };
+  const calculate = definition.factory(resolved);
+
+  return {
+    name,
+    version: definition.version,
+    params: resolved,
+    calculate(decision, outcome) {
+      const reward = calculate(decision, outcome);
+      return Number.isFinite(reward) ? Math.max(-resolved.clip, Math.min(resolved.clip, reward)) : 0;
+    },
+    toJSON() {
+      return { name, version: definition.version, params: { ...resolved } };
+    }
+  };
+}
+
+/**
+ * Context7 Pattern: Reward function catalogue for the API
+ */
+function listRewardFunctions() {
+  return REWARD_FUNCTION_NAMES.map(name => ({
+    name,
+    version: REWARD_FUNCTIONS[name].version,
+    description: REWARD_FUNCTIONS[name].description,
+    params: { ...REWARD_FUNCTIONS[name].defaults }
+  }));
+}
+
+/**
+ * Context7 Pattern: Whether two stored definitions describe the same reward
+ */
+function isSameRewardDefinition(a, b) {
+  if (!a || !b || a.name !== b.name || a.version !== b.version) {
+    return false;
+  }
+  const keys = new Set([...Object.keys(a.params || {}), ...Object.keys(b.params || {})]);
+  return [...keys].every(key => a.params?.[key] === b.params?.[key]);
+}
+
+module.exports = {
+  createRewardFunction,
+  listRewardFunctions,
+  isSameRewardDefinition,
+  REWARD_FUNCTION_NAMES,
+  DEFAULT_REWARD_FUNCTION
+};
@@ -0,0 +1,329 @@
+/**
+ * 🔔 Alert Evaluation Service - Context7 Optimized
+ *
+ * Context7 Pattern: Alert Engine run after every scheduler sync
+ * - Loads active alerts and the newest MarketPriceSnapshotModel rows per item
+ * - Evaluates price/volume/margin conditions including change_percent
+ * - Honours cooldowns, pause durations and expiry dates
+ * - Records every trigger in AlertHistoryModel and dispatches notifications
+ *
+ * SOLID: Single responsibility for alert evaluation (CRUD lives in MarketAlertService)
+ */
+
+const { BaseService } = require('../BaseService');
+const { AlertModel } = require('../../models/AlertModel');
+const { AlertHistoryModel } = require('../../models/AlertHistoryModel');
+const { MarketPriceSnapshotModel } = require('../../models/MarketPriceSnapshotModel');
+const { getNotificationService } = require('../../utils/NotificationService');
+const { calculateGETax } = require('../../utils/marketConstants');
+const TimeConstants = require('../../utils/TimeConstants');
+
+// Snapshot intervals checked in order of preference (freshest first)
+const EVALUATION_INTERVALS = ['5m', '1h', 'latest'];
+
+// Alert types that can be evaluated from stored snapshots
+const EVALUABLE_TYPES = ['price', 'volume', 'margin'];
+
+class AlertEvaluationService extends BaseService {
+  constructor(dependencies = {}) {
+    super('AlertEvaluationService', {
+      enableCache: false,
+      enableMongoDB: false // Uses Mongoose models directly
+    });
+
+    this.alertModel = dependencies.alertModel || AlertModel;
+    this.alertHistoryModel = dependencies.alertHistoryModel || AlertHistoryModel;
+    this.snapshotModel = dependencies.snapshotModel || MarketPriceSnapshotModel;
+    this.notificationService = dependencies.notificationService || getNotificationService();
+    this.snapshotLookback = dependencies.snapshotLookback || TimeConstants.TWO_HOURS;
+
+    this.lastRun = null;
+  }
+
+  /**
+   * Context7 Pattern: Evaluate every active alert against the newest snapshots
+   * @param {number} now - Reference timestamp (injectable for tests)
+   * @returns {Promise<Object>} Evaluation summary
+   */
+  async evaluateAlerts(now = Date.now()) {
+    return this.execute(async() => {
+      const startTime = Date.now();
+
+      // Lifecycle housekeeping before evaluation
+      const [resumed, expired] = await Promise.all([
+        this.alertModel.resumeDuePaused(now),
+        this.alertModel.expireDue(now)
+      ]);
+
+      const alerts = await this.alertModel.findActive();
+      const summary = {
+        evaluated: 0,
+        triggered: 0,
+        skippedCooldown: 0,
+        skippedNoData: 0,
+        skippedUnsupported: 0,
+        resumed: resumed?.modifiedCount || 0,
+        expired: expired?.modifiedCount || 0,
+        triggers: []
+      };
+
+      if (alerts.length === 0) {
+        this.lastRun = { ...summary, completedAt: now };
+        return summary;
+      }
+
+      const itemIds = [...new Set(alerts.map(alert => alert.itemId))];
+      const snapshotsByItem = await this.getNewestSnapshots(itemIds, now);
+
+      for (const alert of alerts) {
+        if (!EVALUABLE_TYPES.includes(alert.type)) {
+          summary.skippedUnsupported++;
+          continue;
+        }
+
+        const snapshots = snapshotsByItem.get(alert.itemId);
+        if (!snapshots || snapshots.length === 0) {
+          summary.skippedNoData++;
+          continue;
+        }
+
+        summary.evaluated++;
+        const evaluation = this.evaluateAlert(alert, snapshots);
+
+        alert.lastEvaluatedAt = new Date(now);
+        alert.lastObservedValue = evaluation.currentValue;
+
+        if (!evaluation.conditionMet) {
+          await alert.save();
+          continue;
+        }
+
+        if (alert.isInCooldown(now)) {
+          summary.skippedCooldown++;
+          await alert.save();
+          continue;
+        }
+
+        const historyEntry = await this.recordTrigger(alert, evaluation, now);
+        summary.triggered++;
+        summary.triggers.push({
+          alertId: alert._id.toString(),
+          itemId: alert.itemId,
+          observedValue: evaluation.currentValue,
+          historyId: historyEntry._id.toString()
+        });
+      }
+
+      this.lastRun = { ...summary, completedAt: now, duration: Date.now() - startTime };
+
+      this.logger.info('Alert evaluation completed', {
+        evaluated: summary.evaluated,
+        triggered: summary.triggered,
+        skippedCooldown: summary.skippedCooldown,
+        expired: summary.expired
+      });
+
+      return summary;
+    }, 'evaluateAlerts', { logSuccess: false });
+  }
+
+  /**
+   * Context7 Pattern: Fetch the two newest snapshots per item
+   * Prefers 5m data, falls back to 1h and latest when an item has no fresher rows.
+   * @param {number[]} itemIds - Items referenced by active alerts
+   * @param {number} now - Reference timestamp
+   * @returns {Promise<Map<number, Object[]>>} Newest-first snapshots per item
+   */
+  async getNewestSnapshots(itemIds, now = Date.now()) {
+    const rows = await this.snapshotModel.aggregate([
+      {
+        $match: {
+          itemId: { $in: itemIds },
+          interval: { $in: EVALUATION_INTERVALS },
+          timestamp: { $gte: now - this.snapshotLookback }
+        }
+      },
+      { $sort: { timestamp: -1 } },
+      {
+        $group: {
+          _id: { itemId: '$itemId', interval: '$interval' },
+          snapshots: { $push: '$$ROOT' }
+        }
+      },
+      {
+        $project: {
+          snapshots: { $slice: ['$snapshots', 2] }
+        }
+      }
+    ]);
+
+    const byItem = new Map();
+    for (const interval of EVALUATION_INTERVALS) {
+      for (const row of rows) {
+        if (row._id.interval === interval && !byItem.has(row._id.itemId)) {
+          byItem.set(row._id.itemId, row.snapshots);
+        }
+      }
+    }
+
+    return byItem;
+  }
+
+  /**
+   * Context7 Pattern: Evaluate a single alert against newest-first snapshots
+   * @param {Object} alert - Alert document or plain object
+   * @param {Object[]} snapshots - Snapshots ordered newest first
+   * @returns {Object} Evaluation result
+   */
+  evaluateAlert(alert, snapshots) {
+    const [latest, previous] = snapshots;
+    const currentValue = this.resolveMetricValue(alert.type, latest);
+
+    let previousValue = previous ? this.resolveMetricValue(alert.type, previous) : null;
+    if (previousValue === null && typeof alert.lastObservedValue === 'number') {
+      previousValue = alert.lastObservedValue;
+    }
+
+    return {
+      currentValue,
+      previousValue,
+      snapshotTimestamp: latest.timestamp,
+      interval: latest.interval,
+      conditionMet: this.checkCondition(alert.condition, alert.threshold, currentValue, previousValue, alert.metadata)
+    };
+  }
+
+  /**
+   * Context7 Pattern: Extract the watched metric from a snapshot
+   * @param {string} type - Alert type
+   * @param {Object} snapshot - Market price snapshot
+   * @returns {number|null} Metric value
+   */
+  resolveMetricValue(type, snapshot) {
+    if (!snapshot) {
+      return null;
+    }
+
+    switch (type) {
+    case 'price':
+      return snapshot.highPrice;
+    case 'volume':
+      return snapshot.volume;
+    case 'margin':
+      if (typeof snapshot.marginGp === 'number') {
+        return snapshot.marginGp;
+      }
+      return snapshot.highPrice - snapshot.lowPrice - calculateGETax(snapshot.highPrice);
+    default:
+      return null;
+    }
+  }
+
+  /**
+   * Context7 Pattern: Compare a metric value against an alert condition
+   * Change conditions use the sign of the threshold: positive thresholds fire on rises,
+   * negative thresholds fire on drops.
+   * @param {string} condition - Alert condition
+   * @param {number} threshold - Alert threshold
+   * @param {number|null} currentValue - Newest metric value
+   * @param {number|null} previousValue - Prior metric value
+   * @param {Object} metadata - Alert metadata (supports `tolerance` for equals)
+   * @returns {boolean} True if the condition is met
+   */
+  checkCondition(condition, threshold, currentValue, previousValue = null, metadata = {}) {
+    if (typeof currentValue !== 'number' || Number.isNaN(currentValue)) {
+      return false;
+    }
+
+    switch (condition) {
+    case 'above':
+      return currentValue > threshold;
+    case 'below':
+      return currentValue < threshold;
+    case 'equals':
+      return Math.abs(currentValue - threshold) <= (metadata?.tolerance || 0);
+    case 'change_absolute': {
+      if (typeof previousValue !== 'number') {
+        return false;
+      }
+      const change = currentValue - previousValue;
+      return threshold >= 0 ? change >= threshold : change <= threshold;
+    }
+    case 'change_percent': {
+      if (typeof previousValue !== 'number' || previousValue === 0) {
+        return false;
+      }
+      const changePercent = ((currentValue - previousValue) / previousValue) * 100;
+      return threshold >= 0 ? changePercent >= threshold : changePercent <= threshold;
+    }
+    default:
+      return false;
+    }
+  }
+
+  /**
+   * Context7 Pattern: Persist a trigger and dispatch notifications to the alert's webhook/email targets
+   * @param {Object} alert - Alert document
+   * @param {Object} evaluation - Result of evaluateAlert
+   * @param {number} now - Reference timestamp
+   * @returns {Promise<Object>} Created history entry
+   */
+  async recordTrigger(alert, evaluation, now = Date.now()) {
+    alert.lastTriggeredAt = new Date(now);
+    alert.triggerCount = (alert.triggerCount || 0) + 1;
+    await alert.save();
+
+    const message = this.formatTriggerMessage(alert, evaluation);
+    const delivery = await this.notificationService.sendSystemAlert(message, {
+      alertId: alert._id.toString(),
+      itemId: alert.itemId,
+      observedValue: evaluation.currentValue,
+      threshold: alert.threshold
+    }, {
+      priority: alert.priority,
+      recipients: {
+        webhooks: alert.webhook,
+        emails: alert.email
+      }
+    });
+    const deliveredChannels = (delivery.deliveries || [])
+      .filter(result => result.success)
+      .map(result => result.channel);
+
+    return this.alertHistoryModel.create({
+      alertId: alert._id,
+      itemId: alert.itemId,
+      userId: alert.userId,
+      type: alert.type,
+      condition: alert.condition,
+      threshold: alert.threshold,
+      priority: alert.priority,
+      observedValue: evaluation.currentValue,
+      previousValue: evaluation.previousValue,
+      snapshotTimestamp: evaluation.snapshotTimestamp,
+      interval: evaluation.interval,
+      message,
+      status: delivery.success ? 'sent' : 'failed',
+      channels: [...new Set(deliveredChannels)],
+      error: delivery.success ? null : delivery.error,
+      triggeredAt: new Date(now)
+    });
+  }
+
+  /**
+   * Context7 Pattern: Human readable trigger message
+   */
+  formatTriggerMessage(alert, evaluation) {
+    const label = alert.description || `${alert.type} alert for item ${alert.itemId}`;
+    return `${label}: ${alert.type} ${alert.condition} ${alert.threshold} (observed ${evaluation.currentValue})`;
+  }
+
+  /**
+   * Context7 Pattern: Last evaluation summary for stats endpoints
+   */
+  getLastRun() {
+    return this.lastRun;
+  }
+}
+
+module.exports = { AlertEvaluationService };
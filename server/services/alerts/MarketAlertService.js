@@ -0,0 +1,430 @@
+/**
+ * 🚨 Market Alert Service - Context7 Optimized
+ *
+ * Context7 Pattern: Service Layer for Persistent Market Alerts
+ * - CRUD operations on AlertModel
+ * - Pause/resume lifecycle management
+ * - Trigger history and statistics from AlertHistoryModel
+ * - Manual alert testing through AlertEvaluationService
+ *
+ * SOLID: Single responsibility for alert management (evaluation is delegated)
+ */
+
+const mongoose = require('mongoose');
+const { BaseService } = require('../BaseService');
+const { AlertModel } = require('../../models/AlertModel');
+const { AlertHistoryModel } = require('../../models/AlertHistoryModel');
+const { AlertEvaluationService } = require('./AlertEvaluationService');
+const { ErrorHandler } = require('../../middleware/ErrorHandler');
+const TimeConstants = require('../../utils/TimeConstants');
+
+// Fields that may be changed through PUT /alerts/:alertId
+const UPDATABLE_FIELDS = [
+  'type', 'condition', 'threshold', 'email', 'webhook', 'priority',
+  'description', 'status', 'expiresAt', 'cooldownMinutes', 'metadata'
+];
+
+// API sort keys mapped to document fields
+const SORT_FIELDS = {
+  created: 'createdAt',
+  updated: 'updatedAt',
+  priority: 'priority',
+  type: 'type',
+  timestamp: 'triggeredAt',
+  alertId: 'alertId',
+  status: 'status'
+};
+
+class MarketAlertService extends BaseService {
+  constructor(dependencies = {}) {
+    super('MarketAlertService', {
+      enableCache: false,
+      enableMongoDB: false // Uses Mongoose models directly
+    });
+
+    this.alertModel = dependencies.alertModel || AlertModel;
+    this.alertHistoryModel = dependencies.alertHistoryModel || AlertHistoryModel;
+    this.evaluationService = dependencies.evaluationService || new AlertEvaluationService({
+      alertModel: this.alertModel,
+      alertHistoryModel: this.alertHistoryModel
+    });
+  }
+
+  /**
+   * Context7 Pattern: List alerts with filtering and sorting
+   */
+  async getAlerts(params = {}) {
+    return this.execute(async() => {
+      const { userId, type, status, limit = 50, sortBy = 'created', sortOrder = 'desc' } = params;
+
+      const query = {};
+      if (userId) {
+        query.userId = userId;
+      }
+      if (type) {
+        query.type = type;
+      }
+      if (status) {
+        query.status = status;
+      }
+
+      const sortField = SORT_FIELDS[sortBy] || 'createdAt';
+
+      return this.alertModel
+        .find(query)
+        .sort({ [sortField]: sortOrder === 'asc' ? 1 : -1 })
+        .limit(Math.min(parseInt(limit) || 50, 100));
+    }, 'getAlerts');
+  }
+
+  /**
+   * Context7 Pattern: Get a single alert with optional history and statistics
+   * @returns {Promise<Object|null>} Alert details or null if not found
+   */
+  async getAlertById(alertId, options = {}) {
+    return this.execute(async() => {
+      const alert = await this.findAlert(alertId);
+      if (!alert) {
+        return null;
+      }
+
+      const details = alert.toJSON();
+
+      if (options.includeHistory) {
+        details.history = await this.alertHistoryModel
+          .find({ alertId: alert._id })
+          .sort({ triggeredAt: -1 })
+          .limit(50);
+      }
+
+      if (options.includeStats) {
+        details.statistics = await this.getAlertStatistics(alert);
+      }
+
+      return details;
+    }, 'getAlertById');
+  }
+
+  /**
+   * Context7 Pattern: Create a new alert
+   */
+  async createAlert(alertData) {
+    return this.execute(async() => {
+      this.validateRequiredParams(alertData, ['itemId', 'type', 'threshold']);
+
+      const alert = await this.alertModel.create({
+        itemId: alertData.itemId,
+        userId: alertData.userId || 'default',
+        type: alertData.type,
+        condition: alertData.condition || 'above',
+        threshold: alertData.threshold,
+        email: alertData.email || null,
+        webhook: alertData.webhook || null,
+        priority: alertData.priority || 'medium',
+        description: alertData.description || null,
+        expiresAt: alertData.expiresAt ? new Date(alertData.expiresAt) : null,
+        cooldownMinutes: alertData.cooldownMinutes || undefined,
+        metadata: alertData.metadata || {}
+      });
+
+      this.logger.info('Alert created', { alertId: alert.id, itemId: alert.itemId, type: alert.type });
+      return alert;
+    }, 'createAlert');
+  }
+
+  /**
+   * Context7 Pattern: Update an existing alert
+   * @returns {Promise<Object|null>} Updated alert or null if not found
+   */
+  async updateAlert(alertId, updateData = {}) {
+    return this.execute(async() => {
+      const alert = await this.findAlert(alertId);
+      if (!alert) {
+        return null;
+      }
+
+      for (const field of UPDATABLE_FIELDS) {
+        if (updateData[field] !== undefined) {
+          alert[field] = field === 'expiresAt' && updateData[field] ? new Date(updateData[field]) : updateData[field];
+        }
+      }
+
+      // Re-activating an expired alert requires a new expiry date in the future
+      if (alert.status === 'active' && alert.isExpired()) {
+        alert.status = 'expired';
+      }
+
+      return alert.save();
+    }, 'updateAlert');
+  }
+
+  /**
+   * Context7 Pattern: Delete an alert (history is kept for auditing)
+   */
+  async deleteAlert(alertId) {
+    return this.execute(async() => {
+      if (!mongoose.isValidObjectId(alertId)) {
+        return { deleted: false, alertId };
+      }
+
+      const result = await this.alertModel.deleteOne({ _id: alertId });
+      return { deleted: result.deletedCount > 0, alertId };
+    }, 'deleteAlert');
+  }
+
+  /**
+   * Context7 Pattern: Pause an alert
+   * @returns {Promise<Object|null>} Paused alert or null if not found
+   */
+  async pauseAlert(alertId, { reason, duration } = {}) {
+    return this.execute(async() => {
+      const alert = await this.findAlert(alertId);
+      if (!alert) {
+        return null;
+      }
+
+      return alert.pause(reason || 'Manual pause', duration || null);
+    }, 'pauseAlert');
+  }
+
+  /**
+   * Context7 Pattern: Resume a paused alert
+   * @returns {Promise<Object|null>} Resumed alert or null if not found
+   * @throws {Error} 409 error when the alert has expired
+   */
+  async resumeAlert(alertId) {
+    const alert = await this.findAlert(alertId);
+    if (!alert) {
+      return null;
+    }
+    // Checked outside execute() so the conflict error keeps its 409 status
+    if (alert.status === 'expired' || alert.isExpired()) {
+      throw ErrorHandler.createError(`Alert ${alertId} has expired; set a new expiry date to re-activate it`, 409, {
+        status: alert.status,
+        expiresAt: alert.expiresAt
+      });
+    }
+
+    return this.execute(async() => alert.resume(), 'resumeAlert');
+  }
+
+  /**
+   * Context7 Pattern: Evaluate an alert immediately without waiting for a sync
+   * @returns {Promise<Object|null>} Test result or null if not found
+   */
+  async testAlert(alertId, { mockData, sendNotification = false } = {}) {
+    return this.execute(async() => {
+      const alert = await this.findAlert(alertId);
+      if (!alert) {
+        return null;
+      }
+
+      const startTime = Date.now();
+      let snapshots;
+
+      if (mockData) {
+        snapshots = [mockData.current || mockData, mockData.previous].filter(Boolean);
+      } else {
+        const byItem = await this.evaluationService.getNewestSnapshots([alert.itemId]);
+        snapshots = byItem.get(alert.itemId) || [];
+      }
+
+      if (snapshots.length === 0) {
+        return {
+          alertId,
+          conditionMet: false,
+          notificationSent: false,
+          reason: 'No recent market snapshots for this item',
+          testedAt: Date.now()
+        };
+      }
+
+      const evaluation = this.evaluationService.evaluateAlert(alert, snapshots);
+      let historyEntry = null;
+
+      if (evaluation.conditionMet && sendNotification) {
+        historyEntry = await this.evaluationService.recordTrigger(alert, evaluation);
+      }
+
+      return {
+        alertId,
+        conditionMet: evaluation.conditionMet,
+        currentValue: evaluation.currentValue,
+        previousValue: evaluation.previousValue,
+        threshold: alert.threshold,
+        condition: alert.condition,
+        inCooldown: alert.isInCooldown(),
+        notificationSent: Boolean(historyEntry && historyEntry.status === 'sent'),
+        testedAt: Date.now(),
+        responseTime: Date.now() - startTime
+      };
+    }, 'testAlert');
+  }
+
+  /**
+   * Context7 Pattern: Alert trigger history
+   */
+  async getAlertHistory(params = {}) {
+    return this.execute(async() => {
+      const {
+        alertId,
+        userId,
+        status,
+        startTime = Date.now() - TimeConstants.SEVEN_DAYS,
+        endTime = Date.now(),
+        limit = 50,
+        sortBy = 'timestamp',
+        sortOrder = 'desc'
+      } = params;
+
+      const query = {
+        triggeredAt: { $gte: new Date(startTime), $lte: new Date(endTime) }
+      };
+      if (alertId) {
+        if (!mongoose.isValidObjectId(alertId)) {
+          return { notifications: [], totalCount: 0 };
+        }
+        query.alertId = alertId;
+      }
+      if (userId) {
+        query.userId = userId;
+      }
+      if (status) {
+        query.status = status;
+      }
+
+      const sortField = SORT_FIELDS[sortBy] || 'triggeredAt';
+      const [notifications, totalCount] = await Promise.all([
+        this.alertHistoryModel
+          .find(query)
+          .sort({ [sortField]: sortOrder === 'asc' ? 1 : -1 })
+          .limit(Math.min(parseInt(limit) || 50, 500)),
+        this.alertHistoryModel.countDocuments(query)
+      ]);
+
+      return { notifications, totalCount };
+    }, 'getAlertHistory');
+  }
+
+  /**
+   * Context7 Pattern: Alert system statistics
+   */
+  async getAlertStats({ userId, timeRange = TimeConstants.ONE_DAY } = {}) {
+    return this.execute(async() => {
+      const now = Date.now();
+      const alertMatch = userId ? { userId } : {};
+      const historyMatch = {
+        ...alertMatch,
+        triggeredAt: { $gte: new Date(now - timeRange), $lte: new Date(now) }
+      };
+      const previousMatch = {
+        ...alertMatch,
+        triggeredAt: { $gte: new Date(now - 2 * timeRange), $lt: new Date(now - timeRange) }
+      };
+
+      const [statusBreakdown, deliveryBreakdown, triggeredToday, previousTriggers, createdInRange, createdPrevious] = await Promise.all([
+        this.alertModel.getStatusBreakdown(alertMatch),
+        this.alertHistoryModel.getDeliveryBreakdown(historyMatch),
+        this.alertHistoryModel.countDocuments({
+          ...alertMatch,
+          triggeredAt: { $gte: new Date(now - TimeConstants.ONE_DAY) }
+        }),
+        this.alertHistoryModel.countDocuments(previousMatch),
+        this.alertModel.countDocuments({ ...alertMatch, createdAt: { $gte: new Date(now - timeRange) } }),
+        this.alertModel.countDocuments({
+          ...alertMatch,
+          createdAt: { $gte: new Date(now - 2 * timeRange), $lt: new Date(now - timeRange) }
+        })
+      ]);
+
+      const byStatus = this.toCountMap(statusBreakdown);
+      const delivery = deliveryBreakdown[0] || { byStatus: [], byChannel: [] };
+      const deliveryByStatus = this.toCountMap(delivery.byStatus);
+      const deliveryByChannel = this.toCountMap(delivery.byChannel);
+
+      const triggersInRange = Object.values(deliveryByStatus).reduce((sum, count) => sum + count, 0);
+      const totalAlerts = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
+
+      return {
+        overview: {
+          totalAlerts,
+          activeAlerts: byStatus.active || 0,
+          pausedAlerts: byStatus.paused || 0,
+          expiredAlerts: byStatus.expired || 0,
+          triggeredToday
+        },
+        performance: {
+          triggersInRange,
+          successRate: triggersInRange > 0
+            ? `${(((deliveryByStatus.sent || 0) / triggersInRange) * 100).toFixed(1)}%`
+            : '0%',
+          lastEvaluation: this.evaluationService.getLastRun()
+        },
+        notifications: {
+          emailsSent: deliveryByChannel.email || 0,
+          webhooksSent: deliveryByChannel.webhook || 0,
+          consoleSent: deliveryByChannel.console || 0,
+          failedNotifications: deliveryByStatus.failed || 0
+        },
+        trends: {
+          alertsCreatedTrend: this.formatTrend(createdInRange, createdPrevious),
+          triggerRateTrend: this.formatTrend(triggersInRange, previousTriggers)
+        },
+        timeRange: {
+          start: now - timeRange,
+          end: now,
+          durationMs: timeRange
+        },
+        userId: userId || 'all',
+        generatedAt: now
+      };
+    }, 'getAlertStats');
+  }
+
+  // Helper methods
+
+  /**
+   * Context7 Pattern: Find alert by id, tolerating malformed ids
+   */
+  async findAlert(alertId) {
+    if (!mongoose.isValidObjectId(alertId)) {
+      return null;
+    }
+    return this.alertModel.findById(alertId);
+  }
+
+  /**
+   * Context7 Pattern: Per-alert statistics from its history
+   */
+  async getAlertStatistics(alert) {
+    const ageDays = Math.max((Date.now() - new Date(alert.createdAt).getTime()) / TimeConstants.ONE_DAY, 1);
+    const [sent, total] = await Promise.all([
+      this.alertHistoryModel.countDocuments({ alertId: alert._id, status: 'sent' }),
+      this.alertHistoryModel.countDocuments({ alertId: alert._id })
+    ]);
+
+    return {
+      triggerFrequency: `${(alert.triggerCount / ageDays).toFixed(2)}/day`,
+      deliverySuccessRate: total > 0 ? `${((sent / total) * 100).toFixed(1)}%` : '0%',
+      lastTriggered: alert.lastTriggeredAt,
+      lastObservedValue: alert.lastObservedValue
+    };
+  }
+
+  toCountMap(rows = []) {
+    return rows.reduce((map, row) => {
+      map[row._id] = row.count;
+      return map;
+    }, {});
+  }
+
+  formatTrend(current, previous) {
+    if (previous === 0) {
+      return current > 0 ? '+100%' : '0%';
+    }
+    const change = ((current - previous) / previous) * 100;
+    return `${change >= 0 ? '+' : ''}${change.toFixed(1)}%`;
+  }
+}
+
+module.exports = { MarketAlertService };
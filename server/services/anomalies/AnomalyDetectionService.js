@@ -0,0 +1,332 @@
+/**
+ * 🚨 Anomaly Detection Service - Context7 Optimized
+ *
+ * Context7 Pattern: Price Anomaly and Manipulation Detector run after every scheduler sync
+ * - Scores each item in the newest MarketPriceSnapshotModel batch against its own recent history
+ * - Robust statistics only (median and MAD), so a few earlier spikes cannot hide a new one:
+ *   price_zscore: robust z-score of the mid-price log return
+ *   volume_surge: volume versus the rolling median volume
+ *   spread_blowout: high/low spread versus the rolling median spread
+ * - Persists flagged events in MarketAnomalyModel (one per item and batch, so re-runs are idempotent)
+ *
+ * SOLID: Single responsibility for anomaly detection (publishing is left to the scheduler)
+ */
+
+const { BaseService } = require('../BaseService');
+const { MarketPriceSnapshotModel } = require('../../models/MarketPriceSnapshotModel');
+const { MarketAnomalyModel } = require('../../models/MarketAnomalyModel');
+const TimeConstants = require('../../utils/TimeConstants');
+
+const DETECTION_INTERVALS = ['5m', '1h'];
+const INTERVAL_MS = {
+  '5m': TimeConstants.FIVE_MINUTES,
+  '1h': TimeConstants.ONE_HOUR
+};
+
+const THRESHOLDS = {
+  price_zscore: 4,
+  volume_surge: 5,
+  spread_blowout: 4
+};
+
+// Scales the MAD to a standard deviation for normally distributed data
+const MAD_SCALE = 1.4826;
+// Floors stop near-constant histories from turning ordinary moves into extreme scores
+const MIN_RETURN_SCALE = 0.01;
+const MIN_SPREAD_PERCENT = 0.001;
+
+const HISTORY_POINTS = 72;
+const MIN_HISTORY_POINTS = 12;
+// Anomalies in batches newer than this are treated as still active (e.g. by /top-flips)
+const ACTIVE_WINDOW = TimeConstants.TWO_HOURS;
+
+const SNAPSHOT_FIELDS = 'itemId timestamp highPrice lowPrice volume';
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+let anomalyDetectionService = null;
+
+class AnomalyDetectionService extends BaseService {
+  constructor(dependencies = {}) {
+    super('AnomalyDetectionService', {
+      enableCache: false,
+      enableMongoDB: false // Uses Mongoose models directly
+    });
+
+    this.snapshotModel = dependencies.snapshotModel || MarketPriceSnapshotModel;
+    this.anomalyModel = dependencies.anomalyModel || MarketAnomalyModel;
+    this.now = dependencies.now || (() => Date.now());
+
+    // Newest batch timestamp already scored, per interval
+    this.lastProcessed = new Map();
+  }
+
+  /**
+   * Context7 Pattern: Score the newest snapshot batch of every detection interval
+   * @returns {Promise<Object>} { flagged, intervals, events }
+   */
+  async detectLatest() {
+    return this.execute(async() => {
+      const intervals = [];
+      const events = [];
+
+      for (const interval of DETECTION_INTERVALS) {
+        const { events: flagged, ...summary } = await this.detectLatestBatch({ interval });
+        intervals.push(summary);
+        events.push(...flagged);
+      }
+
+      return { flagged: events.length, intervals, events };
+    }, 'detectLatest', { logSuccess: true });
+  }
+
+  /**
+   * Context7 Pattern: Score the newest snapshot batch of one interval
+   * Batches that were already scored are skipped, so the hourly batch is only scored once.
+   * @returns {Promise<Object>} { interval, timestamp, checked, insufficientHistory, flagged, skipped, events }
+   */
+  async detectLatestBatch({ interval = '5m' } = {}) {
+    return this.execute(async() => {
+      const latest = await this.snapshotModel
+        .findOne({ interval })
+        .sort({ timestamp: -1 })
+        .select('timestamp')
+        .lean();
+
+      if (!latest) {
+        return { interval, timestamp: null, checked: 0, insufficientHistory: 0, flagged: 0, skipped: true, events: [] };
+      }
+      if (this.lastProcessed.get(interval) === latest.timestamp) {
+        return { interval, timestamp: latest.timestamp, checked: 0, insufficientHistory: 0, flagged: 0, skipped: true, events: [] };
+      }
+
+      const result = await this.detectBatch(interval, latest.timestamp);
+      this.lastProcessed.set(interval, latest.timestamp);
+      return result;
+    }, 'detectLatestBatch');
+  }
+
+  /**
+   * Context7 Pattern: Newest active anomaly per item
+   * @param {Object} options - { itemIds, since } with since in Unix ms
+   * @returns {Promise<Map<number, Object>>} itemId -> anomaly
+   */
+  async getActiveAnomalies({ itemIds, since } = {}) {
+    return this.execute(async() => {
+      const query = { timestamp: { $gte: since ?? this.now() - ACTIVE_WINDOW } };
+      if (itemIds) {
+        query.itemId = { $in: itemIds };
+      }
+
+      const anomalies = await this.anomalyModel.find(query).sort({ timestamp: -1 }).lean();
+      const byItem = new Map();
+      for (const anomaly of anomalies) {
+        if (!byItem.has(anomaly.itemId)) {
+          byItem.set(anomaly.itemId, anomaly);
+        }
+      }
+      return byItem;
+    }, 'getActiveAnomalies');
+  }
+
+  /**
+   * Context7 Pattern: Flagged events, newest first
+   * @param {Object} options - { interval, severity, itemId, since, limit }
+   * @returns {Promise<Object>} { anomalies, total }
+   */
+  async getAnomalies(options = {}) {
+    const limit = Math.min(Math.max(parseInt(options.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    return this.execute(async() => {
+      const query = {};
+      if (options.interval) {
+        query.interval = options.interval;
+      }
+      if (options.severity) {
+        query.severity = options.severity;
+      }
+      if (options.itemId) {
+        query.itemId = options.itemId;
+      }
+      if (options.since) {
+        query.timestamp = { $gte: options.since };
+      }
+
+      const [anomalies, total] = await Promise.all([
+        this.anomalyModel.find(query).sort({ timestamp: -1, score: -1 }).limit(limit).lean(),
+        this.anomalyModel.countDocuments(query)
+      ]);
+
+      return { anomalies, total };
+    }, 'getAnomalies');
+  }
+
+  // Private methods
+
+  async detectBatch(interval, timestamp) {
+    const batch = await this.snapshotModel.find({ interval, timestamp }).select(SNAPSHOT_FIELDS).lean();
+    const itemIds = batch.map(snapshot => snapshot.itemId);
+    const history = await this.snapshotModel
+      .find({
+        interval,
+        itemId: { $in: itemIds },
+        timestamp: { $gte: timestamp - HISTORY_POINTS * INTERVAL_MS[interval], $lt: timestamp }
+      })
+      .select(SNAPSHOT_FIELDS)
+      .sort({ timestamp: 1 })
+      .lean();
+
+    const historyByItem = new Map();
+    for (const snapshot of history) {
+      if (!historyByItem.has(snapshot.itemId)) {
+        historyByItem.set(snapshot.itemId, []);
+      }
+      historyByItem.get(snapshot.itemId).push(snapshot);
+    }
+
+    const events = [];
+    let insufficientHistory = 0;
+    for (const snapshot of batch) {
+      const itemHistory = historyByItem.get(snapshot.itemId) || [];
+      if (itemHistory.length < MIN_HISTORY_POINTS) {
+        insufficientHistory++;
+        continue;
+      }
+
+      const event = this.scoreSnapshot(snapshot, itemHistory);
+      if (event) {
+        events.push({ ...event, interval, timestamp, detectedAt: new Date(this.now()) });
+      }
+    }
+
+    if (events.length > 0) {
+      await this.anomalyModel.bulkWrite(events.map(event => ({
+        updateOne: {
+          filter: { itemId: event.itemId, interval, timestamp },
+          update: { $set: event },
+          upsert: true
+        }
+      })), { ordered: false });
+    }
+
+    this.logger.info('Anomaly detection completed', {
+      interval,
+      timestamp,
+      checked: batch.length,
+      insufficientHistory,
+      flagged: events.length
+    });
+
+    return { interval, timestamp, checked: batch.length, insufficientHistory, flagged: events.length, skipped: false, events };
+  }
+
+  /**
+   * Score one snapshot against the item's history (oldest first)
+   * @returns {Object|null} Anomaly without interval/timestamp, or null when no signal fires
+   */
+  scoreSnapshot(snapshot, history) {
+    const priced = history.filter(point => this.getMid(point) !== null);
+    const mid = this.getMid(snapshot);
+    if (mid === null || priced.length < 2) {
+      return null;
+    }
+
+    const signals = [];
+
+    const returns = [];
+    for (let i = 1; i < priced.length; i++) {
+      returns.push(Math.log(this.getMid(priced[i]) / this.getMid(priced[i - 1])));
+    }
+    const logReturn = Math.log(mid / this.getMid(priced[priced.length - 1]));
+    const returnMedian = median(returns);
+    const returnScale = Math.max(MAD_SCALE * median(returns.map(value => Math.abs(value - returnMedian))), MIN_RETURN_SCALE);
+    const zScore = (logReturn - returnMedian) / returnScale;
+    if (Math.abs(zScore) >= THRESHOLDS.price_zscore) {
+      signals.push({ type: 'price_zscore', value: round(zScore), threshold: THRESHOLDS.price_zscore });
+    }
+
+    const medianVolume = median(history.map(point => point.volume || 0));
+    if (medianVolume > 0 && (snapshot.volume || 0) / medianVolume >= THRESHOLDS.volume_surge) {
+      signals.push({ type: 'volume_surge', value: round(snapshot.volume / medianVolume), threshold: THRESHOLDS.volume_surge });
+    }
+
+    const medianSpread = Math.max(median(priced.map(point => this.getSpreadPercent(point))), MIN_SPREAD_PERCENT);
+    const spreadRatio = this.getSpreadPercent(snapshot) / medianSpread;
+    if (spreadRatio >= THRESHOLDS.spread_blowout) {
+      signals.push({ type: 'spread_blowout', value: round(spreadRatio), threshold: THRESHOLDS.spread_blowout });
+    }
+
+    if (signals.length === 0) {
+      return null;
+    }
+
+    const ratios = signals.map(signal => Math.abs(signal.value) / signal.threshold);
+    return {
+      itemId: snapshot.itemId,
+      score: round(ratios.reduce((sum, ratio) => sum + ratio, 0)),
+      severity: this.getSeverity(signals.length, Math.max(...ratios)),
+      direction: logReturn > 0 ? 'spike' : (logReturn < 0 ? 'crash' : 'flat'),
+      signals,
+      metrics: {
+        highPrice: snapshot.highPrice,
+        lowPrice: snapshot.lowPrice,
+        volume: snapshot.volume ?? null,
+        logReturn: round(logReturn, 4),
+        medianVolume,
+        medianSpreadPercent: round(medianSpread * 100, 4),
+        historyPoints: history.length
+      }
+    };
+  }
+
+  // Several independent signals at once are the classic manipulation pattern
+  getSeverity(signalCount, strongestRatio) {
+    if (signalCount >= 2) {
+      return 'high';
+    }
+    return strongestRatio >= 2 ? 'medium' : 'low';
+  }
+
+  getMid(snapshot) {
+    if (!(snapshot.highPrice > 0) || !(snapshot.lowPrice > 0)) {
+      return null;
+    }
+    return (snapshot.highPrice + snapshot.lowPrice) / 2;
+  }
+
+  getSpreadPercent(snapshot) {
+    const mid = this.getMid(snapshot);
+    return mid === null ? 0 : (snapshot.highPrice - snapshot.lowPrice) / mid;
+  }
+}
+
+function median(values) {
+  if (values.length === 0) {
+    return 0;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Get singleton anomaly detection service instance
+ * Shared by the scheduler and /top-flips so both see the same detector state
+ */
+function getAnomalyDetectionService() {
+  if (!anomalyDetectionService) {
+    anomalyDetectionService = new AnomalyDetectionService();
+  }
+  return anomalyDetectionService;
+}
+
+module.exports = {
+  AnomalyDetectionService,
+  getAnomalyDetectionService,
+  THRESHOLDS
+};
@@ -0,0 +1,572 @@
+/**
+ * 📥 Backfill Job Service - Context7 Optimized
+ *
+ * Context7 Pattern: Resumable Historical Backfill Jobs (replaces scrape-all-historical.js)
+ * - A job covers a set of items, a Wiki timestep and a lookback window (6 months of 24h buckets by default)
+ * - Per-item work and progress are ScrapeQueueModel entries tied to the job, so a job survives
+ *   restarts and can be paused and resumed between items
+ * - Each item is checked for gaps against stored (itemId, interval, timestamp) snapshots first;
+ *   the Wiki is only asked for items with missing buckets, and only missing buckets are written
+ * - Requests are paced by a BackfillThrottle shared by every job in the process
+ *
+ * SOLID: Single responsibility for backfill orchestration (fetching stays in OSRSWikiService)
+ */
+
+const mongoose = require('mongoose');
+const { BaseService } = require('../BaseService');
+const { OSRSWikiService } = require('../OSRSWikiService');
+const { BackfillThrottle } = require('./BackfillThrottle');
+const { BackfillJobModel } = require('../../models/BackfillJobModel');
+const { ScrapeQueueModel } = require('../../models/ScrapeQueueModel');
+const { MarketPriceSnapshotModel } = require('../../models/MarketPriceSnapshotModel');
+const { ItemModel } = require('../../models/ItemModel');
+const { ErrorHandler } = require('../../middleware/ErrorHandler');
+const TimeConstants = require('../../utils/TimeConstants');
+
+const TIMESTEP_MS = {
+  '5m': TimeConstants.FIVE_MINUTES,
+  '1h': TimeConstants.ONE_HOUR,
+  '6h': TimeConstants.SIX_HOURS,
+  '24h': TimeConstants.ONE_DAY
+};
+
+// The Wiki returns at most this many points per /timeseries request
+const TIMESERIES_POINTS = 365;
+const SIX_MONTH_DAYS = 180;
+const MAX_ITEMS_PER_JOB = 5000;
+// Attempts per item before it is marked failed (rate-limit and outage responses do not count)
+const MAX_ATTEMPTS = 3;
+const FAILURE_LIST_LIMIT = 50;
+
+let backfillJobService = null;
+
+class BackfillJobService extends BaseService {
+  constructor(dependencies = {}) {
+    super('BackfillJobService', {
+      enableCache: false,
+      enableMongoDB: false // Uses Mongoose models directly
+    });
+
+    this.jobModel = dependencies.jobModel || BackfillJobModel;
+    this.queueModel = dependencies.queueModel || ScrapeQueueModel;
+    this.snapshotModel = dependencies.snapshotModel || MarketPriceSnapshotModel;
+    this.itemModel = dependencies.itemModel || ItemModel;
+    this.osrsWikiService = dependencies.osrsWikiService || new OSRSWikiService();
+    this.throttle = dependencies.throttle || new BackfillThrottle();
+    this.now = dependencies.now || (() => Date.now());
+
+    // jobId -> promise of the runner working through that job in this process
+    this.activeRuns = new Map();
+    // Memoized index migration, see prepareQueue()
+    this.queuePrepared = null;
+  }
+
+  /**
+   * Context7 Pattern: Create a backfill job and start working through it in the background
+   * @param {Object} options - { itemIds, timestep, lookbackDays, priority, requestedBy }
+   *   Without itemIds, every active item whose 6-month history has not been backfilled is queued.
+   * @returns {Promise<Object>} Created job
+   * @throws {Error} Validation error for unsupported timesteps, windows or item lists
+   */
+  async startBackfill({ itemIds, timestep = '24h', lookbackDays = SIX_MONTH_DAYS, priority = 0, requestedBy = 'api' } = {}) {
+    // Checked outside execute() so the validation error keeps its 400 status
+    if (!TIMESTEP_MS[timestep]) {
+      throw ErrorHandler.createValidationError(`timestep must be one of ${Object.keys(TIMESTEP_MS).join(', ')}`);
+    }
+    const maxLookbackDays = getMaxLookbackDays(timestep);
+    if (!Number.isInteger(lookbackDays) || lookbackDays < 1 || lookbackDays > maxLookbackDays) {
+      throw ErrorHandler.createValidationError(
+        `lookbackDays must be between 1 and ${maxLookbackDays} for the ${timestep} timestep`
+      );
+    }
+    if (itemIds !== undefined && (!Array.isArray(itemIds) || itemIds.length === 0 || itemIds.length > MAX_ITEMS_PER_JOB ||
+      itemIds.some(itemId => !Number.isInteger(itemId) || itemId <= 0))) {
+      throw ErrorHandler.createValidationError(`itemIds must be a list of 1 to ${MAX_ITEMS_PER_JOB} positive item IDs`);
+    }
+
+    return this.execute(async() => {
+      const marksHistoryScraped = itemIds === undefined && timestep === '24h' && lookbackDays >= SIX_MONTH_DAYS;
+      const selected = itemIds
+        ? [...new Set(itemIds)]
+        : await this.findItemsMissingHistory();
+
+      await this.prepareQueue();
+
+      const step = TIMESTEP_MS[timestep];
+      const windowEnd = Math.floor(this.now() / step) * step;
+      const jobId = new mongoose.Types.ObjectId();
+
+      // Queue entries go in before the job, so a failed insert never leaves a running job with no work behind it
+      if (selected.length > 0) {
+        try {
+          await this.queueModel.insertMany(
+            selected.map(itemId => ({ jobId, itemId, status: 'pending', priority })),
+            { ordered: false }
+          );
+        } catch (error) {
+          await this.queueModel.deleteMany({ jobId });
+          throw error;
+        }
+      }
+
+      const job = await this.jobModel.create({
+        _id: jobId,
+        status: selected.length > 0 ? 'running' : 'completed',
+        timestep,
+        lookbackDays,
+        windowStart: windowEnd - lookbackDays * TimeConstants.ONE_DAY,
+        windowEnd,
+        marksHistoryScraped,
+        requestedBy,
+        progress: { totalItems: selected.length },
+        startedAt: new Date(this.now()),
+        completedAt: selected.length > 0 ? null : new Date(this.now())
+      });
+
+      if (selected.length > 0) {
+        this.launch(job._id);
+      }
+
+      this.logger.info('Backfill job started', {
+        jobId: String(job._id),
+        items: selected.length,
+        timestep,
+        lookbackDays
+      });
+
+      return this.formatJob(job.toObject());
+    }, 'startBackfill', { logSuccess: true });
+  }
+
+  /**
+   * Context7 Pattern: Stop a running job after the item in progress
+   * @returns {Promise<Object|null>} Updated job or null if it does not exist
+   * @throws {Error} 409 error when the job is not running
+   */
+  async pauseBackfill(jobId) {
+    const job = await this.findJob(jobId);
+    if (!job) {
+      return null;
+    }
+    // Checked outside execute() so the conflict error keeps its 409 status
+    if (job.status !== 'running') {
+      throw ErrorHandler.createError(`Backfill ${jobId} is ${job.status}; only running backfills can be paused`, 409, { status: job.status });
+    }
+
+    return this.execute(async() => {
+      const paused = await this.jobModel.findOneAndUpdate(
+        { _id: job._id, status: 'running' },
+        { $set: { status: 'paused', pausedAt: new Date(this.now()) } },
+        { new: true }
+      ).lean();
+      this.logger.info('Backfill job paused', { jobId: String(job._id) });
+      return this.formatJob(paused || job);
+    }, 'pauseBackfill');
+  }
+
+  /**
+   * Context7 Pattern: Continue a paused job, or a running job whose runner was lost in a restart
+   * @returns {Promise<Object|null>} Updated job or null if it does not exist
+   * @throws {Error} 409 error for completed jobs and jobs already being worked on
+   */
+  async resumeBackfill(jobId) {
+    const job = await this.findJob(jobId);
+    if (!job) {
+      return null;
+    }
+    // Checked outside execute() so the conflict error keeps its 409 status
+    if (job.status === 'completed' || (job.status === 'running' && this.activeRuns.has(String(job._id)))) {
+      throw ErrorHandler.createError(`Backfill ${jobId} is ${job.status}; only paused or interrupted backfills can be resumed`, 409, { status: job.status });
+    }
+
+    return this.execute(async() => {
+      const resumed = await this.restartJob(job._id);
+      this.logger.info('Backfill job resumed', { jobId: String(job._id) });
+      return this.formatJob(resumed);
+    }, 'resumeBackfill');
+  }
+
+  /**
+   * Context7 Pattern: Restart runners for jobs that were running when the process stopped
+   * Called once on server start.
+   * @returns {Promise<Object>} { resumed }
+   */
+  async resumeInterruptedJobs() {
+    return this.execute(async() => {
+      await this.prepareQueue();
+      const jobs = await this.jobModel.find({ status: 'running' }).select('_id').lean();
+      for (const job of jobs) {
+        if (!this.activeRuns.has(String(job._id))) {
+          await this.restartJob(job._id);
+        }
+      }
+      if (jobs.length > 0) {
+        this.logger.info('Resumed interrupted backfill jobs', { jobs: jobs.length });
+      }
+      return { resumed: jobs.length };
+    }, 'resumeInterruptedJobs');
+  }
+
+  /**
+   * Context7 Pattern: Bring the queue collection's indexes in line with ScrapeQueueModel (runs once)
+   * Databases from before backfill jobs still have a unique itemId_1 index, which rejects a second job
+   * queueing the same item; syncIndexes drops it and builds the schema's (jobId, itemId) index instead.
+   */
+  prepareQueue() {
+    if (!this.queuePrepared) {
+      this.queuePrepared = this.queueModel.syncIndexes().catch(error => {
+        this.queuePrepared = null;
+        throw error;
+      });
+    }
+    return this.queuePrepared;
+  }
+
+  /**
+   * Context7 Pattern: Job with live queue counts, failures and throttle state
+   * @returns {Promise<Object|null>} Job or null if it does not exist
+   */
+  async getBackfill(jobId) {
+    return this.execute(async() => {
+      const job = await this.findJob(jobId);
+      if (!job) {
+        return null;
+      }
+
+      const [counts, failures] = await Promise.all([
+        this.queueModel.aggregate([
+          { $match: { jobId: job._id } },
+          { $group: { _id: '$status', count: { $sum: 1 } } }
+        ]),
+        this.queueModel
+          .find({ jobId: job._id, status: 'failed' })
+          .select('itemId error retries lastAttemptedAt')
+          .sort({ lastAttemptedAt: -1 })
+          .limit(FAILURE_LIST_LIMIT)
+          .lean()
+      ]);
+
+      const queue = { pending: 0, processing: 0, completed: 0, failed: 0 };
+      counts.forEach(({ _id, count }) => {
+        queue[_id] = count;
+      });
+
+      return {
+        ...this.formatJob(job),
+        queue,
+        failures: failures.map(({ itemId, error, retries, lastAttemptedAt }) => ({ itemId, error, retries, lastAttemptedAt })),
+        active: this.activeRuns.has(String(job._id)),
+        throttle: this.throttle.getState()
+      };
+    }, 'getBackfill');
+  }
+
+  /**
+   * Context7 Pattern: Jobs, newest first
+   * @param {Object} options - { status, limit }
+   */
+  async getBackfills({ status, limit = 20 } = {}) {
+    return this.execute(async() => {
+      const query = status ? { status } : {};
+      const jobs = await this.jobModel.find(query).sort({ createdAt: -1 }).limit(Math.min(limit, 100)).lean();
+      return jobs.map(job => this.formatJob(job));
+    }, 'getBackfills');
+  }
+
+  /**
+   * Context7 Pattern: Per-item progress of one job
+   * @param {Object} options - { status, limit, offset }
+   * @returns {Promise<Object|null>} { jobId, items, total } or null if the job does not exist
+   */
+  async getBackfillItems(jobId, { status, limit = 100, offset = 0 } = {}) {
+    return this.execute(async() => {
+      const job = await this.findJob(jobId);
+      if (!job) {
+        return null;
+      }
+
+      const query = { jobId: job._id };
+      if (status) {
+        query.status = status;
+      }
+      const [items, total] = await Promise.all([
+        this.queueModel
+          .find(query)
+          .select('-_id itemId status retries error backfill lastAttemptedAt processingCompletedAt')
+          .sort({ itemId: 1 })
+          .skip(offset)
+          .limit(Math.min(limit, 500))
+          .lean(),
+        this.queueModel.countDocuments(query)
+      ]);
+
+      return {
+        jobId: String(job._id),
+        items,
+        total
+      };
+    }, 'getBackfillItems');
+  }
+
+  // Private methods
+
+  async findJob(jobId) {
+    if (!mongoose.isValidObjectId(jobId)) {
+      return null;
+    }
+    return this.jobModel.findById(jobId).lean();
+  }
+
+  async findItemsMissingHistory() {
+    const items = await this.itemModel
+      .find({ status: 'active', has6MonthHistoryScraped: { $ne: true } })
+      .select('itemId')
+      .sort({ itemId: 1 })
+      .limit(MAX_ITEMS_PER_JOB)
+      .lean();
+    return items.map(item => item.itemId);
+  }
+
+  async restartJob(jobId) {
+    // Entries claimed by a runner that no longer exists go back in the queue; a paused job whose
+    // runner is still finishing its current item keeps that runner
+    if (!this.activeRuns.has(String(jobId))) {
+      await this.queueModel.updateMany({ jobId, status: 'processing' }, { $set: { status: 'pending' } });
+    }
+    const job = await this.jobModel.findByIdAndUpdate(
+      jobId,
+      { $set: { status: 'running', pausedAt: null, lastError: null } },
+      { new: true }
+    ).lean();
+    this.launch(jobId);
+    return job;
+  }
+
+  /**
+   * Start the runner for a job unless this process already has one
+   */
+  launch(jobId) {
+    const key = String(jobId);
+    if (!this.activeRuns.has(key)) {
+      const run = this.runJob(key)
+        .catch(async(error) => {
+          this.logger.error('Backfill job stopped', { jobId: key, error: error.message });
+          await this.jobModel.updateOne(
+            { _id: key, status: 'running' },
+            { $set: { status: 'paused', pausedAt: new Date(this.now()), lastError: error.message } }
+          ).catch(() => {});
+        })
+        .finally(() => this.activeRuns.delete(key));
+      this.activeRuns.set(key, run);
+    }
+    return this.activeRuns.get(key);
+  }
+
+  /**
+   * Work through pending entries until the job is paused or the queue is empty
+   * The job is re-read before every item so a pause takes effect after the item in progress.
+   */
+  async runJob(jobId) {
+    for (;;) {
+      const job = await this.jobModel.findById(jobId).lean();
+      if (!job || job.status !== 'running') {
+        return;
+      }
+
+      const entry = await this.queueModel.findOneAndUpdate(
+        { jobId: job._id, status: 'pending' },
+        { $set: { status: 'processing', processingStartedAt: new Date(this.now()), processingCompletedAt: null } },
+        { sort: { retries: 1, priority: -1, itemId: 1 }, new: true }
+      ).lean();
+
+      if (!entry) {
+        await this.jobModel.updateOne(
+          { _id: job._id, status: 'running' },
+          { $set: { status: 'completed', completedAt: new Date(this.now()) } }
+        );
+        this.logger.info('Backfill job completed', { jobId, progress: job.progress });
+        return;
+      }
+
+      await this.processItem(job, entry);
+    }
+  }
+
+  async processItem(job, entry) {
+    const { itemId } = entry;
+    let requested = false;
+
+    try {
+      const existing = await this.snapshotModel.distinct('timestamp', {
+        itemId,
+        interval: job.timestep,
+        timestamp: { $gte: job.windowStart, $lt: job.windowEnd }
+      });
+      const missing = this.findMissingBuckets(job, existing);
+
+      if (missing.length === 0) {
+        await this.completeItem(job, entry, { missingBuckets: 0, pointsWritten: 0, unfilledBuckets: 0 }, { skipped: true });
+        return;
+      }
+
+      await this.throttle.wait();
+      requested = true;
+      const series = await this.osrsWikiService.getTimeseries(itemId, job.timestep);
+      this.throttle.recordSuccess();
+
+      const missingBuckets = new Set(missing);
+      const snapshots = (series.data || [])
+        .map(point => this.toSnapshot(itemId, job.timestep, point))
+        .filter(snapshot => snapshot && missingBuckets.has(snapshot.timestamp));
+
+      let pointsWritten = 0;
+      if (snapshots.length > 0) {
+        const result = await this.snapshotModel.bulkWrite(snapshots.map(snapshot => ({
+          updateOne: {
+            filter: { itemId, interval: job.timestep, timestamp: snapshot.timestamp },
+            update: { $setOnInsert: snapshot },
+            upsert: true
+          }
+        })), { ordered: false });
+        pointsWritten = result.upsertedCount || 0;
+      }
+
+      await this.completeItem(job, entry, {
+        missingBuckets: missing.length,
+        pointsWritten,
+        unfilledBuckets: missing.length - snapshots.length
+      }, { requested });
+    } catch (error) {
+      await this.failItem(job, entry, error, requested);
+    }
+  }
+
+  /**
+   * Bucket timestamps in [windowStart, windowEnd) without a stored snapshot
+   */
+  findMissingBuckets(job, existingTimestamps) {
+    const step = TIMESTEP_MS[job.timestep];
+    const existing = new Set(existingTimestamps);
+    const missing = [];
+    for (let timestamp = job.windowStart; timestamp < job.windowEnd; timestamp += step) {
+      if (!existing.has(timestamp)) {
+        missing.push(timestamp);
+      }
+    }
+    return missing;
+  }
+
+  /**
+   * Wiki timeseries point -> snapshot document, or null when neither side traded
+   * Averages of instant buys and sells can cross, so the pair is ordered to keep high >= low.
+   */
+  toSnapshot(itemId, interval, point) {
+    const prices = [point.avgHighPrice, point.avgLowPrice].filter(price => price > 0);
+    if (prices.length === 0) {
+      return null;
+    }
+
+    return {
+      itemId,
+      interval,
+      timestamp: point.timestamp * 1000,
+      highPrice: Math.max(...prices),
+      lowPrice: Math.min(...prices),
+      volume: (point.highPriceVolume || 0) + (point.lowPriceVolume || 0),
+      source: 'osrs_wiki_api'
+    };
+  }
+
+  async completeItem(job, entry, stats, { skipped = false, requested = false } = {}) {
+    await this.queueModel.updateOne(
+      { _id: entry._id },
+      { $set: { status: 'completed', error: null, backfill: stats, processingCompletedAt: new Date(this.now()) } }
+    );
+    await this.jobModel.updateOne({ _id: job._id }, {
+      $inc: {
+        [skipped ? 'progress.skippedItems' : 'progress.completedItems']: 1,
+        'progress.requests': requested ? 1 : 0,
+        'progress.missingBuckets': stats.missingBuckets,
+        'progress.pointsWritten': stats.pointsWritten,
+        'progress.unfilledBuckets': stats.unfilledBuckets
+      }
+    });
+
+    if (job.marksHistoryScraped) {
+      await this.itemModel.updateOne({ itemId: entry.itemId }, { $set: { has6MonthHistoryScraped: true } });
+    }
+  }
+
+  /**
+   * Requeue the item, or mark it failed once it has used its attempts
+   * Rate-limit and outage failures back off the throttle instead of using up an attempt.
+   */
+  async failItem(job, entry, error, requested) {
+    const backoff = requested ? this.throttle.recordFailure(error) : 0;
+    const retries = backoff > 0 ? entry.retries : entry.retries + 1;
+    const failed = retries >= MAX_ATTEMPTS;
+
+    this.logger.warn('Backfill item failed', {
+      jobId: String(job._id),
+      itemId: entry.itemId,
+      retries,
+      backoff,
+      error: error.message
+    });
+
+    await this.queueModel.updateOne({ _id: entry._id }, {
+      $set: {
+        status: failed ? 'failed' : 'pending',
+        retries,
+        error: error.message,
+        lastAttemptedAt: new Date(this.now()),
+        processingCompletedAt: new Date(this.now())
+      }
+    });
+    await this.jobModel.updateOne({ _id: job._id }, {
+      $inc: {
+        'progress.failedItems': failed ? 1 : 0,
+        'progress.requests': requested ? 1 : 0
+      }
+    });
+  }
+
+  formatJob(job) {
+    const { totalItems = 0, completedItems = 0, skippedItems = 0, failedItems = 0 } = job.progress || {};
+    const finished = completedItems + skippedItems + failedItems;
+    const formatted = {
+      jobId: String(job._id),
+      ...job,
+      percentComplete: totalItems > 0 ? Math.round((finished / totalItems) * 10000) / 100 : 100
+    };
+    delete formatted._id;
+    delete formatted.__v;
+    return formatted;
+  }
+}
+
+/**
+ * Longest window one /timeseries request covers for a timestep, in whole days
+ */
+function getMaxLookbackDays(timestep) {
+  return Math.floor(TIMESERIES_POINTS * TIMESTEP_MS[timestep] / TimeConstants.ONE_DAY);
+}
+
+/**
+ * Get singleton backfill job service instance
+ * Runners and the throttle are per process, so every caller must share one instance
+ */
+function getBackfillJobService() {
+  if (!backfillJobService) {
+    backfillJobService = new BackfillJobService();
+  }
+  return backfillJobService;
+}
+
+module.exports = {
+  BackfillJobService,
+  getBackfillJobService,
+  getMaxLookbackDays,
+  TIMESTEP_MS,
+  MAX_ITEMS_PER_JOB
+};
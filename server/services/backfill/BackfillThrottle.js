@@ -0,0 +1,84 @@
+/**
+ * 🐢 Backfill Throttle - Wiki API etiquette for bulk fetches
+ *
+ * Context7 Pattern: Request pacing shared by every running backfill
+ * - Spaces requests evenly (requestsPerMinute) instead of bursting up to a limit
+ * - Rate-limit (429) and outage (5xx / open circuit) responses back off exponentially,
+ *   honouring Retry-After when the API sends one
+ * - A successful request clears the backoff
+ */
+
+const TimeConstants = require('../../utils/TimeConstants');
+
+const DEFAULT_REQUESTS_PER_MINUTE = 30;
+const MIN_BACKOFF = 30 * TimeConstants.ONE_SECOND;
+const MAX_BACKOFF = TimeConstants.FIFTEEN_MINUTES;
+
+class BackfillThrottle {
+  /**
+   * @param {Object} options
+   * @param {number} options.requestsPerMinute - Steady request rate
+   * @param {Function} options.now - Clock, injectable for tests
+   * @param {Function} options.sleep - Delay function, injectable for tests
+   */
+  constructor(options = {}) {
+    this.requestsPerMinute = options.requestsPerMinute || DEFAULT_REQUESTS_PER_MINUTE;
+    this.now = options.now || (() => Date.now());
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+    this.nextRequestAt = 0;
+    this.backoffMs = 0;
+    this.backoffUntil = 0;
+  }
+
+  get spacingMs() {
+    return Math.ceil(TimeConstants.ONE_MINUTE / this.requestsPerMinute);
+  }
+
+  /**
+   * Resolve once the next request may be sent, reserving its slot
+   */
+  async wait() {
+    const now = this.now();
+    const slot = Math.max(now, this.nextRequestAt, this.backoffUntil);
+    this.nextRequestAt = slot + this.spacingMs;
+
+    if (slot > now) {
+      await this.sleep(slot - now);
+    }
+  }
+
+  recordSuccess() {
+    this.backoffMs = 0;
+  }
+
+  /**
+   * Back off after a failed request when the failure says the API wants fewer requests
+   * @param {Error} error - Error from OSRSWikiService (status, retryAfterMs)
+   * @returns {number} Backoff applied in ms (0 for failures unrelated to load)
+   */
+  recordFailure(error) {
+    const overloaded = error.status === 429 || error.status >= 500 || /circuit breaker open/i.test(error.message);
+    if (!overloaded) {
+      return 0;
+    }
+
+    this.backoffMs = Math.min(this.backoffMs ? this.backoffMs * 2 : MIN_BACKOFF, MAX_BACKOFF);
+    const delay = Math.max(this.backoffMs, error.retryAfterMs || 0);
+    this.backoffUntil = Math.max(this.backoffUntil, this.now() + delay);
+    return delay;
+  }
+
+  getState() {
+    return {
+      requestsPerMinute: this.requestsPerMinute,
+      backoffMs: this.backoffMs,
+      backoffUntil: this.backoffUntil > this.now() ? this.backoffUntil : null
+    };
+  }
+}
+
+module.exports = {
+  BackfillThrottle,
+  DEFAULT_REQUESTS_PER_MINUTE
+};
@@ -0,0 +1,530 @@
+/**
+ * 📈 Backtest Engine - Context7 Optimized
+ *
+ * Context7 Pattern: Deterministic Market Replay
+ * - Replays MarketPriceSnapshotModel history bar by bar through a strategy
+ * - Orders decided on one bar fill on the next bar (no look-ahead)
+ * - Realistic fills: instant buys at highPrice, instant sells at lowPrice,
+ *   limit orders only when the bar's range reaches the limit
+ * - Volume participation cap, GE buy limits over a rolling window, GE tax on sells
+ * - Equity curve marked at liquidation value (lowPrice minus GE tax)
+ *
+ * SOLID: Pure simulation - no persistence, no network
+ */
+
+const { calculateGETax } = require('../../utils/marketConstants');
+const TimeConstants = require('../../utils/TimeConstants');
+
+const DEFAULT_OPTIONS = {
+  initialCapital: 10000000,
+  slippagePercent: 0,
+  volumeParticipation: 0.25,
+  buyLimitWindowMs: TimeConstants.FOUR_HOURS,
+  historyLength: 50,
+  maxEquityPoints: 500,
+  maxTrades: 2000,
+  barIntervalMs: TimeConstants.ONE_HOUR,
+  yieldEveryBars: 250
+};
+
+class BacktestEngine {
+  /**
+   * @param {Object} options - Engine options (see DEFAULT_OPTIONS)
+   * @param {Map<number, number|null>} options.buyLimits - GE buy limit per item
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.buyLimits = options.buyLimits || new Map();
+  }
+
+  /**
+   * Context7 Pattern: Run a strategy over snapshots
+   * @param {Array} snapshots - Snapshots for one interval (any order)
+   * @param {Object} strategy - { name, initialize?, onBar, finalize? }
+   * @param {Object} hooks - { onProgress(processedBars, totalBars) }
+   * @returns {Promise<Object>} { metrics, equityCurve, trades, openPositions, rejections }
+   */
+  async run(snapshots, strategy, hooks = {}) {
+    const bars = this.groupIntoBars(snapshots);
+    const state = this.createState();
+    const context = this.createContext(state);
+
+    if (typeof strategy.initialize === 'function') {
+      await strategy.initialize(context);
+    }
+
+    try {
+      let pendingOrders = [];
+
+      for (let index = 0; index < bars.length; index++) {
+        const bar = bars[index];
+        state.timestamp = bar.timestamp;
+
+        // Orders from the previous bar fill against this bar's prices
+        for (const order of pendingOrders) {
+          this.executeOrder(state, order, bar);
+        }
+
+        for (const snapshot of bar.items.values()) {
+          this.recordHistory(state, snapshot);
+        }
+
+        pendingOrders = (await strategy.onBar(bar, context)) || [];
+        this.recordEquity(state, bar.timestamp);
+
+        if (hooks.onProgress && (index + 1) % this.options.yieldEveryBars === 0) {
+          await hooks.onProgress(index + 1, bars.length);
+          // Yield so a long replay does not starve the event loop
+          await new Promise(resolve => setImmediate(resolve));
+        }
+      }
+    } finally {
+      if (typeof strategy.finalize === 'function') {
+        await strategy.finalize(context);
+      }
+    }
+
+    if (hooks.onProgress) {
+      await hooks.onProgress(bars.length, bars.length);
+    }
+
+    return this.buildResults(state, bars.length);
+  }
+
+  /**
+   * Context7 Pattern: Group snapshots into timestamp-ordered bars
+   */
+  groupIntoBars(snapshots) {
+    const byTimestamp = new Map();
+
+    for (const snapshot of snapshots) {
+      if (!(snapshot.highPrice > 0) || !(snapshot.lowPrice > 0)) {
+        continue;
+      }
+      if (!byTimestamp.has(snapshot.timestamp)) {
+        byTimestamp.set(snapshot.timestamp, new Map());
+      }
+      byTimestamp.get(snapshot.timestamp).set(snapshot.itemId, snapshot);
+    }
+
+    return [...byTimestamp.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([timestamp, items]) => ({ timestamp, items }));
+  }
+
+  /**
+   * Context7 Pattern: Mutable simulation state
+   */
+  createState() {
+    return {
+      timestamp: null,
+      cash: this.options.initialCapital,
+      positions: new Map(),
+      lastSnapshots: new Map(),
+      history: new Map(),
+      buyWindows: new Map(),
+      trades: [],
+      tradeCount: 0,
+      equityCurve: [],
+      rejections: {},
+      totalTaxPaid: 0,
+      realized: { grossProfit: 0, grossLoss: 0, wins: 0, losses: 0 }
+    };
+  }
+
+  /**
+   * Context7 Pattern: Read-only view handed to strategies
+   */
+  createContext(state) {
+    return {
+      options: this.options,
+      getCash: () => state.cash,
+      getEquity: () => this.calculateEquity(state),
+      getPosition: (itemId) => state.positions.get(itemId) || { quantity: 0, averageCost: 0 },
+      getHistory: (itemId) => state.history.get(itemId) || [],
+      getRemainingBuyLimit: (itemId) => this.getRemainingBuyLimit(state, itemId),
+      getFeatures: (itemId) => this.computeFeatures(state.history.get(itemId) || [])
+    };
+  }
+
+  /**
+   * Context7 Pattern: Fill a single order against a bar
+   * @returns {Object|null} Trade, or null when the order was rejected
+   */
+  executeOrder(state, order, bar) {
+    const snapshot = bar.items.get(order.itemId);
+    if (!snapshot) {
+      return this.reject(state, 'no_data');
+    }
+
+    return order.side === 'buy'
+      ? this.executeBuy(state, order, snapshot)
+      : this.executeSell(state, order, snapshot);
+  }
+
+  /**
+   * Context7 Pattern: Buy fill - highPrice (plus slippage) or the limit price when reached
+   */
+  executeBuy(state, order, snapshot) {
+    let price;
+    if (order.limitPrice) {
+      if (order.limitPrice < snapshot.lowPrice) {
+        return this.reject(state, 'price_not_reached');
+      }
+      price = Math.min(order.limitPrice, snapshot.highPrice);
+    } else {
+      price = Math.ceil(snapshot.highPrice * (1 + this.options.slippagePercent / 100));
+    }
+
+    const caps = {
+      buy_limit: this.getRemainingBuyLimit(state, order.itemId),
+      volume: this.getVolumeCap(snapshot),
+      cash: Math.floor(state.cash / price)
+    };
+    const quantity = this.applyCaps(state, order.quantity, caps);
+    if (quantity <= 0) {
+      return null;
+    }
+
+    const cost = price * quantity;
+    const position = state.positions.get(order.itemId) || { quantity: 0, averageCost: 0 };
+    const totalQuantity = position.quantity + quantity;
+    position.averageCost = (position.averageCost * position.quantity + cost) / totalQuantity;
+    position.quantity = totalQuantity;
+    state.positions.set(order.itemId, position);
+    state.cash -= cost;
+
+    if (!state.buyWindows.has(order.itemId)) {
+      state.buyWindows.set(order.itemId, []);
+    }
+    state.buyWindows.get(order.itemId).push({ timestamp: state.timestamp, quantity });
+
+    return this.recordTrade(state, {
+      itemId: order.itemId,
+      side: 'buy',
+      requestedQuantity: order.quantity,
+      quantity,
+      price,
+      tax: 0,
+      realizedPnl: null
+    });
+  }
+
+  /**
+   * Context7 Pattern: Sell fill - lowPrice (minus slippage) or the limit price when reached; GE tax per unit
+   */
+  executeSell(state, order, snapshot) {
+    const position = state.positions.get(order.itemId);
+    if (!position || position.quantity <= 0) {
+      return this.reject(state, 'no_position');
+    }
+
+    let price;
+    if (order.limitPrice) {
+      if (order.limitPrice > snapshot.highPrice) {
+        return this.reject(state, 'price_not_reached');
+      }
+      price = Math.max(order.limitPrice, snapshot.lowPrice);
+    } else {
+      price = Math.floor(snapshot.lowPrice * (1 - this.options.slippagePercent / 100));
+    }
+
+    const caps = {
+      position: position.quantity,
+      volume: this.getVolumeCap(snapshot)
+    };
+    const quantity = this.applyCaps(state, order.quantity || position.quantity, caps);
+    if (quantity <= 0) {
+      return null;
+    }
+
+    const tax = calculateGETax(price) * quantity;
+    const proceeds = price * quantity - tax;
+    const realizedPnl = proceeds - position.averageCost * quantity;
+
+    position.quantity -= quantity;
+    if (position.quantity === 0) {
+      state.positions.delete(order.itemId);
+    }
+    state.cash += proceeds;
+    state.totalTaxPaid += tax;
+
+    if (realizedPnl > 0) {
+      state.realized.grossProfit += realizedPnl;
+      state.realized.wins++;
+    } else {
+      state.realized.grossLoss += Math.abs(realizedPnl);
+      state.realized.losses++;
+    }
+
+    return this.recordTrade(state, {
+      itemId: order.itemId,
+      side: 'sell',
+      requestedQuantity: order.quantity || quantity,
+      quantity,
+      price,
+      tax,
+      realizedPnl: Math.round(realizedPnl)
+    });
+  }
+
+  /**
+   * Context7 Pattern: Clamp a requested quantity, recording the binding constraint
+   */
+  applyCaps(state, requested, caps) {
+    let quantity = Math.floor(requested);
+    let reason = null;
+
+    for (const [name, cap] of Object.entries(caps)) {
+      if (cap !== null && cap !== undefined && cap < quantity) {
+        quantity = Math.max(0, Math.floor(cap));
+        reason = name;
+      }
+    }
+
+    if (quantity <= 0) {
+      this.reject(state, reason || 'invalid_quantity');
+    } else if (reason) {
+      this.countRejection(state, `partial_${reason}`);
+    }
+
+    return quantity;
+  }
+
+  /**
+   * Context7 Pattern: Volume participation cap (null when the bar has no volume data)
+   */
+  getVolumeCap(snapshot) {
+    if (!(snapshot.volume > 0)) {
+      return null;
+    }
+    return Math.floor(snapshot.volume * this.options.volumeParticipation);
+  }
+
+  /**
+   * Context7 Pattern: Remaining GE buy limit within the rolling window
+   * @returns {number|null} Remaining quantity, or null when the item has no known limit
+   */
+  getRemainingBuyLimit(state, itemId) {
+    const limit = this.buyLimits.get(itemId);
+    if (!limit) {
+      return null;
+    }
+
+    const windowStart = state.timestamp - this.options.buyLimitWindowMs;
+    const window = (state.buyWindows.get(itemId) || []).filter(entry => entry.timestamp > windowStart);
+    state.buyWindows.set(itemId, window);
+
+    return Math.max(0, limit - window.reduce((sum, entry) => sum + entry.quantity, 0));
+  }
+
+  /**
+   * Context7 Pattern: Count a rejected order by reason
+   */
+  reject(state, reason) {
+    this.countRejection(state, reason);
+    return null;
+  }
+
+  countRejection(state, reason) {
+    state.rejections[reason] = (state.rejections[reason] || 0) + 1;
+  }
+
+  /**
+   * Context7 Pattern: Keep a bounded trade log
+   */
+  recordTrade(state, trade) {
+    const entry = { timestamp: state.timestamp, ...trade, cashAfter: Math.round(state.cash) };
+    state.tradeCount++;
+    if (state.trades.length < this.options.maxTrades) {
+      state.trades.push(entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Context7 Pattern: Track last snapshot and rolling history per item
+   */
+  recordHistory(state, snapshot) {
+    state.lastSnapshots.set(snapshot.itemId, snapshot);
+
+    if (!state.history.has(snapshot.itemId)) {
+      state.history.set(snapshot.itemId, []);
+    }
+    const history = state.history.get(snapshot.itemId);
+    history.push(snapshot);
+    if (history.length > this.options.historyLength) {
+      history.shift();
+    }
+  }
+
+  /**
+   * Context7 Pattern: Liquidation value of cash plus open positions
+   */
+  calculateEquity(state) {
+    let positionsValue = 0;
+    for (const [itemId, position] of state.positions.entries()) {
+      const snapshot = state.lastSnapshots.get(itemId);
+      const markPrice = snapshot ? snapshot.lowPrice : position.averageCost;
+      positionsValue += (markPrice - calculateGETax(markPrice)) * position.quantity;
+    }
+    return state.cash + positionsValue;
+  }
+
+  recordEquity(state, timestamp) {
+    const equity = this.calculateEquity(state);
+    state.equityCurve.push({
+      timestamp,
+      equity: Math.round(equity),
+      cash: Math.round(state.cash),
+      positionsValue: Math.round(equity - state.cash)
+    });
+  }
+
+  /**
+   * Context7 Pattern: Indicator features from an item's rolling history
+   * Stored snapshot indicators are preferred when present.
+   */
+  computeFeatures(history) {
+    if (history.length === 0) {
+      return null;
+    }
+
+    const latest = history[history.length - 1];
+    const prices = history.map(snapshot => (snapshot.highPrice + snapshot.lowPrice) / 2);
+    const price = prices[prices.length - 1];
+    const returns = prices.slice(1).map((value, i) => (value - prices[i]) / prices[i]);
+    const meanReturn = returns.length > 0 ? returns.reduce((a, b) => a + b, 0) / returns.length : 0;
+    const variance = returns.length > 0
+      ? returns.reduce((sum, value) => sum + (value - meanReturn) ** 2, 0) / returns.length
+      : 0;
+    const smaShort = this.average(prices.slice(-5));
+    const smaLong = this.average(prices.slice(-20));
+    const netSell = latest.highPrice - calculateGETax(latest.highPrice);
+
+    return {
+      itemId: latest.itemId,
+      timestamp: latest.timestamp,
+      price,
+      highPrice: latest.highPrice,
+      lowPrice: latest.lowPrice,
+      volume: latest.volume || 0,
+      spread: ((latest.highPrice - latest.lowPrice) / latest.lowPrice) * 100,
+      marginGp: netSell - latest.lowPrice,
+      marginPercent: ((netSell - latest.lowPrice) / latest.lowPrice) * 100,
+      volatility: latest.volatility ?? Math.sqrt(variance) * 100,
+      rsi: latest.rsi ?? this.calculateRSI(prices),
+      macd: latest.macd ?? this.average(prices.slice(-12)) - this.average(prices.slice(-26)),
+      riskScore: latest.riskScore ?? Math.min(100, Math.sqrt(variance) * 1000),
+      smaShort,
+      smaLong,
+      trend: smaShort > smaLong * 1.001 ? 'UP' : smaShort < smaLong * 0.999 ? 'DOWN' : 'FLAT',
+      samples: history.length
+    };
+  }
+
+  average(values) {
+    return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+  }
+
+  /**
+   * Context7 Pattern: Simple 14-period RSI
+   */
+  calculateRSI(prices, period = 14) {
+    const window = prices.slice(-(period + 1));
+    if (window.length < 2) {
+      return 50;
+    }
+
+    let gains = 0;
+    let losses = 0;
+    for (let i = 1; i < window.length; i++) {
+      const change = window[i] - window[i - 1];
+      if (change > 0) {
+        gains += change;
+      } else {
+        losses -= change;
+      }
+    }
+
+    if (losses === 0) {
+      return gains === 0 ? 50 : 100;
+    }
+    return 100 - 100 / (1 + gains / losses);
+  }
+
+  /**
+   * Context7 Pattern: Summary metrics and a downsampled equity curve
+   */
+  buildResults(state, barCount) {
+    const curve = state.equityCurve;
+    const initialCapital = this.options.initialCapital;
+    const finalEquity = curve.length > 0 ? curve[curve.length - 1].equity : initialCapital;
+
+    let peak = initialCapital;
+    let maxDrawdown = 0;
+    const returns = [];
+    let previous = initialCapital;
+    for (const point of curve) {
+      peak = Math.max(peak, point.equity);
+      maxDrawdown = Math.max(maxDrawdown, peak > 0 ? (peak - point.equity) / peak : 0);
+      returns.push(previous > 0 ? (point.equity - previous) / previous : 0);
+      previous = point.equity;
+    }
+
+    const meanReturn = this.average(returns);
+    const stdReturn = Math.sqrt(this.average(returns.map(value => (value - meanReturn) ** 2)));
+    const barsPerYear = (365 * TimeConstants.ONE_DAY) / this.options.barIntervalMs;
+    const { grossProfit, grossLoss, wins, losses } = state.realized;
+    const closedTrades = wins + losses;
+
+    return {
+      metrics: {
+        initialCapital,
+        finalEquity,
+        finalCash: Math.round(state.cash),
+        totalReturnGp: finalEquity - initialCapital,
+        totalReturnPercent: ((finalEquity - initialCapital) / initialCapital) * 100,
+        maxDrawdownPercent: maxDrawdown * 100,
+        sharpeRatio: stdReturn > 0 ? (meanReturn / stdReturn) * Math.sqrt(barsPerYear) : 0,
+        bars: barCount,
+        tradeCount: state.tradeCount,
+        closedTrades,
+        winningTrades: wins,
+        winRate: closedTrades > 0 ? (wins / closedTrades) * 100 : 0,
+        grossProfit: Math.round(grossProfit),
+        grossLoss: Math.round(grossLoss),
+        profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? null : 0),
+        totalTaxPaid: state.totalTaxPaid
+      },
+      equityCurve: this.downsample(curve, this.options.maxEquityPoints),
+      trades: state.trades,
+      tradesTruncated: state.tradeCount > state.trades.length,
+      openPositions: [...state.positions.entries()].map(([itemId, position]) => ({
+        itemId,
+        quantity: position.quantity,
+        averageCost: Math.round(position.averageCost),
+        markPrice: state.lastSnapshots.get(itemId)?.lowPrice ?? null
+      })),
+      rejections: state.rejections
+    };
+  }
+
+  /**
+   * Context7 Pattern: Evenly downsample a series, always keeping the last point
+   */
+  downsample(points, maxPoints) {
+    if (points.length <= maxPoints) {
+      return points;
+    }
+    const step = points.length / maxPoints;
+    const sampled = [];
+    for (let i = 0; i < maxPoints - 1; i++) {
+      sampled.push(points[Math.floor(i * step)]);
+    }
+    sampled.push(points[points.length - 1]);
+    return sampled;
+  }
+}
+
+module.exports = { BacktestEngine, DEFAULT_OPTIONS };
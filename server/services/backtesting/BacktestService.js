@@ -0,0 +1,355 @@
+/**
+ * 📈 Backtest Service - Context7 Optimized
+ *
+ * Context7 Pattern: Asynchronous Backtest Jobs
+ * - Persists jobs in BacktestModel and runs them in-process, one queue per service
+ * - Loads MarketPriceSnapshotModel history and GE buy limits from ItemModel
+ * - Delegates the replay to BacktestEngine and strategies to BacktestStrategies
+ *
+ * SOLID: Single responsibility for job lifecycle (simulation lives in the engine)
+ */
+
+const mongoose = require('mongoose');
+const { BaseService } = require('../BaseService');
+const { BacktestModel } = require('../../models/BacktestModel');
+const { MarketPriceSnapshotModel } = require('../../models/MarketPriceSnapshotModel');
+const { ItemModel } = require('../../models/ItemModel');
+const { BacktestEngine } = require('./BacktestEngine');
+const { createStrategy, listStrategies } = require('./BacktestStrategies');
+const TimeConstants = require('../../utils/TimeConstants');
+
+// Bar length per snapshot interval, used to annualize the Sharpe ratio; '24h' is the
+// compacted history kept after 1h snapshots pass their retention
+const INTERVAL_MS = {
+  '5m': TimeConstants.FIVE_MINUTES,
+  '1h': TimeConstants.ONE_HOUR,
+  '24h': TimeConstants.ONE_DAY,
+  'daily_scrape': TimeConstants.ONE_DAY
+};
+
+// Fields loaded per snapshot; the engine needs nothing else
+const SNAPSHOT_FIELDS = 'itemId timestamp highPrice lowPrice volume volatility rsi macd riskScore';
+
+class BacktestService extends BaseService {
+  constructor(dependencies = {}) {
+    super('BacktestService', {
+      enableCache: false,
+      enableMongoDB: false // Uses Mongoose models directly
+    });
+
+    this.backtestModel = dependencies.backtestModel || BacktestModel;
+    this.snapshotModel = dependencies.snapshotModel || MarketPriceSnapshotModel;
+    this.itemModel = dependencies.itemModel || ItemModel;
+    this.strategyDependencies = {
+      neuralAgent: dependencies.neuralAgent,
+      decisionService: dependencies.decisionService
+    };
+    this.maxConcurrentJobs = dependencies.maxConcurrentJobs || 1;
+    this.maxSnapshots = dependencies.maxSnapshots || 250000;
+
+    this.queue = [];
+    this.activeJobs = new Set();
+    this.recovery = null;
+  }
+
+  /**
+   * Context7 Pattern: Create and enqueue a backtest job
+   * @param {Object} config - { strategy, strategyParams, itemIds, interval, startTime, endTime, initialCapital, ... }
+   * @returns {Promise<Object>} Queued job summary
+   */
+  async createBacktest(config) {
+    return this.execute(async() => {
+      await this.recoverInterruptedJobs();
+
+      const now = Date.now();
+      const job = await this.backtestModel.create({
+        strategy: config.strategy,
+        strategyParams: config.strategyParams || {},
+        itemIds: [...new Set(config.itemIds)],
+        interval: config.interval || '1h',
+        startTime: config.startTime || now - TimeConstants.SEVEN_DAYS,
+        endTime: config.endTime || now,
+        initialCapital: config.initialCapital || 10000000,
+        fillModel: {
+          slippagePercent: config.slippagePercent ?? 0,
+          volumeParticipation: config.volumeParticipation ?? 0.25
+        },
+        userId: config.userId || 'default'
+      });
+
+      this.enqueue(job._id.toString());
+      return this.formatJob(job);
+    }, 'createBacktest');
+  }
+
+  /**
+   * Context7 Pattern: List jobs without their heavy result payloads
+   */
+  async getBacktests(params = {}) {
+    return this.execute(async() => {
+      await this.recoverInterruptedJobs();
+
+      const query = {};
+      if (params.userId) {
+        query.userId = params.userId;
+      }
+      if (params.status) {
+        query.status = params.status;
+      }
+
+      const jobs = await this.backtestModel
+        .find(query)
+        .select('-results.equityCurve -results.trades -results.openPositions')
+        .sort({ createdAt: -1 })
+        .limit(Math.min(parseInt(params.limit) || 20, 100));
+
+      return jobs.map(job => this.formatJob(job));
+    }, 'getBacktests');
+  }
+
+  /**
+   * Context7 Pattern: Job status, progress and headline metrics
+   * @returns {Promise<Object|null>} Job, or null when it does not exist
+   */
+  async getBacktest(jobId) {
+    return this.execute(async() => {
+      const job = await this.findJob(jobId, '-results.equityCurve -results.trades -results.openPositions');
+      return job ? this.formatJob(job) : null;
+    }, 'getBacktest');
+  }
+
+  /**
+   * Context7 Pattern: Full results for a job
+   * @returns {Promise<Object|null>} Job with results, or null when it does not exist
+   */
+  async getBacktestResults(jobId) {
+    return this.execute(async() => {
+      const job = await this.findJob(jobId);
+      if (!job) {
+        return null;
+      }
+
+      return {
+        ...this.formatJob(job),
+        results: job.status === 'completed' ? job.results : null
+      };
+    }, 'getBacktestResults');
+  }
+
+  /**
+   * Context7 Pattern: Available strategies
+   */
+  getStrategies() {
+    return listStrategies();
+  }
+
+  /**
+   * Context7 Pattern: Add a job to the in-process queue
+   */
+  enqueue(jobId) {
+    this.queue.push(jobId);
+    this.drainQueue();
+  }
+
+  /**
+   * Context7 Pattern: Start queued jobs up to the concurrency limit
+   */
+  drainQueue() {
+    while (this.activeJobs.size < this.maxConcurrentJobs && this.queue.length > 0) {
+      const jobId = this.queue.shift();
+      this.activeJobs.add(jobId);
+
+      setImmediate(() => {
+        this.runJob(jobId).finally(() => {
+          this.activeJobs.delete(jobId);
+          this.drainQueue();
+        });
+      });
+    }
+  }
+
+  /**
+   * Context7 Pattern: Execute one job; failures are recorded on the job, never thrown
+   */
+  async runJob(jobId) {
+    try {
+      const job = await this.backtestModel.findById(jobId);
+      if (!job) {
+        return;
+      }
+
+      await this.backtestModel.updateOne(
+        { _id: jobId },
+        { $set: { status: 'running', startedAt: new Date(), progress: 0 } }
+      );
+
+      const { snapshots, buyLimits } = await this.loadMarketData(job);
+
+      let lastProgress = 0;
+      const results = await this.simulate(job, { snapshots, buyLimits }, this.strategyDependencies, {
+        onProgress: async(processed, total) => {
+          const progress = total > 0 ? Math.floor((processed / total) * 100) : 100;
+          if (progress - lastProgress >= 5 && progress < 100) {
+            lastProgress = progress;
+            await this.backtestModel.updateOne({ _id: jobId }, { $set: { progress } });
+          }
+        }
+      });
+
+      await this.backtestModel.updateOne(
+        { _id: jobId },
+        {
+          $set: {
+            status: 'completed',
+            progress: 100,
+            completedAt: new Date(),
+            snapshotCount: snapshots.length,
+            results
+          }
+        }
+      );
+
+      this.logger.info('Backtest completed', {
+        jobId,
+        strategy: job.strategy,
+        bars: results.metrics.bars,
+        totalReturnPercent: results.metrics.totalReturnPercent.toFixed(2)
+      });
+    } catch (error) {
+      this.logger.error('Backtest failed', { jobId, error: error.message });
+      await this.backtestModel.updateOne(
+        { _id: jobId },
+        { $set: { status: 'failed', error: error.message, completedAt: new Date() } }
+      ).catch(() => null);
+    }
+  }
+
+  /**
+   * Context7 Pattern: Snapshots and buy limits for a job-shaped window
+   * @param {Object} job - { itemIds, interval, startTime, endTime }
+   * @returns {Promise<Object>} { snapshots, buyLimits }
+   */
+  async loadMarketData(job) {
+    const [snapshots, buyLimits] = await Promise.all([
+      this.loadSnapshots(job),
+      this.loadBuyLimits(job.itemIds)
+    ]);
+    return { snapshots, buyLimits };
+  }
+
+  /**
+   * Context7 Pattern: Replay one strategy over already loaded market data
+   * Used by queued jobs and by callers that replay several strategies over the same window
+   * @param {Object} job - { strategy, strategyParams, itemIds, interval, initialCapital, fillModel }
+   * @param {Object} marketData - loadMarketData() output
+   * @param {Object} strategyDependencies - { neuralAgent, decisionService }
+   * @param {Object} hooks - BacktestEngine.run() hooks
+   * @returns {Promise<Object>} BacktestEngine results
+   */
+  simulate(job, marketData, strategyDependencies = this.strategyDependencies, hooks = {}) {
+    const strategy = createStrategy(
+      job.strategy,
+      { ...job.strategyParams, itemIds: job.itemIds },
+      strategyDependencies
+    );
+    const engine = new BacktestEngine({
+      initialCapital: job.initialCapital,
+      slippagePercent: job.fillModel?.slippagePercent ?? 0,
+      volumeParticipation: job.fillModel?.volumeParticipation ?? 0.25,
+      barIntervalMs: INTERVAL_MS[job.interval],
+      buyLimits: marketData.buyLimits
+    });
+
+    return engine.run(marketData.snapshots, strategy, hooks);
+  }
+
+  /**
+   * Context7 Pattern: Load replay history for a job
+   */
+  async loadSnapshots(job) {
+    const snapshots = await this.snapshotModel
+      .find({
+        itemId: { $in: job.itemIds },
+        interval: job.interval,
+        timestamp: { $gte: job.startTime, $lte: job.endTime }
+      })
+      .select(SNAPSHOT_FIELDS)
+      .sort({ timestamp: 1 })
+      .limit(this.maxSnapshots + 1)
+      .lean();
+
+    if (snapshots.length === 0) {
+      throw new Error(`No ${job.interval} snapshots found for the requested items and time range`);
+    }
+    if (snapshots.length > this.maxSnapshots) {
+      throw new Error(`Backtest exceeds ${this.maxSnapshots} snapshots; narrow the time range or item list`);
+    }
+
+    return snapshots;
+  }
+
+  /**
+   * Context7 Pattern: GE buy limits keyed by item ID
+   */
+  async loadBuyLimits(itemIds) {
+    const items = await this.itemModel
+      .find({ itemId: { $in: itemIds } })
+      .select('itemId buy_limit')
+      .lean();
+
+    return new Map(items.map(item => [item.itemId, item.buy_limit || null]));
+  }
+
+  /**
+   * Context7 Pattern: Fail jobs orphaned by a previous process (runs once)
+   */
+  recoverInterruptedJobs() {
+    if (!this.recovery) {
+      this.recovery = this.backtestModel.failInterrupted().catch((error) => {
+        this.recovery = null;
+        throw error;
+      });
+    }
+    return this.recovery;
+  }
+
+  /**
+   * Context7 Pattern: Find a job by ID, rejecting malformed IDs
+   */
+  async findJob(jobId, projection = null) {
+    if (!mongoose.isValidObjectId(jobId)) {
+      return null;
+    }
+    const query = this.backtestModel.findById(jobId);
+    return projection ? query.select(projection) : query;
+  }
+
+  /**
+   * Context7 Pattern: Public job shape
+   */
+  formatJob(job) {
+    return {
+      id: job._id.toString(),
+      strategy: job.strategy,
+      strategyParams: job.strategyParams,
+      itemIds: job.itemIds,
+      interval: job.interval,
+      startTime: job.startTime,
+      endTime: job.endTime,
+      initialCapital: job.initialCapital,
+      fillModel: job.fillModel,
+      userId: job.userId,
+      status: job.status,
+      progress: job.progress,
+      error: job.error,
+      snapshotCount: job.snapshotCount,
+      metrics: job.results?.metrics || null,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+      durationMs: typeof job.getDurationMs === 'function' ? job.getDurationMs() : null
+    };
+  }
+}
+
+module.exports = { BacktestService };
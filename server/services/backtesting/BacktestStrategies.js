@@ -0,0 +1,338 @@
+/**
+ * 🧭 Backtest Strategies - Context7 Optimized
+ *
+ * Context7 Pattern: Strategy Registry
+ * - Simple rule strategies (buy & hold, mean reversion, momentum, margin flipping)
+ * - Adapters for NeuralTradingAgentService and TradingDecisionService
+ * - Every strategy exposes onBar(bar, context) -> orders [{ itemId, side, quantity, limitPrice? }]
+ *
+ * OCP: Register new strategies without touching the engine
+ */
+
+const { NeuralTradingAgentService } = require('../NeuralTradingAgentService');
+const { TradingDecisionService } = require('../ai/TradingDecisionService');
+const { LocalInferenceBackend } = require('../ai/inference/LocalInferenceBackend');
+
+/**
+ * Context7 Pattern: Quantity affordable with a share of current equity
+ */
+function sizeBuy(context, price, positionSizePercent) {
+  const budget = Math.min(context.getCash(), context.getEquity() * (positionSizePercent / 100));
+  return price > 0 ? Math.floor(budget / price) : 0;
+}
+
+/**
+ * Context7 Pattern: Sell the full open position, if any
+ */
+function exitOrder(context, itemId, limitPrice = null) {
+  const position = context.getPosition(itemId);
+  if (position.quantity <= 0) {
+    return null;
+  }
+  return { itemId, side: 'sell', quantity: position.quantity, ...(limitPrice ? { limitPrice } : {}) };
+}
+
+/**
+ * Buy every item once on the first bar it appears and hold
+ */
+function createBuyAndHold(params = {}) {
+  const bought = new Set();
+
+  return {
+    name: 'buy_and_hold',
+    onBar(bar, context) {
+      const orders = [];
+      const share = params.positionSizePercent || 100 / Math.max(1, (params.itemIds || []).length || bar.items.size);
+
+      for (const [itemId, snapshot] of bar.items.entries()) {
+        if (!bought.has(itemId)) {
+          bought.add(itemId);
+          orders.push({ itemId, side: 'buy', quantity: sizeBuy(context, snapshot.highPrice, share) });
+        }
+      }
+      return orders;
+    }
+  };
+}
+
+/**
+ * Buy when price trades a given percentage below its moving average, exit at the average
+ */
+function createMeanReversion(params = {}) {
+  const lookback = params.lookback || 20;
+  const entryDiscountPercent = params.entryDiscountPercent ?? 3;
+  const positionSizePercent = params.positionSizePercent || 10;
+
+  return {
+    name: 'mean_reversion',
+    onBar(bar, context) {
+      const orders = [];
+
+      for (const itemId of bar.items.keys()) {
+        const history = context.getHistory(itemId);
+        if (history.length < lookback) {
+          continue;
+        }
+
+        const prices = history.slice(-lookback).map(snapshot => (snapshot.highPrice + snapshot.lowPrice) / 2);
+        const average = prices.reduce((a, b) => a + b, 0) / prices.length;
+        const price = prices[prices.length - 1];
+        const position = context.getPosition(itemId);
+
+        if (position.quantity === 0 && price < average * (1 - entryDiscountPercent / 100)) {
+          orders.push({ itemId, side: 'buy', quantity: sizeBuy(context, bar.items.get(itemId).highPrice, positionSizePercent) });
+        } else if (position.quantity > 0 && price >= average) {
+          orders.push(exitOrder(context, itemId));
+        }
+      }
+      return orders;
+    }
+  };
+}
+
+/**
+ * Moving-average crossover: enter when the fast average crosses above the slow one
+ */
+function createMomentum(params = {}) {
+  const fast = params.fastPeriod || 5;
+  const slow = params.slowPeriod || 20;
+  const positionSizePercent = params.positionSizePercent || 10;
+  const previousSpread = new Map();
+
+  const average = (history, period) => history.slice(-period)
+    .reduce((sum, snapshot) => sum + (snapshot.highPrice + snapshot.lowPrice) / 2, 0) / period;
+
+  return {
+    name: 'momentum',
+    onBar(bar, context) {
+      const orders = [];
+
+      for (const itemId of bar.items.keys()) {
+        const history = context.getHistory(itemId);
+        if (history.length < slow) {
+          continue;
+        }
+
+        const spread = average(history, fast) - average(history, slow);
+        const previous = previousSpread.get(itemId);
+        previousSpread.set(itemId, spread);
+        if (previous === undefined) {
+          continue;
+        }
+
+        if (previous <= 0 && spread > 0 && context.getPosition(itemId).quantity === 0) {
+          orders.push({ itemId, side: 'buy', quantity: sizeBuy(context, bar.items.get(itemId).highPrice, positionSizePercent) });
+        } else if (previous >= 0 && spread < 0) {
+          const exit = exitOrder(context, itemId);
+          if (exit) {
+            orders.push(exit);
+          }
+        }
+      }
+      return orders;
+    }
+  };
+}
+
+/**
+ * Classic GE flip: bid at lowPrice when the post-tax margin is wide enough, offer at highPrice
+ */
+function createMarginFlip(params = {}) {
+  const minMarginPercent = params.minMarginPercent ?? 1;
+  const minVolume = params.minVolume || 0;
+  const positionSizePercent = params.positionSizePercent || 10;
+
+  return {
+    name: 'margin_flip',
+    onBar(bar, context) {
+      const orders = [];
+
+      for (const [itemId, snapshot] of bar.items.entries()) {
+        const position = context.getPosition(itemId);
+        if (position.quantity > 0) {
+          orders.push(exitOrder(context, itemId, snapshot.highPrice));
+          continue;
+        }
+
+        const features = context.getFeatures(itemId);
+        if (features.marginPercent < minMarginPercent || features.volume < minVolume) {
+          continue;
+        }
+
+        const remaining = context.getRemainingBuyLimit(itemId);
+        const quantity = Math.min(
+          sizeBuy(context, snapshot.lowPrice, positionSizePercent),
+          remaining === null ? Infinity : remaining
+        );
+        if (quantity > 0) {
+          orders.push({ itemId, side: 'buy', quantity, limitPrice: snapshot.lowPrice });
+        }
+      }
+      return orders;
+    }
+  };
+}
+
+/**
+ * Adapter: NeuralTradingAgentService.predict() per item.
+ * Exploration is disabled for the run unless params.epsilon is given.
+ */
+function createNeuralAgentStrategy(params = {}, dependencies = {}) {
+  const agent = dependencies.neuralAgent || new NeuralTradingAgentService();
+  const positionSizePercent = params.positionSizePercent || 10;
+  const minConfidence = params.minConfidence || 0;
+  let savedEpsilon = null;
+
+  return {
+    name: 'neural_agent',
+    initialize() {
+      savedEpsilon = agent.epsilon;
+      agent.epsilon = params.epsilon ?? 0;
+    },
+    finalize() {
+      agent.epsilon = savedEpsilon;
+    },
+    async onBar(bar, context) {
+      const orders = [];
+
+      for (const [itemId, snapshot] of bar.items.entries()) {
+        const features = context.getFeatures(itemId);
+        const prediction = await agent.predict({
+          ...features,
+          // The agent decays stale inputs; replayed bars are current at decision time
+          timestamp: Date.now()
+        });
+        if (!prediction || !prediction.action || prediction.confidence < minConfidence) {
+          continue;
+        }
+
+        if (prediction.action.type === 'BUY' && context.getPosition(itemId).quantity === 0) {
+          orders.push({ itemId, side: 'buy', quantity: sizeBuy(context, snapshot.highPrice, positionSizePercent) });
+        } else if (prediction.action.type === 'SELL') {
+          const exit = exitOrder(context, itemId);
+          if (exit) {
+            orders.push(exit);
+          }
+        }
+      }
+      return orders;
+    }
+  };
+}
+
+/**
+ * Adapter: TradingDecisionService.makeItemDecision() per item.
+ * Without an injected decision service the neural agent backs the AI model (greedy, via LocalInferenceBackend).
+ */
+function createTradingDecisionStrategy(params = {}, dependencies = {}) {
+  let decisionService = dependencies.decisionService;
+  if (!decisionService) {
+    decisionService = new TradingDecisionService({
+      aiModel: new LocalInferenceBackend({ agent: dependencies.neuralAgent })
+    });
+  }
+  const sessionConfig = {
+    minProfitMargin: params.minProfitMargin ?? 0.01,
+    maxItemValue: params.maxItemValue,
+    minVolume: params.minVolume
+  };
+
+  return {
+    name: 'trading_decision',
+    async onBar(bar, context) {
+      const orders = [];
+
+      for (const itemId of bar.items.keys()) {
+        const features = context.getFeatures(itemId);
+        const decision = await decisionService.makeItemDecision(features, sessionConfig);
+        if (!decision) {
+          continue;
+        }
+
+        if (decision.action === 'buy' && context.getPosition(itemId).quantity === 0) {
+          const budget = Math.min(decision.positionSize, context.getCash());
+          orders.push({ itemId, side: 'buy', quantity: Math.floor(budget / decision.buyPrice), limitPrice: decision.buyPrice });
+        } else if (decision.action === 'sell') {
+          const exit = exitOrder(context, itemId, decision.sellPrice);
+          if (exit) {
+            orders.push(exit);
+          }
+        }
+      }
+      return orders;
+    }
+  };
+}
+
+const STRATEGIES = {
+  buy_and_hold: {
+    factory: createBuyAndHold,
+    description: 'Buy each item once at the first bar and hold to the end',
+    params: ['positionSizePercent']
+  },
+  mean_reversion: {
+    factory: createMeanReversion,
+    description: 'Buy below the moving average by a discount, exit back at the average',
+    params: ['lookback', 'entryDiscountPercent', 'positionSizePercent']
+  },
+  momentum: {
+    factory: createMomentum,
+    description: 'Fast/slow moving-average crossover',
+    params: ['fastPeriod', 'slowPeriod', 'positionSizePercent']
+  },
+  margin_flip: {
+    factory: createMarginFlip,
+    description: 'Bid at lowPrice when the post-tax margin is wide enough, offer at highPrice',
+    params: ['minMarginPercent', 'minVolume', 'positionSizePercent']
+  },
+  neural_agent: {
+    factory: createNeuralAgentStrategy,
+    description: 'NeuralTradingAgentService predictions per item',
+    params: ['positionSizePercent', 'minConfidence', 'epsilon']
+  },
+  trading_decision: {
+    factory: createTradingDecisionStrategy,
+    description: 'TradingDecisionService risk/opportunity decisions per item',
+    params: ['minProfitMargin', 'maxItemValue', 'minVolume']
+  }
+};
+
+const STRATEGY_NAMES = Object.keys(STRATEGIES);
+
+/**
+ * Context7 Pattern: Create a strategy instance by name
+ * @param {string} name - Strategy name from STRATEGY_NAMES
+ * @param {Object} params - Strategy parameters
+ * @param {Object} dependencies - { neuralAgent, decisionService }
+ */
+function createStrategy(name, params = {}, dependencies = {}) {
+  const definition = STRATEGIES[name];
+  if (!definition) {
+    throw new Error(`Unknown backtest strategy: ${name}`);
+  }
+
+  const strategy = definition.factory(params, dependencies);
+  const onBar = strategy.onBar.bind(strategy);
+  // Drop empty and zero-quantity orders so strategies can stay terse
+  strategy.onBar = async(bar, context) => ((await onBar(bar, context)) || [])
+    .filter(order => order && order.quantity > 0);
+
+  return strategy;
+}
+
+/**
+ * Context7 Pattern: Strategy catalogue for the API
+ */
+function listStrategies() {
+  return STRATEGY_NAMES.map(name => ({
+    name,
+    description: STRATEGIES[name].description,
+    params: STRATEGIES[name].params
+  }));
+}
+
+module.exports = {
+  createStrategy,
+  listStrategies,
+  STRATEGY_NAMES
+};
@@ -0,0 +1,341 @@
+/**
+ * 🕯️ Candle Service - Context7 Optimized
+ *
+ * Context7 Pattern: OHLCV Candle Aggregation
+ * - Rolls MarketPriceSnapshotModel high/low prices and volumes into fixed-width buckets
+ * - Bucketing runs in a MongoDB aggregation pipeline; weeks start on Monday (UTC)
+ * - Missing buckets are reported as explicit gaps instead of being interpolated
+ * - Daily and weekly candles older than the hourly retention fall back to the compacted
+ *   24h snapshots
+ * - Results are cached per item, resolution and range
+ * - Technical indicator overlays computed from candle closes by FinancialMetricsCalculator
+ *
+ * SOLID: Single candle source shared by the chart API and AI features
+ */
+
+const { BaseService } = require('../BaseService');
+const { MarketPriceSnapshotModel } = require('../../models/MarketPriceSnapshotModel');
+const { FinancialMetricsCalculator } = require('../../utils/FinancialMetricsCalculator');
+const { AppConstants } = require('../../config/AppConstants');
+const TimeConstants = require('../../utils/TimeConstants');
+
+// Bucket width, the snapshot interval each resolution is built from, and the interval read
+// for days whose source snapshots have been compacted away (SnapshotCompactionService)
+const RESOLUTIONS = {
+  '5m': { bucketMs: TimeConstants.FIVE_MINUTES, sourceInterval: '5m' },
+  '1h': { bucketMs: TimeConstants.ONE_HOUR, sourceInterval: '1h' },
+  '6h': { bucketMs: TimeConstants.SIX_HOURS, sourceInterval: '1h' },
+  '1d': { bucketMs: TimeConstants.ONE_DAY, sourceInterval: '1h', fallbackInterval: '24h' },
+  '1w': { bucketMs: 7 * TimeConstants.ONE_DAY, sourceInterval: '1h', fallbackInterval: '24h' }
+};
+
+// 1970-01-01 was a Thursday; shifting by four days aligns weekly buckets to Mondays
+const WEEK_OFFSET_MS = 4 * TimeConstants.ONE_DAY;
+
+const DEFAULT_CANDLES = 200;
+const MAX_CANDLES = 1000;
+
+// Indicator overlays and the calculator series fields each one returns
+const INDICATORS = {
+  sma: ['sma'],
+  ema: ['ema'],
+  rsi: ['rsi'],
+  macd: ['macd', 'macdSignal', 'macdHistogram'],
+  bollinger: ['bollingerUpper', 'bollingerMiddle', 'bollingerLower']
+};
+
+const DEFAULT_INDICATOR_PERIODS = {
+  smaPeriod: 20,
+  emaPeriod: 20,
+  rsiPeriod: 14,
+  macd: { fast: 12, slow: 26, signal: 9 },
+  bollinger: { period: 20, stdDev: 2 }
+};
+
+class CandleService extends BaseService {
+  constructor(dependencies = {}) {
+    super('CandleService', {
+      enableCache: true,
+      cachePrefix: 'candles',
+      cacheTTL: TimeConstants.ONE_HOUR,
+      enableMongoDB: false // Uses Mongoose models directly
+    });
+
+    this.snapshotModel = dependencies.snapshotModel || MarketPriceSnapshotModel;
+    this.now = dependencies.now || (() => Date.now());
+    this.calculator = dependencies.calculator || new FinancialMetricsCalculator();
+    this.retention = { ...AppConstants.RETENTION, ...dependencies.retention };
+  }
+
+  /**
+   * Context7 Pattern: OHLCV candles for one item
+   * @param {number} itemId - Item ID
+   * @param {Object} options - { resolution, startTime, endTime, limit }
+   * @returns {Promise<Object>} { itemId, resolution, sourceInterval, fallbackInterval, startTime, endTime, candles, gaps, coverage }
+   */
+  async getCandles(itemId, options = {}) {
+    return this.execute(async() => {
+      const resolution = options.resolution || '1h';
+      const { bucketMs } = RESOLUTIONS[resolution];
+      const range = this.resolveRange(resolution, options);
+      const fallbackInterval = this.resolveFallback(resolution, range.startTime);
+      const currentBucket = this.bucketStart(this.now(), resolution);
+
+      // The bucket still being traded keeps changing, so ranges that include it expire quickly
+      const ttl = range.endTime > currentBucket ? TimeConstants.ONE_MINUTE : TimeConstants.ONE_HOUR;
+      const cacheKey = `${itemId}:${resolution}:${range.startTime}:${range.endTime}`;
+
+      return this.withCache(cacheKey, async() => {
+        const rows = await this.snapshotModel.aggregate(fallbackInterval ?
+          this.buildFallbackPipeline(itemId, resolution, range.startTime, range.endTime) :
+          this.buildPipeline(itemId, resolution, range.startTime, range.endTime)
+        );
+        const candles = rows.map(row => this.formatCandle(row, bucketMs));
+        const gaps = this.findGaps(candles, range.startTime, range.endTime, bucketMs);
+        const expected = (range.endTime - range.startTime) / bucketMs;
+
+        return {
+          itemId,
+          resolution,
+          sourceInterval: RESOLUTIONS[resolution].sourceInterval,
+          fallbackInterval,
+          startTime: range.startTime,
+          endTime: range.endTime,
+          candles,
+          gaps,
+          coverage: expected > 0 ? Math.round((candles.length / expected) * 10000) / 10000 : 0
+        };
+      }, ttl);
+    }, 'getCandles', { logSuccess: true });
+  }
+
+  /**
+   * Context7 Pattern: Indicator overlays for the candles of a range
+   * Extra candles before the range warm the indicators up, so values start at the first
+   * visible candle when history allows. Series run over consecutive candles; gaps are skipped.
+   * @param {number} itemId - Item ID
+   * @param {Object} options - { resolution, startTime, endTime, limit, indicators, smaPeriod, emaPeriod }
+   * @returns {Promise<Object>} { itemId, resolution, startTime, endTime, indicators, periods, points }
+   */
+  async getIndicators(itemId, options = {}) {
+    return this.execute(async() => {
+      const resolution = options.resolution || '1h';
+      const { bucketMs } = RESOLUTIONS[resolution];
+      const indicators = options.indicators?.length ? options.indicators : Object.keys(INDICATORS);
+      const periods = {
+        ...DEFAULT_INDICATOR_PERIODS,
+        smaPeriod: options.smaPeriod || DEFAULT_INDICATOR_PERIODS.smaPeriod,
+        emaPeriod: options.emaPeriod || DEFAULT_INDICATOR_PERIODS.emaPeriod
+      };
+
+      const range = this.resolveRange(resolution, options);
+      const warmup = Math.max(
+        periods.smaPeriod,
+        periods.emaPeriod,
+        periods.rsiPeriod + 1,
+        periods.macd.slow + periods.macd.signal,
+        periods.bollinger.period
+      ) - 1;
+
+      const { candles } = await this.getCandles(itemId, {
+        resolution,
+        startTime: range.startTime - warmup * bucketMs,
+        endTime: range.endTime
+      });
+      const series = this.calculator.calculateIndicatorSeries(candles.map(candle => candle.close), periods);
+      const fields = indicators.flatMap(name => INDICATORS[name]);
+
+      const points = [];
+      candles.forEach((candle, i) => {
+        if (candle.time < range.startTime) {
+          return;
+        }
+        const point = { time: candle.time };
+        fields.forEach(field => {
+          point[field] = series[field][i] === null ? null : Math.round(series[field][i] * 100) / 100;
+        });
+        points.push(point);
+      });
+
+      return {
+        itemId,
+        resolution,
+        startTime: range.startTime,
+        endTime: range.endTime,
+        indicators,
+        periods,
+        points
+      };
+    }, 'getIndicators', { logSuccess: true });
+  }
+
+  /**
+   * Context7 Pattern: Align the requested range to bucket boundaries
+   * Without an end time the range runs through the current (open) bucket
+   */
+  resolveRange(resolution, { startTime, endTime, limit }) {
+    const { bucketMs } = RESOLUTIONS[resolution];
+    const count = Math.min(limit || DEFAULT_CANDLES, MAX_CANDLES);
+
+    const end = this.bucketStart((endTime ?? this.now()) - 1, resolution) + bucketMs;
+    const earliest = end - MAX_CANDLES * bucketMs;
+    const start = startTime !== undefined ?
+      Math.max(this.bucketStart(startTime, resolution), earliest) :
+      end - count * bucketMs;
+
+    return { startTime: start, endTime: end };
+  }
+
+  /**
+   * Context7 Pattern: Interval to read where 1h snapshots are gone
+   * Only ranges starting before the hourly retention cutoff need it
+   * @returns {string|null} Fallback interval, or null to read the source interval only
+   */
+  resolveFallback(resolution, startTime) {
+    const { fallbackInterval } = RESOLUTIONS[resolution];
+    const hourlyCutoff = this.now() - this.retention.HOURLY_DAYS * TimeConstants.ONE_DAY;
+    return fallbackInterval && startTime < hourlyCutoff ? fallbackInterval : null;
+  }
+
+  bucketStart(timestamp, resolution) {
+    const { bucketMs } = RESOLUTIONS[resolution];
+    const offset = resolution === '1w' ? WEEK_OFFSET_MS : 0;
+    return timestamp - ((((timestamp - offset) % bucketMs) + bucketMs) % bucketMs);
+  }
+
+  /**
+   * Context7 Pattern: Aggregation pipeline bucketing snapshots by timestamp
+   * Open/close use the mid price of the first/last snapshot; high/low use the extreme
+   * instant-buy and instant-sell prices seen in the bucket
+   */
+  buildPipeline(itemId, resolution, startTime, endTime) {
+    const { bucketMs, sourceInterval } = RESOLUTIONS[resolution];
+    const offset = resolution === '1w' ? WEEK_OFFSET_MS : 0;
+    const midPrice = { $divide: [{ $add: ['$highPrice', '$lowPrice'] }, 2] };
+
+    return [
+      {
+        $match: {
+          itemId,
+          interval: sourceInterval,
+          timestamp: { $gte: startTime, $lt: endTime }
+        }
+      },
+      { $sort: { timestamp: 1 } },
+      {
+        $group: {
+          _id: {
+            $subtract: ['$timestamp', { $mod: [{ $subtract: ['$timestamp', offset] }, bucketMs] }]
+          },
+          open: { $first: midPrice },
+          close: { $last: midPrice },
+          high: { $max: '$highPrice' },
+          low: { $min: '$lowPrice' },
+          volume: { $sum: '$volume' },
+          snapshots: { $sum: 1 },
+          firstAt: { $first: '$timestamp' },
+          lastAt: { $last: '$timestamp' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ];
+  }
+
+  /**
+   * Context7 Pattern: Pipeline over source and fallback snapshots
+   * Each UTC day comes from one interval: its 1h snapshots while it still has them, otherwise
+   * its 24h roll-up, so a day is never counted twice while compaction catches up. Roll-up
+   * high/low prices are volume-weighted averages, so those days show a narrower range.
+   */
+  buildFallbackPipeline(itemId, resolution, startTime, endTime) {
+    const { bucketMs, sourceInterval, fallbackInterval } = RESOLUTIONS[resolution];
+    const offset = resolution === '1w' ? WEEK_OFFSET_MS : 0;
+    const midPrice = { $divide: [{ $add: ['$highPrice', '$lowPrice'] }, 2] };
+    const day = { $subtract: ['$timestamp', { $mod: ['$timestamp', TimeConstants.ONE_DAY] }] };
+
+    return [
+      {
+        $match: {
+          itemId,
+          interval: { $in: [sourceInterval, fallbackInterval] },
+          timestamp: { $gte: startTime, $lt: endTime }
+        }
+      },
+      { $sort: { timestamp: 1 } },
+      {
+        $group: {
+          _id: { day, interval: '$interval' },
+          open: { $first: midPrice },
+          close: { $last: midPrice },
+          high: { $max: '$highPrice' },
+          low: { $min: '$lowPrice' },
+          volume: { $sum: '$volume' },
+          snapshots: { $sum: 1 },
+          firstAt: { $first: '$timestamp' },
+          lastAt: { $last: '$timestamp' }
+        }
+      },
+      // '1h' sorts before '24h', so each day keeps its hourly group when it has one
+      { $sort: { '_id.day': 1, '_id.interval': 1 } },
+      { $group: { _id: '$_id.day', day: { $first: '$$ROOT' } } },
+      { $replaceRoot: { newRoot: '$day' } },
+      { $sort: { '_id.day': 1 } },
+      {
+        $group: {
+          _id: {
+            $subtract: ['$_id.day', { $mod: [{ $subtract: ['$_id.day', offset] }, bucketMs] }]
+          },
+          open: { $first: '$open' },
+          close: { $last: '$close' },
+          high: { $max: '$high' },
+          low: { $min: '$low' },
+          volume: { $sum: '$volume' },
+          snapshots: { $sum: '$snapshots' },
+          firstAt: { $first: '$firstAt' },
+          lastAt: { $last: '$lastAt' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ];
+  }
+
+  formatCandle(row, bucketMs) {
+    return {
+      time: row._id,
+      closeTime: row._id + bucketMs,
+      open: Math.round(row.open),
+      high: row.high,
+      low: row.low,
+      close: Math.round(row.close),
+      volume: row.volume,
+      snapshots: row.snapshots,
+      firstAt: row.firstAt,
+      lastAt: row.lastAt
+    };
+  }
+
+  /**
+   * Context7 Pattern: Runs of empty buckets between startTime and endTime
+   * @returns {Array<Object>} { startTime, endTime, missingCandles }
+   */
+  findGaps(candles, startTime, endTime, bucketMs) {
+    const gaps = [];
+    let cursor = startTime;
+
+    const closeGap = (until) => {
+      if (until > cursor) {
+        gaps.push({ startTime: cursor, endTime: until, missingCandles: (until - cursor) / bucketMs });
+      }
+    };
+
+    for (const candle of candles) {
+      closeGap(candle.time);
+      cursor = candle.closeTime;
+    }
+    closeGap(endTime);
+
+    return gaps;
+  }
+}
+
+module.exports = { CandleService, RESOLUTIONS, INDICATORS };
@@ -0,0 +1,233 @@
+/**
+ * 🗂️ Item Category Service - Context7 Optimized
+ *
+ * Context7 Pattern: Service Layer for the Stored Item Category Taxonomy
+ * - Loads categories (seeding the defaults on first use) and explicit item assignments from Mongo
+ * - Publishes the resulting classifier as the process-wide active one
+ * - Category listings with item counts, per-item explanations and admin overrides
+ *
+ * SOLID: Single responsibility for category storage (matching lives in ItemCategoryClassifier)
+ */
+
+const { BaseService } = require('../BaseService');
+const { ItemCategoryModel } = require('../../models/ItemCategoryModel');
+const { ItemCategoryAssignmentModel } = require('../../models/ItemCategoryAssignmentModel');
+const { ItemModel } = require('../../models/ItemModel');
+const { ItemCategoryClassifier } = require('../../domain/services/ItemCategoryClassifier');
+const { DEFAULT_CATEGORIES } = require('../../config/ItemCategoryTaxonomy');
+const { ErrorHandler } = require('../../middleware/ErrorHandler');
+const TimeConstants = require('../../utils/TimeConstants');
+
+// Fields the classifier reads from an item document
+const CLASSIFIER_PROJECTION = {
+  _id: 0,
+  itemId: 1,
+  name: 1,
+  members: 1,
+  stackable: 1,
+  tradeable_on_ge: 1,
+  highalch: 1,
+  value: 1
+};
+
+class ItemCategoryService extends BaseService {
+  constructor(dependencies = {}) {
+    super('ItemCategoryService', {
+      enableCache: true,
+      cachePrefix: 'item_categories',
+      cacheTTL: TimeConstants.FIVE_MINUTES,
+      enableMongoDB: false // Uses Mongoose models directly
+    });
+
+    this.categoryModel = dependencies.categoryModel || ItemCategoryModel;
+    this.assignmentModel = dependencies.assignmentModel || ItemCategoryAssignmentModel;
+    this.itemModel = dependencies.itemModel || ItemModel;
+    this.now = dependencies.now || (() => Date.now());
+    this.refreshInterval = dependencies.refreshInterval || TimeConstants.FIVE_MINUTES;
+
+    this.classifier = null;
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  /**
+   * Context7 Pattern: Current classifier, reloaded from Mongo once the refresh interval passed
+   * @param {Object} options - { force }
+   * @returns {Promise<ItemCategoryClassifier>}
+   */
+  async getClassifier({ force = false } = {}) {
+    const isFresh = this.classifier && this.now() - this.loadedAt < this.refreshInterval;
+    if (isFresh && !force) {
+      return this.classifier;
+    }
+    if (!this.loading) {
+      this.loading = this.loadClassifier().finally(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Context7 Pattern: Category taxonomy, optionally with the number of active items in each
+   */
+  async getCategories({ includeStats = false } = {}) {
+    return this.execute(async() => {
+      const classifier = await this.getClassifier();
+      const counts = includeStats ? await this.countItemsByCategory(classifier) : null;
+
+      return classifier.getCategories().map(category => ({
+        id: category.slug,
+        name: category.name,
+        description: category.description || null,
+        ...(counts ? { itemCount: counts.get(category.slug) || 0 } : {})
+      }));
+    }, 'getCategories');
+  }
+
+  async hasCategory(slug) {
+    const classifier = await this.getClassifier();
+    return classifier.hasCategory(slug);
+  }
+
+  /**
+   * Context7 Pattern: Ids of active items the taxonomy places in a category
+   * @returns {Promise<number[]>}
+   */
+  async getItemIdsByCategory(slug) {
+    return this.execute(async() => {
+      const classifier = await this.getClassifier();
+      const items = await this.getClassifiableItems();
+      return items
+        .filter(item => classifier.classify(item) === slug)
+        .map(item => item.itemId);
+    }, 'getItemIdsByCategory');
+  }
+
+  /**
+   * Context7 Pattern: Explain an item's category (assignment, rule or fallback)
+   * @returns {Promise<Object|null>} Classification or null if the item does not exist
+   */
+  async explainItem(itemId) {
+    return this.execute(async() => {
+      const item = await this.itemModel.findOne({ itemId }, CLASSIFIER_PROJECTION).lean();
+      if (!item) {
+        return null;
+      }
+
+      const classifier = await this.getClassifier();
+      const assignment = await this.assignmentModel.findOne({ itemId });
+      return {
+        itemId,
+        name: item.name,
+        ...classifier.explain(item),
+        assignment
+      };
+    }, 'explainItem');
+  }
+
+  /**
+   * Context7 Pattern: Explicit assignments, newest first
+   */
+  async getAssignments({ category, limit = 100 } = {}) {
+    return this.execute(async() => {
+      const query = category ? { category } : {};
+      return this.assignmentModel.find(query).sort({ updatedAt: -1 }).limit(limit);
+    }, 'getAssignments');
+  }
+
+  /**
+   * Context7 Pattern: Admin override of a single item's category
+   * @returns {Promise<Object|null>} Updated classification or null if the item does not exist
+   * @throws {Error} Validation error for categories outside the taxonomy
+   */
+  async assignCategory(itemId, category, { reason = null, assignedBy = 'admin' } = {}) {
+    // Checked outside execute() so the validation error keeps its 400 status
+    if (!await this.hasCategory(category)) {
+      throw ErrorHandler.createValidationError(`Unknown category: ${category}`);
+    }
+
+    return this.execute(async() => {
+      const exists = await this.itemModel.exists({ itemId });
+      if (!exists) {
+        return null;
+      }
+
+      await this.assignmentModel.findOneAndUpdate(
+        { itemId },
+        { itemId, category, reason, assignedBy },
+        { upsert: true, new: true, runValidators: true }
+      );
+      this.logger.info('Item category assigned', { itemId, category, assignedBy });
+
+      await this.getClassifier({ force: true });
+      return this.explainItem(itemId);
+    }, 'assignCategory');
+  }
+
+  /**
+   * Context7 Pattern: Drop an override so the rules classify the item again
+   */
+  async removeAssignment(itemId) {
+    return this.execute(async() => {
+      const result = await this.assignmentModel.deleteOne({ itemId });
+      if (result.deletedCount > 0) {
+        await this.getClassifier({ force: true });
+      }
+      return { removed: result.deletedCount > 0, itemId };
+    }, 'removeAssignment');
+  }
+
+  // Private methods
+
+  async loadClassifier() {
+    return this.execute(async() => {
+      let categories = await this.categoryModel.find({ isActive: true }).lean();
+      if (categories.length === 0 && await this.categoryModel.countDocuments() === 0) {
+        await this.categoryModel.insertMany(DEFAULT_CATEGORIES);
+        this.logger.info('Seeded default item category taxonomy', { categories: DEFAULT_CATEGORIES.length });
+        categories = DEFAULT_CATEGORIES;
+      }
+
+      const assignments = await this.assignmentModel.find({}, { itemId: 1, category: 1 }).lean();
+      this.classifier = new ItemCategoryClassifier({ categories, assignments });
+      this.loadedAt = this.now();
+      ItemCategoryClassifier.setActive(this.classifier);
+
+      return this.classifier;
+    }, 'loadClassifier');
+  }
+
+  async getClassifiableItems() {
+    return this.withCache('classifiable_items', () =>
+      this.itemModel.find({ status: 'active' }, CLASSIFIER_PROJECTION).lean()
+    );
+  }
+
+  async countItemsByCategory(classifier) {
+    const counts = new Map();
+    for (const item of await this.getClassifiableItems()) {
+      const slug = classifier.classify(item);
+      counts.set(slug, (counts.get(slug) || 0) + 1);
+    }
+    return counts;
+  }
+}
+
+// Shared instance so every consumer sees the same taxonomy and refresh cycle
+let itemCategoryService = null;
+
+/**
+ * Get singleton item category service instance
+ */
+function getItemCategoryService() {
+  if (!itemCategoryService) {
+    itemCategoryService = new ItemCategoryService();
+  }
+  return itemCategoryService;
+}
+
+module.exports = {
+  ItemCategoryService,
+  getItemCategoryService
+};
@@ -344,78 +344,76 @@ class FinancialCalculationService extends IFinancialCalculator {
    * Master method that consolidates all calculations
    */
   calculateAllMetrics(rawData, historicalData = []) {
-    this.errorManager.handleAsync(async () => {
-const {
-        itemId,
-        highPrice,
-        lowPrice,
-        volume = 0,
-        timestamp = Date.now()
-      } = rawData;
-
-      // Basic validation
-      if (!highPrice || !lowPrice) {
-        throw new Error('Missing required price data');
-      }
+    const {
+      itemId,
+      highPrice,
+      lowPrice,
+      volume = 0,
+      timestamp = Date.now()
+    } = rawData;
+
+    // Basic validation
+    if (!highPrice || !lowPrice) {
+      throw new Error('Missing required price data');
+    }
 
-      // Core calculations using consolidated methods
-      const volatility = this.calculateVolatility(highPrice, lowPrice);
-      const profitMargin = this.calculateProfitMargin(lowPrice, highPrice, itemId);
-      
-      // Historical analysis (if data available)
-      let rsi = 50;
-      let movingAverage = (highPrice + lowPrice) / 2;
-      let macd = { macd: 0, signal: 0, histogram: 0 };
-      let bollingerBands = { upper: highPrice, middle: movingAverage, lower: lowPrice };
-
-      if (historicalData.length > 0) {
-        const prices = historicalData.map(d => d.avgPrice || (d.highPrice + d.lowPrice) / 2);
-        rsi = this.calculateRSI(prices);
-        movingAverage = this.calculateMovingAverage(prices, Math.min(20, prices.length));
-        macd = this.calculateMACD(prices);
-        bollingerBands = this.calculateBollingerBands(prices);
-      }
+    // Core calculations using consolidated methods
+    const volatility = this.calculateVolatility(highPrice, lowPrice);
+    const profitMargin = this.calculateProfitMargin(lowPrice, highPrice, itemId);
+    
+    // Historical analysis (if data available)
+    let rsi = 50;
+    let movingAverage = (highPrice + lowPrice) / 2;
+    let macd = { macd: 0, signal: 0, histogram: 0 };
+    let bollingerBands = { upper: highPrice, middle: movingAverage, lower: lowPrice };
+
+    if (historicalData.length > 0) {
+      const prices = historicalData.map(d => d.avgPrice || (d.highPrice + d.lowPrice) / 2);
+      rsi = this.calculateRSI(prices);
+      movingAverage = this.calculateMovingAverage(prices, Math.min(20, prices.length));
+      macd = this.calculateMACD(prices);
+      bollingerBands = this.calculateBollingerBands(prices);
+    }
 
-      // Risk assessment
-      const riskScore = Math.min(25 + (volatility * 0.5) + (volume < 100 ? 20 : 0), 100);
+    // Risk assessment
+    const riskScore = Math.min(25 + (volatility * 0.5) + (volume < 100 ? 20 : 0), 100);
 
-      return {
-        // Basic market data
-        itemId,
-        highPrice: Math.round(highPrice),
-        lowPrice: Math.round(lowPrice),
-        avgPrice: Math.round((highPrice + lowPrice) / 2),
-        volume,
-        timestamp,
-
-        // Calculated metrics
-        marginGp: profitMargin.marginGp,
-        marginPercent: profitMargin.marginPercent,
-        profitAfterTax: profitMargin.profitAfterTax,
-        taxAmount: profitMargin.taxAmount,
-        
-        // Technical indicators
-        volatility,
-        rsi,
-        movingAverage: Math.round(movingAverage),
-        
-        // Advanced indicators
-        macd: macd.macd,
-        macdSignal: macd.signal,
-        macdHistogram: macd.histogram,
-        bollingerUpper: bollingerBands.upper,
-        bollingerMiddle: bollingerBands.middle,
-        bollingerLower: bollingerBands.lower,
-
-        // Risk and opportunity metrics
-        riskScore: Math.round(riskScore),
-        expectedProfitPerHour: Math.round(profitMargin.marginGp * 20),
-        
-        // Metadata
-        calculatedAt: new Date(),
-        calculatorVersion: '1.0.0'
-      };
-    }, 'operation', { logSuccess: false })
+    return {
+      // Basic market data
+      itemId,
+      highPrice: Math.round(highPrice),
+      lowPrice: Math.round(lowPrice),
+      avgPrice: Math.round((highPrice + lowPrice) / 2),
+      volume,
+      timestamp,
+
+      // Calculated metrics
+      marginGp: profitMargin.marginGp,
+      marginPercent: profitMargin.marginPercent,
+      profitAfterTax: profitMargin.profitAfterTax,
+      taxAmount: profitMargin.taxAmount,
+      
+      // Technical indicators
+      volatility,
+      rsi,
+      movingAverage: Math.round(movingAverage),
+      
+      // Advanced indicators
+      macd: macd.macd,
+      macdSignal: macd.signal,
+      macdHistogram: macd.histogram,
+      bollingerUpper: bollingerBands.upper,
+      bollingerMiddle: bollingerBands.middle,
+      bollingerLower: bollingerBands.lower,
+
+      // Risk and opportunity metrics
+      riskScore: Math.round(riskScore),
+      expectedProfitPerHour: Math.round(profitMargin.marginGp * 20),
+      
+      // Metadata
+      calculatedAt: new Date(),
+      calculatorVersion: '1.0.0'
+    };
   }
 
   /**
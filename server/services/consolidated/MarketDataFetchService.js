@@ -14,8 +14,13 @@
  */
 
 const { BaseService } = require('../BaseService');
+const { AppConstants } = require('../../config/AppConstants');
 const fetch = require('node-fetch');
 
+// Item links on a GE top 100 page: .../viewitem?obj=<id>" ...>Name</a>
+const TOP100_ITEM_LINK = /viewitem\?obj=(\d+)"[^>]*>([^<]+)<\/a>/g;
+const HTML_ENTITIES = { '&amp;': '&', '&#39;': '\'', '&quot;': '"', '&lt;': '<', '&gt;': '>' };
+
 class MarketDataFetchService extends BaseService {
   constructor(dependencies = {}) {
     super('MarketDataFetchService', {
@@ -28,6 +33,48 @@ class MarketDataFetchService extends BaseService {
     // Dependency injection
     this.httpClient = dependencies.httpClient || fetch;
     this.userAgent = dependencies.userAgent || 'OSRS-Market-Backend - Market Analysis Tool';
+    this.baseURL = (dependencies.baseURL || AppConstants.EXTERNAL_API.OSRS_WIKI.BASE_URL).replace(/\/$/, '');
+    this.geBaseURL = (dependencies.geBaseURL || AppConstants.EXTERNAL_API.OSRS_GE.BASE_URL).replace(/\/$/, '');
+  }
+
+  /**
+   * Request an OSRS Wiki price API endpoint relative to the configured base URL
+   * @param {string} path - Endpoint path, e.g. '/latest'
+   * @param {string} apiName - API name used in error messages
+   * @returns {Object} Parsed JSON body
+   */
+  async requestWikiEndpoint(path, apiName) {
+    const response = await this.request(`${this.baseURL}${path}`, apiName);
+    return response.json();
+  }
+
+  /**
+   * Request a GE item database page or endpoint relative to the configured GE base URL
+   * @param {string} path - Path, e.g. '/top100?list=0&scale=3'
+   * @param {string} apiName - API name used in error messages
+   * @param {Object} options - { json: false } returns the page text
+   * @returns {Object|string} Parsed JSON body or page text
+   */
+  async requestGEEndpoint(path, apiName, { json = true } = {}) {
+    const response = await this.request(`${this.geBaseURL}${path}`, apiName);
+    return json ? response.json() : response.text();
+  }
+
+  async request(url, apiName) {
+    const response = await this.httpClient(url, {
+      headers: {
+        'User-Agent': this.userAgent
+      }
+    });
+
+    if (!response.ok) {
+      const error = new Error(`${apiName} returned ${response.status}: ${response.statusText}`);
+      // Status lets 429 and 503 responses be classified as retryable
+      error.status = response.status;
+      throw error;
+    }
+
+    return response;
   }
 
   /**
@@ -39,17 +86,7 @@ class MarketDataFetchService extends BaseService {
       return await this.withRetry(async() => {
         this.logger.info('Fetching live market data from OSRS Wiki API');
 
-        const response = await this.httpClient('https://prices.runescape.wiki/api/v1/osrs/latest', {
-          headers: {
-            'User-Agent': this.userAgent
-          }
-        });
-
-        if (!response.ok) {
-          throw new Error(`OSRS Wiki API returned ${response.status}: ${response.statusText}`);
-        }
-
-        const wikiData = await response.json();
+        const wikiData = await this.requestWikiEndpoint('/latest', 'OSRS Wiki API');
         this.logger.info(`Fetched data for ${Object.keys(wikiData.data || {}).length} items`);
 
         return wikiData;
@@ -66,17 +103,7 @@ class MarketDataFetchService extends BaseService {
       return await this.withRetry(async() => {
         this.logger.info('Fetching 5-minute market data from OSRS Wiki API');
 
-        const response = await this.httpClient('https://prices.runescape.wiki/api/v1/osrs/5m', {
-          headers: {
-            'User-Agent': this.userAgent
-          }
-        });
-
-        if (!response.ok) {
-          throw new Error(`OSRS Wiki 5m API returned ${response.status}: ${response.statusText}`);
-        }
-
-        const wikiData = await response.json();
+        const wikiData = await this.requestWikiEndpoint('/5m', 'OSRS Wiki 5m API');
         this.logger.info(`Fetched 5m data for ${Object.keys(wikiData.data || {}).length} items`);
 
         return wikiData;
@@ -93,17 +120,7 @@ class MarketDataFetchService extends BaseService {
       return await this.withRetry(async() => {
         this.logger.info('Fetching 1-hour market data from OSRS Wiki API');
 
-        const response = await this.httpClient('https://prices.runescape.wiki/api/v1/osrs/1h', {
-          headers: {
-            'User-Agent': this.userAgent
-          }
-        });
-
-        if (!response.ok) {
-          throw new Error(`OSRS Wiki 1h API returned ${response.status}: ${response.statusText}`);
-        }
-
-        const wikiData = await response.json();
+        const wikiData = await this.requestWikiEndpoint('/1h', 'OSRS Wiki 1h API');
         this.logger.info(`Fetched 1h data for ${Object.keys(wikiData.data || {}).length} items`);
 
         return wikiData;
@@ -125,17 +142,7 @@ class MarketDataFetchService extends BaseService {
       return await this.withRetry(async() => {
         this.logger.info(`Fetching data for item ${itemId}`);
 
-        const response = await this.httpClient(`https://prices.runescape.wiki/api/v1/osrs/latest?id=${itemId}`, {
-          headers: {
-            'User-Agent': this.userAgent
-          }
-        });
-
-        if (!response.ok) {
-          throw new Error(`OSRS Wiki item API returned ${response.status}: ${response.statusText}`);
-        }
-
-        const itemData = await response.json();
+        const itemData = await this.requestWikiEndpoint(`/latest?id=${itemId}`, 'OSRS Wiki item API');
         this.logger.debug(`Fetched data for item ${itemId}`, { data: itemData });
 
         return itemData;
@@ -152,17 +159,7 @@ class MarketDataFetchService extends BaseService {
       return await this.withRetry(async() => {
         this.logger.info('Fetching mapping data from OSRS Wiki API');
 
-        const response = await this.httpClient('https://prices.runescape.wiki/api/v1/osrs/mapping', {
-          headers: {
-            'User-Agent': this.userAgent
-          }
-        });
-
-        if (!response.ok) {
-          throw new Error(`OSRS Wiki mapping API returned ${response.status}: ${response.statusText}`);
-        }
-
-        const mappingData = await response.json();
+        const mappingData = await this.requestWikiEndpoint('/mapping', 'OSRS Wiki mapping API');
         this.logger.info(`Fetched mapping data for ${mappingData.length || 0} items`);
 
         return mappingData;
@@ -170,13 +167,59 @@ class MarketDataFetchService extends BaseService {
     }, 3600); // Cache for 1 hour
   }
 
+  /**
+   * Fetch one of the GE top 100 lists (AppConstants.EXTERNAL_API.OSRS_GE.TOP100_LISTS)
+   * @param {number} listId - 0 most traded, 1 greatest rise, 2 most valuable, 3 greatest fall
+   * @returns {Array<Object>} { rank, itemId, name } in list order
+   */
+  async fetchTop100List(listId) {
+    return await this.withCache(`top100_${listId}`, async() => {
+      return await this.withRetry(async() => {
+        this.logger.info(`Fetching GE top 100 list ${listId}`);
+
+        const page = await this.requestGEEndpoint(`/top100?list=${listId}&scale=3`, 'OSRS GE top 100', { json: false });
+        const items = [];
+        for (const [, itemId, name] of page.matchAll(TOP100_ITEM_LINK)) {
+          if (!items.some(item => item.itemId === Number(itemId))) {
+            items.push({
+              rank: items.length + 1,
+              itemId: Number(itemId),
+              name: name.trim().replace(/&(amp|#39|quot|lt|gt);/g, entity => HTML_ENTITIES[entity])
+            });
+          }
+        }
+        this.logger.info(`Fetched ${items.length} items from GE top 100 list ${listId}`);
+
+        return items;
+      }, `fetch GE top 100 list ${listId}`, 3);
+    }, 3600); // Cache for 1 hour
+  }
+
+  /**
+   * Fetch an item's 180-day GE price graph
+   * @param {number} itemId - Item ID
+   * @returns {Object} { daily, average }: prices keyed by epoch milliseconds
+   */
+  async fetchItemPriceGraph(itemId) {
+    if (!itemId || isNaN(itemId)) {
+      throw new Error('Invalid item ID provided');
+    }
+
+    return await this.withCache(`ge_graph_${itemId}`, async() => {
+      return await this.withRetry(async() => {
+        this.logger.info(`Fetching GE price graph for item ${itemId}`);
+        return await this.requestGEEndpoint(`/api/graph/${itemId}.json`, 'OSRS GE graph API');
+      }, `fetch GE price graph ${itemId}`, 3);
+    }, 3600);
+  }
+
   /**
    * Test API connectivity
    * @returns {boolean} True if API is accessible
    */
   async testAPIConnectivity() {
     try {
-      const response = await this.httpClient('https://prices.runescape.wiki/api/v1/osrs/latest', {
+      const response = await this.httpClient(`${this.baseURL}/latest`, {
         method: 'HEAD',
         headers: {
           'User-Agent': this.userAgent
@@ -210,7 +253,7 @@ class MarketDataFetchService extends BaseService {
       return {
         connected: isConnected,
         responseTime,
-        endpoint: 'https://prices.runescape.wiki/api/v1/osrs/',
+        endpoint: `${this.baseURL}/`,
         lastChecked: new Date(),
         userAgent: this.userAgent
       };
@@ -219,7 +262,7 @@ class MarketDataFetchService extends BaseService {
       return {
         connected: false,
         responseTime: null,
-        endpoint: 'https://prices.runescape.wiki/api/v1/osrs/',
+        endpoint: `${this.baseURL}/`,
         lastChecked: new Date(),
         error: error.message
       };
@@ -0,0 +1,152 @@
+/**
+ * 📒 Journal Accounting - Context7 Optimized
+ *
+ * Context7 Pattern: Pure Trade Accounting Functions
+ * - GE tax per sale from the shared calculateGETax helper, as in backtests, recipes and alerts
+ * - FIFO lot matching of sell fills against earlier buy fills
+ * - Daily and weekly realized P&L rollups
+ *
+ * DRY: Shared by TradeJournalService and its tests; no I/O here
+ */
+
+const { calculateGETax } = require('../../utils/marketConstants');
+const TimeConstants = require('../../utils/TimeConstants');
+
+const ROLLUP_PERIODS = ['daily', 'weekly'];
+
+/**
+ * GE tax charged on one sell fill
+ * @param {number} price - Sale price per item
+ * @param {number} quantity - Items sold
+ * @returns {number} Total tax in gp
+ */
+function calculateSaleTax(price, quantity) {
+  return calculateGETax(price) * quantity;
+}
+
+/**
+ * Match sells to the oldest open buy lots of the same item
+ * Sells without enough prior buys are reported as unmatched and kept out of P&L.
+ * @param {Array} fills - { entryId, itemId, side, quantity, price, filledAt, tax }
+ * @returns {Object} { realizations, openLots: Map<itemId, lots[]> }
+ */
+function matchFifoLots(fills) {
+  const ordered = [...fills].sort((a, b) =>
+    a.filledAt - b.filledAt || (a.side === b.side ? 0 : a.side === 'buy' ? -1 : 1)
+  );
+  const openLots = new Map();
+  const realizations = [];
+
+  for (const fill of ordered) {
+    if (!openLots.has(fill.itemId)) {
+      openLots.set(fill.itemId, []);
+    }
+    const lots = openLots.get(fill.itemId);
+
+    if (fill.side === 'buy') {
+      lots.push({ entryId: fill.entryId, quantity: fill.quantity, price: fill.price, filledAt: fill.filledAt });
+      continue;
+    }
+
+    let remaining = fill.quantity;
+    let costBasis = 0;
+    const matchedLots = [];
+    while (remaining > 0 && lots.length > 0) {
+      const lot = lots[0];
+      const take = Math.min(remaining, lot.quantity);
+      costBasis += take * lot.price;
+      matchedLots.push({ entryId: lot.entryId, quantity: take, price: lot.price });
+      lot.quantity -= take;
+      remaining -= take;
+      if (lot.quantity === 0) {
+        lots.shift();
+      }
+    }
+
+    const matchedQuantity = fill.quantity - remaining;
+    const taxPerItem = fill.quantity > 0 ? fill.tax / fill.quantity : 0;
+    const proceeds = matchedQuantity * fill.price;
+    const tax = matchedQuantity * taxPerItem;
+
+    realizations.push({
+      entryId: fill.entryId,
+      itemId: fill.itemId,
+      filledAt: fill.filledAt,
+      quantity: matchedQuantity,
+      unmatchedQuantity: remaining,
+      price: fill.price,
+      proceeds,
+      tax,
+      costBasis,
+      realizedPnl: proceeds - tax - costBasis,
+      lots: matchedLots
+    });
+  }
+
+  for (const [itemId, lots] of openLots) {
+    if (lots.length === 0) {
+      openLots.delete(itemId);
+    }
+  }
+
+  return { realizations, openLots };
+}
+
+/**
+ * Start of the UTC day or ISO week (Monday) containing a timestamp
+ * @returns {number} Period start (epoch ms)
+ */
+function getPeriodStart(timestamp, period) {
+  const date = new Date(timestamp);
+  const dayStart = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  if (period === 'weekly') {
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    return dayStart - daysSinceMonday * TimeConstants.ONE_DAY;
+  }
+  return dayStart;
+}
+
+/**
+ * Realized P&L grouped by UTC day or ISO week
+ * @param {Array} realizations - Output of matchFifoLots
+ * @param {string} period - 'daily' | 'weekly'
+ * @returns {Array} Buckets, oldest first
+ */
+function rollupRealized(realizations, period = 'daily') {
+  const periodMs = period === 'weekly' ? TimeConstants.SEVEN_DAYS : TimeConstants.ONE_DAY;
+  const buckets = new Map();
+
+  for (const realization of realizations) {
+    const periodStart = getPeriodStart(realization.filledAt, period);
+    if (!buckets.has(periodStart)) {
+      buckets.set(periodStart, {
+        period: new Date(periodStart).toISOString().slice(0, 10),
+        periodStart,
+        periodEnd: periodStart + periodMs,
+        realizedPnl: 0,
+        proceeds: 0,
+        taxPaid: 0,
+        costBasis: 0,
+        quantitySold: 0,
+        sells: 0
+      });
+    }
+    const bucket = buckets.get(periodStart);
+    bucket.realizedPnl += realization.realizedPnl;
+    bucket.proceeds += realization.proceeds;
+    bucket.taxPaid += realization.tax;
+    bucket.costBasis += realization.costBasis;
+    bucket.quantitySold += realization.quantity;
+    bucket.sells += 1;
+  }
+
+  return [...buckets.values()].sort((a, b) => a.periodStart - b.periodStart);
+}
+
+module.exports = {
+  ROLLUP_PERIODS,
+  calculateSaleTax,
+  matchFifoLots,
+  getPeriodStart,
+  rollupRealized
+};
@@ -0,0 +1,468 @@
+/**
+ * 📒 Trade Journal Service - Context7 Optimized
+ *
+ * Context7 Pattern: Persisted Manual Trade Journal
+ * - CRUD for GE offers with partial fills and cancellations
+ * - GE tax per sale, FIFO realized P&L and unrealized P&L from latest snapshots
+ * - Daily/weekly rollups; buy fills are mirrored into the trade ledger for buy limits
+ *
+ * SOLID: Single responsibility for journal entries (arithmetic lives in JournalAccounting)
+ */
+
+const mongoose = require('mongoose');
+const { BaseService } = require('../BaseService');
+const { TradeJournalModel } = require('../../models/TradeJournalModel');
+const { MarketPriceSnapshotModel } = require('../../models/MarketPriceSnapshotModel');
+const { ItemModel } = require('../../models/ItemModel');
+const { TradeLedgerService } = require('../ledger/TradeLedgerService');
+const { calculateSaleTax, matchFifoLots, rollupRealized } = require('./JournalAccounting');
+const { ErrorHandler } = require('../../middleware/ErrorHandler');
+const TimeConstants = require('../../utils/TimeConstants');
+
+// Fields that may be edited after an offer is placed
+const EDITABLE_FIELDS = ['offerPrice', 'quantity', 'notes'];
+
+class TradeJournalService extends BaseService {
+  constructor(dependencies = {}) {
+    super('TradeJournalService', {
+      enableCache: false,
+      enableMongoDB: false // Uses Mongoose models directly
+    });
+
+    this.journalModel = dependencies.journalModel || TradeJournalModel;
+    this.snapshotModel = dependencies.snapshotModel || MarketPriceSnapshotModel;
+    this.itemModel = dependencies.itemModel || ItemModel;
+    this.tradeLedgerService = dependencies.tradeLedgerService || new TradeLedgerService();
+    this.now = dependencies.now || (() => Date.now());
+    this.priceLookbackMs = dependencies.priceLookbackMs || TimeConstants.SEVEN_DAYS;
+    this.maxEntries = dependencies.maxEntries || 20000;
+  }
+
+  /**
+   * Context7 Pattern: Record a new GE offer, optionally with fills already completed
+   * @param {Object} data - { itemId, side, offerPrice, quantity, placedAt, notes, userId, fills }
+   * @returns {Promise<Object>} Formatted entry
+   */
+  async createEntry(data) {
+    return this.execute(async() => {
+      const item = await this.itemModel.findOne({ itemId: data.itemId }).select('name').lean();
+      const entry = new this.journalModel({
+        itemId: data.itemId,
+        itemName: item?.name || null,
+        userId: data.userId || 'default',
+        side: data.side,
+        offerPrice: data.offerPrice,
+        quantity: data.quantity,
+        placedAt: data.placedAt || this.now(),
+        notes: data.notes || null,
+        fills: (data.fills || []).map(fill => this.buildFill(data.side, fill))
+      });
+      entry.refreshStatus();
+
+      await entry.validate();
+      await this.saveWithMirroredFills(entry, entry.fills);
+
+      return this.formatEntry(entry);
+    }, 'createEntry');
+  }
+
+  /**
+   * Context7 Pattern: List entries, newest first
+   */
+  async getEntries(params = {}) {
+    return this.execute(async() => {
+      const query = { userId: params.userId || 'default' };
+      for (const field of ['itemId', 'side', 'status']) {
+        if (params[field]) {
+          query[field] = params[field];
+        }
+      }
+      if (params.since || params.until) {
+        query.placedAt = {};
+        if (params.since) {
+          query.placedAt.$gte = params.since;
+        }
+        if (params.until) {
+          query.placedAt.$lte = params.until;
+        }
+      }
+
+      const entries = await this.journalModel
+        .find(query)
+        .sort({ placedAt: -1 })
+        .skip(Math.max(parseInt(params.offset) || 0, 0))
+        .limit(Math.min(parseInt(params.limit) || 50, 500))
+        .lean();
+
+      return entries.map(entry => this.formatEntry(entry));
+    }, 'getEntries');
+  }
+
+  /**
+   * Context7 Pattern: Single entry
+   * @returns {Promise<Object|null>} Entry, or null when it does not exist
+   */
+  async getEntry(entryId, userId = 'default') {
+    return this.execute(async() => {
+      const entry = await this.findEntry(entryId, userId);
+      return entry ? this.formatEntry(entry) : null;
+    }, 'getEntry');
+  }
+
+  /**
+   * Context7 Pattern: Edit offer price, quantity or notes
+   * @returns {Promise<Object|null>} Updated entry, or null when it does not exist
+   */
+  async updateEntry(entryId, updates, userId = 'default') {
+    return this.execute(async() => {
+      const entry = await this.findEntry(entryId, userId);
+      if (!entry) {
+        return null;
+      }
+
+      for (const field of EDITABLE_FIELDS) {
+        if (updates[field] !== undefined) {
+          entry[field] = updates[field];
+        }
+      }
+      entry.refreshStatus();
+      await entry.save();
+
+      return this.formatEntry(entry);
+    }, 'updateEntry');
+  }
+
+  /**
+   * Context7 Pattern: Record a (partial) fill against an offer
+   * @returns {Promise<Object|null>} Updated entry, or null when it does not exist
+   */
+  async addFill(entryId, fill, userId = 'default') {
+    return this.execute(async() => {
+      const entry = await this.findEntry(entryId, userId);
+      if (!entry) {
+        return null;
+      }
+
+      entry.fills.push(this.buildFill(entry.side, fill));
+      entry.refreshStatus();
+      await entry.validate();
+
+      await this.saveWithMirroredFills(entry, [entry.fills[entry.fills.length - 1]]);
+
+      return this.formatEntry(entry);
+    }, 'addFill');
+  }
+
+  /**
+   * Context7 Pattern: Cancel the unfilled remainder of an offer
+   * @returns {Promise<Object|null>} Updated entry, or null when it does not exist
+   * @throws {Error} 409 error when the offer is already filled or cancelled
+   */
+  async cancelEntry(entryId, userId = 'default') {
+    const entry = await this.findEntry(entryId, userId);
+    if (!entry) {
+      return null;
+    }
+    // Checked outside execute() so the conflict error keeps its 409 status
+    if (entry.status === 'filled' || entry.status === 'cancelled') {
+      throw ErrorHandler.createError(`Journal entry ${entryId} is already ${entry.status}`, 409, { status: entry.status });
+    }
+
+    return this.execute(async() => {
+      entry.status = 'cancelled';
+      entry.cancelledAt = this.now();
+      await entry.save();
+
+      return this.formatEntry(entry);
+    }, 'cancelEntry');
+  }
+
+  /**
+   * Context7 Pattern: Delete an entry and its mirrored ledger fills
+   * @returns {Promise<Object|null>} Deleted entry, or null when it does not exist
+   */
+  async deleteEntry(entryId, userId = 'default') {
+    return this.execute(async() => {
+      if (!mongoose.isValidObjectId(entryId)) {
+        return null;
+      }
+      const entry = await this.journalModel.findOneAndDelete({ _id: entryId, userId }).lean();
+      if (!entry) {
+        return null;
+      }
+
+      await this.removeMirroredFills(entry, entry.fills);
+
+      return this.formatEntry(entry);
+    }, 'deleteEntry');
+  }
+
+  /**
+   * Context7 Pattern: Realized, unrealized and tax totals with open positions
+   * FIFO runs over the full history; since/until only filter which sales are reported.
+   * @param {Object} params - { userId, itemId, since, until }
+   */
+  async getSummary(params = {}) {
+    return this.execute(async() => {
+      const entries = await this.loadEntriesWithFills(params.userId);
+      const { realizations, openLots } = matchFifoLots(this.flattenFills(entries));
+      const reported = this.filterRealizations(realizations, params);
+      const openPositions = await this.valueOpenPositions(openLots, entries, params.itemId);
+      const entriesByStatus = await this.countByStatus(params.userId);
+
+      const realizedPnl = reported.reduce((sum, r) => sum + r.realizedPnl, 0);
+      const unrealizedPnl = openPositions.reduce((sum, p) => sum + (p.unrealizedPnl || 0), 0);
+
+      return {
+        userId: params.userId || 'default',
+        realizedPnl,
+        unrealizedPnl,
+        totalPnl: realizedPnl + unrealizedPnl,
+        taxPaid: reported.reduce((sum, r) => sum + r.tax, 0),
+        grossProceeds: reported.reduce((sum, r) => sum + r.proceeds, 0),
+        costBasisSold: reported.reduce((sum, r) => sum + r.costBasis, 0),
+        closedSales: reported.length,
+        winningSales: reported.filter(r => r.realizedPnl > 0).length,
+        unmatchedSellQuantity: reported.reduce((sum, r) => sum + r.unmatchedQuantity, 0),
+        openPositions,
+        entriesByStatus,
+        timestamp: this.now()
+      };
+    }, 'getSummary');
+  }
+
+  /**
+   * Context7 Pattern: Realized P&L per UTC day or ISO week
+   * @param {Object} params - { userId, period, itemId, since, until }
+   */
+  async getRollups(params = {}) {
+    return this.execute(async() => {
+      const entries = await this.loadEntriesWithFills(params.userId);
+      const { realizations } = matchFifoLots(this.flattenFills(entries));
+      const period = params.period || 'daily';
+
+      return {
+        period,
+        buckets: rollupRealized(this.filterRealizations(realizations, params), period)
+      };
+    }, 'getRollups');
+  }
+
+  /**
+   * Context7 Pattern: Normalize a fill and charge GE tax on sales
+   */
+  buildFill(side, fill) {
+    return {
+      quantity: fill.quantity,
+      price: fill.price,
+      filledAt: fill.filledAt || this.now(),
+      tax: side === 'sell' ? calculateSaleTax(fill.price, fill.quantity) : 0
+    };
+  }
+
+  /**
+   * Context7 Pattern: Save an entry together with the ledger mirror of its new buy fills
+   * The mirror is removed again when the save fails, so no orphan fills count against the buy limit.
+   */
+  async saveWithMirroredFills(entry, fills) {
+    try {
+      await this.mirrorBuyFills(entry, fills);
+      await entry.save();
+    } catch (error) {
+      await this.removeMirroredFills(entry, fills).catch(rollbackError => {
+        this.logger.warn('Failed to remove mirrored ledger fills', {
+          entryId: entry._id.toString(),
+          error: rollbackError.message
+        });
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Context7 Pattern: Count journal buys against the GE buy limit
+   */
+  async mirrorBuyFills(entry, fills) {
+    if (entry.side !== 'buy') {
+      return;
+    }
+    for (const fill of fills) {
+      const { fill: ledgerFill } = await this.tradeLedgerService.recordFill({
+        itemId: entry.itemId,
+        userId: entry.userId,
+        side: 'buy',
+        quantity: fill.quantity,
+        price: fill.price,
+        filledAt: fill.filledAt,
+        source: 'journal'
+      });
+      fill.ledgerFillId = ledgerFill.id;
+    }
+  }
+
+  /**
+   * Context7 Pattern: Delete the ledger fills mirrored from journal fills
+   */
+  async removeMirroredFills(entry, fills) {
+    const ledgerFillIds = fills.map(fill => fill.ledgerFillId).filter(Boolean);
+    await Promise.all(ledgerFillIds.map(id => this.tradeLedgerService.deleteFill(id, entry.userId)));
+  }
+
+  /**
+   * Context7 Pattern: All entries with fills for FIFO matching
+   */
+  async loadEntriesWithFills(userId = 'default') {
+    return this.journalModel
+      .find({ userId: userId || 'default', 'fills.0': { $exists: true } })
+      .select('itemId itemName side status fills')
+      .sort({ placedAt: 1 })
+      .limit(this.maxEntries)
+      .lean();
+  }
+
+  /**
+   * Context7 Pattern: One row per fill for the accounting functions
+   */
+  flattenFills(entries) {
+    return entries.flatMap(entry => entry.fills.map(fill => ({
+      entryId: entry._id.toString(),
+      itemId: entry.itemId,
+      side: entry.side,
+      quantity: fill.quantity,
+      price: fill.price,
+      filledAt: fill.filledAt,
+      tax: fill.tax || 0
+    })));
+  }
+
+  /**
+   * Context7 Pattern: Restrict reported sales by item and time range
+   */
+  filterRealizations(realizations, params) {
+    return realizations.filter(r =>
+      (!params.itemId || r.itemId === params.itemId) &&
+      (!params.since || r.filledAt >= params.since) &&
+      (!params.until || r.filledAt <= params.until)
+    );
+  }
+
+  /**
+   * Context7 Pattern: Mark open lots at the latest instant-sell price, net of tax
+   */
+  async valueOpenPositions(openLots, entries, itemId = null) {
+    const itemIds = [...openLots.keys()].filter(id => !itemId || id === itemId);
+    if (itemIds.length === 0) {
+      return [];
+    }
+
+    const prices = await this.getLatestPrices(itemIds);
+    const names = new Map(entries.map(entry => [entry.itemId, entry.itemName]));
+
+    return itemIds.map(id => {
+      const lots = openLots.get(id);
+      const quantity = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+      const costBasis = lots.reduce((sum, lot) => sum + lot.quantity * lot.price, 0);
+      const price = prices.get(id);
+      const markValue = price ? price.lowPrice * quantity - calculateSaleTax(price.lowPrice, quantity) : null;
+
+      return {
+        itemId: id,
+        itemName: names.get(id) || null,
+        quantity,
+        averageCost: costBasis / quantity,
+        costBasis,
+        markPrice: price ? price.lowPrice : null,
+        markValue,
+        unrealizedPnl: markValue === null ? null : markValue - costBasis,
+        priceTimestamp: price ? price.timestamp : null,
+        lots: lots.length
+      };
+    });
+  }
+
+  /**
+   * Context7 Pattern: Newest snapshot prices per item
+   * @returns {Promise<Map<number, Object>>} { lowPrice, highPrice, timestamp } by item
+   */
+  async getLatestPrices(itemIds) {
+    const rows = await this.snapshotModel.aggregate([
+      {
+        $match: {
+          itemId: { $in: itemIds },
+          lowPrice: { $gt: 0 },
+          timestamp: { $gte: this.now() - this.priceLookbackMs }
+        }
+      },
+      { $sort: { timestamp: -1 } },
+      {
+        $group: {
+          _id: '$itemId',
+          lowPrice: { $first: '$lowPrice' },
+          highPrice: { $first: '$highPrice' },
+          timestamp: { $first: '$timestamp' }
+        }
+      }
+    ]);
+
+    return new Map(rows.map(row => [row._id, row]));
+  }
+
+  /**
+   * Context7 Pattern: Entry counts per status over all of the user's entries, filled or not
+   */
+  async countByStatus(userId = 'default') {
+    const rows = await this.journalModel.aggregate([
+      { $match: { userId: userId || 'default' } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    return Object.fromEntries(rows.map(row => [row._id, row.count]));
+  }
+
+  /**
+   * Context7 Pattern: Find an entry by ID, rejecting malformed IDs
+   */
+  async findEntry(entryId, userId) {
+    if (!mongoose.isValidObjectId(entryId)) {
+      return null;
+    }
+    return this.journalModel.findOne({ _id: entryId, userId: userId || 'default' });
+  }
+
+  /**
+   * Context7 Pattern: Public entry shape
+   */
+  formatEntry(entry) {
+    const fills = entry.fills || [];
+    const filledQuantity = fills.reduce((sum, fill) => sum + fill.quantity, 0);
+    const filledValue = fills.reduce((sum, fill) => sum + fill.quantity * fill.price, 0);
+
+    return {
+      id: entry._id.toString(),
+      itemId: entry.itemId,
+      itemName: entry.itemName,
+      userId: entry.userId,
+      side: entry.side,
+      offerPrice: entry.offerPrice,
+      quantity: entry.quantity,
+      filledQuantity,
+      remainingQuantity: entry.status === 'cancelled' ? 0 : entry.quantity - filledQuantity,
+      averageFillPrice: filledQuantity > 0 ? filledValue / filledQuantity : null,
+      totalTax: fills.reduce((sum, fill) => sum + (fill.tax || 0), 0),
+      fills: fills.map(fill => ({
+        id: fill._id ? fill._id.toString() : null,
+        quantity: fill.quantity,
+        price: fill.price,
+        filledAt: fill.filledAt,
+        tax: fill.tax || 0
+      })),
+      status: entry.status,
+      placedAt: entry.placedAt,
+      cancelledAt: entry.cancelledAt,
+      notes: entry.notes,
+      createdAt: entry.createdAt,
+      updatedAt: entry.updatedAt
+    };
+  }
+}
+
+module.exports = { TradeJournalService };
@@ -0,0 +1,235 @@
+/**
+ * 🧾 Trade Ledger Service - Context7 Optimized
+ *
+ * Context7 Pattern: Fill Ledger and GE Buy-Limit Tracking
+ * - Records buy/sell fills entered manually or via the API
+ * - Derives per-item rolling 4-hour buy-limit windows from buy fills
+ * - Reports remaining quantity and reset times, and feeds CapitalAllocationService
+ *
+ * SOLID: Single responsibility for executed fills (allocation lives elsewhere)
+ */
+
+const mongoose = require('mongoose');
+const { BaseService } = require('../BaseService');
+const { TradeFillModel } = require('../../models/TradeFillModel');
+const { ItemModel } = require('../../models/ItemModel');
+const TimeConstants = require('../../utils/TimeConstants');
+
+class TradeLedgerService extends BaseService {
+  constructor(dependencies = {}) {
+    super('TradeLedgerService', {
+      enableCache: false,
+      enableMongoDB: false // Uses Mongoose models directly
+    });
+
+    this.tradeFillModel = dependencies.tradeFillModel || TradeFillModel;
+    this.itemModel = dependencies.itemModel || ItemModel;
+    this.windowMs = dependencies.buyLimitWindowMs || TimeConstants.FOUR_HOURS;
+    this.now = dependencies.now || (() => Date.now());
+  }
+
+  /**
+   * Context7 Pattern: Record a fill and return the item's updated buy-limit status
+   * @param {Object} fill - { itemId, side, quantity, price, filledAt, source, userId, notes }
+   * @returns {Promise<Object>} { fill, buyLimit }
+   */
+  async recordFill(fill) {
+    return this.execute(async() => {
+      const userId = fill.userId || 'default';
+      const created = await this.tradeFillModel.create({
+        itemId: fill.itemId,
+        userId,
+        side: fill.side,
+        quantity: fill.quantity,
+        price: fill.price,
+        filledAt: fill.filledAt || this.now(),
+        source: fill.source || 'manual',
+        notes: fill.notes || null
+      });
+
+      const buyLimit = await this.getBuyLimitStatus(fill.itemId, { userId });
+      if (fill.side === 'buy' && buyLimit?.remainingQuantity === 0) {
+        this.logger.warn('GE buy limit reached', {
+          itemId: fill.itemId,
+          userId,
+          buyLimit: buyLimit.buyLimit,
+          resetsAt: buyLimit.resetsAt
+        });
+      }
+
+      return { fill: this.formatFill(created), buyLimit };
+    }, 'recordFill');
+  }
+
+  /**
+   * Context7 Pattern: List fills, newest first
+   */
+  async getFills(params = {}) {
+    return this.execute(async() => {
+      const query = { userId: params.userId || 'default' };
+      if (params.itemId) {
+        query.itemId = params.itemId;
+      }
+      if (params.side) {
+        query.side = params.side;
+      }
+      if (params.since || params.until) {
+        query.filledAt = {};
+        if (params.since) {
+          query.filledAt.$gte = params.since;
+        }
+        if (params.until) {
+          query.filledAt.$lte = params.until;
+        }
+      }
+
+      const fills = await this.tradeFillModel
+        .find(query)
+        .sort({ filledAt: -1 })
+        .limit(Math.min(parseInt(params.limit) || 100, 1000))
+        .lean();
+
+      return fills.map(fill => this.formatFill(fill));
+    }, 'getFills');
+  }
+
+  /**
+   * Context7 Pattern: Remove a mistaken fill
+   * @returns {Promise<Object|null>} Deleted fill, or null when it does not exist
+   */
+  async deleteFill(fillId, userId = 'default') {
+    return this.execute(async() => {
+      if (!mongoose.isValidObjectId(fillId)) {
+        return null;
+      }
+      const deleted = await this.tradeFillModel.findOneAndDelete({ _id: fillId, userId }).lean();
+      return deleted ? this.formatFill(deleted) : null;
+    }, 'deleteFill');
+  }
+
+  /**
+   * Context7 Pattern: Buy-limit status for one item
+   * @returns {Promise<Object|null>} Status, or null when the item is not in the mapping
+   */
+  async getBuyLimitStatus(itemId, options = {}) {
+    return this.execute(async() => {
+      const statuses = await this.getBuyLimitStatuses({ ...options, itemIds: [itemId] });
+      return statuses[0] || null;
+    }, 'getBuyLimitStatus');
+  }
+
+  /**
+   * Context7 Pattern: Buy-limit status for several items
+   * Without itemIds, reports every item bought inside the current window.
+   * @param {Object} options - { userId, itemIds }
+   * @returns {Promise<Array>} Statuses ordered by item ID
+   */
+  async getBuyLimitStatuses(options = {}) {
+    return this.execute(async() => {
+      const now = this.now();
+      const userId = options.userId || 'default';
+      const itemIds = Array.isArray(options.itemIds) ? [...new Set(options.itemIds)] : null;
+
+      const fills = await this.tradeFillModel.findBuysSince(userId, now - this.windowMs, itemIds);
+      const fillsByItem = this.groupByItem(fills);
+      const trackedIds = itemIds || [...fillsByItem.keys()];
+      if (trackedIds.length === 0) {
+        return [];
+      }
+
+      const items = await this.itemModel
+        .find({ itemId: { $in: trackedIds } })
+        .select('itemId name buy_limit')
+        .lean();
+
+      return items
+        .map(item => ({
+          itemId: item.itemId,
+          itemName: item.name,
+          ...this.calculateWindowStatus(item.buy_limit, fillsByItem.get(item.itemId) || [], now)
+        }))
+        .sort((a, b) => a.itemId - b.itemId);
+    }, 'getBuyLimitStatuses');
+  }
+
+  /**
+   * Context7 Pattern: Remaining buyable quantity per item for position sizing
+   * @param {Array<number>} itemIds - Items to look up
+   * @param {Object} options - { userId }
+   * @returns {Promise<Map<number, number>>} Remaining quantity; items without a known limit are omitted
+   */
+  async getRemainingBuyQuantities(itemIds, options = {}) {
+    return this.execute(async() => {
+      const statuses = await this.getBuyLimitStatuses({ ...options, itemIds });
+      return new Map(
+        statuses
+          .filter(status => status.remainingQuantity !== null)
+          .map(status => [status.itemId, status.remainingQuantity])
+      );
+    }, 'getRemainingBuyQuantities');
+  }
+
+  /**
+   * Context7 Pattern: Rolling window arithmetic for one item
+   * A buy counts until windowMs after its fill; the limit frees up fill by fill.
+   * @param {number|null} buyLimit - GE limit, null when unknown
+   * @param {Array} fills - Buy fills inside the window, oldest first
+   * @param {number} now - Evaluation time (epoch ms)
+   * @returns {Object} Window status
+   */
+  calculateWindowStatus(buyLimit, fills, now) {
+    const active = fills.filter(fill => fill.filledAt > now - this.windowMs);
+    const usedQuantity = active.reduce((sum, fill) => sum + fill.quantity, 0);
+    const limit = buyLimit || null;
+    const oldest = active[0];
+    const newest = active[active.length - 1];
+
+    return {
+      buyLimit: limit,
+      windowMs: this.windowMs,
+      usedQuantity,
+      remainingQuantity: limit === null ? null : Math.max(0, limit - usedQuantity),
+      limitReached: limit !== null && usedQuantity >= limit,
+      fillsInWindow: active.length,
+      windowStartedAt: oldest ? oldest.filledAt : null,
+      nextReleaseAt: oldest ? oldest.filledAt + this.windowMs : null,
+      nextReleaseQuantity: oldest ? oldest.quantity : 0,
+      resetsAt: newest ? newest.filledAt + this.windowMs : null
+    };
+  }
+
+  /**
+   * Context7 Pattern: Group fills by item, preserving order
+   */
+  groupByItem(fills) {
+    const grouped = new Map();
+    for (const fill of fills) {
+      if (!grouped.has(fill.itemId)) {
+        grouped.set(fill.itemId, []);
+      }
+      grouped.get(fill.itemId).push(fill);
+    }
+    return grouped;
+  }
+
+  /**
+   * Context7 Pattern: Public fill shape
+   */
+  formatFill(fill) {
+    return {
+      id: fill._id.toString(),
+      itemId: fill.itemId,
+      userId: fill.userId,
+      side: fill.side,
+      quantity: fill.quantity,
+      price: fill.price,
+      totalValue: fill.price * fill.quantity,
+      filledAt: fill.filledAt,
+      source: fill.source,
+      notes: fill.notes,
+      createdAt: fill.createdAt
+    };
+  }
+}
+
+module.exports = { TradeLedgerService };
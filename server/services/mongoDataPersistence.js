@@ -570,6 +570,8 @@ class MongoDataPersistence {
 
   /**
    * Cleanup old data with Context7 optimizations
+   * Raw collection runs in marketData expire with the other collections; the market_price_snapshots
+   * price history is not touched here, SnapshotCompactionService downsamples it per AppConstants.RETENTION
    */
   async cleanupOldData(maxAge = 7 * 24 * 60 * 60 * 1000) {
     this.ensureConnected();
@@ -0,0 +1,324 @@
+/**
+ * 🩺 Data Quality Service - Context7 Optimized
+ *
+ * Context7 Pattern: Snapshot Time Series Coverage and Gap Repair
+ * - Finds missing (itemId, interval, timestamp) buckets in the 5m/1h MarketPriceSnapshotModel series
+ * - Classifies each missing bucket:
+ *   outage: the whole batch is missing or much smaller than usual, so collection failed
+ *   no_trade: the batch was collected but the item was not in it (the Wiki omits items without trades)
+ * - Outage gaps are repaired by a backfill job from the Wiki timeseries endpoint; no-trade gaps
+ *   cannot be filled and are only reported
+ *
+ * SOLID: Single responsibility for snapshot coverage (fetching and writing stay in BackfillJobService)
+ */
+
+const { BaseService } = require('../BaseService');
+const { getBackfillJobService, getMaxLookbackDays, TIMESTEP_MS, MAX_ITEMS_PER_JOB } = require('../backfill/BackfillJobService');
+const { MarketPriceSnapshotModel } = require('../../models/MarketPriceSnapshotModel');
+const { ErrorHandler } = require('../../middleware/ErrorHandler');
+const TimeConstants = require('../../utils/TimeConstants');
+
+const COVERAGE_INTERVALS = ['5m', '1h'];
+const DEFAULT_LOOKBACK_DAYS = {
+  '5m': 1,
+  '1h': 7
+};
+
+// A batch with fewer items than this share of the median batch size counts as an outage
+const OUTAGE_BATCH_RATIO = 0.5;
+
+// Same grading as the collector heuristic this report replaces
+const GRADE_THRESHOLDS = [
+  { grade: 'EXCELLENT', minCoverage: 0.9 },
+  { grade: 'GOOD', minCoverage: 0.7 },
+  { grade: 'FAIR', minCoverage: 0.5 }
+];
+
+const DEFAULT_ITEM_LIMIT = 50;
+const MAX_ITEM_LIMIT = 500;
+
+let dataQualityService = null;
+
+class DataQualityService extends BaseService {
+  constructor(dependencies = {}) {
+    super('DataQualityService', {
+      enableCache: false,
+      enableMongoDB: false // Uses Mongoose models directly
+    });
+
+    this.snapshotModel = dependencies.snapshotModel || MarketPriceSnapshotModel;
+    this.backfillService = dependencies.backfillService || getBackfillJobService();
+    this.now = dependencies.now || (() => Date.now());
+  }
+
+  /**
+   * Context7 Pattern: Coverage of the snapshot series with the items missing the most buckets
+   * @param {Object} options - { interval, lookbackDays, itemIds, limit }
+   *   Without itemIds, every item with at least one snapshot in the window is checked.
+   *   limit caps the per-item gap listing (0 for the summary only).
+   * @returns {Promise<Object>} { interval, lookbackDays, windowStart, windowEnd, summary, outages, items }
+   * @throws {Error} Validation error for unsupported intervals or windows
+   */
+  async getCoverageReport({ interval = '5m', lookbackDays, itemIds, limit = DEFAULT_ITEM_LIMIT } = {}) {
+    const days = this.validateWindow(interval, lookbackDays);
+
+    return this.execute(async() => {
+      const coverage = await this.measureCoverage(interval, days, itemIds);
+      const { window, outageBuckets, items } = coverage;
+      const slots = items.length * window.buckets;
+
+      const totals = items.reduce((sum, item) => ({
+        present: sum.present + item.present,
+        outageMissing: sum.outageMissing + item.outageMissing,
+        noTradeMissing: sum.noTradeMissing + item.noTradeMissing
+      }), { present: 0, outageMissing: 0, noTradeMissing: 0 });
+      const coverageRatio = slots > 0 ? totals.present / slots : 0;
+
+      const worst = [...items]
+        .filter(item => item.missing > 0)
+        .sort((a, b) => b.missing - a.missing || a.itemId - b.itemId)
+        .slice(0, Math.min(Math.max(limit, 0), MAX_ITEM_LIMIT));
+
+      return {
+        interval,
+        lookbackDays: days,
+        windowStart: window.start,
+        windowEnd: window.end,
+        summary: {
+          items: items.length,
+          bucketsPerItem: window.buckets,
+          presentBuckets: totals.present,
+          missingBuckets: slots - totals.present,
+          outageBuckets: totals.outageMissing,
+          noTradeBuckets: totals.noTradeMissing,
+          coverage: round(coverageRatio),
+          // Share of buckets that were collected or legitimately empty
+          collectionCoverage: slots > 0 ? round(1 - totals.outageMissing / slots) : 0,
+          grade: items.length > 0 ? this.getGrade(coverageRatio) : 'NO_DATA'
+        },
+        outages: this.toRuns([...outageBuckets].sort((a, b) => a - b), window.step),
+        items: await this.describeGaps(interval, window, outageBuckets, worst)
+      };
+    }, 'getCoverageReport');
+  }
+
+  /**
+   * Context7 Pattern: Start a backfill job for items with outage gaps
+   * Items that only miss no-trade buckets are left alone; the backfill re-checks gaps per item.
+   * @param {Object} options - { interval, lookbackDays, itemIds }
+   * @returns {Promise<Object>} { interval, lookbackDays, outageBuckets, itemsWithOutages, queued, job }
+   * @throws {Error} Validation error for unsupported intervals or windows
+   */
+  async queueRepairs({ interval = '5m', lookbackDays, itemIds } = {}) {
+    const days = this.validateWindow(interval, lookbackDays);
+
+    return this.execute(async() => {
+      const { outageBuckets, items } = await this.measureCoverage(interval, days, itemIds);
+      const affected = items
+        .filter(item => item.outageMissing > 0)
+        .sort((a, b) => b.outageMissing - a.outageMissing || a.itemId - b.itemId);
+      const repairIds = affected.slice(0, MAX_ITEMS_PER_JOB).map(item => item.itemId);
+
+      const job = repairIds.length > 0
+        ? await this.backfillService.startBackfill({
+          itemIds: repairIds,
+          timestep: interval,
+          lookbackDays: days,
+          requestedBy: 'data-quality'
+        })
+        : null;
+
+      this.logger.info('Snapshot gap repair queued', {
+        interval,
+        lookbackDays: days,
+        outageBuckets: outageBuckets.size,
+        queued: repairIds.length,
+        jobId: job?.jobId
+      });
+
+      return {
+        interval,
+        lookbackDays: days,
+        outageBuckets: outageBuckets.size,
+        itemsWithOutages: affected.length,
+        queued: repairIds.length,
+        job
+      };
+    }, 'queueRepairs', { logSuccess: true });
+  }
+
+  // Private methods
+
+  validateWindow(interval, lookbackDays) {
+    // Checked outside execute() so the validation error keeps its 400 status
+    if (!COVERAGE_INTERVALS.includes(interval)) {
+      throw ErrorHandler.createValidationError(`interval must be one of ${COVERAGE_INTERVALS.join(', ')}`);
+    }
+    const days = lookbackDays ?? DEFAULT_LOOKBACK_DAYS[interval];
+    // Limited to what one Wiki timeseries request covers, so every reported gap can be repaired
+    const maxDays = getMaxLookbackDays(interval);
+    if (!Number.isInteger(days) || days < 1 || days > maxDays) {
+      throw ErrorHandler.createValidationError(`lookbackDays must be between 1 and ${maxDays} for the ${interval} interval`);
+    }
+    return days;
+  }
+
+  /**
+   * Bucket window matching the backfill window, minus the newest bucket, which may still be syncing
+   */
+  getWindow(interval, lookbackDays) {
+    const step = TIMESTEP_MS[interval];
+    const aligned = Math.floor(this.now() / step) * step;
+    const start = aligned - lookbackDays * TimeConstants.ONE_DAY;
+    const end = aligned - step;
+    return { step, start, end, buckets: Math.max((end - start) / step, 0) };
+  }
+
+  /**
+   * Per-item present/missing counts plus the set of outage buckets
+   */
+  async measureCoverage(interval, lookbackDays, itemIds) {
+    const window = this.getWindow(interval, lookbackDays);
+    const inWindow = { interval, timestamp: { $gte: window.start, $lt: window.end } };
+    const itemMatch = itemIds ? { ...inWindow, itemId: { $in: itemIds } } : inWindow;
+
+    // Batch sizes are always measured over every item, so a short item list cannot skew them
+    const [batches, present] = await Promise.all([
+      this.snapshotModel.aggregate([
+        { $match: inWindow },
+        { $group: { _id: '$timestamp', count: { $sum: 1 } } }
+      ]),
+      this.snapshotModel.aggregate([
+        { $match: itemMatch },
+        { $group: { _id: '$itemId', present: { $sum: 1 } } }
+      ])
+    ]);
+
+    const batchSizes = new Map(batches.map(batch => [batch._id, batch.count]));
+    const typicalBatch = median(batches.map(batch => batch.count));
+    const outageBuckets = new Set();
+    for (let timestamp = window.start; timestamp < window.end; timestamp += window.step) {
+      if (typicalBatch === 0 || (batchSizes.get(timestamp) || 0) < typicalBatch * OUTAGE_BATCH_RATIO) {
+        outageBuckets.add(timestamp);
+      }
+    }
+
+    const presentByItem = new Map(present.map(item => [item._id, item.present]));
+    const outagePresentByItem = new Map();
+    if (outageBuckets.size > 0 && presentByItem.size > 0) {
+      const outagePresent = await this.snapshotModel.aggregate([
+        { $match: { ...itemMatch, timestamp: { $in: [...outageBuckets] } } },
+        { $group: { _id: '$itemId', present: { $sum: 1 } } }
+      ]);
+      outagePresent.forEach(item => outagePresentByItem.set(item._id, item.present));
+    }
+
+    // Requested items without a single snapshot are reported as entirely missing
+    const checkedIds = itemIds ? [...new Set(itemIds)] : [...presentByItem.keys()];
+    const items = checkedIds.map(itemId => {
+      const itemPresent = presentByItem.get(itemId) || 0;
+      const missing = window.buckets - itemPresent;
+      const outageMissing = outageBuckets.size - (outagePresentByItem.get(itemId) || 0);
+      return {
+        itemId,
+        present: itemPresent,
+        missing,
+        outageMissing,
+        noTradeMissing: missing - outageMissing,
+        coverage: window.buckets > 0 ? round(itemPresent / window.buckets) : 0
+      };
+    });
+
+    return { window, outageBuckets, items };
+  }
+
+  /**
+   * Attach gap runs (consecutive missing buckets of one type) to the listed items
+   */
+  async describeGaps(interval, window, outageBuckets, items) {
+    if (items.length === 0) {
+      return [];
+    }
+
+    const snapshots = await this.snapshotModel
+      .find({
+        interval,
+        itemId: { $in: items.map(item => item.itemId) },
+        timestamp: { $gte: window.start, $lt: window.end }
+      })
+      .select('itemId timestamp')
+      .lean();
+
+    const stored = new Map(items.map(item => [item.itemId, new Set()]));
+    snapshots.forEach(snapshot => stored.get(snapshot.itemId)?.add(snapshot.timestamp));
+
+    return items.map(item => {
+      const gaps = [];
+      for (let timestamp = window.start; timestamp < window.end; timestamp += window.step) {
+        if (stored.get(item.itemId).has(timestamp)) {
+          continue;
+        }
+        const type = outageBuckets.has(timestamp) ? 'outage' : 'no_trade';
+        const last = gaps[gaps.length - 1];
+        if (last && last.type === type && last.end + window.step === timestamp) {
+          last.end = timestamp;
+          last.buckets++;
+        } else {
+          gaps.push({ type, start: timestamp, end: timestamp, buckets: 1 });
+        }
+      }
+      return { ...item, gaps };
+    });
+  }
+
+  /**
+   * Sorted bucket timestamps -> runs of consecutive buckets ({ start, end } inclusive)
+   */
+  toRuns(timestamps, step) {
+    const runs = [];
+    for (const timestamp of timestamps) {
+      const last = runs[runs.length - 1];
+      if (last && last.end + step === timestamp) {
+        last.end = timestamp;
+        last.buckets++;
+      } else {
+        runs.push({ start: timestamp, end: timestamp, buckets: 1 });
+      }
+    }
+    return runs;
+  }
+
+  getGrade(coverage) {
+    const match = GRADE_THRESHOLDS.find(({ minCoverage }) => coverage > minCoverage);
+    return match ? match.grade : 'POOR';
+  }
+}
+
+function median(values) {
+  if (values.length === 0) {
+    return 0;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+function round(value, decimals = 4) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Get singleton data quality service instance
+ */
+function getDataQualityService() {
+  if (!dataQualityService) {
+    dataQualityService = new DataQualityService();
+  }
+  return dataQualityService;
+}
+
+module.exports = {
+  DataQualityService,
+  getDataQualityService
+};
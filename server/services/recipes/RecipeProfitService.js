@@ -0,0 +1,247 @@
+/**
+ * ⚗️ Recipe Profit Service - Context7 Optimized
+ *
+ * Context7 Pattern: Service Layer for Production-Chain Margins
+ * - Prices every registry recipe with the live Wiki prices (inputs bought, outputs sold)
+ * - Margin per action after GE tax on the outputs and any coin cost
+ * - Throughput per hour is capped by the inputs' 4-hour GE buy limits and the recipe's action rate
+ *
+ * Pricing modes:
+ * - instant: buy inputs at the instant-buy (high) price, sell outputs at the instant-sell (low) price
+ * - offer: buy at the low price and sell at the high price, i.e. patient offers on both sides
+ */
+
+const { BaseService } = require('../BaseService');
+const { OSRSWikiService } = require('../OSRSWikiService');
+const { RecipeRegistry } = require('./RecipeRegistry');
+const { calculateGETax } = require('../../utils/marketConstants');
+
+const BUY_LIMIT_WINDOW_HOURS = 4;
+
+const SORT_FIELDS = ['profitPerHour', 'margin', 'returnPercent'];
+const PRICING_MODES = ['instant', 'offer'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+class RecipeProfitService extends BaseService {
+  constructor(dependencies = {}) {
+    super('RecipeProfitService', {
+      enableCache: false, // Prices and mapping are cached by OSRSWikiService
+      enableMongoDB: false
+    });
+
+    this.osrsWikiService = dependencies.osrsWikiService || new OSRSWikiService();
+    this.registry = dependencies.registry || null;
+    this.recipesFile = dependencies.recipesFile;
+    this.now = dependencies.now || (() => Date.now());
+  }
+
+  /**
+   * Context7 Pattern: Recipes ranked by live margin
+   * @param {Object} options - { sortBy, limit, pricing, skill, minMargin }
+   * @returns {Promise<Object>} { generatedAt, pricesTimestamp, pricing, sortBy, recipes, unpriced, totalRecipes }
+   */
+  async getRankedRecipes(options = {}) {
+    const sortBy = SORT_FIELDS.includes(options.sortBy) ? options.sortBy : 'profitPerHour';
+    const pricing = PRICING_MODES.includes(options.pricing) ? options.pricing : 'instant';
+    const limit = Math.min(Math.max(parseInt(options.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const minMargin = Number.isFinite(options.minMargin) ? options.minMargin : null;
+    const skill = options.skill ? String(options.skill).toLowerCase() : null;
+
+    return this.execute(async() => {
+      const registry = this.getRegistry();
+      const market = await this.getMarket();
+
+      const recipes = registry.getAll().filter(recipe => !skill || recipe.skill === skill);
+      const evaluated = recipes.map(recipe => this.evaluate(recipe, market, pricing));
+
+      const ranked = evaluated
+        .filter(row => row.priced && (minMargin === null || row.margin >= minMargin))
+        .sort((a, b) => this.compare(a, b, sortBy))
+        .slice(0, limit)
+        .map((row, index) => ({ rank: index + 1, ...row }));
+
+      const unpriced = evaluated
+        .filter(row => !row.priced)
+        .map(row => ({ id: row.id, name: row.name, missingItemIds: row.missingItemIds }));
+
+      this.logger.debug('Recipe margins calculated', {
+        recipes: recipes.length,
+        ranked: ranked.length,
+        unpriced: unpriced.length
+      });
+
+      return {
+        generatedAt: this.now(),
+        pricesTimestamp: market.timestamp,
+        pricing,
+        sortBy,
+        buyLimitWindowHours: BUY_LIMIT_WINDOW_HOURS,
+        recipes: ranked,
+        unpriced,
+        skills: registry.getSkills(),
+        totalRecipes: recipes.length
+      };
+    }, 'getRankedRecipes', { logSuccess: true });
+  }
+
+  /**
+   * Context7 Pattern: One recipe priced at live prices
+   * @returns {Promise<Object|null>} Priced recipe or null if the id is not registered
+   */
+  async getRecipe(recipeId, { pricing = 'instant' } = {}) {
+    return this.execute(async() => {
+      const recipe = this.getRegistry().get(recipeId);
+      if (!recipe) {
+        return null;
+      }
+
+      const market = await this.getMarket();
+      return {
+        ...this.evaluate(recipe, market, PRICING_MODES.includes(pricing) ? pricing : 'instant'),
+        pricesTimestamp: market.timestamp
+      };
+    }, 'getRecipe');
+  }
+
+  // Private methods
+
+  getRegistry() {
+    if (!this.registry) {
+      this.registry = RecipeRegistry.fromFile(this.recipesFile);
+      this.logger.info('Recipe registry loaded', { recipes: this.registry.size });
+    }
+    return this.registry;
+  }
+
+  async getMarket() {
+    const [latest, mapping] = await Promise.all([
+      this.osrsWikiService.getLatestPrices(),
+      this.osrsWikiService.getItemMapping()
+    ]);
+
+    return {
+      prices: latest.data || {},
+      timestamp: latest.timestamp || null,
+      items: new Map((mapping || []).map(item => [item.id, item]))
+    };
+  }
+
+  /**
+   * Margin, throughput and a per-component breakdown for one recipe
+   */
+  evaluate(recipe, market, pricing) {
+    const buySide = pricing === 'instant' ? 'high' : 'low';
+    const sellSide = pricing === 'instant' ? 'low' : 'high';
+    const missingItemIds = [];
+
+    const component = (entry, side) => {
+      const item = market.items.get(entry.itemId);
+      const price = this.getPrice(market.prices[entry.itemId], side);
+      if (price === null) {
+        missingItemIds.push(entry.itemId);
+      }
+      return {
+        itemId: entry.itemId,
+        name: (item && item.name) || entry.name || `Item ${entry.itemId}`,
+        quantity: entry.quantity,
+        price,
+        buyLimit: (item && item.limit) || null
+      };
+    };
+
+    const inputs = recipe.inputs.map(entry => component(entry, buySide));
+    const outputs = recipe.outputs.map(entry => {
+      const row = component(entry, sellSide);
+      const tax = row.price === null ? 0 : calculateGETax(row.price);
+      return { ...row, tax: tax * row.quantity };
+    });
+
+    const base = {
+      id: recipe.id,
+      name: recipe.name,
+      skill: recipe.skill,
+      coinCost: recipe.coinCost,
+      inputs,
+      outputs
+    };
+
+    if (missingItemIds.length > 0) {
+      return { ...base, priced: false, missingItemIds };
+    }
+
+    const inputCost = inputs.reduce((sum, row) => sum + row.price * row.quantity, 0) + recipe.coinCost;
+    const grossRevenue = outputs.reduce((sum, row) => sum + row.price * row.quantity, 0);
+    const tax = outputs.reduce((sum, row) => sum + row.tax, 0);
+    const margin = grossRevenue - tax - inputCost;
+    const throughput = this.getThroughput(recipe, inputs);
+
+    return {
+      ...base,
+      priced: true,
+      inputCost: Math.round(inputCost),
+      revenue: Math.round(grossRevenue - tax),
+      tax,
+      margin: Math.round(margin),
+      returnPercent: inputCost > 0 ? Math.round((margin / inputCost) * 10000) / 100 : null,
+      ...throughput,
+      profitPerHour: throughput.actionsPerHour === null ? null : Math.round(margin * throughput.actionsPerHour),
+      capitalPerHour: throughput.actionsPerHour === null ? null : Math.round(inputCost * throughput.actionsPerHour)
+    };
+  }
+
+  /**
+   * Actions per hour allowed by the scarcest input's buy limit and the recipe's own action rate
+   * Outputs are sold, so their buy limits do not constrain throughput.
+   */
+  getThroughput(recipe, inputs) {
+    let actionsPerWindow = Infinity;
+    let limitedBy = null;
+
+    for (const input of inputs) {
+      if (!input.buyLimit) {
+        continue;
+      }
+      const actions = Math.floor(input.buyLimit / input.quantity);
+      if (actions < actionsPerWindow) {
+        actionsPerWindow = actions;
+        limitedBy = { type: 'buyLimit', itemId: input.itemId, name: input.name };
+      }
+    }
+
+    if (recipe.actionsPerHour !== null && recipe.actionsPerHour * BUY_LIMIT_WINDOW_HOURS < actionsPerWindow) {
+      actionsPerWindow = recipe.actionsPerHour * BUY_LIMIT_WINDOW_HOURS;
+      limitedBy = { type: 'actionRate' };
+    }
+
+    // Neither a buy limit nor an action rate is known, so throughput cannot be estimated
+    if (actionsPerWindow === Infinity) {
+      return { actionsPerHour: null, limitedBy: null };
+    }
+
+    return {
+      actionsPerHour: Math.round((actionsPerWindow / BUY_LIMIT_WINDOW_HOURS) * 100) / 100,
+      limitedBy
+    };
+  }
+
+  getPrice(prices, side) {
+    if (!prices) {
+      return null;
+    }
+    const price = prices[side] || prices[side === 'high' ? 'low' : 'high'];
+    return price > 0 ? price : null;
+  }
+
+  // Recipes without a throughput estimate rank after those with one
+  compare(a, b, sortBy) {
+    const left = a[sortBy] === null ? -Infinity : a[sortBy];
+    const right = b[sortBy] === null ? -Infinity : b[sortBy];
+    return right - left || b.margin - a.margin || a.id.localeCompare(b.id);
+  }
+}
+
+module.exports = {
+  RecipeProfitService,
+  BUY_LIMIT_WINDOW_HOURS
+};
@@ -0,0 +1,169 @@
+/**
+ * ⚗️ Recipe Registry - Production chains loaded from JSON or YAML
+ *
+ * Context7 Pattern: Data-driven recipe definitions
+ * - Loaded from config/recipes.json unless RECIPES_FILE points at another .json/.yaml/.yml file
+ * - Validated once on load so pricing code can trust every recipe it sees
+ *
+ * Recipe format (the file holds either a list of recipes or { recipes: [...] }):
+ * - id: unique slug (lowercase letters, digits and dashes)
+ * - name, skill: display fields; skill is optional
+ * - inputs / outputs: non-empty lists of { itemId, quantity, name? } consumed / produced per action
+ * - coinCost: coins paid per action outside the GE (sawmill fees, NPC services); defaults to 0
+ * - actionsPerHour: optional cap on how many actions fit in an hour of play
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_RECIPES_FILE = path.join(__dirname, '../../config/recipes.json');
+const RECIPE_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+class RecipeRegistry {
+  /**
+   * @param {Object[]} recipes - Recipe definitions
+   * @throws {Error} When a recipe is malformed or an id is used twice
+   */
+  constructor(recipes = []) {
+    if (!Array.isArray(recipes)) {
+      throw new Error('Recipes must be a list');
+    }
+
+    this.recipes = new Map();
+    recipes.forEach((definition, index) => {
+      const recipe = RecipeRegistry.normalize(definition, index);
+      if (this.recipes.has(recipe.id)) {
+        throw new Error(`Duplicate recipe id '${recipe.id}'`);
+      }
+      this.recipes.set(recipe.id, recipe);
+    });
+  }
+
+  /**
+   * Load a registry from a .json, .yaml or .yml file
+   * @param {string} [filePath] - Defaults to RECIPES_FILE or config/recipes.json
+   * @returns {RecipeRegistry}
+   */
+  static fromFile(filePath = process.env.RECIPES_FILE || DEFAULT_RECIPES_FILE) {
+    const extension = path.extname(filePath).toLowerCase();
+    const content = fs.readFileSync(filePath, 'utf8');
+
+    try {
+      return RecipeRegistry.parse(content, extension === '.json' ? 'json' : extension.slice(1));
+    } catch (error) {
+      throw new Error(`Failed to load recipes from ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Parse registry file content
+   * @param {string} content - File content
+   * @param {string} format - 'json', 'yaml' or 'yml'
+   * @returns {RecipeRegistry}
+   */
+  static parse(content, format = 'json') {
+    let data;
+    switch (format) {
+    case 'json':
+      data = JSON.parse(content);
+      break;
+    case 'yaml':
+    case 'yml':
+      data = yaml.safeLoad(content);
+      break;
+    default:
+      throw new Error(`Unsupported recipe file format '${format}' (expected json, yaml or yml)`);
+    }
+
+    return new RecipeRegistry(Array.isArray(data) ? data : (data && data.recipes));
+  }
+
+  get size() {
+    return this.recipes.size;
+  }
+
+  getAll() {
+    return Array.from(this.recipes.values());
+  }
+
+  get(recipeId) {
+    return this.recipes.get(recipeId) || null;
+  }
+
+  getSkills() {
+    return [...new Set(this.getAll().map(recipe => recipe.skill).filter(Boolean))].sort();
+  }
+
+  /**
+   * Every item id used as an input or output
+   */
+  getItemIds() {
+    const ids = new Set();
+    for (const recipe of this.recipes.values()) {
+      [...recipe.inputs, ...recipe.outputs].forEach(component => ids.add(component.itemId));
+    }
+    return Array.from(ids);
+  }
+
+  // Private methods
+
+  static normalize(definition, index) {
+    const label = definition && typeof definition.id === 'string' ? `'${definition.id}'` : `#${index + 1}`;
+    const fail = (message) => {
+      throw new Error(`Invalid recipe ${label}: ${message}`);
+    };
+
+    if (!definition || typeof definition !== 'object') {
+      fail('must be an object');
+    }
+    if (typeof definition.id !== 'string' || !RECIPE_ID_PATTERN.test(definition.id)) {
+      fail('id must be a lowercase slug');
+    }
+    if (typeof definition.name !== 'string' || definition.name.trim().length === 0) {
+      fail('name is required');
+    }
+
+    const coinCost = definition.coinCost === undefined ? 0 : definition.coinCost;
+    if (!Number.isFinite(coinCost) || coinCost < 0) {
+      fail('coinCost must be a non-negative number');
+    }
+
+    const actionsPerHour = definition.actionsPerHour === undefined ? null : definition.actionsPerHour;
+    if (actionsPerHour !== null && !(Number.isFinite(actionsPerHour) && actionsPerHour > 0)) {
+      fail('actionsPerHour must be a positive number');
+    }
+
+    return {
+      id: definition.id,
+      name: definition.name.trim(),
+      skill: typeof definition.skill === 'string' ? definition.skill.trim().toLowerCase() : null,
+      inputs: RecipeRegistry.normalizeComponents(definition.inputs, 'inputs', fail),
+      outputs: RecipeRegistry.normalizeComponents(definition.outputs, 'outputs', fail),
+      coinCost,
+      actionsPerHour
+    };
+  }
+
+  static normalizeComponents(components, field, fail) {
+    if (!Array.isArray(components) || components.length === 0) {
+      fail(`${field} must be a non-empty list`);
+    }
+
+    return components.map((component, index) => {
+      const { itemId, quantity = 1, name } = component || {};
+      if (!Number.isInteger(itemId) || itemId <= 0) {
+        fail(`${field}[${index}].itemId must be a positive integer`);
+      }
+      if (!Number.isFinite(quantity) || quantity <= 0) {
+        fail(`${field}[${index}].quantity must be a positive number`);
+      }
+      return { itemId, quantity, name: typeof name === 'string' ? name : null };
+    });
+  }
+}
+
+module.exports = {
+  RecipeRegistry,
+  DEFAULT_RECIPES_FILE
+};
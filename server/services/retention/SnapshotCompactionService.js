@@ -0,0 +1,288 @@
+/**
+ * 🗜️ Snapshot Compaction Service - Context7 Optimized
+ *
+ * Context7 Pattern: Tiered Retention for MarketPriceSnapshotModel
+ * - 5m snapshots past AppConstants.RETENTION.FIVE_MINUTE_DAYS are rolled into 1h buckets,
+ *   1h snapshots past HOURLY_DAYS into daily (24h) buckets; daily buckets are kept, and are
+ *   read by 24h backtests and by daily/weekly candles past the hourly retention
+ * - Roll-ups are volume-weighted averages of the finer buckets with summed volume
+ * - Roll-ups never replace an existing coarser bucket (synced or backfilled Wiki data wins)
+ * - Works one UTC day at a time: roll up, delete the source rows, then record the day in the tier
+ *   checkpoint, so an interrupted run repeats at most one day and repeating it changes nothing
+ *
+ * SOLID: Single responsibility for snapshot retention
+ */
+
+const { BaseService } = require('../BaseService');
+const { MarketPriceSnapshotModel } = require('../../models/MarketPriceSnapshotModel');
+const { CompactionCheckpointModel } = require('../../models/CompactionCheckpointModel');
+const { AppConstants } = require('../../config/AppConstants');
+const TimeConstants = require('../../utils/TimeConstants');
+
+const TIERS = [
+  { sourceInterval: '5m', targetInterval: '1h', step: TimeConstants.ONE_HOUR, retentionKey: 'FIVE_MINUTE_DAYS' },
+  { sourceInterval: '1h', targetInterval: '24h', step: TimeConstants.ONE_DAY, retentionKey: 'HOURLY_DAYS' }
+];
+
+let snapshotCompactionService = null;
+
+class SnapshotCompactionService extends BaseService {
+  constructor(dependencies = {}) {
+    super('SnapshotCompactionService', {
+      enableCache: false,
+      enableMongoDB: false // Uses Mongoose models directly
+    });
+
+    this.snapshotModel = dependencies.snapshotModel || MarketPriceSnapshotModel;
+    this.checkpointModel = dependencies.checkpointModel || CompactionCheckpointModel;
+    this.retention = { ...AppConstants.RETENTION, ...dependencies.retention };
+    this.now = dependencies.now || (() => Date.now());
+
+    this.intervalId = null;
+    this.currentRun = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Context7 Pattern: Compact now and then every COMPACTION_INTERVAL
+   */
+  start() {
+    if (this.intervalId) {
+      this.logger.warn('Snapshot compactor is already running');
+      return;
+    }
+
+    this.runCompaction().catch(() => {});
+    this.intervalId = setInterval(() => {
+      this.runCompaction().catch(() => {});
+    }, this.retention.COMPACTION_INTERVAL);
+
+    this.logger.info('🗜️ Snapshot compactor started', {
+      fiveMinuteDays: this.retention.FIVE_MINUTE_DAYS,
+      hourlyDays: this.retention.HOURLY_DAYS,
+      intervalMs: this.retention.COMPACTION_INTERVAL
+    });
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      this.logger.info('🛑 Snapshot compactor stopped');
+    }
+  }
+
+  /**
+   * Context7 Pattern: Compact every tier up to its retention cutoff (at most MAX_DAYS_PER_RUN days each)
+   * Concurrent calls share the run in progress.
+   * @returns {Promise<Object>} { startedAt, finishedAt, tiers }
+   */
+  async runCompaction() {
+    if (!this.currentRun) {
+      this.currentRun = this.execute(async() => {
+        const startedAt = new Date(this.now());
+        const tiers = [];
+        // Finest tier first, so hourly roll-ups exist before the daily tier reads them
+        for (const tier of TIERS) {
+          tiers.push(await this.compactTier(tier));
+        }
+        this.lastRun = { startedAt, finishedAt: new Date(this.now()), tiers, error: null };
+        return this.lastRun;
+      }, 'runCompaction', { logSuccess: true })
+        .catch((error) => {
+          this.lastRun = { startedAt: null, finishedAt: new Date(this.now()), tiers: [], error: error.message };
+          throw error;
+        })
+        .finally(() => {
+          this.currentRun = null;
+        });
+    }
+    return this.currentRun;
+  }
+
+  /**
+   * Context7 Pattern: Retention settings, checkpoints and the last run
+   */
+  async getStatus() {
+    return this.execute(async() => {
+      const checkpoints = await this.checkpointModel.find({}).lean();
+      const byTier = new Map(checkpoints.map(checkpoint => [checkpoint.tier, checkpoint]));
+
+      return {
+        active: this.intervalId !== null,
+        compacting: this.currentRun !== null,
+        intervalMs: this.retention.COMPACTION_INTERVAL,
+        tiers: TIERS.map(tier => {
+          const checkpoint = byTier.get(this.getTierName(tier)) || {};
+          return {
+            tier: this.getTierName(tier),
+            sourceInterval: tier.sourceInterval,
+            targetInterval: tier.targetInterval,
+            retentionDays: this.retention[tier.retentionKey],
+            cutoff: this.getCutoff(tier),
+            compactedThrough: checkpoint.compactedThrough ?? null,
+            totals: checkpoint.totals || { days: 0, bucketsWritten: 0, snapshotsDeleted: 0 },
+            lastRunAt: checkpoint.lastRunAt || null,
+            lastError: checkpoint.lastError || null
+          };
+        }),
+        lastRun: this.lastRun
+      };
+    }, 'getStatus');
+  }
+
+  // Private methods
+
+  getTierName(tier) {
+    return `${tier.sourceInterval}->${tier.targetInterval}`;
+  }
+
+  /**
+   * Start of the UTC day before which source snapshots are past retention
+   */
+  getCutoff(tier) {
+    const limit = this.now() - this.retention[tier.retentionKey] * TimeConstants.ONE_DAY;
+    return Math.floor(limit / TimeConstants.ONE_DAY) * TimeConstants.ONE_DAY;
+  }
+
+  async compactTier(tier) {
+    const name = this.getTierName(tier);
+    const cutoff = this.getCutoff(tier);
+    const summary = { tier: name, cutoff, days: 0, bucketsWritten: 0, snapshotsDeleted: 0, compactedThrough: null };
+
+    try {
+      const [checkpoint, oldest] = await Promise.all([
+        this.checkpointModel.findOne({ tier: name }).lean(),
+        this.snapshotModel
+          .findOne({ interval: tier.sourceInterval, timestamp: { $lt: cutoff } })
+          .sort({ timestamp: 1 })
+          .select('timestamp')
+          .lean()
+      ]);
+      summary.compactedThrough = checkpoint?.compactedThrough ?? null;
+
+      if (oldest) {
+        // Compacted days have no source rows left, so the oldest row is where work resumes; late rows
+        // behind the checkpoint (e.g. backfills) are compacted without moving the checkpoint back
+        let dayStart = Math.floor(oldest.timestamp / TimeConstants.ONE_DAY) * TimeConstants.ONE_DAY;
+
+        while (dayStart < cutoff && summary.days < this.retention.MAX_DAYS_PER_RUN) {
+          const dayEnd = dayStart + TimeConstants.ONE_DAY;
+          const result = await this.compactDay(tier, dayStart, dayEnd);
+          await this.checkpointModel.updateOne(
+            { tier: name },
+            {
+              $set: {
+                sourceInterval: tier.sourceInterval,
+                targetInterval: tier.targetInterval,
+                compactedThrough: Math.max(dayEnd, checkpoint?.compactedThrough ?? dayEnd),
+                lastRunAt: new Date(this.now()),
+                lastError: null
+              },
+              $inc: {
+                'totals.days': 1,
+                'totals.bucketsWritten': result.bucketsWritten,
+                'totals.snapshotsDeleted': result.snapshotsDeleted
+              }
+            },
+            { upsert: true }
+          );
+
+          summary.days++;
+          summary.bucketsWritten += result.bucketsWritten;
+          summary.snapshotsDeleted += result.snapshotsDeleted;
+          summary.compactedThrough = Math.max(dayEnd, summary.compactedThrough ?? dayEnd);
+          dayStart = dayEnd;
+        }
+      }
+
+      if (summary.days > 0) {
+        this.logger.info('Snapshot tier compacted', summary);
+      }
+      return summary;
+    } catch (error) {
+      await this.checkpointModel.updateOne(
+        { tier: name },
+        { $set: { sourceInterval: tier.sourceInterval, targetInterval: tier.targetInterval, lastError: error.message } },
+        { upsert: true }
+      ).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Roll one day of source snapshots into target buckets, then delete the source rows
+   */
+  async compactDay(tier, dayStart, dayEnd) {
+    const source = { interval: tier.sourceInterval, timestamp: { $gte: dayStart, $lt: dayEnd } };
+    const groups = await this.snapshotModel.aggregate([
+      { $match: source },
+      {
+        $group: {
+          _id: {
+            itemId: '$itemId',
+            bucket: { $subtract: ['$timestamp', { $mod: ['$timestamp', tier.step] }] }
+          },
+          points: { $sum: 1 },
+          sumHigh: { $sum: '$highPrice' },
+          sumLow: { $sum: '$lowPrice' },
+          weightedHigh: { $sum: { $multiply: ['$highPrice', '$volume'] } },
+          weightedLow: { $sum: { $multiply: ['$lowPrice', '$volume'] } },
+          volume: { $sum: '$volume' }
+        }
+      }
+    ]);
+
+    let bucketsWritten = 0;
+    if (groups.length > 0) {
+      const result = await this.snapshotModel.bulkWrite(groups.map(group => {
+        const bucket = this.toBucket(tier, group);
+        return {
+          updateOne: {
+            filter: { itemId: bucket.itemId, interval: bucket.interval, timestamp: bucket.timestamp },
+            update: { $setOnInsert: bucket },
+            upsert: true
+          }
+        };
+      }), { ordered: false });
+      bucketsWritten = result.upsertedCount || 0;
+    }
+
+    const deleted = await this.snapshotModel.deleteMany(source);
+    return { bucketsWritten, snapshotsDeleted: deleted.deletedCount || 0 };
+  }
+
+  /**
+   * Aggregated group -> target snapshot
+   * Both sides use the same weights, so the rolled-up high stays >= the rolled-up low.
+   */
+  toBucket(tier, group) {
+    const weighted = group.volume > 0;
+    return {
+      itemId: group._id.itemId,
+      interval: tier.targetInterval,
+      timestamp: group._id.bucket,
+      highPrice: Math.round(weighted ? group.weightedHigh / group.volume : group.sumHigh / group.points),
+      lowPrice: Math.round(weighted ? group.weightedLow / group.volume : group.sumLow / group.points),
+      volume: group.volume,
+      source: 'calculated'
+    };
+  }
+}
+
+/**
+ * Get singleton snapshot compaction service instance
+ * Shared by the server (start/stop) and the monitoring status endpoint
+ */
+function getSnapshotCompactionService() {
+  if (!snapshotCompactionService) {
+    snapshotCompactionService = new SnapshotCompactionService();
+  }
+  return snapshotCompactionService;
+}
+
+module.exports = {
+  SnapshotCompactionService,
+  getSnapshotCompactionService,
+  TIERS
+};
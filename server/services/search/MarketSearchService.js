@@ -0,0 +1,278 @@
+/**
+ * 🔍 Market Search Service - Context7 Optimized
+ *
+ * Context7 Pattern: Service Layer for Advanced Market Search
+ * - Filters the newest stored snapshot per item on price, volume and margin
+ * - Joins item mappings for name/examine text, members and tradeable filters
+ * - Criteria normalization shared by /search/advanced and saved searches
+ *
+ * Price filters use the snapshot high (instant-buy) price; margin filters use marginPercent.
+ * The optional `filter` expression (ItemQueryParser syntax) applies to the joined item; parts that
+ * cannot be expressed in Mongo (e.g. category) are checked in memory before the limit is applied.
+ * totalCount always counts every match; scheduled saved searches ask for all matches so their
+ * diffs are not affected by rank changes around the limit.
+ */
+
+const { BaseService } = require('../BaseService');
+const { MarketPriceSnapshotModel } = require('../../models/MarketPriceSnapshotModel');
+const { ErrorHandler } = require('../../middleware/ErrorHandler');
+const { Item } = require('../../domain/entities/Item');
+const { parseItemQuery } = require('../../domain/specifications/ItemQueryParser');
+const { getItemCategoryService } = require('../categories/ItemCategoryService');
+const TimeConstants = require('../../utils/TimeConstants');
+
+// API sort keys mapped to pipeline fields
+const SORT_FIELDS = {
+  name: 'name',
+  price: 'highPrice',
+  volume: 'volume',
+  margin: 'marginPercent',
+  updated: 'timestamp'
+};
+
+// Numeric criteria and the snapshot field each range applies to
+const RANGE_FILTERS = {
+  Price: 'highPrice',
+  Volume: 'volume',
+  Margin: 'marginPercent'
+};
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+class MarketSearchService extends BaseService {
+  constructor(dependencies = {}) {
+    super('MarketSearchService', {
+      enableCache: false,
+      enableMongoDB: false // Uses Mongoose models directly
+    });
+
+    this.snapshotModel = dependencies.snapshotModel || MarketPriceSnapshotModel;
+    this.categoryService = dependencies.categoryService || null;
+    this.now = dependencies.now || (() => Date.now());
+    this.options = {
+      interval: dependencies.interval || '1h',
+      maxSnapshotAge: dependencies.maxSnapshotAge || TimeConstants.ONE_DAY
+    };
+  }
+
+  /**
+   * Context7 Pattern: Run an advanced search
+   * @param {Object} input - Raw criteria (query strings or saved criteria)
+   * @param {Object} [options]
+   * @param {boolean} [options.allMatches=false] - Return every matching item instead of the top `limit` rows
+   * @returns {Promise<Object>} { results, totalCount, criteria, interval, executionTime }
+   */
+  async search(input = {}, { allMatches = false } = {}) {
+    // Normalized outside execute() so validation errors keep their 400 status
+    const criteria = this.normalizeCriteria(input);
+    const specification = criteria.filter ? await this.parseFilter(criteria.filter) : null;
+    const limit = allMatches ? null : criteria.limit;
+
+    return this.execute(async() => {
+      const startTime = Date.now();
+      const rows = await this.snapshotModel.aggregate(this.buildPipeline(criteria, specification, { limit }));
+
+      let results;
+      let totalCount;
+      if (specification && !specification.toMongoQuery('item.')) {
+        const matches = rows.filter(result => this.matchesItem(specification, result.item));
+        totalCount = matches.length;
+        results = (limit === null ? matches : matches.slice(0, limit)).map(result => {
+          delete result.item;
+          return result;
+        });
+      } else if (limit === null) {
+        results = rows;
+        totalCount = rows.length;
+      } else {
+        const [page = { results: [], total: [] }] = rows;
+        results = page.results;
+        totalCount = page.total.length > 0 ? page.total[0].count : 0;
+      }
+
+      return {
+        results,
+        totalCount,
+        criteria,
+        interval: this.options.interval,
+        executionTime: Date.now() - startTime
+      };
+    }, 'search');
+  }
+
+  /**
+   * Context7 Pattern: Normalize criteria into the shape stored by SavedSearchModel
+   * Accepts numbers/booleans or their query-string forms; unknown keys are dropped
+   * @throws {Error} Validation error for non-numeric ranges or inverted min/max
+   */
+  normalizeCriteria(input = {}) {
+    const criteria = {
+      name: this.toText(input.name),
+      description: this.toText(input.description),
+      filter: this.toText(input.filter),
+      members: this.toBoolean(input.members),
+      tradeable: this.toBoolean(input.tradeable),
+      sortBy: SORT_FIELDS[input.sortBy] ? input.sortBy : 'margin',
+      sortOrder: input.sortOrder === 'asc' ? 'asc' : 'desc',
+      limit: Math.min(Math.max(parseInt(input.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT)
+    };
+
+    for (const suffix of Object.keys(RANGE_FILTERS)) {
+      const min = this.toNumber(input[`min${suffix}`], `min${suffix}`);
+      const max = this.toNumber(input[`max${suffix}`], `max${suffix}`);
+      if (min !== null && max !== null && min > max) {
+        throw ErrorHandler.createValidationError(`min${suffix} must not be greater than max${suffix}`);
+      }
+      criteria[`min${suffix}`] = min;
+      criteria[`max${suffix}`] = max;
+    }
+
+    if (criteria.filter) {
+      this.toSpecification(criteria.filter);
+    }
+
+    return criteria;
+  }
+
+  /**
+   * Newest snapshot per item -> range filters -> item join -> text/flag filters -> sort/limit
+   * With a limit the pipeline ends in a $facet of { results, total } so the count covers every match.
+   * @param {Object} criteria - Normalized criteria
+   * @param {Specification} [specification] - Parsed filter expression
+   * @param {Object} [options]
+   * @param {number|null} [options.limit=criteria.limit] - Row limit, or null for every match
+   */
+  buildPipeline(criteria, specification = null, { limit = criteria.limit } = {}) {
+    const snapshotFilters = {};
+    for (const [suffix, field] of Object.entries(RANGE_FILTERS)) {
+      const range = {};
+      if (criteria[`min${suffix}`] !== null) {
+        range.$gte = criteria[`min${suffix}`];
+      }
+      if (criteria[`max${suffix}`] !== null) {
+        range.$lte = criteria[`max${suffix}`];
+      }
+      if (Object.keys(range).length > 0) {
+        snapshotFilters[field] = range;
+      }
+    }
+
+    const itemFilters = {};
+    if (criteria.name) {
+      itemFilters['item.name'] = { $regex: this.escapeRegex(criteria.name), $options: 'i' };
+    }
+    if (criteria.description) {
+      itemFilters['item.examine'] = { $regex: this.escapeRegex(criteria.description), $options: 'i' };
+    }
+    if (criteria.members !== null) {
+      itemFilters['item.members'] = criteria.members;
+    }
+    if (criteria.tradeable !== null) {
+      itemFilters['item.tradeable_on_ge'] = criteria.tradeable;
+    }
+
+    // Exact filters run in Mongo; otherwise the prefilter narrows candidates for the in-memory check
+    const filterQuery = specification ? specification.toMongoQuery('item.') : null;
+    const filterInMemory = Boolean(specification) && !filterQuery;
+    if (specification) {
+      itemFilters['item.itemId'] = { $exists: true };
+      itemFilters.$and = [filterQuery || specification.toMongoPrefilter('item.')];
+    }
+
+    const sortField = SORT_FIELDS[criteria.sortBy];
+    const direction = criteria.sortOrder === 'asc' ? 1 : -1;
+
+    return [
+      {
+        $match: {
+          interval: this.options.interval,
+          timestamp: { $gte: this.now() - this.options.maxSnapshotAge }
+        }
+      },
+      { $sort: { timestamp: -1 } },
+      { $group: { _id: '$itemId', snapshot: { $first: '$$ROOT' } } },
+      { $replaceRoot: { newRoot: '$snapshot' } },
+      { $match: snapshotFilters },
+      { $lookup: { from: 'items', localField: 'itemId', foreignField: 'itemId', as: 'item' } },
+      { $unwind: { path: '$item', preserveNullAndEmptyArrays: true } },
+      { $match: itemFilters },
+      {
+        $project: {
+          _id: 0,
+          itemId: 1,
+          name: { $ifNull: ['$item.name', null] },
+          members: { $ifNull: ['$item.members', null] },
+          tradeable: { $ifNull: ['$item.tradeable_on_ge', null] },
+          highPrice: 1,
+          lowPrice: 1,
+          volume: 1,
+          marginGp: 1,
+          marginPercent: 1,
+          timestamp: 1,
+          ...(filterInMemory ? { item: 1 } : {})
+        }
+      },
+      // itemId keeps the order stable between runs, which saved-search diffs rely on
+      { $sort: { [sortField]: direction, itemId: 1 } },
+      ...(filterInMemory || limit === null
+        ? []
+        : [{ $facet: { results: [{ $limit: limit }], total: [{ $count: 'count' }] } }])
+    ];
+  }
+
+  // Private methods
+
+  async parseFilter(filter) {
+    const categoryService = this.categoryService || getItemCategoryService();
+    const classifier = await categoryService.getClassifier();
+    return this.toSpecification(filter, classifier.getCategories().map(category => category.slug));
+  }
+
+  toSpecification(filter, categories = null) {
+    try {
+      return parseItemQuery(filter, { categories });
+    } catch (error) {
+      throw ErrorHandler.createValidationError(`Invalid filter: ${error.message}`, { filter });
+    }
+  }
+
+  matchesItem(specification, itemDoc) {
+    try {
+      return specification.isSatisfiedBy(Item.fromPersistenceData(itemDoc));
+    } catch {
+      return false; // Item documents that are not valid entities cannot match
+    }
+  }
+
+  toNumber(value, field) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      throw ErrorHandler.createValidationError(`${field} must be a number`);
+    }
+    return number;
+  }
+
+  toBoolean(value) {
+    if (value === true || value === 'true') {
+      return true;
+    }
+    if (value === false || value === 'false') {
+      return false;
+    }
+    return null;
+  }
+
+  toText(value) {
+    return typeof value === 'string' && value.trim() ? value.trim() : null;
+  }
+
+  escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+module.exports = { MarketSearchService, SORT_FIELDS };
@@ -0,0 +1,264 @@
+/**
+ * 🔖 Saved Search Service - Context7 Optimized
+ *
+ * Context7 Pattern: Service Layer for Persistent Market Searches
+ * - CRUD on SavedSearchModel with private/public visibility
+ * - Manual runs through MarketSearchService
+ * - Scheduled re-runs after each market sync, diffing the result set and
+ *   notifying the owner which items entered or left it
+ *
+ * SOLID: Single responsibility for saved searches (search execution is delegated)
+ */
+
+const mongoose = require('mongoose');
+const { BaseService } = require('../BaseService');
+const { SavedSearchModel, EMAIL_PATTERN, WEBHOOK_PATTERN } = require('../../models/SavedSearchModel');
+const { MarketSearchService } = require('./MarketSearchService');
+const { getNotificationService } = require('../../utils/NotificationService');
+const { ErrorHandler } = require('../../middleware/ErrorHandler');
+
+class SavedSearchService extends BaseService {
+  constructor(dependencies = {}) {
+    super('SavedSearchService', {
+      enableCache: false,
+      enableMongoDB: false // Uses Mongoose models directly
+    });
+
+    this.savedSearchModel = dependencies.savedSearchModel || SavedSearchModel;
+    this.marketSearchService = dependencies.marketSearchService || new MarketSearchService();
+    this.notificationService = dependencies.notificationService || getNotificationService();
+    this.now = dependencies.now || (() => Date.now());
+  }
+
+  /**
+   * Context7 Pattern: Create a saved search
+   * Criteria are normalized before saving so scheduled runs never see invalid filters
+   */
+  async createSavedSearch({ name, criteria, userId = 'anonymous', isPublic = false, schedule = {} }) {
+    const normalized = this.marketSearchService.normalizeCriteria(criteria);
+    this.validateScheduleTargets(schedule);
+
+    return this.execute(async() => {
+      const savedSearch = await this.savedSearchModel.create({
+        name,
+        userId,
+        visibility: isPublic ? 'public' : 'private',
+        criteria: normalized,
+        schedule: {
+          enabled: Boolean(schedule.enabled),
+          email: schedule.email || null,
+          webhook: schedule.webhook || null
+        }
+      });
+
+      this.logger.info('Saved search created', {
+        searchId: savedSearch.id,
+        userId,
+        scheduled: savedSearch.schedule.enabled
+      });
+      return savedSearch;
+    }, 'createSavedSearch');
+  }
+
+  /**
+   * Context7 Pattern: The user's own searches plus, optionally, other users' public ones
+   */
+  async getSavedSearches({ userId = 'anonymous', includePublic = false, limit = 20 } = {}) {
+    return this.execute(async() => {
+      const userSearches = await this.savedSearchModel
+        .find({ userId })
+        .sort({ createdAt: -1 })
+        .limit(limit);
+      const publicSearches = includePublic ?
+        await this.savedSearchModel.findPublic(userId, limit) :
+        undefined;
+
+      return {
+        userSearches,
+        publicSearches,
+        totalCount: userSearches.length + (publicSearches ? publicSearches.length : 0),
+        userId,
+        retrievedAt: this.now()
+      };
+    }, 'getSavedSearches');
+  }
+
+  /**
+   * Context7 Pattern: Delete a saved search; only its owner may delete it
+   */
+  async deleteSavedSearch(searchId, userId = 'anonymous') {
+    return this.execute(async() => {
+      if (!mongoose.isValidObjectId(searchId)) {
+        return { deleted: false, searchId, userId };
+      }
+
+      const result = await this.savedSearchModel.deleteOne({ _id: searchId, userId });
+      return {
+        deleted: result.deletedCount > 0,
+        searchId,
+        userId,
+        deletedAt: this.now()
+      };
+    }, 'deleteSavedSearch');
+  }
+
+  /**
+   * Context7 Pattern: Run a visible saved search now
+   * Manual runs count towards usage but leave the scheduled result set untouched
+   * @returns {Promise<Object|null>} Search results or null if not found
+   */
+  async runSavedSearch(searchId, userId = 'anonymous') {
+    return this.execute(async() => {
+      const savedSearch = await this.findVisible(searchId, userId);
+      if (!savedSearch) {
+        return null;
+      }
+
+      const result = await this.marketSearchService.search(savedSearch.criteria);
+      savedSearch.usageCount = (savedSearch.usageCount || 0) + 1;
+      await savedSearch.save();
+
+      return {
+        searchId: savedSearch.id,
+        name: savedSearch.name,
+        ...result
+      };
+    }, 'runSavedSearch');
+  }
+
+  /**
+   * Context7 Pattern: Enable, disable or retarget the schedule of the user's own search
+   * @returns {Promise<Object|null>} Updated search or null if not found
+   */
+  async updateSchedule(searchId, userId = 'anonymous', schedule = {}) {
+    this.validateScheduleTargets(schedule);
+
+    return this.execute(async() => {
+      if (!mongoose.isValidObjectId(searchId)) {
+        return null;
+      }
+
+      const savedSearch = await this.savedSearchModel.findOne({ _id: searchId, userId });
+      if (!savedSearch) {
+        return null;
+      }
+
+      for (const field of ['enabled', 'email', 'webhook']) {
+        if (schedule[field] !== undefined) {
+          savedSearch.schedule[field] = schedule[field];
+        }
+      }
+      // A re-enabled schedule starts a fresh baseline instead of diffing against stale results
+      if (schedule.enabled === true) {
+        savedSearch.lastRunAt = null;
+        savedSearch.lastResultItemIds = [];
+      }
+
+      return savedSearch.save();
+    }, 'updateSchedule');
+  }
+
+  /**
+   * Context7 Pattern: Result-set changes recorded by scheduled runs, newest first
+   * @returns {Promise<Object|null>} Change log or null if not found
+   */
+  async getChanges(searchId, userId = 'anonymous', limit = 20) {
+    return this.execute(async() => {
+      const savedSearch = await this.findVisible(searchId, userId);
+      if (!savedSearch) {
+        return null;
+      }
+
+      return {
+        searchId: savedSearch.id,
+        name: savedSearch.name,
+        scheduled: savedSearch.schedule.enabled,
+        lastRunAt: savedSearch.lastRunAt,
+        currentItemIds: savedSearch.lastResultItemIds,
+        changes: [...savedSearch.changes].reverse().slice(0, limit)
+      };
+    }, 'getChanges');
+  }
+
+  /**
+   * Context7 Pattern: Re-run every scheduled search; called by MarketDataScheduler after each sync
+   * The first run only records a baseline. A failing search never stops the others.
+   * Runs diff every matching item, since a top-`limit` slice would report rank changes as entered/left.
+   * @returns {Promise<Object>} { evaluated, changed, failed }
+   */
+  async runScheduledSearches() {
+    return this.execute(async() => {
+      const searches = await this.savedSearchModel.findScheduled();
+      const summary = { evaluated: 0, changed: 0, failed: 0 };
+
+      for (const savedSearch of searches) {
+        try {
+          const { results } = await this.marketSearchService.search(savedSearch.criteria, { allMatches: true });
+          const change = savedSearch.recordResult(results.map(result => result.itemId), new Date(this.now()));
+          await savedSearch.save();
+
+          summary.evaluated++;
+          if (change) {
+            summary.changed++;
+            await this.notifyChange(savedSearch, change, results);
+          }
+        } catch (error) {
+          summary.failed++;
+          this.logger.warn('Scheduled saved search failed', {
+            searchId: savedSearch.id,
+            error: error.message
+          });
+        }
+      }
+
+      return summary;
+    }, 'runScheduledSearches', { logSuccess: true });
+  }
+
+  // Private methods
+
+  /**
+   * Email and webhook go into SMTP commands and HTTP requests, so only well-formed values
+   * are stored; empty values clear the target
+   */
+  validateScheduleTargets(schedule) {
+    if (schedule.email && !EMAIL_PATTERN.test(schedule.email)) {
+      throw ErrorHandler.createValidationError('schedule.email must be an email address', { email: schedule.email });
+    }
+    if (schedule.webhook && !WEBHOOK_PATTERN.test(schedule.webhook)) {
+      throw ErrorHandler.createValidationError('schedule.webhook must be an http(s) URL', { webhook: schedule.webhook });
+    }
+  }
+
+  async findVisible(searchId, userId) {
+    if (!mongoose.isValidObjectId(searchId)) {
+      return null;
+    }
+    return this.savedSearchModel.findVisible(searchId, userId);
+  }
+
+  async notifyChange(savedSearch, change, results) {
+    const names = new Map(results.map(result => [result.itemId, result.name || `Item ${result.itemId}`]));
+    const entered = change.entered.map(itemId => names.get(itemId));
+
+    const message = `Saved search "${savedSearch.name}": ${change.entered.length} item(s) entered, ` +
+      `${change.left.length} item(s) left`;
+
+    return this.notificationService.sendSystemAlert(message, {
+      searchId: savedSearch.id,
+      userId: savedSearch.userId,
+      entered: change.entered,
+      enteredNames: entered,
+      left: change.left,
+      resultCount: change.resultCount
+    }, {
+      priority: 'low',
+      recipients: {
+        webhooks: savedSearch.schedule.webhook,
+        emails: savedSearch.schedule.email
+      }
+    });
+  }
+}
+
+module.exports = { SavedSearchService };
@@ -0,0 +1,308 @@
+/**
+ * 🧩 Set Arbitrage Service - Context7 Optimized
+ *
+ * Context7 Pattern: Service Layer for Set/Pack Arbitrage Detection
+ * - Loads set-to-component relationships from Mongo (seeding the defaults on first use)
+ * - Prices both exchange directions with live Wiki prices:
+ *   combine: buy the components, exchange, sell the set (taxed once on the set)
+ *   split: buy the set, exchange, sell the components (taxed per component)
+ * - Caps volume by the 4-hour buy limits of whatever is bought and grades risk by price staleness
+ *
+ * SOLID: Single responsibility for set arbitrage (definitions are plain documents in ItemSetModel)
+ */
+
+const { BaseService } = require('../BaseService');
+const { OSRSWikiService } = require('../OSRSWikiService');
+const { ItemSetModel } = require('../../models/ItemSetModel');
+const { DEFAULT_ITEM_SETS } = require('../../config/ItemSetDefinitions');
+const { ErrorHandler } = require('../../middleware/ErrorHandler');
+const { calculateGETax } = require('../../utils/marketConstants');
+const TimeConstants = require('../../utils/TimeConstants');
+
+const SORT_FIELDS = ['profit', 'potentialProfit', 'returnPercent'];
+const PRICING_MODES = ['instant', 'offer'];
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+// Spreads built on old trades may already be gone
+const RISK_THRESHOLDS = {
+  LOW: TimeConstants.FIFTEEN_MINUTES,
+  MEDIUM: TimeConstants.ONE_HOUR
+};
+
+class SetArbitrageService extends BaseService {
+  constructor(dependencies = {}) {
+    super('SetArbitrageService', {
+      enableCache: false, // Prices and mapping are cached by OSRSWikiService
+      enableMongoDB: false // Uses Mongoose models directly
+    });
+
+    this.setModel = dependencies.setModel || ItemSetModel;
+    this.osrsWikiService = dependencies.osrsWikiService || new OSRSWikiService();
+    this.now = dependencies.now || (() => Date.now());
+  }
+
+  /**
+   * Context7 Pattern: Profitable set/pack exchanges at live prices
+   * @param {Object} options - { sortBy, limit, minProfit, pricing, type, direction }
+   * @returns {Promise<Object>} { generatedAt, pricing, sortBy, opportunities, setsChecked, unpriced }
+   */
+  async findOpportunities(options = {}) {
+    const sortBy = SORT_FIELDS.includes(options.sortBy) ? options.sortBy : 'profit';
+    const pricing = PRICING_MODES.includes(options.pricing) ? options.pricing : 'instant';
+    const limit = Math.min(Math.max(parseInt(options.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const minProfit = Number.isFinite(options.minProfit) ? options.minProfit : 1;
+    const direction = ['combine', 'split'].includes(options.direction) ? options.direction : null;
+
+    return this.execute(async() => {
+      const [sets, market] = await Promise.all([
+        this.getSets({ type: options.type }),
+        this.getMarket()
+      ]);
+
+      const opportunities = [];
+      const unpriced = [];
+      for (const set of sets) {
+        const evaluated = this.evaluate(set, market, pricing);
+        if (!evaluated) {
+          unpriced.push({ setItemId: set.setItemId, name: set.name });
+          continue;
+        }
+        opportunities.push(...evaluated.filter(row =>
+          row.profit >= minProfit && (!direction || row.direction === direction)
+        ));
+      }
+
+      opportunities.sort((a, b) =>
+        (b[sortBy] ?? -Infinity) - (a[sortBy] ?? -Infinity) || b.profit - a.profit || a.setItemId - b.setItemId
+      );
+
+      this.logger.debug('Set arbitrage scan completed', {
+        sets: sets.length,
+        opportunities: opportunities.length,
+        unpriced: unpriced.length
+      });
+
+      return {
+        generatedAt: this.now(),
+        pricing,
+        sortBy,
+        opportunities: opportunities.slice(0, limit),
+        totalOpportunities: opportunities.length,
+        setsChecked: sets.length,
+        unpriced
+      };
+    }, 'findOpportunities', { logSuccess: true });
+  }
+
+  /**
+   * Context7 Pattern: Active set definitions, seeding the defaults into an empty collection
+   */
+  async getSets({ type } = {}) {
+    return this.execute(async() => {
+      if (await this.setModel.countDocuments() === 0) {
+        await this.setModel.insertMany(DEFAULT_ITEM_SETS);
+        this.logger.info('Seeded default item set definitions', { sets: DEFAULT_ITEM_SETS.length });
+      }
+
+      const query = { isActive: true };
+      if (type) {
+        query.type = type;
+      }
+      return this.setModel.find(query).sort({ name: 1 }).lean();
+    }, 'getSets');
+  }
+
+  /**
+   * Context7 Pattern: Create or replace one set definition (admin)
+   * @throws {Error} Validation error for sets that contain themselves or repeat a component
+   */
+  async upsertSet(setItemId, { name, type = 'armour_set', reversible = type !== 'pack', components, isActive = true }) {
+    // Checked outside execute() so the validation error keeps its 400 status
+    const invalid = components.find(component => !component || !Number.isInteger(component.itemId) || component.itemId <= 0 ||
+      (component.quantity !== undefined && !(Number.isInteger(component.quantity) && component.quantity > 0)));
+    if (components.length === 0 || invalid !== undefined) {
+      throw ErrorHandler.createValidationError('Components must be a non-empty list of { itemId, quantity } with positive integers');
+    }
+
+    const itemIds = components.map(component => component.itemId);
+    if (itemIds.includes(setItemId)) {
+      throw ErrorHandler.createValidationError('A set cannot be one of its own components');
+    }
+    if (new Set(itemIds).size !== itemIds.length) {
+      throw ErrorHandler.createValidationError('Each component may only be listed once');
+    }
+
+    return this.execute(async() => {
+      const set = await this.setModel.findOneAndUpdate(
+        { setItemId },
+        {
+          setItemId,
+          name,
+          type,
+          reversible,
+          isActive,
+          components: components.map(({ itemId, name: componentName = null, quantity = 1 }) => ({
+            itemId, name: componentName, quantity
+          }))
+        },
+        { upsert: true, new: true, runValidators: true }
+      );
+      this.logger.info('Item set definition saved', { setItemId, components: components.length });
+      return set;
+    }, 'upsertSet');
+  }
+
+  async removeSet(setItemId) {
+    return this.execute(async() => {
+      const result = await this.setModel.deleteOne({ setItemId });
+      return { removed: result.deletedCount > 0, setItemId };
+    }, 'removeSet');
+  }
+
+  // Private methods
+
+  async getMarket() {
+    const [latest, mapping] = await Promise.all([
+      this.osrsWikiService.getLatestPrices(),
+      this.osrsWikiService.getItemMapping()
+    ]);
+
+    return {
+      prices: latest.data || {},
+      items: new Map((mapping || []).map(item => [item.id, item]))
+    };
+  }
+
+  /**
+   * Both exchange directions for one set, or null when any price is missing
+   */
+  evaluate(set, market, pricing) {
+    const buySide = pricing === 'instant' ? 'high' : 'low';
+    const sellSide = pricing === 'instant' ? 'low' : 'high';
+
+    const setQuote = {
+      buy: this.getQuote(market.prices[set.setItemId], buySide),
+      sell: this.getQuote(market.prices[set.setItemId], sellSide)
+    };
+    const componentQuotes = set.components.map(component => ({
+      component,
+      item: market.items.get(component.itemId),
+      buy: this.getQuote(market.prices[component.itemId], buySide),
+      sell: this.getQuote(market.prices[component.itemId], sellSide)
+    }));
+
+    const quotes = [setQuote, ...componentQuotes];
+    if (quotes.some(quote => !quote.buy || !quote.sell)) {
+      return null;
+    }
+
+    const setItem = market.items.get(set.setItemId);
+    const base = {
+      setItemId: set.setItemId,
+      setName: (setItem && setItem.name) || set.name,
+      type: set.type
+    };
+    const components = (side) => componentQuotes.map(({ component, item, ...quote }) => ({
+      itemId: component.itemId,
+      name: (item && item.name) || component.name || `Item ${component.itemId}`,
+      quantity: component.quantity,
+      price: quote[side].price,
+      tax: side === 'sell' ? calculateGETax(quote[side].price) * component.quantity : 0,
+      buyLimit: (item && item.limit) || null
+    }));
+
+    const rows = [];
+
+    // Split: buy the set, sell every component
+    const splitComponents = components('sell');
+    const splitTax = splitComponents.reduce((sum, row) => sum + row.tax, 0);
+    const splitRevenue = splitComponents.reduce((sum, row) => sum + row.price * row.quantity, 0);
+    rows.push(this.buildOpportunity(base, {
+      direction: 'split',
+      buyPrice: setQuote.buy.price,
+      sellPrice: splitRevenue,
+      tax: splitTax,
+      maxPerWindow: (setItem && setItem.limit) || null,
+      quoteTimes: [setQuote.buy.time, ...componentQuotes.map(quote => quote.sell.time)],
+      setPrice: setQuote.buy.price,
+      components: splitComponents
+    }));
+
+    // Combine: buy every component, sell the set
+    if (set.reversible) {
+      const combineComponents = components('buy');
+      const limits = combineComponents
+        .filter(row => row.buyLimit)
+        .map(row => Math.floor(row.buyLimit / row.quantity));
+      rows.push(this.buildOpportunity(base, {
+        direction: 'combine',
+        buyPrice: combineComponents.reduce((sum, row) => sum + row.price * row.quantity, 0),
+        sellPrice: setQuote.sell.price,
+        tax: calculateGETax(setQuote.sell.price),
+        maxPerWindow: limits.length > 0 ? Math.min(...limits) : null,
+        quoteTimes: [setQuote.sell.time, ...componentQuotes.map(quote => quote.buy.time)],
+        setPrice: setQuote.sell.price,
+        components: combineComponents
+      }));
+    }
+
+    return rows;
+  }
+
+  buildOpportunity(base, { direction, buyPrice, sellPrice, tax, maxPerWindow, quoteTimes, setPrice, components }) {
+    const profit = sellPrice - tax - buyPrice;
+    const oldestPriceAge = this.getOldestPriceAge(quoteTimes);
+
+    return {
+      ...base,
+      direction,
+      buyPrice,
+      sellPrice,
+      tax,
+      profit,
+      returnPercent: buyPrice > 0 ? Math.round((profit / buyPrice) * 10000) / 100 : null,
+      maxPerWindow,
+      potentialProfit: maxPerWindow === null ? null : profit * maxPerWindow,
+      oldestPriceAge,
+      riskLevel: this.getRiskLevel(oldestPriceAge),
+      setPrice,
+      components
+    };
+  }
+
+  /**
+   * Price on one side of the book, falling back to the other side when it has never traded
+   * @returns {Object|null} { price, time } with time in Unix seconds
+   */
+  getQuote(prices, side) {
+    if (!prices) {
+      return null;
+    }
+    const other = side === 'high' ? 'low' : 'high';
+    const chosen = prices[side] > 0 ? side : (prices[other] > 0 ? other : null);
+    if (!chosen) {
+      return null;
+    }
+    return { price: prices[chosen], time: prices[`${chosen}Time`] || null };
+  }
+
+  getOldestPriceAge(quoteTimes) {
+    const times = quoteTimes.filter(Boolean);
+    if (times.length < quoteTimes.length) {
+      return null;
+    }
+    return Math.max(0, this.now() - Math.min(...times) * 1000);
+  }
+
+  getRiskLevel(oldestPriceAge) {
+    if (oldestPriceAge === null || oldestPriceAge > RISK_THRESHOLDS.MEDIUM) {
+      return 'HIGH';
+    }
+    return oldestPriceAge > RISK_THRESHOLDS.LOW ? 'MEDIUM' : 'LOW';
+  }
+}
+
+module.exports = {
+  SetArbitrageService
+};
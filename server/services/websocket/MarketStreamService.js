@@ -0,0 +1,346 @@
+/**
+ * 📈 Market Stream Service - SOLID Compliant
+ *
+ * Single Responsibility: Streams item price changes to subscribed WebSocket clients
+ * - Clients subscribe to item ids and/or a user's watchlist
+ * - After each scheduler sync, only items whose newest snapshot changed are sent (price deltas)
+ * - Every message to a client carries a per-client sequence number
+ * - Resync handshake: a client that sees a sequence gap sends its last seen sequence and
+ *   gets the missed messages replayed, or a full snapshot when they are no longer buffered
+ */
+
+const { BaseService } = require('../BaseService');
+const { MarketPriceSnapshotModel } = require('../../models/MarketPriceSnapshotModel');
+const WatchlistModel = require('../../models/WatchlistModel');
+const TimeConstants = require('../../utils/TimeConstants');
+
+const ITEM_PREFIX = 'item:';
+const WATCHLIST_PREFIX = 'watchlist:';
+
+class MarketStreamService extends BaseService {
+  constructor(connectionManager, options = {}, dependencies = {}) {
+    super('MarketStreamService', {
+      enableCache: false,
+      enableMongoDB: false // Uses Mongoose models directly
+    });
+
+    this.connectionManager = connectionManager;
+    this.options = {
+      interval: options.interval || '5m',
+      snapshotLookback: options.snapshotLookback || TimeConstants.TWO_HOURS,
+      replayBufferSize: options.replayBufferSize || 50,
+      maxItemsPerClient: options.maxItemsPerClient || 500,
+      ...options
+    };
+
+    this.snapshotModel = dependencies.snapshotModel || MarketPriceSnapshotModel;
+    this.watchlistModel = dependencies.watchlistModel || WatchlistModel;
+    this.now = dependencies.now || (() => Date.now());
+
+    // clientId -> { seq, itemIds, watchlists, sentItems, history }
+    this.streams = new Map();
+    // itemId -> last price sent to clients
+    this.latestPrices = new Map();
+    this.publishCount = 0;
+  }
+
+  /**
+   * Subscribe a client to item ids and/or watchlists, then send a full snapshot
+   * @param {string} clientId - Connection manager client id
+   * @param {Object} subscription - { itemIds, watchlists }
+   * @returns {Promise<Object|null>} Snapshot message sent, or null for unknown clients
+   */
+  async subscribeClient(clientId, { itemIds = [], watchlists = [] } = {}) {
+    const stream = this.getStream(clientId);
+    if (!stream) {
+      return null;
+    }
+
+    for (const itemId of itemIds.map(Number).filter(Number.isInteger)) {
+      if (stream.itemIds.size >= this.options.maxItemsPerClient) {
+        break;
+      }
+      stream.itemIds.add(itemId);
+      this.connectionManager.addSubscription(clientId, `${ITEM_PREFIX}${itemId}`);
+    }
+    for (const userId of watchlists.map(String)) {
+      stream.watchlists.add(userId);
+      this.connectionManager.addSubscription(clientId, `${WATCHLIST_PREFIX}${userId}`);
+    }
+
+    this.logger.debug('Client subscribed to market stream', {
+      clientId,
+      itemCount: stream.itemIds.size,
+      watchlists: Array.from(stream.watchlists)
+    });
+
+    return this.sendSnapshot(clientId);
+  }
+
+  /**
+   * Remove item ids and/or watchlists; with neither given, remove every market subscription
+   */
+  unsubscribeClient(clientId, { itemIds, watchlists } = {}) {
+    const stream = this.streams.get(clientId);
+    if (!stream) {
+      return false;
+    }
+
+    const clearAll = !itemIds && !watchlists;
+    const removedItems = clearAll ? Array.from(stream.itemIds) : (itemIds || []).map(Number);
+    const removedWatchlists = clearAll ? Array.from(stream.watchlists) : (watchlists || []).map(String);
+
+    removedItems.forEach(itemId => {
+      stream.itemIds.delete(itemId);
+      this.connectionManager.removeSubscription(clientId, `${ITEM_PREFIX}${itemId}`);
+    });
+    removedWatchlists.forEach(userId => {
+      stream.watchlists.delete(userId);
+      this.connectionManager.removeSubscription(clientId, `${WATCHLIST_PREFIX}${userId}`);
+    });
+
+    return true;
+  }
+
+  /**
+   * Resync handshake after a client detected a sequence gap
+   * @param {string} clientId - Connection manager client id
+   * @param {number} lastSeq - Last sequence number the client applied
+   * @returns {Promise<Object>} { mode: 'replay' | 'snapshot', ... }
+   */
+  async resyncClient(clientId, lastSeq) {
+    const stream = this.streams.get(clientId);
+    if (!stream) {
+      return { mode: 'snapshot', message: await this.subscribeClient(clientId) };
+    }
+
+    const missed = stream.history.filter(message => message.seq > lastSeq);
+    const oldestBuffered = stream.history[0]?.seq ?? stream.seq + 1;
+
+    // Replay only when every message after lastSeq is still buffered
+    if (Number.isInteger(lastSeq) && lastSeq >= oldestBuffered - 1 && lastSeq <= stream.seq) {
+      missed.forEach(message => this.deliver(clientId, message));
+      return { mode: 'replay', replayed: missed.length };
+    }
+
+    return { mode: 'snapshot', message: await this.sendSnapshot(clientId) };
+  }
+
+  /**
+   * Context7 Pattern: Push price deltas after a scheduler sync
+   * @returns {Promise<Object>} { changedItems, clientsNotified }
+   */
+  async publishPriceUpdates() {
+    return this.execute(async() => {
+      this.pruneDisconnected();
+
+      const watchlistItems = await this.resolveWatchlists();
+      const targets = new Map();
+      for (const [clientId, stream] of this.streams) {
+        targets.set(clientId, this.getClientItemIds(stream, watchlistItems));
+      }
+
+      const allItemIds = [...new Set([...targets.values()].flatMap(itemIds => [...itemIds]))];
+      if (allItemIds.length === 0) {
+        return { changedItems: 0, clientsNotified: 0 };
+      }
+
+      const prices = await this.fetchLatestPrices(allItemIds);
+      const changes = new Map();
+      for (const price of prices) {
+        const previous = this.latestPrices.get(price.itemId);
+        if (!this.hasChanged(previous, price)) {
+          continue;
+        }
+        changes.set(price.itemId, this.buildDelta(previous, price));
+        this.latestPrices.set(price.itemId, price);
+      }
+
+      let clientsNotified = 0;
+      for (const [clientId, itemIds] of targets) {
+        const stream = this.streams.get(clientId);
+        // Items new to this client (e.g. just added to a watchlist) are sent even when unchanged
+        const items = [...itemIds]
+          .filter(itemId => changes.has(itemId) || (!stream.sentItems.has(itemId) && this.latestPrices.has(itemId)))
+          .map(itemId => changes.get(itemId) || this.latestPrices.get(itemId));
+        items.forEach(item => stream.sentItems.add(item.itemId));
+        if (items.length > 0) {
+          this.send(clientId, 'price_delta', { items });
+          clientsNotified++;
+        }
+      }
+
+      this.publishCount++;
+      return { changedItems: changes.size, clientsNotified };
+    }, 'publishPriceUpdates', { logSuccess: true });
+  }
+
+  /**
+   * Get streaming statistics
+   */
+  getStreamingStats() {
+    return {
+      subscribedClients: this.streams.size,
+      trackedItems: this.latestPrices.size,
+      publishCount: this.publishCount,
+      replayBufferSize: this.options.replayBufferSize
+    };
+  }
+
+  clearStreams() {
+    this.streams.clear();
+    this.latestPrices.clear();
+  }
+
+  // Private methods
+
+  getStream(clientId) {
+    if (!this.connectionManager.getClient(clientId)) {
+      return null;
+    }
+    if (!this.streams.has(clientId)) {
+      this.streams.set(clientId, {
+        seq: 0,
+        itemIds: new Set(),
+        watchlists: new Set(),
+        sentItems: new Set(),
+        history: []
+      });
+    }
+    return this.streams.get(clientId);
+  }
+
+  async sendSnapshot(clientId) {
+    const stream = this.streams.get(clientId);
+    const watchlistItems = await this.resolveWatchlists(stream.watchlists);
+    const itemIds = [...this.getClientItemIds(stream, watchlistItems)];
+
+    const missing = itemIds.filter(itemId => !this.latestPrices.has(itemId));
+    if (missing.length > 0) {
+      const prices = await this.fetchLatestPrices(missing);
+      prices.forEach(price => this.latestPrices.set(price.itemId, price));
+    }
+
+    const items = itemIds.filter(itemId => this.latestPrices.has(itemId)).map(itemId => this.latestPrices.get(itemId));
+    stream.sentItems = new Set(items.map(item => item.itemId));
+
+    return this.send(clientId, 'snapshot', {
+      subscriptions: {
+        itemIds: Array.from(stream.itemIds),
+        watchlists: Array.from(stream.watchlists)
+      },
+      items
+    });
+  }
+
+  send(clientId, type, payload) {
+    const stream = this.streams.get(clientId);
+    stream.seq++;
+
+    const message = { type, seq: stream.seq, timestamp: this.now(), ...payload };
+    stream.history.push(message);
+    if (stream.history.length > this.options.replayBufferSize) {
+      stream.history.shift();
+    }
+
+    this.deliver(clientId, message);
+    return message;
+  }
+
+  deliver(clientId, message) {
+    const client = this.connectionManager.getClient(clientId);
+    if (!client || client.ws.readyState !== 1) {
+      return false;
+    }
+
+    client.ws.send(JSON.stringify(message));
+    client.messageCount++;
+    return true;
+  }
+
+  pruneDisconnected() {
+    for (const clientId of this.streams.keys()) {
+      if (!this.connectionManager.getClient(clientId)) {
+        this.streams.delete(clientId);
+      }
+    }
+  }
+
+  getClientItemIds(stream, watchlistItems) {
+    const itemIds = new Set(stream.itemIds);
+    stream.watchlists.forEach(userId => {
+      (watchlistItems.get(userId) || []).forEach(itemId => itemIds.add(itemId));
+    });
+    return itemIds;
+  }
+
+  /**
+   * Watchlists are resolved on every publish so added/removed items are picked up
+   * @returns {Promise<Map<string, number[]>>} userId -> item ids
+   */
+  async resolveWatchlists(userIds = null) {
+    const users = userIds ?
+      Array.from(userIds) :
+      [...new Set([...this.streams.values()].flatMap(stream => [...stream.watchlists]))];
+
+    const resolved = new Map();
+    await Promise.all(users.map(async(userId) => {
+      const itemIds = await this.watchlistModel.distinct('itemId', { userId, isActive: true });
+      resolved.set(userId, itemIds);
+    }));
+    return resolved;
+  }
+
+  /**
+   * Newest snapshot per item for the streamed interval
+   */
+  async fetchLatestPrices(itemIds) {
+    const rows = await this.snapshotModel.aggregate([
+      {
+        $match: {
+          itemId: { $in: itemIds },
+          interval: this.options.interval,
+          timestamp: { $gte: this.now() - this.options.snapshotLookback }
+        }
+      },
+      { $sort: { timestamp: -1 } },
+      { $group: { _id: '$itemId', snapshot: { $first: '$$ROOT' } } }
+    ]);
+
+    return rows.map(({ snapshot }) => ({
+      itemId: snapshot.itemId,
+      highPrice: snapshot.highPrice,
+      lowPrice: snapshot.lowPrice,
+      volume: snapshot.volume,
+      marginGp: snapshot.marginGp ?? null,
+      timestamp: snapshot.timestamp
+    }));
+  }
+
+  hasChanged(previous, price) {
+    return !previous ||
+      previous.timestamp !== price.timestamp ||
+      previous.highPrice !== price.highPrice ||
+      previous.lowPrice !== price.lowPrice ||
+      previous.volume !== price.volume;
+  }
+
+  /**
+   * Delta against the last price sent; change fields compare mid prices
+   */
+  buildDelta(previous, price) {
+    const mid = (price.highPrice + price.lowPrice) / 2;
+    const previousMid = previous ? (previous.highPrice + previous.lowPrice) / 2 : null;
+    const change = previousMid === null ? null : Math.round(mid - previousMid);
+
+    return {
+      ...price,
+      previousHighPrice: previous?.highPrice ?? null,
+      previousLowPrice: previous?.lowPrice ?? null,
+      change,
+      changePercent: previousMid ? Math.round(((mid - previousMid) / previousMid) * 10000) / 100 : null
+    };
+  }
+}
+
+module.exports = { MarketStreamService };
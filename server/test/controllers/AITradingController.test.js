@@ -0,0 +1,113 @@
+/**
+ * 🤖 AI Trading Controller Tests - Context7 Pattern
+ *
+ * Context7 Pattern: Endpoint Testing over the real orchestrator and an in-memory session store
+ * - Performance analytics come from the session's stored metrics and learning state
+ * - Unknown sessions reach the error handler as 404s
+ */
+
+const { AITradingController } = require('../../controllers/AITradingController');
+const { AITradingOrchestratorService } = require('../../services/AITradingOrchestratorService');
+const { TradingSessionService } = require('../../services/ai/TradingSessionService');
+const { TradingDecisionService } = require('../../services/ai/TradingDecisionService');
+const { NeuralTradingAgentService } = require('../../services/NeuralTradingAgentService');
+const { createCollection } = require('../helpers/mongooseFakes');
+
+jest.mock('../../utils/Logger');
+
+const NOW = Date.UTC(2024, 5, 1);
+const ITEMS = [
+  { itemId: 4151, highPrice: 1100, lowPrice: 1000, volume: 2000, marginPercent: 12, marginGp: 100, riskScore: 20, rsi: 40 }
+];
+
+// Runs an endpoint; resolves with the JSON body, or the error passed to next()
+function call(endpoint, req) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      status: jest.fn(() => res),
+      json: resolve
+    };
+    endpoint({ params: {}, query: {}, body: {}, ip: '127.0.0.1', get: () => 'jest', ...req }, res, reject);
+  });
+}
+
+describe('AITradingController', () => {
+  let instances;
+  let controller;
+
+  beforeEach(() => {
+    let tick = NOW;
+    const sessionService = new TradingSessionService({
+      sessionModel: createCollection({ now: () => NOW }),
+      decisionModel: createCollection({ now: () => NOW }),
+      experienceModel: createCollection({ now: () => NOW }),
+      now: () => (tick += 1000)
+    });
+    instances = [];
+
+    controller = new AITradingController({
+      aiTradingService: {},
+      tradingAnalysisService: {},
+      sessionService,
+      createOrchestrator: () => {
+        const neuralAgent = new NeuralTradingAgentService({ hiddenLayers: [8], seed: 5 });
+        const decisionService = new TradingDecisionService({
+          aiModel: {
+            name: 'stub',
+            predict: async() => ({ action: 'buy', confidence: 0.9, expectedReturn: 0.1, modelVersion: 'dqn-a' })
+          }
+        });
+        const orchestrator = new AITradingOrchestratorService({
+          pythonClient: {},
+          inferenceRouter: { getStatus: () => ({}) },
+          modelRegistry: { loadProductionModel: jest.fn(async() => null) },
+          neuralAgent,
+          sessionService,
+          decisionService
+        });
+        instances.push(orchestrator, decisionService);
+        return orchestrator;
+      }
+    });
+  });
+
+  afterEach(() => {
+    instances.forEach(instance => instance.cache.destroy());
+  });
+
+  it('should report performance analytics from the session metrics', async() => {
+    const started = await call(controller.startTradingSession, { body: { sessionName: 'Whip flips' } });
+    const { sessionId } = started.data;
+    const { orchestrator } = controller.orchestratorInstances.get(sessionId);
+
+    const { decisions } = await orchestrator.processMarketData(sessionId, ITEMS);
+    const executed = await orchestrator.executeTradingDecision(sessionId, decisions[0]);
+
+    const response = await call(controller.getPerformanceAnalytics, { params: { sessionId } });
+
+    expect(response).toMatchObject({ success: true });
+    expect(response.data).toMatchObject({
+      sessionId,
+      overall: {
+        totalDecisions: 1,
+        totalTrades: 1,
+        totalProfit: executed.result.actualProfit,
+        profitability: executed.result.actualProfit,
+        successRate: 1,
+        bestReward: executed.reward
+      },
+      byMarketCondition: [],
+      recentTrends: [],
+      modelEvolution: {
+        modelId: null,
+        rewardFunction: { name: 'composite' },
+        learning: { memorySize: 1, totalUpdates: 0 }
+      }
+    });
+  });
+
+  it('should pass unknown sessions to the error handler as 404s', async() => {
+    await expect(call(controller.getPerformanceAnalytics, { params: { sessionId: 'session_1_missing' } }))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * 🔎 Item Query Parser Tests - Context7 Pattern
+ *
+ * Context7 Pattern: Domain Testing without a database
+ * - Expressions parse into specification trees with the usual precedence (not > and > or)
+ * - Exact Mongo translation where every part maps to a stored field, prefilters otherwise
+ * - Errors point at the offending position
+ */
+
+const { parseItemQuery } = require('../../domain/specifications/ItemQueryParser');
+const { Item } = require('../../domain/entities/Item');
+
+jest.mock('../../utils/Logger');
+
+function item(overrides = {}) {
+  return Item.create({
+    itemId: 2363,
+    name: 'Runite bar',
+    examine: 'A bar of runite.',
+    members: true,
+    highalch: 7680,
+    lowalch: 5120,
+    value: 12800,
+    buyLimit: 10000,
+    tradeable_on_ge: true,
+    ...overrides
+  });
+}
+
+describe('ItemQueryParser', () => {
+  it('should evaluate flags, comparisons and categories in memory', () => {
+    const specification = parseItemQuery('members and highalch > 5000 and not category:runes');
+
+    expect(specification.isSatisfiedBy(item())).toBe(true);
+    expect(specification.isSatisfiedBy(item({ highalch: 4000, lowalch: 2000 }))).toBe(false);
+    expect(specification.isSatisfiedBy(item({ itemId: 560, name: 'Death rune', stackable: true }))).toBe(false);
+  });
+
+  it('should bind and tighter than or and honour parentheses', () => {
+    const f2pStackable = item({ members: false, stackable: true });
+
+    expect(parseItemQuery('members and value > 1m or stackable').isSatisfiedBy(f2pStackable)).toBe(true);
+    expect(parseItemQuery('members and (value > 1m or stackable)').isSatisfiedBy(f2pStackable)).toBe(false);
+  });
+
+  it('should translate specifications on stored fields into an exact Mongo query', () => {
+    const specification = parseItemQuery('f2p and value <= 1.5k and name:"rune"');
+
+    expect(specification.toMongoQuery()).toEqual({
+      $and: [
+        { $and: [{ $nor: [{ members: true }] }, { value: { $lte: 1500 } }] },
+        { name: { $regex: 'rune', $options: 'i' } }
+      ]
+    });
+  });
+
+  it('should fall back to a prefilter when part of the expression needs memory', () => {
+    const specification = parseItemQuery('members and not category:runes');
+
+    expect(specification.toMongoQuery()).toBeNull();
+    expect(specification.toMongoPrefilter('item.')).toEqual({ 'item.members': true });
+    expect(parseItemQuery('members or alchprofit > 0').toMongoPrefilter()).toEqual({});
+  });
+
+  it('should report the position of syntax errors', () => {
+    expect(() => parseItemQuery('members highalch')).toThrow('Unexpected \'highalch\' at position 9');
+    expect(() => parseItemQuery('members and')).toThrow('Expected a filter term at end of expression');
+    expect(() => parseItemQuery('highalch > lots')).toThrow('Expected a number after \'highalch >\' at position 12');
+    expect(() => parseItemQuery('members & f2p')).toThrow('Unexpected character \'&\' at position 9');
+  });
+
+  it('should reject unknown categories when the taxonomy is given', () => {
+    expect(() => parseItemQuery('category:gems', { categories: ['runes', 'smithing'] }))
+      .toThrow('Unknown category \'gems\' at position 1');
+  });
+});
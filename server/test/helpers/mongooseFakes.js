@@ -0,0 +1,175 @@
+/**
+ * 🧪 Mongoose Fakes - Context7 Pattern
+ *
+ * Context7 Pattern: Shared in-memory stand-ins for Mongoose models in service tests
+ * - chain(result): a query chain (select/sort/limit/skip) resolving to a fixed result on lean()
+ * - matches(doc, filter): the subset of query operators the services use
+ * - createCollection(): just enough of a model over an in-memory array
+ */
+
+const COMPARISONS = {
+  $gt: (value, operand) => value > operand,
+  $gte: (value, operand) => value >= operand,
+  $lt: (value, operand) => value < operand,
+  $lte: (value, operand) => value <= operand,
+  $ne: (value, operand) => !same(value, operand),
+  $in: (value, operand) => operand.some(candidate => same(value, candidate)),
+  $nin: (value, operand) => !operand.some(candidate => same(value, candidate)),
+  $exists: (value, operand) => (value !== undefined) === operand
+};
+
+// ObjectIds and Dates compare by value, as they do in MongoDB
+function same(value, other) {
+  if (value instanceof Date || other instanceof Date) {
+    return value?.valueOf() === other?.valueOf();
+  }
+  if (value?.toHexString || other?.toHexString) {
+    return String(value) === String(other);
+  }
+  return value === other;
+}
+
+function isOperatorObject(condition) {
+  return condition !== null && typeof condition === 'object' && !(condition instanceof Date) &&
+    !Array.isArray(condition) && Object.keys(condition).some(key => key.startsWith('$'));
+}
+
+/**
+ * Whether a document matches a filter: equality, $or and the COMPARISONS operators
+ */
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') {
+      return condition.some(alternative => matches(doc, alternative));
+    }
+
+    const value = key.split('.').reduce((current, part) => current?.[part], doc);
+    if (isOperatorObject(condition)) {
+      return Object.entries(condition).every(([operator, operand]) => COMPARISONS[operator](value, operand));
+    }
+    return Array.isArray(value) ? value.some(entry => same(entry, condition)) : same(value, condition);
+  });
+}
+
+function sortRows(rows, order) {
+  return [...rows].sort((a, b) => {
+    for (const [field, direction] of Object.entries(order)) {
+      if (a[field] < b[field]) {
+        return -direction;
+      }
+      if (a[field] > b[field]) {
+        return direction;
+      }
+    }
+    return 0;
+  });
+}
+
+/**
+ * Query chain resolving to a fixed result; sort/limit/skip apply when the result is an array
+ */
+function chain(result) {
+  let rows = result;
+  const query = {
+    select: () => query,
+    sort: (order) => {
+      rows = Array.isArray(rows) ? sortRows(rows, order) : rows;
+      return query;
+    },
+    skip: (count) => {
+      rows = Array.isArray(rows) ? rows.slice(count) : rows;
+      return query;
+    },
+    limit: (count) => {
+      rows = Array.isArray(rows) ? rows.slice(0, count) : rows;
+      return query;
+    },
+    lean: () => Promise.resolve(rows)
+  };
+  return query;
+}
+
+function applyUpdate(doc, change) {
+  Object.assign(doc, change.$set);
+  Object.entries(change.$inc || {}).forEach(([field, amount]) => {
+    doc[field] = (doc[field] || 0) + amount;
+  });
+  return doc;
+}
+
+/**
+ * Just enough of a Mongoose model over an in-memory array
+ * _ids are 24-character hex strings, so they pass ObjectId validation
+ * @param {Object} options - { now } clock for createdAt
+ */
+function createCollection({ now = Date.now } = {}) {
+  const docs = [];
+  let sequence = 0;
+
+  const copy = (doc) => (doc ? { ...doc } : null);
+  const query = (filter, single) => {
+    const found = chain(docs.filter(doc => matches(doc, filter)));
+    const lean = found.lean;
+    found.lean = async() => {
+      const rows = await lean();
+      return single ? copy(rows[0]) : rows.map(copy);
+    };
+    return found;
+  };
+  const insert = (doc) => {
+    const created = { _id: String(++sequence).padStart(24, '0'), createdAt: new Date(now()), ...doc };
+    docs.push(created);
+    return copy(created);
+  };
+
+  return {
+    docs,
+    find: jest.fn((filter = {}) => query(filter, false)),
+    findOne: jest.fn((filter = {}) => query(filter, true)),
+    create: jest.fn(async(doc) => insert(doc)),
+    insertMany: jest.fn(async(rows) => rows.map(insert)),
+    updateOne: jest.fn(async(filter, change, options = {}) => {
+      const doc = docs.find(row => matches(row, filter));
+      if (doc) {
+        applyUpdate(doc, change);
+      } else if (options.upsert) {
+        insert(applyUpdate({ ...filter, ...change.$setOnInsert }, change));
+      }
+      return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+    }),
+    findOneAndUpdate: jest.fn(async(filter, update, options = {}) => {
+      // Plain update objects are $set, as in Mongoose
+      const change = Object.keys(update).some(key => key.startsWith('$')) ? update : { $set: update };
+      const doc = docs.find(row => matches(row, filter));
+      if (doc) {
+        return copy(applyUpdate(doc, change));
+      }
+      return options.upsert ? insert(applyUpdate({ ...filter }, change)) : null;
+    }),
+    updateMany: jest.fn(async(filter, change) => {
+      const matched = docs.filter(row => matches(row, filter));
+      matched.forEach(doc => applyUpdate(doc, change));
+      return { modifiedCount: matched.length };
+    }),
+    deleteOne: jest.fn(async(filter) => {
+      const index = docs.findIndex(row => matches(row, filter));
+      if (index >= 0) {
+        docs.splice(index, 1);
+      }
+      return { deletedCount: index >= 0 ? 1 : 0 };
+    }),
+    deleteMany: jest.fn(async(filter = {}) => {
+      const kept = docs.filter(row => !matches(row, filter));
+      const deletedCount = docs.length - kept.length;
+      docs.splice(0, docs.length, ...kept);
+      return { deletedCount };
+    }),
+    countDocuments: jest.fn(async(filter = {}) => docs.filter(row => matches(row, filter)).length),
+    exists: jest.fn(async(filter) => {
+      const doc = docs.find(row => matches(row, filter));
+      return doc ? { _id: doc._id } : null;
+    })
+  };
+}
+
+module.exports = { chain, matches, createCollection };
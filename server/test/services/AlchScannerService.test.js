@@ -0,0 +1,97 @@
+/**
+ * 🧪 Alch Scanner Service Tests - Context7 Pattern
+ *
+ * Context7 Pattern: Service Testing without a database
+ * - Profit uses the live GE buy price and the live nature rune price
+ * - Profit per hour is capped by the 4-hour buy limit
+ * - Rank changes and drop-outs are measured against the snapshots of a day earlier
+ */
+
+const { AlchScannerService, NATURE_RUNE_ID } = require('../../services/alchemy/AlchScannerService');
+const TimeConstants = require('../../utils/TimeConstants');
+
+jest.mock('../../utils/Logger');
+
+const NOW = Date.UTC(2024, 0, 3, 12);
+
+const ITEMS = [
+  { itemId: 1127, name: 'Rune platebody', examine: 'Provides excellent protection.', members: false, lowalch: 26000, highalch: 39000, value: 65000, buy_limit: 70 },
+  { itemId: 1319, name: 'Rune 2h sword', examine: 'A two-handed sword.', members: false, lowalch: 25600, highalch: 38400, value: 64000, buy_limit: 70 },
+  { itemId: 859, name: 'Magic longbow', examine: 'A nice sturdy magical bow.', members: true, lowalch: 1024, highalch: 1536, value: 2560, buy_limit: 18000 }
+];
+
+function prices(entries) {
+  return Object.entries(entries).map(([itemId, highPrice]) => ({
+    _id: Number(itemId),
+    highPrice,
+    lowPrice: highPrice,
+    timestamp: new Date(NOW)
+  }));
+}
+
+describe('AlchScannerService', () => {
+  let snapshotModel;
+  let itemModel;
+  let service;
+
+  // Current prices unless the pipeline asks for the comparison window
+  function mockPrices(current, dayAgo) {
+    snapshotModel.aggregate.mockImplementation(pipeline => {
+      const upper = pipeline[0].$match.timestamp.$lte;
+      return Promise.resolve(prices(upper === NOW ? current : dayAgo));
+    });
+  }
+
+  beforeEach(() => {
+    snapshotModel = { aggregate: jest.fn() };
+    itemModel = { find: jest.fn(() => ({ lean: jest.fn().mockResolvedValue(ITEMS) })) };
+    service = new AlchScannerService({ snapshotModel, itemModel, now: () => NOW });
+  });
+
+  afterEach(() => {
+    service.cache.destroy();
+  });
+
+  it('should subtract the live buy and nature rune prices and cap throughput by the buy limit', async() => {
+    mockPrices({ 1127: 37500, 1319: 38500, 859: 1250, [NATURE_RUNE_ID]: 110 }, {});
+
+    const result = await service.scan();
+
+    expect(result.natureRune).toMatchObject({ price: 110, source: 'snapshot' });
+    expect(result.items.map(item => item.itemId)).toEqual([859, 1127]);
+    expect(result.items[0]).toMatchObject({ profit: 176, itemsPerHour: 1200, profitPerHour: 211200 });
+    expect(result.items[1]).toMatchObject({ profit: 1390, itemsPerHour: 18, profitPerHour: 24325 });
+    expect(result.totalProfitable).toBe(2);
+  });
+
+  it('should rank by profit per cast when requested', async() => {
+    mockPrices({ 1127: 37500, 859: 1250, [NATURE_RUNE_ID]: 110 }, {});
+
+    const result = await service.scan({ sortBy: 'profit' });
+
+    expect(result.items.map(item => item.itemId)).toEqual([1127, 859]);
+  });
+
+  it('should fall back to the default nature rune cost without a rune snapshot', async() => {
+    mockPrices({ 1127: 37500 }, {});
+
+    const result = await service.scan();
+
+    expect(result.natureRune).toEqual({ price: 200, source: 'default', timestamp: null });
+    expect(result.items[0].profit).toBe(1300);
+  });
+
+  it('should report rank changes and items that dropped out since a day earlier', async() => {
+    mockPrices(
+      { 1127: 37000, 859: 1250, [NATURE_RUNE_ID]: 110 },
+      { 1127: 37500, 1319: 36000, 859: 1400, [NATURE_RUNE_ID]: 110 }
+    );
+
+    const result = await service.scan({ sortBy: 'profit' });
+
+    expect(result.comparedTo).toBe(NOW - TimeConstants.ONE_DAY);
+    expect(result.items[0]).toMatchObject({ itemId: 1127, rank: 1, previousRank: 2, rankChange: 1, previousProfit: 1390 });
+    expect(result.items[1]).toMatchObject({ itemId: 859, rank: 2, previousRank: 3, rankChange: 1 });
+    expect(result.droppedOut).toEqual([{ itemId: 1319, name: 'Rune 2h sword', previousRank: 1 }]);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * 🔔 Alert Evaluation Service Tests - Context7 Pattern
+ *
+ * Context7 Pattern: Service Testing without a database
+ * - Unit tests for condition checks (above/below/equals/change)
+ * - Cooldown and trigger recording through injected model doubles
+ * - Expired alerts cannot be resumed
+ */
+
+const { AlertEvaluationService } = require('../../services/alerts/AlertEvaluationService');
+const { MarketAlertService } = require('../../services/alerts/MarketAlertService');
+const { AlertModel } = require('../../models/AlertModel');
+
+jest.mock('../../utils/Logger');
+
+function createAlert(overrides = {}) {
+  return {
+    _id: { toString: () => 'alert-1' },
+    itemId: 4151,
+    userId: 'default',
+    type: 'price',
+    condition: 'above',
+    threshold: 2000000,
+    cooldownMinutes: 60,
+    lastTriggeredAt: null,
+    triggerCount: 0,
+    metadata: {},
+    save: jest.fn().mockResolvedValue(true),
+    isInCooldown(now = Date.now()) {
+      return Boolean(this.lastTriggeredAt) &&
+        now - new Date(this.lastTriggeredAt).getTime() < this.cooldownMinutes * 60 * 1000;
+    },
+    ...overrides
+  };
+}
+
+function createService(alerts, snapshotRows) {
+  const alertModel = {
+    resumeDuePaused: jest.fn().mockResolvedValue({ modifiedCount: 0 }),
+    expireDue: jest.fn().mockResolvedValue({ modifiedCount: 0 }),
+    findActive: jest.fn().mockResolvedValue(alerts)
+  };
+  const alertHistoryModel = {
+    create: jest.fn().mockImplementation(async(entry) => ({ _id: { toString: () => 'history-1' }, ...entry }))
+  };
+  const snapshotModel = {
+    aggregate: jest.fn().mockResolvedValue(snapshotRows)
+  };
+  const notificationService = {
+    sendSystemAlert: jest.fn().mockResolvedValue({ success: true })
+  };
+
+  const service = new AlertEvaluationService({
+    alertModel,
+    alertHistoryModel,
+    snapshotModel,
+    notificationService
+  });
+
+  return { service, alertModel, alertHistoryModel, snapshotModel, notificationService };
+}
+
+describe('AlertEvaluationService', () => {
+  const now = Date.now();
+  const snapshotRows = [
+    {
+      _id: { itemId: 4151, interval: '5m' },
+      snapshots: [
+        { itemId: 4151, interval: '5m', timestamp: now - 1000, highPrice: 2100000, lowPrice: 2050000, volume: 400 },
+        { itemId: 4151, interval: '5m', timestamp: now - 301000, highPrice: 1900000, lowPrice: 1880000, volume: 250 }
+      ]
+    }
+  ];
+
+  describe('checkCondition()', () => {
+    const { service } = createService([], []);
+
+    it('should compare against absolute thresholds', () => {
+      expect(service.checkCondition('above', 100, 101)).toBe(true);
+      expect(service.checkCondition('above', 100, 100)).toBe(false);
+      expect(service.checkCondition('below', 100, 99)).toBe(true);
+      expect(service.checkCondition('equals', 100, 102, null, { tolerance: 2 })).toBe(true);
+    });
+
+    it('should use the threshold sign for change conditions', () => {
+      expect(service.checkCondition('change_percent', 10, 110, 100)).toBe(true);
+      expect(service.checkCondition('change_percent', 10, 105, 100)).toBe(false);
+      expect(service.checkCondition('change_percent', -10, 85, 100)).toBe(true);
+      expect(service.checkCondition('change_absolute', -5, 96, 100)).toBe(false);
+    });
+
+    it('should not fire change conditions without a previous value', () => {
+      expect(service.checkCondition('change_percent', 1, 110, null)).toBe(false);
+    });
+  });
+
+  describe('evaluateAlerts()', () => {
+    it('should record a trigger when the newest snapshot meets the condition', async() => {
+      const alert = createAlert();
+      const { service, alertHistoryModel, notificationService } = createService([alert], snapshotRows);
+
+      const summary = await service.evaluateAlerts(now);
+
+      expect(summary.triggered).toBe(1);
+      expect(alert.triggerCount).toBe(1);
+      expect(notificationService.sendSystemAlert).toHaveBeenCalledTimes(1);
+      expect(alertHistoryModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        itemId: 4151,
+        observedValue: 2100000,
+        previousValue: 1900000,
+        status: 'sent'
+      }));
+    });
+
+    it('should honour the cooldown window', async() => {
+      const alert = createAlert({ lastTriggeredAt: new Date(now - 10 * 60 * 1000) });
+      const { service, alertHistoryModel } = createService([alert], snapshotRows);
+
+      const summary = await service.evaluateAlerts(now);
+
+      expect(summary.triggered).toBe(0);
+      expect(summary.skippedCooldown).toBe(1);
+      expect(alertHistoryModel.create).not.toHaveBeenCalled();
+    });
+
+    it('should skip alerts without recent snapshots', async() => {
+      const alert = createAlert({ itemId: 11802 });
+      const { service } = createService([alert], snapshotRows);
+
+      const summary = await service.evaluateAlerts(now);
+
+      expect(summary.skippedNoData).toBe(1);
+      expect(summary.evaluated).toBe(0);
+    });
+  });
+});
+
+describe('MarketAlertService', () => {
+  function pausedAlert(overrides = {}) {
+    const alert = new AlertModel({
+      itemId: 4151,
+      userId: 'default',
+      type: 'price',
+      condition: 'above',
+      threshold: 2000000,
+      status: 'paused',
+      ...overrides
+    });
+    alert.save = jest.fn().mockResolvedValue(alert);
+    return alert;
+  }
+
+  function createAlertService(alert) {
+    return new MarketAlertService({
+      alertModel: { findById: jest.fn().mockResolvedValue(alert) },
+      alertHistoryModel: {},
+      evaluationService: {}
+    });
+  }
+
+  it('should refuse to resume expired alerts with a 409', async() => {
+    for (const alert of [pausedAlert({ status: 'expired' }), pausedAlert({ expiresAt: new Date(Date.now() - 60000) })]) {
+      await expect(createAlertService(alert).resumeAlert(alert.id)).rejects.toMatchObject({ statusCode: 409 });
+      await expect(alert.resume()).rejects.toThrow('Expired alerts cannot be resumed');
+      expect(alert.save).not.toHaveBeenCalled();
+    }
+  });
+
+  it('should resume paused alerts that have not expired', async() => {
+    const alert = pausedAlert({ expiresAt: new Date(Date.now() + 60000), pauseReason: 'Manual pause' });
+
+    const resumed = await createAlertService(alert).resumeAlert(alert.id);
+
+    expect(resumed).toMatchObject({ status: 'active', pauseReason: null });
+    expect(alert.save).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * 🚨 Anomaly Detection Service Tests - Context7 Pattern
+ *
+ * Context7 Pattern: Service Testing without a database
+ * - Robust z-score on log returns, volume surges and spread blowouts against each item's history
+ * - Earlier outliers in the history do not hide a new spike
+ * - Flagged events are upserted per item and batch, and each batch is only scored once
+ */
+
+const { AnomalyDetectionService } = require('../../services/anomalies/AnomalyDetectionService');
+const TimeConstants = require('../../utils/TimeConstants');
+const { chain } = require('../helpers/mongooseFakes');
+
+jest.mock('../../utils/Logger');
+
+const NOW = Date.UTC(2024, 0, 3, 12);
+const BATCH_TS = NOW - TimeConstants.FIVE_MINUTES;
+
+function point(itemId, index, mid, volume = 100 + (index % 3) * 10) {
+  return {
+    itemId,
+    timestamp: BATCH_TS - (24 - index) * TimeConstants.FIVE_MINUTES,
+    highPrice: mid + 10,
+    lowPrice: mid - 10,
+    volume
+  };
+}
+
+// Mid price alternating 1000/1010 with a 2% spread
+function history(itemId, points = 24) {
+  return Array.from({ length: points }, (_, index) => point(itemId, index, index % 2 === 0 ? 1000 : 1010));
+}
+
+describe('AnomalyDetectionService', () => {
+  let batch;
+  let rows;
+  let snapshotModel;
+  let anomalyModel;
+  let service;
+
+  beforeEach(() => {
+    const spikedHistory = history(1);
+    spikedHistory[10] = point(1, 10, 1500);
+
+    rows = [...spikedHistory, ...history(2), ...history(3, 5), ...history(4)];
+    batch = [
+      { itemId: 1, timestamp: BATCH_TS, highPrice: 1610, lowPrice: 1590, volume: 1500 },
+      { itemId: 2, timestamp: BATCH_TS, highPrice: 1010, lowPrice: 990, volume: 110 },
+      { itemId: 3, timestamp: BATCH_TS, highPrice: 5000, lowPrice: 100, volume: 9000 },
+      { itemId: 4, timestamp: BATCH_TS, highPrice: 1200, lowPrice: 800, volume: 110 }
+    ];
+
+    snapshotModel = {
+      findOne: jest.fn(() => chain({ timestamp: BATCH_TS })),
+      find: jest.fn((query) => chain(query.itemId
+        ? rows.filter(row => query.itemId.$in.includes(row.itemId))
+        : batch))
+    };
+    anomalyModel = {
+      bulkWrite: jest.fn().mockResolvedValue({}),
+      find: jest.fn(() => chain([])),
+      countDocuments: jest.fn().mockResolvedValue(0)
+    };
+    service = new AnomalyDetectionService({ snapshotModel, anomalyModel, now: () => NOW });
+  });
+
+  it('should flag a price spike with a volume surge as high severity despite earlier outliers', async() => {
+    const result = await service.detectLatestBatch({ interval: '5m' });
+
+    expect(result).toMatchObject({ interval: '5m', timestamp: BATCH_TS, checked: 4, insufficientHistory: 1, flagged: 2 });
+    const spike = result.events.find(event => event.itemId === 1);
+    expect(spike).toMatchObject({ severity: 'high', direction: 'spike', interval: '5m', timestamp: BATCH_TS });
+    expect(spike.signals.map(signal => signal.type)).toEqual(['price_zscore', 'volume_surge']);
+    // 1500 against a median volume of 110
+    expect(spike.signals[1].value).toBe(13.64);
+    expect(result.events.some(event => event.itemId === 2)).toBe(false);
+  });
+
+  it('should flag a spread blowout on its own as a single-signal anomaly', async() => {
+    const result = await service.detectLatestBatch({ interval: '5m' });
+
+    const blowout = result.events.find(event => event.itemId === 4);
+    expect(blowout.signals.map(signal => signal.type)).toEqual(['spread_blowout']);
+    expect(blowout.severity).toBe('medium');
+  });
+
+  it('should upsert flagged events per item and batch and score each batch once', async() => {
+    await service.detectLatestBatch({ interval: '5m' });
+    const again = await service.detectLatestBatch({ interval: '5m' });
+
+    expect(again).toMatchObject({ skipped: true, flagged: 0 });
+    expect(anomalyModel.bulkWrite).toHaveBeenCalledTimes(1);
+    const operations = anomalyModel.bulkWrite.mock.calls[0][0];
+    expect(operations[0].updateOne).toMatchObject({
+      filter: { itemId: 1, interval: '5m', timestamp: BATCH_TS },
+      upsert: true
+    });
+  });
+
+  it('should return the newest active anomaly per item', async() => {
+    anomalyModel.find.mockReturnValue(chain([
+      { itemId: 1, timestamp: BATCH_TS, severity: 'high' },
+      { itemId: 1, timestamp: BATCH_TS - TimeConstants.ONE_HOUR, severity: 'low' }
+    ]));
+
+    const active = await service.getActiveAnomalies({ itemIds: [1, 2] });
+
+    expect(anomalyModel.find).toHaveBeenCalledWith({
+      timestamp: { $gte: NOW - TimeConstants.TWO_HOURS },
+      itemId: { $in: [1, 2] }
+    });
+    expect([...active.keys()]).toEqual([1]);
+    expect(active.get(1).severity).toBe('high');
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * 🔄 Auto Training Service Tests - Context7 Pattern
+ *
+ * Context7 Pattern: Service Testing against the real orchestrator and session store
+ * - start() loads the production model and opens a trading session; stop() ends it
+ * - The training report grades the session from its stored metrics
+ */
+
+const { AutoTrainingService } = require('../../services/AutoTrainingService');
+const { TradingSessionService } = require('../../services/ai/TradingSessionService');
+const { createCollection } = require('../helpers/mongooseFakes');
+
+jest.mock('../../utils/Logger');
+jest.mock('../../services/mongoDataPersistence', () => jest.fn().mockImplementation(() => ({
+  isConnected: () => true,
+  initialize: jest.fn().mockResolvedValue(true)
+})));
+jest.mock('../../services/DataCollectionService', () => ({
+  DataCollectionService: jest.fn().mockImplementation(() => ({
+    startCollection: jest.fn().mockResolvedValue(true),
+    stopCollection: jest.fn()
+  }))
+}));
+// The real orchestrator, over the session store and agent the test provides
+let mockDependencies;
+jest.mock('../../services/AITradingOrchestratorService', () => {
+  const actual = jest.requireActual('../../services/AITradingOrchestratorService');
+  return {
+    AITradingOrchestratorService: jest.fn((dependencies) => new actual.AITradingOrchestratorService({
+      ...dependencies,
+      ...mockDependencies
+    }))
+  };
+});
+
+const NOW = Date.UTC(2024, 5, 1);
+const PRODUCTION_MODEL = { modelId: 'dqn-prod', version: '1.2.0' };
+
+describe('AutoTrainingService', () => {
+  let sessionModel;
+  let neuralAgent;
+  let modelRegistry;
+  let service;
+
+  beforeEach(() => {
+    sessionModel = createCollection({ now: () => NOW });
+    neuralAgent = { loadedModel: null, loadSavedModel: jest.fn() };
+    modelRegistry = {
+      loadProductionModel: jest.fn(async(agent) => {
+        agent.loadedModel = { ...PRODUCTION_MODEL };
+        return agent.loadedModel;
+      })
+    };
+    mockDependencies = {
+      pythonClient: {},
+      inferenceRouter: { getStatus: () => ({}) },
+      neuralAgent,
+      sessionService: new TradingSessionService({
+        sessionModel,
+        decisionModel: createCollection({ now: () => NOW }),
+        experienceModel: createCollection({ now: () => NOW }),
+        now: () => NOW
+      })
+    };
+
+    service = new AutoTrainingService({
+      training: { enableAutoTraining: false },
+      modelRegistry,
+      dataQualityService: { getCoverageReport: jest.fn().mockResolvedValue({ summary: { grade: 'GOOD' } }) }
+    });
+  });
+
+  afterEach(() => {
+    [service, service.aiOrchestrator, service.aiOrchestrator?.decisionService, mockDependencies.sessionService]
+      .forEach(instance => instance?.cache?.destroy());
+  });
+
+  it('should load the production model and run a trading session until stopped', async() => {
+    const started = await service.start();
+
+    expect(modelRegistry.loadProductionModel).toHaveBeenCalledWith(neuralAgent);
+    expect(started).toMatchObject({ success: true, isRunning: true, model: PRODUCTION_MODEL });
+    expect(sessionModel.docs).toEqual([expect.objectContaining({
+      sessionId: started.sessionId,
+      status: 'TRAINING',
+      createdBy: 'auto-training'
+    })]);
+    expect(service.getStatus()).toMatchObject({ isRunning: true, sessionId: started.sessionId, model: PRODUCTION_MODEL });
+
+    await service.stop();
+
+    expect(sessionModel.docs[0]).toMatchObject({ status: 'STOPPED', endReason: 'auto_training_stopped' });
+    expect(service.getStatus()).toMatchObject({ isRunning: false, sessionId: null });
+  });
+
+  it('should grade training efficiency from the session metrics', async() => {
+    const { sessionId } = await service.start();
+    expect(await service.assessTrainingEfficiency()).toBe('NO_DATA');
+
+    await mockDependencies.sessionService.updateSessionMetrics(sessionId, {
+      totalTrades: 4,
+      successfulTrades: 3,
+      totalProfit: 400000
+    });
+    const report = JSON.parse(await service.exportFullReport());
+
+    expect(report).toMatchObject({
+      status: { sessionId },
+      performance: { successRate: 0.75, profitability: 100000 },
+      assessment: { dataQuality: 'GOOD', trainingEfficiency: 'GOOD' }
+    });
+    expect(report.recommendations).toEqual([]);
+
+    await service.stop();
+  });
+});
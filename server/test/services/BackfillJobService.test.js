@@ -0,0 +1,242 @@
+/**
+ * 📥 Backfill Job Service Tests - Context7 Pattern
+ *
+ * Context7 Pattern: Service Testing without a database
+ * - Only items with missing buckets are fetched, and only missing buckets are written
+ * - Rate-limit responses back off the shared throttle without using up an item's attempts
+ * - Jobs run until the queue is empty, and pause/resume respect the job status
+ * - Queue entries are inserted before the job, and the legacy unique itemId index is migrated once
+ */
+
+const { BackfillJobService } = require('../../services/backfill/BackfillJobService');
+const { BackfillThrottle } = require('../../services/backfill/BackfillThrottle');
+const TimeConstants = require('../../utils/TimeConstants');
+
+jest.mock('../../utils/Logger');
+
+const NOW = Date.UTC(2024, 6, 1, 15);
+const WINDOW_END = Date.UTC(2024, 6, 1);
+const JOB_ID = '65a1b2c3d4e5f6a7b8c9d0e1';
+
+function lean(result) {
+  return { lean: () => Promise.resolve(result) };
+}
+
+function wikiPoint(timestamp, avgHighPrice, avgLowPrice) {
+  return { timestamp: timestamp / 1000, avgHighPrice, avgLowPrice, highPriceVolume: 40, lowPriceVolume: 60 };
+}
+
+describe('BackfillJobService', () => {
+  let job;
+  let jobModel;
+  let queueModel;
+  let snapshotModel;
+  let itemModel;
+  let osrsWikiService;
+  let throttle;
+  let service;
+
+  beforeEach(() => {
+    job = {
+      _id: JOB_ID,
+      status: 'running',
+      timestep: '24h',
+      lookbackDays: 3,
+      windowStart: WINDOW_END - 3 * TimeConstants.ONE_DAY,
+      windowEnd: WINDOW_END,
+      marksHistoryScraped: true,
+      progress: { totalItems: 1 }
+    };
+
+    jobModel = {
+      create: jest.fn(async(doc) => ({ _id: doc._id, toObject: () => ({ ...doc }) })),
+      findById: jest.fn((id) => lean({ ...job, _id: id })),
+      findByIdAndUpdate: jest.fn(() => lean({ ...job, status: 'running' })),
+      findOneAndUpdate: jest.fn(() => lean({ ...job, status: 'paused' })),
+      updateOne: jest.fn().mockResolvedValue({})
+    };
+    queueModel = {
+      syncIndexes: jest.fn().mockResolvedValue(['itemId_1']),
+      insertMany: jest.fn().mockResolvedValue([]),
+      deleteMany: jest.fn().mockResolvedValue({ deletedCount: 0 }),
+      findOneAndUpdate: jest.fn(() => lean(null)),
+      updateOne: jest.fn().mockResolvedValue({}),
+      updateMany: jest.fn().mockResolvedValue({})
+    };
+    snapshotModel = {
+      // The middle day is already stored
+      distinct: jest.fn().mockResolvedValue([WINDOW_END - 2 * TimeConstants.ONE_DAY]),
+      bulkWrite: jest.fn(async(operations) => ({ upsertedCount: operations.length }))
+    };
+    itemModel = {
+      updateOne: jest.fn().mockResolvedValue({})
+    };
+    osrsWikiService = {
+      getTimeseries: jest.fn().mockResolvedValue({
+        data: [
+          wikiPoint(WINDOW_END - 4 * TimeConstants.ONE_DAY, 110, 100),
+          wikiPoint(WINDOW_END - 3 * TimeConstants.ONE_DAY, 95, 105),
+          wikiPoint(WINDOW_END - 2 * TimeConstants.ONE_DAY, 120, 110),
+          wikiPoint(WINDOW_END - TimeConstants.ONE_DAY, null, null)
+        ]
+      })
+    };
+    throttle = new BackfillThrottle({ now: () => NOW, sleep: jest.fn().mockResolvedValue() });
+
+    service = new BackfillJobService({
+      jobModel,
+      queueModel,
+      snapshotModel,
+      itemModel,
+      osrsWikiService,
+      throttle,
+      now: () => NOW
+    });
+  });
+
+  it('should write only the missing buckets the Wiki has prices for', async() => {
+    await service.processItem(job, { _id: 'entry-1', itemId: 4151, retries: 0 });
+
+    expect(snapshotModel.distinct).toHaveBeenCalledWith('timestamp', {
+      itemId: 4151,
+      interval: '24h',
+      timestamp: { $gte: job.windowStart, $lt: WINDOW_END }
+    });
+    const operations = snapshotModel.bulkWrite.mock.calls[0][0];
+    expect(operations).toHaveLength(1);
+    // Crossed averages are ordered so high >= low
+    expect(operations[0].updateOne).toMatchObject({
+      filter: { itemId: 4151, interval: '24h', timestamp: job.windowStart },
+      update: { $setOnInsert: { highPrice: 105, lowPrice: 95, volume: 100, source: 'osrs_wiki_api' } },
+      upsert: true
+    });
+
+    expect(queueModel.updateOne).toHaveBeenCalledWith({ _id: 'entry-1' }, {
+      $set: expect.objectContaining({
+        status: 'completed',
+        backfill: { missingBuckets: 2, pointsWritten: 1, unfilledBuckets: 1 }
+      })
+    });
+    expect(jobModel.updateOne.mock.calls[0][1].$inc).toMatchObject({
+      'progress.completedItems': 1,
+      'progress.requests': 1,
+      'progress.pointsWritten': 1
+    });
+    expect(itemModel.updateOne).toHaveBeenCalledWith({ itemId: 4151 }, { $set: { has6MonthHistoryScraped: true } });
+  });
+
+  it('should skip items without gaps without calling the Wiki', async() => {
+    snapshotModel.distinct.mockResolvedValue([0, 1, 2].map(day => job.windowStart + day * TimeConstants.ONE_DAY));
+
+    await service.processItem(job, { _id: 'entry-1', itemId: 4151, retries: 0 });
+
+    expect(osrsWikiService.getTimeseries).not.toHaveBeenCalled();
+    expect(jobModel.updateOne.mock.calls[0][1].$inc).toMatchObject({
+      'progress.skippedItems': 1,
+      'progress.requests': 0
+    });
+  });
+
+  it('should back off on rate limits without using an attempt and fail items after their attempts', async() => {
+    const rateLimited = Object.assign(new Error('Too Many Requests'), { status: 429, retryAfterMs: 60000 });
+    osrsWikiService.getTimeseries.mockRejectedValueOnce(rateLimited);
+
+    await service.processItem(job, { _id: 'entry-1', itemId: 4151, retries: 1 });
+
+    expect(queueModel.updateOne.mock.calls[0][1].$set).toMatchObject({ status: 'pending', retries: 1 });
+    expect(throttle.getState().backoffUntil).toBe(NOW + 60000);
+
+    osrsWikiService.getTimeseries.mockRejectedValueOnce(new Error('Unexpected response'));
+    await service.processItem(job, { _id: 'entry-1', itemId: 4151, retries: 2 });
+
+    expect(queueModel.updateOne.mock.calls[1][1].$set).toMatchObject({ status: 'failed', retries: 3 });
+    expect(jobModel.updateOne.mock.calls[1][1].$inc['progress.failedItems']).toBe(1);
+  });
+
+  it('should queue the requested items and complete the job once the queue is empty', async() => {
+    const created = await service.startBackfill({ itemIds: [4151, 4151, 11832], lookbackDays: 3 });
+    await service.activeRuns.get(created.jobId);
+
+    const [entries] = queueModel.insertMany.mock.calls[0];
+    const jobId = jobModel.create.mock.calls[0][0]._id;
+    expect(created).toMatchObject({ jobId: String(jobId), status: 'running', windowEnd: WINDOW_END, marksHistoryScraped: false });
+    expect(entries.map(entry => [entry.itemId, entry.jobId])).toEqual([[4151, jobId], [11832, jobId]]);
+    expect(queueModel.insertMany.mock.invocationCallOrder[0]).toBeLessThan(jobModel.create.mock.invocationCallOrder[0]);
+    expect(jobModel.updateOne).toHaveBeenCalledWith(
+      { _id: String(jobId), status: 'running' },
+      { $set: { status: 'completed', completedAt: new Date(NOW) } }
+    );
+    expect(service.activeRuns.size).toBe(0);
+  });
+
+  it('should not create a job when its queue entries cannot be inserted', async() => {
+    queueModel.insertMany.mockRejectedValue(new Error('E11000 duplicate key error index: itemId_1'));
+
+    await expect(service.startBackfill({ itemIds: [4151], lookbackDays: 3 })).rejects.toMatchObject({
+      originalError: { message: expect.stringContaining('E11000') }
+    });
+
+    expect(jobModel.create).not.toHaveBeenCalled();
+    expect(queueModel.deleteMany).toHaveBeenCalledWith({ jobId: queueModel.insertMany.mock.calls[0][0][0].jobId });
+    expect(service.activeRuns.size).toBe(0);
+  });
+
+  it('should migrate the queue indexes once, retrying after a failure', async() => {
+    queueModel.syncIndexes.mockRejectedValueOnce(new Error('not primary'));
+    jobModel.find = jest.fn(() => ({ select: () => lean([]) }));
+
+    await expect(service.resumeInterruptedJobs()).rejects.toMatchObject({ originalError: { message: 'not primary' } });
+    await service.resumeInterruptedJobs();
+    await service.startBackfill({ itemIds: [4151], lookbackDays: 3 });
+
+    expect(queueModel.syncIndexes).toHaveBeenCalledTimes(2);
+  });
+
+  it('should reject windows longer than one Wiki timeseries request covers', async() => {
+    await expect(service.startBackfill({ timestep: '5m', lookbackDays: 2 }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(jobModel.create).not.toHaveBeenCalled();
+  });
+
+  it('should only pause running jobs and requeue claimed items on resume', async() => {
+    job.status = 'paused';
+    await expect(service.pauseBackfill(JOB_ID)).rejects.toMatchObject({ statusCode: 409 });
+    expect(await service.pauseBackfill('not-an-id')).toBeNull();
+
+    jobModel.findById
+      .mockReturnValueOnce(lean(job))
+      .mockReturnValue(lean({ ...job, status: 'completed' }));
+    const resumed = await service.resumeBackfill(JOB_ID);
+    await service.activeRuns.get(JOB_ID);
+
+    expect(resumed.status).toBe('running');
+    expect(queueModel.updateMany).toHaveBeenCalledWith(
+      { jobId: JOB_ID, status: 'processing' },
+      { $set: { status: 'pending' } }
+    );
+  });
+});
+
+describe('BackfillThrottle', () => {
+  it('should space requests evenly and grow the backoff until a success', async() => {
+    let now = 0;
+    const sleep = jest.fn(async(ms) => {
+      now += ms;
+    });
+    const throttle = new BackfillThrottle({ requestsPerMinute: 30, now: () => now, sleep });
+
+    await throttle.wait();
+    await throttle.wait();
+    expect(sleep).toHaveBeenLastCalledWith(2000);
+
+    expect(throttle.recordFailure({ status: 503, message: 'Service Unavailable' })).toBe(30000);
+    expect(throttle.recordFailure({ status: 429, message: 'Too Many Requests' })).toBe(60000);
+    expect(throttle.recordFailure({ status: 404, message: 'Not Found' })).toBe(0);
+
+    await throttle.wait();
+    expect(now).toBe(2000 + 60000);
+
+    throttle.recordSuccess();
+    expect(throttle.recordFailure({ message: 'Circuit breaker open' })).toBe(30000);
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * 🕯️ Candle Service Tests - Context7 Pattern
+ *
+ * Context7 Pattern: Service Testing without a database
+ * - Bucket alignment per resolution (weeks start on Monday UTC)
+ * - Aggregation pipeline shape, with the 24h fallback past the hourly retention
+ * - Explicit gap reporting and caching
+ * - Indicator overlays with warm-up candles before the requested range
+ */
+
+const { CandleService } = require('../../services/candles/CandleService');
+const { FinancialMetricsCalculator } = require('../../utils/FinancialMetricsCalculator');
+const TimeConstants = require('../../utils/TimeConstants');
+
+jest.mock('../../utils/Logger');
+
+const HOUR = TimeConstants.ONE_HOUR;
+// Wednesday 2024-01-03 12:30 UTC
+const NOW = Date.UTC(2024, 0, 3, 12, 30);
+
+function row(time, overrides = {}) {
+  return {
+    _id: time,
+    open: 1005,
+    close: 1015,
+    high: 1030,
+    low: 990,
+    volume: 500,
+    snapshots: 1,
+    firstAt: time,
+    lastAt: time,
+    ...overrides
+  };
+}
+
+describe('CandleService', () => {
+  let snapshotModel;
+  let service;
+
+  beforeEach(() => {
+    snapshotModel = { aggregate: jest.fn().mockResolvedValue([]) };
+    service = new CandleService({ snapshotModel, now: () => NOW });
+  });
+
+  afterEach(() => {
+    service.cache.destroy();
+  });
+
+  it('should align buckets to the resolution, with weeks starting on Monday', () => {
+    expect(service.bucketStart(NOW, '1h')).toBe(Date.UTC(2024, 0, 3, 12));
+    expect(service.bucketStart(NOW, '6h')).toBe(Date.UTC(2024, 0, 3, 12));
+    expect(service.bucketStart(NOW, '1d')).toBe(Date.UTC(2024, 0, 3));
+    expect(service.bucketStart(NOW, '1w')).toBe(Date.UTC(2024, 0, 1));
+  });
+
+  it('should default to a range ending with the open bucket', () => {
+    const range = service.resolveRange('1h', { limit: 24 });
+
+    expect(range.endTime).toBe(Date.UTC(2024, 0, 3, 13));
+    expect(range.startTime).toBe(Date.UTC(2024, 0, 2, 13));
+  });
+
+  it('should bucket 1h snapshots for daily candles in the pipeline', async() => {
+    await service.getCandles(4151, { resolution: '1d', limit: 7 });
+
+    const [match, sort, group] = snapshotModel.aggregate.mock.calls[0][0];
+    expect(match.$match).toEqual({
+      itemId: 4151,
+      interval: '1h',
+      timestamp: { $gte: Date.UTC(2023, 11, 28), $lt: Date.UTC(2024, 0, 4) }
+    });
+    expect(sort).toEqual({ $sort: { timestamp: 1 } });
+    expect(group.$group._id).toEqual({
+      $subtract: ['$timestamp', { $mod: [{ $subtract: ['$timestamp', 0] }, TimeConstants.ONE_DAY] }]
+    });
+    expect(group.$group.volume).toEqual({ $sum: '$volume' });
+  });
+
+  it('should fall back to compacted 24h snapshots for days past the hourly retention', async() => {
+    service.retention.HOURLY_DAYS = 3;
+
+    const recent = await service.getCandles(4151, { resolution: '1d', limit: 3 });
+    expect(recent.fallbackInterval).toBeNull();
+
+    const older = await service.getCandles(4151, { resolution: '1d', limit: 7 });
+    const pipeline = snapshotModel.aggregate.mock.calls[1][0];
+    expect(older).toMatchObject({ sourceInterval: '1h', fallbackInterval: '24h' });
+    expect(pipeline[0].$match).toEqual({
+      itemId: 4151,
+      interval: { $in: ['1h', '24h'] },
+      timestamp: { $gte: Date.UTC(2023, 11, 28), $lt: Date.UTC(2024, 0, 4) }
+    });
+    // One interval per day, the hourly one when the day still has it
+    expect(pipeline[2].$group._id).toEqual({
+      day: { $subtract: ['$timestamp', { $mod: ['$timestamp', TimeConstants.ONE_DAY] }] },
+      interval: '$interval'
+    });
+    expect(pipeline[3]).toEqual({ $sort: { '_id.day': 1, '_id.interval': 1 } });
+    expect(pipeline[4]).toEqual({ $group: { _id: '$_id.day', day: { $first: '$$ROOT' } } });
+    expect(pipeline[7].$group.volume).toEqual({ $sum: '$volume' });
+
+    // Hourly candles are never built from daily roll-ups
+    expect((await service.getCandles(4151, { resolution: '1h', limit: 1000 })).fallbackInterval).toBeNull();
+  });
+
+  it('should report missing buckets as gaps', async() => {
+    const start = Date.UTC(2024, 0, 3, 6);
+    snapshotModel.aggregate.mockResolvedValue([
+      row(start),
+      row(start + HOUR),
+      row(start + 4 * HOUR, { volume: 800 })
+    ]);
+
+    const result = await service.getCandles(4151, {
+      resolution: '1h',
+      startTime: start,
+      endTime: start + 6 * HOUR
+    });
+
+    expect(result.candles).toHaveLength(3);
+    expect(result.candles[2]).toMatchObject({ time: start + 4 * HOUR, closeTime: start + 5 * HOUR, volume: 800 });
+    expect(result.gaps).toEqual([
+      { startTime: start + 2 * HOUR, endTime: start + 4 * HOUR, missingCandles: 2 },
+      { startTime: start + 5 * HOUR, endTime: start + 6 * HOUR, missingCandles: 1 }
+    ]);
+    expect(result.coverage).toBe(0.5);
+  });
+
+  it('should serve repeated requests from the cache', async() => {
+    await service.getCandles(4151, { resolution: '6h' });
+    await service.getCandles(4151, { resolution: '6h' });
+    await service.getCandles(4151, { resolution: '1d' });
+
+    expect(snapshotModel.aggregate).toHaveBeenCalledTimes(2);
+  });
+
+  it('should compute indicators over warm-up candles and return only the requested range', async() => {
+    const start = Date.UTC(2024, 0, 1);
+    // 60 hourly closes rising by 10 gp from 1000
+    snapshotModel.aggregate.mockResolvedValue(
+      Array.from({ length: 60 }, (_, i) => row(start + i * HOUR, { close: 1000 + i * 10 }))
+    );
+
+    const result = await service.getIndicators(4151, {
+      resolution: '1h',
+      startTime: start + 40 * HOUR,
+      endTime: start + 60 * HOUR,
+      indicators: ['sma', 'rsi']
+    });
+
+    // MACD(26) + signal(9) is the longest warm-up: 34 extra candles
+    const [match] = snapshotModel.aggregate.mock.calls[0][0];
+    expect(match.$match.timestamp.$gte).toBe(start + 6 * HOUR);
+    expect(result.points).toHaveLength(20);
+    expect(result.points[0]).toEqual({ time: start + 40 * HOUR, sma: 1305, rsi: 100 });
+  });
+});
+
+describe('FinancialMetricsCalculator indicator series', () => {
+  const calculator = new FinancialMetricsCalculator();
+
+  it('should align series with the prices and leave warm-up values null', () => {
+    const prices = Array.from({ length: 40 }, (_, i) => 100 + (i % 5) * 2);
+    const series = calculator.calculateIndicatorSeries(prices, { smaPeriod: 5, emaPeriod: 5 });
+
+    expect(series.sma).toHaveLength(40);
+    expect(series.sma[3]).toBeNull();
+    expect(series.sma[4]).toBe(104);
+    expect(series.ema[4]).toBe(104);
+    expect(series.bollingerMiddle[19]).toBe(104);
+    expect(series.bollingerUpper[19]).toBeCloseTo(104 + 2 * Math.sqrt(8));
+    expect(series.macd[24]).toBeNull();
+    expect(series.macd[25]).not.toBeNull();
+    expect(series.macdSignal[32]).toBeNull();
+    expect(series.macdHistogram[33]).toBeCloseTo(series.macd[33] - series.macdSignal[33]);
+  });
+
+  it('should smooth EMA values after the seed period', () => {
+    expect(calculator.calculateEMASeries([1, 2, 3, 10], 3)).toEqual([null, null, 2, 6]);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * 🩺 Data Quality Service Tests - Context7 Pattern
+ *
+ * Context7 Pattern: Service Testing without a database
+ * - Missing and undersized batches are outages; items absent from a full batch are no-trade gaps
+ * - Gap runs are listed per item, worst coverage first
+ * - Repairs start one backfill job for the items with outage gaps only
+ */
+
+const { DataQualityService } = require('../../services/quality/DataQualityService');
+const TimeConstants = require('../../utils/TimeConstants');
+const { chain, matches } = require('../helpers/mongooseFakes');
+
+jest.mock('../../utils/Logger');
+
+const NOW = Date.UTC(2024, 0, 2, 12, 30);
+const WINDOW_START = Date.UTC(2024, 0, 1, 12);
+const bucket = (index) => WINDOW_START + index * TimeConstants.ONE_HOUR;
+
+// Supports the $match + $group-count pipelines the service runs
+function aggregate(rows, [{ $match }, { $group }]) {
+  const field = $group._id.slice(1);
+  const counts = new Map();
+  rows.filter(row => matches(row, $match)).forEach(row => {
+    counts.set(row[field], (counts.get(row[field]) || 0) + 1);
+  });
+  const countField = Object.keys($group).find(key => key !== '_id');
+  return [...counts.entries()].map(([_id, count]) => ({ _id, [countField]: count }));
+}
+
+describe('DataQualityService', () => {
+  let rows;
+  let snapshotModel;
+  let backfillService;
+  let service;
+
+  beforeEach(() => {
+    // 23 complete hourly buckets: batch 5 only has item 1, batch 10 was never written and
+    // item 3 did not trade in buckets 15 and 16
+    rows = [];
+    for (let index = 0; index < 23; index++) {
+      for (const itemId of [1, 2, 3, 4]) {
+        const missing = index === 10 || (index === 5 && itemId !== 1) || (itemId === 3 && (index === 15 || index === 16));
+        if (!missing) {
+          rows.push({ itemId, interval: '1h', timestamp: bucket(index) });
+        }
+      }
+    }
+
+    snapshotModel = {
+      aggregate: jest.fn(async(pipeline) => aggregate(rows, pipeline)),
+      find: jest.fn((query) => chain(rows.filter(row => matches(row, query))))
+    };
+    backfillService = {
+      startBackfill: jest.fn(async(options) => ({ jobId: 'job-1', status: 'running', ...options }))
+    };
+    service = new DataQualityService({ snapshotModel, backfillService, now: () => NOW });
+  });
+
+  it('should classify missing buckets as outage or no-trade and grade coverage', async() => {
+    const report = await service.getCoverageReport({ interval: '1h', lookbackDays: 1 });
+
+    expect(report).toMatchObject({ windowStart: WINDOW_START, windowEnd: bucket(23) });
+    expect(report.summary).toEqual({
+      items: 4,
+      bucketsPerItem: 23,
+      presentBuckets: 83,
+      missingBuckets: 9,
+      outageBuckets: 7,
+      noTradeBuckets: 2,
+      coverage: 0.9022,
+      collectionCoverage: 0.9239,
+      grade: 'EXCELLENT'
+    });
+    expect(report.outages).toEqual([
+      { start: bucket(5), end: bucket(5), buckets: 1 },
+      { start: bucket(10), end: bucket(10), buckets: 1 }
+    ]);
+  });
+
+  it('should list gap runs for the items missing the most buckets', async() => {
+    const report = await service.getCoverageReport({ interval: '1h', lookbackDays: 1, limit: 2 });
+
+    expect(report.items.map(item => item.itemId)).toEqual([3, 2]);
+    expect(report.items[0]).toMatchObject({ present: 19, missing: 4, outageMissing: 2, noTradeMissing: 2 });
+    expect(report.items[0].gaps).toEqual([
+      { type: 'outage', start: bucket(5), end: bucket(5), buckets: 1 },
+      { type: 'outage', start: bucket(10), end: bucket(10), buckets: 1 },
+      { type: 'no_trade', start: bucket(15), end: bucket(16), buckets: 2 }
+    ]);
+  });
+
+  it('should report requested items without snapshots as entirely missing', async() => {
+    const report = await service.getCoverageReport({ interval: '1h', lookbackDays: 1, itemIds: [1, 99], limit: 0 });
+
+    expect(report.summary).toMatchObject({ items: 2, presentBuckets: 22, missingBuckets: 24, outageBuckets: 3, noTradeBuckets: 21 });
+    expect(report.items).toEqual([]);
+  });
+
+  it('should queue one backfill for the items with outage gaps', async() => {
+    const result = await service.queueRepairs({ interval: '1h', lookbackDays: 1 });
+
+    expect(backfillService.startBackfill).toHaveBeenCalledWith({
+      itemIds: [2, 3, 4, 1],
+      timestep: '1h',
+      lookbackDays: 1,
+      requestedBy: 'data-quality'
+    });
+    expect(result).toMatchObject({ outageBuckets: 2, itemsWithOutages: 4, queued: 4, job: { jobId: 'job-1' } });
+  });
+
+  it('should reject windows one Wiki timeseries request cannot repair', async() => {
+    await expect(service.getCoverageReport({ interval: '5m', lookbackDays: 2 }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(snapshotModel.aggregate).not.toHaveBeenCalled();
+  });
+});
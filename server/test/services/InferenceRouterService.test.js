@@ -0,0 +1,186 @@
+/**
+ * 🔀 Inference Router Service Tests - Context7 Pattern
+ *
+ * Context7 Pattern: Service Testing against the bundled mock Python RL API
+ * - Predictions come from the Python service while it is healthy
+ * - Failures fall back to the in-process neural agent; once the circuit opens the service is skipped
+ * - Half-open probes close the circuit again, pinned modes never fall back
+ * - TradingDecisionService decisions record the backend that produced them
+ * - The Python service loads the registry's production or pinned model before predicting
+ */
+
+const { InferenceRouterService } = require('../../services/ai/inference/InferenceRouterService');
+const { PythonInferenceBackend } = require('../../services/ai/inference/PythonInferenceBackend');
+const { LocalInferenceBackend } = require('../../services/ai/inference/LocalInferenceBackend');
+const { PythonRLClientService } = require('../../services/PythonRLClientService');
+const { NeuralTradingAgentService } = require('../../services/NeuralTradingAgentService');
+const { TradingDecisionService } = require('../../services/ai/TradingDecisionService');
+const { MockPythonRLServer } = require('../../mocks/pythonRL/MockPythonRLServer');
+
+jest.mock('../../utils/Logger');
+
+const CIRCUIT_TIMEOUT = 200;
+const FEATURES = {
+  currentPrice: 1500,
+  priceSpread: 100,
+  marginPercent: 8,
+  volume: Math.log(2001),
+  volumeNormalized: 2,
+  rsi: 45,
+  volatility: 3,
+  riskScore: 30,
+  timestamp: Date.now(),
+  dayOfWeek: 1,
+  hourOfDay: 12
+};
+
+describe('InferenceRouterService', () => {
+  let mockServer;
+  let client;
+  let agent;
+
+  const createRouter = (mode = 'auto') => new InferenceRouterService({ mode, pythonClient: client, localAgent: agent });
+
+  beforeAll(async() => {
+    mockServer = new MockPythonRLServer();
+    await mockServer.start();
+  });
+
+  afterAll(async() => {
+    await mockServer.stop();
+  });
+
+  beforeEach(() => {
+    mockServer.reset();
+    client = new PythonRLClientService({
+      baseUrl: mockServer.baseURL,
+      timeout: 2000,
+      circuitBreakerThreshold: 2,
+      circuitBreakerTimeout: CIRCUIT_TIMEOUT
+    });
+    agent = new NeuralTradingAgentService({ hiddenLayers: [8], seed: 5 });
+  });
+
+  afterEach(() => {
+    client.cache.destroy();
+  });
+
+  it('should use the Python service while it is healthy', async() => {
+    const prediction = await createRouter().predict(FEATURES);
+
+    expect(prediction).toMatchObject({
+      action: 'buy',
+      expectedReturn: 0.08,
+      modelVersion: 'mock-dqn-1.0.0',
+      backend: 'python',
+      fallback: false,
+      attempts: []
+    });
+    expect(prediction.confidence).toBeCloseTo(0.68);
+    expect(mockServer.stats.predictions).toBe(1);
+  });
+
+  it('should fall back to the local agent and stop calling the service once the circuit opens', async() => {
+    const router = createRouter();
+    mockServer.setOutage(60000);
+
+    const first = await router.predict(FEATURES);
+    expect(first).toMatchObject({ backend: 'local', fallback: true });
+    expect(first.attempts[0].backend).toBe('python');
+    expect(['buy', 'sell', 'hold']).toContain(first.action);
+
+    await router.predict(FEATURES);
+    expect(client.getCircuitState()).toBe('open');
+    const requestsWhenOpened = mockServer.stats.requests;
+
+    const third = await router.predict(FEATURES);
+    expect(third).toMatchObject({ backend: 'local', fallback: true, attempts: [{ backend: 'python', error: 'unavailable' }] });
+    expect(mockServer.stats.requests).toBe(requestsWhenOpened);
+
+    expect(router.getStatus()).toMatchObject({
+      mode: 'auto',
+      backends: [
+        { name: 'python', available: false, circuit: 'open', predictions: 0, failures: 2, skipped: 1 },
+        { name: 'local', available: true, predictions: 3, failures: 0 }
+      ],
+      lastSelection: { backend: 'local', fallback: true }
+    });
+  });
+
+  it('should return to the Python service after a successful half-open probe', async() => {
+    const router = createRouter();
+    mockServer.setOutage(60000);
+    await router.predict(FEATURES);
+    await router.predict(FEATURES);
+    expect(client.getCircuitState()).toBe('open');
+
+    mockServer.reset();
+    await new Promise(resolve => setTimeout(resolve, CIRCUIT_TIMEOUT + 20));
+    expect(client.getCircuitState()).toBe('half_open');
+
+    expect(await router.predict(FEATURES)).toMatchObject({ backend: 'python', fallback: false });
+    expect(client.getCircuitState()).toBe('closed');
+  });
+
+  it('should not fall back when a backend is pinned', async() => {
+    mockServer.setOutage(60000);
+
+    await expect(createRouter('python').predict(FEATURES)).rejects.toMatchObject({
+      statusCode: 503,
+      details: { mode: 'python', attempts: [{ backend: 'python' }] }
+    });
+
+    const local = await createRouter('local').predict(FEATURES);
+    expect(local).toMatchObject({ backend: 'local', fallback: false });
+    expect(mockServer.stats.predictions).toBe(0);
+
+    expect(() => createRouter('gpu')).toThrow('Unknown inference backend');
+  });
+
+  it('should record the producing backend on every trading decision', async() => {
+    const itemData = { itemId: 4151, highPrice: 1600, lowPrice: 1400, volume: 2000, marginPercent: 8, rsi: 45, riskScore: 20, marginGp: 200 };
+    const router = createRouter();
+    const decisionService = new TradingDecisionService({ aiModel: router });
+
+    const fromPython = await decisionService.makeItemDecision(itemData, { minProfitMargin: 0.05 });
+    expect(fromPython).toMatchObject({ action: 'buy', inference: { backend: 'python', fallback: false, modelVersion: 'mock-dqn-1.0.0' } });
+
+    // A bare backend works as the AI model too and is recorded by name
+    const localOnly = new TradingDecisionService({ aiModel: new LocalInferenceBackend({ agent }) });
+    const prediction = await localOnly.getAIPrediction(itemData);
+    expect(prediction.inference).toEqual({ backend: 'local', fallback: false, modelVersion: null });
+
+    decisionService.cache.destroy();
+    localOnly.cache.destroy();
+  });
+
+  it('should have the Python service load the production model and fall back when it cannot', async() => {
+    const registry = { getProductionModelId: jest.fn().mockResolvedValue('dqn-prod') };
+    const backend = new PythonInferenceBackend({ client, registry });
+    const router = new InferenceRouterService({ backends: [backend, new LocalInferenceBackend({ agent })] });
+    const loadModel = jest.spyOn(client, 'loadModel');
+    await client.saveModel('dqn-prod');
+
+    expect(await router.predict(FEATURES)).toMatchObject({ backend: 'python', modelVersion: 'dqn-prod' });
+    await router.predict(FEATURES);
+    expect(loadModel).toHaveBeenCalledTimes(1);
+
+    // Promoted, but never saved on the Python side: the local agent serves it
+    registry.getProductionModelId.mockResolvedValue('dqn-local-only');
+    const fallback = await router.predict(FEATURES);
+    expect(fallback).toMatchObject({ backend: 'local', fallback: true, attempts: [{ backend: 'python' }] });
+    expect(backend.getStatus()).toMatchObject({ modelId: 'dqn-prod', followsProduction: true });
+
+    backend.pinModel('mock-dqn-1.0.0');
+    expect(await router.predict(FEATURES)).toMatchObject({ backend: 'python', modelVersion: 'mock-dqn-1.0.0' });
+    expect(backend.getStatus()).toMatchObject({ modelId: 'mock-dqn-1.0.0', pinnedModelId: 'mock-dqn-1.0.0', followsProduction: false });
+  });
+
+  it('should send features in the documented order', async() => {
+    const predict = jest.fn().mockResolvedValue({ action_name: 'SELL', confidence: 0.7, modelVersion: 'm1' });
+    const backend = new PythonInferenceBackend({ client: { predict } });
+
+    expect(await backend.predict(FEATURES)).toMatchObject({ action: 'sell', confidence: 0.7, modelVersion: 'm1' });
+    expect(predict).toHaveBeenCalledWith([1500, 100, 8, Math.log(2001), 2, 45, 3, 30, 1, 12]);
+  });
+});
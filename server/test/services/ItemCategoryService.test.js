@@ -0,0 +1,120 @@
+/**
+ * 🗂️ Item Category Service Tests - Context7 Pattern
+ *
+ * Context7 Pattern: Service Testing without a database
+ * - Default taxonomy is seeded into an empty collection and becomes the active classifier
+ * - Rules separate items the old name substrings misfiled, using only fields the Wiki /mapping rows carry
+ * - Explicit assignments override rules; unknown categories are rejected
+ */
+
+const { ItemCategoryService } = require('../../services/categories/ItemCategoryService');
+const { ItemCategoryClassifier } = require('../../domain/services/ItemCategoryClassifier');
+const { DEFAULT_CATEGORIES } = require('../../config/ItemCategoryTaxonomy');
+const { ItemMappingService } = require('../../services/ItemMappingService');
+const MAPPING = require('../../mocks/wiki/fixtures/mapping.json');
+
+jest.mock('../../utils/Logger');
+jest.mock('../../repositories/ItemRepository');
+jest.mock('../../services/OSRSWikiService');
+
+// Wiki /mapping rows, stored the way the mapping import stores them
+function mappingRow(id, name, overrides = {}) {
+  return { examine: name, id, members: false, lowalch: 1, limit: 10000, value: 2, highalch: 1, icon: `${name}.png`, name, ...overrides };
+}
+
+const ITEMS = (() => {
+  const mappingService = new ItemMappingService({ categoryService: {} });
+  const items = mappingService.transformMappingData([
+    mappingRow(2363, 'Runite bar', { value: 5000 }),
+    mappingRow(9185, 'Rune crossbow', { members: true }),
+    mappingRow(9438, 'Crossbow string', { members: true }),
+    MAPPING.find(row => row.id === 561),
+    mappingRow(892, 'Rune arrow'),
+    mappingRow(1601, 'Diamond', { value: 2000 })
+  ]);
+  [mappingService, mappingService.domainService].forEach(service => service.cache.destroy());
+  return items;
+})();
+
+// Minimal stand-in for a Mongoose query chain ending in lean()
+function query(result) {
+  return { lean: jest.fn().mockResolvedValue(result) };
+}
+
+describe('ItemCategoryService', () => {
+  let categoryModel;
+  let assignmentModel;
+  let itemModel;
+  let assignments;
+  let service;
+
+  beforeEach(() => {
+    assignments = [];
+    categoryModel = {
+      find: jest.fn(() => query([])),
+      countDocuments: jest.fn().mockResolvedValue(0),
+      insertMany: jest.fn().mockResolvedValue([])
+    };
+    assignmentModel = {
+      find: jest.fn(() => query(assignments)),
+      findOne: jest.fn(({ itemId }) => Promise.resolve(assignments.find(a => a.itemId === itemId) || null)),
+      findOneAndUpdate: jest.fn((filter, update) => {
+        assignments = [...assignments.filter(a => a.itemId !== filter.itemId), update];
+        return Promise.resolve(update);
+      })
+    };
+    itemModel = {
+      find: jest.fn(() => query(ITEMS)),
+      findOne: jest.fn(({ itemId }) => query(ITEMS.find(item => item.itemId === itemId) || null)),
+      exists: jest.fn(({ itemId }) => Promise.resolve(ITEMS.some(item => item.itemId === itemId)))
+    };
+    service = new ItemCategoryService({ categoryModel, assignmentModel, itemModel });
+  });
+
+  afterEach(() => {
+    service.cache.destroy();
+    ItemCategoryClassifier.setActive(null);
+  });
+
+  it('should seed the default taxonomy into an empty collection and activate it', async() => {
+    const classifier = await service.getClassifier();
+
+    expect(categoryModel.insertMany).toHaveBeenCalledWith(DEFAULT_CATEGORIES);
+    expect(ItemCategoryClassifier.getActive()).toBe(classifier);
+  });
+
+  it('should classify items the old name substrings misfiled', async() => {
+    const classifier = await service.getClassifier();
+    const categoryOf = (itemId) => classifier.classify(ITEMS.find(item => item.itemId === itemId));
+
+    expect(categoryOf(2363)).toBe('smithing');
+    expect(categoryOf(9185)).toBe('weapons');
+    expect(categoryOf(9438)).toBe('resources');
+    expect(categoryOf(561)).toBe('runes');
+    expect(categoryOf(892)).toBe('ammunition');
+  });
+
+  it('should count items per category when stats are requested', async() => {
+    const categories = await service.getCategories({ includeStats: true });
+
+    expect(categories.find(category => category.id === 'resources').itemCount).toBe(2);
+    expect(categories.find(category => category.id === 'general').itemCount).toBe(0);
+  });
+
+  it('should let an explicit assignment override the rules', async() => {
+    const result = await service.assignCategory(1601, 'jewellery', { reason: 'Cut gem used for jewellery' });
+
+    expect(result).toMatchObject({ itemId: 1601, category: 'jewellery', source: 'assignment' });
+    expect(await service.getItemIdsByCategory('jewellery')).toEqual([1601]);
+    expect(await service.getItemIdsByCategory('resources')).toEqual([9438]);
+  });
+
+  it('should reject categories outside the taxonomy', async() => {
+    await expect(service.assignCategory(1601, 'gems')).rejects.toThrow('Unknown category: gems');
+    expect(assignmentModel.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('should return null when assigning a category to an unknown item', async() => {
+    expect(await service.assignCategory(999999, 'weapons')).toBeNull();
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * 📊 Market Data Analytics Tests - Context7 Pattern
+ *
+ * Context7 Pattern: Service Testing without a database
+ * - Top flips and recommendations ranked from stored snapshot metrics
+ * - Items with an active anomaly marked (or excluded) in top flips
+ * - Filters pushed into the snapshot aggregation pipeline
+ * - Budget, risk tolerance and time horizon sizing
+ * - Pagination and CSV export
+ */
+
+const { MarketDataService } = require('../../services/MarketDataService');
+const TimeConstants = require('../../utils/TimeConstants');
+
+jest.mock('../../utils/Logger');
+jest.mock('../../utils/CacheManager');
+jest.mock('../../repositories/ItemRepository');
+jest.mock('../../services/mongoDataPersistence', () => jest.fn().mockImplementation(() => ({
+  isConnected: () => true
+})));
+
+const NOW = Date.UTC(2024, 0, 3, 12);
+
+function snapshot(itemId, overrides = {}) {
+  return {
+    itemId,
+    interval: '1h',
+    timestamp: NOW - TimeConstants.FIVE_MINUTES,
+    highPrice: 1100,
+    lowPrice: 1000,
+    volume: 1000,
+    marginGp: 89,
+    marginPercent: 8.9,
+    geTaxAmount: 11,
+    riskScore: 20,
+    confidence: 1,
+    ...overrides
+  };
+}
+
+describe('MarketDataService analytics', () => {
+  let snapshotModel;
+  let anomalyService;
+  let service;
+
+  function createService(rows, anomalies = new Map()) {
+    snapshotModel = { aggregate: jest.fn().mockResolvedValue(rows) };
+    anomalyService = { getActiveAnomalies: jest.fn().mockResolvedValue(anomalies) };
+    service = new MarketDataService({
+      snapshotModel,
+      financialCalculator: {},
+      marketDataFetcher: {},
+      marketDataProcessor: {},
+      alertService: {},
+      anomalyService,
+      now: () => NOW
+    });
+    return service;
+  }
+
+  it('should push margin, volume and risk filters into the latest-snapshot pipeline', async() => {
+    await createService([]).getTopFlips({ minMargin: 3, minVolume: 500, maxRisk: 40, maxAge: TimeConstants.ONE_HOUR });
+
+    const pipeline = snapshotModel.aggregate.mock.calls[0][0];
+    expect(pipeline[0]).toEqual({ $match: { interval: '1h', timestamp: { $gte: NOW - TimeConstants.ONE_HOUR } } });
+    expect(pipeline[2]).toEqual({ $group: { _id: '$itemId', snapshot: { $first: '$$ROOT' } } });
+    expect(pipeline[pipeline.length - 1]).toEqual({
+      $match: { marginPercent: { $gte: 3 }, volume: { $gte: 500 }, riskScore: { $lte: 40 } }
+    });
+  });
+
+  it('should rank top flips by stored metrics and paginate', async() => {
+    createService([
+      snapshot(1, { marginPercent: 5, volume: 1000 }),
+      snapshot(2, { marginPercent: 12, volume: 1000 }),
+      snapshot(3, { marginPercent: 12, volume: 1000, riskScore: 50 }),
+      snapshot(4, { marginPercent: 12, volume: 1000, confidence: 0.5 })
+    ]);
+
+    const firstPage = await service.getTopFlips({ page: 1, limit: 2 });
+    const secondPage = await service.getTopFlips({ page: 2, limit: 2 });
+
+    expect(firstPage).toMatchObject({ total: 4, page: 1, limit: 2 });
+    expect(firstPage.data.map(item => item.itemId)).toEqual([2, 3]);
+    expect(secondPage.data.map(item => item.itemId)).toEqual([4, 1]);
+    expect(firstPage.data[0].score).toBeGreaterThan(firstPage.data[1].score);
+  });
+
+  it('should mark items with an active anomaly and drop them when asked', async() => {
+    createService([snapshot(1), snapshot(2, { marginPercent: 12 })], new Map([[2, {
+      itemId: 2,
+      interval: '5m',
+      timestamp: NOW - TimeConstants.FIVE_MINUTES,
+      score: 3.1,
+      severity: 'high',
+      direction: 'spike',
+      signals: [{ type: 'price_zscore', value: 6.2, threshold: 4 }, { type: 'volume_surge', value: 9, threshold: 5 }]
+    }]]));
+
+    const marked = await service.getTopFlips();
+    expect(anomalyService.getActiveAnomalies).toHaveBeenCalledWith({ itemIds: [1, 2] });
+    expect(marked.data.map(item => [item.itemId, item.anomaly && item.anomaly.signals])).toEqual([
+      [2, ['price_zscore', 'volume_surge']],
+      [1, null]
+    ]);
+
+    const excluded = await service.getTopFlips({ excludeAnomalies: true });
+    expect(excluded.data.map(item => item.itemId)).toEqual([1]);
+    expect(excluded.total).toBe(1);
+  });
+
+  it('should map risk tolerance to the pipeline risk threshold', async() => {
+    await createService([]).getRecommendations({ riskTolerance: 'low' });
+
+    const filters = snapshotModel.aggregate.mock.calls[0][0].at(-1).$match;
+    expect(filters.riskScore).toEqual({ $lte: service.getRiskThreshold('low') });
+  });
+
+  it('should size recommendations to the investment amount and horizon volume', async() => {
+    createService([
+      snapshot(1, { lowPrice: 1000, marginGp: 89, volume: 1000 }),
+      snapshot(2, { lowPrice: 50000, highPrice: 52000, marginGp: 1480, volume: 10 })
+    ]);
+
+    const budgetLimited = await service.getRecommendations({ investmentAmount: 20000, timeHorizon: 'short' });
+    expect(budgetLimited.data).toEqual([
+      expect.objectContaining({ itemId: 1, quantity: 20, capitalRequired: 20000, expectedProfit: 20 * 89 })
+    ]);
+
+    const volumeLimited = await service.getRecommendations({ investmentAmount: 10000000, timeHorizon: 'short' });
+    const whip = volumeLimited.data.find(item => item.itemId === 2);
+    // 10 per hour * 4 hours * 10% market share
+    expect(whip.quantity).toBe(4);
+
+    const longHorizon = await service.getRecommendations({ investmentAmount: 10000000, timeHorizon: 'long' });
+    expect(longHorizon.data.find(item => item.itemId === 2).quantity).toBe(168);
+  });
+
+  it('should export the latest snapshots as paginated CSV', async() => {
+    createService([snapshot(2), snapshot(1)]);
+
+    const result = await service.exportData({ format: 'csv', limit: 1 });
+    const [header, row] = result.data.split('\n');
+
+    expect(result).toMatchObject({ format: 'csv', total: 2, page: 1, limit: 1 });
+    expect(header.split(',')[0]).toBe('itemId');
+    expect(row.split(',')[0]).toBe('1');
+    expect(snapshotModel.aggregate.mock.calls[0][0].at(-1)).toEqual({ $match: {} });
+  });
+});
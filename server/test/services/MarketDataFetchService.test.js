@@ -0,0 +1,146 @@
+/**
+ * 🌐 Market Data Fetch Tests - Context7 Pattern
+ *
+ * Context7 Pattern: Offline integration testing against the bundled mock Wiki API
+ * - Configurable base URL for MarketDataFetchService and OSRSWikiService
+ * - GE top 100 lists and price graphs for the scraper through the configurable GE base URL
+ * - Fixture data with seeded price drift
+ * - Rate-limit (429) and outage (503) responses surfaced with their status
+ */
+
+const { MockWikiServer } = require('../../mocks/wiki/MockWikiServer');
+const { MarketDataFetchService } = require('../../services/consolidated/MarketDataFetchService');
+const { OSRSWikiService } = require('../../services/OSRSWikiService');
+const { OSRSDataScraperService } = require('../../services/OSRSDataScraperService');
+const TimeConstants = require('../../utils/TimeConstants');
+
+jest.mock('../../utils/Logger');
+jest.mock('../../services/mongoDataPersistence', () => jest.fn().mockImplementation(() => ({
+  isConnected: () => true
+})));
+
+const WHIP = '4151';
+
+describe('Mock Wiki API', () => {
+  let mockServer;
+  let baseURL;
+  let services;
+
+  beforeAll(async() => {
+    mockServer = new MockWikiServer({ seed: 42, driftPercent: 5 });
+    baseURL = await mockServer.start();
+  });
+
+  afterAll(async() => {
+    await mockServer.stop();
+  });
+
+  beforeEach(() => {
+    mockServer.reset();
+    mockServer.rateLimit = { max: 0, windowMs: 60000 };
+    services = [];
+  });
+
+  afterEach(() => {
+    services.forEach(service => {
+      service.cache.destroy();
+      service.rateLimiter?.destroy();
+    });
+  });
+
+  function createFetchService() {
+    const service = new MarketDataFetchService({ baseURL, geBaseURL: mockServer.geBaseURL });
+    // Keep retry backoff short
+    service.options.retryDelay = 1;
+    services.push(service);
+    return service;
+  }
+
+  function createWikiService() {
+    const service = new OSRSWikiService({ baseURL });
+    services.push(service);
+    return service;
+  }
+
+  it('should serve recorded fixtures through the configured base URL', async() => {
+    const fetchService = createFetchService();
+
+    const latest = await fetchService.fetchLiveMarketData();
+    const hourly = await fetchService.fetch1HourMarketData();
+    const mapping = await fetchService.fetchMappingData();
+
+    expect(fetchService.baseURL).toBe(baseURL);
+    expect(latest.data[WHIP]).toEqual(expect.objectContaining({ high: 1648000, low: 1612000 }));
+    expect(latest.data[WHIP].highTime).toBeGreaterThan(Date.now() / 1000 - 60);
+    expect(hourly.data[WHIP]).toEqual(expect.objectContaining({ highPriceVolume: 395, lowPriceVolume: 410 }));
+    expect(mapping.find(item => item.id === 4151)).toEqual(expect.objectContaining({ name: 'Abyssal whip', limit: 70 }));
+  });
+
+  it('should drift prices reproducibly for a given seed', async() => {
+    mockServer.advanceDrift(10);
+    const drifted = mockServer.buildLatest().data[WHIP];
+
+    const replay = new MockWikiServer({ seed: 42, driftPercent: 5 });
+    replay.advanceDrift(10);
+
+    expect(drifted.high).not.toBe(1648000);
+    expect(replay.buildLatest().data[WHIP]).toEqual(drifted);
+  });
+
+  it('should retry and then surface 429 once the rate limit is exhausted', async() => {
+    mockServer.rateLimit = { max: 1, windowMs: 60000 };
+    const fetchService = createFetchService();
+
+    await fetchService.fetch5MinuteMarketData();
+    await expect(fetchService.fetch1HourMarketData()).rejects.toMatchObject({ status: 429 });
+    // fetch1HourMarketData makes 3 attempts
+    expect(mockServer.stats.rateLimited).toBe(3);
+  });
+
+  it('should fail with 503 during a simulated outage and recover afterwards', async() => {
+    const wikiService = createWikiService();
+
+    await fetch(`${baseURL.replace('/api/v1/osrs', '')}/__mock/outage`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ durationMs: 60000 })
+    });
+    await expect(wikiService.getItemMapping()).rejects.toMatchObject({ status: 503 });
+    expect(wikiService.circuitBreaker.failureCount).toBe(1);
+
+    mockServer.outageUntil = 0;
+    const mapping = await wikiService.getItemMapping();
+    expect(mapping.find(item => item.id === 4151)).toEqual(expect.objectContaining({ limit: 70, buy_limit: 70 }));
+    expect(wikiService.circuitBreaker.failureCount).toBe(0);
+  });
+
+  it('should synthesize a timeseries ending at the current drifted price', async() => {
+    const wikiService = createWikiService();
+
+    const timeseries = await wikiService.getTimeseries(4151, '1h');
+    const last = timeseries.data[timeseries.data.length - 1];
+
+    expect(timeseries).toMatchObject({ itemId: 4151, timestep: '1h' });
+    expect(timeseries.data).toHaveLength(365);
+    expect(last).toEqual(expect.objectContaining({ avgHighPrice: 1648000, avgLowPrice: 1612000 }));
+    expect(timeseries.data[1].timestamp - timeseries.data[0].timestamp).toBe(3600);
+  });
+
+  it('should scrape GE top 100 lists and 180-day price graphs from the mock GE', async() => {
+    const scraper = new OSRSDataScraperService({ fetchService: createFetchService() });
+    services.push(scraper);
+
+    const mostValuable = await scraper.scrapeCategoryList('mostValuable');
+    const history = await scraper.scrapeIndividualItemPage(4151);
+
+    expect(mostValuable.map(item => item.itemId)).toEqual(mockServer.fixtures.top100['2']);
+    expect(mostValuable[0]).toEqual({ rank: 1, itemId: 13190, name: 'Old school bond' });
+    expect((await scraper.scrapeCategoryList('mostTraded')).find(item => item.itemId === 12934).name).toBe('Zulrah\'s scales');
+    await expect(scraper.scrapeCategoryList('cheapest')).rejects.toThrow('Unknown top 100 list: cheapest');
+
+    expect(history).toHaveLength(180);
+    expect(history[1].timestamp - history[0].timestamp).toBe(TimeConstants.ONE_DAY);
+    expect(history[179]).toEqual({ timestamp: expect.any(Number), price: (1648000 + 1612000) / 2, averagePrice: expect.any(Number) });
+    expect(mockServer.stats.served).toBe(3);
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * 📅 Market Data Scheduler Tests - Context7 Pattern
+ *
+ * Context7 Pattern: End-to-end sync testing with a stubbed Wiki HTTP client
+ * - performSync fetches /5m and /1h, processes them and stores one snapshot per bucket
+ * - Re-syncing the same bucket updates it instead of adding a point
+ * - Alerts evaluated after the sync compare consecutive buckets
+ * - The same sync runs offline against the bundled mock Wiki API
+ */
+
+const { MarketDataScheduler } = require('../../services/MarketDataScheduler');
+const { MarketDataService } = require('../../services/MarketDataService');
+const { MarketDataFetchService } = require('../../services/consolidated/MarketDataFetchService');
+const { AlertEvaluationService } = require('../../services/alerts/AlertEvaluationService');
+const { MockWikiServer } = require('../../mocks/wiki/MockWikiServer');
+const TimeConstants = require('../../utils/TimeConstants');
+const { createCollection, matches } = require('../helpers/mongooseFakes');
+
+jest.mock('../../utils/Logger');
+jest.mock('../../repositories/ItemRepository');
+jest.mock('../../services/mongoDataPersistence', () => jest.fn().mockImplementation(() => ({
+  isConnected: () => true
+})));
+
+const WHIP = '4151';
+
+// Wiki buckets are in seconds; alerts only look at the last two hours, so buckets sit just before now
+function bucketSeconds(periodMs, bucketsAgo) {
+  const now = Date.now();
+  return (now - (now % periodMs) - bucketsAgo * periodMs) / 1000;
+}
+
+function averages(timestamp, highPrice) {
+  return {
+    data: {
+      [WHIP]: { avgHighPrice: highPrice, highPriceVolume: 400, avgLowPrice: highPrice - 50000, lowPriceVolume: 350 },
+      // Nothing traded on one side, so the processor skips it
+      11802: { avgHighPrice: 1200000, highPriceVolume: 3, avgLowPrice: null, lowPriceVolume: 0 }
+    },
+    timestamp
+  };
+}
+
+// Supports the $match/$sort/$group/$project-slice pipeline AlertEvaluationService runs
+function aggregate(docs, [{ $match }, { $sort }, , { $project }]) {
+  const [[sortField, direction]] = Object.entries($sort);
+  const groups = new Map();
+  docs
+    .filter(doc => matches(doc, $match))
+    .sort((a, b) => (a[sortField] - b[sortField]) * direction)
+    .forEach(doc => {
+      const key = `${doc.itemId}:${doc.interval}`;
+      if (!groups.has(key)) {
+        groups.set(key, { _id: { itemId: doc.itemId, interval: doc.interval }, snapshots: [] });
+      }
+      groups.get(key).snapshots.push({ ...doc });
+    });
+  const [, count] = $project.snapshots.$slice;
+  return [...groups.values()].map(group => ({ ...group, snapshots: group.snapshots.slice(0, count) }));
+}
+
+describe('MarketDataScheduler', () => {
+  let responses;
+  let httpClient;
+  let snapshotModel;
+  let alertHistoryModel;
+  let fetchService;
+  let marketDataService;
+  let scheduler;
+
+  beforeEach(() => {
+    responses = {
+      '/5m': averages(bucketSeconds(TimeConstants.FIVE_MINUTES, 1), 2000000),
+      '/1h': averages(bucketSeconds(TimeConstants.ONE_HOUR, 1), 1980000)
+    };
+    httpClient = jest.fn(async(url) => {
+      const body = responses[url.slice(url.lastIndexOf('/'))];
+      return { ok: Boolean(body), status: body ? 200 : 404, statusText: body ? 'OK' : 'Not Found', json: async() => body };
+    });
+
+    snapshotModel = createCollection();
+    snapshotModel.aggregate = jest.fn(async(pipeline) => aggregate(snapshotModel.docs, pipeline));
+    alertHistoryModel = createCollection();
+
+    fetchService = new MarketDataFetchService({ httpClient, baseURL: 'http://wiki.test/api/v1/osrs' });
+    marketDataService = new MarketDataService({
+      snapshotModel,
+      marketDataFetcher: fetchService,
+      alertService: {},
+      categoryService: {},
+      anomalyService: {}
+    });
+
+    scheduler = new MarketDataScheduler({
+      marketDataService,
+      alertEvaluationService: new AlertEvaluationService({
+        // A fresh alert each run, so the previous value can only come from the stored snapshots
+        alertModel: {
+          resumeDuePaused: jest.fn().mockResolvedValue({ modifiedCount: 0 }),
+          expireDue: jest.fn().mockResolvedValue({ modifiedCount: 0 }),
+          findActive: jest.fn(async() => [{
+            _id: 'alert-1',
+            itemId: 4151,
+            userId: 'default',
+            type: 'price',
+            condition: 'change_percent',
+            threshold: 5,
+            cooldownMinutes: 60,
+            triggerCount: 0,
+            metadata: {},
+            save: jest.fn().mockResolvedValue(true),
+            isInCooldown: () => false
+          }])
+        },
+        alertHistoryModel,
+        snapshotModel,
+        notificationService: { sendSystemAlert: jest.fn().mockResolvedValue({ success: true }) }
+      }),
+      savedSearchService: { runScheduledSearches: jest.fn().mockResolvedValue({ searches: 0 }) },
+      anomalyDetectionService: { detectLatest: jest.fn().mockResolvedValue({ events: [], scored: 0 }) }
+    });
+  });
+
+  afterEach(() => {
+    [scheduler, marketDataService, fetchService].forEach(service => service.cache.destroy());
+  });
+
+  const useFetchService = (service) => {
+    fetchService.cache.destroy();
+    fetchService = service;
+    marketDataService.fetchService = service;
+  };
+
+  const sync = async() => {
+    // The fetch cache would otherwise serve the previous bucket
+    fetchService.cache.clear();
+    await scheduler.performSync();
+  };
+  const whipSnapshots = (interval) => snapshotModel.docs
+    .filter(doc => doc.itemId === 4151 && doc.interval === interval)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  it('should store each synced Wiki bucket and fire change alerts against the previous one', async() => {
+    await sync();
+
+    expect(scheduler.getStats()).toMatchObject({ syncCount: 1, errorCount: 0 });
+    expect(httpClient.mock.calls.map(([url]) => url).sort()).toEqual([
+      'http://wiki.test/api/v1/osrs/1h',
+      'http://wiki.test/api/v1/osrs/5m'
+    ]);
+    expect(whipSnapshots('5m')).toEqual([expect.objectContaining({
+      timestamp: responses['/5m'].timestamp * 1000,
+      highPrice: 2000000,
+      lowPrice: 1950000
+    })]);
+    expect(whipSnapshots('1h')).toEqual([expect.objectContaining({ timestamp: responses['/1h'].timestamp * 1000 })]);
+    expect(snapshotModel.docs.some(doc => doc.itemId === 11802)).toBe(false);
+    // One bucket: nothing to compare against yet
+    expect(scheduler.getStats().lastAlertEvaluation).toMatchObject({ evaluated: 1, triggered: 0 });
+
+    // Same buckets again: updated in place
+    responses['/5m'].data[WHIP].avgHighPrice = 2010000;
+    await sync();
+    expect(whipSnapshots('5m')).toEqual([expect.objectContaining({ highPrice: 2010000 })]);
+    expect(scheduler.getStats().lastAlertEvaluation).toMatchObject({ triggered: 0 });
+
+    // Next 5m bucket with a 10% rise
+    responses['/5m'] = averages(bucketSeconds(TimeConstants.FIVE_MINUTES, 0), 2211000);
+    await sync();
+
+    expect(whipSnapshots('5m').map(snapshot => snapshot.highPrice)).toEqual([2010000, 2211000]);
+    expect(scheduler.getStats()).toMatchObject({ syncCount: 3, errorCount: 0, lastAlertEvaluation: { evaluated: 1, triggered: 1 } });
+    expect(alertHistoryModel.create).toHaveBeenCalledWith(expect.objectContaining({ itemId: 4151 }));
+  });
+
+  it('should count a failed Wiki request as a sync error and skip the post-sync steps', async() => {
+    fetchService.options.retryDelay = 1;
+    delete responses['/1h'];
+
+    await sync();
+
+    expect(scheduler.getStats()).toMatchObject({ syncCount: 0, errorCount: 1, lastAlertEvaluation: null });
+    expect(scheduler.anomalyDetectionService.detectLatest).not.toHaveBeenCalled();
+  });
+
+  it('should sync every fixture item from the mock Wiki API', async() => {
+    // Early in the previous hour, so the next 5m bucket is still in the same 1h bucket
+    let clock = Date.now() - (Date.now() % TimeConstants.ONE_HOUR) - TimeConstants.ONE_HOUR + TimeConstants.ONE_MINUTE;
+    const mockServer = new MockWikiServer({ seed: 42, driftPercent: 5, now: () => clock });
+    const baseURL = await mockServer.start();
+
+    try {
+      useFetchService(new MarketDataFetchService({ baseURL }));
+      await sync();
+      // Next 5m bucket, same 1h bucket
+      clock += TimeConstants.FIVE_MINUTES;
+      mockServer.advanceDrift(1);
+      await sync();
+    } finally {
+      await mockServer.stop();
+    }
+
+    const fixtureItems = Object.keys(mockServer.fixtures['5m'].data).length;
+    const buckets = (interval) => new Set(snapshotModel.docs.filter(doc => doc.interval === interval).map(doc => doc.timestamp));
+    expect(scheduler.getStats()).toMatchObject({ syncCount: 2, errorCount: 0, lastAlertEvaluation: { evaluated: 1 } });
+    expect(buckets('5m').size).toBe(2);
+    expect(buckets('1h').size).toBe(1);
+    expect(snapshotModel.docs.filter(doc => doc.interval === '5m')).toHaveLength(fixtureItems * 2);
+  });
+});
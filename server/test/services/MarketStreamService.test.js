@@ -0,0 +1,124 @@
+/**
+ * 📈 Market Stream Service Tests - Context7 Pattern
+ *
+ * Context7 Pattern: Service Testing without a database or sockets
+ * - Item and watchlist subscriptions answered with sequenced snapshots
+ * - Only changed items are published as price deltas after a sync
+ * - Resync handshake replays buffered messages or falls back to a snapshot
+ */
+
+const { MarketStreamService } = require('../../services/websocket/MarketStreamService');
+const { WebSocketConnectionManager } = require('../../services/websocket/WebSocketConnectionManager');
+
+jest.mock('../../utils/Logger');
+
+const NOW = Date.UTC(2024, 0, 3, 12);
+
+function snapshotRow(itemId, highPrice, lowPrice, timestamp = NOW) {
+  return { _id: itemId, snapshot: { itemId, highPrice, lowPrice, volume: 100, marginGp: highPrice - lowPrice, timestamp } };
+}
+
+function connect(connectionManager) {
+  const ws = { readyState: 1, send: jest.fn(), on: jest.fn() };
+  const clientId = connectionManager.registerClient(ws, { headers: {}, connection: { remoteAddress: '127.0.0.1' } });
+  return { clientId, ws, messages: () => ws.send.mock.calls.map(([raw]) => JSON.parse(raw)) };
+}
+
+describe('MarketStreamService', () => {
+  let connectionManager;
+  let snapshotModel;
+  let watchlistModel;
+  let stream;
+
+  beforeEach(() => {
+    connectionManager = new WebSocketConnectionManager();
+    snapshotModel = { aggregate: jest.fn().mockResolvedValue([]) };
+    watchlistModel = { distinct: jest.fn().mockResolvedValue([]) };
+    stream = new MarketStreamService(connectionManager, { replayBufferSize: 2 }, {
+      snapshotModel,
+      watchlistModel,
+      now: () => NOW
+    });
+  });
+
+  it('should answer a subscription with a sequenced snapshot of items and watchlist items', async() => {
+    const client = connect(connectionManager);
+    watchlistModel.distinct.mockResolvedValue([11802]);
+    snapshotModel.aggregate.mockResolvedValue([snapshotRow(4151, 1650000, 1610000), snapshotRow(11802, 9000000, 8800000)]);
+
+    await stream.subscribeClient(client.clientId, { itemIds: [4151], watchlists: ['user_default_001'] });
+
+    const [snapshot] = client.messages();
+    expect(snapshot).toMatchObject({ type: 'snapshot', seq: 1 });
+    expect(snapshot.items.map(item => item.itemId)).toEqual([4151, 11802]);
+    expect(watchlistModel.distinct).toHaveBeenCalledWith('itemId', { userId: 'user_default_001', isActive: true });
+    expect(connectionManager.getClient(client.clientId).subscriptions).toEqual(
+      new Set(['item:4151', 'watchlist:user_default_001'])
+    );
+  });
+
+  it('should publish only changed items to the clients subscribed to them', async() => {
+    const whip = connect(connectionManager);
+    const other = connect(connectionManager);
+    snapshotModel.aggregate.mockResolvedValue([snapshotRow(4151, 1650000, 1610000), snapshotRow(560, 200, 190)]);
+    await stream.subscribeClient(whip.clientId, { itemIds: [4151] });
+    await stream.subscribeClient(other.clientId, { itemIds: [560] });
+
+    snapshotModel.aggregate.mockResolvedValue([
+      snapshotRow(4151, 1660000, 1620000, NOW + 300000),
+      snapshotRow(560, 200, 190)
+    ]);
+    const result = await stream.publishPriceUpdates();
+
+    expect(result).toEqual({ changedItems: 1, clientsNotified: 1 });
+    const delta = whip.messages()[1];
+    expect(delta).toMatchObject({ type: 'price_delta', seq: 2 });
+    expect(delta.items).toEqual([expect.objectContaining({
+      itemId: 4151,
+      highPrice: 1660000,
+      previousHighPrice: 1650000,
+      change: 10000
+    })]);
+    expect(other.messages()).toHaveLength(1);
+  });
+
+  it('should replay buffered messages when a client resyncs after a gap', async() => {
+    const client = connect(connectionManager);
+    snapshotModel.aggregate.mockResolvedValue([snapshotRow(4151, 1650000, 1610000)]);
+    await stream.subscribeClient(client.clientId, { itemIds: [4151] });
+    snapshotModel.aggregate.mockResolvedValue([snapshotRow(4151, 1660000, 1620000, NOW + 300000)]);
+    await stream.publishPriceUpdates();
+
+    const result = await stream.resyncClient(client.clientId, 1);
+
+    expect(result).toEqual({ mode: 'replay', replayed: 1 });
+    expect(client.messages().map(message => message.seq)).toEqual([1, 2, 2]);
+  });
+
+  it('should fall back to a fresh snapshot when missed messages are no longer buffered', async() => {
+    const client = connect(connectionManager);
+    snapshotModel.aggregate.mockResolvedValue([snapshotRow(4151, 1650000, 1610000)]);
+    await stream.subscribeClient(client.clientId, { itemIds: [4151] });
+    for (let i = 1; i <= 3; i++) {
+      snapshotModel.aggregate.mockResolvedValue([snapshotRow(4151, 1650000 + i * 1000, 1610000, NOW + i * 300000)]);
+      await stream.publishPriceUpdates();
+    }
+
+    // Buffer holds seq 3-4, so a client stuck at seq 1 needs a snapshot
+    const result = await stream.resyncClient(client.clientId, 1);
+
+    expect(result.mode).toBe('snapshot');
+    expect(result.message).toMatchObject({ type: 'snapshot', seq: 5 });
+    expect(result.message.items[0].highPrice).toBe(1653000);
+  });
+
+  it('should drop stream state for clients that disconnected', async() => {
+    const client = connect(connectionManager);
+    await stream.subscribeClient(client.clientId, { itemIds: [4151] });
+
+    connectionManager.unregisterClient(client.clientId);
+    await stream.publishPriceUpdates();
+
+    expect(stream.getStreamingStats().subscribedClients).toBe(0);
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * 🗂️ Model Registry Service Tests - Context7 Pattern
+ *
+ * Context7 Pattern: Service Testing with in-memory collections
+ * - Promotion keeps exactly one production model; rollbacks walk back through history
+ * - Promotion guards: unknown, retired or weightless models
+ * - Comparison replays both models over the same backtest window
+ * - LocalInferenceBackend follows the production model unless pinned
+ */
+
+const { ModelRegistryService, COMPARED_METRICS } = require('../../services/ai/ModelRegistryService');
+const { NeuralTradingAgentService } = require('../../services/NeuralTradingAgentService');
+const { BacktestService } = require('../../services/backtesting/BacktestService');
+const { LocalInferenceBackend } = require('../../services/ai/inference/LocalInferenceBackend');
+const { createCollection } = require('../helpers/mongooseFakes');
+
+jest.mock('../../utils/Logger');
+
+const NOW = Date.UTC(2024, 5, 1);
+const HOUR = 60 * 60 * 1000;
+const FEATURES = { itemId: 4151, currentPrice: 1500, volumeNormalized: 2, marginPercent: 8, volatility: 3, rsi: 45, timestamp: NOW };
+
+// A rising market for one item, with RSI swinging so agents have something to react to
+function createSnapshots() {
+  return Array.from({ length: 48 }, (unused, index) => ({
+    itemId: 4151,
+    interval: '1h',
+    timestamp: NOW - (48 - index) * HOUR,
+    highPrice: 1600 + index * 10,
+    lowPrice: 1500 + index * 10,
+    volume: 2000,
+    volatility: 3,
+    rsi: 30 + (index % 5) * 10,
+    macd: 0,
+    riskScore: 20
+  }));
+}
+
+describe('ModelRegistryService', () => {
+  let clock;
+  let metadataModel;
+  let weightsModel;
+  let promotionModel;
+  let registry;
+
+  const createAgent = (seed) => new NeuralTradingAgentService({ hiddenLayers: [8], seed }, { metadataModel, weightsModel, now: () => NOW });
+  const saveModels = async(...modelIds) => {
+    for (const [index, modelId] of modelIds.entries()) {
+      await createAgent(index + 1).saveModel({ modelId });
+    }
+  };
+  const productionIds = () => metadataModel.docs.filter(doc => doc.status === 'production').map(doc => doc.modelId);
+
+  beforeEach(() => {
+    let tick = NOW;
+    clock = () => ++tick;
+    metadataModel = createCollection({ now: clock });
+    weightsModel = createCollection({ now: clock });
+    promotionModel = createCollection({ now: clock });
+
+    const snapshots = createSnapshots();
+    const backtestService = new BacktestService({
+      snapshotModel: {
+        find: () => {
+          const chain = { select: () => chain, sort: () => chain, limit: () => chain, lean: async() => snapshots };
+          return chain;
+        }
+      },
+      itemModel: {
+        find: () => ({ select: () => ({ lean: async() => [{ itemId: 4151, buy_limit: 70 }] }) })
+      }
+    });
+
+    registry = new ModelRegistryService({
+      metadataModel,
+      weightsModel,
+      promotionModel,
+      backtestService,
+      productionCacheMs: 0,
+      now: clock
+    });
+  });
+
+  it('should keep one production model and roll back through promotion history', async() => {
+    await saveModels('dqn-a', 'dqn-b', 'dqn-c');
+    expect(await registry.getProductionModelId()).toBeNull();
+
+    expect(await registry.promoteModel('dqn-a', { promotedBy: 'alice' })).toMatchObject({
+      modelId: 'dqn-a', action: 'promote', replacedModelId: null, previousModelId: null, promotedBy: 'alice'
+    });
+    await registry.promoteModel('dqn-b');
+    await registry.promoteModel('dqn-c', { reason: 'better sharpe' });
+    expect(productionIds()).toEqual(['dqn-c']);
+    expect((await registry.getProductionModel()).modelId).toBe('dqn-c');
+
+    expect(await registry.rollback({ reason: 'regression' })).toMatchObject({
+      modelId: 'dqn-b', action: 'rollback', replacedModelId: 'dqn-c', previousModelId: 'dqn-a'
+    });
+    expect(productionIds()).toEqual(['dqn-b']);
+
+    // A second rollback keeps walking back instead of returning to dqn-c
+    await registry.rollback();
+    expect(productionIds()).toEqual(['dqn-a']);
+    await expect(registry.rollback()).rejects.toMatchObject({ statusCode: 409 });
+
+    const history = await registry.getPromotionHistory();
+    expect(history.map(event => `${event.action}:${event.modelId}`)).toEqual([
+      'rollback:dqn-a', 'rollback:dqn-b', 'promote:dqn-c', 'promote:dqn-b', 'promote:dqn-a'
+    ]);
+    expect((await registry.getModel('dqn-c')).history.map(event => event.action)).toEqual(['rollback', 'promote']);
+    expect(metadataModel.docs.find(doc => doc.modelId === 'dqn-c').status).toBe('testing');
+  });
+
+  it('should refuse to promote unknown, retired, live or weightless models', async() => {
+    await saveModels('dqn-a', 'dqn-b', 'dqn-c');
+    await metadataModel.updateOne({ modelId: 'dqn-b' }, { $set: { status: 'archived' } });
+    await weightsModel.deleteOne({ modelId: 'dqn-c' });
+
+    expect(await registry.promoteModel('dqn-missing')).toBeNull();
+    await expect(registry.promoteModel('dqn-b')).rejects.toMatchObject({ statusCode: 409 });
+    await expect(registry.promoteModel('dqn-c')).rejects.toMatchObject({ statusCode: 409 });
+    await expect(registry.rollback()).rejects.toMatchObject({ statusCode: 409 });
+
+    await registry.promoteModel('dqn-a');
+    await expect(registry.promoteModel('dqn-a')).rejects.toMatchObject({ statusCode: 409 });
+    await expect(registry.rollback()).rejects.toMatchObject({ statusCode: 409 });
+    expect(promotionModel.docs).toHaveLength(1);
+  });
+
+  it('should backtest both models on the same window and record the results', async() => {
+    await saveModels('dqn-a', 'dqn-b');
+    const window = { itemIds: [4151], interval: '1h', startTime: NOW - 48 * HOUR, endTime: NOW, initialCapital: 1000000 };
+
+    const comparison = await registry.compareModels({ ...window, baseModelId: 'dqn-a', candidateModelId: 'dqn-b' });
+
+    expect(comparison.window).toEqual({ ...window, snapshotCount: 48 });
+    expect(comparison.base.modelId).toBe('dqn-a');
+    expect(comparison.candidate.modelId).toBe('dqn-b');
+    for (const metric of COMPARED_METRICS.filter(name => name !== 'profitFactor')) {
+      expect(comparison.deltas[metric]).toBeCloseTo(comparison.candidate.backtest[metric] - comparison.base.backtest[metric]);
+    }
+    expect(comparison.base.backtest.bars).toBe(48);
+
+    const stored = metadataModel.docs.find(doc => doc.modelId === 'dqn-b').validationMetrics;
+    expect(stored.backtestPeriod.startDate).toEqual(new Date(window.startTime));
+    expect(stored.backtestResults.trades).toBe(comparison.candidate.backtest.tradeCount);
+    expect(comparison.candidate.validationMetrics).toEqual(stored);
+
+    // Replays are deterministic: the same model twice gives the same numbers
+    expect(comparison.sameRewardFunction).toBe(false);
+    const rewardFunction = { name: 'composite', version: '1.0.0', params: { profitScale: 1000000 } };
+    await metadataModel.updateMany({}, { $set: { rewardFunction } });
+    const again = await registry.compareModels({ ...window, baseModelId: 'dqn-b', candidateModelId: 'dqn-a' });
+    expect(again.base.backtest).toEqual(comparison.candidate.backtest);
+    expect(again.sameRewardFunction).toBe(true);
+    expect(again.base.rewardFunction).toEqual(rewardFunction);
+
+    await expect(registry.compareModels({ ...window, baseModelId: 'dqn-a', candidateModelId: 'dqn-a' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(registry.compareModels({ ...window, baseModelId: 'dqn-a', candidateModelId: 'dqn-x' }))
+      .rejects.toMatchObject({ statusCode: 404, details: { missing: ['dqn-x'] } });
+    await expect(registry.compareModels({ ...window, startTime: NOW, baseModelId: 'dqn-a', candidateModelId: 'dqn-b' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('should make local inference follow the production model unless pinned', async() => {
+    await saveModels('dqn-a', 'dqn-b');
+    const backend = new LocalInferenceBackend({ agent: createAgent(9), registry });
+
+    expect((await backend.predict(FEATURES)).modelVersion).toBeNull();
+
+    await registry.promoteModel('dqn-a');
+    expect((await backend.predict(FEATURES)).modelVersion).toBe('dqn-a');
+    await registry.promoteModel('dqn-b');
+    expect((await backend.predict(FEATURES)).modelVersion).toBe('dqn-b');
+
+    await backend.pinModel('dqn-a');
+    await registry.rollback();
+    await registry.promoteModel('dqn-b');
+    expect((await backend.predict(FEATURES)).modelVersion).toBe('dqn-a');
+    expect(backend.getStatus()).toMatchObject({ pinnedModelId: 'dqn-a', followsProduction: false });
+
+    expect(await backend.pinModel(null)).toMatchObject({ modelId: 'dqn-b' });
+
+    // A registry outage keeps the current weights serving
+    metadataModel.findOne.mockImplementation(() => {
+      throw new Error('connection lost');
+    });
+    expect((await backend.predict(FEATURES)).modelVersion).toBe('dqn-b');
+  });
+});
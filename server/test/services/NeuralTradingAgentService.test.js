@@ -0,0 +1,209 @@
+/**
+ * 🧠 Neural Trading Agent Service Tests - Context7 Pattern
+ *
+ * Context7 Pattern: Service Testing without a database
+ * - Backpropagation matches numeric gradients and training learns a simple trend/action mapping
+ * - Double-DQN targets, prioritized sampling and seeded reproducibility
+ * - Versioned serialization and AIModelMetadata-linked persistence
+ */
+
+const { NeuralTradingAgentService, MODEL_FORMAT_VERSION } = require('../../services/NeuralTradingAgentService');
+const { NeuralNetwork } = require('../../services/ai/neural/NeuralNetwork');
+const { PrioritizedReplayBuffer } = require('../../services/ai/neural/PrioritizedReplayBuffer');
+const { SeededRandom } = require('../../services/ai/neural/SeededRandom');
+const { chain } = require('../helpers/mongooseFakes');
+
+jest.mock('../../utils/Logger');
+
+const NOW = Date.UTC(2024, 5, 1);
+const SMALL_CONFIG = { hiddenLayers: [16], batchSize: 16, learningRate: 0.01, seed: 42 };
+
+function createAgent(config = {}, dependencies = {}) {
+  return new NeuralTradingAgentService({ ...SMALL_CONFIG, ...config }, { now: () => NOW, ...dependencies });
+}
+
+// One-step episodes: BUY pays in an uptrend, SELL in a downtrend, anything else costs
+function memorizeTrendExperiences(agent, count) {
+  for (let index = 0; index < count; index++) {
+    const trend = index % 2 === 0 ? 'UP' : 'DOWN';
+    const action = ['BUY', 'SELL', 'HOLD'][index % 3];
+    const state = { price: 1000, volume: 500, spread: 2, volatility: 1, rsi: 50, macd: 0, trend, timestamp: NOW };
+    const correct = (trend === 'UP' && action === 'BUY') || (trend === 'DOWN' && action === 'SELL');
+    agent.memorizeExperience({ state, action: { type: action }, reward: correct ? 1 : -1, nextState: state, done: true });
+  }
+}
+
+describe('NeuralTradingAgentService', () => {
+  it('should backpropagate gradients that match numeric differentiation', () => {
+    const network = new NeuralNetwork([3, 4, 2], { random: new SeededRandom(7) });
+    const input = [0.5, -0.3, 0.8];
+    const outputGradient = [1, -0.5];
+    const lossOf = (net) => net.forward(input).reduce((sum, value, index) => sum + value * outputGradient[index], 0);
+
+    const gradients = network.backward(network.forwardWithCache(input), outputGradient, network.createGradients());
+
+    const step = 1e-6;
+    [[0, 1, 2], [1, 0, 3]].forEach(([layerIndex, outputIndex, inputIndex]) => {
+      const row = network.layers[layerIndex].weights[outputIndex];
+      const original = row[inputIndex];
+      row[inputIndex] = original + step;
+      const plus = lossOf(network);
+      row[inputIndex] = original - step;
+      const minus = lossOf(network);
+      row[inputIndex] = original;
+      expect(gradients[layerIndex].weights[outputIndex][inputIndex]).toBeCloseTo((plus - minus) / (2 * step), 5);
+    });
+  });
+
+  it('should learn which action pays for each trend and reduce its loss', async() => {
+    const agent = createAgent({ tau: 0.05 });
+    memorizeTrendExperiences(agent, 60);
+
+    const firstLoss = await agent.trainOnBatch();
+    let lastLoss = firstLoss;
+    for (let step = 0; step < 400; step++) {
+      lastLoss = await agent.trainOnBatch();
+    }
+
+    expect(lastLoss).toBeLessThan(firstLoss / 4);
+    expect(agent.totalSteps).toBe(401);
+    expect(agent.epsilon).toBeCloseTo(Math.pow(0.995, 401));
+
+    agent.epsilon = 0;
+    const base = { price: 1000, volume: 500, spread: 2, volatility: 1, rsi: 50, macd: 0, timestamp: NOW };
+    expect((await agent.predict({ ...base, trend: 'UP', itemId: 1 })).action.type).toBe('BUY');
+    expect((await agent.predict({ ...base, trend: 'DOWN', itemId: 1 })).action.type).toBe('SELL');
+  });
+
+  it('should train to identical weights from the same seed', async() => {
+    const train = async(seed) => {
+      const agent = createAgent({ seed, optimizer: 'sgd' });
+      memorizeTrendExperiences(agent, 40);
+      for (let step = 0; step < 20; step++) {
+        await agent.trainOnBatch();
+      }
+      return agent.serializeModel();
+    };
+
+    const first = await train(123);
+    expect(await train(123)).toEqual(first);
+    expect((await train(124)).onlineNetwork).not.toEqual(first.onlineNetwork);
+  });
+
+  it('should value the online network\'s next action with the target network (Double DQN)', () => {
+    const agent = createAgent({ gamma: 0.9 });
+    agent.onlineNetwork.forward = jest.fn(() => [1, 5, 2]);
+    agent.targetNetwork.forward = jest.fn(() => [3, 0.5, 4]);
+    const experience = { reward: 1, done: false, nextStateVector: [] };
+
+    expect(agent.calculateTargetValue(experience)).toBeCloseTo(1 + 0.9 * 0.5);
+    expect(agent.calculateTargetValue({ ...experience, done: true })).toBe(1);
+
+    agent.config.doubleDqn = false;
+    expect(agent.calculateTargetValue(experience)).toBeCloseTo(1 + 0.9 * 4);
+  });
+
+  it('should sample high-error experiences more often with normalised importance weights', () => {
+    const buffer = new PrioritizedReplayBuffer({ capacity: 8, alpha: 1, beta: 0.5 }, new SeededRandom(1));
+    for (let index = 0; index < 10; index++) {
+      buffer.add({ id: index });
+    }
+    // Ring buffer kept the newest eight
+    expect(buffer.toArray().map(experience => experience.id)).toEqual([2, 3, 4, 5, 6, 7, 8, 9]);
+
+    buffer.updatePriorities([0, 1, 2, 3, 4, 5, 6, 7], [10, 0.1, 0.1, 0.1, 0.1, 0.1, 0.1, 0.1]);
+    const { experiences, weights } = buffer.sample(8);
+    const hot = experiences.filter(experience => experience.id === 8).length;
+
+    expect(hot).toBeGreaterThanOrEqual(7);
+    expect(Math.max(...weights)).toBe(1);
+    expect(weights[experiences.findIndex(experience => experience.id === 8)]).toBeLessThan(1);
+  });
+
+  it('should round-trip the versioned format and resume training identically', async() => {
+    const agent = createAgent();
+    memorizeTrendExperiences(agent, 40);
+    await agent.trainOnBatch();
+    await agent.trainOnBatch();
+
+    const restored = createAgent({ seed: 999, hiddenLayers: [4] });
+    const info = await restored.loadModel(JSON.stringify(agent.serializeModel()));
+
+    expect(info).toMatchObject({ architecture: '8 -> 16 -> 3', totalParameters: 8 * 16 + 16 + 16 * 3 + 3, formatVersion: MODEL_FORMAT_VERSION, totalSteps: 2 });
+    expect(restored.serializeModel()).toEqual(agent.serializeModel());
+
+    // Same replay contents, optimizer moments and generator state: the next step matches too
+    memorizeTrendExperiences(restored, 40);
+    agent.memory.clear();
+    memorizeTrendExperiences(agent, 40);
+    expect(await restored.trainOnBatch()).toBe(await agent.trainOnBatch());
+    expect(restored.serializeModel()).toEqual(agent.serializeModel());
+
+    await expect(restored.loadModel(JSON.stringify({ onlineNetwork: [[0.1]], epsilon: 0.5 })))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(restored.loadModel('{not json')).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  describe('model persistence', () => {
+    let stored;
+    let metadataModel;
+    let weightsModel;
+
+    beforeEach(() => {
+      stored = { metadata: null, weights: null };
+      metadataModel = {
+        findOne: jest.fn(() => chain(stored.metadata)),
+        create: jest.fn(async(record) => {
+          stored.metadata = record;
+          return record;
+        })
+      };
+      weightsModel = {
+        findOne: jest.fn(() => chain(stored.weights)),
+        create: jest.fn(async(record) => {
+          stored.weights = record;
+          return record;
+        }),
+        deleteOne: jest.fn().mockResolvedValue({ deletedCount: 1 })
+      };
+    });
+
+    it('should save weights linked to an AIModelMetadata record and load them back', async() => {
+      const agent = createAgent({}, { metadataModel, weightsModel });
+      memorizeTrendExperiences(agent, 20);
+      await agent.trainOnBatch();
+
+      const saved = await agent.saveModel({ modelId: 'dqn-test', version: '1.2.0', tags: ['test'] });
+
+      expect(saved).toMatchObject({ modelId: 'dqn-test', version: '1.2.0', storagePath: 'neural_model_weights/dqn-test', formatVersion: MODEL_FORMAT_VERSION });
+      expect(stored.weights).toMatchObject({ modelId: 'dqn-test', formatVersion: MODEL_FORMAT_VERSION, checksum: saved.checksum });
+      expect(stored.metadata).toMatchObject({
+        modelId: 'dqn-test',
+        storagePath: saved.storagePath,
+        checksum: saved.checksum,
+        storageSize: stored.weights.data.length,
+        technicalMetrics: { parameters: 195, averageLoss: agent.lastLoss, learningRate: 0.01 },
+        modelConfig: { architecture: '8 -> 16 -> 3', trainingParameters: { optimizer: 'adam', seed: 42, totalSteps: 1 } }
+      });
+
+      const fresh = createAgent({ seed: 7 }, { metadataModel, weightsModel });
+      const loaded = await fresh.loadSavedModel('dqn-test');
+      expect(loaded).toMatchObject({ modelId: 'dqn-test', version: '1.2.0', totalSteps: 1 });
+      expect(fresh.serializeModel().onlineNetwork).toEqual(agent.serializeModel().onlineNetwork);
+    });
+
+    it('should reject taken model ids and tampered weights', async() => {
+      const agent = createAgent({}, { metadataModel, weightsModel });
+      await agent.saveModel({ modelId: 'dqn-test' });
+
+      await expect(agent.saveModel({ modelId: 'dqn-test' })).rejects.toMatchObject({ statusCode: 409 });
+      await expect(agent.saveModel({ modelId: 'bad id' })).rejects.toMatchObject({ statusCode: 400 });
+
+      stored.weights = { ...stored.weights, data: stored.weights.data.replace('"epsilon":1', '"epsilon":0.5') };
+      await expect(agent.loadSavedModel('dqn-test')).rejects.toMatchObject({ statusCode: 500 });
+
+      stored.metadata = null;
+      expect(await agent.loadSavedModel('dqn-test')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * ⚗️ Recipe Profit Service Tests - Context7 Pattern
+ *
+ * Context7 Pattern: Service Testing without a database or the Wiki API
+ * - Registries load from JSON and YAML and reject malformed recipes
+ * - Margin subtracts input prices, coin costs and GE tax on the outputs
+ * - Throughput is capped by the scarcest input's 4-hour buy limit
+ */
+
+const { RecipeProfitService } = require('../../services/recipes/RecipeProfitService');
+const { RecipeRegistry, DEFAULT_RECIPES_FILE } = require('../../services/recipes/RecipeRegistry');
+
+jest.mock('../../utils/Logger');
+
+const RECIPES = [
+  {
+    id: 'ranarr-potion-unf',
+    name: 'Ranarr potion (unf)',
+    skill: 'herblore',
+    inputs: [{ itemId: 257, quantity: 1 }, { itemId: 227, quantity: 1 }],
+    outputs: [{ itemId: 99, quantity: 1 }]
+  },
+  {
+    id: 'steel-bar',
+    name: 'Steel bar',
+    skill: 'smithing',
+    inputs: [{ itemId: 440, quantity: 1 }, { itemId: 453, quantity: 2 }],
+    outputs: [{ itemId: 2353, quantity: 1 }]
+  },
+  {
+    id: 'oak-plank',
+    name: 'Oak plank (sawmill)',
+    skill: 'construction',
+    inputs: [{ itemId: 1521, quantity: 1 }],
+    outputs: [{ itemId: 8778, quantity: 1 }],
+    coinCost: 250
+  }
+];
+
+const MAPPING = [
+  { id: 257, name: 'Ranarr weed', limit: 13000 },
+  { id: 227, name: 'Vial of water', limit: 10000 },
+  { id: 99, name: 'Ranarr potion (unf)', limit: 10000 },
+  { id: 440, name: 'Iron ore', limit: 25000 },
+  { id: 453, name: 'Coal', limit: 13000 },
+  { id: 2353, name: 'Steel bar', limit: 10000 },
+  { id: 1521, name: 'Oak logs', limit: 15000 },
+  { id: 8778, name: 'Oak plank', limit: 13000 }
+];
+
+const PRICES = {
+  257: { high: 7000, low: 6900 },
+  227: { high: 5, low: 4 },
+  99: { high: 7400, low: 7300 },
+  440: { high: 100, low: 95 },
+  453: { high: 150, low: 145 },
+  2353: { high: 520, low: 500 },
+  1521: { high: 60, low: 55 },
+  8778: { high: 350, low: 340 }
+};
+
+describe('RecipeProfitService', () => {
+  let osrsWikiService;
+  let service;
+
+  function createService(prices = PRICES, recipes = RECIPES) {
+    osrsWikiService = {
+      getLatestPrices: jest.fn().mockResolvedValue({ data: prices, timestamp: 1700000000 }),
+      getItemMapping: jest.fn().mockResolvedValue(MAPPING)
+    };
+    return new RecipeProfitService({
+      osrsWikiService,
+      registry: new RecipeRegistry(recipes),
+      now: () => 1700000000000
+    });
+  }
+
+  beforeEach(() => {
+    service = createService();
+  });
+
+  it('should subtract input prices, coin costs and GE tax on the outputs', async() => {
+    const result = await service.getRankedRecipes({ sortBy: 'margin' });
+
+    // Ranarr: 7300 - 146 tax - 7000 - 5; steel: 500 - 100 - 300; oak: 340 - 60 - 250
+    expect(result.recipes.map(recipe => [recipe.id, recipe.margin])).toEqual([
+      ['ranarr-potion-unf', 149],
+      ['steel-bar', 100],
+      ['oak-plank', 30]
+    ]);
+    expect(result.recipes[0]).toMatchObject({ rank: 1, tax: 146, inputCost: 7005, revenue: 7154 });
+  });
+
+  it('should cap throughput by the scarcest input buy limit', async() => {
+    const recipe = await service.getRecipe('steel-bar');
+
+    // 13000 coal per 4 hours at 2 per bar
+    expect(recipe).toMatchObject({
+      actionsPerHour: 1625,
+      profitPerHour: 162500,
+      limitedBy: { type: 'buyLimit', itemId: 453, name: 'Coal' }
+    });
+  });
+
+  it('should price with patient offers when requested', async() => {
+    const recipe = await service.getRecipe('oak-plank', { pricing: 'offer' });
+
+    expect(recipe.inputs[0].price).toBe(55);
+    expect(recipe.outputs[0].price).toBe(350);
+    expect(recipe.margin).toBe(45);
+  });
+
+  it('should list recipes with missing prices separately and filter by skill', async() => {
+    const withoutPotion = { ...PRICES };
+    delete withoutPotion[99];
+    service = createService(withoutPotion);
+
+    const result = await service.getRankedRecipes();
+    expect(result.recipes.map(recipe => recipe.id)).toEqual(['steel-bar', 'oak-plank']);
+    expect(result.unpriced).toEqual([{ id: 'ranarr-potion-unf', name: 'Ranarr potion (unf)', missingItemIds: [99] }]);
+
+    const smithing = await service.getRankedRecipes({ skill: 'smithing' });
+    expect(smithing.recipes.map(recipe => recipe.id)).toEqual(['steel-bar']);
+    expect(smithing.totalRecipes).toBe(1);
+  });
+
+  it('should load registries from YAML and reject malformed recipes', () => {
+    const registry = RecipeRegistry.parse([
+      'recipes:',
+      '  - id: cut-ruby',
+      '    name: Ruby',
+      '    inputs: [{ itemId: 1619, quantity: 1 }]',
+      '    outputs: [{ itemId: 1603 }]'
+    ].join('\n'), 'yaml');
+
+    expect(registry.get('cut-ruby')).toMatchObject({ coinCost: 0, outputs: [{ itemId: 1603, quantity: 1 }] });
+    expect(() => new RecipeRegistry([{ ...RECIPES[0], inputs: [] }]))
+      .toThrow('Invalid recipe \'ranarr-potion-unf\': inputs must be a non-empty list');
+    expect(() => new RecipeRegistry([RECIPES[1], RECIPES[1]])).toThrow('Duplicate recipe id \'steel-bar\'');
+  });
+
+  it('should ship a valid default registry', () => {
+    expect(RecipeRegistry.fromFile(DEFAULT_RECIPES_FILE).size).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * 🔖 Saved Search Service Tests - Context7 Pattern
+ *
+ * Context7 Pattern: Service Testing without a database
+ * - Criteria normalization and notification target validation before persisting
+ * - Scheduled runs record a baseline, then diff entered/left items and notify
+ * - Scheduled runs diff every matching item; manual searches count beyond the limit
+ * - Failing searches are isolated from the rest of the schedule
+ */
+
+const { SavedSearchService } = require('../../services/search/SavedSearchService');
+const { MarketSearchService } = require('../../services/search/MarketSearchService');
+const { SavedSearchModel } = require('../../models/SavedSearchModel');
+
+jest.mock('../../utils/Logger');
+
+const NOW = Date.UTC(2024, 0, 3, 12);
+
+function savedSearch(overrides = {}) {
+  const doc = new SavedSearchModel({
+    name: 'Cheap high-margin',
+    userId: 'user_default_001',
+    criteria: { maxPrice: 100000, minMargin: 5 },
+    schedule: { enabled: true, webhook: 'https://hooks.example.com/search' },
+    ...overrides
+  });
+  doc.save = jest.fn().mockResolvedValue(doc);
+  return doc;
+}
+
+function results(...itemIds) {
+  return { results: itemIds.map(itemId => ({ itemId, name: `Item ${itemId}` })), totalCount: itemIds.length };
+}
+
+describe('SavedSearchService', () => {
+  let savedSearchModel;
+  let marketSearchService;
+  let notificationService;
+  let service;
+
+  beforeEach(() => {
+    savedSearchModel = {
+      create: jest.fn(data => Promise.resolve({ id: 'search-1', ...data })),
+      findScheduled: jest.fn().mockResolvedValue([])
+    };
+    marketSearchService = new MarketSearchService({ snapshotModel: { aggregate: jest.fn() } });
+    jest.spyOn(marketSearchService, 'search');
+    notificationService = { sendSystemAlert: jest.fn().mockResolvedValue({ success: true, deliveries: [] }) };
+    service = new SavedSearchService({
+      savedSearchModel,
+      marketSearchService,
+      notificationService,
+      now: () => NOW
+    });
+  });
+
+  it('should store normalized criteria with visibility and schedule', async() => {
+    await service.createSavedSearch({
+      name: 'Members flips',
+      criteria: { minPrice: '1000', members: 'true', sortBy: 'volume', unknown: 'dropped' },
+      userId: 'user_default_001',
+      isPublic: true,
+      schedule: { enabled: true }
+    });
+
+    const stored = savedSearchModel.create.mock.calls[0][0];
+    expect(stored.visibility).toBe('public');
+    expect(stored.schedule).toEqual({ enabled: true, email: null, webhook: null });
+    expect(stored.criteria).toMatchObject({ minPrice: 1000, members: true, sortBy: 'volume', sortOrder: 'desc', limit: 50 });
+    expect(stored.criteria).not.toHaveProperty('unknown');
+  });
+
+  it('should reject inverted ranges before saving', async() => {
+    await expect(service.createSavedSearch({
+      name: 'Broken',
+      criteria: { minVolume: 500, maxVolume: 100 }
+    })).rejects.toThrow('minVolume must not be greater than maxVolume');
+    expect(savedSearchModel.create).not.toHaveBeenCalled();
+  });
+
+  it('should reject notification targets that are not an email address or http(s) URL', async() => {
+    const create = (schedule) => service.createSavedSearch({ name: 'Targets', criteria: {}, schedule });
+
+    await expect(create({ email: 'owner@example.com>\r\nRCPT TO:<attacker@example.com' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(create({ webhook: 'file:///etc/passwd' })).rejects.toMatchObject({ statusCode: 400 });
+    expect(savedSearchModel.create).not.toHaveBeenCalled();
+
+    savedSearchModel.findOne = jest.fn();
+    await expect(service.updateSchedule('507f1f77bcf86cd799439011', 'user_default_001', { email: 'owner\n@example.com' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(savedSearchModel.findOne).not.toHaveBeenCalled();
+
+    await create({ email: 'owner@example.com', webhook: 'https://hooks.example.com/search' });
+    expect(savedSearchModel.create.mock.calls[0][0].schedule).toMatchObject({ email: 'owner@example.com' });
+    expect(new SavedSearchModel({ name: 'x', userId: 'u', schedule: { email: 'not an email' } }).validateSync().errors)
+      .toHaveProperty(['schedule.email']);
+  });
+
+  it('should record a baseline on the first scheduled run without notifying', async() => {
+    const search = savedSearch();
+    savedSearchModel.findScheduled.mockResolvedValue([search]);
+    marketSearchService.search.mockResolvedValue(results(4151, 560));
+
+    const summary = await service.runScheduledSearches();
+
+    expect(summary).toEqual({ evaluated: 1, changed: 0, failed: 0 });
+    expect(search.lastResultItemIds).toEqual([4151, 560]);
+    expect(search.lastRunAt).toEqual(new Date(NOW));
+    expect(search.save).toHaveBeenCalled();
+    expect(notificationService.sendSystemAlert).not.toHaveBeenCalled();
+  });
+
+  it('should notify which items entered or left the result set', async() => {
+    const search = savedSearch({ lastRunAt: new Date(NOW - 300000), lastResultItemIds: [4151, 560] });
+    savedSearchModel.findScheduled.mockResolvedValue([search]);
+    marketSearchService.search.mockResolvedValue(results(560, 11802));
+
+    const summary = await service.runScheduledSearches();
+
+    expect(summary.changed).toBe(1);
+    expect(search.changes).toHaveLength(1);
+    expect(search.changes[0]).toMatchObject({ entered: [11802], left: [4151], resultCount: 2 });
+    expect(notificationService.sendSystemAlert).toHaveBeenCalledWith(
+      'Saved search "Cheap high-margin": 1 item(s) entered, 1 item(s) left',
+      expect.objectContaining({ entered: [11802], enteredNames: ['Item 11802'], left: [4151] }),
+      { priority: 'low', recipients: { webhooks: 'https://hooks.example.com/search', emails: null } }
+    );
+  });
+
+  it('should diff scheduled runs over every matching item rather than the top rows', async() => {
+    const search = savedSearch({ criteria: { minMargin: 5, limit: 2 } });
+    savedSearchModel.findScheduled.mockResolvedValue([search]);
+    marketSearchService.snapshotModel.aggregate.mockResolvedValue([
+      { itemId: 4151, name: 'Abyssal whip' },
+      { itemId: 560, name: 'Death rune' },
+      { itemId: 11802, name: 'Armadyl godsword' }
+    ]);
+
+    await service.runScheduledSearches();
+
+    expect(marketSearchService.search).toHaveBeenCalledWith(search.criteria, { allMatches: true });
+    const pipeline = marketSearchService.snapshotModel.aggregate.mock.calls[0][0];
+    expect(pipeline.some(stage => stage.$limit || stage.$facet)).toBe(false);
+    expect(search.lastResultItemIds).toEqual([4151, 560, 11802]);
+  });
+
+  it('should count every match while returning only the limited rows', async() => {
+    marketSearchService.snapshotModel.aggregate.mockResolvedValue([
+      { results: [{ itemId: 4151 }, { itemId: 560 }], total: [{ count: 37 }] }
+    ]);
+
+    const result = await marketSearchService.search({ limit: 2 });
+
+    const pipeline = marketSearchService.snapshotModel.aggregate.mock.calls[0][0];
+    expect(pipeline[pipeline.length - 1]).toEqual({
+      $facet: { results: [{ $limit: 2 }], total: [{ $count: 'count' }] }
+    });
+    expect(result.results).toHaveLength(2);
+    expect(result.totalCount).toBe(37);
+
+    marketSearchService.snapshotModel.aggregate.mockResolvedValue([{ results: [], total: [] }]);
+    expect((await marketSearchService.search({ limit: 2 })).totalCount).toBe(0);
+  });
+
+  it('should keep running other scheduled searches when one fails', async() => {
+    const failing = savedSearch({ name: 'Failing' });
+    const unchanged = savedSearch({ lastRunAt: new Date(NOW - 300000), lastResultItemIds: [4151] });
+    savedSearchModel.findScheduled.mockResolvedValue([failing, unchanged]);
+    marketSearchService.search
+      .mockRejectedValueOnce(new Error('aggregate failed'))
+      .mockResolvedValueOnce(results(4151));
+
+    const summary = await service.runScheduledSearches();
+
+    expect(summary).toEqual({ evaluated: 1, changed: 0, failed: 1 });
+    expect(unchanged.changes).toHaveLength(0);
+    expect(notificationService.sendSystemAlert).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * 🧩 Set Arbitrage Service Tests - Context7 Pattern
+ *
+ * Context7 Pattern: Service Testing without a database or the Wiki API
+ * - Both exchange directions are priced with GE tax on whatever is sold
+ * - Packs can only be split; volume is capped by the buy limit of what is bought
+ * - Risk grows with the age of the oldest price used
+ */
+
+const { SetArbitrageService } = require('../../services/sets/SetArbitrageService');
+const { DEFAULT_ITEM_SETS } = require('../../config/ItemSetDefinitions');
+
+jest.mock('../../utils/Logger');
+
+const NOW = Date.UTC(2024, 0, 3, 12);
+const FRESH = NOW / 1000 - 60;
+
+const RUNE_SET = {
+  setItemId: 13024,
+  name: 'Rune armour set (lg)',
+  type: 'armour_set',
+  reversible: true,
+  components: [
+    { itemId: 1163, name: 'Rune full helm', quantity: 1 },
+    { itemId: 1127, name: 'Rune platebody', quantity: 1 },
+    { itemId: 1079, name: 'Rune platelegs', quantity: 1 },
+    { itemId: 1201, name: 'Rune kiteshield', quantity: 1 }
+  ]
+};
+
+const FEATHER_PACK = {
+  setItemId: 11881,
+  name: 'Feather pack',
+  type: 'pack',
+  reversible: false,
+  components: [{ itemId: 314, name: 'Feather', quantity: 100 }]
+};
+
+const MAPPING = [
+  { id: 13024, name: 'Rune armour set (lg)', limit: 8 },
+  { id: 1163, name: 'Rune full helm', limit: 70 },
+  { id: 1127, name: 'Rune platebody', limit: 70 },
+  { id: 1079, name: 'Rune platelegs', limit: 70 },
+  { id: 1201, name: 'Rune kiteshield', limit: 70 },
+  { id: 11881, name: 'Feather pack', limit: 100 },
+  { id: 314, name: 'Feather', limit: 30000 }
+];
+
+function quote(high, low, time = FRESH) {
+  return { high, highTime: time, low, lowTime: time };
+}
+
+describe('SetArbitrageService', () => {
+  let setModel;
+  let prices;
+  let service;
+
+  beforeEach(() => {
+    prices = {
+      13024: quote(150000, 145000),
+      1163: quote(21000, 20500),
+      1127: quote(38500, 38000),
+      1079: quote(37500, 37000),
+      1201: quote(32500, 32000),
+      11881: quote(250, 240),
+      314: quote(4, 3)
+    };
+    setModel = {
+      countDocuments: jest.fn().mockResolvedValue(2),
+      insertMany: jest.fn().mockResolvedValue([]),
+      find: jest.fn(() => ({ sort: () => ({ lean: jest.fn().mockResolvedValue([RUNE_SET, FEATHER_PACK]) }) }))
+    };
+    const osrsWikiService = {
+      getLatestPrices: jest.fn(() => Promise.resolve({ data: prices, timestamp: NOW })),
+      getItemMapping: jest.fn().mockResolvedValue(MAPPING)
+    };
+    service = new SetArbitrageService({ setModel, osrsWikiService, now: () => NOW });
+  });
+
+  it('should tax the set once when combining and cap volume by the component buy limits', async() => {
+    const result = await service.findOpportunities({ direction: 'combine' });
+
+    // 145000 - 2900 tax - (21000 + 38500 + 37500 + 32500)
+    expect(result.opportunities).toHaveLength(1);
+    expect(result.opportunities[0]).toMatchObject({
+      setItemId: 13024,
+      direction: 'combine',
+      buyPrice: 129500,
+      sellPrice: 145000,
+      tax: 2900,
+      profit: 12600,
+      maxPerWindow: 70,
+      potentialProfit: 882000,
+      riskLevel: 'LOW'
+    });
+  });
+
+  it('should tax every component sold when splitting and never combine packs', async() => {
+    prices[13024] = quote(120000, 118000);
+    prices[314] = quote(4, 4);
+
+    const result = await service.findOpportunities({ direction: 'split' });
+
+    // Rune set: 20500 + 38000 + 37000 + 32000 - (410 + 760 + 740 + 640) tax - 120000
+    expect(result.opportunities.map(row => [row.setItemId, row.profit])).toEqual([
+      [13024, 4950],
+      [11881, 150]
+    ]);
+    expect(result.opportunities[1]).toMatchObject({ tax: 0, maxPerWindow: 100 });
+
+    const combined = await service.findOpportunities({ minProfit: -Infinity });
+    expect(combined.opportunities.filter(row => row.setItemId === 11881).map(row => row.direction)).toEqual(['split']);
+  });
+
+  it('should list sets with missing prices and grade risk by price age', async() => {
+    delete prices[1201];
+    prices[11881] = quote(250, 240, NOW / 1000 - 2 * 60 * 60);
+
+    const result = await service.findOpportunities();
+
+    expect(result.unpriced).toEqual([{ setItemId: 13024, name: 'Rune armour set (lg)' }]);
+    expect(result.opportunities).toHaveLength(1);
+    expect(result.opportunities[0]).toMatchObject({ setItemId: 11881, profit: 50, riskLevel: 'HIGH' });
+  });
+
+  it('should seed the default definitions into an empty collection', async() => {
+    setModel.countDocuments.mockResolvedValue(0);
+
+    await service.getSets();
+
+    expect(setModel.insertMany).toHaveBeenCalledWith(DEFAULT_ITEM_SETS);
+  });
+
+  it('should reject sets that contain themselves', async() => {
+    await expect(service.upsertSet(13024, { name: 'Loop', components: [{ itemId: 13024 }] }))
+      .rejects.toThrow('A set cannot be one of its own components');
+  });
+});
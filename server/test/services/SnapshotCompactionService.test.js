@@ -0,0 +1,115 @@
+/**
+ * 🗜️ Snapshot Compaction Service Tests - Context7 Pattern
+ *
+ * Context7 Pattern: Service Testing without a database
+ * - Past-retention days are rolled into volume-weighted coarser buckets, then deleted
+ * - Existing coarser buckets are never overwritten and checkpoints advance one day at a time
+ * - Each run compacts at most MAX_DAYS_PER_RUN days per tier
+ */
+
+const { SnapshotCompactionService } = require('../../services/retention/SnapshotCompactionService');
+const TimeConstants = require('../../utils/TimeConstants');
+const { chain } = require('../helpers/mongooseFakes');
+
+jest.mock('../../utils/Logger');
+
+const NOW = Date.UTC(2024, 5, 20, 9, 30);
+const DAY = TimeConstants.ONE_DAY;
+// 5m retention of 10 days puts the cutoff at the start of June 10th
+const CUTOFF = Date.UTC(2024, 5, 10);
+
+describe('SnapshotCompactionService', () => {
+  let oldest;
+  let snapshotModel;
+  let checkpointModel;
+  let service;
+
+  beforeEach(() => {
+    oldest = { '5m': { timestamp: CUTOFF - 2 * DAY + 5 * TimeConstants.FIVE_MINUTES }, '1h': null };
+
+    snapshotModel = {
+      findOne: jest.fn((query) => chain(oldest[query.interval])),
+      aggregate: jest.fn(async([{ $match }]) => ($match.interval === '5m' && $match.timestamp.$gte === CUTOFF - 2 * DAY
+        ? [
+          // Three 5m points: 100/90 x 10, 120/110 x 30, 1000/900 x 0 volume
+          { _id: { itemId: 4151, bucket: CUTOFF - 2 * DAY }, points: 3, sumHigh: 1220, sumLow: 1100, weightedHigh: 4600, weightedLow: 4200, volume: 40 },
+          { _id: { itemId: 560, bucket: CUTOFF - 2 * DAY }, points: 2, sumHigh: 401, sumLow: 380, weightedHigh: 0, weightedLow: 0, volume: 0 }
+        ]
+        : [])),
+      bulkWrite: jest.fn(async(operations) => ({ upsertedCount: operations.length })),
+      deleteMany: jest.fn().mockResolvedValue({ deletedCount: 5 })
+    };
+    checkpointModel = {
+      findOne: jest.fn(() => chain(null)),
+      find: jest.fn(() => chain([])),
+      updateOne: jest.fn().mockResolvedValue({})
+    };
+    service = new SnapshotCompactionService({
+      snapshotModel,
+      checkpointModel,
+      retention: { FIVE_MINUTE_DAYS: 10, HOURLY_DAYS: 90, MAX_DAYS_PER_RUN: 7 },
+      now: () => NOW
+    });
+  });
+
+  it('should roll past-retention days into weighted buckets without replacing existing ones', async() => {
+    const run = await service.runCompaction();
+
+    expect(run.tiers[0]).toMatchObject({ tier: '5m->1h', cutoff: CUTOFF, days: 2, bucketsWritten: 2, snapshotsDeleted: 10, compactedThrough: CUTOFF });
+    expect(run.tiers[1]).toMatchObject({ tier: '1h->24h', days: 0 });
+
+    const operations = snapshotModel.bulkWrite.mock.calls[0][0];
+    expect(operations[0].updateOne).toEqual({
+      filter: { itemId: 4151, interval: '1h', timestamp: CUTOFF - 2 * DAY },
+      update: { $setOnInsert: { itemId: 4151, interval: '1h', timestamp: CUTOFF - 2 * DAY, highPrice: 115, lowPrice: 105, volume: 40, source: 'calculated' } },
+      upsert: true
+    });
+    // No volume: plain average
+    expect(operations[1].updateOne.update.$setOnInsert).toMatchObject({ highPrice: 201, lowPrice: 190, volume: 0 });
+
+    expect(snapshotModel.deleteMany).toHaveBeenCalledWith({ interval: '5m', timestamp: { $gte: CUTOFF - 2 * DAY, $lt: CUTOFF - DAY } });
+  });
+
+  it('should advance the checkpoint only after a day is rolled up and deleted', async() => {
+    await service.runCompaction();
+
+    const calls = checkpointModel.updateOne.mock.calls;
+    expect(calls.map(([filter, update]) => [filter.tier, update.$set.compactedThrough])).toEqual([
+      ['5m->1h', CUTOFF - DAY],
+      ['5m->1h', CUTOFF]
+    ]);
+    expect(calls[0][1].$inc).toEqual({ 'totals.days': 1, 'totals.bucketsWritten': 2, 'totals.snapshotsDeleted': 5 });
+    expect(calls[0][2]).toEqual({ upsert: true });
+
+    const firstDelete = snapshotModel.deleteMany.mock.invocationCallOrder[0];
+    expect(snapshotModel.bulkWrite.mock.invocationCallOrder[0]).toBeLessThan(firstDelete);
+    expect(checkpointModel.updateOne.mock.invocationCallOrder[0]).toBeGreaterThan(firstDelete);
+  });
+
+  it('should compact late rows behind the checkpoint and stop after MAX_DAYS_PER_RUN days', async() => {
+    oldest['5m'] = { timestamp: CUTOFF - 30 * DAY };
+    checkpointModel.findOne.mockImplementation((query) => chain(query.tier === '5m->1h'
+      ? { tier: '5m->1h', compactedThrough: CUTOFF - 20 * DAY }
+      : null));
+
+    const run = await service.runCompaction();
+
+    expect(run.tiers[0]).toMatchObject({ days: 7, compactedThrough: CUTOFF - 20 * DAY });
+    expect(snapshotModel.deleteMany.mock.calls[0][0].timestamp.$gte).toBe(CUTOFF - 30 * DAY);
+    expect(checkpointModel.updateOne.mock.calls[6][1].$set.compactedThrough).toBe(CUTOFF - 20 * DAY);
+  });
+
+  it('should share one run between concurrent calls and report tier status', async() => {
+    const [first, second] = await Promise.all([service.runCompaction(), service.runCompaction()]);
+
+    expect(first).toBe(second);
+    expect(snapshotModel.deleteMany).toHaveBeenCalledTimes(2);
+
+    const status = await service.getStatus();
+    expect(status).toMatchObject({ active: false, compacting: false, lastRun: first });
+    expect(status.tiers.map(tier => [tier.tier, tier.retentionDays, tier.cutoff])).toEqual([
+      ['5m->1h', 10, CUTOFF],
+      ['1h->24h', 90, Date.UTC(2024, 2, 22)]
+    ]);
+  });
+});
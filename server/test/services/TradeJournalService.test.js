@@ -0,0 +1,227 @@
+/**
+ * 📒 Trade Journal Tests - Context7 Pattern
+ *
+ * Context7 Pattern: Accounting and Service Testing without a database
+ * - GE tax per sale from the shared calculateGETax helper (threshold and per-item cap)
+ * - FIFO lot matching, partial fills and daily/weekly rollups
+ * - Summary with unrealized P&L through injected model doubles
+ * - Ledger mirror rollback on failed saves and cancel conflicts
+ */
+
+const { calculateSaleTax, matchFifoLots, rollupRealized } = require('../../services/journal/JournalAccounting');
+const { TradeJournalService } = require('../../services/journal/TradeJournalService');
+const { calculateGETax, GE_TAX_THRESHOLD_GP, GE_TAX_CAP_GP } = require('../../utils/marketConstants');
+const TimeConstants = require('../../utils/TimeConstants');
+const { chain } = require('../helpers/mongooseFakes');
+
+jest.mock('../../utils/Logger');
+
+const DAY = TimeConstants.ONE_DAY;
+// Wednesday 2024-01-03 00:00 UTC
+const WEDNESDAY = Date.UTC(2024, 0, 3);
+
+function fill(side, quantity, price, filledAt, entryId = `${side}-${filledAt}`) {
+  return {
+    entryId,
+    itemId: 4151,
+    side,
+    quantity,
+    price,
+    filledAt,
+    tax: side === 'sell' ? calculateSaleTax(price, quantity) : 0
+  };
+}
+
+describe('JournalAccounting', () => {
+  it('should exempt sales at the tax-free threshold and cap tax per item', () => {
+    expect(calculateSaleTax(GE_TAX_THRESHOLD_GP, 1000)).toBe(0);
+    expect(calculateSaleTax(2000000, 3)).toBe(40000 * 3);
+    expect(calculateSaleTax(2000000000, 2)).toBe(GE_TAX_CAP_GP * 2);
+    // Same figure as backtests, recipes, set arbitrage and alerts
+    expect(calculateSaleTax(1500, 15)).toBe(calculateGETax(1500) * 15);
+  });
+
+  it('should match sells against the oldest lots first', () => {
+    const { realizations, openLots } = matchFifoLots([
+      fill('buy', 10, 1000, WEDNESDAY),
+      fill('buy', 10, 1200, WEDNESDAY + 1000),
+      fill('sell', 15, 1500, WEDNESDAY + 2000)
+    ]);
+
+    const tax = calculateSaleTax(1500, 15);
+    expect(realizations).toHaveLength(1);
+    expect(realizations[0]).toMatchObject({
+      quantity: 15,
+      costBasis: 10 * 1000 + 5 * 1200,
+      proceeds: 15 * 1500,
+      tax,
+      realizedPnl: 15 * 1500 - tax - 16000,
+      unmatchedQuantity: 0
+    });
+    expect(openLots.get(4151)).toEqual([
+      expect.objectContaining({ quantity: 5, price: 1200 })
+    ]);
+  });
+
+  it('should keep sells without prior buys out of realized P&L', () => {
+    const { realizations } = matchFifoLots([
+      fill('buy', 2, 1000, WEDNESDAY),
+      fill('sell', 5, 1000, WEDNESDAY + 1000)
+    ]);
+
+    expect(realizations[0].quantity).toBe(2);
+    expect(realizations[0].unmatchedQuantity).toBe(3);
+    expect(realizations[0].tax).toBe(calculateSaleTax(1000, 2));
+  });
+
+  it('should roll realized P&L up by UTC day and ISO week', () => {
+    const { realizations } = matchFifoLots([
+      fill('buy', 30, 100, WEDNESDAY - DAY),
+      fill('sell', 10, 90, WEDNESDAY),
+      fill('sell', 10, 90, WEDNESDAY + DAY),
+      fill('sell', 10, 90, WEDNESDAY + 5 * DAY)
+    ]);
+
+    const daily = rollupRealized(realizations, 'daily');
+    const weekly = rollupRealized(realizations, 'weekly');
+
+    expect(daily.map(b => b.period)).toEqual(['2024-01-03', '2024-01-04', '2024-01-08']);
+    expect(daily[0].realizedPnl).toBe(-100);
+    expect(weekly.map(b => [b.period, b.sells])).toEqual([['2024-01-01', 2], ['2024-01-08', 1]]);
+  });
+});
+
+function buyEntry(overrides = {}) {
+  return {
+    _id: { toString: () => '65a000000000000000000001' },
+    itemId: 4151,
+    userId: 'default',
+    side: 'buy',
+    quantity: 10,
+    status: 'open',
+    fills: [],
+    refreshStatus() {
+      const filled = this.fills.reduce((sum, f) => sum + f.quantity, 0);
+      this.status = filled >= this.quantity ? 'filled' : 'partially_filled';
+    },
+    validate: jest.fn().mockResolvedValue(),
+    save: jest.fn().mockResolvedValue(),
+    ...overrides
+  };
+}
+
+describe('TradeJournalService', () => {
+  it('should report realized, unrealized and tax totals with open positions', async() => {
+    const entries = [
+      {
+        _id: 'buy-entry', itemId: 4151, itemName: 'Abyssal whip', side: 'buy', status: 'filled',
+        fills: [{ quantity: 10, price: 1000000, filledAt: WEDNESDAY }]
+      },
+      {
+        _id: 'sell-entry', itemId: 4151, itemName: 'Abyssal whip', side: 'sell', status: 'partially_filled',
+        fills: [{ quantity: 4, price: 1100000, filledAt: WEDNESDAY + DAY, tax: calculateSaleTax(1100000, 4) }]
+      }
+    ];
+    const journalModel = {
+      find: jest.fn().mockReturnValue(chain(entries)),
+      aggregate: jest.fn().mockResolvedValue([
+        { _id: 'filled', count: 1 },
+        { _id: 'partially_filled', count: 1 },
+        { _id: 'open', count: 2 }
+      ])
+    };
+    const snapshotModel = {
+      aggregate: jest.fn().mockResolvedValue([{ _id: 4151, lowPrice: 1050000, highPrice: 1060000, timestamp: WEDNESDAY + 2 * DAY }])
+    };
+
+    const service = new TradeJournalService({
+      journalModel,
+      snapshotModel,
+      itemModel: {},
+      tradeLedgerService: {},
+      now: () => WEDNESDAY + 2 * DAY
+    });
+    const summary = await service.getSummary();
+
+    const saleTax = calculateSaleTax(1100000, 4);
+    const markValue = 6 * 1050000 - calculateSaleTax(1050000, 6);
+    expect(summary).toMatchObject({
+      realizedPnl: 4 * 1100000 - saleTax - 4 * 1000000,
+      unrealizedPnl: markValue - 6 * 1000000,
+      taxPaid: saleTax,
+      closedSales: 1,
+      entriesByStatus: { filled: 1, partially_filled: 1, open: 2 }
+    });
+    expect(journalModel.aggregate.mock.calls[0][0][0]).toEqual({ $match: { userId: 'default' } });
+    expect(summary.openPositions).toEqual([
+      expect.objectContaining({ itemId: 4151, quantity: 6, averageCost: 1000000, markPrice: 1050000 })
+    ]);
+  });
+
+  it('should mirror buy fills into the trade ledger and update status', async() => {
+    const entry = buyEntry();
+    const tradeLedgerService = {
+      recordFill: jest.fn().mockResolvedValue({ fill: { id: 'ledger-1' } })
+    };
+    const service = new TradeJournalService({
+      journalModel: { findOne: jest.fn().mockResolvedValue(entry) },
+      snapshotModel: {},
+      itemModel: {},
+      tradeLedgerService,
+      now: () => WEDNESDAY
+    });
+
+    const updated = await service.addFill('65a000000000000000000001', { quantity: 4, price: 1000 });
+
+    expect(tradeLedgerService.recordFill).toHaveBeenCalledWith(expect.objectContaining({
+      itemId: 4151, side: 'buy', quantity: 4, price: 1000, filledAt: WEDNESDAY, source: 'journal'
+    }));
+    expect(entry.fills[0].ledgerFillId).toBe('ledger-1');
+    expect(updated).toMatchObject({ status: 'partially_filled', filledQuantity: 4, remainingQuantity: 6 });
+  });
+
+  it('should remove the mirrored ledger fills when the entry fails to save', async() => {
+    const entry = buyEntry({ save: jest.fn().mockRejectedValue(new Error('write conflict')) });
+    const tradeLedgerService = {
+      recordFill: jest.fn().mockResolvedValue({ fill: { id: 'ledger-1' } }),
+      deleteFill: jest.fn().mockResolvedValue({ id: 'ledger-1' })
+    };
+    const service = new TradeJournalService({
+      journalModel: { findOne: jest.fn().mockResolvedValue(entry) },
+      snapshotModel: {},
+      itemModel: {},
+      tradeLedgerService,
+      now: () => WEDNESDAY
+    });
+
+    await expect(service.addFill('65a000000000000000000001', { quantity: 4, price: 1000 })).rejects.toThrow();
+
+    expect(tradeLedgerService.deleteFill).toHaveBeenCalledWith('ledger-1', 'default');
+  });
+
+  it('should refuse to cancel filled or already cancelled entries with a 409', async() => {
+    for (const status of ['filled', 'cancelled']) {
+      const entry = buyEntry({ status });
+      const service = new TradeJournalService({
+        journalModel: { findOne: jest.fn().mockResolvedValue(entry) },
+        snapshotModel: {},
+        itemModel: {},
+        tradeLedgerService: {},
+        now: () => WEDNESDAY
+      });
+
+      await expect(service.cancelEntry('65a000000000000000000001')).rejects.toMatchObject({ statusCode: 409 });
+      expect(entry.save).not.toHaveBeenCalled();
+    }
+
+    const open = buyEntry();
+    const service = new TradeJournalService({
+      journalModel: { findOne: jest.fn().mockResolvedValue(open) },
+      snapshotModel: {},
+      itemModel: {},
+      tradeLedgerService: {},
+      now: () => WEDNESDAY
+    });
+    expect(await service.cancelEntry('65a000000000000000000001')).toMatchObject({ status: 'cancelled', remainingQuantity: 0 });
+  });
+});
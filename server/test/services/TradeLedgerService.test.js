@@ -0,0 +1,171 @@
+/**
+ * 🧾 Trade Ledger Service Tests - Context7 Pattern
+ *
+ * Context7 Pattern: Service Testing without a database
+ * - Rolling 4-hour buy-limit windows from buy fills
+ * - Remaining quantity and reset times through injected model doubles
+ * - CapitalAllocationService position sizing capped by the remaining limit
+ */
+
+const { TradeLedgerService } = require('../../services/ledger/TradeLedgerService');
+const { CapitalAllocationService } = require('../../services/CapitalAllocationService');
+const TimeConstants = require('../../utils/TimeConstants');
+
+jest.mock('../../utils/Logger');
+// Market data is not used for sizing; keep its dependency graph out of the test
+jest.mock('../../services/MarketDataService', () => ({ MarketDataService: jest.fn() }));
+
+const HOUR = TimeConstants.ONE_HOUR;
+const NOW = 1700000000000;
+
+function lean(value) {
+  return { lean: jest.fn().mockResolvedValue(value) };
+}
+
+function createService(fills, items) {
+  const tradeFillModel = {
+    findBuysSince: jest.fn().mockImplementation(async(userId, since, itemIds) => fills
+      .filter(fill => fill.filledAt > since && (!itemIds || itemIds.includes(fill.itemId)))
+      .sort((a, b) => a.filledAt - b.filledAt))
+  };
+  const itemModel = {
+    find: jest.fn().mockImplementation((query) => ({
+      select: () => lean(items.filter(item => query.itemId.$in.includes(item.itemId)))
+    }))
+  };
+
+  const service = new TradeLedgerService({ tradeFillModel, itemModel, now: () => NOW });
+  return { service, tradeFillModel, itemModel };
+}
+
+const ITEMS = [
+  { itemId: 4151, name: 'Abyssal whip', buy_limit: 70 },
+  { itemId: 11802, name: 'Armadyl godsword', buy_limit: 8 },
+  { itemId: 995, name: 'Coins', buy_limit: null }
+];
+
+describe('TradeLedgerService', () => {
+  it('should only count buys inside the rolling 4-hour window', async() => {
+    const { service } = createService([
+      { itemId: 4151, quantity: 40, filledAt: NOW - 5 * HOUR },
+      { itemId: 4151, quantity: 30, filledAt: NOW - 3 * HOUR },
+      { itemId: 4151, quantity: 10, filledAt: NOW - HOUR }
+    ], ITEMS);
+
+    const status = await service.getBuyLimitStatus(4151);
+
+    expect(status).toMatchObject({
+      itemId: 4151,
+      itemName: 'Abyssal whip',
+      buyLimit: 70,
+      usedQuantity: 40,
+      remainingQuantity: 30,
+      limitReached: false,
+      fillsInWindow: 2,
+      nextReleaseAt: NOW + HOUR,
+      nextReleaseQuantity: 30,
+      resetsAt: NOW + 3 * HOUR
+    });
+  });
+
+  it('should report a reached limit and list items bought in the window', async() => {
+    const { service } = createService([
+      { itemId: 11802, quantity: 5, filledAt: NOW - 2 * HOUR },
+      { itemId: 11802, quantity: 5, filledAt: NOW - HOUR },
+      { itemId: 995, quantity: 1000000, filledAt: NOW - HOUR }
+    ], ITEMS);
+
+    const statuses = await service.getBuyLimitStatuses();
+
+    expect(statuses.map(s => [s.itemId, s.remainingQuantity, s.limitReached])).toEqual([
+      [995, null, false],
+      [11802, 0, true]
+    ]);
+  });
+
+  it('should return null for items missing from the mapping', async() => {
+    const { service } = createService([], ITEMS);
+
+    await expect(service.getBuyLimitStatus(123456)).resolves.toBeNull();
+  });
+
+  it('should expose remaining quantities only for items with a known limit', async() => {
+    const { service } = createService([
+      { itemId: 4151, quantity: 60, filledAt: NOW - HOUR }
+    ], ITEMS);
+
+    const remaining = await service.getRemainingBuyQuantities([4151, 11802, 995]);
+
+    expect([...remaining.entries()]).toEqual([[4151, 10], [11802, 8]]);
+  });
+});
+
+describe('CapitalAllocationService buy-limit sizing', () => {
+  const allocators = [];
+
+  afterEach(() => {
+    // Stop the cache cleanup timer so Jest can exit
+    allocators.splice(0).forEach(allocator => allocator.cache.destroy());
+  });
+
+  function opportunity(overrides = {}) {
+    return {
+      itemId: 4151,
+      itemName: 'Abyssal whip',
+      buyPrice: 1000,
+      sellPrice: 1100,
+      netProfitGp: 78,
+      marginPercent: 10,
+      volume: 50000,
+      timeToFlip: 30,
+      volatility: 10,
+      riskLevel: 'LOW',
+      confidence: 1,
+      expectedProfitPerHour: 1000,
+      ...overrides
+    };
+  }
+
+  function createAllocator(remaining) {
+    const tradeLedgerService = {
+      getRemainingBuyQuantities: jest.fn().mockImplementation(async() => {
+        if (remaining instanceof Error) {
+          throw remaining;
+        }
+        return new Map(remaining);
+      })
+    };
+    const allocator = new CapitalAllocationService({}, { marketDataService: {}, tradeLedgerService });
+    allocators.push(allocator);
+    return { allocator, tradeLedgerService };
+  }
+
+  it('should never allocate more units than the remaining GE buy limit', async() => {
+    const { allocator, tradeLedgerService } = createAllocator([[4151, 12]]);
+
+    const allocation = await allocator.allocateCapital(100000000, [opportunity()], {}, { userId: 'trader' });
+    const trades = [...allocation.instantFlips.trades, ...allocation.patientOffers.trades];
+
+    expect(tradeLedgerService.getRemainingBuyQuantities).toHaveBeenCalledWith([4151], { userId: 'trader' });
+    // Both strategies share the same 12-unit allowance
+    expect(trades.reduce((sum, trade) => sum + trade.quantity, 0)).toBe(12);
+    expect(trades[trades.length - 1].remainingBuyLimit).toBe(0);
+  });
+
+  it('should skip items whose limit is exhausted', async() => {
+    const { allocator } = createAllocator([[4151, 0]]);
+
+    const allocation = await allocator.allocateCapital(100000000, [opportunity()], {});
+
+    expect(allocation.totalAllocated).toBe(0);
+  });
+
+  it('should fall back to the opportunity buyLimit when the ledger is unavailable', async() => {
+    const { allocator } = createAllocator(new Error('connection refused'));
+
+    const allocation = await allocator.allocateCapital(100000000, [opportunity({ buyLimit: 5 })], {});
+    const trades = [...allocation.instantFlips.trades, ...allocation.patientOffers.trades];
+
+    expect(trades.reduce((sum, trade) => sum + trade.quantity, 0)).toBe(5);
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * 🎯 Trading Learning Service Tests - Context7 Pattern
+ *
+ * Context7 Pattern: Service Testing for reward function plugins
+ * - composite reproduces the original hard-coded reward
+ * - gp_per_hour, sharpe_like, drawdown_penalised and tax_aware behave as documented
+ * - Sessions switch reward function through the adaptive config; saved models carry the definition
+ * - Experiences train the in-process agent, so saved models hold the weights sessions learned
+ */
+
+const { TradingLearningService } = require('../../services/ai/TradingLearningService');
+const { AITradingOrchestratorService } = require('../../services/AITradingOrchestratorService');
+const { NeuralTradingAgentService } = require('../../services/NeuralTradingAgentService');
+const { LocalInferenceBackend } = require('../../services/ai/inference/LocalInferenceBackend');
+const { createRewardFunction, listRewardFunctions, isSameRewardDefinition } = require('../../services/ai/rewards/RewardFunctions');
+
+jest.mock('../../utils/Logger');
+
+const HOUR = 60 * 60 * 1000;
+const DECISION = { itemId: 4151, expectedReturn: 0.05, riskScore: 70, confidence: 0.8, buyPrice: 1000000, sellPrice: 1100000, positionSize: 2000000 };
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('TradingLearningService reward functions', () => {
+  it('should default to the composite reward with the original weights', () => {
+    const service = new TradingLearningService();
+    const outcome = { actualProfit: 500000, actualReturn: 0.04, tradeDuration: 6 * HOUR, wasSuccessful: true };
+
+    // tanh(0.5) * 10 + accuracy 0.99 * 2 + same-day 0.75 * 0.5 + calibration 0.8
+    expect(service.calculateReward(DECISION, outcome)).toBeCloseTo(Math.tanh(0.5) * 10 + 1.98 + 0.375 + 0.8);
+    // Failed high-risk trade: risk penalty (70 - 60) / 40 * 2 and the clip at -10
+    expect(service.calculateReward(DECISION, { actualProfit: -500000, wasSuccessful: false }))
+      .toBeCloseTo(Math.tanh(-0.5) * 10 - 0.5 + 0.2);
+    expect(service.calculateReward(DECISION, { actualProfit: -1e9 })).toBe(-10);
+    expect(service.getRewardDefinition()).toMatchObject({ name: 'composite', version: '1.0.0', params: { profitScale: 1000000, clip: 10 } });
+  });
+
+  it('should reward profit per hour held', () => {
+    const reward = createRewardFunction({ name: 'gp_per_hour', params: { gpPerHourScale: 100000 } });
+
+    const quick = reward.calculate(DECISION, { actualProfit: 100000, tradeDuration: HOUR });
+    const slow = reward.calculate(DECISION, { actualProfit: 100000, tradeDuration: 4 * HOUR });
+    expect(quick).toBeCloseTo(Math.tanh(1) * 10);
+    expect(slow).toBeCloseTo(Math.tanh(0.25) * 10);
+    // Durations under minHours count as minHours
+    expect(reward.calculate(DECISION, { actualProfit: 100000, tradeDuration: 1000 })).toBeCloseTo(Math.tanh(4) * 10);
+  });
+
+  it('should scale returns by recent volatility in the Sharpe-like reward', () => {
+    const calm = createRewardFunction('sharpe_like');
+    const volatile = createRewardFunction('sharpe_like');
+    [0.02, 0.021, 0.019, 0.02].forEach(value => calm.calculate(DECISION, { actualReturn: value }));
+    [0.3, -0.25, 0.2, -0.3].forEach(value => volatile.calculate(DECISION, { actualReturn: value }));
+
+    const afterCalm = calm.calculate(DECISION, { actualReturn: 0.03 });
+    const afterVolatile = volatile.calculate(DECISION, { actualReturn: 0.03 });
+    expect(afterCalm).toBeGreaterThan(afterVolatile);
+    expect(afterVolatile).toBeGreaterThan(0);
+  });
+
+  it('should penalise drawdown from the session equity peak', () => {
+    const reward = createRewardFunction({ name: 'drawdown_penalised', params: { drawdownScale: 1000000 } });
+
+    expect(reward.calculate(DECISION, { actualProfit: 1000000 })).toBeCloseTo(Math.tanh(1) * 10);
+    expect(reward.calculate(DECISION, { actualProfit: -500000 })).toBeCloseTo(Math.tanh(-0.5) * 10 - Math.tanh(0.5) * 5);
+    // Flat trades still pay for the open drawdown; recovering to the peak clears it
+    expect(reward.calculate(DECISION, { actualProfit: 0 })).toBeCloseTo(-Math.tanh(0.5) * 5);
+    expect(reward.calculate(DECISION, { actualProfit: 500000 })).toBeCloseTo(Math.tanh(0.5) * 10);
+    expect(reward.calculate(DECISION, { actualProfit: -1e9 })).toBe(-10);
+  });
+
+  it('should take the GE tax off the profit in the tax-aware reward', () => {
+    const reward = createRewardFunction('tax_aware');
+
+    // 2 items bought with the 2M position, 2% of 1.1M tax on each
+    expect(reward.calculate(DECISION, { actualProfit: 200000 })).toBeCloseTo(Math.tanh((200000 - 44000) / 1e6) * 10);
+    expect(reward.calculate(DECISION, { actualProfit: 200000, taxPaid: 0 })).toBeCloseTo(Math.tanh(0.2) * 10);
+    expect(reward.calculate({ sellPrice: 900 }, { actualProfit: 1000, quantity: 10 })).toBeCloseTo(Math.tanh(0.001) * 10);
+  });
+
+  it('should switch reward functions per session and reject invalid definitions', async() => {
+    const service = new TradingLearningService();
+    service.recordTradeOutcome(DECISION, { actualProfit: 1000 });
+    await flush();
+    expect(service.learningMemory).toHaveLength(1);
+
+    expect(service.setRewardFunction({ name: 'gp_per_hour', version: '1.0.0', params: { weight: 5 } }))
+      .toEqual({ name: 'gp_per_hour', version: '1.0.0', params: { gpPerHourScale: 250000, weight: 5, minHours: 0.25, defaultHours: 1, clip: 10 } });
+    expect(service.learningMemory).toHaveLength(0);
+
+    expect(() => service.setRewardFunction('lottery')).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => service.setRewardFunction({ name: 'tax_aware', version: '0.9.0' })).toThrow('is at version 1.0.0');
+    expect(() => service.setRewardFunction({ name: 'tax_aware', params: { gpPerHourScale: 1 } })).toThrow('gpPerHourScale');
+    expect(() => service.setRewardFunction({ name: 'tax_aware', params: { taxWeight: '1' } })).toThrow('taxWeight');
+    expect(service.getRewardDefinition().name).toBe('gp_per_hour');
+
+    expect(listRewardFunctions().map(definition => definition.name))
+      .toEqual(['composite', 'gp_per_hour', 'sharpe_like', 'drawdown_penalised', 'tax_aware']);
+  });
+
+  it('should select the reward through the adaptive config and store it with saved models', async() => {
+    const neuralAgent = new NeuralTradingAgentService({ hiddenLayers: [8], seed: 5 });
+    neuralAgent.saveModel = jest.fn().mockResolvedValue({ modelId: 'dqn-a' });
+    const pythonClient = { saveModel: jest.fn().mockResolvedValue({ success: true, modelId: 'dqn-a' }) };
+    const orchestrator = new AITradingOrchestratorService({
+      pythonClient,
+      inferenceRouter: {},
+      sessionService: {},
+      decisionService: {},
+      modelRegistry: {},
+      neuralAgent
+    });
+
+    orchestrator.setAdaptiveConfig({ learningFrequency: 5, rewardFunction: { name: 'sharpe_like', params: { window: 10 } } });
+    const adaptive = orchestrator.getAdaptiveConfig();
+    expect(adaptive).toMatchObject({ learningFrequency: 5, rewardFunction: { name: 'sharpe_like', params: { window: 10 } } });
+
+    // An invalid reward changes nothing
+    expect(() => orchestrator.setAdaptiveConfig({ learningFrequency: 50, rewardFunction: { name: 'nope' } })).toThrow();
+    expect(orchestrator.getAdaptiveConfig().learningFrequency).toBe(5);
+
+    expect(await orchestrator.saveModel({ modelId: 'dqn-a' })).toEqual({ modelId: 'dqn-a', pythonSaved: true });
+    expect(neuralAgent.saveModel).toHaveBeenCalledWith({ modelId: 'dqn-a', rewardFunction: adaptive.rewardFunction });
+    // The Python service keeps its model under the registry id, so promotion reaches both backends
+    expect(pythonClient.saveModel).toHaveBeenCalledWith('dqn-a');
+    expect(isSameRewardDefinition(adaptive.rewardFunction, createRewardFunction({ name: 'sharpe_like', params: { window: 10 } }).toJSON())).toBe(true);
+    expect(isSameRewardDefinition(adaptive.rewardFunction, createRewardFunction('sharpe_like').toJSON())).toBe(false);
+
+    orchestrator.cache.destroy();
+  });
+
+  it('should train the in-process agent on recorded outcomes and reset its memory with the reward', async() => {
+    const agent = new NeuralTradingAgentService({ hiddenLayers: [8], seed: 5, batchSize: 4 });
+    const pythonModel = { train: jest.fn().mockResolvedValue({ loss: 0.5 }) };
+    const service = new TradingLearningService({
+      aiModel: pythonModel,
+      localModel: new LocalInferenceBackend({ agent }),
+      learningConfig: { batchSize: 4 }
+    });
+    const features = { itemId: 4151, currentPrice: 1500, volumeNormalized: 2, marginPercent: 8, volatility: 3, rsi: 45, timestamp: 0 };
+    const initialWeights = JSON.stringify(agent.onlineNetwork.toJSON());
+
+    for (const actualProfit of [200000, -50000, 150000, 300000]) {
+      await service.recordTradeOutcome({ ...DECISION, action: 'buy', features }, { actualProfit, wasSuccessful: actualProfit > 0 });
+    }
+    expect(agent.memory.size).toBe(4);
+
+    const result = await service.triggerLearningUpdate();
+    expect(result).toMatchObject({ loss: 0.5, batchSize: 4 });
+    expect(result.localLoss).toBeGreaterThan(0);
+    expect(pythonModel.train).toHaveBeenCalledTimes(1);
+    expect(agent.totalSteps).toBe(1);
+    expect(JSON.stringify(agent.onlineNetwork.toJSON())).not.toBe(initialWeights);
+
+    service.setRewardFunction('gp_per_hour');
+    expect(agent.memory.size).toBe(0);
+  });
+});
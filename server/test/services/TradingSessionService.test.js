@@ -0,0 +1,212 @@
+/**
+ * 🎯 Trading Session Service Tests - Context7 Pattern
+ *
+ * Context7 Pattern: Service Testing with in-memory collections
+ * - Sessions, decisions (with input features), replay memory and metrics are persisted
+ * - A new process resumes running sessions with their reward function, memory and metrics
+ * - Stored replay memory is capped at the learning service's maxMemorySize
+ * - Stopped sessions stay in the history and export their audit trail a page at a time
+ */
+
+const { TradingSessionService } = require('../../services/ai/TradingSessionService');
+const { TradingDecisionService } = require('../../services/ai/TradingDecisionService');
+const { AITradingOrchestratorService } = require('../../services/AITradingOrchestratorService');
+const { NeuralTradingAgentService } = require('../../services/NeuralTradingAgentService');
+const { createCollection } = require('../helpers/mongooseFakes');
+
+jest.mock('../../utils/Logger');
+
+const NOW = Date.UTC(2024, 5, 1);
+const ITEMS = [
+  { itemId: 4151, highPrice: 1100, lowPrice: 1000, volume: 2000, marginPercent: 12, marginGp: 100, riskScore: 20, rsi: 40 },
+  // Margin below the session minimum, so no decision
+  { itemId: 11802, highPrice: 1010, lowPrice: 1000, volume: 2000, marginPercent: 1, marginGp: 10, riskScore: 20 }
+];
+
+describe('TradingSessionService', () => {
+  let collections;
+  let services;
+
+  // A fresh session store and orchestrator over the same collections, as after a restart
+  const startProcess = (overrides = {}) => {
+    let tick = NOW;
+    const sessionService = new TradingSessionService({ ...collections, now: () => (tick += 1000) });
+    const decisionService = new TradingDecisionService({
+      aiModel: {
+        name: 'stub',
+        predict: async() => ({ action: 'buy', confidence: 0.9, expectedReturn: 0.1, modelVersion: 'dqn-a' })
+      }
+    });
+    const neuralAgent = new NeuralTradingAgentService({ hiddenLayers: [8], seed: 5 });
+    neuralAgent.loadSavedModel = jest.fn(async() => null);
+    const orchestrator = new AITradingOrchestratorService({
+      pythonClient: {},
+      inferenceRouter: { getStatus: () => ({}) },
+      modelRegistry: { loadProductionModel: jest.fn(async() => null) },
+      neuralAgent,
+      sessionService,
+      decisionService,
+      ...overrides
+    });
+    services.push(orchestrator, decisionService);
+    return { sessionService, orchestrator };
+  };
+
+  beforeEach(() => {
+    collections = {
+      sessionModel: createCollection({ now: () => NOW }),
+      decisionModel: createCollection({ now: () => NOW }),
+      experienceModel: createCollection({ now: () => NOW })
+    };
+    services = [];
+  });
+
+  afterEach(() => {
+    services.forEach(service => service.cache.destroy());
+  });
+
+  it('should persist decisions, outcomes, replay memory and metrics and resume after a restart', async() => {
+    const first = startProcess();
+    first.orchestrator.setAdaptiveConfig({ learningFrequency: 5, rewardFunction: { name: 'gp_per_hour', params: { weight: 5 } } });
+    const { sessionId } = await first.orchestrator.startTradingSession({ minProfitMargin: 0.05 }, { sessionName: 'Whip flips', createdBy: '127.0.0.1' });
+
+    const { decisions } = await first.orchestrator.processMarketData(sessionId, ITEMS);
+    expect(decisions).toHaveLength(1);
+    const executed = await first.orchestrator.executeTradingDecision(sessionId, decisions[0]);
+    await first.orchestrator.setSessionStatus(sessionId, 'PAUSED');
+
+    // Everything needed to resume is in the collections
+    const stored = collections.sessionModel.docs[0];
+    expect(stored).toMatchObject({
+      sessionId,
+      sessionName: 'Whip flips',
+      status: 'PAUSED',
+      adaptiveConfig: { learningFrequency: 5, rewardFunction: { name: 'gp_per_hour', params: { weight: 5 } } },
+      metrics: { episodeCount: 1, totalDecisions: 1, totalTrades: 1, successfulTrades: 1, bestReward: executed.reward }
+    });
+    expect(collections.decisionModel.docs[0]).toMatchObject({
+      sessionId,
+      itemId: 4151,
+      action: 'buy',
+      inference: { backend: 'stub', modelVersion: 'dqn-a' },
+      features: decisions[0].features,
+      reward: executed.reward,
+      outcome: { actualProfit: executed.result.actualProfit, wasSuccessful: true }
+    });
+    expect(collections.experienceModel.docs).toHaveLength(1);
+    // The in-process agent learns from the same experiences
+    expect(first.orchestrator.neuralAgent.memory.size).toBe(1);
+
+    // Restart: a new process finds the paused session and rebuilds its learning state
+    const second = startProcess();
+    expect((await second.sessionService.getRunningSessions()).map(session => session.id)).toEqual([sessionId]);
+    await second.orchestrator.restoreSession(sessionId);
+
+    expect(second.orchestrator.getAdaptiveConfig()).toMatchObject({ learningFrequency: 5, rewardFunction: { name: 'gp_per_hour' } });
+    expect(second.orchestrator.learningService.learningMemory).toEqual([
+      expect.objectContaining({ reward: executed.reward, itemId: 4151, state: decisions[0].features })
+    ]);
+    expect(second.orchestrator.neuralAgent.memory.size).toBe(1);
+    expect(second.sessionService.getSession(sessionId).metrics.totalTrades).toBe(1);
+
+    await expect(second.orchestrator.processMarketData(sessionId, ITEMS)).rejects.toMatchObject({ statusCode: 409 });
+    await second.orchestrator.setSessionStatus(sessionId, 'TRAINING');
+    await second.orchestrator.processMarketData(sessionId, ITEMS);
+
+    const stopped = await second.orchestrator.stopTradingSession(sessionId, 'done');
+    expect(stopped).toMatchObject({ status: 'STOPPED', finalMetrics: { episodeCount: 2, totalDecisions: 2, totalTrades: 1 } });
+    expect(second.sessionService.getSession(sessionId)).toBeUndefined();
+    await expect(second.orchestrator.processMarketData(sessionId, ITEMS)).rejects.toMatchObject({ statusCode: 404 });
+    expect(await second.sessionService.getRunningSessions()).toEqual([]);
+  });
+
+  it('should list stopped sessions in the history and export their audit trail', async() => {
+    const { sessionService, orchestrator } = startProcess();
+    const first = await orchestrator.startTradingSession({}, { sessionName: 'First' });
+    const { decisions } = await orchestrator.processMarketData(first.sessionId, ITEMS);
+    await orchestrator.executeTradingDecision(first.sessionId, decisions[0]);
+    await orchestrator.stopTradingSession(first.sessionId);
+    const second = await orchestrator.startTradingSession({}, { sessionName: 'Second' });
+
+    const history = await sessionService.listSessions();
+    expect(history.map(session => [session.sessionName, session.status])).toEqual([['Second', 'TRAINING'], ['First', 'STOPPED']]);
+    expect(history[1]).toMatchObject({
+      endReason: 'stopped',
+      performance: { totalDecisions: 1, totalTrades: 1 },
+      rewardFunction: { name: 'composite', version: '1.0.0' }
+    });
+    expect((await sessionService.listSessions({ status: 'STOPPED' })).map(session => session.sessionId)).toEqual([first.sessionId]);
+
+    const exported = await sessionService.exportSession(first.sessionId);
+    expect(exported.session).toMatchObject({ id: first.sessionId, status: 'STOPPED' });
+    expect(exported.decisions).toEqual([expect.objectContaining({
+      decisionId: decisions[0].decisionId,
+      itemId: 4151,
+      features: decisions[0].features,
+      outcome: expect.objectContaining({ wasSuccessful: true }),
+      reward: expect.any(Number)
+    })]);
+    expect(exported.replayMemory).toEqual([expect.objectContaining({ decisionId: decisions[0].decisionId, state: decisions[0].features })]);
+    expect(await sessionService.exportSession('session_1_missing')).toBeNull();
+
+    // Switching reward function clears the stored replay memory with the in-memory one
+    await orchestrator.processMarketData(second.sessionId, ITEMS);
+    const [decision] = (await orchestrator.processMarketData(second.sessionId, ITEMS)).decisions;
+    await orchestrator.executeTradingDecision(second.sessionId, decision);
+    await orchestrator.updateAdaptiveConfig(second.sessionId, { rewardFunction: 'tax_aware' });
+    expect((await sessionService.exportSession(second.sessionId)).replayMemory).toEqual([]);
+    expect(collections.sessionModel.docs[1].adaptiveConfig.rewardFunction.name).toBe('tax_aware');
+    expect(collections.experienceModel.docs).toHaveLength(1);
+  });
+
+  it('should keep at most maxMemorySize stored experiences and export them a page at a time', async() => {
+    const { sessionService, orchestrator } = startProcess();
+    orchestrator.learningService.learningConfig.maxMemorySize = 2;
+    const { sessionId } = await orchestrator.startTradingSession();
+    const executed = [];
+    for (let trade = 0; trade < 3; trade++) {
+      const [decision] = (await orchestrator.processMarketData(sessionId, ITEMS)).decisions;
+      await orchestrator.executeTradingDecision(sessionId, decision);
+      executed.push(decision.decisionId);
+    }
+
+    expect(collections.experienceModel.docs.map(doc => doc.decisionId)).toEqual(executed.slice(1));
+
+    const page = await sessionService.exportSession(sessionId, { limit: 1, offset: 1 });
+    expect(page.decisions.map(decision => decision.decisionId)).toEqual([executed[1]]);
+    expect(page.replayMemory).toEqual([expect.objectContaining({ decisionId: executed[2] })]);
+    expect(page).toMatchObject({ totals: { decisions: 3, replayMemory: 2 }, offset: 1, limit: 1 });
+  });
+
+  it('should reject malformed decision IDs and only record outcomes on the session\'s own decisions', async() => {
+    const { orchestrator } = startProcess();
+    const first = await orchestrator.startTradingSession();
+    const second = await orchestrator.startTradingSession();
+    const [decision] = (await orchestrator.processMarketData(first.sessionId, ITEMS)).decisions;
+
+    await expect(orchestrator.executeTradingDecision(first.sessionId, { ...decision, decisionId: 'not-an-id' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(collections.experienceModel.docs).toEqual([]);
+
+    // Another session's decision is left untouched
+    await orchestrator.executeTradingDecision(second.sessionId, decision);
+    expect(collections.decisionModel.docs[0].outcome).toBeUndefined();
+
+    await orchestrator.executeTradingDecision(first.sessionId, decision);
+    expect(collections.decisionModel.docs[0].outcome).toMatchObject({ wasSuccessful: true });
+  });
+
+  it('should fall back to the production model when a resumed session\'s pinned model is gone', async() => {
+    const first = startProcess();
+    const { sessionId } = await first.orchestrator.startTradingSession();
+    await first.sessionService.updateSession(sessionId, { modelId: 'dqn-deleted' });
+
+    const second = startProcess();
+    expect(await second.orchestrator.restoreSession(sessionId)).toMatchObject({ id: sessionId, modelId: 'dqn-deleted' });
+    expect(second.orchestrator.localBackend.pinnedModelId).toBeNull();
+    expect(second.orchestrator.pythonBackend.pinnedModelId).toBeNull();
+    expect(second.orchestrator.modelRegistry.loadProductionModel).toHaveBeenCalled();
+
+    expect(await second.orchestrator.restoreSession('session_1_missing')).toBeNull();
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * 📢 Notification Service Tests - Context7 Pattern
+ *
+ * Context7 Pattern: Delivery testing against local stand-ins
+ * - Local HTTP sink for signed webhook delivery, retries and dead letters
+ * - Local SMTP stand-in for the default SmtpTransport
+ */
+
+const http = require('http');
+const net = require('net');
+const { NotificationService } = require('../../utils/NotificationService');
+const { SmtpTransport } = require('../../utils/notifications/SmtpTransport');
+const { formatDiscordEmbed } = require('../../utils/notifications/DiscordFormatter');
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function close(server) {
+  return new Promise(resolve => server.close(resolve));
+}
+
+function createHttpSink(statuses = []) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => (body += chunk));
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body });
+      res.statusCode = statuses.length > 0 ? statuses.shift() : 204;
+      res.end();
+    });
+  });
+  return { server, requests };
+}
+
+function createSmtpStandIn() {
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    let current = { rcpt: [] };
+    socket.write('220 localhost ESMTP stand-in\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push(current);
+            current = { rcpt: [] };
+            socket.write('250 2.0.0 queued\r\n');
+          } else {
+            current.data = current.data ? `${current.data}\n${line}` : line;
+          }
+        } else if (line.startsWith('EHLO')) {
+          socket.write('250-localhost\r\n250 AUTH LOGIN\r\n');
+        } else if (line.startsWith('MAIL FROM')) {
+          current.from = line;
+          socket.write('250 OK\r\n');
+        } else if (line.startsWith('RCPT TO')) {
+          current.rcpt.push(line);
+          socket.write('250 OK\r\n');
+        } else if (line === 'DATA') {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (line === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('500 Unrecognised command\r\n');
+        }
+      }
+    });
+  });
+  return { server, messages };
+}
+
+describe('NotificationService', () => {
+  const notification = {
+    type: 'systemAlert',
+    priority: 'high',
+    data: { service: 'OSRS Market Tracker', message: 'Whip above 2m', itemId: 4151, timestamp: '2026-01-01T00:00:00.000Z' }
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('webhook delivery', () => {
+    it('should sign webhook payloads with the shared secret', async() => {
+      const { server, requests } = createHttpSink();
+      const port = await listen(server);
+      const service = new NotificationService({
+        webhook: { urls: [`http://127.0.0.1:${port}/hook`], secret: 'top-secret' },
+        retry: { baseDelayMs: 1 }
+      });
+
+      const result = await service.send(notification);
+      await close(server);
+
+      expect(result.success).toBe(true);
+      expect(requests).toHaveLength(1);
+      const { headers, body } = requests[0];
+      expect(JSON.parse(body)).toMatchObject({ type: 'systemAlert', priority: 'high' });
+      expect(headers['x-notification-signature'])
+        .toBe(`sha256=${service.signPayload(body, headers['x-notification-timestamp'], 'top-secret')}`);
+    });
+
+    it('should retry transient failures with backoff before succeeding', async() => {
+      const { server, requests } = createHttpSink([503, 500]);
+      const port = await listen(server);
+      const service = new NotificationService({ retry: { maxAttempts: 3, baseDelayMs: 1 } });
+      const sleep = jest.spyOn(service, 'sleep');
+
+      const result = await service.sendSystemAlert('Whip above 2m', {}, {
+        recipients: { webhooks: `http://127.0.0.1:${port}/alert` }
+      });
+      await close(server);
+
+      expect(result.success).toBe(true);
+      expect(requests).toHaveLength(3);
+      expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([1, 2]);
+      expect(result.deliveries.find(d => d.channel === 'webhook').attempts).toBe(3);
+    });
+
+    it('should dead-letter exhausted deliveries and allow a retry', async() => {
+      const { server, requests } = createHttpSink([500, 500, 204]);
+      const port = await listen(server);
+      const service = new NotificationService({
+        webhook: { urls: [`http://127.0.0.1:${port}/hook`] },
+        retry: { maxAttempts: 2, baseDelayMs: 1 }
+      });
+
+      const result = await service.send(notification);
+
+      expect(result.success).toBe(false);
+      const { summary, entries } = service.getDeadLetters('webhook');
+      expect(summary.webhook.count).toBe(1);
+      expect(entries[0]).toMatchObject({ attempts: 2, statusCode: 500, target: `http://127.0.0.1:${port}/***` });
+
+      const retry = await service.retryDeadLetter('webhook', entries[0].id);
+      await close(server);
+
+      expect(retry.success).toBe(true);
+      expect(requests).toHaveLength(3);
+      expect(service.getDeadLetterSummary().webhook.count).toBe(0);
+    });
+
+    it('should not retry permanent client errors', async() => {
+      const { server, requests } = createHttpSink([404]);
+      const port = await listen(server);
+      const service = new NotificationService({
+        webhook: { urls: [`http://127.0.0.1:${port}/gone`] },
+        retry: { maxAttempts: 4, baseDelayMs: 1 }
+      });
+
+      await service.send(notification);
+      await close(server);
+
+      expect(requests).toHaveLength(1);
+      expect(service.getDeadLetters('webhook').entries[0].statusCode).toBe(404);
+    });
+  });
+
+  describe('formatDiscordEmbed()', () => {
+    it('should build an embed with priority colour and scalar fields', () => {
+      const payload = formatDiscordEmbed({ ...notification, id: 'n1', subject: 'Alert', priority: 'critical' });
+
+      expect(payload.embeds[0]).toMatchObject({
+        description: 'Whip above 2m',
+        color: 0xe74c3c,
+        fields: [{ name: 'itemId', value: '4,151', inline: true }]
+      });
+    });
+  });
+
+  describe('email delivery', () => {
+    it('should deliver through the SMTP transport', async() => {
+      const { server, messages } = createSmtpStandIn();
+      const port = await listen(server);
+      const service = new NotificationService({
+        email: {
+          from: 'tracker@example.com',
+          transport: new SmtpTransport({ host: '127.0.0.1', port, name: 'test' })
+        }
+      });
+
+      // A lone "." line would end DATA early unless it is dot-stuffed
+      const result = await service.sendSystemAlert('Whip above 2m\n.', {}, {
+        recipients: { emails: ['trader@example.com'] }
+      });
+      await close(server);
+
+      expect(result.success).toBe(true);
+      expect(messages).toHaveLength(1);
+      expect(messages[0].from).toBe('MAIL FROM:<tracker@example.com>');
+      expect(messages[0].rcpt).toEqual(['RCPT TO:<trader@example.com>']);
+      expect(messages[0].data).toContain('Subject: =?UTF-8?B?');
+      expect(messages[0].data.split('\n')).toContain('..');
+    });
+
+    it('should refuse line breaks in addresses and subject before connecting', async() => {
+      const transport = new SmtpTransport({ host: '127.0.0.1', port: 1, name: 'test' });
+      jest.spyOn(transport, 'connect');
+      const message = { from: 'tracker@example.com', to: 'trader@example.com', subject: 'Whip above 2m', text: 'Body' };
+
+      await expect(transport.send({ ...message, to: ['trader@example.com>\r\nRCPT TO:<attacker@example.com'] }))
+        .rejects.toThrow('SMTP to must not contain line breaks');
+      await expect(transport.send({ ...message, from: 'tracker@example.com\nBcc: attacker@example.com' }))
+        .rejects.toThrow('SMTP from must not contain line breaks');
+      await expect(transport.send({ ...message, subject: 'Whip\r\nBcc: attacker@example.com' }))
+        .rejects.toThrow('SMTP subject must not contain line breaks');
+      expect(transport.connect).not.toHaveBeenCalled();
+    });
+
+    it('should dead-letter email when no transport is configured', async() => {
+      const service = new NotificationService({ retry: { baseDelayMs: 1 } });
+      service.emailTransport = null;
+
+      const result = await service.sendSystemAlert('Whip above 2m', {}, {
+        recipients: { emails: 'trader@example.com' }
+      });
+
+      expect(result.success).toBe(false);
+      expect(service.getDeadLetters('email').entries[0]).toMatchObject({
+        target: 't***@example.com',
+        attempts: 1,
+        error: 'No email transport configured'
+      });
+    });
+  });
+});
@@ -19,7 +19,8 @@
  */
 
 /**
- * @typedef {'runes'|'potions'|'food'|'weapons'|'armor'|'tools'|'resources'|'quest'|'high_value'|'members'|'free'|'general'} ItemCategory
+ * Category slug from the stored taxonomy (see config/ItemCategoryTaxonomy.js for the defaults)
+ * @typedef {string} ItemCategory
  */
 
 /**
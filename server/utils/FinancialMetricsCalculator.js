@@ -509,6 +509,88 @@ class FinancialMetricsCalculator {
     return ema;
   }
 
+  /**
+   * Context7 Pattern: Indicator series aligned with a price series
+   *
+   * Each entry is the indicator value using prices up to and including that index,
+   * or null while there is not enough history yet. Used for chart overlays.
+   *
+   * @param {Array<number>} prices - Prices in chronological order
+   * @param {Object} options - { smaPeriod, emaPeriod, rsiPeriod, macd: { fast, slow, signal }, bollinger: { period, stdDev } }
+   * @returns {Object} { sma, ema, rsi, macd, macdSignal, macdHistogram, bollingerUpper, bollingerMiddle, bollingerLower }
+   */
+  calculateIndicatorSeries(prices, options = {}) {
+    const { fast = 12, slow = 26, signal = 9 } = options.macd || {};
+    const { period: bollingerPeriod = 20, stdDev = 2 } = options.bollinger || {};
+    const rsiPeriod = options.rsiPeriod || 14;
+
+    const windowed = (period, calculate) => prices.map((_, i) =>
+      (i + 1 >= period ? calculate(prices.slice(i + 1 - period, i + 1)) : null)
+    );
+
+    const macd = this.calculateMACDSeries(prices, fast, slow, signal);
+    const bollinger = windowed(bollingerPeriod, window => this.calculateBollingerBands(window, bollingerPeriod, stdDev));
+
+    return {
+      sma: windowed(options.smaPeriod || 20, window => this.calculateMovingAverage(window, window.length)),
+      ema: this.calculateEMASeries(prices, options.emaPeriod || 20),
+      rsi: windowed(rsiPeriod + 1, window => this.calculateRSI(window, rsiPeriod)),
+      macd: macd.macd,
+      macdSignal: macd.signal,
+      macdHistogram: macd.histogram,
+      bollingerUpper: bollinger.map(band => band?.upper ?? null),
+      bollingerMiddle: bollinger.map(band => band?.middle ?? null),
+      bollingerLower: bollinger.map(band => band?.lower ?? null)
+    };
+  }
+
+  /**
+   * Context7 Pattern: EMA series seeded with the SMA of the first period
+   */
+  calculateEMASeries(prices, period) {
+    const multiplier = 2 / (period + 1);
+    const series = new Array(prices.length).fill(null);
+
+    if (prices.length < period) {
+      return series;
+    }
+
+    let ema = prices.slice(0, period).reduce((sum, price) => sum + price, 0) / period;
+    series[period - 1] = ema;
+
+    for (let i = period; i < prices.length; i++) {
+      ema = (prices[i] - ema) * multiplier + ema;
+      series[i] = ema;
+    }
+
+    return series;
+  }
+
+  /**
+   * Context7 Pattern: MACD series with the signal line as an EMA of the MACD line
+   */
+  calculateMACDSeries(prices, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    const fastEMA = this.calculateEMASeries(prices, fastPeriod);
+    const slowEMA = this.calculateEMASeries(prices, slowPeriod);
+    const macd = prices.map((_, i) => (slowEMA[i] === null ? null : fastEMA[i] - slowEMA[i]));
+
+    // The signal line starts once the MACD line has a full signal period of values
+    const firstMacd = macd.findIndex(value => value !== null);
+    const signal = new Array(prices.length).fill(null);
+    if (firstMacd !== -1) {
+      this.calculateEMASeries(macd.slice(firstMacd), signalPeriod)
+        .forEach((value, i) => {
+          signal[firstMacd + i] = value;
+        });
+    }
+
+    return {
+      macd,
+      signal,
+      histogram: macd.map((value, i) => (value === null || signal[i] === null ? null : value - signal[i]))
+    };
+  }
+
   /**
    * Context7 Pattern: Calculate trend risk
    */
@@ -6,20 +6,75 @@
  * - Priority-based routing
  * - Template management
  * - Delivery tracking
+ * - Signed webhooks (generic JSON, Discord embeds, Slack) with exponential backoff
+ * - SMTP email through a pluggable transport
+ * - Per-channel dead-letter queues for deliveries that exhausted their retries
  */
 
+const crypto = require('crypto');
+const axios = require('axios');
+const { SmtpTransport } = require('./notifications/SmtpTransport');
+const { formatDiscordEmbed, isDiscordWebhook } = require('./notifications/DiscordFormatter');
+
+const RETRYABLE_HTTP_STATUSES = [408, 425, 429];
+const DEAD_LETTER_CHANNELS = ['email', 'webhook', 'slack'];
+
 class NotificationService {
-  constructor() {
+  constructor(config = {}) {
+    const env = process.env;
+
+    this.webhookConfig = {
+      urls: config.webhook?.urls || this.parseList(env.NOTIFICATION_WEBHOOK_URLS),
+      secret: config.webhook?.secret || env.NOTIFICATION_WEBHOOK_SECRET || null,
+      timeoutMs: config.webhook?.timeoutMs || 5000
+    };
+    this.slackConfig = {
+      url: config.slack?.url || env.NOTIFICATION_SLACK_WEBHOOK_URL || null
+    };
+    this.emailConfig = {
+      from: config.email?.from || env.NOTIFICATION_EMAIL_FROM || 'osrs-market-tracker@localhost',
+      to: config.email?.to || this.parseList(env.NOTIFICATION_EMAIL_TO)
+    };
+    this.retryConfig = {
+      maxAttempts: config.retry?.maxAttempts || 4,
+      baseDelayMs: config.retry?.baseDelayMs ?? 500,
+      maxDelayMs: config.retry?.maxDelayMs || 30000
+    };
+
+    this.httpClient = config.httpClient || axios;
+    this.emailTransport = config.email?.transport || this.createEmailTransport(config.email?.smtp, env);
+
     this.channels = {
       console: true,
-      email: false,
-      webhook: false,
-      slack: false
+      email: Boolean(this.emailTransport && this.emailConfig.to.length > 0),
+      webhook: this.webhookConfig.urls.length > 0,
+      slack: Boolean(this.slackConfig.url)
     };
     this.templates = this.initializeTemplates();
     this.queue = [];
     this.history = [];
     this.maxHistory = 100;
+    this.deadLetters = Object.fromEntries(DEAD_LETTER_CHANNELS.map(channel => [channel, []]));
+    this.maxDeadLetters = config.maxDeadLetters || 100;
+  }
+
+  /**
+   * Context7 Pattern: Build the default SMTP transport from config or environment
+   * @returns {SmtpTransport|null} Transport, or null when no SMTP host is configured
+   */
+  createEmailTransport(smtp = {}, env = {}) {
+    const host = smtp.host || env.SMTP_HOST;
+    if (!host) {
+      return null;
+    }
+
+    const user = smtp.user || env.SMTP_USER;
+    return new SmtpTransport({
+      host,
+      port: smtp.port || parseInt(env.SMTP_PORT, 10) || undefined,
+      secure: smtp.secure ?? env.SMTP_SECURE === 'true',
+      auth: user ? { user, pass: smtp.pass || env.SMTP_PASS } : null
+    });
   }
 
   /**
@@ -67,11 +122,15 @@ class NotificationService {
 
   /**
    * Context7 Pattern: Send system alert
+   * @param {string} message - Alert message
+   * @param {Object} data - Template data
+   * @param {Object} options - { priority, recipients: { webhooks, emails } }
    */
-  async sendSystemAlert(message, data = {}) {
+  async sendSystemAlert(message, data = {}, options = {}) {
     const notification = {
       type: 'systemAlert',
-      priority: 'medium',
+      priority: options.priority || 'medium',
+      recipients: options.recipients,
       data: {
         service: 'OSRS Market Tracker',
         message,
@@ -115,10 +174,15 @@ class NotificationService {
       // Process queue
       await this.processQueue();
 
+      const deliveries = processedNotification.deliveries || [];
+      const failed = deliveries.filter(delivery => !delivery.success);
+
       return {
-        success: true,
+        success: failed.length === 0,
         notificationId: processedNotification.id,
-        timestamp: processedNotification.timestamp
+        timestamp: processedNotification.timestamp,
+        deliveries,
+        error: failed.length > 0 ? this.summarizeFailures(failed) : undefined
       };
     } catch (error) {
       console.error('Failed to send notification:', error);
@@ -136,7 +200,8 @@ class NotificationService {
     const processed = {
       id: this.generateId(),
       timestamp: new Date().toISOString(),
-      ...notification
+      ...notification,
+      recipients: this.normalizeRecipients(notification.recipients)
     };
 
     // Apply template if available
@@ -157,10 +222,15 @@ class NotificationService {
       const notification = this.queue.shift();
 
       try {
-        await this.deliver(notification);
+        notification.deliveries = await this.deliver(notification);
+        const failed = notification.deliveries.filter(delivery => !delivery.success);
 
         // Add to history
-        this.addToHistory(notification, 'delivered');
+        if (failed.length > 0) {
+          this.addToHistory(notification, 'failed', this.summarizeFailures(failed));
+        } else {
+          this.addToHistory(notification, 'delivered');
+        }
       } catch (error) {
         console.error('Failed to deliver notification:', error);
         this.addToHistory(notification, 'failed', error.message);
@@ -170,31 +240,26 @@ class NotificationService {
 
   /**
    * Context7 Pattern: Deliver notification
+   * Default channel targets are used when the channel is enabled; per-notification
+   * recipients are always attempted.
+   * @returns {Promise<Array>} One delivery result per channel target
    */
   async deliver(notification) {
     const deliveryPromises = [];
 
     // Console delivery
     if (this.channels.console) {
-      deliveryPromises.push(this.deliverToConsole(notification));
-    }
-
-    // Email delivery
-    if (this.channels.email) {
-      deliveryPromises.push(this.deliverToEmail(notification));
+      deliveryPromises.push(this.deliverToConsole(notification)
+        .then(() => [{ channel: 'console', target: 'console', success: true, attempts: 1 }]));
     }
 
-    // Webhook delivery
-    if (this.channels.webhook) {
-      deliveryPromises.push(this.deliverToWebhook(notification));
-    }
-
-    // Slack delivery
-    if (this.channels.slack) {
-      deliveryPromises.push(this.deliverToSlack(notification));
-    }
+    // Email, webhook and Slack delivery
+    deliveryPromises.push(this.deliverToEmail(notification));
+    deliveryPromises.push(this.deliverToWebhook(notification));
+    deliveryPromises.push(this.deliverToSlack(notification));
 
-    await Promise.all(deliveryPromises);
+    const results = await Promise.all(deliveryPromises);
+    return results.flat();
   }
 
   /**
@@ -223,27 +288,326 @@ class NotificationService {
   }
 
   /**
-   * Context7 Pattern: Deliver to email (placeholder)
+   * Context7 Pattern: Deliver to email
    */
   async deliverToEmail(notification) {
-    // In a real implementation, this would integrate with an email service
-    console.log('📧 Email delivery not implemented:', notification.subject);
+    const targets = this.collectTargets(this.channels.email ? this.emailConfig.to : [], notification.recipients.emails);
+    return Promise.all(targets.map(address => this.deliverToTarget('email', address, notification)));
   }
 
   /**
-   * Context7 Pattern: Deliver to webhook (placeholder)
+   * Context7 Pattern: Deliver to webhook
    */
   async deliverToWebhook(notification) {
-    // In a real implementation, this would make HTTP requests to webhook URLs
-    console.log('🔗 Webhook delivery not implemented:', notification.subject);
+    const targets = this.collectTargets(this.channels.webhook ? this.webhookConfig.urls : [], notification.recipients.webhooks);
+    return Promise.all(targets.map(url => this.deliverToTarget('webhook', url, notification)));
   }
 
   /**
-   * Context7 Pattern: Deliver to Slack (placeholder)
+   * Context7 Pattern: Deliver to Slack incoming webhook
    */
   async deliverToSlack(notification) {
-    // In a real implementation, this would integrate with Slack API
-    console.log('💬 Slack delivery not implemented:', notification.subject);
+    const targets = this.channels.slack && this.slackConfig.url ? [this.slackConfig.url] : [];
+    return Promise.all(targets.map(url => this.deliverToTarget('slack', url, notification)));
+  }
+
+  /**
+   * Context7 Pattern: Deliver to a single channel target with retries
+   * Targets that exhaust their attempts are moved to the channel's dead-letter queue.
+   */
+  async deliverToTarget(channel, target, notification) {
+    const senders = {
+      email: () => this.sendEmail(target, notification),
+      webhook: () => this.postWebhook(target, notification),
+      slack: () => this.postSlack(target, notification)
+    };
+
+    let lastError = null;
+    let attempts = 0;
+
+    while (attempts < this.retryConfig.maxAttempts) {
+      attempts++;
+      try {
+        await senders[channel]();
+        return { channel, target: this.maskTarget(target), success: true, attempts };
+      } catch (error) {
+        lastError = error;
+        if (!this.isRetryable(error) || attempts >= this.retryConfig.maxAttempts) {
+          break;
+        }
+        await this.sleep(this.getBackoffDelay(attempts));
+      }
+    }
+
+    const deadLetter = this.addToDeadLetter(channel, target, notification, attempts, lastError);
+    return {
+      channel,
+      target: this.maskTarget(target),
+      success: false,
+      attempts,
+      error: lastError.message,
+      deadLetterId: deadLetter.id
+    };
+  }
+
+  /**
+   * Context7 Pattern: Send one email through the configured transport
+   */
+  async sendEmail(address, notification) {
+    if (!this.emailTransport) {
+      const error = new Error('No email transport configured');
+      error.retryable = false;
+      throw error;
+    }
+
+    return this.emailTransport.send({
+      from: this.emailConfig.from,
+      to: address,
+      subject: notification.subject || notification.type || 'Notification',
+      text: notification.body || notification.data?.message || ''
+    });
+  }
+
+  /**
+   * Context7 Pattern: POST a signed webhook (Discord embed or generic JSON)
+   */
+  async postWebhook(url, notification) {
+    const payload = isDiscordWebhook(url)
+      ? formatDiscordEmbed(notification)
+      : this.formatWebhookPayload(notification);
+
+    return this.postJson(url, payload, notification.id);
+  }
+
+  /**
+   * Context7 Pattern: POST a Slack incoming-webhook message
+   */
+  async postSlack(url, notification) {
+    const text = [notification.subject, notification.body].filter(Boolean).join('\n');
+    return this.postJson(url, { text: text || 'Notification' }, notification.id);
+  }
+
+  /**
+   * Context7 Pattern: POST JSON with signature headers
+   */
+  async postJson(url, payload, notificationId) {
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'OSRS-Market-Tracker-Notifications/1.0',
+      'X-Notification-Id': notificationId,
+      'X-Notification-Timestamp': timestamp
+    };
+
+    if (this.webhookConfig.secret) {
+      headers['X-Notification-Signature'] = `sha256=${this.signPayload(body, timestamp)}`;
+    }
+
+    return this.httpClient.post(url, body, {
+      headers,
+      timeout: this.webhookConfig.timeoutMs
+    });
+  }
+
+  /**
+   * Context7 Pattern: HMAC-SHA256 signature over `${timestamp}.${body}`
+   * Receivers recompute this with the shared secret to verify authenticity.
+   */
+  signPayload(body, timestamp, secret = this.webhookConfig.secret) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Context7 Pattern: Generic webhook payload
+   */
+  formatWebhookPayload(notification) {
+    return {
+      id: notification.id,
+      type: notification.type,
+      priority: notification.priority,
+      subject: notification.subject,
+      body: notification.body,
+      data: notification.data,
+      timestamp: notification.timestamp
+    };
+  }
+
+  /**
+   * Context7 Pattern: Decide whether a failed attempt is worth retrying
+   * HTTP: network errors, 5xx, 408/425/429. SMTP: transient 4xx replies.
+   */
+  isRetryable(error) {
+    if (error.retryable === false) {
+      return false;
+    }
+    if (error.response?.status) {
+      return error.response.status >= 500 || RETRYABLE_HTTP_STATUSES.includes(error.response.status);
+    }
+    if (error.responseCode) {
+      return error.responseCode >= 400 && error.responseCode < 500;
+    }
+    return true;
+  }
+
+  /**
+   * Context7 Pattern: Exponential backoff delay for the given attempt (1-based)
+   */
+  getBackoffDelay(attempt) {
+    return Math.min(this.retryConfig.maxDelayMs, this.retryConfig.baseDelayMs * 2 ** (attempt - 1));
+  }
+
+  /**
+   * Context7 Pattern: Promise-based delay
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Context7 Pattern: Add a failed delivery to the channel's dead-letter queue
+   */
+  addToDeadLetter(channel, target, notification, attempts, error) {
+    const entry = {
+      id: this.generateId().replace('notification_', 'deadletter_'),
+      channel,
+      target,
+      notification,
+      attempts,
+      error: error?.message || 'Unknown delivery error',
+      statusCode: error?.response?.status || error?.responseCode || null,
+      failedAt: new Date().toISOString()
+    };
+
+    const queue = this.deadLetters[channel];
+    queue.push(entry);
+    if (queue.length > this.maxDeadLetters) {
+      queue.shift();
+    }
+
+    return entry;
+  }
+
+  /**
+   * Context7 Pattern: Get dead letters, optionally filtered by channel
+   * Targets are masked because webhook URLs embed credentials.
+   */
+  getDeadLetters(channel = null, limit = 50) {
+    const channels = channel ? [channel] : DEAD_LETTER_CHANNELS;
+    const entries = channels
+      .flatMap(name => this.deadLetters[name] || [])
+      .sort((a, b) => b.failedAt.localeCompare(a.failedAt))
+      .slice(0, limit)
+      .map(entry => ({
+        id: entry.id,
+        channel: entry.channel,
+        target: this.maskTarget(entry.target),
+        notificationId: entry.notification.id,
+        type: entry.notification.type,
+        priority: entry.notification.priority,
+        subject: entry.notification.subject,
+        attempts: entry.attempts,
+        error: entry.error,
+        statusCode: entry.statusCode,
+        failedAt: entry.failedAt
+      }));
+
+    return {
+      summary: this.getDeadLetterSummary(),
+      entries
+    };
+  }
+
+  /**
+   * Context7 Pattern: Dead-letter counts per channel
+   */
+  getDeadLetterSummary() {
+    return Object.fromEntries(DEAD_LETTER_CHANNELS.map(channel => {
+      const queue = this.deadLetters[channel];
+      return [channel, {
+        count: queue.length,
+        oldestFailedAt: queue[0]?.failedAt || null,
+        newestFailedAt: queue[queue.length - 1]?.failedAt || null
+      }];
+    }));
+  }
+
+  /**
+   * Context7 Pattern: Retry a dead-lettered delivery
+   * A retry that fails again is dead-lettered under a new id.
+   * @returns {Promise<Object|null>} Delivery result, or null when the entry does not exist
+   */
+  async retryDeadLetter(channel, deadLetterId) {
+    const queue = this.deadLetters[channel] || [];
+    const index = queue.findIndex(entry => entry.id === deadLetterId);
+    if (index === -1) {
+      return null;
+    }
+
+    const [entry] = queue.splice(index, 1);
+    return this.deliverToTarget(channel, entry.target, entry.notification);
+  }
+
+  /**
+   * Context7 Pattern: Clear dead letters for one channel or all channels
+   * @returns {number} Number of entries removed
+   */
+  clearDeadLetters(channel = null) {
+    const channels = channel ? [channel] : DEAD_LETTER_CHANNELS;
+    return channels.reduce((removed, name) => {
+      const count = this.deadLetters[name].length;
+      this.deadLetters[name] = [];
+      return removed + count;
+    }, 0);
+  }
+
+  /**
+   * Context7 Pattern: Normalize per-notification recipients
+   */
+  normalizeRecipients(recipients = {}) {
+    const toList = value => (Array.isArray(value) ? value : [value]).filter(Boolean);
+    return {
+      webhooks: toList(recipients?.webhooks),
+      emails: toList(recipients?.emails)
+    };
+  }
+
+  /**
+   * Context7 Pattern: Merge default and per-notification targets without duplicates
+   */
+  collectTargets(defaults, extra) {
+    return [...new Set([...defaults, ...extra])];
+  }
+
+  /**
+   * Context7 Pattern: Hide credentials embedded in delivery targets
+   */
+  maskTarget(target) {
+    const value = String(target || '');
+    if (value.includes('@') && !value.includes('://')) {
+      const [local, domain] = value.split('@');
+      return `${local.slice(0, 1)}***@${domain}`;
+    }
+    try {
+      const url = new URL(value);
+      return url.pathname.length > 1 ? `${url.origin}/***` : url.origin;
+    } catch {
+      return '***';
+    }
+  }
+
+  /**
+   * Context7 Pattern: Summarize failed deliveries into one message
+   */
+  summarizeFailures(failed) {
+    return failed.map(delivery => `${delivery.channel} ${delivery.target}: ${delivery.error}`).join('; ');
+  }
+
+  /**
+   * Context7 Pattern: Parse comma-separated environment lists
+   */
+  parseList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
   }
 
   /**
@@ -269,6 +633,7 @@ class NotificationService {
       type: notification.type,
       priority: notification.priority,
       status,
+      channels: (notification.deliveries || []).filter(delivery => delivery.success).map(delivery => delivery.channel),
       timestamp: notification.timestamp,
       deliveredAt: new Date().toISOString(),
       error
@@ -311,7 +676,8 @@ class NotificationService {
       queueLength: this.queue.length,
       historyLength: this.history.length,
       channels: this.channels,
-      templates: Object.keys(this.templates)
+      templates: Object.keys(this.templates),
+      deadLetters: this.getDeadLetterSummary()
     };
   }
 
@@ -330,4 +696,21 @@ class NotificationService {
   }
 }
 
-module.exports = { NotificationService };
+// Shared instance so every producer feeds the same dead-letter queues
+let notificationService = null;
+
+/**
+ * Get singleton notification service instance
+ */
+function getNotificationService() {
+  if (!notificationService) {
+    notificationService = new NotificationService();
+  }
+  return notificationService;
+}
+
+module.exports = {
+  NotificationService,
+  getNotificationService,
+  DEAD_LETTER_CHANNELS
+};
@@ -11,6 +11,9 @@ const GE_TAX_RATE = 0.02; // 2%
 // Tax threshold - items over this value are taxed
 const GE_TAX_THRESHOLD_GP = 1000;
 
+// Tax on a single item never exceeds this
+const GE_TAX_CAP_GP = 5000000;
+
 // Other market constants
 const GE_SLOT_LIMIT = 8; // Maximum number of GE slots per account
 const GE_OFFER_TIMEOUT_HOURS = 7 * 24; // 7 days in hours
@@ -18,13 +21,13 @@ const GE_OFFER_TIMEOUT_HOURS = 7 * 24; // 7 days in hours
 /**
  * Calculate the Grand Exchange tax for a given item price
  * @param {number} price - The item price in GP
- * @returns {number} Tax amount in GP (rounded down)
+ * @returns {number} Tax amount in GP (rounded down, capped per item)
  */
 function calculateGETax(price) {
   if (price <= GE_TAX_THRESHOLD_GP) {
     return 0;
   }
-  return Math.floor(price * GE_TAX_RATE);
+  return Math.min(Math.floor(price * GE_TAX_RATE), GE_TAX_CAP_GP);
 }
 
 /**
@@ -75,6 +78,7 @@ module.exports = {
   // Constants
   GE_TAX_RATE,
   GE_TAX_THRESHOLD_GP,
+  GE_TAX_CAP_GP,
   GE_SLOT_LIMIT,
   GE_OFFER_TIMEOUT_HOURS,
 
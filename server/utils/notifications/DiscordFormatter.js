@@ -0,0 +1,81 @@
+/**
+ * 🎮 Discord Formatter - Context7 Optimized
+ *
+ * Context7 Pattern: Webhook Payload Formatting
+ * - Converts processed notifications into Discord embed payloads
+ * - Priority-based embed colours
+ * - Field limits respected (25 fields, 1024 chars per value)
+ */
+
+const DISCORD_WEBHOOK_PATTERN = /^https:\/\/(?:\w+\.)?discord(?:app)?\.com\/api\/webhooks\//;
+
+const PRIORITY_COLORS = {
+  critical: 0xe74c3c,
+  high: 0xe67e22,
+  medium: 0x3498db,
+  low: 0x95a5a6
+};
+
+const MAX_FIELDS = 25;
+const MAX_FIELD_VALUE = 1024;
+const MAX_DESCRIPTION = 4096;
+const HIDDEN_FIELDS = ['service', 'message', 'timestamp', 'stack', 'error'];
+
+/**
+ * Context7 Pattern: Detect Discord webhook URLs
+ * @param {string} url - Webhook URL
+ * @returns {boolean}
+ */
+function isDiscordWebhook(url) {
+  return DISCORD_WEBHOOK_PATTERN.test(String(url || ''));
+}
+
+/**
+ * Context7 Pattern: Truncate text to a Discord limit
+ */
+function truncate(value, limit) {
+  const text = String(value);
+  return text.length > limit ? `${text.slice(0, limit - 1)}…` : text;
+}
+
+/**
+ * Context7 Pattern: Build a Discord embed payload from a notification
+ * @param {Object} notification - Processed notification (subject, body, data, priority)
+ * @param {Object} options - { username, avatarUrl }
+ * @returns {Object} Discord webhook body
+ */
+function formatDiscordEmbed(notification, options = {}) {
+  const data = notification.data || {};
+  const fields = Object.entries(data)
+    .filter(([key, value]) => !HIDDEN_FIELDS.includes(key) && value !== undefined && value !== null && typeof value !== 'object')
+    .slice(0, MAX_FIELDS)
+    .map(([key, value]) => ({
+      name: key,
+      value: truncate(typeof value === 'number' ? value.toLocaleString('en-US') : value, MAX_FIELD_VALUE),
+      inline: true
+    }));
+
+  const payload = {
+    username: options.username || data.service || 'OSRS Market Tracker',
+    embeds: [{
+      title: truncate(notification.subject || notification.type || 'Notification', 256),
+      description: truncate(data.message || data.error || notification.body || '', MAX_DESCRIPTION),
+      color: PRIORITY_COLORS[notification.priority] || PRIORITY_COLORS.medium,
+      timestamp: notification.timestamp || new Date().toISOString(),
+      fields,
+      footer: { text: `${notification.priority || 'medium'} • ${notification.id || 'notification'}` }
+    }]
+  };
+
+  if (options.avatarUrl) {
+    payload.avatar_url = options.avatarUrl;
+  }
+
+  return payload;
+}
+
+module.exports = {
+  formatDiscordEmbed,
+  isDiscordWebhook,
+  PRIORITY_COLORS
+};
@@ -0,0 +1,196 @@
+/**
+ * ✉️ SMTP Transport - Context7 Optimized
+ *
+ * Context7 Pattern: Pluggable Mail Transport
+ * - Minimal SMTP client built on net/tls (no external mailer dependency)
+ * - EHLO, optional AUTH LOGIN, MAIL FROM, RCPT TO, DATA, QUIT
+ * - Implicit TLS via `secure`, per-command timeout
+ * - Rejects addresses and subjects containing CR/LF before connecting
+ * - Any object exposing `send(message)` can replace it in NotificationService
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+class SmtpTransport {
+  constructor(config = {}) {
+    this.host = config.host || 'localhost';
+    this.port = config.port || (config.secure ? 465 : 25);
+    this.secure = Boolean(config.secure);
+    this.auth = config.auth || null;
+    this.name = config.name || os.hostname();
+    this.timeoutMs = config.timeoutMs || 10000;
+    this.tlsOptions = config.tlsOptions || {};
+  }
+
+  /**
+   * Context7 Pattern: Send a single message
+   * @param {Object} message - { from, to, subject, text }
+   * @returns {Promise<Object>} { accepted, messageId, response }
+   */
+  async send(message) {
+    const recipients = Array.isArray(message.to) ? message.to : [message.to];
+    if (!message.from || recipients.length === 0 || !recipients[0]) {
+      throw new Error('SMTP message requires a sender and at least one recipient');
+    }
+    // A CR/LF would end the command or header and let the rest be read as a new one
+    const fields = { from: message.from, to: recipients.join(', '), subject: message.subject || '' };
+    const unsafe = Object.keys(fields).filter(field => /[\r\n]/.test(fields[field]));
+    if (unsafe.length > 0) {
+      throw new Error(`SMTP ${unsafe.join(', ')} must not contain line breaks`);
+    }
+
+    const messageId = `<${Date.now()}.${Math.random().toString(36).substr(2, 9)}@${this.name}>`;
+    const session = await this.connect();
+
+    try {
+      await session.expect(220);
+      await session.command(`EHLO ${this.name}`, 250);
+
+      if (this.auth && this.auth.user) {
+        await session.command('AUTH LOGIN', 334);
+        await session.command(Buffer.from(this.auth.user).toString('base64'), 334);
+        await session.command(Buffer.from(this.auth.pass || '').toString('base64'), 235);
+      }
+
+      await session.command(`MAIL FROM:<${message.from}>`, 250);
+      for (const recipient of recipients) {
+        await session.command(`RCPT TO:<${recipient}>`, [250, 251]);
+      }
+
+      await session.command('DATA', 354);
+      const response = await session.command(`${this.buildMessage(message, recipients, messageId)}\r\n.`, 250);
+      await session.command('QUIT', 221).catch(() => null);
+
+      return { accepted: recipients, messageId, response: response.text };
+    } finally {
+      session.close();
+    }
+  }
+
+  /**
+   * Context7 Pattern: Build RFC 5322 message with dot-stuffing applied
+   */
+  buildMessage(message, recipients, messageId) {
+    const headers = [
+      `From: ${message.from}`,
+      `To: ${recipients.join(', ')}`,
+      `Subject: ${this.encodeHeader(message.subject || '')}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: ${messageId}`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: 8bit'
+    ];
+
+    const body = String(message.text || '')
+      .replace(/\r?\n/g, '\r\n')
+      .split('\r\n')
+      .map(line => (line.startsWith('.') ? `.${line}` : line))
+      .join('\r\n');
+
+    return `${headers.join('\r\n')}\r\n\r\n${body}`;
+  }
+
+  /**
+   * Context7 Pattern: RFC 2047 encode non-ASCII header values
+   */
+  encodeHeader(value) {
+    return [...value].every(ch => ch.charCodeAt(0) < 128)
+      ? value
+      : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+  }
+
+  /**
+   * Context7 Pattern: Open a socket and wrap it in a line-oriented session
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      const options = { host: this.host, port: this.port, ...this.tlsOptions };
+      const socket = this.secure ? tls.connect(options) : net.connect(options);
+      const readyEvent = this.secure ? 'secureConnect' : 'connect';
+
+      const onError = (error) => reject(error);
+      socket.once('error', onError);
+      socket.once(readyEvent, () => {
+        socket.removeListener('error', onError);
+        resolve(this.createSession(socket));
+      });
+      socket.setTimeout(this.timeoutMs, () => {
+        socket.destroy(new Error(`SMTP connection to ${this.host}:${this.port} timed out`));
+      });
+    });
+  }
+
+  /**
+   * Context7 Pattern: Parse multi-line SMTP replies and match them to pending commands
+   */
+  createSession(socket) {
+    let buffer = '';
+    let lines = [];
+    const replies = [];
+    const waiters = [];
+    let failure = null;
+
+    const settle = () => {
+      while (waiters.length > 0 && (replies.length > 0 || failure)) {
+        const waiter = waiters.shift();
+        if (replies.length > 0) {
+          waiter.resolve(replies.shift());
+        } else {
+          waiter.reject(failure);
+        }
+      }
+    };
+
+    socket.setEncoding('utf8');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        lines.push(line);
+        // Final line of a reply has a space (or nothing) after the code
+        if (/^\d{3}(?: |$)/.test(line)) {
+          replies.push({ code: parseInt(line.slice(0, 3), 10), text: lines.join('\n') });
+          lines = [];
+        }
+      }
+      settle();
+    });
+    socket.on('error', (error) => {
+      failure = error;
+      settle();
+    });
+    socket.on('close', () => {
+      failure = failure || new Error('SMTP connection closed unexpectedly');
+      settle();
+    });
+
+    const expect = (expected) => new Promise((resolve, reject) => {
+      waiters.push({ resolve, reject });
+      settle();
+    }).then((reply) => {
+      const codes = Array.isArray(expected) ? expected : [expected];
+      if (!codes.includes(reply.code)) {
+        const error = new Error(`SMTP error ${reply.code}: ${reply.text}`);
+        error.responseCode = reply.code;
+        throw error;
+      }
+      return reply;
+    });
+
+    return {
+      expect,
+      command: (line, expected) => {
+        socket.write(`${line}\r\n`);
+        return expect(expected);
+      },
+      close: () => socket.end()
+    };
+  }
+}
+
+module.exports = { SmtpTransport };
@@ -10,6 +10,7 @@
  */
 
 const { BaseValidator } = require('./BaseValidator');
+const { createRewardFunction } = require('../services/ai/rewards/RewardFunctions');
 
 class AITradingValidator extends BaseValidator {
   /**
@@ -41,12 +42,12 @@ class AITradingValidator extends BaseValidator {
       }
 
       if (errors.length > 0) {
-        return this.formatErrorResponse(errors, 'AI_TRADING_VALIDATION_ERROR');
+        return validator.formatErrorResponse(errors, 'AI_TRADING_VALIDATION_ERROR');
       }
       
-      return this.formatSuccessResponse(null, 'AI trading session validation successful');
+      return validator.formatSuccessResponse(null, 'AI trading session validation successful');
     } catch (error) {
-      return this.formatErrorResponse(
+      return validator.formatErrorResponse(
         [`Validation error occurred: ${error.message}`], 
         'AI_TRADING_SYSTEM_ERROR'
       );
@@ -77,12 +78,12 @@ class AITradingValidator extends BaseValidator {
       }
 
       if (errors.length > 0) {
-        return this.formatErrorResponse(errors, 'AI_TRADING_VALIDATION_ERROR');
+        return validator.formatErrorResponse(errors, 'AI_TRADING_VALIDATION_ERROR');
       }
       
-      return this.formatSuccessResponse(null, 'AI trading session validation successful');
+      return validator.formatSuccessResponse(null, 'AI trading session validation successful');
     } catch (error) {
-      return this.formatErrorResponse(
+      return validator.formatErrorResponse(
         [`Validation error occurred: ${error.message}`], 
         'AI_TRADING_SYSTEM_ERROR'
       );
@@ -113,12 +114,12 @@ class AITradingValidator extends BaseValidator {
       }
 
       if (errors.length > 0) {
-        return this.formatErrorResponse(errors, 'AI_TRADING_VALIDATION_ERROR');
+        return validator.formatErrorResponse(errors, 'AI_TRADING_VALIDATION_ERROR');
       }
       
-      return this.formatSuccessResponse(null, 'AI trading session validation successful');
+      return validator.formatSuccessResponse(null, 'AI trading session validation successful');
     } catch (error) {
-      return this.formatErrorResponse(
+      return validator.formatErrorResponse(
         [`Validation error occurred: ${error.message}`], 
         'AI_TRADING_SYSTEM_ERROR'
       );
@@ -141,12 +142,12 @@ class AITradingValidator extends BaseValidator {
       }
 
       if (errors.length > 0) {
-        return this.formatErrorResponse(errors, 'AI_TRADING_VALIDATION_ERROR');
+        return validator.formatErrorResponse(errors, 'AI_TRADING_VALIDATION_ERROR');
       }
       
-      return this.formatSuccessResponse(null, 'AI trading session validation successful');
+      return validator.formatSuccessResponse(null, 'AI trading session validation successful');
     } catch (error) {
-      return this.formatErrorResponse(
+      return validator.formatErrorResponse(
         [`Validation error occurred: ${error.message}`], 
         'AI_TRADING_SYSTEM_ERROR'
       );
@@ -179,12 +180,12 @@ class AITradingValidator extends BaseValidator {
       }
 
       if (errors.length > 0) {
-        return this.formatErrorResponse(errors, 'AI_TRADING_VALIDATION_ERROR');
+        return validator.formatErrorResponse(errors, 'AI_TRADING_VALIDATION_ERROR');
       }
       
-      return this.formatSuccessResponse(null, 'AI trading session validation successful');
+      return validator.formatSuccessResponse(null, 'AI trading session validation successful');
     } catch (error) {
-      return this.formatErrorResponse(
+      return validator.formatErrorResponse(
         [`Validation error occurred: ${error.message}`], 
         'AI_TRADING_SYSTEM_ERROR'
       );
@@ -308,6 +309,15 @@ class AITradingValidator extends BaseValidator {
       errors.push('Adaptive explorationBoost must be a boolean');
     }
 
+    // Validate rewardFunction against the reward function registry
+    if (config.rewardFunction !== undefined) {
+      try {
+        createRewardFunction(config.rewardFunction);
+      } catch (error) {
+        errors.push(`Adaptive rewardFunction: ${error.message}`);
+      }
+    }
+
     return errors;
   }
 
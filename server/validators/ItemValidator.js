@@ -10,6 +10,8 @@
  */
 
 const { Logger } = require('../utils/Logger');
+const { DEFAULT_CATEGORIES } = require('../config/ItemCategoryTaxonomy');
+const { parseItemQuery } = require('../domain/specifications/ItemQueryParser');
 
 class ItemValidator {
   constructor() {
@@ -43,13 +45,14 @@ class ItemValidator {
       SEARCH_TERM: {
         MIN_LENGTH: 2,
         MAX_LENGTH: 100
+      },
+      FILTER: {
+        MAX_LENGTH: 500
       }
     };
 
-    this.ALLOWED_CATEGORIES = [
-      'runes', 'potions', 'food', 'smithing', 'woodcutting',
-      'farming', 'high_value', 'members', 'free', 'general'
-    ];
+    // Default taxonomy slugs; callers pass the stored taxonomy when it has been loaded
+    this.ALLOWED_CATEGORIES = DEFAULT_CATEGORIES.map(category => category.slug);
 
     this.ALLOWED_SORT_FIELDS = [
       'name', 'value', 'highalch', 'lowalch', 'itemId', 'updatedAt'
@@ -356,6 +359,16 @@ class ItemValidator {
         }
       }
 
+      if (params.filter !== undefined) {
+        const filter = String(params.filter).trim();
+        const syntaxError = this.validateFilterSyntax(filter);
+        if (syntaxError) {
+          errors.push(`filter: ${syntaxError}`);
+        } else {
+          sanitized.filter = filter;
+        }
+      }
+
       // Business rule: maxValue should be greater than minValue
       if (sanitized.minValue && sanitized.maxValue && sanitized.maxValue < sanitized.minValue) {
         errors.push('maxValue must be greater than or equal to minValue');
@@ -378,18 +391,37 @@ class ItemValidator {
     }
   }
 
+  /**
+   * Context7 Pattern: Check filter expression syntax (categories are checked by the service)
+   * @param {string} filter - Filter expression
+   * @returns {string|null} Error message or null if the expression parses
+   */
+  validateFilterSyntax(filter) {
+    if (filter.length > this.CONSTRAINTS.FILTER.MAX_LENGTH) {
+      return `must be at most ${this.CONSTRAINTS.FILTER.MAX_LENGTH} characters`;
+    }
+    try {
+      parseItemQuery(filter);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
   /**
    * Context7 Pattern: Validate category parameter
+   * @param {string} category - Category slug
+   * @param {string[]} allowedCategories - Slugs in the current taxonomy
    */
-  validateCategory(category) {
+  validateCategory(category, allowedCategories = this.ALLOWED_CATEGORIES) {
     if (!category) {
       return { isValid: false, error: 'Category is required' };
     }
 
-    if (!this.ALLOWED_CATEGORIES.includes(category)) {
+    if (!allowedCategories.includes(category)) {
       return {
         isValid: false,
-        error: `Invalid category. Allowed values: ${this.ALLOWED_CATEGORIES.join(', ')}`
+        error: `Invalid category. Allowed values: ${allowedCategories.join(', ')}`
       };
     }
 
@@ -1,5 +1,6 @@
 import { useState } from 'react'
 import { TradingDashboard } from './components/TradingDashboard'
+import { TradeJournal } from './components/TradeJournal'
 import { AITradingDashboard } from './components/AITradingDashboard'
 import { AutoTrainingDashboard } from './components/AutoTrainingDashboard'
 import LiveMonitoringDashboard from './components/LiveMonitoringDashboard'
@@ -8,12 +9,13 @@ import SystemOverview from './components/SystemOverview'
 import AITradingVisualizer from './components/AITradingVisualizer'
 import { AITrainingVisualizer } from './components/AITrainingVisualizer'
 import LiveMarketFeed from './components/LiveMarketFeed'
+import { RecipeProfits } from './components/RecipeProfits'
 import { NotificationToast } from './components/NotificationToast'
 import { useNotifications } from './hooks/useNotifications'
 import './App.css'
 
 function App() {
-  const [activeTab, setActiveTab] = useState<'overview' | 'analysis' | 'ai-viz' | 'training-viz' | 'live-feed' | 'manual' | 'ai' | 'auto' | 'monitoring'>('overview')
+  const [activeTab, setActiveTab] = useState<'overview' | 'analysis' | 'ai-viz' | 'training-viz' | 'live-feed' | 'manual' | 'recipes' | 'journal' | 'ai' | 'auto' | 'monitoring'>('overview')
   const { notifications, showSuccess, showError, showWarning, showInfo, dismissNotification } = useNotifications()
 
   return (
@@ -94,6 +96,26 @@ function App() {
               >
                 📊 Manual Trading
               </button>
+              <button
+                onClick={() => setActiveTab('recipes')}
+                className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                  activeTab === 'recipes'
+                    ? 'border-blue-500 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                ⚗️ Recipes
+              </button>
+              <button
+                onClick={() => setActiveTab('journal')}
+                className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                  activeTab === 'journal'
+                    ? 'border-blue-500 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                📒 Trade Journal
+              </button>
               <button
                 onClick={() => setActiveTab('ai')}
                 className={`py-2 px-1 border-b-2 font-medium text-sm ${
@@ -136,6 +158,8 @@ function App() {
         {activeTab === 'training-viz' && <AITrainingVisualizer />}
         {activeTab === 'live-feed' && <LiveMarketFeed />}
         {activeTab === 'manual' && <TradingDashboard />}
+        {activeTab === 'recipes' && <RecipeProfits />}
+        {activeTab === 'journal' && <TradeJournal />}
         {activeTab === 'ai' && <AITradingDashboard />}
         {activeTab === 'auto' && <AutoTrainingDashboard />}
         {activeTab === 'monitoring' && <LiveMonitoringDashboard />}
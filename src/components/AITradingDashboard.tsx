@@ -23,6 +23,7 @@ const formatPercentage = (value: number): string => {
 };
 import type { AdaptiveLearningConfig } from '../types/aiTrading'
 import type { PerformanceAnalytics } from '../services/aiTradingApi'
+import { formatPrice } from '../utils/formatters'
 
 export function AITradingDashboard() {
   const {
@@ -41,6 +42,8 @@ export function AITradingDashboard() {
     saveModel,
     loadModel,
     exportTrainingData,
+    sessionHistory,
+    getSessionHistory,
     getPerformanceAnalytics,
     updateAdaptiveConfig,
     clearError
@@ -71,6 +74,11 @@ export function AITradingDashboard() {
     }
   }, [items, isInitialized, isTraining])
 
+  // Refresh the session history when a session starts or stops
+  useEffect(() => {
+    getSessionHistory()
+  }, [currentSession?.sessionId, currentSession?.status, getSessionHistory])
+
   const handleStartTraining = () => {
     if (!isTraining) {
       startTraining()
@@ -554,13 +562,82 @@ export function AITradingDashboard() {
           </button>
           
           <button
-            onClick={exportTrainingData}
+            onClick={() => exportTrainingData()}
             className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700"
           >
             Export Training Data
           </button>
         </div>
       </div>
+
+      {/* Session History */}
+      <div className="bg-white rounded-lg shadow-sm p-6 border border-gray-200">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold text-gray-900">Session History</h2>
+          <button
+            onClick={() => getSessionHistory()}
+            className="px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200"
+          >
+            Refresh
+          </button>
+        </div>
+
+        {sessionHistory.length === 0 ? (
+          <div className="text-sm text-gray-500">No stored sessions yet</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b border-gray-200">
+                  <th className="py-2 pr-4">Session</th>
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2 pr-4">Started</th>
+                  <th className="py-2 pr-4">Duration</th>
+                  <th className="py-2 pr-4">Decisions</th>
+                  <th className="py-2 pr-4">Trades</th>
+                  <th className="py-2 pr-4">Profit</th>
+                  <th className="py-2 pr-4">Reward Function</th>
+                  <th className="py-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {sessionHistory.map(session => (
+                  <tr key={session.sessionId} className="border-b border-gray-100">
+                    <td className="py-2 pr-4 font-medium text-gray-900">{session.sessionName}</td>
+                    <td className="py-2 pr-4">
+                      <span className={`px-2 py-1 rounded text-xs font-medium ${
+                        session.status === 'TRAINING' ? 'bg-green-100 text-green-800' :
+                        session.status === 'PAUSED' ? 'bg-yellow-100 text-yellow-800' :
+                        'bg-gray-100 text-gray-800'
+                      }`}>
+                        {session.status}
+                      </span>
+                    </td>
+                    <td className="py-2 pr-4 text-gray-700">{new Date(session.startTime).toLocaleString()}</td>
+                    <td className="py-2 pr-4 text-gray-700">{Math.round(session.duration / 60000)} min</td>
+                    <td className="py-2 pr-4 text-gray-700">{session.performance.totalDecisions}</td>
+                    <td className="py-2 pr-4 text-gray-700">{session.performance.totalTrades}</td>
+                    <td className={`py-2 pr-4 ${session.performance.totalProfit >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                      {formatPrice(session.performance.totalProfit)}
+                    </td>
+                    <td className="py-2 pr-4 text-gray-700">
+                      {session.rewardFunction ? `${session.rewardFunction.name} v${session.rewardFunction.version}` : 'default'}
+                    </td>
+                    <td className="py-2 text-right">
+                      <button
+                        onClick={() => exportTrainingData(session.sessionId)}
+                        className="px-3 py-1 text-xs bg-purple-600 text-white rounded-md hover:bg-purple-700"
+                      >
+                        Export
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
     </div>
   )
 }
\ No newline at end of file
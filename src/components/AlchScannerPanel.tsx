@@ -0,0 +1,144 @@
+import { useState } from 'react'
+import { useAlchScanner } from '../hooks/useAlchScanner'
+import type { AlchSortField } from '../types/alchemy'
+import { formatPrice } from '../utils/formatters'
+
+const SORT_OPTIONS: { value: AlchSortField; label: string }[] = [
+  { value: 'profitPerHour', label: 'Profit / hour' },
+  { value: 'profit', label: 'Profit / cast' },
+  { value: 'returnPercent', label: 'Return %' }
+]
+
+const MEMBERSHIP_OPTIONS: { value: boolean | null; label: string }[] = [
+  { value: null, label: 'All' },
+  { value: false, label: 'F2P' },
+  { value: true, label: 'Members' }
+]
+
+function RankChange({ change }: { change: number | null }) {
+  if (change === null) {
+    return <span className="text-xs font-medium text-blue-600">NEW</span>
+  }
+  if (change === 0) {
+    return <span className="text-xs text-gray-400">–</span>
+  }
+  return change > 0
+    ? <span className="text-xs font-medium text-green-600">▲ {change}</span>
+    : <span className="text-xs font-medium text-red-600">▼ {Math.abs(change)}</span>
+}
+
+export function AlchScannerPanel() {
+  const [sortBy, setSortBy] = useState<AlchSortField>('profitPerHour')
+  const [members, setMembers] = useState<boolean | null>(null)
+  const { scan, loading, error, refreshScan } = useAlchScanner(sortBy, members)
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6 border border-gray-200">
+      <div className="flex flex-wrap justify-between items-start gap-4 mb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">🔥 High Alchemy Scanner</h2>
+          <p className="text-sm text-gray-500">
+            Profit = high alch − GE buy price − nature rune
+            {scan && (
+              <>
+                {' '}({formatPrice(scan.natureRune.price)}
+                {scan.natureRune.source === 'default' ? ', default' : ''}) • rank change vs. 24h ago
+              </>
+            )}
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={sortBy}
+            onChange={(e) => setSortBy(e.target.value as AlchSortField)}
+            className="px-3 py-1 border border-gray-300 rounded-md text-sm"
+          >
+            {SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          {MEMBERSHIP_OPTIONS.map(option => (
+            <button
+              key={option.label}
+              onClick={() => setMembers(option.value)}
+              className={`px-3 py-1 rounded-full text-sm font-medium transition-colors ${
+                members === option.value
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+          <button
+            onClick={refreshScan}
+            disabled={loading}
+            className="px-3 py-1 text-sm font-medium text-blue-600 hover:text-blue-800 disabled:opacity-50"
+          >
+            {loading ? 'Scanning…' : 'Refresh'}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          <p>Error: {error}</p>
+        </div>
+      )}
+
+      {scan && scan.items.length === 0 && !loading && (
+        <p className="text-center py-8 text-gray-500">No profitable alchs at current prices.</p>
+      )}
+
+      {scan && scan.items.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs uppercase text-gray-500 border-b border-gray-200">
+                <th className="py-2 pr-2">#</th>
+                <th className="py-2 pr-2">24h</th>
+                <th className="py-2 pr-4">Item</th>
+                <th className="py-2 pr-4 text-right">Buy</th>
+                <th className="py-2 pr-4 text-right">High alch</th>
+                <th className="py-2 pr-4 text-right">Profit</th>
+                <th className="py-2 pr-4 text-right">Return</th>
+                <th className="py-2 pr-4 text-right">Per hour</th>
+                <th className="py-2 text-right">Profit / hour</th>
+              </tr>
+            </thead>
+            <tbody>
+              {scan.items.map(item => (
+                <tr key={item.itemId} className="border-b border-gray-100 hover:bg-gray-50">
+                  <td className="py-2 pr-2 text-gray-500">{item.rank}</td>
+                  <td className="py-2 pr-2"><RankChange change={item.rankChange} /></td>
+                  <td className="py-2 pr-4 font-medium text-gray-900">
+                    {item.name}
+                    {item.members && <span className="ml-2 text-xs text-yellow-600">P2P</span>}
+                  </td>
+                  <td className="py-2 pr-4 text-right text-red-600">{formatPrice(item.buyPrice)}</td>
+                  <td className="py-2 pr-4 text-right">{formatPrice(item.highalch)}</td>
+                  <td className="py-2 pr-4 text-right font-semibold text-green-600">{formatPrice(item.profit)}</td>
+                  <td className="py-2 pr-4 text-right">{item.returnPercent.toFixed(1)}%</td>
+                  <td
+                    className="py-2 pr-4 text-right text-gray-600"
+                    title={item.buyLimit ? `Buy limit ${item.buyLimit} per 4h` : 'No buy limit'}
+                  >
+                    {item.itemsPerHour}
+                  </td>
+                  <td className="py-2 text-right font-semibold text-green-700">{formatPrice(item.profitPerHour)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {scan && scan.droppedOut.length > 0 && (
+        <p className="mt-4 text-xs text-gray-500">
+          Dropped out since yesterday:{' '}
+          {scan.droppedOut.map(item => `${item.name} (#${item.previousRank})`).join(', ')}
+        </p>
+      )}
+    </div>
+  )
+}
@@ -7,6 +7,8 @@ interface FlippingOpportunityCardProps {
 }
 
 export function FlippingOpportunityCard({ opportunity, onAddToWatchlist }: FlippingOpportunityCardProps) {
+  const { setArbitrage } = opportunity
+
   const getRiskColor = (risk: string) => {
     switch (risk) {
       case 'LOW': return 'text-green-600 bg-green-100'
@@ -57,12 +59,38 @@ export function FlippingOpportunityCard({ opportunity, onAddToWatchlist }: Flipp
             {opportunity.roi.toFixed(1)}%
           </p>
         </div>
-        <div className="text-center">
-          <p className="text-xs text-gray-500">Time</p>
-          <p className="font-semibold text-blue-600">{Math.round(opportunity.timeToFlip)}m</p>
-        </div>
+        {setArbitrage ? (
+          <div className="text-center">
+            <p className="text-xs text-gray-500">Per 4h</p>
+            <p className="font-semibold text-blue-600">{setArbitrage.maxPerWindow ?? '–'}</p>
+          </div>
+        ) : (
+          <div className="text-center">
+            <p className="text-xs text-gray-500">Time</p>
+            <p className="font-semibold text-blue-600">{Math.round(opportunity.timeToFlip)}m</p>
+          </div>
+        )}
       </div>
 
+      {setArbitrage && (
+        <div className="mb-4 text-sm">
+          <p className="text-xs text-gray-500 mb-1">
+            {setArbitrage.direction === 'combine'
+              ? 'Buy the components, exchange and sell the set'
+              : 'Buy the set, exchange and sell the components'}
+            {setArbitrage.tax > 0 && ` • ${formatPrice(setArbitrage.tax)} tax`}
+          </p>
+          <ul className="space-y-0.5">
+            {setArbitrage.components.map(component => (
+              <li key={component.itemId} className="flex justify-between text-gray-700">
+                <span>{component.quantity} × {component.name}</span>
+                <span>{formatPrice(component.price)}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       <div className="flex justify-between items-center pt-4 border-t border-gray-100">
         <div>
           <p className="text-xs text-gray-500">Spread</p>
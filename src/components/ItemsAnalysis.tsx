@@ -3,7 +3,6 @@ import { Search, Star, Filter, BarChart3, Activity, Grid, List, Map } from 'luci
 import PriceChart from './PriceChart';
 import MetricsCard from './MetricsCard';
 import MarketHeatmap from './MarketHeatmap';
-import { TimeConstants } from '../utils/TimeConstants';
 
 interface Item {
   itemId: number;
@@ -17,6 +16,13 @@ interface Item {
   value: number;
   buy_limit: number;
   icon: string;
+  category?: string;
+}
+
+interface ItemCategory {
+  id: string;
+  name: string;
+  itemCount?: number;
 }
 
 interface MarketData {
@@ -46,6 +52,24 @@ const ItemsAnalysis: React.FC = () => {
   const [viewMode, setViewMode] = useState<'grid' | 'list' | 'heatmap'>('grid');
   const [selectedItem, setSelectedItem] = useState<ItemWithMarketData | null>(null);
   const [favorites, setFavorites] = useState<Set<number>>(new Set());
+  const [categories, setCategories] = useState<ItemCategory[]>([]);
+
+  // Category taxonomy is stored server-side so the filter matches /api/items/category/:category
+  useEffect(() => {
+    const fetchCategories = async () => {
+      try {
+        const response = await fetch('/api/market-data/categories');
+        const result = await response.json();
+        if (result.success && Array.isArray(result.data)) {
+          setCategories(result.data);
+        }
+      } catch (error) {
+        console.error('Failed to fetch categories:', error);
+      }
+    };
+
+    fetchCategories();
+  }, []);
 
   // Fetch items and market data
   useEffect(() => {
@@ -146,7 +170,8 @@ const ItemsAnalysis: React.FC = () => {
         (selectedCategory === 'members' && item.members) ||
         (selectedCategory === 'f2p' && !item.members) ||
         (selectedCategory === 'stackable' && item.stackable) ||
-        (selectedCategory === 'tradeable' && item.tradeable_on_ge);
+        (selectedCategory === 'tradeable' && item.tradeable_on_ge) ||
+        item.category === selectedCategory;
       
       return matchesSearch && matchesCategory;
     });
@@ -434,6 +459,13 @@ const ItemsAnalysis: React.FC = () => {
               <option value="f2p">Free-to-Play</option>
               <option value="stackable">Stackable</option>
               <option value="tradeable">GE Tradeable</option>
+              {categories.length > 0 && (
+                <optgroup label="Categories">
+                  {categories.map(category => (
+                    <option key={category.id} value={category.id}>{category.name}</option>
+                  ))}
+                </optgroup>
+              )}
             </select>
 
             {/* Sort By */}
@@ -531,40 +563,23 @@ const ItemsAnalysis: React.FC = () => {
                   itemId: item.itemId,
                   name: item.name,
                   icon: item.icon,
+                  category: item.category,
                   marginPercent: item.marketData!.marginPercent,
                   volume: item.marketData!.volume,
                   riskScore: item.marketData!.riskScore,
                   expectedProfitPerHour: item.marketData!.expectedProfitPerHour
                 }))
               }
+              categories={categories}
             />
           </div>
         )}
 
         {/* Price Chart for Selected Item */}
-        {selectedItem && selectedItem.marketData && (
+        {selectedItem && (
           <div className="mb-8">
             <PriceChart
-              data={[
-                {
-                  timestamp: Date.now() - TimeConstants.ONE_DAY,
-                  highPrice: selectedItem.marketData.highPrice * 0.95,
-                  lowPrice: selectedItem.marketData.lowPrice * 0.95,
-                  volume: selectedItem.marketData.volume * 0.8
-                },
-                {
-                  timestamp: Date.now() - TimeConstants.TWELVE_HOURS,
-                  highPrice: selectedItem.marketData.highPrice * 0.98,
-                  lowPrice: selectedItem.marketData.lowPrice * 0.98,
-                  volume: selectedItem.marketData.volume * 0.9
-                },
-                {
-                  timestamp: Date.now(),
-                  highPrice: selectedItem.marketData.highPrice,
-                  lowPrice: selectedItem.marketData.lowPrice,
-                  volume: selectedItem.marketData.volume
-                }
-              ]}
+              itemId={selectedItem.itemId}
               itemName={selectedItem.name}
             />
           </div>
@@ -1,10 +1,13 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { Activity, TrendingUp, Database, AlertTriangle, CheckCircle, ArrowUp, ArrowDown, Circle } from 'lucide-react';
+import { useMarketStream } from '../hooks/useMarketStream';
+import { POPULAR_ITEM_IDS } from '../hooks/useItemPrices';
+import type { MarketAnomaly, MarketStreamDelta } from '../types/marketStream';
 
 interface MarketEvent {
   id: string;
   timestamp: Date;
-  type: 'price_change' | 'volume_spike' | 'data_update' | 'error';
+  type: 'price_change' | 'volume_spike' | 'data_update' | 'anomaly' | 'error';
   severity: 'low' | 'medium' | 'high';
   title: string;
   description: string;
@@ -31,105 +34,134 @@ interface PriceMovement {
   trend: 'up' | 'down' | 'stable';
 }
 
+// Watchlist streamed alongside the popular items (matches the hardcoded user elsewhere)
+const FEED_WATCHLIST_USER = 'user_default_001';
+
+// Price moves at or above this percentage are listed as events
+const PRICE_CHANGE_EVENT_PERCENT = 2;
+
+const ANOMALY_SIGNAL_LABELS: Record<MarketAnomaly['signals'][number]['type'], string> = {
+  price_zscore: 'abnormal price move',
+  volume_surge: 'volume surge',
+  spread_blowout: 'spread blowout'
+};
+
+const formatGP = (value: number) => {
+  if (value >= 1000000) return `${(value / 1000000).toFixed(1)}M`;
+  if (value >= 1000) return `${(value / 1000).toFixed(0)}K`;
+  return Math.round(value).toLocaleString();
+};
+
 const LiveMarketFeed: React.FC = () => {
   const [marketEvents, setMarketEvents] = useState<MarketEvent[]>([]);
-  const [priceMovements, setPriceMovements] = useState<PriceMovement[]>([]);
+  const [lastChanges, setLastChanges] = useState<Record<number, MarketStreamDelta>>({});
   const [isLive, setIsLive] = useState(true);
   const [filterType, setFilterType] = useState<'all' | 'high' | 'errors'>('all');
   const [lastUpdateTime, setLastUpdateTime] = useState<Date | null>(null);
   const feedRef = useRef<HTMLDivElement>(null);
 
-  // Fetch real market data and create events from actual API responses
-  useEffect(() => {
-    if (!isLive) return;
+  // Price deltas are pushed over the market WebSocket channel after each backend sync
+  const handleDelta = useCallback((items: MarketStreamDelta[]) => {
+    const now = new Date();
+    const events: MarketEvent[] = [{
+      id: `data_update_${now.getTime()}`,
+      timestamp: now,
+      type: 'data_update',
+      severity: 'low',
+      title: 'Market Data Updated',
+      description: `Price update received for ${items.length} subscribed items`,
+      data: {
+        itemCount: items.length
+      }
+    }];
 
-    const fetchRealMarketData = async () => {
-      try {
-        const startTime = Date.now();
-        
-        // Fetch real market data from backend
-        const response = await fetch('/api/market-data/live');
-        if (!response.ok) {
-          throw new Error(`API returned ${response.status}`);
-        }
-        
-        const result = await response.json();
-        const _duration = Date.now() - startTime;
-        
-        if (result.success && result.data) {
-          const itemCount = Object.keys(result.data).length;
-          
-          // Create a real data update event
-          const dataUpdateEvent: MarketEvent = {
-            id: `data_update_${Date.now()}`,
-            timestamp: new Date(),
-            type: 'data_update',
-            severity: 'low',
-            title: 'Market Data Updated',
-            description: `Real-time price data refreshed for ${itemCount} items from ${result.source}`,
-            data: {
-              itemCount: itemCount
-            }
-          };
-          
-          setMarketEvents(prev => [dataUpdateEvent, ...prev.slice(0, 49)]);
-          setLastUpdateTime(new Date());
-          
-          // Convert real market data to price movements
-          const movements: PriceMovement[] = [];
-          const dataEntries = Object.entries(result.data).slice(0, 10); // Show top 10
-          
-          for (const [itemId, marketData] of dataEntries) {
-            if (marketData && typeof marketData === 'object' && 'highPrice' in marketData && 'lowPrice' in marketData) {
-              const data = marketData as any;
-              const currentPrice = Math.round((data.highPrice + data.lowPrice) / 2);
-              const previousPrice = data.previousPrice || data.lowPrice || currentPrice; // Use real previous price from backend
-              const change = currentPrice - previousPrice;
-              const changePercent = previousPrice > 0 ? (change / previousPrice) * 100 : 0;
-              
-              movements.push({
-                itemId: parseInt(itemId),
-                itemName: `Item ${itemId}`, // Would need item name lookup
-                currentPrice: currentPrice,
-                previousPrice: previousPrice,
-                change: change,
-                changePercent: changePercent,
-                volume: data.volume || 0,
-                trend: change > 0 ? 'up' : change < 0 ? 'down' : 'stable'
-              });
-            }
-          }
-          
-          setPriceMovements(movements);
-          
-        } else {
-          throw new Error('No data received from API');
+    for (const item of items) {
+      const changePercent = item.changePercent ?? 0;
+      if (Math.abs(changePercent) < PRICE_CHANGE_EVENT_PERCENT) continue;
+
+      events.push({
+        id: `price_change_${item.itemId}_${item.timestamp}`,
+        timestamp: now,
+        type: 'price_change',
+        severity: Math.abs(changePercent) >= 5 ? 'high' : 'medium',
+        title: `Item ${item.itemId} ${changePercent > 0 ? 'up' : 'down'} ${Math.abs(changePercent).toFixed(1)}%`,
+        description: `Mid price moved from ${formatGP(((item.previousHighPrice ?? 0) + (item.previousLowPrice ?? 0)) / 2)} GP`,
+        itemId: item.itemId,
+        data: {
+          change: item.change ?? undefined,
+          changePercent,
+          volume: item.volume
         }
-      } catch (error) {
-        console.error('Failed to fetch market data:', error);
-        
-        // Create error event for real API failures
-        const errorEvent: MarketEvent = {
-          id: `error_${Date.now()}`,
-          timestamp: new Date(),
-          type: 'error',
-          severity: 'high',
-          title: 'Market Data Fetch Failed',
-          description: `Failed to fetch real market data: ${error.message}`,
-          data: {}
-        };
-        
-        setMarketEvents(prev => [errorEvent, ...prev.slice(0, 49)]);
-      }
-    };
+      });
+    }
 
-    // Initial fetch
-    fetchRealMarketData();
-    
-    // Fetch real data every 30 seconds
-    const interval = setInterval(fetchRealMarketData, 30000);
-    return () => clearInterval(interval);
-  }, [isLive]);
+    setLastChanges(prev => ({ ...prev, ...Object.fromEntries(items.map(item => [item.itemId, item])) }));
+    setMarketEvents(prev => [...events, ...prev].slice(0, 50));
+    setLastUpdateTime(now);
+  }, []);
+
+  // Anomalies are broadcast to every client, not only for subscribed items
+  const handleAnomaly = useCallback((anomalies: MarketAnomaly[]) => {
+    const now = new Date();
+    const events: MarketEvent[] = anomalies.map(anomaly => ({
+      id: `anomaly_${anomaly.itemId}_${anomaly.interval}_${anomaly.timestamp}`,
+      timestamp: now,
+      type: 'anomaly',
+      severity: anomaly.severity,
+      title: `Item ${anomaly.itemId} price ${anomaly.direction === 'crash' ? 'crash' : anomaly.direction === 'spike' ? 'spike' : 'anomaly'} flagged`,
+      description: `Possible manipulation (${anomaly.interval}): ${anomaly.signals.map(signal => ANOMALY_SIGNAL_LABELS[signal.type]).join(', ')}`,
+      itemId: anomaly.itemId,
+      data: {}
+    }));
+
+    setMarketEvents(prev => [...events, ...prev].slice(0, 50));
+  }, []);
+
+  const { prices, connected } = useMarketStream({
+    itemIds: POPULAR_ITEM_IDS,
+    watchlists: [FEED_WATCHLIST_USER],
+    enabled: isLive,
+    onDelta: handleDelta,
+    onAnomaly: handleAnomaly
+  });
+
+  // Record dropped connections while the feed is live
+  const wasConnected = useRef(false);
+  useEffect(() => {
+    if (wasConnected.current && !connected && isLive) {
+      const errorEvent: MarketEvent = {
+        id: `error_${Date.now()}`,
+        timestamp: new Date(),
+        type: 'error',
+        severity: 'high',
+        title: 'Market Stream Disconnected',
+        description: 'Lost the live price connection; reconnecting and resyncing automatically',
+        data: {}
+      };
+      setMarketEvents(prev => [errorEvent, ...prev.slice(0, 49)]);
+    }
+    wasConnected.current = connected;
+  }, [connected, isLive]);
+
+  const priceMovements: PriceMovement[] = useMemo(() => Object.values(prices).slice(0, 10).map(price => {
+    const currentPrice = Math.round((price.highPrice + price.lowPrice) / 2);
+    const delta = lastChanges[price.itemId];
+    const previousPrice = delta?.previousHighPrice != null && delta.previousLowPrice != null
+      ? Math.round((delta.previousHighPrice + delta.previousLowPrice) / 2)
+      : currentPrice;
+    const change = currentPrice - previousPrice;
+
+    return {
+      itemId: price.itemId,
+      itemName: `Item ${price.itemId}`, // Would need item name lookup
+      currentPrice,
+      previousPrice,
+      change,
+      changePercent: previousPrice > 0 ? (change / previousPrice) * 100 : 0,
+      volume: price.volume || 0,
+      trend: change > 0 ? 'up' : change < 0 ? 'down' : 'stable'
+    };
+  }), [prices, lastChanges]);
 
   // Auto-scroll to new events
   useEffect(() => {
@@ -143,6 +175,7 @@ const LiveMarketFeed: React.FC = () => {
       case 'price_change': return <TrendingUp className="w-4 h-4" />;
       case 'volume_spike': return <Activity className="w-4 h-4" />;
       case 'data_update': return <Database className="w-4 h-4" />;
+      case 'anomaly': return <AlertTriangle className="w-4 h-4" />;
       case 'error': return <AlertTriangle className="w-4 h-4" />;
       default: return <Circle className="w-4 h-4" />;
     }
@@ -157,6 +190,7 @@ const LiveMarketFeed: React.FC = () => {
       case 'price_change': return 'bg-blue-50 border-blue-200 text-blue-800';
       case 'volume_spike': return 'bg-purple-50 border-purple-200 text-purple-800';
       case 'data_update': return 'bg-green-50 border-green-200 text-green-800';
+      case 'anomaly': return 'bg-orange-50 border-orange-200 text-orange-800';
       default: return 'bg-gray-50 border-gray-200 text-gray-800';
     }
   };
@@ -165,12 +199,6 @@ const LiveMarketFeed: React.FC = () => {
     return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
   };
 
-  const formatGP = (value: number) => {
-    if (value >= 1000000) return `${(value / 1000000).toFixed(1)}M`;
-    if (value >= 1000) return `${(value / 1000).toFixed(0)}K`;
-    return value.toLocaleString();
-  };
-
   const filteredEvents = marketEvents.filter(event => {
     if (filterType === 'all') return true;
     if (filterType === 'high') return event.severity === 'high';
@@ -186,7 +214,7 @@ const LiveMarketFeed: React.FC = () => {
         <div className="flex items-center justify-between">
           <div>
             <h1 className="text-4xl font-bold text-gray-900 mb-2">Live Market Feed</h1>
-            <p className="text-xl text-gray-600">Real-time OSRS market data from backend APIs</p>
+            <p className="text-xl text-gray-600">Real-time OSRS market data streamed from the backend</p>
             {lastUpdateTime && (
               <p className="text-sm text-gray-500 mt-1">
                 Last updated: {formatTime(lastUpdateTime)}
@@ -367,12 +395,14 @@ const LiveMarketFeed: React.FC = () => {
               <h3 className="text-lg font-semibold text-gray-900 mb-4">API Status</h3>
               <div className="space-y-3">
                 <div className="flex items-center justify-between">
-                  <span className="text-sm text-gray-600">Market Data API</span>
-                  <span className="text-green-600 font-medium">Active</span>
+                  <span className="text-sm text-gray-600">Market Stream</span>
+                  <span className={`font-medium ${connected ? 'text-green-600' : 'text-red-600'}`}>
+                    {connected ? 'Connected' : 'Disconnected'}
+                  </span>
                 </div>
                 <div className="flex items-center justify-between">
-                  <span className="text-sm text-gray-600">Update Interval</span>
-                  <span className="font-medium">30 seconds</span>
+                  <span className="text-sm text-gray-600">Updates</span>
+                  <span className="font-medium">After each sync (5 min)</span>
                 </div>
                 <div className="flex items-center justify-between">
                   <span className="text-sm text-gray-600">Data Source</span>
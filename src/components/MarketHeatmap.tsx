@@ -1,4 +1,4 @@
-import React, { useMemo } from 'react';
+import React, { useMemo, useState } from 'react';
 // import { TrendingUp, TrendingDown, AlertCircle } from 'lucide-react';
 
 interface HeatmapItem {
@@ -9,20 +9,39 @@ interface HeatmapItem {
   volume: number;
   riskScore: number;
   expectedProfitPerHour: number;
+  category?: string;
+}
+
+interface HeatmapCategory {
+  id: string;
+  name: string;
 }
 
 interface MarketHeatmapProps {
   items: HeatmapItem[];
+  categories?: HeatmapCategory[];
   className?: string;
 }
 
-const MarketHeatmap: React.FC<MarketHeatmapProps> = ({ items, className = '' }) => {
+const MarketHeatmap: React.FC<MarketHeatmapProps> = ({ items, categories = [], className = '' }) => {
+  const [activeCategory, setActiveCategory] = useState<string | null>(null);
+
+  // Only offer categories that actually have items on the map
+  const presentCategories = useMemo(() => {
+    const present = new Set(items.map(item => item.category).filter(Boolean));
+    return categories.filter(category => present.has(category.id));
+  }, [items, categories]);
+
+  const getCategoryName = (id?: string) =>
+    categories.find(category => category.id === id)?.name || id;
+
   // Sort items by profit per hour and take top 20
   const topItems = useMemo(() => {
-    return [...items]
+    return items
+      .filter(item => !activeCategory || item.category === activeCategory)
       .sort((a, b) => b.expectedProfitPerHour - a.expectedProfitPerHour)
       .slice(0, 20);
-  }, [items]);
+  }, [items, activeCategory]);
 
   // Calculate size and color for each item
   const getItemData = (item: HeatmapItem) => {
@@ -89,6 +108,25 @@ const MarketHeatmap: React.FC<MarketHeatmapProps> = ({ items, className = '' })
         </div>
       </div>
 
+      {/* Category Filter */}
+      {presentCategories.length > 0 && (
+        <div className="px-6 pt-4 flex flex-wrap gap-2">
+          {[{ id: null, name: 'All' }, ...presentCategories].map(category => (
+            <button
+              key={category.id ?? 'all'}
+              onClick={() => setActiveCategory(category.id)}
+              className={`px-3 py-1 rounded-full text-xs font-medium transition-colors ${
+                activeCategory === category.id
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {category.name}
+            </button>
+          ))}
+        </div>
+      )}
+
       {/* Heatmap */}
       <div className="p-6">
         <div className="relative h-96 bg-gray-50 rounded-lg overflow-hidden">
@@ -143,6 +181,9 @@ const MarketHeatmap: React.FC<MarketHeatmapProps> = ({ items, className = '' })
                 <div className="absolute bottom-full left-1/2 transform -translate-x-1/2 mb-2 opacity-0 group-hover:opacity-100 transition-opacity duration-200 pointer-events-none z-50">
                   <div className="bg-gray-900 text-white text-xs rounded-lg py-2 px-3 whitespace-nowrap">
                     <div className="font-semibold">{item.name}</div>
+                    {item.category && (
+                      <div className="text-gray-400">{getCategoryName(item.category)}</div>
+                    )}
                     <div className="mt-1 space-y-1">
                       <div className="flex items-center justify-between space-x-4">
                         <span>Profit/Hr:</span>
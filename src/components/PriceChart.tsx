@@ -1,70 +1,161 @@
-import React from 'react';
-import { XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, AreaChart, Area } from 'recharts';
-import { TrendingUp, TrendingDown, Activity } from 'lucide-react';
-
-interface PriceData {
-  timestamp: number;
-  highPrice: number;
-  lowPrice: number;
-  volume: number;
-}
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  ComposedChart,
+  LineChart,
+  AreaChart,
+  Area,
+  Bar,
+  Line,
+  Cell,
+  Brush,
+  ReferenceLine
+} from 'recharts';
+import { TrendingUp, TrendingDown, Activity, CandlestickChart, LineChart as LineChartIcon } from 'lucide-react';
+import { useCandles, CHART_TIME_RANGES, type ChartTimeRange, type CandleChartPoint } from '../hooks/useCandles';
+import type { IndicatorName } from '../types/candles';
 
 interface PriceChartProps {
-  data: PriceData[];
+  itemId: number;
   itemName: string;
   className?: string;
 }
 
-const PriceChart: React.FC<PriceChartProps> = ({ data, itemName, className = '' }) => {
-  // Format data for charts
-  const chartData = data.map(point => ({
-    timestamp: point.timestamp,
-    date: new Date(point.timestamp).toLocaleDateString(),
-    time: new Date(point.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
-    high: point.highPrice,
-    low: point.lowPrice,
-    mid: (point.highPrice + point.lowPrice) / 2,
-    volume: point.volume,
-    spread: point.highPrice - point.lowPrice
-  }));
-
-  // Calculate statistics
-  const currentPrice = chartData[chartData.length - 1]?.mid || 0;
-  const previousPrice = chartData[chartData.length - 2]?.mid || currentPrice;
+type ChartMode = 'candles' | 'line';
+
+const OVERLAYS: { name: IndicatorName; label: string }[] = [
+  { name: 'sma', label: 'SMA 20' },
+  { name: 'ema', label: 'EMA 20' },
+  { name: 'bollinger', label: 'Bollinger' },
+  { name: 'rsi', label: 'RSI' },
+  { name: 'macd', label: 'MACD' }
+];
+
+const UP_COLOR = '#10B981';
+const DOWN_COLOR = '#EF4444';
+
+const formatGP = (value: number) => {
+  const abs = Math.abs(value);
+  if (abs >= 1000000) return `${(value / 1000000).toFixed(1)}M`;
+  if (abs >= 1000) return `${(value / 1000).toFixed(0)}K`;
+  return Math.round(value).toLocaleString();
+};
+
+/**
+ * Draws one candle from a low-high range bar: the bar spans the wick,
+ * the body is scaled from open/close inside it
+ */
+const CandleShape = (props: any) => {
+  const { x, y, width, height, payload } = props;
+  const { open, close, high, low } = payload as CandleChartPoint;
+  const color = close >= open ? UP_COLOR : DOWN_COLOR;
+  const pixelsPerGp = high !== low ? height / (high - low) : 0;
+  const bodyTop = y + (high - Math.max(open, close)) * pixelsPerGp;
+  const bodyHeight = Math.max(1, Math.abs(open - close) * pixelsPerGp);
+  const centerX = x + width / 2;
+
+  return (
+    <g>
+      <line x1={centerX} y1={y} x2={centerX} y2={y + height} stroke={color} strokeWidth={1} />
+      <rect
+        x={x + width * 0.15}
+        y={bodyTop}
+        width={Math.max(1, width * 0.7)}
+        height={bodyHeight}
+        fill={color}
+      />
+    </g>
+  );
+};
+
+const PriceChart: React.FC<PriceChartProps> = ({ itemId, itemName, className = '' }) => {
+  const [mode, setMode] = useState<ChartMode>('candles');
+  const [timeRange, setTimeRange] = useState<ChartTimeRange>('1W');
+  const [enabledOverlays, setEnabledOverlays] = useState<IndicatorName[]>(['sma']);
+  const [zoom, setZoom] = useState<{ startIndex: number; endIndex: number } | null>(null);
+
+  const { points, gaps, coverage, resolution, loading, error } = useCandles(itemId, timeRange, enabledOverlays);
+
+  // A new range or item starts fully zoomed out
+  useEffect(() => {
+    setZoom(null);
+  }, [itemId, timeRange]);
+
+  const visiblePoints = useMemo(
+    () => (zoom ? points.slice(zoom.startIndex, zoom.endIndex + 1) : points),
+    [points, zoom]
+  );
+
+  const isEnabled = (name: IndicatorName) => enabledOverlays.includes(name);
+
+  const toggleOverlay = (name: IndicatorName) => {
+    setEnabledOverlays(current =>
+      current.includes(name) ? current.filter(overlay => overlay !== name) : [...current, name]
+    );
+  };
+
+  // Intraday resolutions label the axis with times, longer ones with dates
+  const formatTime = (time: number) => {
+    const date = new Date(time);
+    return resolution === '5m' || resolution === '1h'
+      ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+      : date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+  };
+
+  // Calculate statistics over the visible window
+  const currentPrice = visiblePoints[visiblePoints.length - 1]?.close || 0;
+  const previousPrice = visiblePoints[visiblePoints.length - 2]?.close || currentPrice;
   const priceChange = currentPrice - previousPrice;
   const priceChangePercent = previousPrice !== 0 ? (priceChange / previousPrice) * 100 : 0;
   const isPositive = priceChange >= 0;
-
-  const formatGP = (value: number) => {
-    if (value >= 1000000) return `${(value / 1000000).toFixed(1)}M`;
-    if (value >= 1000) return `${(value / 1000).toFixed(0)}K`;
-    return value.toLocaleString();
-  };
+  const rangeHigh = visiblePoints.length ? Math.max(...visiblePoints.map(d => d.high)) : 0;
+  const rangeLow = visiblePoints.length ? Math.min(...visiblePoints.map(d => d.low)) : 0;
+  const avgVolume = visiblePoints.length
+    ? visiblePoints.reduce((sum, d) => sum + d.volume, 0) / visiblePoints.length
+    : 0;
 
   const CustomTooltip = ({ active, payload }: any) => {
     if (active && payload && payload.length) {
-      const data = payload[0].payload;
+      const data = payload[0].payload as CandleChartPoint;
       return (
         <div className="bg-white border border-gray-200 rounded-lg shadow-lg p-4">
-          <p className="font-semibold text-gray-900">{data.date}</p>
-          <p className="text-sm text-gray-600">{data.time}</p>
-          <div className="mt-2 space-y-1">
-            <p className="text-sm">
-              <span className="text-green-600">High: </span>
-              <span className="font-semibold">{formatGP(data.high)} GP</span>
-            </p>
-            <p className="text-sm">
-              <span className="text-red-600">Low: </span>
-              <span className="font-semibold">{formatGP(data.low)} GP</span>
-            </p>
-            <p className="text-sm">
-              <span className="text-blue-600">Volume: </span>
-              <span className="font-semibold">{formatGP(data.volume)}</span>
-            </p>
-            <p className="text-sm">
-              <span className="text-purple-600">Spread: </span>
-              <span className="font-semibold">{formatGP(data.spread)} GP</span>
-            </p>
+          <p className="font-semibold text-gray-900">{new Date(data.time).toLocaleDateString()}</p>
+          <p className="text-sm text-gray-600">
+            {new Date(data.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+          </p>
+          <div className="mt-2 grid grid-cols-2 gap-x-4 gap-y-1 text-sm">
+            <span className="text-gray-600">Open</span>
+            <span className="font-semibold">{formatGP(data.open)} GP</span>
+            <span className="text-green-600">High</span>
+            <span className="font-semibold">{formatGP(data.high)} GP</span>
+            <span className="text-red-600">Low</span>
+            <span className="font-semibold">{formatGP(data.low)} GP</span>
+            <span className="text-gray-600">Close</span>
+            <span className="font-semibold">{formatGP(data.close)} GP</span>
+            <span className="text-blue-600">Volume</span>
+            <span className="font-semibold">{formatGP(data.volume)}</span>
+            {isEnabled('sma') && data.sma != null && (
+              <>
+                <span className="text-amber-600">SMA</span>
+                <span className="font-semibold">{formatGP(data.sma)} GP</span>
+              </>
+            )}
+            {isEnabled('ema') && data.ema != null && (
+              <>
+                <span className="text-purple-600">EMA</span>
+                <span className="font-semibold">{formatGP(data.ema)} GP</span>
+              </>
+            )}
+            {isEnabled('rsi') && data.rsi != null && (
+              <>
+                <span className="text-indigo-600">RSI</span>
+                <span className="font-semibold">{data.rsi.toFixed(1)}</span>
+              </>
+            )}
           </div>
         </div>
       );
@@ -72,6 +163,16 @@ const PriceChart: React.FC<PriceChartProps> = ({ data, itemName, className = ''
     return null;
   };
 
+  const xAxis = (
+    <XAxis
+      dataKey="time"
+      tickFormatter={formatTime}
+      tick={{ fontSize: 12, fill: '#6B7280' }}
+      axisLine={{ stroke: '#D1D5DB' }}
+      minTickGap={24}
+    />
+  );
+
   return (
     <div className={`bg-white rounded-xl shadow-lg border border-gray-200 ${className}`}>
       {/* Header */}
@@ -79,7 +180,9 @@ const PriceChart: React.FC<PriceChartProps> = ({ data, itemName, className = ''
         <div className="flex items-center justify-between">
           <div>
             <h3 className="text-lg font-semibold text-gray-900">{itemName} Price Chart</h3>
-            <p className="text-sm text-gray-600">Real-time market data</p>
+            <p className="text-sm text-gray-600">
+              {resolution} candles{gaps.length > 0 && ` · ${gaps.length} gap${gaps.length === 1 ? '' : 's'} in history`}
+            </p>
           </div>
           <div className="text-right">
             <p className="text-2xl font-bold text-gray-900">{formatGP(currentPrice)} GP</p>
@@ -102,95 +205,201 @@ const PriceChart: React.FC<PriceChartProps> = ({ data, itemName, className = ''
         </div>
       </div>
 
-      {/* Chart Tabs */}
-      <div className="px-6 py-4 bg-gray-50 border-b border-gray-200">
+      {/* Chart Controls */}
+      <div className="px-6 py-4 bg-gray-50 border-b border-gray-200 flex flex-wrap items-center gap-4">
         <div className="flex space-x-1">
-          <button className="px-3 py-1 bg-blue-600 text-white rounded-md text-sm font-medium">
-            Price
-          </button>
-          <button className="px-3 py-1 bg-gray-200 text-gray-700 rounded-md text-sm font-medium hover:bg-gray-300 transition-colors">
-            Volume
-          </button>
-          <button className="px-3 py-1 bg-gray-200 text-gray-700 rounded-md text-sm font-medium hover:bg-gray-300 transition-colors">
-            Spread
-          </button>
+          {(['candles', 'line'] as ChartMode[]).map(option => (
+            <button
+              key={option}
+              onClick={() => setMode(option)}
+              className={`flex items-center px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                mode === option ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+              }`}
+            >
+              {option === 'candles' ? (
+                <CandlestickChart className="w-4 h-4 mr-1" />
+              ) : (
+                <LineChartIcon className="w-4 h-4 mr-1" />
+              )}
+              {option === 'candles' ? 'Candles' : 'Line'}
+            </button>
+          ))}
+        </div>
+        <div className="flex space-x-1">
+          {(Object.keys(CHART_TIME_RANGES) as ChartTimeRange[]).map(range => (
+            <button
+              key={range}
+              onClick={() => setTimeRange(range)}
+              className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                timeRange === range ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+              }`}
+            >
+              {range}
+            </button>
+          ))}
+        </div>
+        <div className="flex flex-wrap gap-1">
+          {OVERLAYS.map(({ name, label }) => (
+            <button
+              key={name}
+              onClick={() => toggleOverlay(name)}
+              className={`px-3 py-1 rounded-md text-sm font-medium border transition-colors ${
+                isEnabled(name)
+                  ? 'bg-blue-50 border-blue-500 text-blue-700'
+                  : 'bg-white border-gray-300 text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
         </div>
       </div>
 
-      {/* Price Chart */}
-      <div className="p-6">
-        <div className="h-80">
-          <ResponsiveContainer width="100%" height="100%">
-            <AreaChart data={chartData}>
-              <defs>
-                <linearGradient id="highGradient" x1="0" y1="0" x2="0" y2="1">
-                  <stop offset="5%" stopColor="#10B981" stopOpacity={0.3}/>
-                  <stop offset="95%" stopColor="#10B981" stopOpacity={0.1}/>
-                </linearGradient>
-                <linearGradient id="lowGradient" x1="0" y1="0" x2="0" y2="1">
-                  <stop offset="5%" stopColor="#EF4444" stopOpacity={0.3}/>
-                  <stop offset="95%" stopColor="#EF4444" stopOpacity={0.1}/>
-                </linearGradient>
-              </defs>
-              <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
-              <XAxis 
-                dataKey="time"
-                tick={{ fontSize: 12, fill: '#6B7280' }}
-                axisLine={{ stroke: '#D1D5DB' }}
-              />
-              <YAxis 
-                tickFormatter={formatGP}
-                tick={{ fontSize: 12, fill: '#6B7280' }}
-                axisLine={{ stroke: '#D1D5DB' }}
-              />
-              <Tooltip content={<CustomTooltip />} />
-              <Area
-                type="monotone"
-                dataKey="high"
-                stroke="#10B981"
-                strokeWidth={2}
-                fill="url(#highGradient)"
-                name="High Price"
-              />
-              <Area
-                type="monotone"
-                dataKey="low"
-                stroke="#EF4444"
-                strokeWidth={2}
-                fill="url(#lowGradient)"
-                name="Low Price"
-              />
-            </AreaChart>
-          </ResponsiveContainer>
-        </div>
+      <div className="p-6 space-y-4">
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-md text-sm text-red-700">{error}</div>
+        )}
+        {loading && points.length === 0 && (
+          <div className="h-80 flex items-center justify-center text-sm text-gray-500">Loading chart…</div>
+        )}
+
+        {points.length > 0 && (
+          <>
+            {/* Price Chart */}
+            <div className="h-80">
+              <ResponsiveContainer width="100%" height="100%">
+                <ComposedChart data={visiblePoints}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                  {xAxis}
+                  <YAxis
+                    domain={['auto', 'auto']}
+                    tickFormatter={formatGP}
+                    tick={{ fontSize: 12, fill: '#6B7280' }}
+                    axisLine={{ stroke: '#D1D5DB' }}
+                  />
+                  <Tooltip content={<CustomTooltip />} />
+                  {mode === 'candles' ? (
+                    <Bar
+                      dataKey={(d: CandleChartPoint) => [d.low, d.high]}
+                      shape={<CandleShape />}
+                      isAnimationActive={false}
+                      name="Price"
+                    />
+                  ) : (
+                    <Line type="monotone" dataKey="close" stroke="#2563EB" strokeWidth={2} dot={false} name="Close" />
+                  )}
+                  {isEnabled('bollinger') && (
+                    <>
+                      <Line dataKey="bollingerUpper" stroke="#9CA3AF" strokeDasharray="4 4" dot={false} name="Bollinger Upper" />
+                      <Line dataKey="bollingerMiddle" stroke="#9CA3AF" dot={false} name="Bollinger Middle" />
+                      <Line dataKey="bollingerLower" stroke="#9CA3AF" strokeDasharray="4 4" dot={false} name="Bollinger Lower" />
+                    </>
+                  )}
+                  {isEnabled('sma') && <Line dataKey="sma" stroke="#D97706" strokeWidth={1.5} dot={false} name="SMA" />}
+                  {isEnabled('ema') && <Line dataKey="ema" stroke="#7C3AED" strokeWidth={1.5} dot={false} name="EMA" />}
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+
+            {/* Volume Bars */}
+            <div className="h-24">
+              <ResponsiveContainer width="100%" height="100%">
+                <ComposedChart data={visiblePoints}>
+                  <XAxis dataKey="time" hide />
+                  <YAxis tickFormatter={formatGP} tick={{ fontSize: 10, fill: '#6B7280' }} axisLine={{ stroke: '#D1D5DB' }} />
+                  <Tooltip content={<CustomTooltip />} />
+                  <Bar dataKey="volume" isAnimationActive={false} name="Volume">
+                    {visiblePoints.map(point => (
+                      <Cell key={point.time} fill={point.close >= point.open ? UP_COLOR : DOWN_COLOR} fillOpacity={0.6} />
+                    ))}
+                  </Bar>
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+
+            {/* RSI Panel */}
+            {isEnabled('rsi') && (
+              <div className="h-28">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={visiblePoints}>
+                    <XAxis dataKey="time" hide />
+                    <YAxis domain={[0, 100]} ticks={[30, 70]} tick={{ fontSize: 10, fill: '#6B7280' }} axisLine={{ stroke: '#D1D5DB' }} />
+                    <ReferenceLine y={70} stroke={DOWN_COLOR} strokeDasharray="3 3" />
+                    <ReferenceLine y={30} stroke={UP_COLOR} strokeDasharray="3 3" />
+                    <Line dataKey="rsi" stroke="#4F46E5" dot={false} name="RSI" isAnimationActive={false} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            )}
+
+            {/* MACD Panel */}
+            {isEnabled('macd') && (
+              <div className="h-28">
+                <ResponsiveContainer width="100%" height="100%">
+                  <ComposedChart data={visiblePoints}>
+                    <XAxis dataKey="time" hide />
+                    <YAxis tickFormatter={formatGP} tick={{ fontSize: 10, fill: '#6B7280' }} axisLine={{ stroke: '#D1D5DB' }} />
+                    <ReferenceLine y={0} stroke="#D1D5DB" />
+                    <Bar dataKey="macdHistogram" isAnimationActive={false} name="Histogram">
+                      {visiblePoints.map(point => (
+                        <Cell key={point.time} fill={(point.macdHistogram ?? 0) >= 0 ? UP_COLOR : DOWN_COLOR} fillOpacity={0.5} />
+                      ))}
+                    </Bar>
+                    <Line dataKey="macd" stroke="#2563EB" dot={false} name="MACD" isAnimationActive={false} />
+                    <Line dataKey="macdSignal" stroke="#F59E0B" dot={false} name="Signal" isAnimationActive={false} />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </div>
+            )}
+
+            {/* Zoom / Pan Navigator */}
+            <div className="h-16">
+              <ResponsiveContainer width="100%" height="100%">
+                <AreaChart data={points}>
+                  <XAxis dataKey="time" hide />
+                  <YAxis domain={['auto', 'auto']} hide />
+                  <Area dataKey="close" stroke="#93C5FD" fill="#DBEAFE" isAnimationActive={false} />
+                  <Brush
+                    dataKey="time"
+                    height={40}
+                    stroke="#2563EB"
+                    tickFormatter={formatTime}
+                    startIndex={zoom?.startIndex ?? 0}
+                    endIndex={zoom?.endIndex ?? points.length - 1}
+                    onChange={({ startIndex, endIndex }) => {
+                      if (startIndex !== undefined && endIndex !== undefined) {
+                        setZoom({ startIndex, endIndex });
+                      }
+                    }}
+                  />
+                </AreaChart>
+              </ResponsiveContainer>
+            </div>
+          </>
+        )}
       </div>
 
       {/* Chart Stats */}
       <div className="px-6 py-4 bg-gray-50 border-t border-gray-200">
         <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
           <div className="text-center">
-            <p className="text-sm text-gray-600">24h High</p>
-            <p className="font-semibold text-green-600">
-              {formatGP(Math.max(...chartData.map(d => d.high)))} GP
-            </p>
+            <p className="text-sm text-gray-600">Range High</p>
+            <p className="font-semibold text-green-600">{formatGP(rangeHigh)} GP</p>
           </div>
           <div className="text-center">
-            <p className="text-sm text-gray-600">24h Low</p>
-            <p className="font-semibold text-red-600">
-              {formatGP(Math.min(...chartData.map(d => d.low)))} GP
-            </p>
+            <p className="text-sm text-gray-600">Range Low</p>
+            <p className="font-semibold text-red-600">{formatGP(rangeLow)} GP</p>
           </div>
           <div className="text-center">
             <p className="text-sm text-gray-600">Avg Volume</p>
-            <p className="font-semibold text-blue-600">
-              {formatGP(chartData.reduce((sum, d) => sum + d.volume, 0) / chartData.length)}
-            </p>
+            <p className="font-semibold text-blue-600">{formatGP(avgVolume)}</p>
           </div>
           <div className="text-center">
-            <p className="text-sm text-gray-600">Data Points</p>
+            <p className="text-sm text-gray-600">Candles</p>
             <p className="font-semibold text-gray-700 flex items-center justify-center">
               <Activity className="w-4 h-4 mr-1" />
-              {chartData.length}
+              {visiblePoints.length}
+              <span className="ml-1 text-xs text-gray-500">({Math.round(coverage * 100)}% coverage)</span>
             </p>
           </div>
         </div>
@@ -199,4 +408,4 @@ const PriceChart: React.FC<PriceChartProps> = ({ data, itemName, className = ''
   );
 };
 
-export default PriceChart;
\ No newline at end of file
+export default PriceChart;
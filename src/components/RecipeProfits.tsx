@@ -0,0 +1,194 @@
+import { Fragment, useState } from 'react'
+import { useRecipeProfits } from '../hooks/useRecipeProfits'
+import type { RecipeComponent, RecipeProfit, RecipePricingMode, RecipeSortField } from '../types/recipes'
+import { formatPrice } from '../utils/formatters'
+
+const SORT_OPTIONS: { value: RecipeSortField; label: string }[] = [
+  { value: 'profitPerHour', label: 'Profit / hour' },
+  { value: 'margin', label: 'Margin / action' },
+  { value: 'returnPercent', label: 'Return %' }
+]
+
+const PRICING_OPTIONS: { value: RecipePricingMode; label: string; description: string }[] = [
+  { value: 'instant', label: 'Instant', description: 'Buy inputs at the instant-buy price, sell outputs at the instant-sell price' },
+  { value: 'offer', label: 'Offers', description: 'Buy inputs at the low price, sell outputs at the high price' }
+]
+
+function marginClass(value: number) {
+  return value >= 0 ? 'text-green-600' : 'text-red-600'
+}
+
+function throughputTitle(recipe: RecipeProfit, windowHours: number) {
+  if (!recipe.limitedBy) {
+    return 'No buy limit or action rate known'
+  }
+  return recipe.limitedBy.type === 'buyLimit'
+    ? `Limited by the ${recipe.limitedBy.name} buy limit (per ${windowHours}h)`
+    : 'Limited by the recipe\'s action rate'
+}
+
+function ComponentList({ title, components }: { title: string; components: RecipeComponent[] }) {
+  return (
+    <div>
+      <h4 className="text-xs font-semibold uppercase text-gray-500 mb-1">{title}</h4>
+      <ul className="space-y-1">
+        {components.map(component => (
+          <li key={component.itemId} className="flex justify-between gap-4">
+            <span>
+              {component.quantity} × {component.name}
+              {component.buyLimit && <span className="ml-2 text-xs text-gray-400">limit {component.buyLimit.toLocaleString()}</span>}
+            </span>
+            <span className="text-gray-700">
+              {formatPrice(component.price)}
+              {component.tax ? <span className="ml-1 text-xs text-red-500">(−{formatPrice(component.tax)} tax)</span> : null}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export function RecipeProfits() {
+  const [sortBy, setSortBy] = useState<RecipeSortField>('profitPerHour')
+  const [pricing, setPricing] = useState<RecipePricingMode>('instant')
+  const [skill, setSkill] = useState<string | null>(null)
+  const [expanded, setExpanded] = useState<string | null>(null)
+  const { ranking, loading, error, refreshRanking } = useRecipeProfits(sortBy, pricing, skill)
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6 border border-gray-200">
+      <div className="flex flex-wrap justify-between items-start gap-4 mb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">⚗️ Recipe Profits</h2>
+          <p className="text-sm text-gray-500">
+            Margin = outputs − GE tax − inputs − coin cost • throughput capped by input buy limits
+            {ranking && <> • updated {new Date(ranking.generatedAt).toLocaleTimeString()}</>}
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={sortBy}
+            onChange={(e) => setSortBy(e.target.value as RecipeSortField)}
+            className="px-3 py-1 border border-gray-300 rounded-md text-sm"
+          >
+            {SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <select
+            value={skill ?? ''}
+            onChange={(e) => setSkill(e.target.value || null)}
+            className="px-3 py-1 border border-gray-300 rounded-md text-sm capitalize"
+          >
+            <option value="">All skills</option>
+            {ranking?.skills.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+          {PRICING_OPTIONS.map(option => (
+            <button
+              key={option.value}
+              onClick={() => setPricing(option.value)}
+              title={option.description}
+              className={`px-3 py-1 rounded-full text-sm font-medium transition-colors ${
+                pricing === option.value
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+          <button
+            onClick={refreshRanking}
+            disabled={loading}
+            className="px-3 py-1 text-sm font-medium text-blue-600 hover:text-blue-800 disabled:opacity-50"
+          >
+            {loading ? 'Pricing…' : 'Refresh'}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          <p>Error: {error}</p>
+        </div>
+      )}
+
+      {ranking && ranking.recipes.length === 0 && !loading && (
+        <p className="text-center py-8 text-gray-500">No recipes could be priced.</p>
+      )}
+
+      {ranking && ranking.recipes.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs uppercase text-gray-500 border-b border-gray-200">
+                <th className="py-2 pr-2">#</th>
+                <th className="py-2 pr-4">Recipe</th>
+                <th className="py-2 pr-4 text-right">Cost</th>
+                <th className="py-2 pr-4 text-right">Revenue</th>
+                <th className="py-2 pr-4 text-right">Margin</th>
+                <th className="py-2 pr-4 text-right">Return</th>
+                <th className="py-2 pr-4 text-right">Per hour</th>
+                <th className="py-2 text-right">Profit / hour</th>
+              </tr>
+            </thead>
+            <tbody>
+              {ranking.recipes.map(recipe => (
+                <Fragment key={recipe.id}>
+                  <tr
+                    onClick={() => setExpanded(expanded === recipe.id ? null : recipe.id)}
+                    className="border-b border-gray-100 hover:bg-gray-50 cursor-pointer"
+                  >
+                    <td className="py-2 pr-2 text-gray-500">{recipe.rank}</td>
+                    <td className="py-2 pr-4 font-medium text-gray-900">
+                      {recipe.name}
+                      {recipe.skill && <span className="ml-2 text-xs text-gray-400 capitalize">{recipe.skill}</span>}
+                    </td>
+                    <td className="py-2 pr-4 text-right text-red-600">{formatPrice(recipe.inputCost)}</td>
+                    <td className="py-2 pr-4 text-right">{formatPrice(recipe.revenue)}</td>
+                    <td className={`py-2 pr-4 text-right font-semibold ${marginClass(recipe.margin)}`}>{formatPrice(recipe.margin)}</td>
+                    <td className="py-2 pr-4 text-right">
+                      {recipe.returnPercent === null ? 'N/A' : `${recipe.returnPercent.toFixed(1)}%`}
+                    </td>
+                    <td
+                      className="py-2 pr-4 text-right text-gray-600"
+                      title={throughputTitle(recipe, ranking.buyLimitWindowHours)}
+                    >
+                      {recipe.actionsPerHour === null ? '–' : Math.floor(recipe.actionsPerHour).toLocaleString()}
+                    </td>
+                    <td className={`py-2 text-right font-semibold ${recipe.profitPerHour !== null ? marginClass(recipe.profitPerHour) : 'text-gray-400'}`}>
+                      {formatPrice(recipe.profitPerHour)}
+                    </td>
+                  </tr>
+                  {expanded === recipe.id && (
+                    <tr className="bg-gray-50 border-b border-gray-100">
+                      <td />
+                      <td colSpan={7} className="py-3 pr-4">
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                          <ComponentList title="Inputs" components={recipe.inputs} />
+                          <ComponentList title="Outputs" components={recipe.outputs} />
+                        </div>
+                        {recipe.coinCost > 0 && (
+                          <p className="mt-2 text-xs text-gray-500">Plus {formatPrice(recipe.coinCost)} in coins per action</p>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {ranking && ranking.unpriced.length > 0 && (
+        <p className="mt-4 text-xs text-gray-500">
+          Missing prices for: {ranking.unpriced.map(recipe => recipe.name).join(', ')}
+        </p>
+      )}
+    </div>
+  )
+}
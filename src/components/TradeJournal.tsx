@@ -0,0 +1,350 @@
+import { useState } from 'react'
+import type { FormEvent } from 'react'
+import { useTradeJournal } from '../hooks/useTradeJournal'
+import { formatPrice } from '../utils/formatters'
+import type { JournalEntry, JournalSide, JournalStatus } from '../types/journal'
+
+const STATUS_STYLES: Record<JournalStatus, string> = {
+  open: 'bg-blue-100 text-blue-800',
+  partially_filled: 'bg-yellow-100 text-yellow-800',
+  filled: 'bg-green-100 text-green-800',
+  cancelled: 'bg-gray-100 text-gray-600'
+}
+
+function formatPnl(value: number | null): string {
+  if (value === null) return 'N/A'
+  const sign = value > 0 ? '+' : value < 0 ? '-' : ''
+  return `${sign}${formatPrice(Math.abs(Math.round(value)))}`
+}
+
+function pnlColor(value: number | null): string {
+  if (value === null || value === 0) return 'text-gray-900'
+  return value > 0 ? 'text-green-600' : 'text-red-600'
+}
+
+export function TradeJournal() {
+  const {
+    entries,
+    summary,
+    rollups,
+    period,
+    loading,
+    error,
+    setPeriod,
+    createEntry,
+    addFill,
+    cancelEntry,
+    deleteEntry
+  } = useTradeJournal()
+
+  const [form, setForm] = useState({ itemId: '', side: 'buy' as JournalSide, offerPrice: '', quantity: '', filled: '', notes: '' })
+  const [fillInputs, setFillInputs] = useState<Record<string, { quantity: string; price: string }>>({})
+  const [submitting, setSubmitting] = useState(false)
+
+  const handleCreate = async (event: FormEvent) => {
+    event.preventDefault()
+    const offerPrice = Number(form.offerPrice)
+    const filled = Number(form.filled) || 0
+
+    setSubmitting(true)
+    try {
+      await createEntry({
+        itemId: Number(form.itemId),
+        side: form.side,
+        offerPrice,
+        quantity: Number(form.quantity),
+        notes: form.notes || undefined,
+        fills: filled > 0 ? [{ quantity: filled, price: offerPrice }] : []
+      })
+      setForm({ itemId: '', side: form.side, offerPrice: '', quantity: '', filled: '', notes: '' })
+    } catch {
+      // Error is surfaced through the hook
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleAddFill = async (entry: JournalEntry) => {
+    const input = fillInputs[entry.id] || { quantity: '', price: '' }
+    try {
+      await addFill(entry.id, Number(input.quantity), Number(input.price) || entry.offerPrice)
+      setFillInputs(prev => ({ ...prev, [entry.id]: { quantity: '', price: '' } }))
+    } catch {
+      // Error is surfaced through the hook
+    }
+  }
+
+  if (loading && !summary) {
+    return (
+      <div className="flex items-center justify-center min-h-64">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto mb-4"></div>
+          <p className="text-gray-600">Loading trade journal...</p>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-lg shadow-sm p-6 border border-gray-200">
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">Trade Journal</h1>
+        <p className="text-gray-600">Your GE offers with FIFO profit and loss after GE tax</p>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          <p>Error: {error}</p>
+        </div>
+      )}
+
+      {/* P&L Overview */}
+      {summary && (
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div className="bg-white rounded-lg shadow-sm p-4 border border-gray-200 text-center">
+            <p className={`text-2xl font-bold ${pnlColor(summary.realizedPnl)}`}>{formatPnl(summary.realizedPnl)}</p>
+            <p className="text-sm text-gray-500">Realized P&L</p>
+          </div>
+          <div className="bg-white rounded-lg shadow-sm p-4 border border-gray-200 text-center">
+            <p className={`text-2xl font-bold ${pnlColor(summary.unrealizedPnl)}`}>{formatPnl(summary.unrealizedPnl)}</p>
+            <p className="text-sm text-gray-500">Unrealized P&L</p>
+          </div>
+          <div className="bg-white rounded-lg shadow-sm p-4 border border-gray-200 text-center">
+            <p className="text-2xl font-bold text-orange-600">{formatPrice(summary.taxPaid)}</p>
+            <p className="text-sm text-gray-500">GE Tax Paid</p>
+          </div>
+          <div className="bg-white rounded-lg shadow-sm p-4 border border-gray-200 text-center">
+            <p className="text-2xl font-bold text-blue-600">
+              {summary.winningSales}/{summary.closedSales}
+            </p>
+            <p className="text-sm text-gray-500">Profitable Sales</p>
+          </div>
+        </div>
+      )}
+
+      {/* New Offer */}
+      <form onSubmit={handleCreate} className="bg-white rounded-lg shadow-sm p-6 border border-gray-200">
+        <h2 className="text-xl font-semibold text-gray-900 mb-4">📝 Record Offer</h2>
+        <div className="grid grid-cols-2 md:grid-cols-6 gap-3">
+          <input
+            type="number"
+            min={1}
+            required
+            placeholder="Item ID"
+            value={form.itemId}
+            onChange={(e) => setForm({ ...form, itemId: e.target.value })}
+            className="border border-gray-300 rounded px-3 py-2 text-sm"
+          />
+          <select
+            value={form.side}
+            onChange={(e) => setForm({ ...form, side: e.target.value as JournalSide })}
+            className="border border-gray-300 rounded px-3 py-2 text-sm"
+          >
+            <option value="buy">Buy</option>
+            <option value="sell">Sell</option>
+          </select>
+          <input
+            type="number"
+            min={1}
+            required
+            placeholder="Price (gp)"
+            value={form.offerPrice}
+            onChange={(e) => setForm({ ...form, offerPrice: e.target.value })}
+            className="border border-gray-300 rounded px-3 py-2 text-sm"
+          />
+          <input
+            type="number"
+            min={1}
+            required
+            placeholder="Quantity"
+            value={form.quantity}
+            onChange={(e) => setForm({ ...form, quantity: e.target.value })}
+            className="border border-gray-300 rounded px-3 py-2 text-sm"
+          />
+          <input
+            type="number"
+            min={0}
+            placeholder="Already filled"
+            value={form.filled}
+            onChange={(e) => setForm({ ...form, filled: e.target.value })}
+            className="border border-gray-300 rounded px-3 py-2 text-sm"
+          />
+          <button
+            type="submit"
+            disabled={submitting}
+            className="bg-blue-600 text-white rounded px-4 py-2 text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+          >
+            {submitting ? 'Saving...' : 'Add Offer'}
+          </button>
+        </div>
+        <input
+          type="text"
+          placeholder="Notes (optional)"
+          value={form.notes}
+          onChange={(e) => setForm({ ...form, notes: e.target.value })}
+          className="mt-3 w-full border border-gray-300 rounded px-3 py-2 text-sm"
+        />
+      </form>
+
+      {/* Open Positions */}
+      {summary && summary.openPositions.length > 0 && (
+        <div className="bg-white rounded-lg shadow-sm p-6 border border-gray-200">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">📦 Open Positions</h2>
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2">Item</th>
+                <th className="py-2">Quantity</th>
+                <th className="py-2">Avg Cost</th>
+                <th className="py-2">Mark Price</th>
+                <th className="py-2">Unrealized</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summary.openPositions.map((position) => (
+                <tr key={position.itemId} className="border-b last:border-0">
+                  <td className="py-2">{position.itemName || `Item ${position.itemId}`}</td>
+                  <td className="py-2">{position.quantity.toLocaleString()}</td>
+                  <td className="py-2">{formatPrice(Math.round(position.averageCost))}</td>
+                  <td className="py-2">{formatPrice(position.markPrice)}</td>
+                  <td className={`py-2 font-medium ${pnlColor(position.unrealizedPnl)}`}>{formatPnl(position.unrealizedPnl)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Rollups */}
+      <div className="bg-white rounded-lg shadow-sm p-6 border border-gray-200">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold text-gray-900">📅 Realized P&L</h2>
+          <div className="flex gap-2">
+            {(['daily', 'weekly'] as const).map((option) => (
+              <button
+                key={option}
+                onClick={() => setPeriod(option)}
+                className={`px-3 py-1 rounded-full text-sm font-medium transition-colors ${
+                  period === option
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {option === 'daily' ? 'Daily' : 'Weekly'}
+              </button>
+            ))}
+          </div>
+        </div>
+        {rollups.length === 0 ? (
+          <p className="text-gray-500 text-sm">No completed sales yet.</p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2">{period === 'daily' ? 'Day' : 'Week of'}</th>
+                <th className="py-2">Sales</th>
+                <th className="py-2">Proceeds</th>
+                <th className="py-2">Tax</th>
+                <th className="py-2">Realized</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...rollups].reverse().map((bucket) => (
+                <tr key={bucket.periodStart} className="border-b last:border-0">
+                  <td className="py-2">{bucket.period}</td>
+                  <td className="py-2">{bucket.sells}</td>
+                  <td className="py-2">{formatPrice(bucket.proceeds)}</td>
+                  <td className="py-2">{formatPrice(Math.round(bucket.taxPaid))}</td>
+                  <td className={`py-2 font-medium ${pnlColor(bucket.realizedPnl)}`}>{formatPnl(bucket.realizedPnl)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Entries */}
+      <div className="bg-white rounded-lg shadow-sm p-6 border border-gray-200">
+        <h2 className="text-xl font-semibold text-gray-900 mb-4">📒 Offers ({entries.length})</h2>
+        {entries.length === 0 ? (
+          <p className="text-gray-500 text-sm">No offers recorded yet.</p>
+        ) : (
+          <div className="space-y-3">
+            {entries.map((entry) => {
+              const active = entry.status === 'open' || entry.status === 'partially_filled'
+              const input = fillInputs[entry.id] || { quantity: '', price: '' }
+
+              return (
+                <div key={entry.id} className="border border-gray-200 rounded p-4">
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <div>
+                      <span className={`font-semibold ${entry.side === 'buy' ? 'text-green-700' : 'text-red-700'}`}>
+                        {entry.side.toUpperCase()}
+                      </span>{' '}
+                      <span className="font-medium text-gray-900">{entry.itemName || `Item ${entry.itemId}`}</span>{' '}
+                      <span className="text-gray-500 text-sm">
+                        {entry.filledQuantity.toLocaleString()}/{entry.quantity.toLocaleString()} @ {formatPrice(entry.offerPrice)}
+                      </span>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <span className={`px-2 py-1 rounded text-xs font-medium ${STATUS_STYLES[entry.status]}`}>
+                        {entry.status.replace('_', ' ')}
+                      </span>
+                      {entry.totalTax > 0 && (
+                        <span className="text-xs text-orange-600">Tax {formatPrice(entry.totalTax)}</span>
+                      )}
+                      {active && (
+                        <button
+                          onClick={() => cancelEntry(entry.id).catch(() => undefined)}
+                          className="text-xs text-gray-600 hover:text-gray-900"
+                        >
+                          Cancel
+                        </button>
+                      )}
+                      <button
+                        onClick={() => deleteEntry(entry.id).catch(() => undefined)}
+                        className="text-xs text-red-600 hover:text-red-800"
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                  {active && (
+                    <div className="mt-3 flex flex-wrap gap-2">
+                      <input
+                        type="number"
+                        min={1}
+                        max={entry.remainingQuantity}
+                        placeholder={`Qty (≤ ${entry.remainingQuantity})`}
+                        value={input.quantity}
+                        onChange={(e) => setFillInputs(prev => ({ ...prev, [entry.id]: { ...input, quantity: e.target.value } }))}
+                        className="border border-gray-300 rounded px-2 py-1 text-sm w-32"
+                      />
+                      <input
+                        type="number"
+                        min={1}
+                        placeholder={`Price (${entry.offerPrice})`}
+                        value={input.price}
+                        onChange={(e) => setFillInputs(prev => ({ ...prev, [entry.id]: { ...input, price: e.target.value } }))}
+                        className="border border-gray-300 rounded px-2 py-1 text-sm w-32"
+                      />
+                      <button
+                        onClick={() => handleAddFill(entry)}
+                        disabled={!input.quantity}
+                        className="bg-gray-800 text-white rounded px-3 py-1 text-sm hover:bg-gray-900 disabled:opacity-50"
+                      >
+                        Record Fill
+                      </button>
+                    </div>
+                  )}
+                  {entry.notes && <p className="mt-2 text-sm text-gray-500">{entry.notes}</p>}
+                </div>
+              )
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
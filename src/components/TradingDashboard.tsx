@@ -2,6 +2,8 @@ import { useState, useEffect } from 'react'
 import { useItemPrices } from '../hooks/useItemPrices'
 import { useMarketAnalysis } from '../hooks/useMarketAnalysis'
 import { FlippingOpportunityCard } from './FlippingOpportunityCard'
+import { AlchScannerPanel } from './AlchScannerPanel'
+import { useSetArbitrage } from '../hooks/useSetArbitrage'
 
 export function TradingDashboard() {
   const { items, loading: itemsLoading, error: itemsError } = useItemPrices()
@@ -16,6 +18,13 @@ export function TradingDashboard() {
 
   const [selectedRiskFilter, setSelectedRiskFilter] = useState<'ALL' | 'LOW' | 'MEDIUM' | 'HIGH'>('ALL')
   const [watchlist, setWatchlist] = useState<number[]>([])
+  const {
+    opportunities: setOpportunities,
+    setsChecked,
+    loading: setsLoading,
+    error: setsError,
+    refreshOpportunities: refreshSetOpportunities
+  } = useSetArbitrage()
 
   useEffect(() => {
     if (items.length > 0) {
@@ -108,6 +117,48 @@ export function TradingDashboard() {
         </div>
       )}
 
+      {/* Set & Pack Arbitrage */}
+      <div className="bg-white rounded-lg shadow-sm p-6 border border-gray-200">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">🧩 Set &amp; Pack Arbitrage</h2>
+            <p className="text-sm text-gray-500">
+              Sets and packs against their components, after GE tax on the side you sell • {setsChecked} sets checked
+            </p>
+          </div>
+          <button
+            onClick={refreshSetOpportunities}
+            disabled={setsLoading}
+            className="px-3 py-1 text-sm font-medium text-blue-600 hover:text-blue-800 disabled:opacity-50"
+          >
+            {setsLoading ? 'Scanning…' : 'Refresh'}
+          </button>
+        </div>
+
+        {setsError && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+            <p>Error: {setsError}</p>
+          </div>
+        )}
+
+        {!setsLoading && !setsError && setOpportunities.length === 0 ? (
+          <p className="text-center py-8 text-gray-500">No set or pack spreads beat the tax right now.</p>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            {setOpportunities.map((opportunity) => (
+              <FlippingOpportunityCard
+                key={`${opportunity.itemId}-${opportunity.setArbitrage?.direction}`}
+                opportunity={opportunity}
+                onAddToWatchlist={handleAddToWatchlist}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* High Alchemy Scanner */}
+      <AlchScannerPanel />
+
       {/* Risk Filter Controls */}
       <div className="bg-white rounded-lg shadow-sm p-4 border border-gray-200">
         <div className="flex flex-wrap gap-2">
@@ -250,15 +250,15 @@ export function useAITrading() {
     }
   }, [currentSessionId, backend])
 
-  // Export training data
-  const exportTrainingData = useCallback(async () => {
-    if (!currentSessionId) {
+  // Export training data (the current session's, or any stored session's audit trail)
+  const exportTrainingData = useCallback(async (sessionId: string | null = currentSessionId) => {
+    if (!sessionId) {
       setError('AI system not initialized')
       return null
     }
 
     try {
-      const data = await backend.exportTrainingData(currentSessionId)
+      const data = await backend.exportTrainingData(sessionId)
       
       if (data) {
         // Create downloadable file
@@ -266,7 +266,7 @@ export function useAITrading() {
         const url = URL.createObjectURL(blob)
         const link = document.createElement('a')
         link.href = url
-        link.download = `osrs-ai-training-data-${Date.now()}.json`
+        link.download = `osrs-ai-training-data-${sessionId}-${Date.now()}.json`
         document.body.appendChild(link)
         link.click()
         document.body.removeChild(link)
@@ -330,6 +330,7 @@ export function useAITrading() {
     trainingMetrics: backend.trainingProgress?.recentMetrics || [],
     tradingActions: backend.actions,
     performance: backend.analytics,
+    sessionHistory: backend.sessionHistory,
     error: error || backend.error,
 
     // Actions
@@ -347,6 +348,7 @@ export function useAITrading() {
     // Data
     getTrainingProgress,
     getPerformanceAnalytics,
+    getSessionHistory: backend.getSessionHistory,
 
     // Utilities
     clearError: () => {
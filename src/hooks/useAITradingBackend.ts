@@ -1,11 +1,12 @@
 import { useState, useEffect, useCallback } from 'react'
-import { AITradingApi, type AITradingSession, type TrainingProgress, type PerformanceAnalytics, type TradingSignal, type SystemStatus } from '../services/aiTradingApi'
+import { AITradingApi, type AITradingSession, type AITradingSessionSummary, type TrainingProgress, type PerformanceAnalytics, type TradingSignal, type SystemStatus } from '../services/aiTradingApi'
 import type { ItemPrice, AdaptiveLearningConfig, NeuralNetworkConfig, TradingAction } from '../types'
 
 export interface AITradingState {
   isLoading: boolean
   error: string | null
   sessions: AITradingSession[]
+  sessionHistory: AITradingSessionSummary[]
   currentSession: AITradingSession | null
   systemStatus: SystemStatus | null
   trainingProgress: TrainingProgress | null
@@ -19,6 +20,7 @@ export const useAITradingBackend = () => {
     isLoading: false,
     error: null,
     sessions: [],
+    sessionHistory: [],
     currentSession: null,
     systemStatus: null,
     trainingProgress: null,
@@ -573,6 +575,36 @@ export const useAITradingBackend = () => {
     }
   }, [])
 
+  /**
+   * Get stored sessions, including stopped ones
+   */
+  const getSessionHistory = useCallback(async (
+    status?: AITradingSessionSummary['status'],
+    limit?: number
+  ): Promise<void> => {
+    setState(prev => ({ ...prev, isLoading: true, error: null }))
+    
+    try {
+      const response = await AITradingApi.getSessionHistory(status, limit)
+      
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to get session history')
+      }
+
+      setState(prev => ({
+        ...prev,
+        isLoading: false,
+        sessionHistory: response.data.sessions
+      }))
+    } catch (error) {
+      setState(prev => ({
+        ...prev,
+        isLoading: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      }))
+    }
+  }, [])
+
   /**
    * Get system status
    */
@@ -651,6 +683,7 @@ export const useAITradingBackend = () => {
     exportTrainingData,
     generateTradingSignals,
     getActiveSessions,
+    getSessionHistory,
     getSystemStatus,
     setCurrentSession,
     clearError
@@ -0,0 +1,59 @@
+import { useState, useEffect, useCallback } from 'react'
+import type { AlchScanResult, AlchSortField } from '../types/alchemy'
+
+interface UseAlchScannerReturn {
+  scan: AlchScanResult | null
+  loading: boolean
+  error: string | null
+  refreshScan: () => Promise<void>
+}
+
+const API_BASE_URL = 'http://localhost:3000/api'
+
+// The server caches scans for five minutes, so polling faster only returns the same ranking
+const REFRESH_INTERVAL_MS = 5 * 60 * 1000
+
+export function useAlchScanner(sortBy: AlchSortField, members: boolean | null, limit = 20): UseAlchScannerReturn {
+  const [scan, setScan] = useState<AlchScanResult | null>(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState<string | null>(null)
+
+  const fetchScan = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+
+      const params = new URLSearchParams({ sortBy, limit: String(limit) })
+      if (members !== null) {
+        params.set('members', String(members))
+      }
+
+      const response = await fetch(`${API_BASE_URL}/market-data/alchemy/scan?${params}`)
+      const data = await response.json().catch(() => ({}))
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.error?.message || data.error || data.message || `Alch scan failed: ${response.status}`)
+      }
+      setScan(data.data as AlchScanResult)
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Unknown error occurred'
+      setError(errorMessage)
+      console.error('Error fetching alch scan:', errorMessage)
+    } finally {
+      setLoading(false)
+    }
+  }, [sortBy, members, limit])
+
+  useEffect(() => {
+    fetchScan()
+    const interval = setInterval(fetchScan, REFRESH_INTERVAL_MS)
+    return () => clearInterval(interval)
+  }, [fetchScan])
+
+  return {
+    scan,
+    loading,
+    error,
+    refreshScan: fetchScan
+  }
+}
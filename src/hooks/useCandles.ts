@@ -0,0 +1,101 @@
+import { useState, useEffect, useCallback } from 'react'
+import type {
+  Candle,
+  CandleGap,
+  CandleResolution,
+  IndicatorName,
+  IndicatorPoint
+} from '../types/candles'
+
+export type ChartTimeRange = '1D' | '1W' | '1M' | '3M' | '1Y'
+
+// Each selectable range maps to a candle resolution and candle count
+export const CHART_TIME_RANGES: Record<ChartTimeRange, { resolution: CandleResolution; limit: number }> = {
+  '1D': { resolution: '5m', limit: 288 },
+  '1W': { resolution: '1h', limit: 168 },
+  '1M': { resolution: '6h', limit: 120 },
+  '3M': { resolution: '1d', limit: 90 },
+  '1Y': { resolution: '1w', limit: 52 }
+}
+
+export type CandleChartPoint = Candle & Omit<IndicatorPoint, 'time'>
+
+interface UseCandlesReturn {
+  points: CandleChartPoint[]
+  gaps: CandleGap[]
+  coverage: number
+  resolution: CandleResolution
+  loading: boolean
+  error: string | null
+  refreshCandles: () => Promise<void>
+}
+
+const API_BASE_URL = 'http://localhost:3000/api'
+
+export function useCandles(
+  itemId: number,
+  timeRange: ChartTimeRange,
+  indicators: IndicatorName[]
+): UseCandlesReturn {
+  const [points, setPoints] = useState<CandleChartPoint[]>([])
+  const [gaps, setGaps] = useState<CandleGap[]>([])
+  const [coverage, setCoverage] = useState(0)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState<string | null>(null)
+
+  const { resolution, limit } = CHART_TIME_RANGES[timeRange]
+  const indicatorList = indicators.join(',')
+
+  const request = useCallback(async <T>(path: string): Promise<T> => {
+    const response = await fetch(`${API_BASE_URL}/market-data/${itemId}${path}`)
+    const data = await response.json().catch(() => ({}))
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.error?.message || data.error || data.message || `Chart request failed: ${response.status}`)
+    }
+    return data.data as T
+  }, [itemId])
+
+  const fetchCandles = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+
+      const query = `resolution=${resolution}&limit=${limit}`
+      const [candleData, indicatorData] = await Promise.all([
+        request<{ candles: Candle[]; gaps: CandleGap[]; coverage: number }>(`/candles?${query}`),
+        indicatorList
+          ? request<{ points: IndicatorPoint[] }>(`/indicators?${query}&indicators=${indicatorList}`)
+          : Promise.resolve({ points: [] as IndicatorPoint[] })
+      ])
+
+      // Indicator points share candle open times
+      const indicatorsByTime = new Map(indicatorData.points.map(({ time, ...values }) => [time, values]))
+
+      setPoints(candleData.candles.map(candle => ({ ...candle, ...indicatorsByTime.get(candle.time) })))
+      setGaps(candleData.gaps)
+      setCoverage(candleData.coverage)
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Unknown error occurred'
+      setError(errorMessage)
+      console.error('Error fetching candles:', errorMessage)
+    } finally {
+      setLoading(false)
+    }
+  }, [request, resolution, limit, indicatorList])
+
+  // Refetch when the item, range or enabled overlays change
+  useEffect(() => {
+    fetchCandles()
+  }, [fetchCandles])
+
+  return {
+    points,
+    gaps,
+    coverage,
+    resolution,
+    loading,
+    error,
+    refreshCandles: fetchCandles
+  }
+}
@@ -1,12 +1,27 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useMemo } from 'react'
 import type { ItemPrice } from '../types'
 import { OSRSApi } from '../services/api'
+import { useMarketStream } from './useMarketStream'
+
+// Popular items shown on the dashboards and streamed live
+const POPULAR_ITEMS = [
+  { id: 4151, name: 'Abyssal whip', description: 'A weapon from the abyss.', members: true },
+  { id: 11802, name: 'Armadyl godsword', description: 'A powerful godsword.', members: true },
+  { id: 4712, name: 'Dragon bones', description: 'Remains of a dragon.', members: false },
+  { id: 139, name: 'Cooked lobster', description: 'A cooked lobster.', members: false },
+  { id: 560, name: 'Death rune', description: 'A rune used for death spells.', members: false }
+]
+
+export const POPULAR_ITEM_IDS = POPULAR_ITEMS.map(item => item.id)
 
 export function useItemPrices() {
   const [items, setItems] = useState<ItemPrice[]>([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState<string | null>(null)
 
+  // Live updates arrive over the market WebSocket channel after each backend sync
+  const { prices: livePrices } = useMarketStream({ itemIds: POPULAR_ITEM_IDS })
+
   useEffect(() => {
     const fetchPrices = async () => {
       try {
@@ -24,16 +39,7 @@ export function useItemPrices() {
         const priceData = priceResponse.data
         const itemsWithPrices: ItemPrice[] = []
         
-        // Add some popular items for display
-        const popularItems = [
-          { id: 4151, name: 'Abyssal whip', description: 'A weapon from the abyss.', members: true },
-          { id: 11802, name: 'Armadyl godsword', description: 'A powerful godsword.', members: true },
-          { id: 4712, name: 'Dragon bones', description: 'Remains of a dragon.', members: false },
-          { id: 139, name: 'Cooked lobster', description: 'A cooked lobster.', members: false },
-          { id: 560, name: 'Death rune', description: 'A rune used for death spells.', members: false }
-        ]
-        
-        for (const item of popularItems) {
+        for (const item of POPULAR_ITEMS) {
           const itemPriceData = priceData[item.id.toString()]
           if (itemPriceData) {
             itemsWithPrices.push({
@@ -67,5 +73,21 @@ export function useItemPrices() {
     fetchPrices()
   }, [])
 
-  return { items, loading, error, refetch: () => {} }
+  // Overlay streamed prices on the initial Wiki snapshot
+  const liveItems = useMemo(() => items.map(item => {
+    const live = livePrices[item.id]
+    if (!live) return item
+    return {
+      ...item,
+      priceData: {
+        high: live.highPrice,
+        highTime: Math.floor(live.timestamp / 1000),
+        low: live.lowPrice,
+        lowTime: Math.floor(live.timestamp / 1000),
+        timestamp: live.timestamp
+      }
+    }
+  }), [items, livePrices])
+
+  return { items: liveItems, loading, error, refetch: () => {} }
 }
\ No newline at end of file
@@ -0,0 +1,116 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import useWebSocket, { ReadyState } from 'react-use-websocket'
+import type { MarketAnomaly, MarketStreamDelta, MarketStreamMessage, MarketStreamPrice } from '../types/marketStream'
+
+interface UseMarketStreamOptions {
+  itemIds?: number[]
+  watchlists?: string[]
+  enabled?: boolean
+  onDelta?: (items: MarketStreamDelta[]) => void
+  onAnomaly?: (events: MarketAnomaly[]) => void
+}
+
+interface UseMarketStreamReturn {
+  prices: Record<number, MarketStreamPrice>
+  connected: boolean
+  lastUpdate: number | null
+}
+
+const MARKET_SOCKET_URL = 'ws://localhost:3000/market'
+
+/**
+ * Live item prices from the backend market channel.
+ * The server sends a snapshot on subscribe and price deltas after each sync; every message
+ * is sequenced, and a gap triggers a resync (replay of missed messages or a fresh snapshot).
+ * Anomaly broadcasts go to every client and are not sequenced.
+ */
+export function useMarketStream({
+  itemIds = [],
+  watchlists = [],
+  enabled = true,
+  onDelta,
+  onAnomaly
+}: UseMarketStreamOptions): UseMarketStreamReturn {
+  const [prices, setPrices] = useState<Record<number, MarketStreamPrice>>({})
+  const [lastUpdate, setLastUpdate] = useState<number | null>(null)
+  const lastSeqRef = useRef(0)
+  const awaitingResyncRef = useRef(false)
+  const onDeltaRef = useRef(onDelta)
+  const onAnomalyRef = useRef(onAnomaly)
+  const sendRef = useRef<(message: object) => void>(() => {})
+  onDeltaRef.current = onDelta
+  onAnomalyRef.current = onAnomaly
+
+  const subscriptionKey = JSON.stringify({ itemIds: [...itemIds].sort(), watchlists: [...watchlists].sort() })
+
+  const handleMessage = useCallback((message: MarketStreamMessage) => {
+    switch (message.type) {
+      case 'snapshot':
+        lastSeqRef.current = message.seq
+        awaitingResyncRef.current = false
+        setPrices(Object.fromEntries(message.items.map(item => [item.itemId, item])))
+        setLastUpdate(message.timestamp)
+        break
+      case 'price_delta':
+        // Replayed duplicates are already applied
+        if (message.seq <= lastSeqRef.current) return
+        if (message.seq !== lastSeqRef.current + 1) {
+          if (!awaitingResyncRef.current) {
+            awaitingResyncRef.current = true
+            sendRef.current({ type: 'resync', lastSeq: lastSeqRef.current })
+          }
+          return
+        }
+        lastSeqRef.current = message.seq
+        awaitingResyncRef.current = false
+        setPrices(prev => {
+          const next = { ...prev }
+          message.items.forEach(item => { next[item.itemId] = item })
+          return next
+        })
+        setLastUpdate(message.timestamp)
+        onDeltaRef.current?.(message.items)
+        break
+      case 'anomaly':
+        onAnomalyRef.current?.(message.data.events)
+        break
+      case 'error':
+        console.warn('Market stream error:', message.message)
+        break
+    }
+  }, [])
+
+  const { sendJsonMessage, readyState } = useWebSocket(MARKET_SOCKET_URL, {
+    onOpen: () => {
+      // Each connection starts a new sequence
+      lastSeqRef.current = 0
+      awaitingResyncRef.current = false
+    },
+    onMessage: (event) => {
+      try {
+        handleMessage(JSON.parse(event.data) as MarketStreamMessage)
+      } catch (error) {
+        console.warn('Failed to parse market stream message:', error)
+      }
+    },
+    shouldReconnect: (closeEvent) => closeEvent.code !== 1000,
+    reconnectAttempts: 20,
+    reconnectInterval: (attemptNumber) => Math.min(Math.pow(2, attemptNumber) * 1000, 30000)
+  }, enabled)
+
+  sendRef.current = sendJsonMessage
+
+  // (Re)subscribe whenever the connection opens or the subscription changes
+  useEffect(() => {
+    if (readyState !== ReadyState.OPEN) return
+    const subscription = JSON.parse(subscriptionKey)
+    sendJsonMessage({ type: 'unsubscribe' })
+    sendJsonMessage({ type: 'subscribe', ...subscription })
+  }, [readyState, subscriptionKey, sendJsonMessage])
+
+  return {
+    prices,
+    connected: readyState === ReadyState.OPEN,
+    lastUpdate
+  }
+}
@@ -0,0 +1,63 @@
+import { useState, useEffect, useCallback } from 'react'
+import type { RecipeRanking, RecipeSortField, RecipePricingMode } from '../types/recipes'
+
+interface UseRecipeProfitsReturn {
+  ranking: RecipeRanking | null
+  loading: boolean
+  error: string | null
+  refreshRanking: () => Promise<void>
+}
+
+const API_BASE_URL = 'http://localhost:3000/api'
+
+// Latest Wiki prices are cached for two minutes on the server
+const REFRESH_INTERVAL_MS = 2 * 60 * 1000
+
+export function useRecipeProfits(
+  sortBy: RecipeSortField,
+  pricing: RecipePricingMode,
+  skill: string | null
+): UseRecipeProfitsReturn {
+  const [ranking, setRanking] = useState<RecipeRanking | null>(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState<string | null>(null)
+
+  const fetchRanking = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+
+      const params = new URLSearchParams({ sortBy, pricing })
+      if (skill) {
+        params.set('skill', skill)
+      }
+
+      const response = await fetch(`${API_BASE_URL}/market-data/recipes?${params}`)
+      const data = await response.json().catch(() => ({}))
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.error?.message || data.error || data.message || `Recipe ranking failed: ${response.status}`)
+      }
+      setRanking(data.data as RecipeRanking)
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Unknown error occurred'
+      setError(errorMessage)
+      console.error('Error fetching recipe profits:', errorMessage)
+    } finally {
+      setLoading(false)
+    }
+  }, [sortBy, pricing, skill])
+
+  useEffect(() => {
+    fetchRanking()
+    const interval = setInterval(fetchRanking, REFRESH_INTERVAL_MS)
+    return () => clearInterval(interval)
+  }, [fetchRanking])
+
+  return {
+    ranking,
+    loading,
+    error,
+    refreshRanking: fetchRanking
+  }
+}
@@ -0,0 +1,90 @@
+import { useState, useEffect, useCallback } from 'react'
+import type { FlippingOpportunity } from '../types/trading'
+import type { SetArbitrageDirection, SetArbitrageOpportunity, SetArbitrageResult } from '../types/sets'
+
+interface UseSetArbitrageReturn {
+  opportunities: FlippingOpportunity[]
+  setsChecked: number
+  loading: boolean
+  error: string | null
+  refreshOpportunities: () => Promise<void>
+}
+
+const API_BASE_URL = 'http://localhost:3000/api'
+
+// Latest Wiki prices are cached for two minutes on the server
+const REFRESH_INTERVAL_MS = 2 * 60 * 1000
+
+function toFlippingOpportunity(opportunity: SetArbitrageOpportunity, generatedAt: number): FlippingOpportunity {
+  return {
+    itemId: opportunity.setItemId,
+    itemName: opportunity.setName,
+    buyPrice: opportunity.buyPrice,
+    sellPrice: opportunity.sellPrice,
+    spreadPercentage: opportunity.buyPrice > 0
+      ? ((opportunity.sellPrice - opportunity.buyPrice) / opportunity.buyPrice) * 100
+      : 0,
+    profitGP: opportunity.profit,
+    riskLevel: opportunity.riskLevel,
+    volume: opportunity.maxPerWindow ?? 0,
+    timeToFlip: 0, // The exchange at the GE clerk is instant
+    roi: opportunity.returnPercent ?? 0,
+    lastUpdated: generatedAt,
+    setArbitrage: {
+      direction: opportunity.direction,
+      tax: opportunity.tax,
+      maxPerWindow: opportunity.maxPerWindow,
+      components: opportunity.components
+    }
+  }
+}
+
+export function useSetArbitrage(direction: SetArbitrageDirection | null = null, limit = 12): UseSetArbitrageReturn {
+  const [opportunities, setOpportunities] = useState<FlippingOpportunity[]>([])
+  const [setsChecked, setSetsChecked] = useState(0)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState<string | null>(null)
+
+  const fetchOpportunities = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+
+      const params = new URLSearchParams({ limit: String(limit) })
+      if (direction) {
+        params.set('direction', direction)
+      }
+
+      const response = await fetch(`${API_BASE_URL}/market-data/analytics/set-arbitrage?${params}`)
+      const data = await response.json().catch(() => ({}))
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.error?.message || data.error || data.message || `Set arbitrage scan failed: ${response.status}`)
+      }
+
+      const result = data.data as SetArbitrageResult
+      setOpportunities(result.opportunities.map(opportunity => toFlippingOpportunity(opportunity, result.generatedAt)))
+      setSetsChecked(result.setsChecked)
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Unknown error occurred'
+      setError(errorMessage)
+      console.error('Error fetching set arbitrage:', errorMessage)
+    } finally {
+      setLoading(false)
+    }
+  }, [direction, limit])
+
+  useEffect(() => {
+    fetchOpportunities()
+    const interval = setInterval(fetchOpportunities, REFRESH_INTERVAL_MS)
+    return () => clearInterval(interval)
+  }, [fetchOpportunities])
+
+  return {
+    opportunities,
+    setsChecked,
+    loading,
+    error,
+    refreshOpportunities: fetchOpportunities
+  }
+}
@@ -0,0 +1,127 @@
+import { useState, useEffect, useCallback } from 'react'
+import type {
+  JournalEntry,
+  JournalRollupBucket,
+  JournalRollupPeriod,
+  JournalSummary,
+  NewJournalEntry
+} from '../types/journal'
+
+interface UseTradeJournalReturn {
+  entries: JournalEntry[]
+  summary: JournalSummary | null
+  rollups: JournalRollupBucket[]
+  period: JournalRollupPeriod
+  loading: boolean
+  error: string | null
+  setPeriod: (period: JournalRollupPeriod) => void
+  createEntry: (entry: NewJournalEntry) => Promise<void>
+  addFill: (entryId: string, quantity: number, price: number) => Promise<void>
+  cancelEntry: (entryId: string) => Promise<void>
+  deleteEntry: (entryId: string) => Promise<void>
+  refreshJournal: () => Promise<void>
+}
+
+const API_BASE_URL = 'http://localhost:3000/api'
+
+export function useTradeJournal(): UseTradeJournalReturn {
+  const [entries, setEntries] = useState<JournalEntry[]>([])
+  const [summary, setSummary] = useState<JournalSummary | null>(null)
+  const [rollups, setRollups] = useState<JournalRollupBucket[]>([])
+  const [period, setPeriod] = useState<JournalRollupPeriod>('daily')
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState<string | null>(null)
+
+  // For now, hardcode a userId until user authentication is implemented
+  const userId = 'user_default_001'
+
+  const request = useCallback(async <T>(path: string, init?: RequestInit): Promise<T> => {
+    const response = await fetch(`${API_BASE_URL}/journal${path}`, {
+      ...init,
+      headers: { 'Content-Type': 'application/json' }
+    })
+    const data = await response.json().catch(() => ({}))
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.error?.message || data.error || data.message || `Journal request failed: ${response.status}`)
+    }
+    return data.data as T
+  }, [])
+
+  const fetchJournal = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+
+      const [entryData, summaryData, rollupData] = await Promise.all([
+        request<JournalEntry[]>(`?userId=${userId}&limit=100`),
+        request<JournalSummary>(`/summary?userId=${userId}`),
+        request<{ buckets: JournalRollupBucket[] }>(`/rollups?userId=${userId}&period=${period}`)
+      ])
+
+      setEntries(entryData || [])
+      setSummary(summaryData)
+      setRollups(rollupData?.buckets || [])
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Unknown error occurred'
+      setError(errorMessage)
+      console.error('Error fetching trade journal:', errorMessage)
+    } finally {
+      setLoading(false)
+    }
+  }, [request, userId, period])
+
+  // Run a mutation, then reload entries and reports
+  const mutate = useCallback(async (path: string, init: RequestInit) => {
+    try {
+      setError(null)
+      await request(path, init)
+      await fetchJournal()
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Unknown error occurred'
+      setError(errorMessage)
+      console.error('Error updating trade journal:', errorMessage)
+      throw err // Re-throw to allow component to handle the error
+    }
+  }, [request, fetchJournal])
+
+  const createEntry = useCallback(async (entry: NewJournalEntry) => {
+    await mutate('', { method: 'POST', body: JSON.stringify({ ...entry, userId }) })
+  }, [mutate, userId])
+
+  const addFill = useCallback(async (entryId: string, quantity: number, price: number) => {
+    await mutate(`/${entryId}/fills`, { method: 'POST', body: JSON.stringify({ quantity, price, userId }) })
+  }, [mutate, userId])
+
+  const cancelEntry = useCallback(async (entryId: string) => {
+    await mutate(`/${entryId}/cancel`, { method: 'POST', body: JSON.stringify({ userId }) })
+  }, [mutate, userId])
+
+  const deleteEntry = useCallback(async (entryId: string) => {
+    await mutate(`/${entryId}?userId=${userId}`, { method: 'DELETE' })
+  }, [mutate, userId])
+
+  const refreshJournal = useCallback(async () => {
+    await fetchJournal()
+  }, [fetchJournal])
+
+  // Fetch journal on mount and when the rollup period changes
+  useEffect(() => {
+    fetchJournal()
+  }, [fetchJournal])
+
+  return {
+    entries,
+    summary,
+    rollups,
+    period,
+    loading,
+    error,
+    setPeriod,
+    createEntry,
+    addFill,
+    cancelEntry,
+    deleteEntry,
+    refreshJournal
+  }
+}
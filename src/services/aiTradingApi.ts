@@ -75,6 +75,26 @@ export interface SystemStatus {
   }
 }
 
+export interface AITradingSessionSummary {
+  sessionId: string
+  sessionName: string
+  status: 'TRAINING' | 'PAUSED' | 'STOPPED'
+  startTime: number
+  endTime: number | null
+  endReason: string | null
+  duration: number
+  performance: {
+    totalDecisions: number
+    totalTrades: number
+    totalProfit: number
+    averageReward: number
+    successRate: number
+    bestReward: number
+  }
+  rewardFunction: { name: string, version: string, params?: Record<string, unknown> } | null
+  modelId: string | null
+}
+
 export class AITradingApi {
   /**
    * Start a new AI trading session
@@ -453,6 +473,36 @@ export class AITradingApi {
     }
   }
 
+  /**
+   * Get stored sessions, newest first, including stopped ones
+   */
+  static async getSessionHistory(status?: AITradingSessionSummary['status'], limit?: number): Promise<ApiResponse<{ sessions: AITradingSessionSummary[], totalSessions: number }>> {
+    try {
+      const params = new URLSearchParams()
+      if (status) params.set('status', status)
+      if (limit) params.set('limit', String(limit))
+      const query = params.toString()
+
+      const response = await fetch(`${BASE_URL}/sessions/history${query ? `?${query}` : ''}`)
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`)
+      }
+
+      const result = await response.json()
+      return {
+        success: true,
+        data: result.data
+      }
+    } catch (error) {
+      return {
+        success: false,
+        data: { sessions: [], totalSessions: 0 },
+        error: error instanceof Error ? error.message : 'Unknown error'
+      }
+    }
+  }
+
   /**
    * Get system status
    */
@@ -0,0 +1,37 @@
+export type AlchSortField = 'profitPerHour' | 'profit' | 'returnPercent'
+
+export interface AlchOpportunity {
+  rank: number
+  itemId: number
+  name: string
+  icon: string | null
+  members: boolean
+  highalch: number
+  buyPrice: number
+  natureRunePrice: number
+  profit: number
+  returnPercent: number
+  buyLimit: number | null
+  itemsPerHour: number
+  profitPerHour: number
+  capitalPerHour: number
+  priceTimestamp: string
+  previousRank: number | null
+  previousProfit: number | null
+  rankChange: number | null
+}
+
+export interface AlchScanResult {
+  generatedAt: number
+  comparedTo: number
+  sortBy: AlchSortField
+  natureRune: {
+    price: number
+    source: 'snapshot' | 'default'
+    timestamp: string | null
+  }
+  alchsPerHour: number
+  items: AlchOpportunity[]
+  droppedOut: { itemId: number; name: string; previousRank: number }[]
+  totalProfitable: number
+}
@@ -0,0 +1,56 @@
+export type CandleResolution = '5m' | '1h' | '6h' | '1d' | '1w'
+
+export type IndicatorName = 'sma' | 'ema' | 'rsi' | 'macd' | 'bollinger'
+
+export interface Candle {
+  time: number
+  closeTime: number
+  open: number
+  high: number
+  low: number
+  close: number
+  volume: number
+  snapshots: number
+  firstAt: number
+  lastAt: number
+}
+
+export interface CandleGap {
+  startTime: number
+  endTime: number
+  missingCandles: number
+}
+
+export interface CandleSeries {
+  itemId: number
+  resolution: CandleResolution
+  sourceInterval: string
+  startTime: number
+  endTime: number
+  candles: Candle[]
+  gaps: CandleGap[]
+  coverage: number
+}
+
+// Fields present depend on the indicators requested; null while warming up
+export interface IndicatorPoint {
+  time: number
+  sma?: number | null
+  ema?: number | null
+  rsi?: number | null
+  macd?: number | null
+  macdSignal?: number | null
+  macdHistogram?: number | null
+  bollingerUpper?: number | null
+  bollingerMiddle?: number | null
+  bollingerLower?: number | null
+}
+
+export interface IndicatorSeries {
+  itemId: number
+  resolution: CandleResolution
+  startTime: number
+  endTime: number
+  indicators: IndicatorName[]
+  points: IndicatorPoint[]
+}
@@ -0,0 +1,80 @@
+export type JournalSide = 'buy' | 'sell'
+
+export type JournalStatus = 'open' | 'partially_filled' | 'filled' | 'cancelled'
+
+export type JournalRollupPeriod = 'daily' | 'weekly'
+
+export interface JournalFill {
+  id: string | null
+  quantity: number
+  price: number
+  filledAt: number
+  tax: number
+}
+
+export interface JournalEntry {
+  id: string
+  itemId: number
+  itemName: string | null
+  userId: string
+  side: JournalSide
+  offerPrice: number
+  quantity: number
+  filledQuantity: number
+  remainingQuantity: number
+  averageFillPrice: number | null
+  totalTax: number
+  fills: JournalFill[]
+  status: JournalStatus
+  placedAt: number
+  cancelledAt: number | null
+  notes: string | null
+}
+
+export interface NewJournalEntry {
+  itemId: number
+  side: JournalSide
+  offerPrice: number
+  quantity: number
+  notes?: string
+  fills?: Array<{ quantity: number; price: number }>
+}
+
+export interface JournalOpenPosition {
+  itemId: number
+  itemName: string | null
+  quantity: number
+  averageCost: number
+  costBasis: number
+  markPrice: number | null
+  markValue: number | null
+  unrealizedPnl: number | null
+  priceTimestamp: number | null
+  lots: number
+}
+
+export interface JournalSummary {
+  realizedPnl: number
+  unrealizedPnl: number
+  totalPnl: number
+  taxPaid: number
+  grossProceeds: number
+  costBasisSold: number
+  closedSales: number
+  winningSales: number
+  unmatchedSellQuantity: number
+  openPositions: JournalOpenPosition[]
+  entriesByStatus: Partial<Record<JournalStatus, number>>
+}
+
+export interface JournalRollupBucket {
+  period: string
+  periodStart: number
+  periodEnd: number
+  realizedPnl: number
+  proceeds: number
+  taxPaid: number
+  costBasis: number
+  quantitySold: number
+  sells: number
+}
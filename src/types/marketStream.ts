@@ -0,0 +1,42 @@
+export interface MarketStreamPrice {
+  itemId: number
+  highPrice: number
+  lowPrice: number
+  volume: number
+  marginGp: number | null
+  timestamp: number
+}
+
+// Delta items carry the previously sent prices; change fields compare mid prices
+export interface MarketStreamDelta extends MarketStreamPrice {
+  previousHighPrice?: number | null
+  previousLowPrice?: number | null
+  change?: number | null
+  changePercent?: number | null
+}
+
+export interface MarketStreamSubscription {
+  itemIds: number[]
+  watchlists: string[]
+}
+
+export type MarketAnomalySignalType = 'price_zscore' | 'volume_surge' | 'spread_blowout'
+
+// Flagged by the backend anomaly detector after a sync; value is compared against threshold
+export interface MarketAnomaly {
+  itemId: number
+  interval: '5m' | '1h'
+  timestamp: number
+  score: number
+  severity: 'low' | 'medium' | 'high'
+  direction: 'spike' | 'crash' | 'flat'
+  signals: { type: MarketAnomalySignalType; value: number; threshold: number }[]
+}
+
+export type MarketStreamMessage =
+  | { type: 'connection'; status: string; clientId: string; serverTime: string }
+  | { type: 'snapshot'; seq: number; timestamp: number; subscriptions: MarketStreamSubscription; items: MarketStreamPrice[] }
+  | { type: 'price_delta'; seq: number; timestamp: number; items: MarketStreamDelta[] }
+  | { type: 'anomaly'; timestamp: string; data: { events: MarketAnomaly[] } }
+  | { type: 'pong'; timestamp: number }
+  | { type: 'error'; message: string }
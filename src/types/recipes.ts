@@ -0,0 +1,44 @@
+export type RecipeSortField = 'profitPerHour' | 'margin' | 'returnPercent'
+
+export type RecipePricingMode = 'instant' | 'offer'
+
+export interface RecipeComponent {
+  itemId: number
+  name: string
+  quantity: number
+  price: number | null
+  buyLimit: number | null
+  tax?: number
+}
+
+export interface RecipeProfit {
+  rank: number
+  id: string
+  name: string
+  skill: string | null
+  coinCost: number
+  inputs: RecipeComponent[]
+  outputs: RecipeComponent[]
+  priced: true
+  inputCost: number
+  revenue: number
+  tax: number
+  margin: number
+  returnPercent: number | null
+  actionsPerHour: number | null
+  limitedBy: { type: 'buyLimit'; itemId: number; name: string } | { type: 'actionRate' } | null
+  profitPerHour: number | null
+  capitalPerHour: number | null
+}
+
+export interface RecipeRanking {
+  generatedAt: number
+  pricesTimestamp: number | null
+  pricing: RecipePricingMode
+  sortBy: RecipeSortField
+  buyLimitWindowHours: number
+  recipes: RecipeProfit[]
+  unpriced: { id: string; name: string; missingItemIds: number[] }[]
+  skills: string[]
+  totalRecipes: number
+}
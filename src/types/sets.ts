@@ -0,0 +1,38 @@
+export type SetArbitrageDirection = 'combine' | 'split'
+
+export interface SetComponentQuote {
+  itemId: number
+  name: string
+  quantity: number
+  price: number
+  tax: number
+  buyLimit: number | null
+}
+
+export interface SetArbitrageOpportunity {
+  setItemId: number
+  setName: string
+  type: 'armour_set' | 'pack'
+  direction: SetArbitrageDirection
+  buyPrice: number
+  sellPrice: number
+  tax: number
+  profit: number
+  returnPercent: number | null
+  maxPerWindow: number | null
+  potentialProfit: number | null
+  oldestPriceAge: number | null
+  riskLevel: 'LOW' | 'MEDIUM' | 'HIGH'
+  setPrice: number
+  components: SetComponentQuote[]
+}
+
+export interface SetArbitrageResult {
+  generatedAt: number
+  pricing: 'instant' | 'offer'
+  sortBy: 'profit' | 'potentialProfit' | 'returnPercent'
+  opportunities: SetArbitrageOpportunity[]
+  totalOpportunities: number
+  setsChecked: number
+  unpriced: { setItemId: number; name: string }[]
+}
@@ -1,3 +1,5 @@
+import type { SetArbitrageDirection, SetComponentQuote } from './sets'
+
 export interface TechnicalIndicators {
   rsi: number
   macd: number
@@ -36,6 +38,12 @@ export interface FlippingOpportunity {
   timeToFlip: number // estimated minutes
   roi: number // return on investment percentage
   lastUpdated: number
+  setArbitrage?: {
+    direction: SetArbitrageDirection
+    tax: number
+    maxPerWindow: number | null
+    components: SetComponentQuote[]
+  }
 }
 
 export interface TradingStrategy {